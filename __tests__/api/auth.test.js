@@ -90,4 +90,45 @@ describe('Auth API', () => {
         .expect(401);
     });
   });
+
+  describe('GET /api/users/sessions/:userId', () => {
+    let login;
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      const hashedPassword = await bcrypt.hash('password123', 10);
+      await User.create({
+        username: 'test@example.com',
+        email: 'test@example.com',
+        password: hashedPassword,
+        settings: { unsubscribedFrom: [] },
+      });
+      login = await request(app)
+        .post('/api/users/login')
+        .set('User-Agent', 'SessionsTest/1.0')
+        .send({ username: 'test@example.com', password: 'password123' })
+        .expect(200);
+    });
+
+    it('should list the session created by login as current', async () => {
+      const response = await request(app)
+        .get('/api/users/sessions/' + login.body.id)
+        .set('Authorization', 'Bearer ' + login.body.accessToken)
+        .set('Cookie', login.headers['set-cookie'])
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0]).toMatchObject({
+        userAgent: 'SessionsTest/1.0',
+        current: true,
+      });
+    });
+
+    it("should not list another user's sessions", async () => {
+      await request(app)
+        .get('/api/users/sessions/507f1f77bcf86cd799439011')
+        .set('Authorization', 'Bearer ' + login.body.accessToken)
+        .expect(403);
+    });
+  });
 });
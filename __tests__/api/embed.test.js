@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, Pol, Celebration } = require('../../models');
+
+describe('Embed widget API', () => {
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Pol.deleteMany({});
+    await Celebration.deleteMany({});
+
+    const user = await User.create({
+      username: 'embed',
+      password: 'password123',
+      email: 'embed@test.com',
+    });
+    await Pol.create({
+      id: 'T000001',
+      first_name: 'Test',
+      last_name: 'Rep',
+      has_stakes: true,
+      roles: [{ state: 'NY', district: '14', chamber: 'House' }],
+    });
+    await Pol.create({
+      id: 'T000002',
+      first_name: 'Quiet',
+      last_name: 'Rep',
+      has_stakes: false,
+      roles: [{ state: 'NY', district: '15', chamber: 'House' }],
+    });
+    await Celebration.create({
+      donatedBy: user._id,
+      FEC_id: 'H8NY14001',
+      current_status: 'active',
+      fee: 1.0,
+      tip: 0,
+      pol_id: 'T000001',
+      bill_id: 'hjres54-119',
+      donation: 40,
+      pol_name: 'Test Rep',
+      idempotencyKey: 'embed-1',
+      donorInfo: { compliance: 'compliant', email: 'embed@test.com' },
+    });
+  });
+
+  describe('GET /api/embed/pol/:bioguide', () => {
+    it('should serve escrow totals to any origin without donor data or cookies', async () => {
+      const response = await request(app)
+        .get('/api/embed/pol/T000001')
+        .set('Origin', 'https://partner.example')
+        .expect(200);
+
+      expect(response.headers['access-control-allow-origin']).toBe('*');
+      expect(
+        response.headers['access-control-allow-credentials']
+      ).toBeUndefined();
+      expect(response.headers['set-cookie']).toBeUndefined();
+      expect(response.headers['cache-control']).toMatch(/public/);
+      expect(response.body.escrow).toEqual({ donation: 40, count: 1 });
+      expect(response.body.pol.title).toBe('Rep.');
+      expect(response.body.bill.label).toBe('H.J.Res.54');
+      expect(JSON.stringify(response.body)).not.toMatch(/embed@test\.com/);
+    });
+
+    it('should 404 for politicians off the selectable roster', async () => {
+      await request(app).get('/api/embed/pol/T000002').expect(404);
+    });
+
+    it('should reject malformed ids', async () => {
+      await request(app).get('/api/embed/pol/not-an-id').expect(400);
+    });
+  });
+
+  describe('GET /api/embed/pol/:bioguide/frame', () => {
+    it('should render a frameable card with no scripts allowed', async () => {
+      const response = await request(app)
+        .get('/api/embed/pol/T000001/frame')
+        .expect(200);
+
+      const csp = response.headers['content-security-policy'];
+      expect(response.headers['x-frame-options']).toBeUndefined();
+      expect(csp).toMatch(/frame-ancestors \*/);
+      expect(csp).toMatch(/script-src 'none'/);
+      expect(response.text).toMatch(/\$40/);
+      expect(response.text).toMatch(/Rep\. Test Rep/);
+    });
+  });
+});
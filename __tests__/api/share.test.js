@@ -0,0 +1,79 @@
+const request = require('supertest');
+const app = require('../../server');
+const { User, Pol, Celebration } = require('../../models');
+
+describe('Share page meta', () => {
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Pol.deleteMany({});
+    await Celebration.deleteMany({});
+
+    const user = await User.create({
+      username: 'share',
+      password: 'password123',
+      email: 'share@test.com',
+    });
+    await Pol.create({
+      id: 'T000001',
+      first_name: 'Test',
+      last_name: 'Rep',
+      has_stakes: true,
+      roles: [
+        {
+          state: 'NY',
+          district: '14',
+          chamber: 'House',
+          ocd_id: 'ocd-division/country:us/state:ny/cd:14',
+        },
+      ],
+    });
+    await Celebration.create({
+      donatedBy: user._id,
+      FEC_id: 'H8NY14001',
+      current_status: 'active',
+      fee: 1.0,
+      tip: 0,
+      pol_id: 'T000001',
+      bill_id: 'hjres54-119',
+      donation: 40,
+      pol_name: 'Test Rep',
+      idempotencyKey: 'share-1',
+      donorInfo: { compliance: 'compliant' },
+    });
+  });
+
+  it('should name the pol and escrow total in the rep page meta', async () => {
+    const response = await request(app).get('/rep/T000001').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/html/);
+    expect(response.text).toMatch(
+      /<title>\$40 is waiting for Rep\. Test Rep \| POWERBACK\.us<\/title>/
+    );
+    expect(response.text).toMatch(
+      /property="og:description"\s+content="\$40 from 1 pledge is in escrow for Rep\. Test Rep \(NY-14\)/
+    );
+    expect(response.text).toMatch(
+      /property="og:url"\s+content="[^"]*\/rep\/T000001"/
+    );
+  });
+
+  it('should resolve a district link to its representative', async () => {
+    const response = await request(app)
+      .get('/state/ny/district/14')
+      .expect(200);
+
+    expect(response.text).toMatch(/is waiting for Rep\. Test Rep/);
+    expect(response.text).toMatch(
+      /rel="canonical"\s+href="[^"]*\/state\/ny\/district\/14"/
+    );
+  });
+
+  it('should serve the default shell for an unknown pol', async () => {
+    const response = await request(app).get('/rep/Z999999').expect(200);
+
+    expect(response.text).not.toMatch(/is waiting for/);
+    expect(response.text).toMatch(
+      /property="og:title"\s+content="POWERBACK\.us"/
+    );
+  });
+});
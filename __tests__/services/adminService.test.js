@@ -0,0 +1,169 @@
+const AdminCelebrationService = require('../../services/celebration/adminService');
+const { User, Celebration } = require('../../models');
+const { createCelebration } = require('../../test/fixtures');
+
+const admin = {
+  id: '507f1f77bcf86cd799439011',
+  name: 'overseer@test.com',
+  auditTrail: { ip_address: '203.0.113.7', user_agent: 'jest' },
+};
+
+describe('AdminCelebrationService', () => {
+  let user;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    user = await User.create({
+      username: 'donor@test.com',
+      password: 'password123',
+      email: 'donor@test.com',
+    });
+  });
+
+  describe('search', () => {
+    it('should filter by status, bill and donor', async () => {
+      await createCelebration(user._id, 'admin-1');
+      await createCelebration(user._id, 'admin-2', { bill_id: 'hr1976-119' });
+      await createCelebration(user._id, 'admin-3', {
+        current_status: 'paused',
+        paused: true,
+      });
+
+      const result = await AdminCelebrationService.search(
+        { status: 'active', bill: 'hjres54-119', donor: 'DONOR@test.com' },
+        {},
+        Celebration
+      );
+
+      expect(result.total).toBe(1);
+      expect(result.items[0].idempotencyKey).toBe('admin-1');
+      expect(result.items[0].status_ledger).toBeUndefined();
+    });
+  });
+
+  describe('applyAction', () => {
+    it('should pause with the admin recorded on the ledger entry', async () => {
+      const celebration = await createCelebration(user._id, 'admin-1');
+
+      await AdminCelebrationService.applyAction(
+        celebration,
+        'pause',
+        'Bill text under review',
+        admin,
+        { notes: 'Ticket 42' },
+        Celebration
+      );
+
+      const { status_ledger, current_status } =
+        await AdminCelebrationService.getLedger(celebration._id, Celebration);
+      const entry = status_ledger[status_ledger.length - 1];
+      expect(current_status).toBe('paused');
+      expect(entry).toMatchObject({
+        triggered_by: 'admin',
+        triggered_by_id: admin.id,
+        reason: 'Bill text under review',
+        audit_trail: { ip_address: '203.0.113.7', user_agent: 'jest' },
+      });
+      expect(entry.metadata).toMatchObject({
+        admin_reason: 'Bill text under review',
+        admin_notes: 'Ticket 42',
+        pause_details: { pause_reason: 'Bill text under review' },
+      });
+    });
+
+    it('should require a reason and a valid transition', async () => {
+      const celebration = await createCelebration(user._id, 'admin-1');
+
+      await expect(
+        AdminCelebrationService.applyAction(
+          celebration,
+          'pause',
+          ' ',
+          admin,
+          {},
+          Celebration
+        )
+      ).rejects.toThrow('reason-required');
+      await expect(
+        AdminCelebrationService.applyAction(
+          celebration,
+          'resume',
+          'Nothing to resume',
+          admin,
+          {},
+          Celebration
+        )
+      ).rejects.toThrow('Invalid status transition');
+    });
+  });
+
+  describe('bulkAction', () => {
+    it('should preview without changes, then defunct eligible Celebrations', async () => {
+      await createCelebration(user._id, 'admin-1');
+      await createCelebration(user._id, 'admin-2', {
+        current_status: 'resolved',
+        resolved: true,
+      });
+      const stripe = {
+        paymentIntents: {
+          retrieve: jest.fn().mockResolvedValue({ status: 'requires_capture' }),
+          cancel: jest.fn().mockResolvedValue({ status: 'canceled' }),
+        },
+      };
+
+      const preview = await AdminCelebrationService.bulkAction(
+        { bill: 'hjres54-119' },
+        'defunct',
+        'Bill withdrawn',
+        admin,
+        { dryRun: true, stripe },
+        Celebration
+      );
+      expect(preview).toMatchObject({ matchedCount: 2, eligibleCount: 1 });
+      expect(preview.ineligible[0].current_status).toBe('resolved');
+      expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+      expect(
+        await Celebration.countDocuments({ current_status: 'defunct' })
+      ).toBe(0);
+
+      const result = await AdminCelebrationService.bulkAction(
+        { bill: 'hjres54-119' },
+        'defunct',
+        'Bill withdrawn',
+        admin,
+        { stripe },
+        Celebration
+      );
+      expect(result.succeeded).toHaveLength(1);
+      expect(result.failed).toHaveLength(0);
+
+      const defunct = await Celebration.findOne({ idempotencyKey: 'admin-1' });
+      const entry = defunct.status_ledger[defunct.status_ledger.length - 1];
+      expect(defunct.current_status).toBe('defunct');
+      expect(entry.triggered_by).toBe('admin');
+      expect(entry.metadata.admin_reason).toBe('Bill withdrawn');
+      expect(entry.metadata.stripe_cancellation.outcome).toBe('canceled');
+    });
+
+    it('should reject a filter matching more than MAX_BULK before loading it', async () => {
+      await createCelebration(user._id, 'admin-1');
+      await createCelebration(user._id, 'admin-2');
+      jest.replaceProperty(AdminCelebrationService, 'MAX_BULK', 1);
+      const find = jest.spyOn(Celebration, 'find');
+
+      await expect(
+        AdminCelebrationService.bulkAction(
+          { bill: 'hjres54-119' },
+          'pause',
+          'Bill text under review',
+          admin,
+          { dryRun: true },
+          Celebration
+        )
+      ).rejects.toThrow('bulk-limit-exceeded');
+      expect(find).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+  });
+});
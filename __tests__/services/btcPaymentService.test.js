@@ -0,0 +1,169 @@
+const { getBTCAddress } = require('../../services/btc/addressService');
+const {
+  pollPendingAddresses,
+  getPacContributionsUsd,
+} = require('../../services/btc/paymentService');
+const stubSource = require('../../services/btc/chainSources/stubSource');
+const { enqueueEmail } = require('../../services/comms/outboxService');
+const { User, BtcAddress, Celebration } = require('../../models');
+
+// Mock external dependencies
+jest.mock('../../controller/comms/sendEmail');
+jest.mock('../../services/comms/outboxService');
+
+// BIP84 test vector account key (m/84'/0'/0')
+const ZPUB =
+  'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+
+describe('BTC address ledger and payment watcher', () => {
+  let user;
+  const originalXpub = process.env.BTC_XPUB;
+
+  beforeAll(() => {
+    process.env.BTC_XPUB = ZPUB;
+  });
+
+  afterAll(() => {
+    process.env.BTC_XPUB = originalXpub;
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    stubSource.reset();
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    await BtcAddress.deleteMany({});
+    user = await User.create({
+      username: 'satoshi',
+      password: 'password123',
+      email: 'satoshi@test.com',
+      firstName: 'Satoshi',
+    });
+  });
+
+  it('should record who requested an address and why', async () => {
+    const address = await getBTCAddress({
+      userId: user._id,
+      purpose: 'tip',
+      source: 'api',
+    });
+
+    const record = await BtcAddress.findOne({ address });
+    expect(address).toMatch(/^bc1q/);
+    expect(record.requested_by.toString()).toBe(user._id.toString());
+    expect(record.purpose).toBe('tip');
+    expect(record.network).toBe('mainnet');
+    expect(record.status).toBe('pending');
+  });
+
+  it('should record confirmations and thank the requester once', async () => {
+    const address = await getBTCAddress({ userId: user._id });
+
+    stubSource.addTransaction(address, { txid: 'tx1', amount_sats: 125000 });
+    stubSource.setTipHeight(100);
+    let summary = await pollPendingAddresses();
+
+    let record = await BtcAddress.findOne({ address });
+    expect(summary.checked).toBe(1);
+    expect(record.status).toBe('unconfirmed');
+    expect(record.received_sats).toBe(125000);
+    expect(record.confirmed_sats).toBe(0);
+    expect(enqueueEmail).not.toHaveBeenCalled();
+
+    stubSource.addTransaction(address, {
+      txid: 'tx1',
+      amount_sats: 125000,
+      block_height: 101,
+    });
+    stubSource.setTipHeight(110);
+    summary = await pollPendingAddresses();
+
+    record = await BtcAddress.findOne({ address });
+    expect(summary.confirmed).toBe(1);
+    expect(summary.thanked).toBe(1);
+    expect(record.status).toBe('confirmed');
+    expect(record.confirmed_sats).toBe(125000);
+    expect(record.payments[0].confirmations).toBe(10);
+    // 0.00125 BTC at the fixed test rate of $50,000
+    expect(record.payments[0].usd_value).toBe(62.5);
+    expect(record.payments[0].rate_source).toBe('fixed');
+    expect(record.thanked_at).toBeDefined();
+    expect(enqueueEmail).toHaveBeenCalledTimes(1);
+
+    summary = await pollPendingAddresses();
+    expect(summary.checked).toBe(0);
+    expect(enqueueEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the thank-you claim when it could not be queued', async () => {
+    const address = await getBTCAddress({ userId: user._id });
+    stubSource.addTransaction(address, {
+      txid: 'tx1',
+      amount_sats: 125000,
+      block_height: 101,
+    });
+    stubSource.setTipHeight(110);
+    enqueueEmail.mockRejectedValueOnce(new Error('outbox unavailable'));
+
+    let summary = await pollPendingAddresses();
+    let record = await BtcAddress.findOne({ address });
+    expect(summary.confirmed).toBe(1);
+    expect(summary.thanked).toBe(0);
+    expect(record.status).toBe('confirmed');
+    expect(record.thanked_at).toBeNull();
+
+    summary = await pollPendingAddresses();
+    record = await BtcAddress.findOne({ address });
+    expect(summary.thanked).toBe(1);
+    expect(record.thanked_at).toBeInstanceOf(Date);
+    expect(enqueueEmail).toHaveBeenCalledTimes(2);
+  });
+
+  it('should count confirmed BTC toward the PAC limit and flag the excess', async () => {
+    await Celebration.create({
+      donatedBy: user._id,
+      FEC_id: 'T123456',
+      current_status: 'active',
+      fee: 1.0,
+      tip: 4990,
+      pol_id: 'T123456',
+      bill_id: 'hjres54-119',
+      donation: 10.0,
+      pol_name: 'Test Politician',
+      payment_intent: 'pi_test',
+      idempotencyKey: 'btc-pac-1',
+      donorInfo: { compliance: 'compliant' },
+    });
+    const address = await getBTCAddress({ userId: user._id });
+    stubSource.addTransaction(address, {
+      txid: 'tx2',
+      amount_sats: 125000,
+      block_height: 200,
+    });
+    stubSource.setTipHeight(205);
+
+    const summary = await pollPendingAddresses();
+
+    const record = await BtcAddress.findOne({ address });
+    const updatedUser = await User.findById(user._id);
+    expect(summary.flagged).toBe(1);
+    expect(record.pac_review.status).toBe('flagged');
+    expect(record.pac_review.excess_usd).toBe(52.5);
+    expect(updatedUser.tipLimitReached).toBe(true);
+    expect(await getPacContributionsUsd(user._id)).toBe(62.5);
+  });
+
+  it('should expire pending addresses after the watch window', async () => {
+    const address = await getBTCAddress({});
+    await BtcAddress.updateOne(
+      { address },
+      { $set: { watch_until: new Date(Date.now() - 1000) } }
+    );
+
+    const summary = await pollPendingAddresses();
+
+    const record = await BtcAddress.findOne({ address });
+    expect(summary.expired).toBe(1);
+    expect(record.status).toBe('expired');
+  });
+});
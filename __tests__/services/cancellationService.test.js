@@ -0,0 +1,139 @@
+const CancellationService = require('../../services/celebration/cancellationService');
+const { User, Celebration } = require('../../models');
+const { createCelebration, createStripeStub } = require('../../test/fixtures');
+
+describe('CancellationService', () => {
+  let user;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    user = await User.create({
+      username: 'canceller',
+      password: 'password123',
+      email: 'canceller@test.com',
+    });
+    await createCelebration(user._id, 'cancel-1', {
+      tip: 0.5,
+      payment_intent: 'pi_test',
+    });
+  });
+
+  describe('makeDefunctAndCancel', () => {
+    it('should cancel the payment intent and record it on the ledger entry', async () => {
+      const stripe = createStripeStub({ status: 'requires_capture' });
+      const celebration = await Celebration.findOne({
+        idempotencyKey: 'cancel-1',
+      });
+
+      const result = await CancellationService.makeDefunctAndCancel(
+        celebration,
+        'Congressional session ended without action on target bill',
+        { session_number: '119th Congress' },
+        { stripe },
+        Celebration
+      );
+
+      expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_test', {
+        cancellation_reason: 'abandoned',
+      });
+      expect(result.stripeCancellation.outcome).toBe('canceled');
+
+      const updated = await Celebration.findById(celebration._id);
+      const entry = updated.status_ledger[updated.status_ledger.length - 1];
+      expect(updated.current_status).toBe('defunct');
+      expect(entry.metadata.congressional_session.session_number).toBe(
+        '119th Congress'
+      );
+      expect(entry.metadata.stripe_cancellation).toMatchObject({
+        payment_intent_id: 'pi_test',
+        outcome: 'canceled',
+        payment_intent_status: 'canceled',
+        stripe_request_id: 'req_cancel',
+      });
+    });
+
+    it('should not cancel an authorization Stripe already released', async () => {
+      const stripe = createStripeStub({
+        status: 'canceled',
+        extra: { cancellation_reason: 'automatic' },
+      });
+      const celebration = await Celebration.findOne({
+        idempotencyKey: 'cancel-1',
+      });
+
+      const result = await CancellationService.makeDefunctAndCancel(
+        celebration,
+        'Congressional session ended without action on target bill',
+        {},
+        { stripe },
+        Celebration
+      );
+
+      expect(stripe.paymentIntents.cancel).not.toHaveBeenCalled();
+      expect(result.stripeCancellation).toMatchObject({
+        outcome: 'already_canceled',
+        cancellation_reason: 'automatic',
+      });
+    });
+
+    it('should still go defunct when Stripe errors', async () => {
+      const stripe = createStripeStub({ status: 'requires_capture' });
+      stripe.paymentIntents.cancel.mockRejectedValue(
+        Object.assign(new Error('Connection error'), {
+          type: 'StripeConnectionError',
+        })
+      );
+      const celebration = await Celebration.findOne({
+        idempotencyKey: 'cancel-1',
+      });
+
+      await CancellationService.makeDefunctAndCancel(
+        celebration,
+        'Candidate removed from the competitive roster',
+        {},
+        { stripe },
+        Celebration
+      );
+
+      const updated = await Celebration.findById(celebration._id);
+      const entry = updated.status_ledger[updated.status_ledger.length - 1];
+      expect(updated.current_status).toBe('defunct');
+      expect(entry.metadata.stripe_cancellation.outcome).toBe('error');
+      expect(entry.metadata.stripe_cancellation.error_code).toBe(
+        'StripeConnectionError'
+      );
+    });
+  });
+
+  describe('getOpenDefunctReport', () => {
+    it('should list defunct Celebrations whose payment intents are open', async () => {
+      await Celebration.updateOne(
+        { idempotencyKey: 'cancel-1' },
+        { current_status: 'defunct', defunct: true }
+      );
+
+      const open = await CancellationService.getOpenDefunctReport(
+        { stripe: createStripeStub({ status: 'requires_capture' }) },
+        Celebration
+      );
+      const closed = await CancellationService.getOpenDefunctReport(
+        {
+          stripe: createStripeStub({
+            status: 'succeeded',
+            extra: { latest_charge: { id: 'ch_test', refunded: true } },
+          }),
+        },
+        Celebration
+      );
+
+      expect(open.openCount).toBe(1);
+      expect(open.items[0]).toMatchObject({
+        payment_intent: 'pi_test',
+        issue: 'open_payment_intent',
+      });
+      expect(closed.checkedCount).toBe(1);
+      expect(closed.openCount).toBe(0);
+    });
+  });
+});
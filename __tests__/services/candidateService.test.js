@@ -0,0 +1,89 @@
+const {
+  syncCandidates,
+  searchCandidates,
+  resolveRecipient,
+} = require('../../services/congress/candidateService');
+const { Candidate } = require('../../models');
+
+const row = (overrides = {}) => ({
+  candidate_id: 'H6NY14001',
+  name: 'DOE, JANE Q.',
+  party: 'REP',
+  office: 'H',
+  state: 'NY',
+  incumbent_challenge: 'C',
+  election_years: [2026],
+  election_districts: ['14'],
+  principal_committees: [
+    { committee_id: 'C00900001', name: 'DOE FOR CONGRESS', designation: 'P' },
+  ],
+  ...overrides,
+});
+
+describe('Candidate recipients', () => {
+  beforeEach(async () => {
+    await Candidate.deleteMany({});
+  });
+
+  it('should upsert FEC challengers with their race and committee', async () => {
+    const summary = await syncCandidates(
+      [
+        row(),
+        row({
+          candidate_id: 'S6NY00002',
+          name: 'ROE, RICHARD',
+          office: 'S',
+          incumbent_challenge: 'O',
+          election_districts: ['00'],
+          principal_committees: [],
+        }),
+      ],
+      2026
+    );
+
+    expect(summary.upserted).toBe(2);
+    const house = await Candidate.findOne({ fec_candidate_id: 'H6NY14001' });
+    expect(house.first_name).toBe('Jane');
+    expect(house.last_name).toBe('Doe');
+    expect(house.chamber).toBe('House');
+    expect(house.district).toBe('14');
+    expect(house.committee.id).toBe('C00900001');
+
+    const found = await searchCandidates({
+      ocd_id: 'ocd-division/country:us/state:ny/cd:14',
+    });
+    expect(found.map((c) => c.fec_candidate_id).sort()).toEqual([
+      'H6NY14001',
+      'S6NY00002',
+    ]);
+  });
+
+  it('should withdraw candidates missing from the next pull', async () => {
+    await syncCandidates([row(), row({ candidate_id: 'H6NY14002' })], 2026);
+
+    const summary = await syncCandidates([row()], 2026);
+
+    expect(summary.withdrawn).toEqual(['H6NY14002']);
+    expect(await resolveRecipient('H6NY14002')).toEqual({ selectable: false });
+    expect(await resolveRecipient('A000055')).toBeNull();
+    expect(await resolveRecipient('H6NY14001')).toMatchObject({
+      selectable: true,
+      recipient_type: 'candidate',
+      FEC_id: 'H6NY14001',
+      pol_name: 'Jane Doe',
+      committee_id: 'C00900001',
+    });
+  });
+
+  it('should not withdraw anyone when the FEC pull is empty', async () => {
+    await syncCandidates([row()], 2026);
+
+    const summary = await syncCandidates([], 2026);
+
+    expect(summary.withdrawn).toEqual([]);
+    const candidate = await Candidate.findOne({
+      fec_candidate_id: 'H6NY14001',
+    });
+    expect(candidate.active).toBe(true);
+  });
+});
@@ -82,6 +82,40 @@ describe('CelebrationService', () => {
       expect(users.map((u) => u.email)).toContain('user1@test.com');
       expect(users.map((u) => u.email)).toContain('user2@test.com');
     });
+
+    it('should return every user in the state for a Senate race', async () => {
+      await User.create([
+        {
+          username: 'user1',
+          password: 'password123',
+          email: 'user1@test.com',
+          ocd_id: 'ocd-division/country:us/state:ca/cd:12',
+        },
+        {
+          username: 'user2',
+          password: 'password123',
+          email: 'user2@test.com',
+          ocd_id: 'ocd-division/country:us/state:ca/cd:40',
+        },
+        {
+          username: 'user3',
+          password: 'password123',
+          email: 'user3@test.com',
+          ocd_id: 'ocd-division/country:us/state:nc/cd:01',
+        },
+      ]);
+
+      const users = await getUsersInDistrict({
+        state: 'CA',
+        district: '',
+        chamber: 'Senate',
+      });
+
+      expect(users.map((u) => u.email).sort()).toEqual([
+        'user1@test.com',
+        'user2@test.com',
+      ]);
+    });
   });
 
   describe('getUsersWithActiveCelebration', () => {
@@ -0,0 +1,164 @@
+const { resolveDistrict } = require('../../services/civics/districtResolver');
+const googleCivicsResolver = require('../../services/civics/districtResolvers/googleCivicsResolver');
+const { getLocalPols } = require('../../controller/civics/getLocalPols');
+const {
+  CongressionalDistrict,
+  ZipDistrict,
+  ZipCentroid,
+} = require('../../models');
+
+jest.mock(
+  '../../services/civics/districtResolvers/googleCivicsResolver',
+  () => ({
+    name: 'google',
+    resolve: jest.fn(),
+  })
+);
+
+const NY_12 = 'ocd-division/country:us/state:ny/cd:12';
+const NY_10 = 'ocd-division/country:us/state:ny/cd:10';
+
+describe('District resolver', () => {
+  const originalResolver = process.env.DISTRICT_RESOLVER;
+
+  beforeAll(async () => {
+    await CongressionalDistrict.init();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    delete process.env.DISTRICT_RESOLVER;
+    await CongressionalDistrict.deleteMany({});
+    await ZipDistrict.deleteMany({});
+    await ZipCentroid.deleteMany({});
+    await ZipDistrict.create([
+      { zip: '10019', state: 'NY', district: '12', ocd_id: NY_12, share: 1 },
+      { zip: '10001', state: 'NY', district: '12', ocd_id: NY_12, share: 0.95 },
+      { zip: '10001', state: 'NY', district: '10', ocd_id: NY_10, share: 0.05 },
+      { zip: '10002', state: 'NY', district: '12', ocd_id: NY_12, share: 0.5 },
+      { zip: '10002', state: 'NY', district: '10', ocd_id: NY_10, share: 0.5 },
+    ]);
+  });
+
+  afterAll(() => {
+    if (originalResolver === undefined) delete process.env.DISTRICT_RESOLVER;
+    else process.env.DISTRICT_RESOLVER = originalResolver;
+  });
+
+  it('should resolve an address from the ZIP crosswalk without Google', async () => {
+    await expect(
+      resolveDistrict({ address: '1 Columbus Cir New York NY 10019' })
+    ).resolves.toBe(NY_12);
+    expect(googleCivicsResolver.resolve).not.toHaveBeenCalled();
+  });
+
+  it('should return the state-only ocd_id for an at-large state', async () => {
+    await expect(
+      resolveDistrict({
+        address: '1 Main St Anchorage',
+        state: 'AK',
+        zip: '99501',
+      })
+    ).resolves.toBe('ocd-division/country:us/state:ak');
+  });
+
+  it('should pick the main district of a split ZIP only when it dominates', async () => {
+    await expect(
+      resolveDistrict({ address: '1 Penn Plz New York NY 10001' })
+    ).resolves.toBe(NY_12);
+    await expect(
+      resolveDistrict({ address: '1 Grand St New York NY 10002' })
+    ).resolves.toBeUndefined();
+  });
+
+  it('should place coordinates inside a TIGER district polygon', async () => {
+    await CongressionalDistrict.create({
+      state: 'NY',
+      district: '10',
+      ocd_id: NY_10,
+      congress: 119,
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [-74.0, 40.7],
+            [-73.98, 40.7],
+            [-73.98, 40.72],
+            [-74.0, 40.72],
+            [-74.0, 40.7],
+          ],
+        ],
+      },
+    });
+
+    await expect(
+      resolveDistrict({
+        address: '1 Grand St New York NY 10002',
+        location: { lat: 40.71, lng: -73.99 },
+      })
+    ).resolves.toBe(NY_10);
+  });
+
+  it('should place a ZIP by its internal point only when it lies in one district', async () => {
+    await CongressionalDistrict.create({
+      state: 'NY',
+      district: '10',
+      ocd_id: NY_10,
+      congress: 119,
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [-74.0, 40.7],
+            [-73.98, 40.7],
+            [-73.98, 40.72],
+            [-74.0, 40.72],
+            [-74.0, 40.7],
+          ],
+        ],
+      },
+    });
+    await ZipCentroid.create([
+      { zip: '10019', lat: 40.71, lng: -73.99 },
+      { zip: '10002', lat: 40.71, lng: -73.99 },
+    ]);
+
+    // One district in the crosswalk: the current boundary holding the point
+    await expect(
+      getLocalPols('1 Columbus Cir New York NY 10019', {
+        zip: '10019',
+        state: 'NY',
+      })
+    ).resolves.toBe(NY_10);
+    // Split evenly: the internal point is no evidence, so no guess
+    await expect(
+      getLocalPols('1 Grand St New York NY 10002')
+    ).resolves.toBeUndefined();
+    // No internal point loaded for 10001: the crosswalk share rule
+    await expect(getLocalPols('1 Penn Plz New York NY 10001')).resolves.toBe(
+      NY_12
+    );
+  });
+
+  it('should fail over from Google to local data', async () => {
+    process.env.DISTRICT_RESOLVER = 'google,local';
+    googleCivicsResolver.resolve.mockRejectedValueOnce(new Error('503'));
+
+    await expect(
+      resolveDistrict({ address: '1 Columbus Cir New York NY 10019' })
+    ).resolves.toBe(NY_12);
+    expect(googleCivicsResolver.resolve).toHaveBeenCalledTimes(1);
+  });
+
+  it('should ask for a fuller address only when no backend resolves it', async () => {
+    process.env.DISTRICT_RESOLVER = 'google,local';
+    googleCivicsResolver.resolve.mockResolvedValue('prompt-requery');
+
+    await expect(
+      resolveDistrict({ address: '1 Columbus Cir New York NY 10019' })
+    ).resolves.toBe(NY_12);
+    await expect(
+      resolveDistrict({ address: '1 Grand St New York NY 10002' })
+    ).resolves.toBe('prompt-requery');
+  });
+});
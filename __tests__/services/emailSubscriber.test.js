@@ -0,0 +1,74 @@
+const {
+  emitEvent,
+  retryDeliveries,
+} = require('../../services/events/eventService');
+const { enqueueEmail } = require('../../services/comms/outboxService');
+const { User, WatcherEvent } = require('../../models');
+
+jest.mock('../../services/comms/outboxService');
+jest.mock('../../services/events/subscribers/social', () => ({
+  channel: 'social',
+  handlers: {},
+}));
+jest.mock('../../services/events/subscribers/sms', () => ({
+  channel: 'sms',
+  handlers: {},
+}));
+jest.mock('../../services/events/subscribers/webhooks', () => ({
+  channel: 'webhook',
+  handlers: {},
+}));
+
+describe('Watcher event email subscriber', () => {
+  beforeAll(async () => {
+    await WatcherEvent.init();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({});
+    await WatcherEvent.deleteMany({});
+    await User.create({
+      username: 'billwatcher',
+      password: 'password123',
+      email: 'billwatcher@test.com',
+    });
+  });
+
+  it('should record a delivery that queued nothing as failed and retry it', async () => {
+    enqueueEmail.mockRejectedValueOnce(new Error('outbox unavailable'));
+
+    const event = await emitEvent({
+      type: 'bill_status',
+      action: 'updated',
+      entity: { kind: 'bill', id: 'hjres54-119', label: 'H.J.Res.54' },
+      before: { status: 'Introduced' },
+      after: { status: 'Reported', updateDate: '2025-03-04' },
+      context: { billTitle: 'We The People Amendment', totalDonations: 0 },
+      dedupeKey: 'bill_status:hjres54-119:2025-03-04',
+    });
+
+    const [email] = event.deliveries;
+    expect(email).toMatchObject({
+      channel: 'email',
+      status: 'failed',
+      attempts: 1,
+    });
+
+    const summary = await retryDeliveries({
+      now: new Date(email.next_attempt_at.getTime() + 1),
+    });
+
+    expect(summary).toEqual({ claimed: 1, sent: 1, retried: 0, dead: 0 });
+    expect(enqueueEmail).toHaveBeenCalledTimes(2);
+    const stored = await WatcherEvent.findById(event._id).lean();
+    expect(stored.deliveries).toEqual([
+      expect.objectContaining({
+        channel: 'email',
+        status: 'sent',
+        attempts: 2,
+        result: { queued: 1, failed: 0 },
+      }),
+    ]);
+  });
+});
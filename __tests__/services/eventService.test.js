@@ -0,0 +1,188 @@
+const {
+  emitEvent,
+  listEvents,
+  retryDeliveries,
+} = require('../../services/events/eventService');
+const { WatcherEvent } = require('../../models');
+
+jest.mock('../../services/events/subscribers/email', () => ({
+  channel: 'email',
+  handlers: { bill_status: jest.fn(), session_end: jest.fn() },
+}));
+jest.mock('../../services/events/subscribers/social', () => ({
+  channel: 'social',
+  handlers: { bill_status: jest.fn(), session_end: jest.fn() },
+}));
+jest.mock('../../services/events/subscribers/sms', () => ({
+  channel: 'sms',
+  handlers: {},
+}));
+jest.mock('../../services/events/subscribers/webhooks', () => ({
+  channel: 'webhook',
+  handlers: {},
+}));
+
+const email = require('../../services/events/subscribers/email');
+const social = require('../../services/events/subscribers/social');
+
+const billEvent = (updateDate) => ({
+  type: 'bill_status',
+  action: 'updated',
+  entity: { kind: 'bill', id: 'hjres54-119', label: 'H.J.Res.54' },
+  before: { status: 'Introduced' },
+  after: { status: 'Reported', updateDate },
+  context: { billTitle: 'We The People Amendment' },
+  dedupeKey: `bill_status:hjres54-119:${updateDate}`,
+});
+
+describe('Watcher event service', () => {
+  beforeAll(async () => {
+    // dedupe relies on the unique index on dedupe_key
+    await WatcherEvent.init();
+  });
+
+  beforeEach(async () => {
+    await WatcherEvent.deleteMany({});
+    for (const handler of [
+      ...Object.values(email.handlers),
+      ...Object.values(social.handlers),
+    ]) {
+      handler.mockReset();
+    }
+  });
+
+  it('should record the event and each subscriber delivery', async () => {
+    email.handlers.bill_status.mockResolvedValue({ queued: 12, failed: 0 });
+    social.handlers.bill_status.mockRejectedValue(new Error('webhook 502'));
+
+    const event = await emitEvent(billEvent('2025-03-04'));
+
+    expect(event).toMatchObject({
+      type: 'bill_status',
+      dedupe_key: 'bill_status:hjres54-119:2025-03-04',
+    });
+    expect(email.handlers.bill_status).toHaveBeenCalledWith(
+      expect.objectContaining({
+        after: { status: 'Reported', updateDate: '2025-03-04' },
+      })
+    );
+    const stored = await WatcherEvent.findById(event._id).lean();
+    expect(stored.deliveries).toEqual([
+      expect.objectContaining({
+        channel: 'email',
+        status: 'sent',
+        result: { queued: 12, failed: 0 },
+      }),
+      expect.objectContaining({
+        channel: 'social',
+        status: 'failed',
+        error: 'webhook 502',
+      }),
+    ]);
+  });
+
+  it('should not record deliveries for subscribers with nothing to send', async () => {
+    email.handlers.session_end.mockResolvedValue(null);
+    social.handlers.session_end.mockResolvedValue(null);
+
+    const event = await emitEvent({
+      type: 'session_end',
+      action: 'ended',
+      entity: { kind: 'session', id: '119-1', label: '119th Congress' },
+      context: { convertedCount: 0 },
+      dedupeKey: 'session_end:119:1',
+    });
+
+    expect(event.deliveries).toEqual([]);
+  });
+
+  it('should skip an event whose dedupe key was already recorded', async () => {
+    email.handlers.bill_status.mockResolvedValue({ queued: 1, failed: 0 });
+    social.handlers.bill_status.mockResolvedValue({ posted: true });
+
+    await emitEvent(billEvent('2025-03-04'));
+    const again = await emitEvent(billEvent('2025-03-04'));
+
+    expect(again).toBeNull();
+    expect(email.handlers.bill_status).toHaveBeenCalledTimes(1);
+    expect(await WatcherEvent.countDocuments()).toBe(1);
+  });
+
+  it('should retry a failed delivery once it is due', async () => {
+    email.handlers.bill_status.mockResolvedValue({ queued: 12, failed: 0 });
+    social.handlers.bill_status
+      .mockRejectedValueOnce(new Error('webhook 502'))
+      .mockResolvedValueOnce({ posted: true });
+
+    const event = await emitEvent(billEvent('2025-03-04'));
+    const { next_attempt_at } = event.deliveries[1];
+
+    expect(await retryDeliveries()).toMatchObject({ claimed: 0 });
+
+    const summary = await retryDeliveries({
+      now: new Date(next_attempt_at.getTime() + 1),
+    });
+
+    expect(summary).toEqual({ claimed: 1, sent: 1, retried: 0, dead: 0 });
+    expect(email.handlers.bill_status).toHaveBeenCalledTimes(1);
+    const stored = await WatcherEvent.findById(event._id).lean();
+    expect(stored.deliveries).toEqual([
+      expect.objectContaining({ channel: 'email', status: 'sent' }),
+      expect.objectContaining({
+        channel: 'social',
+        status: 'sent',
+        attempts: 2,
+        result: { posted: true },
+      }),
+    ]);
+    expect(stored.locked_until).toBeUndefined();
+  });
+
+  it('should deliver what a crashed run left pending once its lock expires', async () => {
+    email.handlers.bill_status.mockResolvedValue({ queued: 3, failed: 0 });
+    social.handlers.bill_status.mockResolvedValue({ posted: true });
+    const lockedUntil = new Date(Date.now() + 60 * 1000);
+    const event = await WatcherEvent.create({
+      type: 'bill_status',
+      action: 'updated',
+      entity: { kind: 'bill', id: 'hjres54-119' },
+      dedupe_key: 'bill_status:hjres54-119:2025-03-04',
+      deliveries: [
+        { channel: 'email', status: 'sent', attempts: 1, result: {} },
+        { channel: 'social', status: 'pending' },
+      ],
+      locked_until: lockedUntil,
+    });
+
+    expect(await retryDeliveries()).toMatchObject({ claimed: 0 });
+    const summary = await retryDeliveries({
+      now: new Date(lockedUntil.getTime() + 1),
+    });
+
+    expect(summary).toEqual({ claimed: 1, sent: 1, retried: 0, dead: 0 });
+    expect(email.handlers.bill_status).not.toHaveBeenCalled();
+    const stored = await WatcherEvent.findById(event._id).lean();
+    expect(stored.deliveries[1]).toMatchObject({
+      channel: 'social',
+      status: 'sent',
+    });
+  });
+
+  it('should list events filtered by type and failed delivery', async () => {
+    email.handlers.bill_status.mockResolvedValue({ queued: 1, failed: 0 });
+    social.handlers.bill_status
+      .mockResolvedValueOnce({ posted: true })
+      .mockRejectedValueOnce(new Error('webhook 502'));
+
+    await emitEvent(billEvent('2025-03-04'));
+    await emitEvent(billEvent('2025-03-11'));
+
+    const all = await listEvents({ type: 'bill_status' });
+    expect(all).toMatchObject({ total: 2, page: 1, pages: 1 });
+
+    const failed = await listEvents({ failed: true });
+    expect(failed.items.map((e) => e.dedupe_key)).toEqual([
+      'bill_status:hjres54-119:2025-03-11',
+    ]);
+  });
+});
@@ -0,0 +1,152 @@
+const FecExportService = require('../../services/celebration/fecExportService');
+const { User, Celebration } = require('../../models');
+
+describe('FecExportService', () => {
+  let user;
+
+  const createSettled = (
+    idempotencyKey,
+    donation,
+    settledAt,
+    extra = {},
+    donorExtra = {}
+  ) =>
+    Celebration.create({
+      donatedBy: user._id,
+      FEC_id: 'H8CA12345',
+      current_status: 'resolved',
+      resolved: true,
+      settlement_status: 'settled',
+      settled_at: new Date(settledAt),
+      fee: 1.0,
+      tip: 0,
+      pol_id: 'T000001',
+      bill_id: 'hjres54-119',
+      donation,
+      pol_name: 'Test Politician',
+      idempotencyKey,
+      donorInfo: {
+        compliance: 'compliant',
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        address: '1 Main St',
+        city: 'Springfield',
+        state: 'IL',
+        zip: '62701',
+        employer: 'Analytical Engines',
+        occupation: 'Engineer',
+        ...donorExtra,
+      },
+      ...extra,
+    });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    user = await User.create({
+      username: 'itemized',
+      password: 'password123',
+      email: 'itemized@test.com',
+    });
+  });
+
+  it('should itemize once the year-to-date aggregate passes $200', async () => {
+    await createSettled('fec-1', 150, '2025-02-03T15:00:00Z');
+    await createSettled(
+      'fec-2',
+      100,
+      '2025-03-10T15:00:00Z',
+      {},
+      {
+        validationFlags: {
+          isFlagged: true,
+          flags: [
+            {
+              field: 'occupation',
+              reason: 'Generic occupation',
+              match: 'generic',
+              originalValue: 'Engineer',
+            },
+          ],
+        },
+      }
+    );
+    await createSettled('fec-3', 500, '2025-03-12T15:00:00Z', {
+      payment_flags: { refunded: true },
+    });
+
+    const { recipients } = await FecExportService.buildReport(
+      { from: '2025-03-01', to: '2025-03-31' },
+      Celebration
+    );
+
+    expect(recipients).toHaveLength(1);
+    const [report] = recipients;
+    expect(report.itemized).toHaveLength(1);
+    expect(report.itemized[0]).toMatchObject({
+      contribution_date: '2025-03-10',
+      amount: '100.00',
+      aggregate_ytd: '250.00',
+      last_name: 'Lovelace',
+      memo: 'VALIDATION FLAGS: occupation (generic): Generic occupation',
+    });
+    expect(report.flaggedCount).toBe(1);
+  });
+
+  it('should leave small contributors unitemized', async () => {
+    await createSettled('fec-1', 50, '2025-03-10T15:00:00Z');
+
+    const { recipients } = await FecExportService.buildReport(
+      { from: '2025-03-01', to: '2025-03-31', candidate: 'H8CA12345' },
+      Celebration
+    );
+
+    expect(recipients[0].itemized).toHaveLength(0);
+    expect(recipients[0].unitemizedCount).toBe(1);
+    expect(recipients[0].unitemizedTotal).toBe(50);
+  });
+
+  it('should write CSV and .fec records', async () => {
+    await createSettled('fec-1', 250, '2025-03-10T15:00:00Z');
+    const {
+      recipients: [report],
+    } = await FecExportService.buildReport(
+      { from: '2025-03-01', to: '2025-03-31' },
+      Celebration
+    );
+
+    const csv = FecExportService.toCsv(report).split('\r\n');
+    const fec = FecExportService.toFec(report, { committeeId: 'C00123456' })
+      .trim()
+      .split('\n')
+      .map((line) => line.split('\x1c'));
+
+    expect(csv[0]).toMatch(/^Transaction ID,Contribution Date,Amount/);
+    expect(csv[1]).toContain(',250.00,250.00,Lovelace,Ada,');
+    expect(fec[0].slice(0, 3)).toEqual(['HDR', 'FEC', '8.4']);
+    expect(fec[1]).toHaveLength(45);
+    expect(fec[1].slice(0, 2)).toEqual(['SA11AI', 'C00123456']);
+    expect(fec[1][19]).toBe('20250310');
+    expect(fec[1][20]).toBe('250.00');
+    expect(fec[1][27]).toBe('');
+    expect(fec[1][36]).toBe('POWERBACK.us');
+  });
+
+  it('should file .fec records under the recipient committee', async () => {
+    await createSettled('fec-1', 250, '2025-03-10T15:00:00Z', {
+      committee_id: 'C00654321',
+    });
+    const {
+      recipients: [report],
+    } = await FecExportService.buildReport(
+      { from: '2025-03-01', to: '2025-03-31' },
+      Celebration
+    );
+
+    const [, sa11] = FecExportService.toFec(report).trim().split('\n');
+    expect(sa11.split('\x1c')[1]).toBe('C00654321');
+    expect(() =>
+      FecExportService.toFec({ ...report, committee_id: '' })
+    ).toThrow('missing-committee-id');
+  });
+});
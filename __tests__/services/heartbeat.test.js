@@ -0,0 +1,40 @@
+const { getWorkerStatus } = require('../../jobs/heartbeat');
+const { WorkerHeartbeat } = require('../../models');
+
+const beat = (id, ageMs, running = []) =>
+  WorkerHeartbeat.create({
+    _id: id,
+    host: id.split(':')[0],
+    pid: Number(id.split(':')[1]),
+    started_at: new Date(Date.now() - 60 * 60 * 1000),
+    beat_at: new Date(Date.now() - ageMs),
+    running,
+  });
+
+describe('Worker heartbeat status', () => {
+  beforeEach(async () => {
+    await WorkerHeartbeat.deleteMany({});
+  });
+
+  it('should report missing when no worker has beat', async () => {
+    expect(await getWorkerStatus()).toEqual({ status: 'missing', workers: [] });
+  });
+
+  it('should report ok when any worker beat recently, newest first', async () => {
+    await beat('worker-1:100', 10 * 60 * 1000);
+    await beat('worker-2:200', 5 * 1000, ['billWatcher']);
+
+    const { status, workers } = await getWorkerStatus();
+
+    expect(status).toBe('ok');
+    expect(workers.map((w) => w.id)).toEqual(['worker-2:200', 'worker-1:100']);
+    expect(workers[0]).toMatchObject({ running: ['billWatcher'] });
+    expect(workers[0].ageSeconds).toBeLessThan(60);
+  });
+
+  it('should report stale when the newest beat is too old', async () => {
+    await beat('worker-1:100', 10 * 60 * 1000);
+
+    expect((await getWorkerStatus()).status).toBe('stale');
+  });
+});
@@ -0,0 +1,100 @@
+const CelebrationHistoryService = require('../../services/celebration/historyService');
+const { User, Celebration } = require('../../models');
+const { createCelebration } = require('../../test/fixtures');
+
+describe('CelebrationHistoryService', () => {
+  let user, other;
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    user = await User.create({
+      username: 'donor@test.com',
+      password: 'password123',
+      email: 'donor@test.com',
+    });
+    other = await User.create({
+      username: 'other@test.com',
+      password: 'password123',
+      email: 'other@test.com',
+    });
+  });
+
+  describe('page', () => {
+    it('should page, sort and total only the donor’s filtered Celebrations', async () => {
+      await createCelebration(user._id, 'history-1', { donation: 5 });
+      await createCelebration(user._id, 'history-2', { donation: 50 });
+      await createCelebration(user._id, 'history-3', { donation: 20 });
+      await createCelebration(user._id, 'history-4', {
+        donation: 100,
+        pol_name: 'Someone Else',
+      });
+      await createCelebration(user._id, 'history-5', {
+        donation: 500,
+        donatedBy: other._id,
+      });
+
+      const result = await CelebrationHistoryService.page(
+        String(user._id),
+        { q: 'test pol' },
+        { page: 1, limit: 2, sort: 'largest' },
+        Celebration
+      );
+
+      expect(result.total).toBe(3);
+      expect(result.pages).toBe(2);
+      expect(result.donation_total).toBe(75);
+      expect(result.items.map((c) => c.idempotencyKey)).toEqual([
+        'history-2',
+        'history-3',
+      ]);
+    });
+  });
+
+  describe('exportRecords', () => {
+    it('should include the donor snapshot and status timeline', async () => {
+      await createCelebration(user._id, 'history-1', {
+        current_status: 'paused',
+        donorInfo: { validationFlags: { isFlagged: true } },
+        status_ledger: [
+          {
+            status_change_id: 'change-1',
+            previous_status: 'active',
+            new_status: 'paused',
+            change_datetime: new Date('2026-03-01T15:00:00Z'),
+            reason: 'Bill stalled',
+            triggered_by: 'system',
+          },
+        ],
+      });
+
+      const [record] = await CelebrationHistoryService.exportRecords(
+        String(user._id),
+        {},
+        'newest',
+        Celebration
+      );
+
+      expect(record.donor).toMatchObject({
+        firstName: 'Dana',
+        zip: '10001',
+        compliance: 'compliant',
+      });
+      expect(record.donor.validationFlags).toBeUndefined();
+      expect(record.timeline).toEqual([
+        {
+          at: new Date('2026-03-01T15:00:00Z'),
+          from: 'active',
+          to: 'paused',
+          reason: 'Bill stalled',
+        },
+      ]);
+      expect(CelebrationHistoryService.toCsv([record])).toContain(
+        '2026-03-01 active → paused (Bill stalled)'
+      );
+      expect(
+        CelebrationHistoryService.toPdf([record]).toString('latin1', 0, 8)
+      ).toBe('%PDF-1.4');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { runJob, runChain, startJob } = require('../../jobs/jobRunner');
+const { JobRun, JobLock } = require('../../models');
+
+jest.mock('../../jobs/registry', () => {
+  const jobs = {
+    countingJob: {
+      description: 'Counts things',
+      schedule: '0 15 * * 1-5',
+      supportsDryRun: true,
+      run: jest.fn(),
+    },
+    plainJob: {
+      description: 'No dry run',
+      schedule: '0 16 * * 1-5',
+      run: jest.fn(),
+    },
+    chainedJob: {
+      description: 'Reads what plainJob wrote',
+      after: 'plainJob',
+      run: jest.fn(),
+    },
+  };
+  return { jobs, getJob: (name) => jobs[name] };
+});
+
+const { jobs } = require('../../jobs/registry');
+
+describe('Job runner', () => {
+  beforeEach(async () => {
+    await JobRun.deleteMany({});
+    await JobLock.deleteMany({});
+    jobs.countingJob.run.mockReset();
+    jobs.plainJob.run.mockReset();
+    jobs.chainedJob.run.mockReset();
+  });
+
+  it('should record a completed run with its summary and release the lease', async () => {
+    jobs.countingJob.run.mockResolvedValue({ unsettledCount: 3 });
+
+    const run = await runJob('countingJob', {
+      dryRun: true,
+      requestedBy: 'cli',
+    });
+
+    expect(jobs.countingJob.run).toHaveBeenCalledWith({ dryRun: true });
+    expect(run).toMatchObject({
+      job: 'countingJob',
+      status: 'completed',
+      trigger: 'manual',
+      dry_run: true,
+      requested_by: 'cli',
+      summary: { unsettledCount: 3 },
+    });
+    expect(run.duration_ms).toBeGreaterThanOrEqual(0);
+    expect(await JobLock.countDocuments()).toBe(0);
+  });
+
+  it('should record a failed run', async () => {
+    jobs.plainJob.run.mockRejectedValue(new Error('Congress.gov 503'));
+
+    const run = await runJob('plainJob', { trigger: 'schedule' });
+
+    expect(run).toMatchObject({ status: 'failed', error: 'Congress.gov 503' });
+    expect(await JobLock.countDocuments()).toBe(0);
+  });
+
+  it('should refuse unknown jobs and unsupported dry runs', async () => {
+    await expect(runJob('nope')).rejects.toThrow('unknown-job');
+    await expect(runJob('plainJob', { dryRun: true })).rejects.toThrow(
+      'dry-run-unsupported'
+    );
+    expect(jobs.plainJob.run).not.toHaveBeenCalled();
+  });
+
+  it('should skip a job whose lease another instance holds', async () => {
+    await JobLock.create({
+      _id: 'plainJob',
+      run_id: new mongoose.Types.ObjectId(),
+      holder: 'worker-2:4242',
+      acquired_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 1000),
+    });
+
+    const result = await startJob('plainJob');
+
+    expect(result).toMatchObject({ skipped: true, holder: 'worker-2:4242' });
+    expect(jobs.plainJob.run).not.toHaveBeenCalled();
+    expect(await JobRun.countDocuments()).toBe(0);
+  });
+
+  it('should take over a lapsed lease and mark the old run abandoned', async () => {
+    const stale = await JobRun.create({
+      job: 'plainJob',
+      host: 'worker-2:4242',
+      started_at: new Date(Date.now() - 60 * 60 * 1000),
+    });
+    await JobLock.create({
+      _id: 'plainJob',
+      run_id: stale._id,
+      holder: 'worker-2:4242',
+      acquired_at: stale.started_at,
+      expires_at: new Date(Date.now() - 1000),
+    });
+    jobs.plainJob.run.mockResolvedValue(undefined);
+
+    const run = await runJob('plainJob');
+
+    expect(run.status).toBe('completed');
+    expect(await JobRun.findById(stale._id).lean()).toMatchObject({
+      status: 'abandoned',
+    });
+  });
+
+  it('should run a chained job only once its predecessor has finished', async () => {
+    let release;
+    jobs.plainJob.run.mockReturnValue(
+      new Promise((resolve) => {
+        release = resolve;
+      })
+    );
+    jobs.chainedJob.run.mockRejectedValue(new Error('Congress.gov 503'));
+
+    const chain = runChain('plainJob', { trigger: 'schedule' });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(jobs.chainedJob.run).not.toHaveBeenCalled();
+
+    release({ membersChecked: 435 });
+    const runs = await chain;
+
+    expect(runs).toEqual([
+      expect.objectContaining({ job: 'plainJob', status: 'completed' }),
+      expect.objectContaining({
+        job: 'chainedJob',
+        status: 'failed',
+        trigger: 'schedule',
+      }),
+    ]);
+  });
+
+  it('should leave the chain to the instance holding the first lease', async () => {
+    await JobLock.create({
+      _id: 'plainJob',
+      run_id: new mongoose.Types.ObjectId(),
+      holder: 'worker-2:4242',
+      acquired_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 1000),
+    });
+
+    const runs = await runChain('plainJob', { trigger: 'schedule' });
+
+    expect(runs).toEqual([expect.objectContaining({ skipped: true })]);
+    expect(jobs.chainedJob.run).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  enqueueEmail,
+  processOutbox,
+  backoffMs,
+} = require('../../services/comms/outboxService');
+const { deliverEmail } = require('../../controller/comms/sendEmail');
+const { EmailOutbox } = require('../../models');
+const { EMAIL } = require('../../constants');
+
+jest.mock('../../controller/comms/sendEmail', () => ({
+  ...jest.requireActual('../../controller/comms/sendEmail'),
+  deliverEmail: jest.fn(),
+}));
+
+const Hello = (firstName) => [0, 'Hello', `<p>Hi ${firstName}</p>`];
+
+describe('Email outbox', () => {
+  beforeEach(async () => {
+    await EmailOutbox.deleteMany({});
+    deliverEmail.mockReset();
+  });
+
+  it('should queue the rendered message and record the provider message id once sent', async () => {
+    await enqueueEmail('donor@test.com', Hello, 'Dana');
+    expect(deliverEmail).not.toHaveBeenCalled();
+
+    deliverEmail.mockResolvedValue({
+      messageId: '<abc@powerback.us>',
+      response: '250 OK',
+    });
+    const summary = await processOutbox();
+
+    expect(summary).toEqual({ claimed: 1, sent: 1, retried: 0, dead: 0 });
+    expect(deliverEmail).toHaveBeenCalledWith(
+      0,
+      expect.objectContaining({
+        to: 'donor@test.com',
+        subject: 'Hello',
+        html: '<p>Hi Dana</p>',
+      })
+    );
+    const entry = await EmailOutbox.findOne().lean();
+    expect(entry).toMatchObject({
+      status: 'sent',
+      attempts: 1,
+      template: 'Hello',
+      message_id: '<abc@powerback.us>',
+    });
+    expect(entry.locked_until).toBeUndefined();
+  });
+
+  it('should back off after failures and dead-letter after MAX_ATTEMPTS', async () => {
+    await enqueueEmail('donor@test.com', Hello, 'Dana');
+    deliverEmail.mockRejectedValue(
+      Object.assign(new Error('Connection timeout'), { code: 'ETIMEDOUT' })
+    );
+
+    let now = new Date();
+    await processOutbox({ now });
+    let entry = await EmailOutbox.findOne().lean();
+    expect(entry).toMatchObject({ status: 'queued', attempts: 1 });
+    expect(entry.next_attempt_at.getTime()).toBe(
+      now.getTime() + EMAIL.OUTBOX.BASE_DELAY_MS
+    );
+
+    // Not due yet
+    expect((await processOutbox({ now })).claimed).toBe(0);
+
+    for (let i = 1; i < EMAIL.OUTBOX.MAX_ATTEMPTS; i++) {
+      now = new Date(now.getTime() + backoffMs(i));
+      await processOutbox({ now });
+    }
+    entry = await EmailOutbox.findOne().lean();
+    expect(entry).toMatchObject({
+      status: 'dead',
+      attempts: EMAIL.OUTBOX.MAX_ATTEMPTS,
+      last_error: 'Connection timeout',
+    });
+    expect(entry.attempt_log).toHaveLength(EMAIL.OUTBOX.MAX_ATTEMPTS);
+    expect(entry.attempt_log[0]).toMatchObject({
+      ok: false,
+      code: 'ETIMEDOUT',
+    });
+  });
+
+  it('should reclaim a message whose worker never finished', async () => {
+    const entry = await enqueueEmail('donor@test.com', Hello, 'Dana');
+    await EmailOutbox.updateOne(
+      { _id: entry._id },
+      { status: 'sending', locked_until: new Date(Date.now() - 1000) }
+    );
+    deliverEmail.mockResolvedValue({ messageId: '<def@powerback.us>' });
+
+    expect((await processOutbox()).sent).toBe(1);
+  });
+});
@@ -0,0 +1,221 @@
+const PaymentEventService = require('../../services/celebration/paymentEventService');
+const SettlementService = require('../../services/celebration/settlementService');
+const { enqueueEmail } = require('../../services/comms/outboxService');
+const { User, Celebration, StripeEvent } = require('../../models');
+
+// Mock external dependencies
+jest.mock('../../controller/comms/sendEmail');
+jest.mock('../../services/comms/outboxService');
+
+const event = (id, type, object, extra = {}) => ({
+  id,
+  type,
+  data: { object, ...extra },
+});
+
+describe('PaymentEventService', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    await StripeEvent.deleteMany({});
+    user = await User.create({
+      username: 'webhooked',
+      password: 'password123',
+      email: 'webhooked@test.com',
+      payment: { customer_id: 'cus_test', payment_method: 'pm_old' },
+    });
+    await Celebration.create({
+      donatedBy: user._id,
+      FEC_id: 'T123456',
+      current_status: 'resolved',
+      resolved: true,
+      fee: 1.0,
+      tip: 0.5,
+      pol_id: 'T123456',
+      bill_id: 'hjres54-119',
+      donation: 10.0,
+      pol_name: 'Test Politician',
+      payment_intent: 'pi_test',
+      charge_id: 'ch_test',
+      idempotencyKey: 'webhook-1',
+      donorInfo: { compliance: 'compliant' },
+    });
+  });
+
+  describe('claimEvent', () => {
+    it('should claim an event once and allow failed events again', async () => {
+      const evt = event('evt_1', 'charge.refunded', {});
+
+      expect(await PaymentEventService.claimEvent(evt, StripeEvent)).toBe(true);
+      expect(await PaymentEventService.claimEvent(evt, StripeEvent)).toBe(
+        false
+      );
+
+      await PaymentEventService.completeEvent(
+        'evt_1',
+        new Error('boom'),
+        StripeEvent
+      );
+      expect(await PaymentEventService.claimEvent(evt, StripeEvent)).toBe(true);
+
+      const record = await StripeEvent.findOne({ event_id: 'evt_1' });
+      expect(record.attempts).toBe(2);
+    });
+
+    it('should let a redelivery take over a stale processing claim', async () => {
+      const evt = event('evt_2', 'charge.refunded', {});
+
+      expect(await PaymentEventService.claimEvent(evt, StripeEvent)).toBe(true);
+      expect(await PaymentEventService.claimEvent(evt, StripeEvent)).toBe(
+        false
+      );
+
+      // The process that claimed it died before completing it
+      await StripeEvent.updateOne(
+        { event_id: 'evt_2' },
+        { locked_until: new Date(Date.now() - 1000) }
+      );
+      expect(await PaymentEventService.claimEvent(evt, StripeEvent)).toBe(true);
+
+      const record = await StripeEvent.findOne({ event_id: 'evt_2' });
+      expect(record.status).toBe('processing');
+      expect(record.attempts).toBe(2);
+    });
+  });
+
+  describe('handleEvent', () => {
+    it('should record a refund and email the donor', async () => {
+      const result = await PaymentEventService.handleEvent(
+        event('evt_refund', 'charge.refunded', {
+          id: 'ch_test',
+          payment_intent: 'pi_test',
+          amount_refunded: 1150,
+          refunded: true,
+        }),
+        {},
+        Celebration,
+        User
+      );
+
+      expect(result.handled).toBe(true);
+      expect(enqueueEmail).toHaveBeenCalledTimes(1);
+
+      const celebration = await Celebration.findOne({
+        idempotencyKey: 'webhook-1',
+      });
+      const entry =
+        celebration.status_ledger[celebration.status_ledger.length - 1];
+      expect(celebration.current_status).toBe('resolved');
+      expect(celebration.payment_flags.refunded).toBe(true);
+      expect(celebration.payment_flags.amount_refunded).toBe(11.5);
+      expect(entry.metadata.payment_event).toMatchObject({
+        stripe_event_id: 'evt_refund',
+        event_type: 'charge.refunded',
+        amount_refunded: 11.5,
+      });
+    });
+
+    it('should email a payment failure once across webhook and settlement run', async () => {
+      const failed = (id) =>
+        event(id, 'payment_intent.payment_failed', {
+          id: 'pi_test',
+          status: 'requires_payment_method',
+          last_payment_error: { code: 'card_declined' },
+        });
+
+      const first = await PaymentEventService.handleEvent(
+        failed('evt_failed_1'),
+        {},
+        Celebration,
+        User
+      );
+      const second = await PaymentEventService.handleEvent(
+        failed('evt_failed_2'),
+        {},
+        Celebration,
+        User
+      );
+
+      const celebration = await Celebration.findOne({
+        idempotencyKey: 'webhook-1',
+      });
+      expect(first.emailSent).toBe(true);
+      expect(second.emailSent).toBe(false);
+      expect(enqueueEmail).toHaveBeenCalledTimes(1);
+      // The settlement run's claim on the same Celebration fails too
+      expect(
+        await SettlementService.claimFailureNotice(celebration, Celebration)
+      ).toBe(false);
+    });
+
+    it('should flag a dispute on the Celebration and User', async () => {
+      await PaymentEventService.handleEvent(
+        event('evt_dispute', 'charge.dispute.created', {
+          id: 'dp_test',
+          charge: 'ch_test',
+          status: 'needs_response',
+          reason: 'fraudulent',
+        }),
+        {},
+        Celebration,
+        User
+      );
+
+      const celebration = await Celebration.findOne({
+        idempotencyKey: 'webhook-1',
+      });
+      const updatedUser = await User.findById(user._id);
+      expect(celebration.payment_flags.disputed).toBe(true);
+      expect(celebration.payment_flags.dispute_status).toBe('needs_response');
+      expect(updatedUser.paymentFlags.disputed).toBe(true);
+      expect(enqueueEmail).not.toHaveBeenCalled();
+    });
+
+    it('should flag the donor when their last card is detached', async () => {
+      await Celebration.create({
+        donatedBy: user._id,
+        FEC_id: 'T123456',
+        current_status: 'active',
+        fee: 1.0,
+        tip: 0,
+        pol_id: 'T123456',
+        bill_id: 'hjres54-119',
+        donation: 25.0,
+        pol_name: 'Test Politician',
+        payment_intent: 'pi_open',
+        idempotencyKey: 'webhook-2',
+        donorInfo: { compliance: 'compliant' },
+      });
+      const stripe = {
+        customers: {
+          retrieve: jest
+            .fn()
+            .mockResolvedValue({
+              invoice_settings: { default_payment_method: null },
+            }),
+        },
+      };
+
+      const result = await PaymentEventService.handleEvent(
+        event(
+          'evt_detach',
+          'payment_method.detached',
+          { id: 'pm_old', customer: null },
+          { previous_attributes: { customer: 'cus_test' } }
+        ),
+        { stripe },
+        Celebration,
+        User
+      );
+
+      const updatedUser = await User.findById(user._id);
+      expect(result.celebrationIds).toHaveLength(1);
+      expect(result.emailSent).toBe(true);
+      expect(updatedUser.payment.payment_method).toBe('');
+      expect(updatedUser.paymentFlags.paymentMethodDetached).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const ResolutionService = require('../../services/celebration/resolutionService');
+const { User, Celebration } = require('../../models');
+
+const referral = {
+  actionDate: '2025-02-10',
+  text: 'Referred to the House Committee on the Judiciary.',
+  type: 'IntroReferral',
+  sourceSystem: { code: 2, name: 'House floor actions' },
+};
+
+const floorVote = {
+  actionDate: '2026-03-15',
+  text: 'On passage Passed by the Yeas and Nays: 290 - 140 (Roll no. 88).',
+  type: 'Floor',
+  sourceSystem: { code: 2, name: 'House floor actions' },
+  recordedVotes: [
+    {
+      chamber: 'House',
+      date: '2026-03-15T19:42:00Z',
+      rollNumber: 88,
+    },
+  ],
+};
+
+const celebrationFor = (donatedBy, overrides = {}) => ({
+  donatedBy,
+  FEC_id: 'T123456',
+  current_status: 'active',
+  resolved: false,
+  defunct: false,
+  paused: false,
+  fee: 1.0,
+  tip: 0.5,
+  pol_id: 'T123456',
+  bill_id: 'hjres54-119',
+  donation: 10.0,
+  pol_name: 'Test Politician',
+  donorInfo: { compliance: 'compliant' },
+  ...overrides,
+});
+
+describe('ResolutionService', () => {
+  describe('findQualifyingAction', () => {
+    it('should return null when no House floor vote is recorded', () => {
+      expect(ResolutionService.findQualifyingAction([referral])).toBeNull();
+      expect(ResolutionService.findQualifyingAction([])).toBeNull();
+    });
+
+    it('should recognize a House recorded vote', () => {
+      const action = ResolutionService.findQualifyingAction([
+        floorVote,
+        referral,
+      ]);
+
+      expect(action).toMatchObject({
+        actionDate: '2026-03-15',
+        recorded: true,
+        result: 'passed',
+        rollNumber: 88,
+      });
+    });
+
+    it('should recognize a failed floor vote without a roll call', () => {
+      const action = ResolutionService.findQualifyingAction([
+        {
+          actionDate: '2026-04-01',
+          text: 'On motion to suspend the rules and pass the resolution Failed by voice vote.',
+          type: 'Floor',
+          sourceSystem: { code: 2, name: 'House floor actions' },
+        },
+      ]);
+
+      expect(action).toMatchObject({ recorded: false, result: 'failed' });
+    });
+
+    it('should ignore Senate floor actions', () => {
+      const action = ResolutionService.findQualifyingAction([
+        {
+          actionDate: '2026-04-01',
+          text: 'Passed/agreed to in Senate without amendment by Voice Vote.',
+          type: 'Floor',
+          sourceSystem: { code: 0, name: 'Senate' },
+        },
+      ]);
+
+      expect(action).toBeNull();
+    });
+  });
+
+  describe('resolveForBill', () => {
+    let user;
+
+    beforeEach(async () => {
+      await User.deleteMany({});
+      await Celebration.deleteMany({});
+      user = await User.create({
+        username: 'resolver',
+        password: 'password123',
+        email: 'resolver@test.com',
+      });
+    });
+
+    it('should only report in dry-run mode', async () => {
+      await Celebration.create([
+        celebrationFor(user._id, { idempotencyKey: 'resolve-1' }),
+        celebrationFor(user._id, { idempotencyKey: 'resolve-2' }),
+      ]);
+
+      const summary = await ResolutionService.resolveForBill(
+        'hjres54-119',
+        [floorVote],
+        { dryRun: true },
+        Celebration
+      );
+
+      expect(summary.wouldResolveCount).toBe(2);
+      expect(
+        await Celebration.countDocuments({ current_status: 'resolved' })
+      ).toBe(0);
+    });
+
+    it('should resolve active celebrations for the bill once', async () => {
+      await Celebration.create([
+        celebrationFor(user._id, { idempotencyKey: 'resolve-3' }),
+        celebrationFor(user._id, {
+          idempotencyKey: 'resolve-4',
+          bill_id: 'hr1-119',
+        }),
+        celebrationFor(user._id, {
+          idempotencyKey: 'resolve-5',
+          current_status: 'paused',
+          paused: true,
+        }),
+      ]);
+
+      const summary = await ResolutionService.resolveForBill(
+        'hjres54-119',
+        [floorVote],
+        { batchSize: 1 },
+        Celebration
+      );
+      const rerun = await ResolutionService.resolveForBill(
+        'hjres54-119',
+        [floorVote],
+        {},
+        Celebration
+      );
+
+      expect(summary.resolvedCount).toBe(1);
+      expect(rerun.resolvedCount).toBe(0);
+
+      const resolved = await Celebration.findOne({
+        idempotencyKey: 'resolve-3',
+      });
+      const entry = resolved.status_ledger[resolved.status_ledger.length - 1];
+      expect(resolved.current_status).toBe('resolved');
+      expect(entry.metadata.resolution_details.bill_action_result).toBe(
+        'passed'
+      );
+      expect(entry.metadata.resolution_details.house_vote_date).toEqual(
+        new Date('2026-03-15T19:42:00Z')
+      );
+    });
+  });
+});
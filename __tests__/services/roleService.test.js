@@ -0,0 +1,73 @@
+const RoleService = require('../../services/user/roleService');
+const auditLogger = require('../../services/utils/auditLogger');
+const { User } = require('../../models');
+const { ROLES } = require('../../constants/admin');
+
+jest.mock('../../services/utils/auditLogger', () => ({
+  ...jest.requireActual('../../services/utils/auditLogger'),
+  logRoleChange: jest.fn(),
+}));
+
+describe('RoleService', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({});
+    user = await User.create({
+      username: 'staffer',
+      password: 'password123',
+      email: 'staffer@test.com',
+    });
+  });
+
+  it('should grant a role once and audit-log the grant', async () => {
+    const first = await RoleService.grantRole(
+      user._id,
+      ROLES.SUPPORT,
+      { actor: 'cli:test', reason: 'onboarding' },
+      User
+    );
+    const second = await RoleService.grantRole(
+      user._id,
+      ROLES.SUPPORT,
+      { actor: 'cli:test' },
+      User
+    );
+
+    expect(first).toEqual({ changed: true, roles: [ROLES.SUPPORT] });
+    expect(second.changed).toBe(false);
+    expect(auditLogger.logRoleChange).toHaveBeenCalledTimes(1);
+    expect(await RoleService.hasRole(user._id, [ROLES.SUPPORT], User)).toBe(
+      true
+    );
+    expect(await RoleService.hasRole(user._id, [ROLES.ADMIN], User)).toBe(
+      false
+    );
+  });
+
+  it('should revoke a role and let admin satisfy any role', async () => {
+    await RoleService.grantRole(user._id, ROLES.ADMIN, {}, User);
+    expect(await RoleService.hasRole(user._id, [ROLES.AUDITOR], User)).toBe(
+      true
+    );
+
+    const result = await RoleService.revokeRole(
+      user._id,
+      ROLES.ADMIN,
+      {},
+      User
+    );
+    expect(result).toEqual({ changed: true, roles: [] });
+    expect(await RoleService.listRoleHolders(null, User)).toHaveLength(0);
+  });
+
+  it('should reject unknown roles and users', async () => {
+    await expect(
+      RoleService.grantRole(user._id, 'wizard', {}, User)
+    ).rejects.toThrow('invalid-role');
+    await expect(
+      RoleService.grantRole('507f1f77bcf86cd799439011', ROLES.ADMIN, {}, User)
+    ).rejects.toThrow('user-not-found');
+  });
+});
@@ -0,0 +1,228 @@
+const SettlementService = require('../../services/celebration/settlementService');
+const { enqueueEmail } = require('../../services/comms/outboxService');
+const { User, Celebration } = require('../../models');
+const { createCelebration, createStripeStub } = require('../../test/fixtures');
+
+// Mock external dependencies
+jest.mock('../../controller/comms/sendEmail');
+jest.mock('../../services/comms/outboxService');
+
+const cardError = (code, declineCode) =>
+  Object.assign(new Error('Your card was declined.'), {
+    type: 'StripeCardError',
+    code,
+    decline_code: declineCode,
+    payment_intent: { status: 'requires_payment_method' },
+  });
+
+describe('SettlementService', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    user = await User.create({
+      username: 'settler',
+      password: 'password123',
+      email: 'settler@test.com',
+      firstName: 'Sam',
+    });
+    await createCelebration(user._id, 'settle-1', {
+      current_status: 'resolved',
+      resolved: true,
+      tip: 0.5,
+      payment_intent: 'pi_test',
+    });
+  });
+
+  it('should charge off-session and record the charge', async () => {
+    const stripe = createStripeStub({
+      status: 'requires_confirmation',
+      confirm: async () => ({
+        id: 'pi_test',
+        status: 'succeeded',
+        latest_charge: 'ch_settled',
+      }),
+    });
+
+    const summary = await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+
+    expect(summary.settledCount).toBe(1);
+    expect(stripe.paymentIntents.confirm).toHaveBeenCalledWith('pi_test', {
+      payment_method: 'pm_default',
+      off_session: true,
+    });
+
+    const celebration = await Celebration.findOne({
+      idempotencyKey: 'settle-1',
+    });
+    expect(celebration.charge_id).toBe('ch_settled');
+    expect(celebration.settlement_status).toBe('settled');
+    expect(celebration.current_status).toBe('resolved');
+  });
+
+  it('should capture an authorized payment intent', async () => {
+    const stripe = createStripeStub({ status: 'requires_capture' });
+
+    await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+
+    const celebration = await Celebration.findOne({
+      idempotencyKey: 'settle-1',
+    });
+    expect(stripe.paymentIntents.capture).toHaveBeenCalledWith('pi_test');
+    expect(celebration.charge_id).toBe('ch_captured');
+  });
+
+  it('should replace an expired authorization with an off-session payment intent', async () => {
+    const stripe = createStripeStub({
+      status: 'canceled',
+      extra: { cancellation_reason: 'automatic' },
+      create: async () => ({
+        id: 'pi_replacement',
+        status: 'succeeded',
+        latest_charge: 'ch_replacement',
+      }),
+    });
+
+    const summary = await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+
+    expect(summary.settledCount).toBe(1);
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 1150,
+        customer: 'cus_test',
+        payment_method: 'pm_default',
+        off_session: true,
+        confirm: true,
+      }),
+      { idempotencyKey: 'settle:pi_test' }
+    );
+
+    const celebration = await Celebration.findOne({
+      idempotencyKey: 'settle-1',
+    });
+    const entry =
+      celebration.status_ledger[celebration.status_ledger.length - 1];
+    expect(celebration.payment_intent).toBe('pi_replacement');
+    expect(celebration.charge_id).toBe('ch_replacement');
+    expect(entry.metadata.settlement_details.replaced_payment_intent).toBe(
+      'pi_test'
+    );
+  });
+
+  it('should leave a processing charge to the webhook', async () => {
+    const stripe = createStripeStub({ status: 'processing' });
+
+    const first = await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+    const again = await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+
+    expect(first.pendingCount).toBe(1);
+    expect(again.pendingCount).toBe(0);
+    expect(stripe.paymentIntents.retrieve).toHaveBeenCalledTimes(1);
+
+    let celebration = await Celebration.findOne({
+      idempotencyKey: 'settle-1',
+    });
+    expect(
+      await SettlementService.completePendingSettlement(
+        celebration,
+        'ch_processed',
+        Celebration
+      )
+    ).toBe(true);
+
+    celebration = await Celebration.findOne({ idempotencyKey: 'settle-1' });
+    expect(celebration.settlement_status).toBe('settled');
+    expect(celebration.charge_id).toBe('ch_processed');
+    expect(celebration.settlement_attempts).toBe(1);
+    expect(celebration.status_ledger).toHaveLength(2);
+  });
+
+  it('should record settlement_failed and email the donor once on decline', async () => {
+    const stripe = createStripeStub({
+      status: 'requires_payment_method',
+      confirm: async () => {
+        throw cardError('card_declined', 'insufficient_funds');
+      },
+    });
+
+    const first = await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+    const retry = await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+
+    expect(first.failedCount).toBe(1);
+    expect(first.emailsSent).toBe(1);
+    expect(retry.emailsSent).toBe(0);
+    expect(enqueueEmail).toHaveBeenCalledTimes(1);
+
+    const celebration = await Celebration.findOne({
+      idempotencyKey: 'settle-1',
+    });
+    const entry =
+      celebration.status_ledger[celebration.status_ledger.length - 1];
+    expect(celebration.settlement_status).toBe('settlement_failed');
+    expect(celebration.settlement_attempts).toBe(2);
+    expect(celebration.charge_id).toBeNull();
+    expect(entry.new_status).toBe('resolved');
+    expect(entry.metadata.settlement_details).toMatchObject({
+      sub_state: 'settlement_failed',
+      failure_code: 'card_declined',
+      decline_code: 'insufficient_funds',
+    });
+  });
+
+  it('should treat authentication_required as requires_action', async () => {
+    const stripe = createStripeStub({
+      status: 'requires_payment_method',
+      confirm: async () => {
+        throw cardError('authentication_required');
+      },
+    });
+
+    await SettlementService.settleResolvedCelebrations(
+      { stripe },
+      Celebration,
+      User
+    );
+
+    const celebration = await Celebration.findOne({
+      idempotencyKey: 'settle-1',
+    });
+    const entry =
+      celebration.status_ledger[celebration.status_ledger.length - 1];
+    expect(entry.metadata.settlement_details.failure_code).toBe(
+      'requires_action'
+    );
+    expect(enqueueEmail.mock.calls[0][3].sub_state_reason).toBe(
+      'requires_action'
+    );
+  });
+});
@@ -0,0 +1,117 @@
+const StatementService = require('../../services/celebration/statementService');
+const { enqueueEmail } = require('../../services/comms/outboxService');
+const { User, Celebration, Pol } = require('../../models');
+const { createCelebration } = require('../../test/fixtures');
+
+jest.mock('../../controller/comms/sendEmail');
+jest.mock('../../services/comms/outboxService', () => ({
+  enqueueEmail: jest.fn(),
+}));
+jest.mock('../../controller/congress', () => ({
+  lookupBill: jest.fn().mockResolvedValue(null),
+  lookupPol: jest.fn().mockResolvedValue(null),
+  lookupCandidate: jest.fn().mockResolvedValue(null),
+}));
+
+describe('StatementService', () => {
+  let user;
+
+  beforeEach(async () => {
+    enqueueEmail.mockReset();
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    user = await User.create({
+      username: 'donor@test.com',
+      password: 'password123',
+      email: 'donor@test.com',
+      firstName: 'Dana',
+    });
+  });
+
+  describe('build', () => {
+    it('should split the year into created, delivered and defunct Celebrations with PAC tips', async () => {
+      await createCelebration(user._id, 'statement-1', {
+        createdAt: new Date('2025-03-01T15:00:00Z'),
+        current_status: 'resolved',
+        settled_at: new Date('2025-06-01T15:00:00Z'),
+        donation: 20,
+        tip: 5,
+      });
+      await createCelebration(user._id, 'statement-2', {
+        createdAt: new Date('2025-04-01T15:00:00Z'),
+        current_status: 'defunct',
+        defunct_reason: 'Session ended',
+        status_ledger: [
+          {
+            status_change_id: 'change-1',
+            previous_status: 'active',
+            new_status: 'defunct',
+            change_datetime: new Date('2025-12-01T15:00:00Z'),
+            reason: 'Session ended',
+            triggered_by: 'system',
+          },
+        ],
+        donation: 10,
+        tip: 2,
+      });
+      // Created the year before, delivered in the statement year
+      await createCelebration(user._id, 'statement-3', {
+        createdAt: new Date('2024-05-01T15:00:00Z'),
+        current_status: 'resolved',
+        settled_at: new Date('2025-02-01T15:00:00Z'),
+        donation: 50,
+        tip: 10,
+      });
+      await createCelebration(user._id, 'statement-4', {
+        createdAt: new Date('2026-01-05T15:00:00Z'),
+        donation: 100,
+      });
+
+      const statement = await StatementService.build(user, 2025, {
+        Celebration,
+        Pol,
+      });
+
+      expect(statement.created).toMatchObject({
+        count: 2,
+        donation: 30,
+        tip: 7,
+      });
+      expect(statement.delivered.rows.map((r) => r.reference)).toEqual([
+        'statement-3',
+        'statement-1',
+      ]);
+      expect(statement.delivered.rows[0]).toMatchObject({
+        recipient: 'Test Politician',
+        committee: 'T123456',
+      });
+      expect(statement.defunct.rows).toHaveLength(1);
+      expect(statement.defunct.rows[0].reason).toBe('Session ended');
+      expect(statement.pac).toMatchObject({ tips: 7, btc: 0, total: 7 });
+      expect(statement.pac.remaining).toBe(statement.pac.limit - 7);
+      expect(StatementService.toPdf(statement).toString('latin1', 0, 8)).toBe(
+        '%PDF-1.4'
+      );
+    });
+  });
+
+  describe('sendAll', () => {
+    it('should email each donor once per year across runs', async () => {
+      await createCelebration(user._id, 'statement-1', {
+        createdAt: new Date('2025-03-01T15:00:00Z'),
+      });
+      enqueueEmail.mockRejectedValueOnce(new Error('outbox unavailable'));
+      const models = { Celebration, Pol, User };
+
+      const failed = await StatementService.sendAll(2025, models);
+      const first = await StatementService.sendAll(2025, models);
+      const rerun = await StatementService.sendAll(2025, models);
+
+      expect(failed).toMatchObject({ sent: 0, failed: 1 });
+      expect(first).toMatchObject({ sent: 1, alreadySent: 0 });
+      expect(rerun).toMatchObject({ sent: 0, alreadySent: 1, skipped: 0 });
+      expect(enqueueEmail).toHaveBeenCalledTimes(2);
+      expect((await User.findById(user._id)).statementYears).toEqual([2025]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const StatsService = require('../../services/celebration/statsService');
+const { User, Celebration, Pol, Candidate } = require('../../models');
+
+describe('StatsService', () => {
+  let user;
+
+  const pledge = (idempotencyKey, pol_id, donation, extra = {}) =>
+    Celebration.create({
+      donatedBy: user._id,
+      FEC_id: pol_id,
+      current_status: 'active',
+      fee: 1.0,
+      tip: 0,
+      pol_id,
+      bill_id: 'hjres54-119',
+      donation,
+      pol_name: 'Test Politician',
+      idempotencyKey,
+      donorInfo: { compliance: 'compliant' },
+      ...extra,
+    });
+
+  beforeEach(async () => {
+    StatsService.invalidate();
+    await User.deleteMany({});
+    await Celebration.deleteMany({});
+    await Pol.deleteMany({});
+    await Candidate.deleteMany({});
+    user = await User.create({
+      username: 'stats',
+      password: 'password123',
+      email: 'stats@test.com',
+    });
+    await Pol.create({
+      id: 'T000001',
+      first_name: 'Test',
+      last_name: 'Incumbent',
+      current_party: 'D',
+      roles: [{ state: 'NY', district: '14', chamber: 'House' }],
+    });
+    await Candidate.create({
+      fec_candidate_id: 'H6NY14001',
+      name: 'DOE, JANE',
+      party: 'DEM',
+      office: 'H',
+      chamber: 'House',
+      state: 'NY',
+      district: '14',
+      incumbent_challenge: 'C',
+    });
+  });
+
+  it('should total active pledges per state and fold FEC party codes', async () => {
+    await pledge('stats-1', 'T000001', 50);
+    await pledge('stats-2', 'H6NY14001', 25, { recipient_type: 'candidate' });
+    await pledge('stats-3', 'T000001', 100, { current_status: 'defunct' });
+
+    const states = await StatsService.totalsByState(
+      { status: 'active' },
+      Celebration
+    );
+    const parties = await StatsService.totalsByParty(
+      { status: 'active' },
+      Celebration
+    );
+
+    expect(states).toEqual([{ state: 'NY', donation: 75, count: 2 }]);
+    expect(parties).toEqual([{ party: 'D', donation: 75, count: 2 }]);
+  });
+
+  it('should rank the leaderboard by donation', async () => {
+    await pledge('stats-1', 'T000001', 50);
+    await pledge('stats-2', 'H6NY14001', 125, { recipient_type: 'candidate' });
+
+    const { options } = StatsService.parseOptions('leaderboard', {
+      limit: '1',
+    });
+    const top = await StatsService.leaderboard(options, Celebration);
+
+    expect(top).toHaveLength(1);
+    expect(top[0]).toMatchObject({
+      rank: 1,
+      pol_id: 'H6NY14001',
+      recipient_type: 'candidate',
+      donation: 125,
+    });
+  });
+
+  it('should serve cached stats until invalidated', async () => {
+    await pledge('stats-1', 'T000001', 50);
+    const { options } = StatsService.parseOptions('pols', {});
+
+    const first = await StatsService.getStats('pols', options, Celebration);
+    await pledge('stats-2', 'T000001', 10);
+    const cached = await StatsService.getStats('pols', options, Celebration);
+    StatsService.invalidate();
+    const fresh = await StatsService.getStats('pols', options, Celebration);
+
+    expect(first[0].donation).toBe(50);
+    expect(cached[0].donation).toBe(50);
+    expect(fresh[0].donation).toBe(60);
+  });
+
+  it('should reject unknown views and out-of-range options', () => {
+    expect(StatsService.parseOptions('donors', {}).error).toBeDefined();
+    expect(
+      StatsService.parseOptions('weekly', { weeks: '500' }).error
+    ).toBeDefined();
+    expect(
+      StatsService.parseOptions('leaderboard', { by: 'donors' }).error
+    ).toBeDefined();
+  });
+});
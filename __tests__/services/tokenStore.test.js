@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const models = require('../../models');
+
+const { RefreshToken } = models;
+
+/**
+ * Loads the token store facade with the given backend
+ * (sharing this file's connected models)
+ */
+const loadStore = (backend) => {
+  let store;
+  process.env.REFRESH_TOKEN_STORE = backend;
+  jest.isolateModules(() => {
+    jest.doMock('../../models', () => models);
+    store = require('../../auth/tokenStore');
+  });
+  delete process.env.REFRESH_TOKEN_STORE;
+  return store;
+};
+
+const issue = (userId, n) =>
+  jwt.sign({ isRefresh: true, n }, 'test-secret', { subject: userId });
+
+describe.each(['memory', 'mongo'])('tokenStore (%s backend)', (backend) => {
+  let store;
+
+  beforeEach(async () => {
+    await RefreshToken.deleteMany({});
+    store = loadStore(backend);
+  });
+
+  it('should rotate a token within its session', async () => {
+    const first = issue('user-1', 1);
+    const second = issue('user-1', 2);
+    const familyId = await store.saveRefreshToken(first, 60, {
+      userAgent: 'Mozilla/5.0',
+      deviceId: 'device-1',
+    });
+
+    const consumed = await store.consumeRefreshToken(first);
+    await store.saveRefreshToken(second, 60, {
+      familyId: consumed.familyId,
+      familyCreatedAt: consumed.familyCreatedAt,
+    });
+
+    expect(store.getBackendName()).toBe(backend);
+    expect(consumed).toMatchObject({ valid: true, familyId, userId: 'user-1' });
+    expect(await store.findAndRemoveRefreshToken(second)).toBe(true);
+
+    if (backend === 'mongo') {
+      const stored = await RefreshToken.findOne({ family_id: familyId });
+      expect(stored.token_hash).not.toBe(first);
+      expect(stored.token_hash).toHaveLength(64);
+    }
+  });
+
+  it('should revoke the session when a used token is reused', async () => {
+    const first = issue('user-1', 1);
+    const second = issue('user-1', 2);
+    const familyId = await store.saveRefreshToken(first, 60);
+    await store.consumeRefreshToken(first);
+    await store.saveRefreshToken(second, 60, { familyId });
+
+    // Past the grace window for concurrent refreshes
+    jest.useFakeTimers({ now: Date.now() + 60 * 1000, toFake: ['Date'] });
+    try {
+      const replay = await store.consumeRefreshToken(first);
+      expect(replay).toMatchObject({ valid: false, reused: true, familyId });
+    } finally {
+      jest.useRealTimers();
+    }
+
+    expect(await store.findAndRemoveRefreshToken(second)).toBe(false);
+    expect(await store.listSessions('user-1')).toHaveLength(0);
+  });
+
+  it('should list and revoke sessions per user', async () => {
+    const laptop = await store.saveRefreshToken(issue('user-1', 1), 60, {
+      userAgent: 'Laptop',
+    });
+    const phone = await store.saveRefreshToken(issue('user-1', 2), 60, {
+      userAgent: 'Phone',
+    });
+    await store.saveRefreshToken(issue('user-2', 3), 60);
+
+    const sessions = await store.listSessions('user-1');
+    expect(sessions.map((s) => s.sessionId).sort()).toEqual(
+      [laptop, phone].sort()
+    );
+
+    expect(await store.revokeSession('user-2', laptop)).toBe(false);
+    expect(await store.revokeSession('user-1', laptop)).toBe(true);
+    expect(await store.listSessions('user-1')).toMatchObject([
+      { sessionId: phone, userAgent: 'Phone' },
+    ]);
+
+    await store.revokeAllSessions('user-1');
+    expect(await store.listSessions('user-1')).toHaveLength(0);
+    expect(await store.listSessions('user-2')).toHaveLength(1);
+  });
+});
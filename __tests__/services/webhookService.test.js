@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const {
+  createEndpoint,
+  listEndpoints,
+  enqueueDeliveries,
+  processDeliveries,
+  backoffMs,
+} = require('../../services/events/webhookService');
+const { WebhookEndpoint, WebhookDelivery } = require('../../models');
+const { WEBHOOKS } = require('../../constants');
+
+jest.mock('axios');
+
+const sessionEnd = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'session_end',
+  dedupe_key: 'session_end:119:1',
+};
+const payload = {
+  dedupe_key: 'session_end:119:1',
+  event_type: 'session_end',
+  session_label: '119th Congress, 1st Session',
+  converted_count: 42,
+};
+
+describe('Partner webhooks', () => {
+  beforeAll(async () => {
+    // one delivery per endpoint and event
+    await WebhookDelivery.init();
+  });
+
+  beforeEach(async () => {
+    await WebhookEndpoint.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    axios.post.mockReset();
+  });
+
+  it('should queue only for active endpoints subscribed to the type and send signed deliveries', async () => {
+    const { secret } = await createEndpoint({
+      name: 'Civic Alerts',
+      url: 'https://hooks.example.org/powerback',
+      eventTypes: ['session_end', 'bill_status'],
+    });
+    await createEndpoint({
+      name: 'Bills Only',
+      url: 'https://bills.example.org/hook',
+      eventTypes: ['bill_status'],
+    });
+    await createEndpoint({
+      name: 'Paused',
+      url: 'https://paused.example.org/hook',
+      eventTypes: ['session_end'],
+      active: false,
+    });
+
+    expect(await enqueueDeliveries(sessionEnd, payload)).toBe(1);
+    expect(await enqueueDeliveries(sessionEnd, payload)).toBe(0);
+
+    axios.post.mockResolvedValue({ status: 204 });
+    const now = new Date();
+    expect(await processDeliveries({ now })).toEqual({
+      claimed: 1,
+      sent: 1,
+      retried: 0,
+      dead: 0,
+    });
+
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.org/powerback');
+    expect(JSON.parse(body)).toEqual(payload);
+    expect(headers['X-Powerback-Event']).toBe('session_end');
+    const timestamp = headers['X-Powerback-Timestamp'];
+    expect(Number(timestamp)).toBe(Math.floor(now.getTime() / 1000));
+    expect(headers['X-Powerback-Signature']).toBe(
+      `sha256=${crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex')}`
+    );
+
+    const delivery = await WebhookDelivery.findOne().lean();
+    expect(delivery).toMatchObject({ status: 'sent', attempts: 1 });
+    expect(delivery.attempt_log[0]).toMatchObject({
+      ok: true,
+      status_code: 204,
+    });
+  });
+
+  it('should back off after failures and dead-letter after MAX_ATTEMPTS', async () => {
+    await createEndpoint({
+      name: 'Flaky',
+      url: 'https://flaky.example.org/hook',
+      eventTypes: ['session_end'],
+    });
+    await enqueueDeliveries(sessionEnd, payload);
+    axios.post.mockRejectedValue(
+      Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503 },
+      })
+    );
+
+    let now = new Date();
+    await processDeliveries({ now });
+    let delivery = await WebhookDelivery.findOne().lean();
+    expect(delivery).toMatchObject({
+      status: 'queued',
+      attempts: 1,
+      last_error: 'HTTP 503',
+    });
+    expect(delivery.next_attempt_at.getTime()).toBe(
+      now.getTime() + WEBHOOKS.BASE_DELAY_MS
+    );
+
+    // Not due yet
+    expect((await processDeliveries({ now })).claimed).toBe(0);
+
+    for (let i = 1; i < WEBHOOKS.MAX_ATTEMPTS; i++) {
+      now = new Date(now.getTime() + backoffMs(i));
+      await processDeliveries({ now });
+    }
+    delivery = await WebhookDelivery.findOne().lean();
+    expect(delivery).toMatchObject({
+      status: 'dead',
+      attempts: WEBHOOKS.MAX_ATTEMPTS,
+    });
+    expect(delivery.attempt_log).toHaveLength(WEBHOOKS.MAX_ATTEMPTS);
+    expect(delivery.attempt_log[0]).toMatchObject({
+      ok: false,
+      status_code: 503,
+    });
+  });
+
+  it('should list endpoints with delivery counts and without secrets', async () => {
+    const endpoint = await createEndpoint({
+      name: 'Civic Alerts',
+      url: 'https://hooks.example.org/powerback',
+      eventTypes: ['session_end'],
+    });
+    expect(endpoint.secret).toMatch(/^[0-9a-f]{64}$/);
+    await enqueueDeliveries(sessionEnd, payload);
+
+    const [listed] = await listEndpoints();
+
+    expect(listed).toMatchObject({
+      name: 'Civic Alerts',
+      event_types: ['session_end'],
+      deliveries: { queued: 1 },
+    });
+    expect(listed.secret).toBeUndefined();
+  });
+});
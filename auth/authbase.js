@@ -8,7 +8,13 @@ const { clearRefreshCookie } = require('../services');
 
 const logger = require('../services/utils/logger')(__filename);
 
-const { saveRefreshToken, findAndRemoveRefreshToken } = require('./tokenStore');
+const {
+  saveRefreshToken,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  getSessionMeta,
+  getSessionId,
+} = require('./tokenStore');
 
 const isCookieSecure = process.env.NODE_ENV === 'production',
   cookieName = (isCookieSecure ? '__Secure-' : '') + process.env.COOKIE_NAME;
@@ -76,6 +82,26 @@ class AuthBase {
     clearRefreshCookie(res);
   }
 
+  /**
+   * Revokes the session behind the request's refresh token cookie (logout)
+   * @param {Object} req - Express request object
+   * @returns {Promise<string|null>} The revoked session ID, if any
+   */
+  async revokeCurrentSession(req) {
+    if (!this.hasRefreshTokenCookie(req)) return null;
+    return revokeRefreshToken(req.cookies[cookieName]);
+  }
+
+  /**
+   * Looks up the session behind the request's refresh token cookie
+   * @param {Object} req - Express request object
+   * @returns {Promise<string|null>} The current session ID, if any
+   */
+  async getCurrentSessionId(req) {
+    if (!this.hasRefreshTokenCookie(req)) return null;
+    return getSessionId(req.cookies[cookieName]);
+  }
+
   /**
    * Creates an authentication middleware function
    * @returns {Function} Express middleware function for user authentication
@@ -95,7 +121,11 @@ class AuthBase {
       const accessToken = await this.createAccessToken({ user });
       const refreshToken = await this.createRefreshToken({ user });
 
-      await saveRefreshToken(refreshToken);
+      await saveRefreshToken(
+        refreshToken,
+        this.refreshTokenExp,
+        getSessionMeta(req)
+      );
 
       const response = {
         user,
@@ -135,7 +165,9 @@ class AuthBase {
           return this.guardErrorHandler(new NotAuthorized(), req, res, next);
         }
 
-        const valid = await findAndRemoveRefreshToken(jwt);
+        // Single-use: a reused token revokes its whole session (family)
+        const { valid, familyId, familyCreatedAt } =
+          await consumeRefreshToken(jwt);
 
         const {
           payload: { isRefresh },
@@ -157,7 +189,11 @@ class AuthBase {
         let refreshToken;
         try {
           refreshToken = await this.createRefreshToken(rTPayload);
-          saveRefreshToken(refreshToken);
+          await saveRefreshToken(refreshToken, this.refreshTokenExp, {
+            ...getSessionMeta(req),
+            familyId,
+            familyCreatedAt,
+          });
         } catch (error) {
           logger.error('Failed to create or save refresh token', {
             error: error.message,
@@ -258,6 +294,32 @@ class AuthBase {
     };
   }
 
+  /**
+   * Creates a middleware that identifies the user when a valid token is
+   * present, for public routes that attribute requests to signed-in users
+   * Never rejects: anonymous or invalid requests continue without req.jwt,
+   * and no cookies are cleared.
+   * @returns {Function} Express middleware function for optional authentication
+   */
+  identify() {
+    return async (req, res, next) => {
+      const [scheme, headerJwt] = String(
+        req.header('Authorization') || ''
+      ).split(' ');
+      const jwt =
+        req.cookies[cookieName] || (scheme === 'Bearer' ? headerJwt : null);
+
+      if (jwt) {
+        try {
+          req.jwt = await this.verify(jwt);
+        } catch (error) {
+          // anonymous
+        }
+      }
+      return next();
+    };
+  }
+
   /**
    * Creates an access token
    * @param {Object} [payload={}] - Token payload
@@ -1,63 +1,281 @@
+/**
+ * @fileoverview Refresh-token store with pluggable backends
+ *
+ * Refresh tokens are single-use: each refresh consumes the presented token and
+ * issues a new one. Tokens rotated from the same login share a family ID,
+ * which identifies one session (device). Only a SHA-256 hash of each token is
+ * stored, so a leaked store cannot be replayed.
+ *
+ * BACKENDS
+ * - memory: in-process Map (tests and local development; lost on restart)
+ * - mongo: RefreshToken collection with a TTL index (everything else)
+ * Selected by REFRESH_TOKEN_STORE=memory|mongo. When unset, test and
+ * development use memory and other environments use mongo.
+ *
+ * REUSE DETECTION
+ * A token that has already been rotated and is presented again means the
+ * token (or the cookie) was copied. The whole family is revoked, so both the
+ * legitimate user and the attacker must log in again. A second use within
+ * REUSE_GRACE_MS of the first (e.g. two tabs refreshing at once) is rejected
+ * without revoking the family.
+ *
+ * KEY FUNCTIONS
+ * - saveRefreshToken(): Store a newly issued token with session details
+ * - consumeRefreshToken(): Validate and rotate out a token (returns session)
+ * - findAndRemoveRefreshToken(): Boolean form of consumeRefreshToken()
+ * - listSessions(): A user's active sessions (one per family)
+ * - revokeRefreshToken(): Revoke the session a token belongs to (logout)
+ * - revokeSession() / revokeAllSessions(): Sign out one or all devices
+ *
+ * @module auth/tokenStore
+ * @requires crypto
+ * @requires jsonwebtoken
+ * @requires nanoid
+ * @requires ./tokenStores/memoryStore
+ * @requires ./tokenStores/mongoStore
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { nanoid } = require('nanoid');
+
 const logger = require('../services/utils/logger')(__filename);
+
+/**
+ * Second uses of a token within this window are treated as a race, not reuse
+ * @type {number}
+ */
+const REUSE_GRACE_MS = 10 * 1000;
+
+/**
+ * Selects the backend from REFRESH_TOKEN_STORE or NODE_ENV
+ * @returns {Object} Backend module
+ */
+function selectBackend() {
+  const configured = process.env.REFRESH_TOKEN_STORE;
+  const name =
+    configured ||
+    (['test', 'development'].includes(process.env.NODE_ENV)
+      ? 'memory'
+      : 'mongo');
+
+  switch (name) {
+    case 'memory':
+      return require('./tokenStores/memoryStore');
+    case 'mongo':
+      return require('./tokenStores/mongoStore');
+    default:
+      throw new Error(`Unknown REFRESH_TOKEN_STORE "${name}"`);
+  }
+}
+
+const backend = selectBackend();
+
 /**
- * In-memory token store for refresh tokens
- * Maps token strings to expiration timestamps
- * @type {Map<string, number>}
+ * Hashes a token for storage and lookup
+ * @param {string} token - Refresh token (JWT)
+ * @returns {string} SHA-256 hex digest
  */
-const store = new Map(); // token → expiresAt (timestamp in ms)
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Extracts session details from a request
+ * @param {Object} req - Express request object
+ * @returns {{ userAgent?: string, ip?: string, deviceId?: string }} Session details
+ */
+function getSessionMeta(req) {
+  if (!req) return {};
+  return {
+    userAgent: req.get('user-agent')?.slice(0, 512),
+    ip: req.ip,
+    deviceId: req.get('x-device-id')?.slice(0, 128),
+  };
+}
 
 /**
  * Saves a refresh token with expiration time
  * @param {string} token - The refresh token to store
  * @param {number} [ttl=1555200] - Time to live in seconds (default: 18 days)
+ * @param {Object} [meta={}] - Session details
+ * @param {string} [meta.familyId] - Family to continue (new family if omitted)
+ * @param {Date} [meta.familyCreatedAt] - When the family was created (login)
+ * @param {string} [meta.userAgent] - Requesting user agent
+ * @param {string} [meta.ip] - Requesting IP address
+ * @param {string} [meta.deviceId] - Client-supplied X-Device-Id
+ * @returns {Promise<string>} The token's family ID
  */
-function saveRefreshToken(token, ttl = 1555200) {
-  const expiresAt = Date.now() + ttl * 1000;
-  store.set(token, expiresAt);
+async function saveRefreshToken(token, ttl = 1555200, meta = {}) {
+  const now = new Date();
+  const familyId = meta.familyId || nanoid();
+
+  await backend.save({
+    tokenHash: hashToken(token),
+    userId: String(jwt.decode(token)?.sub ?? ''),
+    familyId,
+    familyCreatedAt: meta.familyCreatedAt || now,
+    issuedAt: now,
+    expiresAt: new Date(now.getTime() + ttl * 1000),
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+    deviceId: meta.deviceId,
+  });
+
+  return familyId;
 }
 
 /**
- * Checks if a refresh token is valid and removes it from store
- * Refresh tokens are single-use, so they are always deleted after validation
+ * Validates a refresh token and marks it used (single-use)
+ * Revokes the token's family if a used token is presented again.
  * @param {string} token - The refresh token to validate
- * @returns {boolean} True if token is valid and not expired, false otherwise
+ * @returns {Promise<Object>} { valid, reused, familyId, familyCreatedAt, userId }
  */
-function findAndRemoveRefreshToken(token) {
-  const expiresAt = store.get(token);
+async function consumeRefreshToken(token) {
+  const now = new Date();
+  const { status, record } = await backend.consume(hashToken(token), now);
 
-  if (!expiresAt) {
-    return false;
+  if (status === 'valid') {
+    return {
+      valid: true,
+      reused: false,
+      familyId: record.familyId,
+      familyCreatedAt: record.familyCreatedAt,
+      userId: record.userId,
+    };
   }
 
-  const isExpired = Date.now() > expiresAt;
-  store.delete(token); // Always delete (single-use logic)
+  const reused =
+    status === 'used' && now - new Date(record.usedAt) > REUSE_GRACE_MS;
+  if (reused) {
+    const revokedCount = await backend.revokeFamily(record.familyId, 'reuse');
+    logger.warn('Refresh token reuse detected; session revoked', {
+      userId: record.userId,
+      familyId: record.familyId,
+      revokedCount,
+    });
+  }
 
-  return !isExpired;
+  return {
+    valid: false,
+    reused,
+    familyId: record?.familyId,
+    familyCreatedAt: record?.familyCreatedAt,
+    userId: record?.userId,
+  };
 }
 
 /**
- * Periodic cleanup task to remove expired tokens from memory
- * Runs every hour to prevent memory bloat
+ * Checks if a refresh token is valid and marks it used
+ * Refresh tokens are single-use, so they cannot be validated twice
+ * @param {string} token - The refresh token to validate
+ * @returns {Promise<boolean>} True if token is valid and not expired, false otherwise
  */
-if (process.env.NODE_ENV !== 'test') {
-  setInterval(() => {
-    const now = Date.now();
-    let cleanedCount = 0;
+async function findAndRemoveRefreshToken(token) {
+  const { valid } = await consumeRefreshToken(token);
+  return valid;
+}
 
-    for (const [token, exp] of store.entries()) {
-      if (now > exp) {
-        store.delete(token);
-        cleanedCount++;
-      }
-    }
+/**
+ * Revokes the session a refresh token belongs to (logout)
+ * @param {string} token - Refresh token from the logout request
+ * @param {string} [reason='logout'] - Revocation reason
+ * @returns {Promise<string|null>} The revoked session (family) ID, if known
+ */
+async function revokeRefreshToken(token, reason = 'logout') {
+  const record = await backend.find(hashToken(token));
+  if (!record) return null;
+
+  await backend.revokeFamily(record.familyId, reason);
+  return record.familyId;
+}
 
-    if (cleanedCount > 0) {
-      logger.debug('Token store cleanup completed', { cleanedCount });
+/**
+ * Looks up the session a refresh token belongs to, without consuming it
+ * @param {string} token - Refresh token
+ * @returns {Promise<string|null>} Session (family) ID
+ */
+async function getSessionId(token) {
+  const record = await backend.find(hashToken(token));
+  return record?.familyId ?? null;
+}
+
+/**
+ * Lists a user's active sessions, newest activity first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} { sessionId, createdAt, lastUsedAt, expiresAt, userAgent, ip, deviceId }
+ */
+async function listSessions(userId) {
+  const records = await backend.listActive(String(userId), new Date());
+
+  // Each family holds at most one active token, but keep the newest if not
+  const byFamily = new Map();
+  for (const record of records) {
+    const current = byFamily.get(record.familyId);
+    if (!current || current.expiresAt < record.expiresAt) {
+      byFamily.set(record.familyId, record);
     }
-  }, 60 * 60 * 1000); // Run hourly
+  }
+
+  return [...byFamily.values()]
+    .map((record) => ({
+      sessionId: record.familyId,
+      createdAt: record.familyCreatedAt,
+      lastUsedAt: record.issuedAt ?? record.familyCreatedAt,
+      expiresAt: record.expiresAt,
+      userAgent: record.userAgent,
+      ip: record.ip,
+      deviceId: record.deviceId,
+    }))
+    .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+}
+
+/**
+ * Revokes one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session (family) ID
+ * @returns {Promise<boolean>} True if the session belonged to the user and was active
+ */
+async function revokeSession(userId, sessionId) {
+  const sessions = await listSessions(userId);
+  if (!sessions.some((s) => s.sessionId === sessionId)) return false;
+
+  await backend.revokeFamily(sessionId, 'signout');
+  return true;
+}
+
+/**
+ * Revokes all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {Object} [options={}]
+ * @param {string} [options.exceptSessionId] - Session to keep signed in
+ * @param {string} [options.reason='signout_all'] - Revocation reason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeAllSessions(
+  userId,
+  { exceptSessionId, reason = 'signout_all' } = {}
+) {
+  return backend.revokeUser(String(userId), reason, exceptSessionId);
+}
+
+/**
+ * Name of the active backend ('memory' or 'mongo')
+ * @returns {string} Backend name
+ */
+function getBackendName() {
+  return backend.name;
 }
 
 module.exports = {
   saveRefreshToken,
+  consumeRefreshToken,
   findAndRemoveRefreshToken,
+  revokeRefreshToken,
+  getSessionId,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  getSessionMeta,
+  getBackendName,
 };
@@ -0,0 +1,135 @@
+const logger = require('../../services/utils/logger')(__filename);
+
+/**
+ * In-memory refresh-token backend (test/dev). Same interface as mongoStore;
+ * everything is lost on restart and is local to this process.
+ * Maps token hashes to token records.
+ * @type {Map<string, Object>}
+ */
+const store = new Map(); // tokenHash → record
+
+/**
+ * Stores a token record
+ * @param {Object} record - Token record (tokenHash, userId, familyId, expiresAt, ...)
+ * @returns {Promise<void>}
+ */
+async function save(record) {
+  store.set(record.tokenHash, { ...record });
+}
+
+/**
+ * Looks up a token record
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Token record
+ */
+async function find(tokenHash) {
+  return store.get(tokenHash) ?? null;
+}
+
+/**
+ * Marks a token as used if it is still active
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {Date} now - Current time
+ * @returns {Promise<{ status: string, record?: Object }>} status is 'valid',
+ * 'missing', 'expired', 'revoked' or 'used' (record is the token's state before this call)
+ */
+async function consume(tokenHash, now) {
+  const record = store.get(tokenHash);
+  if (!record) return { status: 'missing' };
+  if (record.revokedAt) return { status: 'revoked', record };
+  if (record.usedAt) return { status: 'used', record };
+  if (now > record.expiresAt) {
+    store.delete(tokenHash);
+    return { status: 'expired', record };
+  }
+
+  record.usedAt = now;
+  return { status: 'valid', record };
+}
+
+/**
+ * Revokes every token in a family
+ * @param {string} familyId - Session/family ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeFamily(familyId, reason) {
+  let count = 0;
+  for (const record of store.values()) {
+    if (record.familyId === familyId && !record.revokedAt) {
+      record.revokedAt = new Date();
+      record.revokedReason = reason;
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Active (unused, unrevoked, unexpired) tokens for a user
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object[]>} Token records
+ */
+async function listActive(userId, now) {
+  return [...store.values()].filter(
+    (r) => r.userId === userId && !r.usedAt && !r.revokedAt && r.expiresAt > now
+  );
+}
+
+/**
+ * Revokes all of a user's tokens, optionally keeping one family
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptFamilyId] - Family to keep
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeUser(userId, reason, exceptFamilyId) {
+  let count = 0;
+  for (const record of store.values()) {
+    if (
+      record.userId === userId &&
+      record.familyId !== exceptFamilyId &&
+      !record.revokedAt
+    ) {
+      record.revokedAt = new Date();
+      record.revokedReason = reason;
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Periodic cleanup task to remove expired tokens from memory
+ * Runs every hour to prevent memory bloat
+ */
+if (process.env.NODE_ENV !== 'test') {
+  const cleanup = setInterval(() => {
+    const now = new Date();
+    let cleanedCount = 0;
+
+    for (const [tokenHash, record] of store.entries()) {
+      if (now > record.expiresAt) {
+        store.delete(tokenHash);
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      logger.debug('Token store cleanup completed', { cleanedCount });
+    }
+  }, 60 * 60 * 1000); // Run hourly
+
+  cleanup.unref(); // Don't keep scripts alive
+}
+
+module.exports = {
+  name: 'memory',
+  save,
+  find,
+  consume,
+  revokeFamily,
+  listActive,
+  revokeUser,
+};
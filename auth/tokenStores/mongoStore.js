@@ -0,0 +1,136 @@
+const { RefreshToken } = require('../../models');
+
+/**
+ * Maps a RefreshToken document to the store's token record shape
+ * @param {Object} doc - RefreshToken document (lean)
+ * @returns {Object} Token record
+ */
+function toRecord(doc) {
+  return {
+    tokenHash: doc.token_hash,
+    userId: doc.user_id,
+    familyId: doc.family_id,
+    familyCreatedAt: doc.family_created_at,
+    expiresAt: doc.expires_at,
+    issuedAt: doc.createdAt,
+    usedAt: doc.used_at,
+    revokedAt: doc.revoked_at,
+    revokedReason: doc.revoked_reason,
+    userAgent: doc.user_agent,
+    ip: doc.ip,
+    deviceId: doc.device_id,
+  };
+}
+
+/**
+ * Stores a token record
+ * @param {Object} record - Token record (tokenHash, userId, familyId, expiresAt, ...)
+ * @returns {Promise<void>}
+ */
+async function save(record) {
+  await RefreshToken.create({
+    token_hash: record.tokenHash,
+    user_id: record.userId,
+    family_id: record.familyId,
+    family_created_at: record.familyCreatedAt,
+    expires_at: record.expiresAt,
+    user_agent: record.userAgent,
+    ip: record.ip,
+    device_id: record.deviceId,
+  });
+}
+
+/**
+ * Looks up a token record
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Token record
+ */
+async function find(tokenHash) {
+  const doc = await RefreshToken.findOne({ token_hash: tokenHash }).lean();
+  return doc ? toRecord(doc) : null;
+}
+
+/**
+ * Atomically marks a token as used if it is still active
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {Date} now - Current time
+ * @returns {Promise<{ status: string, record?: Object }>} status is 'valid',
+ * 'missing', 'expired', 'revoked' or 'used' (record is the token's state before this call)
+ */
+async function consume(tokenHash, now) {
+  const claimed = await RefreshToken.findOneAndUpdate(
+    {
+      token_hash: tokenHash,
+      used_at: null,
+      revoked_at: null,
+      expires_at: { $gt: now },
+    },
+    { used_at: now }
+  ).lean();
+  if (claimed) return { status: 'valid', record: toRecord(claimed) };
+
+  // Not claimable: find out why (the TTL monitor may not have run yet)
+  const record = await find(tokenHash);
+  if (!record) return { status: 'missing' };
+  if (record.revokedAt) return { status: 'revoked', record };
+  if (record.usedAt) return { status: 'used', record };
+  return { status: 'expired', record };
+}
+
+/**
+ * Revokes every token in a family
+ * @param {string} familyId - Session/family ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeFamily(familyId, reason) {
+  const result = await RefreshToken.updateMany(
+    { family_id: familyId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Active (unused, unrevoked, unexpired) tokens for a user
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object[]>} Token records
+ */
+async function listActive(userId, now) {
+  const docs = await RefreshToken.find({
+    user_id: userId,
+    used_at: null,
+    revoked_at: null,
+    expires_at: { $gt: now },
+  }).lean();
+  return docs.map(toRecord);
+}
+
+/**
+ * Revokes all of a user's tokens, optionally keeping one family
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [exceptFamilyId] - Family to keep
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+async function revokeUser(userId, reason, exceptFamilyId) {
+  const query = { user_id: userId, revoked_at: null };
+  if (exceptFamilyId) query.family_id = { $ne: exceptFamilyId };
+
+  const result = await RefreshToken.updateMany(query, {
+    revoked_at: new Date(),
+    revoked_reason: reason,
+  });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  name: 'mongo',
+  save,
+  find,
+  consume,
+  revokeFamily,
+  listActive,
+  revokeUser,
+};
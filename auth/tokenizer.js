@@ -17,9 +17,11 @@ class Tokenizer extends AuthBase {
   /**
    * Saves a refresh token to the token store
    * @param {string} token - The refresh token to save
+   * @param {Object} [meta] - Session details (see tokenStore.saveRefreshToken)
+   * @returns {Promise<string>} The token's session (family) ID
    */
-  saveRefreshToken(token) {
-    saveRefreshToken(token);
+  async saveRefreshToken(token, meta) {
+    return saveRefreshToken(token, this.refreshTokenExp, meta);
   }
 
   /**
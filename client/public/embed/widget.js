@@ -0,0 +1,118 @@
+/**
+ * POWERBACK escrow widget (script-tag variant)
+ *
+ * Shows how much is escrowed for one representative on a partner site:
+ *
+ *   <script src="https://powerback.us/embed/widget.js" data-pol="A000055" async></script>
+ *
+ * The card is rendered right after the script tag, inside a shadow root so
+ * the host page's styles cannot leak in or out. Data comes from
+ * GET /api/embed/pol/:bioguide on the same origin as this script, fetched
+ * without credentials. Values are inserted as text, never as HTML.
+ *
+ * Optional attributes:
+ * - data-api: API origin override (defaults to this script's origin)
+ *
+ * Self-contained on purpose: no build step, no dependencies, ES2017.
+ */
+/* eslint-env browser */
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+
+  var bioguide = String(script.getAttribute('data-pol') || '').toUpperCase();
+  if (!/^[A-Z]\d{6}$/.test(bioguide)) return;
+
+  var apiOrigin = script.getAttribute('data-api') || new URL(script.src).origin;
+
+  var STYLE =
+    ':host{all:initial;display:block;max-width:360px}' +
+    '.pb-card{display:flex;align-items:center;gap:12px;padding:12px;border:1px solid #d8d8d8;border-radius:8px;background:#fff;color:#1b1b1b;font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif}' +
+    '.pb-img{width:64px;height:64px;border-radius:50%;object-fit:cover;flex:none;background:#eceff3;display:flex;align-items:center;justify-content:center;font-weight:700;color:#555}' +
+    '.pb-total{font-size:1.4em;font-weight:700;margin:0}' +
+    '.pb-text{font-size:.9em;margin:2px 0 6px}' +
+    '.pb-cta{display:inline-block;padding:4px 10px;border-radius:4px;background:#0a3d62;color:#fff;text-decoration:none;font-size:.85em}';
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function formatUsd(amount) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      maximumFractionDigits: 0,
+    }).format(amount || 0);
+  }
+
+  function render(data) {
+    var host = document.createElement('div');
+    host.setAttribute('data-powerback-widget', data.pol.id);
+    var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+
+    var style = document.createElement('style');
+    style.textContent = STYLE;
+    root.appendChild(style);
+
+    var name = data.pol.title + ' ' + data.pol.name;
+    var card = el('div', 'pb-card');
+
+    var image;
+    if (data.headshot_url) {
+      image = el('img', 'pb-img');
+      image.src = data.headshot_url;
+      image.alt = name;
+    } else {
+      var initials = data.pol.name
+        .split(/\s+/)
+        .map(function (part) {
+          return part.charAt(0);
+        })
+        .join('')
+        .slice(0, 2);
+      image = el('div', 'pb-img', initials);
+      image.setAttribute('aria-hidden', 'true');
+    }
+    card.appendChild(image);
+
+    var body = el('div');
+    body.appendChild(el('p', 'pb-total', formatUsd(data.escrow.donation)));
+    body.appendChild(
+      el(
+        'p',
+        'pb-text',
+        'is waiting for ' +
+          name +
+          ' if they bring ' +
+          data.bill.label +
+          ' to a vote.'
+      )
+    );
+    var cta = el('a', 'pb-cta', 'Add yours on POWERBACK');
+    cta.href = data.donate_url;
+    cta.target = '_blank';
+    cta.rel = 'noopener';
+    body.appendChild(cta);
+    card.appendChild(body);
+
+    root.appendChild(card);
+    script.parentNode.insertBefore(host, script.nextSibling);
+  }
+
+  fetch(apiOrigin + '/api/embed/pol/' + bioguide, {
+    credentials: 'omit',
+    mode: 'cors',
+  })
+    .then(function (res) {
+      return res.ok ? res.json() : null;
+    })
+    .then(function (data) {
+      if (data && data.pol) render(data);
+    })
+    .catch(function () {
+      // Leave the host page untouched if the widget cannot load
+    });
+})();
@@ -7,6 +7,7 @@ import type {
   ContactInfo,
   HouseMember,
   Intent,
+  UserSession,
 } from '@Interfaces';
 import type {
   UserData,
@@ -39,13 +40,20 @@ import type {
  * - PUT    /users/forgot                      - forgotPassword
  * - POST   /users                             - createUser
  * - GET    /users/logout                      - logout
+ * - GET    /users/sessions/:userId            - getSessions
+ * - DELETE /users/sessions/:userId/:sessionId - revokeSession
+ * - DELETE /users/sessions/:userId            - revokeAllSessions
  *
  * ===== CELEBRATIONS MANAGEMENT =====
  * - POST   /celebrations                       - saveCelebration
  * - GET    /celebrations/user/:userId          - getCelebrationsByUserId
+ * - GET    /celebrations/user/:userId/history  - getCelebrationHistory
+ * - GET    /celebrations/user/:userId/export   - exportCelebrationHistory
+ * - GET    /celebrations/user/:userId/statement/:year - getCelebrationStatement
  * - PATCH  /celebrations/:celebrationId        - resolveDonation
  * - POST   /celebrations/receipt               - sendReceipt
  * - GET    /celebrations/escrow                - getWhatPolsHaveInEscrow
+ * - GET    /celebrations/stats/:view           - getCelebrationStats
  *
  * ===== PAYMENT PROCESSING (STRIPE) =====
  * - POST   /payments/celebrations/:customer_id - sendPayment
@@ -55,6 +63,7 @@ import type {
  *
  * ===== CONGRESS DATA =====
  * - GET    /congress                           - getPols
+ * - GET    /congress/candidates                - getCandidates
  * - GET    /congress/members/:pol              - getPol
  * - GET    /congress/election-dates            - getElectionDates
  *
@@ -77,6 +86,62 @@ interface PolDonations {
   count: number;
 }
 
+/** Views served by GET /celebrations/stats/:view */
+type CelebrationStatsView =
+  | 'pols'
+  | 'states'
+  | 'parties'
+  | 'bills'
+  | 'weekly'
+  | 'leaderboard';
+
+/** One stats row; the key fields depend on the view */
+interface CelebrationStatsRow {
+  donation: number;
+  count: number;
+  rank?: number;
+  pol_id?: string;
+  pol_name?: string;
+  recipient_type?: 'pol' | 'candidate';
+  state?: string;
+  party?: string;
+  bill_id?: string;
+  week_start?: string;
+}
+
+interface CelebrationStatsParams {
+  status?: 'active' | 'paused' | 'resolved' | 'defunct' | 'all';
+  weeks?: number;
+  by?: 'pols' | 'states' | 'parties' | 'bills';
+  limit?: number;
+}
+
+/** Filters and sort for GET /celebrations/user/:userId/history and /export */
+interface CelebrationHistoryParams {
+  status?: 'active' | 'paused' | 'resolved' | 'defunct';
+  pol?: string;
+  bill?: string;
+  q?: string;
+  from?: string;
+  to?: string;
+  sort?: 'newest' | 'oldest' | 'largest' | 'smallest';
+  page?: number;
+  limit?: number;
+}
+
+/** One page of history; total and donation_total cover every page */
+interface CelebrationHistoryPage {
+  items: Celebration[];
+  total: number;
+  page: number;
+  pages: number;
+  limit: number;
+  sort: NonNullable<CelebrationHistoryParams['sort']>;
+  donation_total: number;
+}
+
+type CelebrationExportFormat = 'csv' | 'json' | 'pdf';
+
 /**
  * API response types
  */
@@ -191,6 +256,14 @@ interface PowerbackAPI {
   forgotPassword: (email: string) => Promise<AxiosResponse<void>>;
   createUser: (userData: UserEntryResponse) => Promise<AxiosResponse<UserData>>;
   logout: () => Promise<AxiosResponse<void>>;
+  getSessions: (userId: string) => Promise<AxiosResponse<UserSession[]>>;
+  revokeSession: (
+    userId: string,
+    sessionId: string
+  ) => Promise<AxiosResponse<{ revoked: boolean; current: boolean }>>;
+  revokeAllSessions: (
+    userId: string
+  ) => Promise<AxiosResponse<{ revokedCount: number }>>;
 
   // Celebrations Management
   saveCelebration: (
@@ -199,9 +272,26 @@ interface PowerbackAPI {
   getCelebrationsByUserId: (
     userId: string
   ) => Promise<AxiosResponse<Celebration[]>>;
+  getCelebrationHistory: (
+    userId: string,
+    params?: CelebrationHistoryParams
+  ) => Promise<AxiosResponse<CelebrationHistoryPage>>;
+  exportCelebrationHistory: (
+    userId: string,
+    format: CelebrationExportFormat,
+    params?: CelebrationHistoryParams
+  ) => Promise<AxiosResponse<Blob>>;
+  getCelebrationStatement: (
+    userId: string,
+    year: number
+  ) => Promise<AxiosResponse<Blob>>;
   resolveDonation: (celebrationId: string) => Promise<AxiosResponse<void>>;
   sendReceipt: (celebration: Celebration) => Promise<AxiosResponse<void>>;
   getWhatPolsHaveInEscrow: () => Promise<AxiosResponse<PolDonations[]>>;
+  getCelebrationStats: (
+    view: CelebrationStatsView,
+    params?: CelebrationStatsParams
+  ) => Promise<AxiosResponse<CelebrationStatsRow[]>>;
 
   // Payment Processing
   sendPayment: (
@@ -222,6 +312,7 @@ interface PowerbackAPI {
 
   // Congress Data
   getPols: () => Promise<AxiosResponse<HouseMember[]>>;
+  getCandidates: () => Promise<AxiosResponse<HouseMember[]>>;
   getPol: (pol: string) => Promise<AxiosResponse<HouseMember>>;
   getElectionDates: () => Promise<
     AxiosResponse<{
@@ -236,7 +327,10 @@ interface PowerbackAPI {
   getPolsByLocation: (address: string) => Promise<AxiosResponse<string>>;
 
   // System Utilities
-  getBTCAddress: () => Promise<AxiosResponse<{ address: string }>>;
+  getBTCAddress: (params?: {
+    purpose?: 'support' | 'tip';
+    celebrationId?: string;
+  }) => Promise<AxiosResponse<{ address: string }>>;
   notifyImgErr: (pol: string) => Promise<AxiosResponse<boolean>>;
   logFrontendError: (errorData: {
     message: string;
@@ -592,6 +686,49 @@ const API: PowerbackAPI = {
     return axiosClient.get('users/logout');
   },
 
+  /**
+   * Lists the user's signed-in devices (sessions)
+   * @param userId - The unique identifier for the user
+   * @returns Promise with active sessions, most recently used first
+   * @example
+   * ```typescript
+   * const { data: sessions } = await API.getSessions(user.id);
+   * const others = sessions.filter((s) => !s.current);
+   * ```
+   */
+  getSessions: (userId: string): Promise<AxiosResponse<UserSession[]>> => {
+    return axiosClient.get('users/sessions/' + userId);
+  },
+
+  /**
+   * Signs one device out by revoking its session
+   * @param userId - The unique identifier for the user
+   * @param sessionId - The session to revoke
+   * @returns Promise indicating whether the revoked session was this device's
+   */
+  revokeSession: (
+    userId: string,
+    sessionId: string
+  ): Promise<AxiosResponse<{ revoked: boolean; current: boolean }>> => {
+    return axiosClient.delete('users/sessions/' + userId + '/' + sessionId);
+  },
+
+  /**
+   * Signs the user out everywhere, including this device
+   * @param userId - The unique identifier for the user
+   * @returns Promise with the number of revoked tokens
+   * @example
+   * ```typescript
+   * await API.revokeAllSessions(user.id);
+   * authOut();
+   * ```
+   */
+  revokeAllSessions: (
+    userId: string
+  ): Promise<AxiosResponse<{ revokedCount: number }>> => {
+    return axiosClient.delete('users/sessions/' + userId);
+  },
+
   // ===== CELEBRATIONS MANAGEMENT =====
 
   /**
@@ -633,6 +770,75 @@ const API: PowerbackAPI = {
     return axiosClient.get('celebrations/user/' + userId);
   },
 
+  /**
+   * Retrieves one filtered, sorted page of the signed-in user's celebrations
+   * @param userId - The signed-in user's ID
+   * @param params - Filters, sort, page and limit (default 25, max 100)
+   * @returns Promise with the page plus total count and donation total
+   * @example
+   * ```typescript
+   * const { data } = await API.getCelebrationHistory(user.id, {
+   *   status: 'active',
+   *   sort: 'largest',
+   *   page: 2,
+   * });
+   * console.log(`${data.total} celebrations, $${data.donation_total} total`);
+   * ```
+   */
+  getCelebrationHistory: (
+    userId: string,
+    params?: CelebrationHistoryParams
+  ): Promise<AxiosResponse<CelebrationHistoryPage>> => {
+    return axiosClient.get(`celebrations/user/${userId}/history`, { params });
+  },
+
+  /**
+   * Downloads the signed-in user's celebrations as CSV, JSON or PDF, with
+   * donor details as given at donation time and each status change
+   * @param userId - The signed-in user's ID
+   * @param format - 'csv' | 'json' | 'pdf'
+   * @param params - Same filters and sort as getCelebrationHistory
+   * @returns Promise with the file as a Blob
+   * @example
+   * ```typescript
+   * const { data } = await API.exportCelebrationHistory(user.id, 'pdf');
+   * downloadFile(data, 'celebrations.pdf');
+   * ```
+   */
+  exportCelebrationHistory: (
+    userId: string,
+    format: CelebrationExportFormat,
+    params?: CelebrationHistoryParams
+  ): Promise<AxiosResponse<Blob>> => {
+    const { page, limit, ...filters } = params ?? {};
+    return axiosClient.get(`celebrations/user/${userId}/export`, {
+      params: { ...filters, format },
+      responseType: 'blob',
+    });
+  },
+
+  /**
+   * Downloads the signed-in user's year-end contribution statement as a PDF:
+   * celebrations created, delivered and gone defunct, PAC tips and remaining
+   * limits for the year
+   * @param userId - The signed-in user's ID
+   * @param year - Calendar year (2020 through the current year)
+   * @returns Promise with the PDF as a Blob
+   * @example
+   * ```typescript
+   * const { data } = await API.getCelebrationStatement(user.id, 2025);
+   * downloadFile(data, 'powerback-statement-2025.pdf');
+   * ```
+   */
+  getCelebrationStatement: (
+    userId: string,
+    year: number
+  ): Promise<AxiosResponse<Blob>> => {
+    return axiosClient.get(`celebrations/user/${userId}/statement/${year}`, {
+      responseType: 'blob',
+    });
+  },
+
   /**
    * Marks a celebration as satisfied (resolved) with timestamp
    * @param celebrationId - The unique identifier for the celebration
@@ -680,6 +886,28 @@ const API: PowerbackAPI = {
     return axiosClient.get('celebrations/escrow');
   },
 
+  /**
+   * Gets cached pledge stats: totals per pol, state, party or bill, a weekly
+   * series, or a leaderboard of one of those views
+   * @param view - Stats view
+   * @param params - Optional status (default 'active'), weeks, by and limit
+   * @returns Promise with stats rows, largest donation total first
+   * @example
+   * ```typescript
+   * const { data: totals } = await API.getCelebrationStats('pols');
+   * const { data: top } = await API.getCelebrationStats('leaderboard', {
+   *   by: 'states',
+   *   limit: 5,
+   * });
+   * ```
+   */
+  getCelebrationStats: (
+    view: CelebrationStatsView,
+    params?: CelebrationStatsParams
+  ): Promise<AxiosResponse<CelebrationStatsRow[]>> => {
+    return axiosClient.get(`celebrations/stats/${view}`, { params });
+  },
+
   // ===== PAYMENT PROCESSING (STRIPE) =====
 
   /**
@@ -792,6 +1020,20 @@ const API: PowerbackAPI = {
     return axiosClient.get('congress');
   },
 
+  /**
+   * Retrieves active challenger and open-seat candidates as parade members
+   * @returns Promise with array of candidates; `id` is the FEC candidate ID
+   *   and `recipient_type` is 'candidate'
+   * @example
+   * ```typescript
+   * const { data: candidates } = await API.getCandidates();
+   * const inNY = candidates.filter((c) => c.roles[0].state === 'NY');
+   * ```
+   */
+  getCandidates: (): Promise<AxiosResponse<HouseMember[]>> => {
+    return axiosClient.get('congress/candidates');
+  },
+
   /**
    * Retrieves detailed information for a specific politician
    * @param pol - Politician identifier (bioguide ID or slug)
@@ -907,15 +1149,20 @@ const API: PowerbackAPI = {
 
   /**
    * Retrieves a dynamically generated Bitcoin address
+   * @param params - What the address is for (recorded in the address ledger)
+   * @param params.purpose - 'support' (default) or 'tip'
+   * @param params.celebrationId - Celebration the address is shown with
    * @returns Promise with a Bitcoin address
    * @example
    * ```typescript
-   * const response = await API.getBTCAddress();
+   * const response = await API.getBTCAddress({ purpose: 'support' });
    * console.log(`BTC Address: ${response.data.address}`);
    * ```
    */
-  getBTCAddress: (): Promise<AxiosResponse<{ address: string }>> => {
-    return axiosClient.post('btc/address');
+  getBTCAddress: (
+    params: { purpose?: 'support' | 'tip'; celebrationId?: string } = {}
+  ): Promise<AxiosResponse<{ address: string }>> => {
+    return axiosClient.post('btc/address', params);
   },
 
   /**
@@ -933,5 +1180,13 @@ const API: PowerbackAPI = {
   },
 };
 
-export type { PolDonations };
+export type {
+  PolDonations,
+  CelebrationStatsRow,
+  CelebrationStatsView,
+  CelebrationStatsParams,
+  CelebrationHistoryPage,
+  CelebrationHistoryParams,
+  CelebrationExportFormat,
+};
 export default API;
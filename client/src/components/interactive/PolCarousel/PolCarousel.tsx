@@ -83,7 +83,7 @@ const PolCarousel = ({ polsOnParade, isDemoMode }: PolCarouselProps) => {
       if (isDemoMode) return;
       if (hasFetchedEscrow.current && !forceRefresh) return;
 
-      API.getWhatPolsHaveInEscrow()
+      API.getCelebrationStats('pols')
         .then(({ data: escrow }) => {
           setTotalCelebrations(escrow as PolDonations[]);
           hasFetchedEscrow.current = true;
@@ -9,7 +9,7 @@ import React, {
   type StyleHTMLAttributes,
 } from 'react';
 import type { Bill, DisplayName, PolsOnParade } from '@Interfaces';
-import type { DeviceProp, DonationStateProp } from '@Types';
+import type { Chamber, DeviceProp, DonationStateProp } from '@Types';
 import { type PolData, useDonationState } from '@Contexts';
 import { Col, Row, type ColProps } from 'react-bootstrap';
 import { Headshot, Subheading, EscrowDisplay } from '.';
@@ -33,7 +33,7 @@ type PolSelectionProps = DonationStateProp &
     district?: string;
     firstName: string;
     lastName: string;
-    chamber: string;
+    chamber: Chamber;
     state?: string;
     index: number;
     info: PolData;
@@ -200,7 +200,8 @@ const PolSelection = ({
             id={description ? (description as PolData).id : ''}
             cls={selectionClassName}
             name={name}
-            src={id}
+            // candidates have no official headshot; show the placeholder
+            src={props.recipient_type === 'candidate' ? '' : id}
           />
 
           <Subheading
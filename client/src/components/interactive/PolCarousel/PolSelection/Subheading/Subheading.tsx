@@ -1,18 +1,27 @@
 import React from 'react';
 import { Constituency } from '@Components/displays';
 import { formatHouseDistrictForDisplay } from '@Utils';
+import type { Chamber } from '@Types';
 import './style.css';
 
 type SubheadingProps = {
   state: string;
   district: string;
   highlight: boolean;
+  chamber?: Chamber;
 };
 
-const Subheading = ({ state, district, highlight }: SubheadingProps) => (
+const Subheading = ({
+  state,
+  chamber,
+  district,
+  highlight,
+}: SubheadingProps) => (
   <Constituency
     cls={'district' + (highlight ? ' highlight' : '')}
-    district={formatHouseDistrictForDisplay(district, state)}
+    district={
+      chamber === 'Senate' ? '' : formatHouseDistrictForDisplay(district, state)
+    }
     state={state as string}
     headingSize={6}
   />
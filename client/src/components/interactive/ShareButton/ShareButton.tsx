@@ -1,6 +1,8 @@
 /**
  * ShareButton – dropdown of social share actions.
  * Optional bill + accounts enable politician-specific share copy (Confirmation).
+ * Optional polId shares the politician's deep link (/rep/:bioguide) instead of
+ * the homepage, tagged with the platform as utm_source.
  *
  * @module ShareButton
  */
@@ -11,6 +13,7 @@ import SocialNetworkShareButton, {
 } from '@Components/interactive/Socials/share';
 import { Dropdown } from 'react-bootstrap';
 import { APP, CONFIRMATION_COPY } from '@CONSTANTS';
+import { addTrackingParams, repShareUrl } from '@Utils';
 import type { Bill } from '@Interfaces';
 import {
   XIcon,
@@ -53,6 +56,8 @@ export interface ShareButtonProps {
   accounts?: SocialAccounts;
   /** Optional suffix appended to the share taunt (e.g. escrow total for Confirmation). */
   shareExtras?: string;
+  /** Pol whose deep link is shared; sitting members only (bioguide id). */
+  polId?: string;
 }
 
 const truthSocialIcon = (
@@ -132,7 +137,12 @@ const basePlatforms: Platform[] = [
   },
 ];
 
-const ShareButton = ({ bill, accounts, shareExtras }: ShareButtonProps) => {
+const ShareButton = ({
+  bill,
+  accounts,
+  shareExtras,
+  polId,
+}: ShareButtonProps) => {
   const dropdownRef = useRef<HTMLDivElement>(null);
   const menuRef = useRef<HTMLDivElement | null>(null);
 
@@ -146,10 +156,26 @@ const ShareButton = ({ bill, accounts, shareExtras }: ShareButtonProps) => {
     [taunt, shareExtras]
   );
 
-  const platforms = useMemo(() => {
-    if (!bill || !accounts) return basePlatforms;
+  const shareUrl = useMemo(() => (polId ? repShareUrl(polId) : null), [polId]);
 
-    return basePlatforms.map((p) => {
+  const platforms = useMemo(() => {
+    const linked = shareUrl
+      ? basePlatforms.map((p) => ({
+          ...p,
+          props: {
+            ...p.props,
+            url: addTrackingParams(shareUrl, {
+              source: p.name.toLowerCase().replace(/\s+/g, '-'),
+              medium: 'share',
+              campaign: 'rep',
+            }),
+          },
+        }))
+      : basePlatforms;
+
+    if (!bill || !accounts) return linked;
+
+    return linked.map((p) => {
       const base = { ...p, props: { ...p.props } };
       if (p.name === 'X') {
         base.props = {
@@ -196,7 +222,7 @@ const ShareButton = ({ bill, accounts, shareExtras }: ShareButtonProps) => {
       }
       return base;
     });
-  }, [bill, accounts, effectiveTaunt]);
+  }, [bill, accounts, effectiveTaunt, shareUrl]);
 
   const handleMenuWheel = (e: React.WheelEvent<HTMLDivElement>) => {
     e.stopPropagation();
@@ -0,0 +1,48 @@
+/**
+ * Chamber filter. All/House/Senate toggles for the pol carousel.
+ * @module ChamberFilter
+ */
+import React from 'react';
+import { ListGroup, ListGroupItem } from 'react-bootstrap';
+import { trackGoogleAnalyticsEvent } from '@Utils';
+import type { Chamber } from '@Types';
+import { SEARCH_COPY } from '@CONSTANTS';
+
+type ChamberFilterProps = {
+  searchPolsByChamber?: (chamber?: Chamber) => void;
+  chamber?: Chamber;
+};
+
+const ChamberFilter = ({
+  searchPolsByChamber,
+  chamber,
+}: ChamberFilterProps) => (
+  <ListGroup
+    horizontal={true}
+    className={'chamber-filter'}
+  >
+    {SEARCH_COPY.SEARCH.CHAMBERS.map((link) => {
+      const selected = (link.value || undefined) as Chamber | undefined;
+      const handleClick = () => {
+        if (selected === chamber) return;
+        searchPolsByChamber?.(selected);
+        trackGoogleAnalyticsEvent('chamber_filter', {
+          chamber: link.value || 'all',
+        });
+      };
+      return (
+        <ListGroupItem
+          className={selected === chamber ? 'options-link-active' : ''}
+          onKeyDown={(e) => e.key === 'Enter' && handleClick()}
+          onClick={handleClick}
+          key={link.label}
+          action
+        >
+          {link.label}
+        </ListGroupItem>
+      );
+    })}
+  </ListGroup>
+);
+
+export default React.memo(ChamberFilter);
@@ -15,6 +15,7 @@ import {
   logWarn,
   handleKeyDown,
   transformPolData,
+  representsDivision,
   HOUSE_AT_LARGE_LABEL,
   trackGoogleAnalyticsEvent,
   formatHouseDistrictForDisplay,
@@ -22,7 +23,7 @@ import {
 import { Form, Badge, Spinner, InputGroup } from 'react-bootstrap';
 import { useDevice, useSearch, useDonationState } from '@Contexts';
 import { useCombobox, UseComboboxStateChange } from 'downshift';
-import type { ComboboxItem, UserEvent } from '@Types';
+import type { ComboboxItem, UserEvent, Chamber } from '@Types';
 import { INIT, SEARCH_COPY } from '@CONSTANTS';
 import API from '@API';
 import {
@@ -194,6 +195,7 @@ export type PolComboboxProps = {
   restorePolsOnParade?: () => void;
   searchPolsByState?: (selectedItem: RepState) => void;
   searchPolsByName?: (selectedItem: HouseMember) => void;
+  searchPolsByChamber?: (chamber?: Chamber) => void;
   polsOnParade?: PolsOnParade;
 };
 
@@ -486,8 +488,8 @@ const PolCombobox = ({
     (ocd_id: string) => {
       // Check if incumbent exists in current parade data
       if (
-        (polsOnParade as PolsOnParade).houseMembers.filter(
-          (pol) => pol.roles[0].ocd_id === ocd_id
+        (polsOnParade as PolsOnParade).houseMembers.filter((pol) =>
+          representsDivision(pol, ocd_id)
         ).length
       ) {
         // Incumbent exists - search by location
@@ -565,7 +567,7 @@ const PolCombobox = ({
         ) {
           // Use cached location data
           const paradeMatches = (polsOnParade?.houseMembers || []).filter(
-            (pol) => pol.roles?.[0]?.ocd_id === location.ocd_id
+            (pol) => representsDivision(pol, location.ocd_id)
           );
           const { state, district } = parseDistrictQuery(addressInput);
           const searchType = inferSearchType(addressInput, searchOption.name);
@@ -632,7 +634,7 @@ const PolCombobox = ({
                     address: addressInput,
                   }));
                 const paradeMatches = (polsOnParade?.houseMembers || []).filter(
-                  (pol) => pol.roles?.[0]?.ocd_id === data
+                  (pol) => representsDivision(pol, data)
                 );
                 const { state, district } = parseDistrictQuery(addressInput);
                 const searchType = inferSearchType(
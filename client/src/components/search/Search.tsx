@@ -1,10 +1,11 @@
 /**
- * Search section. PolCombobox and link group.
+ * Search section. Chamber filter, PolCombobox and link group.
  * @module Search
  */
 import React from 'react';
 import PolCombobox, { type PolComboboxProps } from './PolCombobox';
 import { Col, Row, Container } from 'react-bootstrap';
+import ChamberFilter from './ChamberFilter';
 import { SEARCH_COPY } from '@CONSTANTS';
 import LinkGroup from './LinkGroup';
 import './style.css';
@@ -28,6 +29,15 @@ const Search = ({ ...props }: PolComboboxProps) => (
       </Col>
     </Row>
 
+    <Row className={'pol-chamber-options'}>
+      <Col>
+        <ChamberFilter
+          searchPolsByChamber={props.searchPolsByChamber}
+          chamber={props.polsOnParade?.chamber}
+        />
+      </Col>
+    </Row>
+
     <PolCombobox {...props} />
   </Container>
 );
@@ -38,6 +38,19 @@ interface AccountCopy {
     SECURITY_BUTTONS: [string, string];
     DELETE_ACCOUNT_PATTERN: string;
   };
+  SESSIONS: {
+    heading: string;
+    caption: string;
+    empty: string;
+    current: string;
+    unknownDevice: string;
+    created: string;
+    lastUsed: string;
+    signOut: string;
+    signOutEverywhere: string;
+    confirmEverywhere: string;
+    loadError: string;
+  };
   FORGOT_PW_OVERLAY: {
     heading: string;
     prompt: string;
@@ -97,7 +110,7 @@ const createUnsubParagraph = (topicName: string): React.ReactNode => (
   </>
 );
 
-export type AccountTab = 'Profile' | 'Celebrations' | 'Settings';
+export type AccountTab = 'Profile' | 'Celebrations' | 'Settings' | 'Sessions';
 
 export const ACCOUNT_COPY: AccountCopy = {
   APP: {
@@ -135,10 +148,25 @@ export const ACCOUNT_COPY: AccountCopy = {
       { key: 1, topic: 'Profile', icon: 'person-circle' },
       { key: 2, topic: 'Celebrations', icon: 'piggy-bank' },
       { key: 3, topic: 'Settings', icon: 'gear' },
+      { key: 4, topic: 'Sessions', icon: 'laptop' },
     ],
     SECURITY_BUTTONS: ['Change Password', 'Delete Account'],
     DELETE_ACCOUNT_PATTERN: 'GIVEPOWERBACK',
   },
+  SESSIONS: {
+    heading: 'Where you are signed in',
+    caption:
+      'Signing a device out takes effect within a few minutes. Change your password if you see a device you do not recognize.',
+    empty: 'No other devices are signed in.',
+    current: 'This device',
+    unknownDevice: 'Unknown device',
+    created: 'Signed in',
+    lastUsed: 'Last active',
+    signOut: 'Sign out',
+    signOutEverywhere: 'Sign out everywhere',
+    confirmEverywhere: 'Confirm: sign out all devices, including this one',
+    loadError: 'Could not load your sessions. Please try again.',
+  },
   FORGOT_PW_OVERLAY: {
     heading: 'Request to change password',
     prompt: "Enter your account's Profile email.",
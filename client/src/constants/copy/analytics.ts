@@ -20,5 +20,5 @@ export const ANALYTICS_COPY: AnalyticsCopy = {
   PARAMS: {
     CAMPAIGN_PATH: 'campaign_path',
   },
-  CAMPAIGN_PATH_PREFIXES: ['/r/', '/bsky/', '/x/', '/li/'],
+  CAMPAIGN_PATH_PREFIXES: ['/r/', '/bsky/', '/x/', '/li/', '/rep/', '/state/'],
 };
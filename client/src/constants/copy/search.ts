@@ -8,12 +8,18 @@ export interface SearchLink {
   label: 'Searching by Name' | 'Searching by State' | 'Search by Address';
 }
 
+export interface ChamberLink {
+  value: '' | 'House' | 'Senate';
+  label: 'All' | 'House' | 'Senate';
+}
+
 interface SearchCopy {
   SEARCH: {
     SET: string;
     LINKS: {
       pols: Array<SearchLink>;
     };
+    CHAMBERS: Array<ChamberLink>;
     DISTRICT: {
       NOTFOUND: string;
       TOOSHORT: string;
@@ -31,7 +37,7 @@ interface SearchCopy {
 
 export const SEARCH_COPY: SearchCopy = {
   SEARCH: {
-    SET: 'HOUSE MEMBERS',
+    SET: 'CONGRESS',
     LINKS: {
       pols: [
         {
@@ -51,6 +57,11 @@ export const SEARCH_COPY: SearchCopy = {
         },
       ],
     },
+    CHAMBERS: [
+      { value: '', label: 'All' },
+      { value: 'House', label: 'House' },
+      { value: 'Senate', label: 'Senate' },
+    ],
     DISTRICT: {
       NOTFOUND:
         'District not found. Please try again with a full address including the zip code.',
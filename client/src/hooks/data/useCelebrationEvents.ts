@@ -2,76 +2,82 @@
  * @fileoverview Celebration Events State Management Hook
  *
  * This hook manages the display, filtering, and sorting of user celebration/donation
- * events. It provides a reducer-based state management system for handling complex
- * event operations including sorting by date/amount, filtering by politician name/state,
- * and direction control.
+ * events. Sorting, filtering and paging run on the server
+ * (GET /celebrations/user/:userId/history); the hook keeps the current query
+ * in a reducer, fetches the first page whenever the query changes and appends
+ * further pages on demand.
  *
  * STATE STRUCTURE
  *
- * - events: Original reversed celebration list (newest first)
- * - sortedEvents: Currently sorted events (by date or amount)
- * - filteredEvents: Events after applying search filters
+ * - filteredEvents: Celebrations loaded so far for the current query
  * - sortDirection: 'ascending' | 'descending'
  * - sortType: 'date' | 'amount'
+ * - query: Politician name filter
+ * - total: Celebrations matching the query (all pages)
+ * - donationTotal: Donation sum of the matching Celebrations (all pages)
+ * - page, pages: Last loaded page and page count
+ * - loading: A request is in flight
  *
  * ACTIONS
  *
  * INIT
- * - Resets to initial state with reversed celebrations
- * - Sets sort direction to 'descending' (newest first)
- * - Sets sort type to 'date'
+ * - Resets to newest first with no filter (loaded events stay until the
+ *   refetch lands)
  *
  * REVERSE
  * - Toggles sort direction (ascending ↔ descending)
- * - Reverses both sortedEvents and filteredEvents
  *
  * DATE
- * - Sorts events by creation date (createdAt field)
- * - Secondary sort by donation amount
- * - Respects current sort direction
+ * - Sorts by creation date (server sort newest / oldest)
  *
  * AMOUNT
- * - Sorts events by donation amount
- * - Secondary sort by creation date
- * - Respects current sort direction
+ * - Sorts by donation amount (server sort largest / smallest)
  *
  * NAME
- * - Filters events by politician name (pol_name field)
- * - Case-insensitive search
- * - Returns empty array if no matches
- *
- * STATE
- * - Filters events by state (state field)
- * - Case-insensitive search
- * - Handled by NAME action with different key
+ * - Filters by politician name (pol_name contains, case-insensitive)
+ * - Whitespace-only queries clear the filter
  *
  * BUSINESS LOGIC
  *
- * SORTING PRIORITIES
- * - Date sort: ['createdAt', 'donation'] (date primary, amount secondary)
- * - Amount sort: ['donation', 'createdAt'] (amount primary, date secondary)
+ * FETCHING
+ * - A query change refetches page 1, debounced while typing
+ * - A change to userCelebrations (new or updated Celebration) refetches
+ * - Responses for a superseded query are dropped
  *
- * FILTERING
- * - Whitespace-only queries return all events (no filter applied)
- * - Case-insensitive matching
- * - Filters applied to sortedEvents, result stored in filteredEvents
+ * EXPORT
+ * - exportEvents downloads the current query as CSV, JSON or PDF from the
+ *   server, including donor details and status history
  *
  * DEPENDENCIES
- * - react: useCallback, useReducer, useMemo
+ * - react: useCallback, useEffect, useReducer, useMemo, useRef
+ * - @API: getCelebrationHistory, exportCelebrationHistory
  * - @Interfaces: Celebrations interface
  * - @Types: Celebration type
- * - lodash: _.sortBy for multi-field sorting
+ * - @Utils: downloadFile, logError
  *
  * @module hooks/data/useCelebrationEvents
  * @requires react
+ * @requires @API
  * @requires @Interfaces
  * @requires @Types
- * @requires lodash
+ * @requires @Utils
  */
-import { useCallback, useReducer, Reducer, useMemo } from 'react';
+import {
+  useCallback,
+  useReducer,
+  useEffect,
+  useMemo,
+  useRef,
+  Reducer,
+} from 'react';
+import API, {
+  type CelebrationExportFormat,
+  type CelebrationHistoryPage,
+  type CelebrationHistoryParams,
+} from '@API';
 import { Celebrations } from '@Interfaces';
+import { downloadFile, logError } from '@Utils';
 import { Celebration } from '@Types';
-import _ from 'lodash';
 
 type Payload = string | undefined;
 
@@ -80,131 +86,163 @@ type Action = {
   payload?: Payload;
 };
 
+type InternalAction =
+  | Action
+  | { type: 'LOADING' }
+  | { type: 'LOADED'; page: CelebrationHistoryPage }
+  | { type: 'FAILED' };
+
 interface Handlers {
   setCelebrationEvents: (action: Action) => void;
+  loadMore: () => void;
+  exportEvents: (format: CelebrationExportFormat) => Promise<void>;
 }
 
+const PAGE_SIZE = 25;
+const TYPING_DELAY_MS = 250;
+
+const initCelebrationList: Celebrations = {
+  filteredEvents: [],
+  sortDirection: 'descending',
+  sortType: 'date',
+  query: '',
+  total: 0,
+  donationTotal: 0,
+  page: 0,
+  pages: 0,
+  loading: false,
+};
+
+/**
+ * Server sort for the current sort type and direction
+ */
+const serverSort = (
+  sortType: string,
+  sortDirection: string
+): CelebrationHistoryParams['sort'] => {
+  const descending = sortDirection === 'descending';
+  if (sortType === 'amount') return descending ? 'largest' : 'smallest';
+  return descending ? 'newest' : 'oldest';
+};
+
+const reducer = (state: Celebrations, action: InternalAction): Celebrations => {
+  switch (action.type) {
+    case 'INIT':
+      return {
+        ...state,
+        sortDirection: initCelebrationList.sortDirection,
+        sortType: initCelebrationList.sortType,
+        query: initCelebrationList.query,
+      };
+    case 'REVERSE':
+      return {
+        ...state,
+        sortDirection:
+          state.sortDirection === 'descending' ? 'ascending' : 'descending',
+      };
+    case 'DATE':
+      return { ...state, sortType: 'date' };
+    case 'AMOUNT':
+      return { ...state, sortType: 'amount' };
+    case 'NAME':
+      return { ...state, query: ((action as Action).payload ?? '').trim() };
+    case 'LOADING':
+      return { ...state, loading: true };
+    case 'LOADED': {
+      const { page } = action as { page: CelebrationHistoryPage };
+      return {
+        ...state,
+        filteredEvents:
+          page.page > 1 ? [...state.filteredEvents, ...page.items] : page.items,
+        total: page.total,
+        donationTotal: page.donation_total,
+        page: page.page,
+        pages: page.pages,
+        loading: false,
+      };
+    }
+    case 'FAILED':
+      return { ...state, loading: false };
+    default:
+      throw new Error();
+  }
+};
+
 export default function useCelebrationEvents(
+  userId: string,
   userCelebrations: Celebration[]
 ): [Celebrations, Handlers] {
-  // Reverse celebrations to show newest first by default
-  const reverse = (events: Celebration[]) => {
-      return events.slice().reverse();
-    },
-    flipDonations = useMemo(
-      () => reverse(userCelebrations),
-      [userCelebrations]
-    ),
-    initCelebrationList: Celebrations = useMemo(
-      () => ({
-        events: flipDonations,
-        sortedEvents: flipDonations,
-        filteredEvents: flipDonations,
-        sortDirection: 'descending',
-        sortType: 'date',
-      }),
-      [flipDonations]
-    );
+  const [state, dispatch] = useReducer<Reducer<Celebrations, InternalAction>>(
+    reducer,
+    initCelebrationList
+  );
 
-  const reducer = useCallback(
-    (state: Celebrations, action: Action) => {
-      const eventsNow = state.filteredEvents;
-      // Define sort field priorities for different sort types
-      const sortsBy = {
-          date: ['createdAt', 'donation'],
-          amount: ['donation', 'createdAt'],
-        },
-        sortsTo = {
-          inAscent: state.sortDirection === 'ascending',
-          inDescent: state.sortDirection === 'descending',
-        };
+  const { sortType, sortDirection, query } = state;
+  const params = useMemo<CelebrationHistoryParams>(
+    () => ({
+      sort: serverSort(sortType, sortDirection),
+      ...(query ? { q: query } : {}),
+    }),
+    [sortType, sortDirection, query]
+  );
 
-      // Helper to prevent empty whitespace from affecting filters
-      const checkIfEmptyOrOnlyWhitespace = (query: string) => {
-          return query.trim().length === 0;
-        },
-        filterByKey = (
-          events: Celebration[],
-          query: string,
-          key: 'NAME' | 'STATE'
-        ) => {
-          if (checkIfEmptyOrOnlyWhitespace(query)) return events;
-          else
-            return (events as Celebration[]).filter((donation: Celebration) =>
-              (
-                donation[
-                  (key === 'NAME' ? 'pol_name' : 'state') as keyof Celebration
-                ] as string
-              )
-                .toLowerCase()
-                .includes(query.toLowerCase())
-            );
-        };
+  // Identifies the latest request so stale responses are dropped
+  const requestRef = useRef(0);
 
-      switch (action.type) {
-        case 'INIT':
-          return (state = initCelebrationList);
-        case 'REVERSE':
-          return {
-            ...state,
-            sortDirection: sortsTo.inDescent ? 'ascending' : 'descending',
-            sortedEvents: reverse(state.sortedEvents),
-            filteredEvents: reverse(eventsNow),
-          };
-        case 'DATE':
-          return {
-            ...state,
-            sortType: 'date',
-            sortedEvents: sortsTo.inDescent
-              ? reverse(_.sortBy(state.sortedEvents, sortsBy.date))
-              : _.sortBy(state.sortedEvents, sortsBy.date),
-            filteredEvents: sortsTo.inDescent
-              ? reverse(_.sortBy(eventsNow, sortsBy.date))
-              : _.sortBy(eventsNow, sortsBy.date),
-          };
-        case 'AMOUNT':
-          return {
-            ...state,
-            sortType: 'amount',
-            sortedEvents: sortsTo.inDescent
-              ? reverse(_.sortBy(state.sortedEvents, sortsBy.amount))
-              : _.sortBy(state.sortedEvents, sortsBy.amount),
-            filteredEvents: sortsTo.inDescent
-              ? reverse(_.sortBy(eventsNow, sortsBy.amount))
-              : _.sortBy(eventsNow, sortsBy.amount),
-          };
-        case 'NAME':
-          return {
-            ...state,
-            filteredEvents: filterByKey(
-              state.sortedEvents,
-              action.payload as string,
-              action.type
-            ).length
-              ? filterByKey(
-                  state.sortedEvents,
-                  action.payload as string,
-                  action.type
-                )
-              : [],
-          };
-        default:
-          throw new Error();
+  const fetchPage = useCallback(
+    async (page: number) => {
+      if (!userId) return;
+      const request = ++requestRef.current;
+      dispatch({ type: 'LOADING' });
+      try {
+        const { data } = await API.getCelebrationHistory(userId, {
+          ...params,
+          page,
+          limit: PAGE_SIZE,
+        });
+        if (request === requestRef.current)
+          dispatch({ type: 'LOADED', page: data });
+      } catch (err) {
+        logError('Failed to load celebration history', err);
+        if (request === requestRef.current) dispatch({ type: 'FAILED' });
       }
     },
-    [initCelebrationList]
+    [userId, params]
   );
 
-  const [state, dispatch] = useReducer<Reducer<Celebrations, Action>>(
-    reducer,
-    initCelebrationList as unknown as Celebrations
-  );
+  const typedRef = useRef(query);
+  useEffect(() => {
+    const typing = typedRef.current !== query;
+    typedRef.current = query;
+    const timer = setTimeout(() => fetchPage(1), typing ? TYPING_DELAY_MS : 0);
+    return () => clearTimeout(timer);
+  }, [fetchPage, query, userCelebrations]);
 
   const handlers = useMemo<Handlers>(
     () => ({
       setCelebrationEvents: (action: Action) => dispatch(action),
+      loadMore: () => {
+        if (!state.loading && state.page < state.pages)
+          fetchPage(state.page + 1);
+      },
+      exportEvents: async (format: CelebrationExportFormat) => {
+        try {
+          const { data } = await API.exportCelebrationHistory(
+            userId,
+            format,
+            params
+          );
+          const date = new Date().toISOString().split('T')[0];
+          downloadFile(
+            data,
+            `powerback-celebrations-${params.q ? 'filtered-' : ''}${date}.${format}`
+          );
+        } catch (err) {
+          logError('Failed to export celebration history', err);
+        }
+      },
     }),
-    []
+    [fetchPage, params, userId, state.loading, state.page, state.pages]
   );
 
   return [state, handlers];
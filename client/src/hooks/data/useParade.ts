@@ -3,20 +3,23 @@
  *
  * This hook manages the display and filtering of politicians in the "parade" view.
  * It provides search capabilities by name, state, and district (OCD ID) with
- * automatic sorting and filtering functionality. The parade view shows politicians
+ * automatic sorting and filtering functionality, within an optional chamber
+ * (House or Senate) filter. The parade view shows politicians
  * in a shuffled order for variety, with filtering options for targeted searches.
  *
  * STATE STRUCTURE
  *
- * - houseMembers: Complete list of all politicians (shuffled on init)
+ * - houseMembers: Complete list of all politicians and non-incumbent
+ *   candidates (shuffled on init)
  * - applied: Currently filtered/displayed politicians
+ * - chamber: Chamber filter ('House' | 'Senate'); unset shows both
  *
  * ACTIONS
  *
  * INIT
  * - Initializes with shuffled politician list
  * - Shuffles for variety in display order
- * - Sets applied to all houseMembers
+ * - Sets applied to all sitting members (candidates are left to searches)
  *
  * NAME
  * - Filters to single politician by name
@@ -30,14 +33,19 @@
  *
  * DISTRICT
  * - Filters by specific congressional district (OCD ID)
- * - Matches politicians with matching ocd_id in roles[0]
+ * - Matches House members with matching ocd_id in roles[0]
  * - At-large Pols use state-only ocd_id (no cd); internal district is 00
+ * - Matches senators for any division in their state ("my senators")
+ * - Includes challenger and open-seat candidates running for the division
  * - Used for location-based searches
  *
+ * CHAMBER
+ * - Sets or clears the chamber filter
+ * - Applies to the list and to every later STATE/DISTRICT/RESTORE
+ *
  * RESTORE
- * - Restores full politician list
- * - Sets applied to all houseMembers
- * - Clears all filters
+ * - Restores full list of sitting members (within the chamber filter)
+ * - Clears name, state and district filters
  *
  * BUSINESS LOGIC
  *
@@ -55,11 +63,12 @@
  * - Filters by roles[0].state field
  * - Handles empty state abbreviations (shows all)
  * - Sorts results by district number
+ * - Includes candidates only when a state is chosen
  *
  * DEPENDENCIES
  * - react: useCallback, useReducer, useMemo
  * - @Interfaces: PolsOnParade, HouseMember, RepState interfaces
- * - @Utils: shuffle utility function
+ * - @Utils: shuffle, representsDivision
  *
  * @module hooks/data/useParade
  * @requires react
@@ -68,7 +77,8 @@
  */
 import { useCallback, useReducer, useMemo } from 'react';
 import { PolsOnParade, HouseMember, RepState } from '@Interfaces';
-import { shuffle } from '@Utils';
+import { shuffle, representsDivision } from '@Utils';
+import type { Chamber } from '@Types';
 
 type Action = {
   payload?: HouseMember[] | HouseMember | RepState | string;
@@ -80,9 +90,18 @@ interface Handlers {
   searchPolsByName: (selectedItem: HouseMember) => void;
   searchPolsByState: (selectedItem: RepState) => void;
   searchPolsByLocation: (ocd_id: string) => void;
+  searchPolsByChamber: (chamber?: Chamber) => void;
   restorePolsOnParade: () => void;
 }
 
+/** Pols in the given chamber, or all pols when no chamber is set */
+const inChamber = (pols: HouseMember[], chamber?: Chamber) =>
+  chamber ? pols.filter((pol) => pol.roles[0].chamber === chamber) : pols;
+
+/** Sitting members only; candidates show up through searches */
+const incumbents = (pols: HouseMember[]) =>
+  pols.filter((pol) => pol.recipient_type !== 'candidate');
+
 export default function useParade(): [PolsOnParade, Handlers] {
   const reducer = useCallback((state: PolsOnParade, action: Action) => {
     switch (action.type) {
@@ -93,7 +112,7 @@ export default function useParade(): [PolsOnParade, Handlers] {
         };
         return (state = {
           ...state,
-          applied: state.houseMembers,
+          applied: inChamber(incumbents(state.houseMembers), state.chamber),
         });
       case 'NAME':
         return (state = {
@@ -104,7 +123,12 @@ export default function useParade(): [PolsOnParade, Handlers] {
         const collator = new Intl.Collator([], { numeric: true });
         return (state = {
           ...state,
-          applied: state.houseMembers
+          applied: inChamber(
+            (action.payload as RepState).abbrev !== ''
+              ? state.houseMembers
+              : incumbents(state.houseMembers),
+            state.chamber
+          )
             .filter(
               (pol: HouseMember) =>
                 pol.roles[0].state ===
@@ -120,14 +144,24 @@ export default function useParade(): [PolsOnParade, Handlers] {
       case 'DISTRICT':
         return (state = {
           ...state,
-          applied: state.houseMembers.filter(
-            (pol: HouseMember) => pol.roles[0].ocd_id === action.payload
+          applied: inChamber(state.houseMembers, state.chamber).filter(
+            (pol: HouseMember) =>
+              representsDivision(pol, action.payload as string)
           ),
         });
+      case 'CHAMBER':
+        state = {
+          ...state,
+          chamber: (action.payload as Chamber) || undefined,
+        };
+        return (state = {
+          ...state,
+          applied: inChamber(incumbents(state.houseMembers), state.chamber),
+        });
       case 'RESTORE':
         return (state = {
           ...state,
-          applied: state.houseMembers,
+          applied: inChamber(incumbents(state.houseMembers), state.chamber),
         });
       default:
         throw new Error();
@@ -153,6 +187,9 @@ export default function useParade(): [PolsOnParade, Handlers] {
       searchPolsByLocation: (ocd_id) => {
         dispatch({ type: 'DISTRICT', payload: ocd_id });
       },
+      searchPolsByChamber: (chamber) => {
+        dispatch({ type: 'CHAMBER', payload: chamber ?? '' });
+      },
       restorePolsOnParade: () => {
         dispatch({ type: 'RESTORE' });
       },
@@ -174,6 +174,8 @@ export const usePaymentProcessing = (uiDependencies: PaymentUIDependencies) => {
   const processDonation = useCallback(
     async (data: SentPayment, bill: Bill, userId: string) => {
       try {
+        // Authorizes the card only (manual capture); the server captures
+        // the charge when the celebration resolves
         await (stripe as Stripe).confirmCardPayment(data.clientSecret);
         setPaymentError(null);
 
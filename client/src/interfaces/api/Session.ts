@@ -0,0 +1,11 @@
+/** A signed-in device, as returned by GET /users/sessions/:userId */
+export interface UserSession {
+  sessionId: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  userAgent?: string;
+  ip?: string;
+  deviceId?: string;
+  current: boolean;
+}
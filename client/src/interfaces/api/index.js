@@ -3,3 +3,4 @@ export {
   ChangePasswordErrorResponse,
 } from './ConfirmNewPw';
 export { Intent } from './Intent';
+export { UserSession } from './Session';
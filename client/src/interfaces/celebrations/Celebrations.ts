@@ -2,8 +2,12 @@ import { Celebration } from '@Types';
 
 export interface Celebrations {
   filteredEvents: Celebration[];
-  sortedEvents: Celebration[];
-  events: Celebration[];
   sortDirection: string;
   sortType: string;
+  query: string;
+  total: number;
+  donationTotal: number;
+  page: number;
+  pages: number;
+  loading: boolean;
 }
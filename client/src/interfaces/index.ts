@@ -18,6 +18,7 @@ export type {
 } from './celebrations';
 export type {
   Intent,
+  UserSession,
   ConfirmNewPasswordForm,
   ChangePasswordErrorResponse,
 } from './api';
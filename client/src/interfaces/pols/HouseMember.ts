@@ -27,5 +27,9 @@ export interface HouseMember {
   roster_exclusion_reason?: string;
   roster_exclusion_category?: string;
   roster_exclusion_updated_at?: string;
+  /** 'candidate' for challengers and open seats (id is the FEC candidate id) */
+  recipient_type?: 'pol' | 'candidate';
+  /** FEC party code; set for candidates */
+  party?: string;
   roles: [Role];
 }
@@ -1,6 +1,9 @@
+import type { Chamber } from '@Types';
 import { HouseMember } from './HouseMember';
 
 export interface PolsOnParade {
   applied: HouseMember[];
   houseMembers: HouseMember[];
+  /** Chamber filter; unset shows both chambers */
+  chamber?: Chamber;
 }
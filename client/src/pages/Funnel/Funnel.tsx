@@ -27,6 +27,7 @@ import { useParade } from '@Hooks';
 import {
   useFunnelNavigationSync,
   useInitialPolsOnParade,
+  useDeepLinkedPol,
   useFunnelTours,
 } from './hooks';
 import {
@@ -203,10 +204,12 @@ const Funnel = ({ setActiveKey, ...props }: FunnelProps) => {
       searchPolsByState,
       restorePolsOnParade,
       searchPolsByLocation,
+      searchPolsByChamber,
     },
   ] = useParade();
 
   useInitialPolsOnParade(polsOnParade, setPolsOnParade);
+  useDeepLinkedPol(polsOnParade, { searchPolsByName, searchPolsByLocation });
   const isDemoMode = useIsDemoMode();
 
   /**
@@ -651,6 +654,7 @@ const Funnel = ({ setActiveKey, ...props }: FunnelProps) => {
               <TabContents
                 setRejectedDonationReasons={setRejectedDonationReasons}
                 searchPolsByLocation={searchPolsByLocation}
+                searchPolsByChamber={searchPolsByChamber}
                 restorePolsOnParade={restorePolsOnParade}
                 searchPolsByState={searchPolsByState}
                 searchPolsByName={searchPolsByName}
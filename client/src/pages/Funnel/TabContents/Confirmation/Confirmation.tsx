@@ -103,7 +103,7 @@ const Confirmation = ({
       );
       return;
     }
-    API.getWhatPolsHaveInEscrow()
+    API.getCelebrationStats('pols')
       .then(({ data }) => {
         const list = data as PolDonations[];
         const entry = list.find((c) => c.pol_id === polData.id);
@@ -170,6 +170,8 @@ const Confirmation = ({
   // Fireworks animation
   useFireworks();
 
+  const celebrationId = (newDonation as Celebration | undefined)?._id;
+
   // Fetch BTC address from API
   useEffect(() => {
     const storageKey = 'pb:btcAddress';
@@ -188,7 +190,7 @@ const Confirmation = ({
       }
     }
 
-    API.getBTCAddress()
+    API.getBTCAddress({ purpose: 'support', celebrationId })
       .then((response) => {
         const address = response.data.address;
         setBtcAddress(address);
@@ -208,7 +210,7 @@ const Confirmation = ({
         setBtcError(errorMessage);
         setBtcAddress('');
       });
-  }, []);
+  }, [celebrationId]);
 
   const handleCopyAddress = useCallback(async () => {
     if (!btcAddress) return;
@@ -259,9 +261,10 @@ const Confirmation = ({
         bill={bill as Bill}
         accounts={shareAccounts}
         shareExtras={shareExtras}
+        polId={polData?.id}
       />
     ),
-    [bill, shareAccounts, shareExtras]
+    [bill, shareAccounts, shareExtras, polData?.id]
   );
 
   return (
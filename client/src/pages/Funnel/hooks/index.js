@@ -1,3 +1,4 @@
 export { default as useInitialPolsOnParade } from './useInitialPolsOnParade';
+export { default as useDeepLinkedPol } from './useDeepLinkedPol';
 export { default as useFunnelNavigationSync } from './useFunnelNavigationSync';
 export { default as useFunnelTours } from './useFunnelTours';
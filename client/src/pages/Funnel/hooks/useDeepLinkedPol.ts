@@ -0,0 +1,54 @@
+/**
+ * Preselects the politician from a shareable deep link (/rep/:bioguide,
+ * /state/:st/district/:nn) once the parade has loaded. Page stashes the
+ * target on entry; this takes it exactly once.
+ *
+ * - rep: narrows the parade to the pol; PolCombobox auto-selects a lone pol
+ * - district: shows everyone on the seat's ballot or delegation (House
+ *   member, senators, challengers) and selects the House member
+ *
+ * @module pages/Funnel/hooks/useDeepLinkedPol
+ */
+
+import { useEffect } from 'react';
+import { findDeepLinkedPol, takeDeepLink, transformPolData } from '@Utils';
+import type { HouseMember, PolsOnParade } from '@Interfaces';
+import { useDonationState } from '@Contexts';
+
+type DeepLinkHandlers = {
+  searchPolsByName: (selectedItem: HouseMember) => void;
+  searchPolsByLocation: (ocd_id: string) => void;
+};
+
+/**
+ * @param polsOnParade - Current parade state (only .houseMembers is read)
+ * @param handlers - Parade search actions from useParade()
+ */
+export default function useDeepLinkedPol(
+  polsOnParade: PolsOnParade,
+  { searchPolsByName, searchPolsByLocation }: DeepLinkHandlers
+): void {
+  const { selectPol } = useDonationState();
+
+  useEffect(() => {
+    if (!polsOnParade.houseMembers.length) return;
+
+    const target = takeDeepLink();
+    if (!target) return;
+
+    const pol = findDeepLinkedPol(target, polsOnParade.houseMembers);
+    if (!pol) return;
+
+    if (target.kind === 'rep') {
+      searchPolsByName(pol);
+      return;
+    }
+    searchPolsByLocation(pol.roles[0].ocd_id);
+    selectPol(transformPolData(pol));
+  }, [
+    polsOnParade.houseMembers,
+    searchPolsByLocation,
+    searchPolsByName,
+    selectPol,
+  ]);
+}
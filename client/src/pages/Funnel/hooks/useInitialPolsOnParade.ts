@@ -1,5 +1,7 @@
 /**
  * Fetches initial politician list on mount when parade is empty.
+ * Sitting members and non-incumbent candidates are fetched together; a failed
+ * candidate request still shows the members.
  * Uses a ref to avoid duplicate API calls in React StrictMode.
  *
  * @module pages/Funnel/hooks/useInitialPolsOnParade
@@ -30,9 +32,15 @@ export default function useInitialPolsOnParade(
 
     hasFetchedPols.current = true;
 
-    API.getPols()
-      .then(({ data }) => {
-        setPolsOnParade(data);
+    Promise.all([
+      API.getPols(),
+      API.getCandidates().catch((error) => {
+        logError('Failed to fetch candidates', error);
+        return { data: [] as HouseMember[] };
+      }),
+    ])
+      .then(([pols, candidates]) => {
+        setPolsOnParade([...pols.data, ...candidates.data]);
       })
       .catch((error) => {
         logError('Failed to fetch pols', error);
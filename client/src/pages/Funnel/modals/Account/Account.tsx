@@ -1,5 +1,5 @@
 /**
- * Account modal. Profile, settings, celebrations tabs.
+ * Account modal. Profile, settings, sessions, celebrations tabs.
  * @module Account
  */
 import React, { useMemo } from 'react';
@@ -1,6 +1,11 @@
 import React, { type Dispatch, type SetStateAction } from 'react';
 import { useDialogue, type UserData, type ShowAlert } from '@Contexts';
-import { ProfilePane, CelebrationsPane, SettingsPane } from './panes';
+import {
+  ProfilePane,
+  SessionsPane,
+  SettingsPane,
+  CelebrationsPane,
+} from './panes';
 import { AlertCompliant } from '@Components/alerts';
 import { Tab } from 'react-bootstrap';
 import type {
@@ -59,6 +64,8 @@ const Body = ({
 
       <SettingsPane {...props} />
 
+      <SessionsPane />
+
       {(hasDonated && user && (
         <CelebrationsPane
           setActiveProfileTab={setActiveProfileTab}
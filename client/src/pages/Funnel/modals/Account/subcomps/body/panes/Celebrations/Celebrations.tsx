@@ -15,20 +15,20 @@ import type {
   Celebration,
 } from '@Types';
 import type { CelebrationsProps, CelebrationEventsAction } from './types';
+import API, { type CelebrationExportFormat } from '@API';
 import { VerticalTimeline } from 'react-vertical-timeline-component';
 import { CelebrationEvent, Explore, Methods } from './subcomps';
 import { Col, Row, Tab, Stack, Button } from 'react-bootstrap';
-import { celebrationsToCSV, downloadCSV } from '@Utils';
 import type { PolsOnParade } from '@Interfaces';
 import { useCelebrationEvents } from '@Hooks';
+import { downloadFile, logError } from '@Utils';
 import EventPlaceholder from './Placeholder';
 import type { UserData } from '@Contexts';
 import accounting from 'accounting';
 import './style.css';
 
-type FilteredEvents = {
-  filteredEvents: Celebration[];
-};
+const EXPORT_FORMATS: CelebrationExportFormat[] = ['csv', 'json', 'pdf'];
+const STATEMENT_YEAR = new Date().getFullYear() - 1;
 
 type CelebrationsPaneProps = DeviceProp & {
   setActiveProfileTab?: Dispatch<SetStateAction<string>>;
@@ -55,9 +55,8 @@ const CelebrationsPane = ({
       setSyncedCelebrations(user.donations);
     }
   }, [user.donations]);
-  const [celebrationEvents, { setCelebrationEvents }] = useCelebrationEvents(
-    syncedCelebrations as Celebration[]
-  );
+  const [celebrationEvents, { setCelebrationEvents, loadMore, exportEvents }] =
+    useCelebrationEvents(user.id, syncedCelebrations as Celebration[]);
 
   const textInputRef = useRef<HTMLInputElement>(null);
 
@@ -70,25 +69,8 @@ const CelebrationsPane = ({
         : false;
   }, []);
 
-  const totalViewedDonations = useCallback(
-    ({ filteredEvents }: FilteredEvents) => {
-      if (!filteredEvents.length) {
-        return;
-      } else {
-        return accounting.formatMoney(
-          filteredEvents.reduce((a, b) => a + b.donation, 0)
-        );
-      }
-    },
-    []
-  );
-
   const eventsReady = useMemo(() => {
-    return (
-      celebrationEvents &&
-      celebrationEvents.events &&
-      celebrationEvents.events.length
-    );
+    return celebrationEvents && celebrationEvents.filteredEvents.length;
   }, [celebrationEvents]);
 
   const timelineStyles = {
@@ -97,16 +79,29 @@ const CelebrationsPane = ({
     iconStyle: { background: '#5E8191', color: '#ccc' },
   };
 
-  const handleExportCSV = useCallback(() => {
-    const celebrations = celebrationEvents.filteredEvents as Celebration[];
-    if (celebrations.length === 0) return;
+  const [exporting, setExporting] = useState(false);
+  const handleExport = useCallback(
+    async (format: CelebrationExportFormat) => {
+      setExporting(true);
+      await exportEvents(format);
+      setExporting(false);
+    },
+    [exportEvents]
+  );
 
-    const csvContent = celebrationsToCSV(celebrations);
-    const filename = filterActive()
-      ? `powerback-celebrations-filtered-${new Date().toISOString().split('T')[0]}.csv`
-      : undefined;
-    downloadCSV(csvContent, filename);
-  }, [celebrationEvents.filteredEvents, filterActive]);
+  const handleStatement = useCallback(async () => {
+    setExporting(true);
+    try {
+      const { data } = await API.getCelebrationStatement(
+        user.id,
+        STATEMENT_YEAR
+      );
+      downloadFile(data, `powerback-statement-${STATEMENT_YEAR}.pdf`);
+    } catch (err) {
+      logError('Failed to download year-end statement', err);
+    }
+    setExporting(false);
+  }, [user.id]);
 
   return (
     <Tab.Pane
@@ -183,6 +178,24 @@ const CelebrationsPane = ({
                         celebration={c}
                       />
                     ))}
+                    {celebrationEvents.page < celebrationEvents.pages && (
+                      <div className={'text-center'}>
+                        <Button
+                          aria-label={'Load more celebrations'}
+                          className={'export-csv-btn'}
+                          disabled={celebrationEvents.loading}
+                          variant={'outline-secondary'}
+                          onClick={loadMore}
+                          size={'sm'}
+                        >
+                          {'Load more (' +
+                            celebrationEvents.filteredEvents.length +
+                            ' of ' +
+                            celebrationEvents.total +
+                            ')'}
+                        </Button>
+                      </div>
+                    )}
                     {celebrationEvents.filteredEvents.length > 0 && (
                       <div className={'viewed-celebrations-total-wrapper'}>
                         <Stack
@@ -195,17 +208,34 @@ const CelebrationsPane = ({
                           <div className={'viewed-celebrations-total'}>
                             {(!filterActive() ? 'Grand ' : 'Filtered ') +
                               'Total: ' +
-                              totalViewedDonations(celebrationEvents)}
+                              accounting.formatMoney(
+                                celebrationEvents.donationTotal
+                              )}
                           </div>
+                          {EXPORT_FORMATS.map((format) => (
+                            <Button
+                              aria-label={`Download celebrations in ${format.toUpperCase()} format`}
+                              className={'export-csv-btn ms-lg-1'}
+                              key={format + '-export-btn'}
+                              variant={'outline-secondary'}
+                              onClick={() => handleExport(format)}
+                              disabled={exporting}
+                              size={'sm'}
+                            >
+                              {format.toUpperCase()}&nbsp;
+                              <i className={'bi bi-download'} />
+                            </Button>
+                          ))}
                           <Button
-                            aria-label={'Download celebrations in CSV format'}
+                            aria-label={`Download your ${STATEMENT_YEAR} contribution statement`}
                             className={'export-csv-btn ms-lg-1'}
                             variant={'outline-secondary'}
-                            onClick={handleExportCSV}
+                            onClick={handleStatement}
+                            disabled={exporting}
                             size={'sm'}
                           >
-                            Export CSV&nbsp;
-                            <i className={'bi bi-download'} />
+                            {STATEMENT_YEAR} Statement&nbsp;
+                            <i className={'bi bi-file-earmark-pdf'} />
                           </Button>
                         </Stack>
                       </div>
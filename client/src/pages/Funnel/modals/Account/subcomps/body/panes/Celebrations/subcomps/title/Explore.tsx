@@ -12,10 +12,7 @@ type ExploreProps = UserDataProp & {
 };
 
 const Explore = ({ user, events, filterActive }: ExploreProps) => {
-  const EventCount = useMemo(
-      () => events.filteredEvents.length,
-      [events.filteredEvents.length]
-    ),
+  const EventCount = useMemo(() => events.total, [events.total]),
     wordsOrNumber = useCallback(() => {
       if (EventCount > 99) return EventCount;
       else if (EventCount > 1) return numtoWords.toWords(EventCount);
@@ -24,7 +21,7 @@ const Explore = ({ user, events, filterActive }: ExploreProps) => {
 
   return (
     <div className={'pt-3 pb-1 py-lg-0 mx-4'}>
-      {EventCount > 0 ? (
+      {!events.page ? null : EventCount > 0 ? (
         <span className={'text-center explore mb-2'}>
           {user?.firstName ? user.firstName + ', e' : 'E'}
           xplore {filterActive() && EventCount > 1 ? 'these ' : 'your '}
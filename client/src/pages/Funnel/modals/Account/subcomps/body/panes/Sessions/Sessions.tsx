@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth, useNavigation, useDonationState } from '@Contexts';
+import { ListGroup, Spinner, Stack, Tab } from 'react-bootstrap';
+import type { UserSession } from '@Interfaces';
+import { ContinueBtn } from '@Components/buttons';
+import { ACCOUNT_COPY } from '@CONSTANTS';
+import { logError } from '@Utils';
+import dayjs from 'dayjs';
+import API from '@API';
+import './style.css';
+
+const COPY = ACCOUNT_COPY.SESSIONS;
+
+/**
+ * Short "Browser on OS" label from a user agent string.
+ * Order matters: Edge and Opera UAs also contain "Chrome", Chrome's "Safari".
+ */
+const describeDevice = (userAgent?: string) => {
+  if (!userAgent) return COPY.unknownDevice;
+
+  const browser =
+    [
+      ['Edg/', 'Edge'],
+      ['OPR/', 'Opera'],
+      ['Firefox/', 'Firefox'],
+      ['Chrome/', 'Chrome'],
+      ['Safari/', 'Safari'],
+    ].find(([token]) => userAgent.includes(token))?.[1] ?? 'Browser';
+  const os =
+    [
+      ['iPhone', 'iPhone'],
+      ['iPad', 'iPad'],
+      ['Android', 'Android'],
+      ['Windows', 'Windows'],
+      ['Mac OS X', 'macOS'],
+      ['Linux', 'Linux'],
+    ].find(([token]) => userAgent.includes(token))?.[1] ?? '';
+
+  return os ? browser + ' on ' + os : browser;
+};
+
+const formatTime = (time: string) => dayjs(time).format('MMM D, YYYY h:mm A');
+
+const SessionsPane = () => {
+  const [sessions, setSessions] = useState<UserSession[] | null>(null),
+    [confirmEverywhere, setConfirmEverywhere] = useState(false),
+    [loadFailed, setLoadFailed] = useState(false);
+
+  const { setDonation, setSelectedPol } = useDonationState(),
+    { navigateToSplash } = useNavigation(),
+    { authOut, userData } = useAuth();
+
+  const loadSessions = useCallback(() => {
+    if (!userData.id) return;
+    setLoadFailed(false);
+    API.getSessions(userData.id)
+      .then(({ data }) => setSessions(data))
+      .catch((err) => {
+        setLoadFailed(true);
+        logError('Load sessions failed', err);
+      });
+  }, [userData.id]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const signOutHere = useCallback(() => {
+    setDonation(0); // clear donation
+    setSelectedPol(null); // clear pol selection
+    navigateToSplash(''); // Navigate back to splash landing page
+    authOut();
+  }, [authOut, setDonation, setSelectedPol, navigateToSplash]);
+
+  const handleRevoke = useCallback(
+    (sessionId: string) => {
+      API.revokeSession(userData.id, sessionId)
+        .then(({ data }) => {
+          if (data.current) signOutHere();
+          else loadSessions();
+        })
+        .catch((err) => {
+          logError('Revoke session failed', err);
+          loadSessions(); // may already be gone
+        });
+    },
+    [userData.id, signOutHere, loadSessions]
+  );
+
+  const handleSignOutEverywhere = useCallback(() => {
+    if (!confirmEverywhere) {
+      setConfirmEverywhere(true);
+      return;
+    }
+    API.revokeAllSessions(userData.id)
+      .then(signOutHere)
+      .catch((err) => logError('Sign out everywhere failed', err));
+  }, [confirmEverywhere, userData.id, signOutHere]);
+
+  return (
+    <Tab.Pane
+      eventKey={'Sessions'}
+      unmountOnExit={true}
+      mountOnEnter={true}
+      className={'sessions-pane px-4 pt-lg-3'}
+    >
+      <span className={'fs-5'}>{COPY.heading}</span>
+      <p className={'sessions-caption mt-1'}>{COPY.caption}</p>
+
+      {(loadFailed && <p className={'sessions-caption'}>{COPY.loadError}</p>) ||
+        (!sessions && (
+          <Spinner
+            animation={'border'}
+            size={'sm'}
+          />
+        )) || (
+          <ListGroup
+            variant={'flush'}
+            className={'sessions-list'}
+          >
+            {(sessions as UserSession[]).map((session) => (
+              <ListGroup.Item
+                key={'session-' + session.sessionId}
+                className={'session-item'}
+              >
+                <Stack
+                  direction={'horizontal'}
+                  gap={3}
+                >
+                  <div className={'me-auto'}>
+                    <div className={'session-device'}>
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className={'session-current ms-2'}>
+                          {COPY.current}
+                        </span>
+                      )}
+                    </div>
+                    <div className={'session-details'}>
+                      {session.ip && <span>{session.ip} · </span>}
+                      {COPY.created} {formatTime(session.createdAt)} ·{' '}
+                      {COPY.lastUsed} {formatTime(session.lastUsedAt)}
+                    </div>
+                  </div>
+                  {!session.current && (
+                    <ContinueBtn
+                      handleClick={() => handleRevoke(session.sessionId)}
+                      variant={'outline-dark'}
+                      label={COPY.signOut}
+                      size={'sm'}
+                    />
+                  )}
+                </Stack>
+              </ListGroup.Item>
+            ))}
+            {sessions?.every((session) => session.current) && (
+              <ListGroup.Item className={'sessions-caption'}>
+                {COPY.empty}
+              </ListGroup.Item>
+            )}
+          </ListGroup>
+        )}
+
+      <div className={'text-center mt-3'}>
+        <ContinueBtn
+          classProp={
+            (confirmEverywhere ? 'option-btn-active ' : '') + 'button--continue'
+          }
+          label={
+            confirmEverywhere ? COPY.confirmEverywhere : COPY.signOutEverywhere
+          }
+          handleClick={handleSignOutEverywhere}
+          ariaPressed={confirmEverywhere}
+          variant={'outline-dark'}
+          size={'sm'}
+        />
+      </div>
+    </Tab.Pane>
+  );
+};
+
+export default React.memo(SessionsPane);
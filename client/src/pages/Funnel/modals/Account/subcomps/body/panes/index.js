@@ -1,3 +1,4 @@
 export { ProfilePane, ProfileSubPane, ProfileSideNav } from './Profile';
 export { default as CelebrationsPane } from './Celebrations';
 export { default as SettingsPane } from './Settings';
+export { default as SessionsPane } from './Sessions';
@@ -14,7 +14,13 @@ import React, {
 } from 'react';
 import { useDialogue, useNavigation } from '@Contexts';
 import type { AuthProp, NavigationProp } from '@Types';
-import { activation, regexMatchURI } from '@Utils';
+import {
+  activation,
+  stashDeepLink,
+  regexMatchURI,
+  trackDeepLinkOpen,
+  readTrackingParams,
+} from '@Utils';
 import { Wrapper } from '@Components/page';
 import { ALERT_TIMEOUT } from '@CONSTANTS';
 import { Loading, Splash } from '@Pages';
@@ -158,7 +164,9 @@ const Page = ({
         route?.name !== 'reset' &&
         route?.name !== 'unsubscribe' &&
         route?.name !== 'activate' &&
-        route?.name !== 'join',
+        route?.name !== 'join' &&
+        route?.name !== 'rep' &&
+        route?.name !== 'district',
       [route?.name]
     ),
     shouldRedirect = useMemo(
@@ -189,7 +197,7 @@ const Page = ({
     };
   }, [route?.name]);
 
-  const { funnel: tabKey, navContext } = useNavigation();
+  const { funnel: tabKey, navContext, navigateToSplashView } = useNavigation();
 
   /**
    * Track legitimate guest access to funnel
@@ -218,6 +226,33 @@ const Page = ({
       );
   }, []);
 
+  /**
+   * Share deep links (/rep/:bioguide, /state/:st/district/:nn): stash the
+   * target for Funnel to preselect, record the link's UTM attribution, then
+   * reset the URL and enter the funnel the same way the Tour button does.
+   * Declared after the guestAccessGranted listener so the grant is heard.
+   */
+  useEffect(() => {
+    if (isInitializing) return;
+    if (route?.name !== 'rep' && route?.name !== 'district') return;
+
+    stashDeepLink(
+      route.name === 'rep'
+        ? { kind: 'rep', bioguide: route.params.bioguide }
+        : {
+            kind: 'district',
+            state: route.params.st,
+            district: route.params.nn,
+          }
+    );
+    trackDeepLinkOpen(
+      window.location.pathname,
+      readTrackingParams(window.location.search)
+    );
+    homeLinkRedirect();
+    navigateToSplashView('Tour');
+  }, [route, isInitializing, homeLinkRedirect, navigateToSplashView]);
+
   useEffect(() => {
     // Reset non-logged-in users to splash context on refresh
     // This ensures that when a non-logged-in user refreshes the page,
@@ -1,5 +1,6 @@
 /**
- * Client router. Hash-based routes for unsubscribe, activate, reset, join, main.
+ * Client router. Hash-based routes for unsubscribe, activate, reset, join, main;
+ * shareable deep links for a representative (rep) and a House seat (district).
  * @module router
  */
 import { createRouter, defineRoute, param } from 'type-route';
@@ -17,5 +18,18 @@ export const { RouteProvider, useRoute, routes } = createRouter({
   activate: hashParamRoute('activate'),
   reset: hashParamRoute('reset'),
   join: hashParamRoute('join'), // Legacy route from emails, redirects to activate
+  rep: defineRoute(
+    {
+      bioguide: param.path.string,
+    },
+    (p) => `/rep/${p.bioguide}`
+  ),
+  district: defineRoute(
+    {
+      st: param.path.string,
+      nn: param.path.string,
+    },
+    (p) => `/state/${p.st}/district/${p.nn}`
+  ),
   main: defineRoute('/'),
 });
@@ -1,7 +1,10 @@
+/** Chamber of a congressional role, as stored on Pol.roles[].chamber */
+export type Chamber = 'House' | 'Senate';
+
 export interface Role {
   votes_against_party_pct?: number;
   votes_with_party_pct?: number;
-  chamber: 'House | Senate';
+  chamber: Chamber;
   missed_votes_pct?: number;
   fec_candidate_id: string;
   title: 'Representative';
@@ -13,6 +16,7 @@ export interface Role {
   fax?: string | null;
   short_title: 'Rep.';
   congress: string;
+  /** House district; empty for the Senate (statewide) */
   district: string;
   office?: string;
   ocd_id: string;
@@ -13,7 +13,7 @@ export type {
   FormValidationProp,
 } from './CommonProps';
 
-export type { Role } from './Role';
+export type { Role, Chamber } from './Role';
 export type { PaymentProps } from './Payment';
 export type { FieldControl } from './FieldControl';
 export type { ComboboxItem } from './ComboboxItem';
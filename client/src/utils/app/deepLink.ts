@@ -0,0 +1,73 @@
+/**
+ * Shareable deep links into the funnel (/rep/:bioguide,
+ * /state/:st/district/:nn). Page stashes the link's target on entry and
+ * Funnel takes it once the parade has loaded, so the pol is preselected.
+ * @module utils/app/deepLink
+ */
+import type { HouseMember } from '@Interfaces';
+import { SHARED_DOMAIN } from '@CONSTANTS';
+import { storage } from '../storage';
+
+const STORAGE_KEY = 'deepLink';
+const BIOGUIDE_RE = /^[A-Z]\d{6}$/;
+
+export type DeepLinkTarget =
+  | { kind: 'rep'; bioguide: string }
+  | { kind: 'district'; state: string; district: string };
+
+/** Remembers the target of the deep link the visitor arrived on. */
+export const stashDeepLink = (target: DeepLinkTarget): void =>
+  storage.session.setItem(STORAGE_KEY, JSON.stringify(target));
+
+/**
+ * Returns and forgets the stashed deep link target.
+ * @returns The target, or null when there is none
+ */
+export const takeDeepLink = (): DeepLinkTarget | null => {
+  const raw = storage.session.getItem(STORAGE_KEY);
+  if (!raw) return null;
+  storage.session.removeItem(STORAGE_KEY);
+  try {
+    return JSON.parse(raw) as DeepLinkTarget;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Sitting member a deep link points at. District links match the House seat
+ * by state and number, so `7`, `07` and (at-large) `0`/`00` all work.
+ * @param target - Deep link target
+ * @param houseMembers - Full parade list
+ * @returns The member, or undefined when the link matches no one on the roster
+ */
+export const findDeepLinkedPol = (
+  target: DeepLinkTarget,
+  houseMembers: HouseMember[]
+): HouseMember | undefined => {
+  if (target.kind === 'rep') {
+    const bioguide = target.bioguide.toUpperCase();
+    return houseMembers.find(
+      (pol) => pol.recipient_type !== 'candidate' && pol.id === bioguide
+    );
+  }
+  const state = target.state.toUpperCase();
+  const district = Number(target.district);
+  return houseMembers.find((pol) => {
+    const role = pol.roles?.[0];
+    return (
+      pol.recipient_type !== 'candidate' &&
+      role?.chamber === 'House' &&
+      role.state === state &&
+      Number(role.district || 0) === district
+    );
+  });
+};
+
+/**
+ * Public link to a sitting member's page, for sharing.
+ * @param id - Pol id; challengers (FEC candidate ids) have no page
+ * @returns The link, or null when the id is not a bioguide id
+ */
+export const repShareUrl = (id: string): string | null =>
+  BIOGUIDE_RE.test(id) ? `https://${SHARED_DOMAIN}/rep/${id}` : null;
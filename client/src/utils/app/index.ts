@@ -19,6 +19,15 @@ export const { transformPolData } = require('./transformPolData'),
     setCachedElectionDates,
   } = require('./localStorage');
 
+export { representsDivision } from './representsDivision';
+
+export {
+  stashDeepLink,
+  takeDeepLink,
+  repShareUrl,
+  findDeepLinkedPol,
+} from './deepLink';
+
 export {
   loadBundledElectionDates,
   fetchAndCacheElectionDates,
@@ -26,3 +35,4 @@ export {
 
 export type { DonationFailureProps } from './donationFailure';
 export type { ElectionDatesResult } from './electionDates';
+export type { DeepLinkTarget } from './deepLink';
@@ -0,0 +1,29 @@
+/**
+ * Whether a pol represents an OCD division from an address lookup. House
+ * members match their district's ocd_id exactly; senators are statewide and
+ * match any division in their state ("my senators").
+ * @module utils/app/representsDivision
+ */
+import type { HouseMember } from '@Interfaces';
+
+const STATE_OCD_RE = /^ocd-division\/country:us\/state:[a-z]{2}/i;
+
+/**
+ * @param ocd_id - Division id, e.g. `ocd-division/country:us/state:ny/cd:14`
+ * @returns State-only division id, or '' when not a U.S. state division
+ */
+const stateDivisionOf = (ocd_id: string): string =>
+  (ocd_id.match(STATE_OCD_RE)?.[0] ?? '').toLowerCase();
+
+export const representsDivision = (
+  pol: HouseMember,
+  ocd_id: string
+): boolean => {
+  const role = pol.roles?.[0];
+  if (!role || !ocd_id) return false;
+  if (role.chamber === 'Senate') {
+    const state = stateDivisionOf(ocd_id);
+    return Boolean(state) && state === stateDivisionOf(role.ocd_id ?? '');
+  }
+  return role.ocd_id === ocd_id;
+};
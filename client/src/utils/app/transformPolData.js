@@ -13,10 +13,14 @@ export const transformPolData = (choice) => {
     bluesky: choice.bluesky_account ?? '',
     middle_name: choice.middle_name ?? '',
     youtube: choice.youtube_account ?? '',
-    district: formatHouseDistrictForDisplay(
-      choice.roles[0].district,
-      choice.roles[0].state
-    ),
+    // senators are statewide: no district, so no At-Large label either
+    district:
+      choice.roles[0].chamber === 'Senate'
+        ? ''
+        : formatHouseDistrictForDisplay(
+            choice.roles[0].district,
+            choice.roles[0].state
+          ),
     chamber: choice.roles[0].chamber,
     twitter: choice.twitter_account,
     first_name: choice.first_name,
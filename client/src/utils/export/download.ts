@@ -0,0 +1,27 @@
+/**
+ * @fileoverview File download helper for server-generated exports.
+ * Saves a Blob (e.g. a CSV, JSON or PDF response) under a filename.
+ * @module utils/export/download
+ */
+
+/**
+ * Triggers a browser download of a Blob
+ * @param blob - File content, e.g. an axios response with responseType 'blob'
+ * @param filename - Name to save the file as
+ */
+export const downloadFile = (blob: Blob, filename: string): void => {
+  // Create a temporary link element and trigger download
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Clean up the URL object
+  URL.revokeObjectURL(url);
+};
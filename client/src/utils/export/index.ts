@@ -1 +1 @@
-export { celebrationsToCSV, downloadCSV } from './exportCelebrations';
+export { downloadFile } from './download';
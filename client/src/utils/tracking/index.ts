@@ -1,7 +1,9 @@
 export {
   getTrackedLink,
   trackLinkClick,
+  trackDeepLinkOpen,
   addTrackingParams,
+  readTrackingParams,
   createTrackedLinkHandler,
 } from './linkTracking';
 export { visitCitation } from './visitCitation';
@@ -3,7 +3,9 @@
  *
  * Provides UTM parameter injection and Google Analytics event tracking
  * for external links across the application. Helps track backlinks and
- * user engagement with external resources.
+ * user engagement with external resources. Also reads UTM parameters off
+ * inbound deep links so their attribution survives the redirect into the
+ * funnel.
  *
  * @module utils/tracking/linkTracking
  */
@@ -124,6 +126,61 @@ export const trackLinkClick = (
   }
 };
 
+/**
+ * Read UTM parameters from a query string
+ *
+ * Inverse of addTrackingParams, for inbound links. Returns null when the
+ * query has no utm_medium or utm_source.
+ *
+ * @param search - Query string (e.g. window.location.search)
+ * @returns Tracking configuration or null
+ *
+ * @example
+ * ```typescript
+ * readTrackingParams('?utm_source=embed&utm_medium=widget&utm_campaign=escrow');
+ * // Returns: { source: 'embed', medium: 'widget', campaign: 'escrow' }
+ * ```
+ */
+export const readTrackingParams = (search: string): TrackingConfig | null => {
+  const params = new URLSearchParams(search);
+  const source = params.get('utm_source') || undefined;
+  const medium = params.get('utm_medium') || '';
+  if (!source && !medium) return null;
+
+  return {
+    source,
+    medium,
+    campaign: params.get('utm_campaign') || undefined,
+    content: params.get('utm_content') || undefined,
+  };
+};
+
+/**
+ * Track arrival on a shareable deep link with Google Analytics
+ *
+ * Sends the link's UTM attribution with the event, since the app replaces
+ * the deep link URL (and its query) once it enters the funnel.
+ *
+ * @param path - Deep link path (e.g. /rep/A000055)
+ * @param config - Attribution from readTrackingParams, or null for direct visits
+ */
+export const trackDeepLinkOpen = (
+  path: string,
+  config: TrackingConfig | null
+): void => {
+  if (shouldEnableGoogleAnalytics() && window.gtag) {
+    window.gtag('event', 'deep_link_open', {
+      link_path: path,
+      ...(config && {
+        utm_source: config.source,
+        utm_medium: config.medium,
+        utm_campaign: config.campaign,
+        utm_content: config.content,
+      }),
+    });
+  }
+};
+
 /**
  * Create a tracked link handler
  *
@@ -0,0 +1,44 @@
+/**
+ * Production Secrets Loading
+ *
+ * Reads KEY=value lines from the file at SECRETS_PATH into process.env. Used
+ * by both entrypoints (server.js and worker.js) in production; development
+ * loads .env.local with dotenv instead.
+ */
+
+const fs = require('fs');
+
+/**
+ * Load environment variables from SECRETS_PATH
+ * @param {Object} logger - Logger instance
+ */
+function loadSecrets(logger) {
+  const secretsPath = process.env.SECRETS_PATH;
+
+  if (!secretsPath) {
+    logger.error(
+      'SECRETS_PATH environment variable is not set. Configure SECRETS_PATH in your systemd service file.'
+    );
+  } else if (!fs.existsSync(secretsPath)) {
+    logger.error(`SECRETS_PATH file not found: ${secretsPath}`);
+  } else {
+    try {
+      const envContent = fs.readFileSync(secretsPath, 'utf8');
+      envContent.split('\n').forEach((line) => {
+        if (line.trim() && !line.startsWith('#')) {
+          const [key, ...valueParts] = line.split('=');
+          if (key && valueParts.length > 0) {
+            process.env[key] = valueParts.join('=');
+          }
+        }
+      });
+      logger.debug(
+        `Environment variables loaded from SECRETS_PATH (${secretsPath}) at ${new Date().toISOString()}`
+      );
+    } catch (err) {
+      logger.error(`Failed to load environment from SECRETS_PATH:`, err);
+    }
+  }
+}
+
+module.exports = { loadSecrets };
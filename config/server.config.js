@@ -83,6 +83,22 @@ function createStaticCorsOptions() {
   };
 }
 
+/**
+ * Create CORS options for the public embed widget endpoints.
+ * Any origin may read them, but never with credentials, so a partner page
+ * cannot make the browser send a visitor's POWERBACK cookies along.
+ * @returns {Object} Embed CORS configuration
+ */
+function createEmbedCorsOptions() {
+  return {
+    origin: '*',
+    credentials: false,
+    methods: SERVER.CORS.embedMethods,
+    allowedHeaders: SERVER.CORS.staticAllowedHeaders,
+    optionsSuccessStatus: 204,
+  };
+}
+
 /**
  * Create Helmet configuration
  * @returns {Object} Helmet configuration object
@@ -121,6 +137,7 @@ function getTrustProxy(isProductionEnv) {
 
 module.exports = {
   createStaticCorsOptions,
+  createEmbedCorsOptions,
   createHelmetConfig,
   createCorsOptions,
   getTrustProxy,
@@ -1,35 +1,42 @@
 /**
- * Admin user configuration
+ * Staff role definitions
  *
- * Add user IDs to this array to grant admin privileges.
- * These users can access dev routes and other admin functions.
+ * Roles are stored on the User document (User.roles) and granted or revoked
+ * with scripts/manage-roles.js; no deploy is needed to add a staff member.
+ * Routes check them with routes/api/middleware/requireRole.js.
  *
- * Security: Keep this list minimal and review regularly.
+ * Security: Keep role holders minimal and review regularly
+ * (node scripts/manage-roles.js list).
  */
 
-const ADMIN_USER_IDS = [
-  '68da4e43d3e2273ff6171cd4', // dev@powerback.us, prod
-  '697ba78e86591fc07128836d', // dev@powerback.us, dev
-  // Add your user ID here
-  // Example: '507f1f77bcf86cd799439011',
-];
+const ROLES = {
+  ADMIN: 'admin', // Everything, including dev routes and role management
+  COMPLIANCE_REVIEWER: 'compliance-reviewer', // FEC compliance review and exports
+  SUPPORT: 'support', // Donor support: account and Celebration lookups
+  AUDITOR: 'auditor', // Read-only access to admin views and ledgers
+};
+
+const ROLE_LIST = Object.values(ROLES);
 
 /**
- * Check if a user ID has admin privileges
- * @param {string} userId - User ID to check
- * @returns {boolean} True if user is admin
+ * Check if a role name is valid
+ * @param {string} role - Role name to check
+ * @returns {boolean} True if role is defined
  */
-function isAdmin(userId) {
-  if (!userId) return false;
-  return ADMIN_USER_IDS.includes(String(userId));
+function isRole(role) {
+  return ROLE_LIST.includes(role);
 }
 
 /**
- * Get list of all admin user IDs
- * @returns {string[]} Array of admin user IDs
+ * Check if a user's roles satisfy a route's requirement
+ * Admins satisfy every requirement.
+ * @param {string[]} userRoles - Roles held by the user
+ * @param {string[]} allowedRoles - Roles any one of which is sufficient
+ * @returns {boolean} True if the user holds an allowed role
  */
-function getAdminUserIds() {
-  return [...ADMIN_USER_IDS];
+function roleSatisfies(userRoles = [], allowedRoles = []) {
+  if (userRoles.includes(ROLES.ADMIN)) return true;
+  return allowedRoles.some((role) => userRoles.includes(role));
 }
 
-module.exports = { isAdmin, getAdminUserIds };
+module.exports = { ROLES, ROLE_LIST, isRole, roleSatisfies };
@@ -0,0 +1,52 @@
+/**
+ * Bills monitored by the bill watcher (jobs/billWatcher).
+ *
+ * Each entry identifies a bill by Congress.gov type and number. `congress`
+ * defaults to the current session when omitted. More bills can be tracked
+ * without a deploy by setting `tracked: true` on their Bill document.
+ *
+ * @property {Object[]} TRACKED - Config-tracked bills
+ * @property {string} TRACKED[].bill_type - Congress.gov bill type (e.g. 'hjres')
+ * @property {number} TRACKED[].number - Bill number
+ * @property {number} [TRACKED[].congress] - Congress number (defaults to current)
+ * @property {string} [TRACKED[].short_title] - Fallback title when the API omits one
+ * @property {string} [TRACKED[].webhook_url] - Optional outgoing webhook for bill updates
+ */
+module.exports = {
+  BILLS: {
+    TRACKED: [
+      {
+        bill_type: 'hjres',
+        number: 54,
+        short_title: 'We The People Amendment',
+        webhook_url: process.env.HJRES54_WEBHOOK_URL,
+      },
+    ],
+    /**
+     * Display prefixes per Congress.gov bill type (e.g. hjres -> H.J.Res.)
+     */
+    TYPE_LABELS: {
+      hr: 'H.R.',
+      s: 'S.',
+      hjres: 'H.J.Res.',
+      sjres: 'S.J.Res.',
+      hconres: 'H.Con.Res.',
+      sconres: 'S.Con.Res.',
+      hres: 'H.Res.',
+      sres: 'S.Res.',
+    },
+    /**
+     * Congress.gov URL path segments per bill type
+     */
+    TYPE_SLUGS: {
+      hr: 'house-bill',
+      s: 'senate-bill',
+      hjres: 'house-joint-resolution',
+      sjres: 'senate-joint-resolution',
+      hconres: 'house-concurrent-resolution',
+      sconres: 'senate-concurrent-resolution',
+      hres: 'house-resolution',
+      sres: 'senate-resolution',
+    },
+  },
+};
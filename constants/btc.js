@@ -0,0 +1,23 @@
+module.exports = {
+  BTC: {
+    /**
+     * Address ledger and payment watcher (services/btc/paymentService)
+     * @property {number} MIN_CONFIRMATIONS - Confirmations before a payment counts as confirmed
+     * @property {number} WATCH_DAYS - Days a pending address is polled before it expires
+     * @property {number} POLL_BATCH - Maximum addresses checked per watcher run
+     * @property {string} POLL_SCHEDULE - Cron schedule of the payment watcher
+     */
+    MIN_CONFIRMATIONS: Number(process.env.BTC_MIN_CONFIRMATIONS) || 2,
+    WATCH_DAYS: Number(process.env.BTC_WATCH_DAYS) || 30,
+    POLL_BATCH: 100,
+    POLL_SCHEDULE: process.env.BTC_POLL_SCHEDULE || '*/10 * * * *',
+    /**
+     * Default Esplora API base URLs by network (override with BTC_ESPLORA_URL)
+     */
+    ESPLORA_URLS: {
+      mainnet: 'https://blockstream.info/api',
+      testnet: 'https://blockstream.info/testnet/api',
+    },
+    PURPOSES: ['support', 'tip'],
+  },
+};
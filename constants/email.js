@@ -0,0 +1,21 @@
+module.exports = {
+  EMAIL: {
+    /**
+     * Email outbox and delivery worker (services/comms/outboxService)
+     * @property {number} MAX_ATTEMPTS - Failed attempts before a message is dead-lettered
+     * @property {number} BASE_DELAY_MS - Wait after the first failure; doubles with each attempt
+     * @property {number} MAX_DELAY_MS - Longest wait between attempts
+     * @property {number} LOCK_MS - A message claimed this long ago by a worker that never finished is retried
+     * @property {number} BATCH - Maximum messages sent per worker run
+     * @property {string} POLL_SCHEDULE - Cron schedule of the delivery worker
+     */
+    OUTBOX: {
+      MAX_ATTEMPTS: Number(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || 6,
+      BASE_DELAY_MS: 60 * 1000,
+      MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+      LOCK_MS: 5 * 60 * 1000,
+      BATCH: 50,
+      POLL_SCHEDULE: process.env.EMAIL_OUTBOX_SCHEDULE || '* * * * *',
+    },
+  },
+};
@@ -19,6 +19,30 @@ const LIMITS = {
 module.exports = {
   FEC: {
     COMMITTEE_ID: process.env.COMMITTEE_ID || 'C00909036',
+    /**
+     * Schedule A itemization (services/celebration/fecExportService)
+     * @property {number} ITEMIZATION_THRESHOLD - Contributions are itemized once a contributor's year-to-date aggregate exceeds this ($XXX)
+     * @property {string} FILING_FORMAT_VERSION - FEC electronic filing format version written to .fec headers
+     */
+    ITEMIZATION_THRESHOLD: Number(process.env.FEC_ITEMIZATION_THRESHOLD) || 200,
+    FILING_FORMAT_VERSION: '8.4',
+    /**
+     * Conduit of earmarked contributions, written to SA11AI conduit fields
+     * @property {string} NAME - Conduit name
+     * @property {string} STREET - Mailing address, street
+     * @property {string} STREET_2 - Mailing address, second line
+     * @property {string} CITY - Mailing address, city
+     * @property {string} STATE - Mailing address, two-letter state
+     * @property {string} ZIP - Mailing address, ZIP
+     */
+    CONDUIT: {
+      NAME: process.env.FEC_CONDUIT_NAME || 'POWERBACK.us',
+      STREET: process.env.FEC_CONDUIT_STREET || '',
+      STREET_2: process.env.FEC_CONDUIT_STREET_2 || '',
+      CITY: process.env.FEC_CONDUIT_CITY || '',
+      STATE: process.env.FEC_CONDUIT_STATE || '',
+      ZIP: process.env.FEC_CONDUIT_ZIP || '',
+    },
     /**
      * PAC (Political Action Committee) contribution limits
      * These limits apply to tips and platform fees retained by POWERBACK
@@ -6,8 +6,13 @@ const {
     getPersistentDataDir,
   } = require('./paths'),
   { APP } = require('./app'),
+  { BILLS } = require('./bills'),
+  { BTC } = require('./btc'),
+  { EMAIL } = require('./email'),
   { FEC } = require('./fec'),
-  { SERVER } = require('./server');
+  { JOBS } = require('./jobs'),
+  { SERVER } = require('./server'),
+  { WEBHOOKS } = require('./webhooks');
 
 module.exports = {
   getDeltasDir,
@@ -17,6 +22,11 @@ module.exports = {
   EMAIL_TOPICS: emailTopics.EMAIL_TOPICS,
   emailTopics,
   SERVER,
+  BILLS,
+  BTC,
+  EMAIL,
   FEC,
+  JOBS,
   APP,
+  WEBHOOKS,
 };
@@ -0,0 +1,74 @@
+module.exports = {
+  JOBS: {
+    /**
+     * Job runner (jobs/jobRunner)
+     * @property {number} LEASE_MS - Lease a running job holds on its lock; renewed while it runs
+     * @property {number} RENEW_MS - How often a running job renews its lease
+     * @property {number} HISTORY_DAYS - Days JobRun documents are kept
+     */
+    LEASE_MS: 10 * 60 * 1000,
+    RENEW_MS: 60 * 1000,
+    HISTORY_DAYS: Number(process.env.JOB_HISTORY_DAYS) || 90,
+    /**
+     * Standalone worker process (worker.js)
+     * @property {string} PROCESS - 'web' runs jobs inside the web server (with
+     *   START_WATCHERS); 'worker' leaves them all to worker.js
+     * @property {number} HEARTBEAT_MS - How often the worker records a heartbeat
+     * @property {number} STALE_MS - A heartbeat older than this reports as stale
+     * @property {number} SHUTDOWN_TIMEOUT_MS - How long shutdown waits for running jobs
+     * @property {number} HEALTH_PORT - Port of the worker's own health endpoint (unset: none)
+     */
+    WORKER: {
+      PROCESS: process.env.JOBS_PROCESS === 'worker' ? 'worker' : 'web',
+      HEARTBEAT_MS: 30 * 1000,
+      STALE_MS: 2 * 60 * 1000,
+      SHUTDOWN_TIMEOUT_MS:
+        Number(process.env.WORKER_SHUTDOWN_TIMEOUT_MS) || 60 * 1000,
+      HEALTH_PORT: Number(process.env.WORKER_HEALTH_PORT) || null,
+    },
+    /**
+     * Watcher events (models/WatcherEvent, services/events)
+     * @property {string[]} TYPES - Event types watchers emit
+     * @property {number} HISTORY_DAYS - Days WatcherEvent documents are kept
+     * @property {number} MAX_ATTEMPTS - Failed attempts before a channel's delivery is dead-lettered
+     * @property {number} BASE_DELAY_MS - Wait after the first failure; doubles with each attempt
+     * @property {number} MAX_DELAY_MS - Longest wait between attempts
+     * @property {number} LOCK_MS - An event claimed this long ago by a run that never finished is retried
+     * @property {number} BATCH - Maximum events retried per worker run
+     * @property {string} RETRY_SCHEDULE - Cron schedule of the event delivery worker
+     */
+    EVENTS: {
+      TYPES: [
+        'roster_change',
+        'roster_integrity',
+        'house_membership',
+        'senate_membership',
+        'challengers',
+        'incumbents',
+        'bill_status',
+        'election_dates',
+        'session_end',
+      ],
+      HISTORY_DAYS: Number(process.env.WATCHER_EVENT_HISTORY_DAYS) || 365,
+      MAX_ATTEMPTS: Number(process.env.WATCHER_EVENT_MAX_ATTEMPTS) || 6,
+      BASE_DELAY_MS: 5 * 60 * 1000,
+      MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+      LOCK_MS: 10 * 60 * 1000,
+      BATCH: 20,
+      RETRY_SCHEDULE: process.env.WATCHER_EVENT_RETRY_SCHEDULE || '*/5 * * * *',
+    },
+    /**
+     * Cron schedule of each registered job (America/New_York); override one
+     * with JOB_SCHEDULE_<NAME>. The other weekday watchers have none: they
+     * run one after another after houseWatcher (jobs/registry `after`).
+     * btcPaymentWatcher runs on BTC.POLL_SCHEDULE.
+     */
+    SCHEDULES: {
+      houseWatcher: process.env.JOB_SCHEDULE_HOUSE_WATCHER || '0 15 * * 1-5',
+      tipLimitReachedReset:
+        process.env.JOB_SCHEDULE_TIP_LIMIT_REACHED_RESET || '0 0 1 1 *',
+      yearEndStatements:
+        process.env.JOB_SCHEDULE_YEAR_END_STATEMENTS || '0 10 2 1 *',
+    },
+  },
+};
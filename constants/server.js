@@ -3,9 +3,6 @@ module.exports = {
     JWT: {
       AUDIENCE: process.env.JWT_AUDIENCE || 'us.powerback.authenticated-users',
     },
-    CRON_SCHEDULES: {
-      WEEKDAY_3PM: '0 15 * * 1-5',
-    },
     SALT_WORK_FACTOR: parseInt(process.env.SALT_WORK_FACTOR) ?? 10,
     REFRESH_EXPY: 1555200,
     ACCESS_EXPY: 704,
@@ -35,6 +32,7 @@ module.exports = {
       credentials: true,
       staticMethods: ['GET'],
       staticAllowedHeaders: ['Content-Type'],
+      embedMethods: ['GET'],
     },
     HELMET: {
       contentSecurityPolicy: false,
@@ -54,6 +52,16 @@ module.exports = {
         payment: ['self'],
       },
     },
+    EMBED: {
+      cacheControl: 'public, max-age=300',
+      notFoundCacheControl: 'public, max-age=60',
+    },
+    SHARE_PAGE: {
+      cacheControl: 'no-cache, must-revalidate', // same as the SPA shell in nginx
+    },
+    DISTRICT_LOOKUP: {
+      minZipShare: 0.9, // split ZIP resolves to its main district above this share
+    },
     PDF_HEADERS: {
       cacheControl: 'no-cache, no-store, must-revalidate',
       pragma: 'no-cache',
@@ -0,0 +1,33 @@
+module.exports = {
+  WEBHOOKS: {
+    /**
+     * Partner webhook endpoints and delivery worker (services/events/webhookService)
+     * @property {string[]} EVENT_TYPES - Watcher event types an endpoint may subscribe to
+     * @property {number} MAX_ATTEMPTS - Failed attempts before a delivery is dead-lettered
+     * @property {number} BASE_DELAY_MS - Wait after the first failure; doubles with each attempt
+     * @property {number} MAX_DELAY_MS - Longest wait between attempts
+     * @property {number} LOCK_MS - A delivery claimed this long ago by a worker that never finished is retried
+     * @property {number} TIMEOUT_MS - How long an endpoint has to respond
+     * @property {number} BATCH - Maximum deliveries attempted per worker run
+     * @property {string} POLL_SCHEDULE - Cron schedule of the delivery worker
+     * @property {number} HISTORY_DAYS - Days WebhookDelivery documents are kept
+     */
+    EVENT_TYPES: [
+      'house_membership',
+      'senate_membership',
+      'challengers',
+      'incumbents',
+      'bill_status',
+      'election_dates',
+      'session_end',
+    ],
+    MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    BASE_DELAY_MS: 60 * 1000,
+    MAX_DELAY_MS: 6 * 60 * 60 * 1000,
+    LOCK_MS: 5 * 60 * 1000,
+    TIMEOUT_MS: 10 * 1000,
+    BATCH: 50,
+    POLL_SCHEDULE: process.env.WEBHOOK_DELIVERY_SCHEDULE || '* * * * *',
+    HISTORY_DAYS: Number(process.env.WEBHOOK_DELIVERY_HISTORY_DAYS) || 30,
+  },
+};
@@ -20,17 +20,21 @@
  * - Initial status entry created via StatusService
  * - Records creation metadata in status_ledger
  * - Sets legacy boolean flags (resolved: false, defunct: false, paused: false)
+ * - Invalidates cached pledge stats so totals include the new pledge
  *
  * DEPENDENCIES
  * - models/Celebration: Celebration model for database operations
  * - services/utils/logger: Logging
+ * - services/celebration/statsService: Stats cache invalidation
  *
  * @module controller/celebrations/create
  * @requires ../../services/utils/logger
+ * @requires ../../services/celebration/statsService
  * @requires ../../models/Celebration
  */
 
 const logger = require('../../services/utils/logger')(__filename);
+const StatsService = require('../../services/celebration/statsService');
 
 module.exports = {
   /**
@@ -64,6 +68,7 @@ module.exports = {
   create: async (req, res, model) => {
     try {
       const doc = await model.create(req.body);
+      StatsService.invalidate();
       logger.info('Celebration created', {
         action: 'create_celebration',
         userId: req.jwt?.payload?.sub,
@@ -1,4 +1,21 @@
-const { byUserId, escrowed, byMostPopularBills } = require('./params'),
+const {
+    byUserId,
+    escrowed,
+    byMostPopularBills,
+    stats,
+    history,
+    exportHistory,
+    statement,
+  } = require('./params'),
   { asyncUser } = require('./async');
 
-module.exports = { byMostPopularBills, asyncUser, byUserId, escrowed };
+module.exports = {
+  byMostPopularBills,
+  exportHistory,
+  asyncUser,
+  byUserId,
+  escrowed,
+  statement,
+  history,
+  stats,
+};
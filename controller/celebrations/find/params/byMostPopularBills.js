@@ -2,21 +2,21 @@
  * @fileoverview Celebrations by Most Popular Bills Query Controller
  *
  * This controller aggregates celebration data by bill popularity, showing which
- * bills have the most donations and total donation amounts. It sorts celebrations
- * by date and aggregates donation totals per bill.
+ * bills have the most donations and total donation amounts. The grouping runs
+ * as a Mongo aggregation rather than summing documents in memory.
  *
  * BUSINESS LOGIC
  *
  * AGGREGATION PROCESS
- * - Queries celebrations matching request query conditions
- * - Sorts by date (newest first)
+ * - Matches celebrations against request query conditions (cast to the schema)
  * - Aggregates donations by bill_id
  * - Counts number of donations per bill
  * - Returns array with bill_id, total donation, and count
  *
  * SORTING
- * - Sorts by date field in descending order (newest first)
- * - Ensures most recent donations appear first
+ * - Most pledges first; ties broken by bill_id
+ * - Cached, status-filtered totals per bill are also available from
+ *   GET /api/celebrations/stats/bills
  *
  * DEPENDENCIES
  * - models/Celebration: Celebration model for database operations
@@ -29,9 +29,9 @@ module.exports = {
   /**
    * Aggregates celebrations by bill popularity
    *
-   * This function queries celebrations matching the request query conditions,
-   * sorts them by date, and aggregates donation totals by bill_id. Returns
-   * an array showing which bills have the most donations and total amounts.
+   * This function matches celebrations against the request query conditions
+   * and aggregates donation totals by bill_id. Returns an array showing which
+   * bills have the most donations and total amounts.
    *
    * @param {Object} req - Express request object
    * @param {Object} req.query - Query conditions for filtering celebrations
@@ -50,26 +50,20 @@ module.exports = {
    */
   byMostPopularBills: (req, res, model) => {
     model
-      .find(req.query, { bill_id: 1, donation: 1 })
-      .sort({ date: -1 })
-      .then((dbModel) => {
-        // h/t @J.S.
-        let c = {}; // aggregate donations by candidate
-        dbModel.forEach((d /*donation*/) => {
-          c[d.bill_id] = (c[d.bill_id] || 0) + 1;
-        });
-        let arr = Array.from(
-          dbModel.reduce(
-            // reduce donation amounts
-            (m, { bill_id, donation }) =>
-              m.set(bill_id, (m.get(bill_id) || 0) + (donation || 0)),
-            new Map()
-          ),
-          ([bill_id, donation]) => ({ bill_id, donation })
-        );
-        arr.forEach((element) => (element.count = c[element.bill_id]));
-        res.json(arr);
-      })
+      .aggregate([
+        // cast query-string values the way find() would
+        { $match: model.find().cast(model, req.query) },
+        {
+          $group: {
+            _id: '$bill_id',
+            donation: { $sum: '$donation' },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { count: -1, _id: 1 } },
+        { $project: { _id: 0, bill_id: '$_id', donation: 1, count: 1 } },
+      ])
+      .then((arr) => res.json(arr))
       .catch((err) => res.status(422).json(err));
   },
 };
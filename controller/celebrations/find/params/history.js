@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Celebration History Controller
+ *
+ * This controller serves a donor's own Celebration history: one filtered,
+ * sorted page at a time for the Account Celebrations pane, and full exports
+ * (CSV, JSON, PDF) with the donorInfo snapshot and status timeline of each
+ * Celebration. It delegates to CelebrationHistoryService.
+ *
+ * BUSINESS LOGIC
+ *
+ * ACCESS
+ * - Donors can only read their own history; the routes check it with
+ *   guardOwnership before these handlers run
+ *
+ * QUERY PARAMETERS
+ * - Validated and defaulted by the routes (validation/joi/celebrationHistory)
+ * - status, pol (pol_id or FEC_id), bill, q (pol name contains), from, to
+ * - sort: newest (default) | oldest | largest | smallest
+ * - page, limit: Listing only (limit 1-100, default 25)
+ * - format: Export only, csv (default) | json | pdf
+ *
+ * @module controller/celebrations/find/params/history
+ * @requires ../../../../services/celebration/historyService
+ * @requires ../../../../services/utils/logger
+ */
+
+const CelebrationHistoryService = require('../../../../services/celebration/historyService');
+const logger = require('../../../../services/utils/logger')(__filename);
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  pdf: 'application/pdf',
+};
+
+module.exports = {
+  /**
+   * Returns one page of the donor's Celebrations
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.userId - Donor user ID (the caller, checked by guardOwnership)
+   * @param {Object} req.query - Validated filters, sort, page and limit
+   * @param {Object} res - Express response object
+   * @param {Object} model - Celebration model for database operations
+   * @returns {Promise<void>} Resolves when the page is returned
+   * @throws {422} Database error
+   *
+   * @example
+   * ```javascript
+   * const { history } = require('./controller/celebrations/find/params/history');
+   * await history(req, res, Celebration);
+   * // GET /api/celebrations/user/:userId/history?status=active&sort=largest&page=2
+   * // Returns: { items: [...], total: 40, page: 2, pages: 2, limit: 25,
+   * //   sort: 'largest', donation_total: 1250 }
+   * ```
+   */
+  history: async (req, res, model) => {
+    const { page, limit, sort, ...criteria } = req.query;
+    try {
+      res.json(
+        await CelebrationHistoryService.page(
+          req.params.userId,
+          criteria,
+          { page, limit, sort },
+          model
+        )
+      );
+    } catch (err) {
+      logger.error('Celebration history failed', { error: err.message });
+      res.status(422).json({ message: 'History lookup failed' });
+    }
+  },
+
+  /**
+   * Sends the donor's filtered Celebrations as a CSV, JSON or PDF download
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.userId - Donor user ID (the caller, checked by guardOwnership)
+   * @param {Object} req.query - Validated filters, sort and format
+   * @param {Object} res - Express response object
+   * @param {Object} model - Celebration model for database operations
+   * @returns {Promise<void>} Resolves when the file is sent
+   * @throws {413} More than MAX_EXPORT Celebrations match
+   * @throws {500} Export failed
+   *
+   * @example
+   * ```javascript
+   * const { exportHistory } = require('./controller/celebrations/find/params/history');
+   * await exportHistory(req, res, Celebration);
+   * // GET /api/celebrations/user/:userId/export?format=pdf&from=2025-01-01
+   * // Returns: celebrations_2026-10-19.pdf attachment
+   * ```
+   */
+  exportHistory: async (req, res, model) => {
+    const { format, sort, ...criteria } = req.query;
+    try {
+      const records = await CelebrationHistoryService.exportRecords(
+        req.params.userId,
+        criteria,
+        sort,
+        model
+      );
+      const body =
+        format === 'csv'
+          ? CelebrationHistoryService.toCsv(records)
+          : format === 'pdf'
+            ? CelebrationHistoryService.toPdf(records)
+            : JSON.stringify(records, null, 2);
+      const filename = `celebrations_${new Date().toISOString().slice(0, 10)}.${format}`;
+      res
+        .set('Content-Disposition', `attachment; filename="${filename}"`)
+        .type(CONTENT_TYPES[format])
+        .send(body);
+    } catch (err) {
+      if (err.message === 'export-too-large') {
+        return res.status(413).json({
+          message: `More than ${CelebrationHistoryService.MAX_EXPORT} Celebrations match; narrow the date range`,
+        });
+      }
+      logger.error('Celebration history export failed', {
+        error: err.message,
+      });
+      res.status(500).json({ message: 'Export failed' });
+    }
+  },
+};
@@ -1,5 +1,16 @@
 const { byMostPopularBills } = require('./byMostPopularBills'),
+  { history, exportHistory } = require('./history'),
+  { statement } = require('./statement'),
   { byUserId } = require('./byUserId'),
-  { escrowed } = require('./escrowed');
+  { escrowed } = require('./escrowed'),
+  { stats } = require('./stats');
 
-module.exports = { byMostPopularBills, byUserId, escrowed };
+module.exports = {
+  byMostPopularBills,
+  exportHistory,
+  byUserId,
+  escrowed,
+  statement,
+  history,
+  stats,
+};
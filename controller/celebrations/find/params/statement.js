@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Year-End Statement Controller
+ *
+ * This controller serves a donor's own year-end contribution statement: the
+ * Celebrations created, delivered and gone defunct in a calendar year, PAC
+ * tips counted toward the annual limit, and remaining limits. It delegates to
+ * StatementService and returns the PDF download or the HTML of the statement
+ * email.
+ *
+ * BUSINESS LOGIC
+ *
+ * ACCESS
+ * - Donors can only read their own statement; the route checks it with
+ *   guardOwnership before this handler runs
+ *
+ * PARAMETERS
+ * - year: 2020 through the current year (taken per request, so a server
+ *   running over New Year accepts the new year)
+ * - format: pdf (default) | html
+ *
+ * @module controller/celebrations/find/params/statement
+ * @requires joi
+ * @requires ../../../comms/emails
+ * @requires ../../../../services/celebration/statementService
+ * @requires ../../../../services/utils/logger
+ */
+
+const Joi = require('joi');
+const { emails } = require('../../../comms/emails');
+const StatementService = require('../../../../services/celebration/statementService');
+const logger = require('../../../../services/utils/logger')(__filename);
+
+const FIRST_YEAR = 2020;
+
+const statementSchema = Joi.object({
+  year: Joi.number()
+    .integer()
+    .min(FIRST_YEAR)
+    .max(Joi.ref('$currentYear'))
+    .messages({ 'number.max': '"year" cannot be after the current year' })
+    .required(),
+  format: Joi.string().valid('pdf', 'html').default('pdf'),
+});
+
+module.exports = {
+  /**
+   * Sends the donor's statement for a year as a PDF download or HTML
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.userId - Donor user ID (the caller, checked by guardOwnership)
+   * @param {string} req.params.year - Calendar year
+   * @param {string} [req.query.format=pdf] - pdf | html
+   * @param {Object} res - Express response object
+   * @param {Object} model - Celebration model for database operations
+   * @param {Object} userModel - User model for the donor's name and tier
+   * @param {Object} polModel - Pol model for recipient names
+   * @returns {Promise<void>} Resolves when the statement is sent
+   * @throws {400} Invalid year or format
+   * @throws {404} User not found
+   * @throws {500} Statement failed
+   *
+   * @example
+   * ```javascript
+   * const { statement } = require('./controller/celebrations/find/params/statement');
+   * await statement(req, res, Celebration, User, Pol);
+   * // GET /api/celebrations/user/:userId/statement/2025
+   * // Returns: powerback-statement-2025.pdf attachment
+   * ```
+   */
+  statement: async (req, res, model, userModel, polModel) => {
+    const { error, value } = statementSchema.validate(
+      { year: req.params.year, format: req.query.format },
+      {
+        stripUnknown: true,
+        context: { currentYear: new Date().getFullYear() },
+      }
+    );
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const { year, format } = value;
+    try {
+      const user = await userModel
+        .findById(req.params.userId)
+        .select('firstName lastName email username compliance')
+        .lean();
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const statement = await StatementService.build(user, year, {
+        Celebration: model,
+        Pol: polModel,
+      });
+      if (format === 'html') {
+        const [, , html] = emails.Statement(statement);
+        return res
+          .type('html')
+          .send(html.replace('<!-- UNSUBSCRIBE_LINK_PLACEHOLDER -->', ''));
+      }
+      res
+        .set(
+          'Content-Disposition',
+          `attachment; filename="powerback-statement-${year}.pdf"`
+        )
+        .type('application/pdf')
+        .send(StatementService.toPdf(statement));
+    } catch (err) {
+      logger.error('Year-end statement failed', { error: err.message });
+      res.status(500).json({ message: 'Statement failed' });
+    }
+  },
+};
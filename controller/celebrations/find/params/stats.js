@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Celebration Stats Controller
+ *
+ * This controller serves aggregated pledge stats (totals per pol, state,
+ * party and bill, a weekly series and leaderboards) for the carousel and
+ * public share pages. It delegates to the cached StatsService.
+ *
+ * BUSINESS LOGIC
+ *
+ * QUERY PARAMETERS
+ * - status: Celebration status or 'all' (default 'active')
+ * - weeks: Weekly view only, 1-104 (default 12)
+ * - by: Leaderboard only, 'pols' | 'states' | 'parties' | 'bills'
+ * - limit: Leaderboard only, 1-100 (default 10)
+ *
+ * CACHING
+ * - Responses carry a short public Cache-Control matching the service cache
+ *
+ * @module controller/celebrations/find/params/stats
+ * @requires ../../../../services/celebration/statsService
+ */
+
+const StatsService = require('../../../../services/celebration/statsService');
+
+module.exports = {
+  /**
+   * Returns one stats view
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.view - pols | states | parties | bills | weekly | leaderboard
+   * @param {Object} req.query - status, weeks, by, limit
+   * @param {Object} res - Express response object
+   * @param {Object} model - Celebration model for database operations
+   * @returns {Promise<void>} Resolves when stats are returned
+   * @throws {400} Unknown view or invalid query parameter
+   * @throws {422} Database error
+   *
+   * @example
+   * ```javascript
+   * const { stats } = require('./controller/celebrations/find/params/stats');
+   * await stats(req, res, Celebration);
+   * // GET /api/celebrations/stats/leaderboard?by=states&limit=5
+   * // Returns: [{ rank: 1, state: 'NY', donation: 5000, count: 25 }, ...]
+   * ```
+   */
+  stats: async (req, res, model) => {
+    const { options, error } = StatsService.parseOptions(
+      req.params.view,
+      req.query
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    try {
+      const data = await StatsService.getStats(req.params.view, options, model);
+      res.set(
+        'Cache-Control',
+        `public, max-age=${Math.floor(StatsService.ttl() / 1000)}`
+      );
+      res.json(data);
+    } catch (err) {
+      res.status(422).json(err);
+    }
+  },
+};
@@ -18,6 +18,10 @@
  * - asyncUser: Gets user's celebrations asynchronously
  * - escrowed: Gets aggregated escrow data by politician
  * - byMostPopularBills: Gets celebrations grouped by bill popularity
+ * - stats: Gets cached pledge totals, weekly series and leaderboards
+ * - history: Gets one filtered, sorted page of a donor's own celebrations
+ * - exportHistory: Exports a donor's celebrations as CSV, JSON or PDF
+ * - statement: Gets a donor's year-end contribution statement (PDF or HTML)
  * - count: Counts celebrations matching criteria
  *
  * BUSINESS LOGIC
@@ -53,13 +57,26 @@ const { receipt } = require('./receipt'),
   { create } = require('./create'),
   { count } = require('./count');
 
-const { byUserId, escrowed, asyncUser, byMostPopularBills } = require('./find');
+const {
+  byUserId,
+  escrowed,
+  asyncUser,
+  byMostPopularBills,
+  stats,
+  history,
+  exportHistory,
+  statement,
+} = require('./find');
 
 module.exports = {
   byMostPopularBills,
   asyncUser,
   escrowed,
   byUserId,
+  stats,
+  history,
+  exportHistory,
+  statement,
   resolve,
   receipt,
   create,
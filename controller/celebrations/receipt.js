@@ -10,11 +10,11 @@
  *
  * RECEIPT GENERATION PROCESS
  * 1. Calculates donation ordinal (position in user's donation sequence)
- * 2. Looks up politician data (donee)
+ * 2. Looks up politician data (donee; Candidate for non-incumbent recipients)
  * 3. Retrieves donor information (prefers captured donorInfo, falls back to current)
  * 4. Looks up bill data
  * 5. Enriches celebration object with related data
- * 6. Sends personalized receipt email
+ * 6. Queues personalized receipt email (email outbox)
  *
  * DONOR INFORMATION PRIORITY
  * - Prefers celebration.donorInfo (immutable snapshot at donation time)
@@ -29,7 +29,7 @@
  * DEPENDENCIES
  * - controller/congress: Bill and politician lookups
  * - controller/comms/emails: Email templates
- * - controller/comms: Email sending
+ * - controller/comms: Email queueing
  * - controller/users: User contact information
  * - controller/celebrations/count: Donation ordinal calculation
  * - services/utils/logger: Logging
@@ -45,9 +45,9 @@
 
 const logger = require('../../services/utils/logger')(__filename);
 
-const { lookupBill, lookupPol } = require('../congress'),
+const { lookupBill, lookupPol, lookupCandidate } = require('../congress'),
   { emails } = require('../comms/emails'),
-  { sendEmail } = require('../comms'),
+  { enqueueEmail } = require('../comms'),
   { contact } = require('../users'),
   { count } = require('./count');
 
@@ -102,7 +102,10 @@ module.exports = {
     // Look up related data in parallel for efficiency
     let donee, donor, bill;
     try {
-      donee = await lookupPol(celebration.pol_id, polModel);
+      donee =
+        celebration.recipient_type === 'candidate'
+          ? await lookupCandidate(celebration.pol_id)
+          : await lookupPol(celebration.pol_id, polModel);
 
       // Use captured donor information if available, otherwise look up current user info
       if (celebration.donorInfo) {
@@ -148,7 +151,7 @@ module.exports = {
       celebrationId: celebration._id,
     });
 
-    await sendEmail(
+    await enqueueEmail(
       recipientEmail,
       emailTemplateFunction,
       celebration,
@@ -3,21 +3,24 @@
  *
  * This module provides civic data operations, primarily focused on address
  * validation and congressional district lookup. It enables users to find their
- * local representatives based on their address using the Google Civics API.
+ * local representatives based on their address, using Google Civics or local
+ * district boundary data.
  *
  * KEY FUNCTIONS
  *
  * getLocalPols(address)
  * - Validates address and returns congressional district information
- * - Uses Google Civics API for geocoding and district lookup
+ * - Uses the district resolver (Google Civics with local TIGER / ZIP
+ *   crosswalk failover) for district lookup
  * - Returns Open Civic Data ID (ocd_id) for district identification
  *
  * BUSINESS LOGIC
  *
  * ADDRESS VALIDATION
- * - Geocodes address using Google Civics API
- * - Extracts congressional district from API response
- * - Falls back to city/state lookup if full address fails
+ * - Tries each configured resolver backend in order
+ * - Google Civics extracts the district from its API response, retrying
+ *   with city/state if the full address fails
+ * - Local backend uses TIGER boundaries and the ZIP crosswalk in Mongo
  * - Returns ocd_id for district identification
  *
  * OCD_ID FORMAT
@@ -28,13 +31,10 @@
  *
  * DEPENDENCIES
  * - ./getLocalPols: Address validation and district lookup
- * - superagent: HTTP client for Google Civics API
- * - process.env.GOOGLE_CIVICS_API_ENDPOINT: API endpoint
- * - process.env.GOOGLE_CIVICS_API_KEY: API key
+ * - services/civics/districtResolver: Backend selection (DISTRICT_RESOLVER)
  *
  * @module controller/civics
  * @requires ./getLocalPols
- * @requires superagent
  */
 
 const { getLocalPols } = require('./getLocalPols');
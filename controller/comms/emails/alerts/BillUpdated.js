@@ -1,6 +1,6 @@
 /**
- * @fileoverview Alert email when H.J.Res.54 (We The People Amendment) has new activity.
- * @module controller/comms/emails/alerts/Hjres54BillUpdated
+ * @fileoverview Alert email when a tracked bill has new activity.
+ * @module controller/comms/emails/alerts/BillUpdated
  */
 
 const { createEmailTemplate, emailUtils } = require('../template');
@@ -23,7 +23,7 @@ function formatMoney(amount) {
 
 /**
  * Builds email content for bill update summary (status, action, committees).
- * @param {Object} summary - Change summary from checkHJRes54
+ * @param {Object} summary - Change summary from billWatcher
  * @param {string} [summary.statusOld] - Previous status
  * @param {string} [summary.statusNew] - New status
  * @returns {string} HTML fragment
@@ -49,47 +49,52 @@ function formatChangeSummary(summary) {
 
 module.exports = {
   /**
-   * Email template for H.J.Res.54 bill update notifications.
+   * Email template for tracked bill update notifications.
    * @param {string} [firstName] - User first name
    * @param {Object} changeSummary - Summary of what changed (status, action, committees, totalDonations)
+   * @param {string} changeSummary.billLabel - Display label (e.g. H.J.Res.54)
+   * @param {string} [changeSummary.billTitle] - Short title (e.g. We The People Amendment)
    * @returns {[number, string, string, string]} [fromIndex, subject, html, topic]
    */
-  Hjres54BillUpdated: (firstName, changeSummary) => {
+  BillUpdated: (firstName, changeSummary) => {
     const summary = changeSummary || {};
     const summaryHtml = formatChangeSummary(summary);
+    const billName = summary.billTitle
+      ? `${summary.billLabel} (${summary.billTitle})`
+      : summary.billLabel;
     const totalDonations = summary.totalDonations ?? 0;
     const totalRaisedCopy =
       totalDonations > 0
-        ? ` So far we have raised <strong>${formatMoney(totalDonations)}</strong> in escrowed donations for this bill.`
+        ? ` So far <strong>${formatMoney(totalDonations)}</strong> is held in Celebrations awaiting this bill.`
         : '';
 
     const content = `
-      ${emailUtils.createHeading('H.J.Res.54 (We The People Amendment) update', 1)}
-      
+      ${emailUtils.createHeading(`${billName} update`, 1)}
+
       ${emailUtils.createParagraph(`Hi ${firstName || 'Powerbacker'},`)}
-      
+
       ${emailUtils.createInfoBox(
         `
-        There is new activity on <strong>H.J.Res.54</strong>, the We The People Amendment that POWERBACK.us is built around.${totalRaisedCopy}
+        There is new activity on <strong>${summary.billLabel}</strong>, a bill tracked by POWERBACK.us.${totalRaisedCopy}
       `,
         'info'
       )}
-      
+
       ${emailUtils.createHeading('What changed', 4)}
-      
+
       ${emailUtils.createParagraph(summaryHtml)}
-      
+
       ${emailUtils.createButton('View on POWERBACK.us', PB_URL)}
-      
+
       ${emailUtils.createDivider()}
-      
+
       ${emailUtils.createParagraph(
         `
         The ${emailUtils.createLink('POWERBACK.us', PB_URL)} Team
       `,
         { textAlign: 'center' }
       )}
-      
+
       ${emailUtils.createParagraph(
         `Questions? Email ${emailUtils.createLink(
           SUPPORT_EMAIL,
@@ -101,7 +106,7 @@ module.exports = {
 
     return [
       3, // alerts-noreply@powerback.us
-      'POWERBACK.us: H.J.Res.54 (We The People Amendment) has new activity',
+      `POWERBACK.us: ${billName} has new activity`,
       createEmailTemplate(content),
       EMAIL_TOPICS.billUpdates,
     ];
@@ -3,6 +3,7 @@ const { EMAIL_TOPICS } = require('../../../../constants');
 const {
   createSeriousChallengerExplanationSection,
 } = require('../utils/celebrations');
+const { formatRace } = require('./formatters');
 
 const PB_URL = process.env.PROD_URL,
   PHONE_NUMBER = process.env.PHONE_NUMBER,
@@ -21,7 +22,7 @@ module.exports = {
         `
         <strong>Competitive Race Alert:</strong> A serious challenger has entered the race against ${
           incumbentName || 'your Representative'
-        } in ${state}-${district}.
+        } in ${formatRace(state, district)}.
       `,
         'warning'
       )}
@@ -59,7 +60,7 @@ module.exports = {
 
     return [
       3, // alerts-noreply@powerback.us
-      `POWERBACK.us: Challenger Alert for ${state}-${district}`,
+      `POWERBACK.us: Challenger Alert for ${formatRace(state, district)}`,
       createEmailTemplate(content),
       EMAIL_TOPICS.districtUpdates,
     ];
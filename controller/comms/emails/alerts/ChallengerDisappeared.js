@@ -3,6 +3,7 @@ const { EMAIL_TOPICS } = require('../../../../constants');
 const {
   createSeriousChallengerExplanationSection,
 } = require('../utils/celebrations');
+const { formatRace } = require('./formatters');
 
 const PB_URL = process.env.PROD_URL,
   PHONE_NUMBER = process.env.PHONE_NUMBER,
@@ -19,7 +20,7 @@ module.exports = {
         `
         <strong>Race Status Change:</strong> ${
           incumbentName || 'Your Representative'
-        } in ${state}-${district} no longer has a serious challenger on record.
+        } in ${formatRace(state, district)} no longer has a serious challenger on record.
       `,
         'error'
       )}
@@ -67,7 +68,7 @@ module.exports = {
 
     return [
       3, // alerts-noreply@powerback.us
-      `POWERBACK.us: Challenger Status Update for ${state}-${district}`,
+      `POWERBACK.us: Challenger Status Update for ${formatRace(state, district)}`,
       createEmailTemplate(content),
       EMAIL_TOPICS.districtUpdates,
     ];
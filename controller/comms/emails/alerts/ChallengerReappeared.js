@@ -1,5 +1,6 @@
 const { createEmailTemplate, emailUtils } = require('../template');
 const { EMAIL_TOPICS } = require('../../../../constants');
+const { formatRace } = require('./formatters');
 
 const PB_URL = process.env.PROD_URL,
   PHONE_NUMBER = process.env.PHONE_NUMBER,
@@ -16,7 +17,7 @@ module.exports = {
         `
         <strong>Competitive Race Resumed:</strong> A serious challenger has entered the race against ${
           incumbentName || 'your Representative'
-        } in ${state}-${district}. This makes your voice now more important than ever.
+        } in ${formatRace(state, district)}. This makes your voice now more important than ever.
       `,
         'success'
       )}
@@ -55,7 +56,7 @@ module.exports = {
 
     return [
       3, // alerts-noreply@powerback.us
-      `POWERBACK.us: Challenger Returns to ${state}-${district}`,
+      `POWERBACK.us: Challenger Returns to ${formatRace(state, district)}`,
       createEmailTemplate(content),
       EMAIL_TOPICS.districtUpdates,
     ];
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Alert email when a Celebration's charge is refunded.
+ * @module controller/comms/emails/alerts/DonationRefunded
+ */
+
+const { createEmailTemplate, emailUtils } = require('../template');
+
+const SUPPORT_EMAIL = process.env.REACT_APP_EMAIL_SUPPORT_USER;
+
+/**
+ * Formats a dollar amount as USD for display.
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted currency string
+ */
+function formatMoney(amount) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount ?? 0);
+}
+
+module.exports = {
+  /**
+   * Email confirming a refund of a Celebration's charge.
+   * Transactional: sent regardless of topic unsubscribes.
+   *
+   * @param {string} [firstName] - User first name
+   * @param {Object} payload - Refund details
+   * @param {string} payload.pol_name - Candidate the Celebration is for
+   * @param {number} payload.amount_refunded - Total refunded so far, in dollars
+   * @param {boolean} payload.refunded - True when the charge is fully refunded
+   * @returns {[number, string, string]} [fromIndex, subject, html]
+   */
+  DonationRefunded: (firstName, payload) => {
+    const { pol_name, amount_refunded, refunded } = payload || {};
+
+    const content = `
+      ${emailUtils.createHeading('Your refund is on its way', 1)}
+
+      ${emailUtils.createParagraph(`Hi ${firstName || 'Powerbacker'},`)}
+
+      ${emailUtils.createParagraph(
+        `We’ve ${
+          refunded ? 'refunded' : 'partially refunded'
+        } the charge for your Celebration. Depending on your bank, it can take 5–10 business days to appear on your statement.`
+      )}
+
+      ${emailUtils.createInfoBox(
+        `
+        <strong>Candidate:</strong> ${pol_name || 'Your chosen candidate'}<br/>
+        <strong>Refunded:</strong> ${formatMoney(amount_refunded)}
+      `,
+        'success'
+      )}
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createParagraph(
+        `Questions? Email ${emailUtils.createLink(
+          SUPPORT_EMAIL,
+          `mailto:${SUPPORT_EMAIL}`
+        )}`,
+        { textAlign: 'center', fontSize: '12px' }
+      )}
+    `;
+
+    return [
+      6, // support@powerback.us
+      'POWERBACK.us: Your Celebration was refunded',
+      createEmailTemplate(content),
+    ];
+  },
+};
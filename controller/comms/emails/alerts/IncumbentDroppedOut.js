@@ -1,6 +1,7 @@
 const { createEmailTemplate, emailUtils } = require('../template');
 const { NON_REFUNDABLE_POLICY } = require('../utils/celebrations');
 const { EMAIL_TOPICS } = require('../../../../constants');
+const { formatRace } = require('./formatters');
 
 const PB_URL = process.env.PROD_URL,
   PHONE_NUMBER = process.env.PHONE_NUMBER,
@@ -17,7 +18,7 @@ module.exports = {
         `
         <strong>Race Status Change:</strong> ${
           incumbentName || 'Your Representative'
-        } in ${state}-${district} is no longer seeking re-election.
+        } in ${formatRace(state, district)} is no longer seeking re-election.
       `,
         'error'
       )}
@@ -52,7 +53,7 @@ module.exports = {
 
     return [
       3, // alerts-noreply@powerback.us
-      `POWERBACK.us: Incumbent Status Update for ${state}-${district}`,
+      `POWERBACK.us: Incumbent Status Update for ${formatRace(state, district)}`,
       createEmailTemplate(content),
       EMAIL_TOPICS.districtUpdates,
     ];
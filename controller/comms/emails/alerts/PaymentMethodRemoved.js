@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Alert email when the donor's saved card is removed while
+ * Celebrations still depend on it.
+ * @module controller/comms/emails/alerts/PaymentMethodRemoved
+ */
+
+const { createEmailTemplate, emailUtils } = require('../template');
+
+const PB_URL = process.env.PROD_URL,
+  SUPPORT_EMAIL = process.env.REACT_APP_EMAIL_SUPPORT_USER;
+
+module.exports = {
+  /**
+   * Email asking the donor to add a card after their saved one was removed.
+   * Transactional: sent regardless of topic unsubscribes.
+   *
+   * @param {string} [firstName] - User first name
+   * @param {Object} payload - Affected Celebrations
+   * @param {number} payload.openCelebrationsCount - Celebrations awaiting a charge
+   * @returns {[number, string, string]} [fromIndex, subject, html]
+   */
+  PaymentMethodRemoved: (firstName, payload) => {
+    const { openCelebrationsCount = 0 } = payload || {};
+    const plural = openCelebrationsCount === 1 ? '' : 's';
+
+    const content = `
+      ${emailUtils.createHeading('Your saved card was removed', 1)}
+
+      ${emailUtils.createParagraph(`Hi ${firstName || 'Powerbacker'},`)}
+
+      ${emailUtils.createParagraph(
+        `The card saved to your account was removed, and you have ${openCelebrationsCount} Celebration${plural} that will need a card to be charged when ${
+          openCelebrationsCount === 1 ? 'it resolves' : 'they resolve'
+        }.`
+      )}
+
+      ${emailUtils.createParagraph(
+        'Add a payment method in your account settings so nothing is held up. If you removed the card on purpose and want to stop a Celebration instead, contact us.'
+      )}
+
+      ${emailUtils.createButton('Add payment method', PB_URL)}
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createParagraph(
+        `Questions? Email ${emailUtils.createLink(
+          SUPPORT_EMAIL,
+          `mailto:${SUPPORT_EMAIL}`
+        )}`,
+        { textAlign: 'center', fontSize: '12px' }
+      )}
+    `;
+
+    return [
+      6, // support@powerback.us
+      'POWERBACK.us: Action needed on your payment method',
+      createEmailTemplate(content),
+    ];
+  },
+};
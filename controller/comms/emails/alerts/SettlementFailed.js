@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Alert email when a resolved Celebration could not be charged.
+ * @module controller/comms/emails/alerts/SettlementFailed
+ */
+
+const { createEmailTemplate, emailUtils } = require('../template');
+
+const PB_URL = process.env.PROD_URL,
+  SUPPORT_EMAIL = process.env.REACT_APP_EMAIL_SUPPORT_USER;
+
+/**
+ * Formats a dollar amount as USD for display.
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted currency string
+ */
+function formatMoney(amount) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount ?? 0);
+}
+
+module.exports = {
+  /**
+   * Email asking the donor to update their card after a settlement failure.
+   * Transactional: sent regardless of topic unsubscribes.
+   *
+   * @param {string} [firstName] - User first name
+   * @param {Object} payload - Settlement failure details
+   * @param {string} payload.pol_name - Candidate the Celebration is for
+   * @param {number} payload.donation - Donation amount in dollars
+   * @param {string} payload.bill_id - Bill that triggered resolution
+   * @param {string} payload.sub_state_reason - 'requires_action' or 'card_declined'
+   * @returns {[number, string, string]} [fromIndex, subject, html]
+   */
+  SettlementFailed: (firstName, payload) => {
+    const { pol_name, donation, bill_id, sub_state_reason } = payload || {};
+
+    const explanation =
+      sub_state_reason === 'requires_action'
+        ? 'Your card issuer asked for extra verification that we can’t complete while you’re away.'
+        : 'Your card issuer declined the charge.';
+
+    const content = `
+      ${emailUtils.createHeading('Please update your card', 1)}
+
+      ${emailUtils.createParagraph(`Hi ${firstName || 'Powerbacker'},`)}
+
+      ${emailUtils.createParagraph(
+        `The required public event for your Celebration appeared in the official record, so it resolved. We tried to charge your card for it, but the payment didn’t go through. ${explanation}`
+      )}
+
+      ${emailUtils.createInfoBox(
+        `
+        <strong>Candidate:</strong> ${pol_name || 'Your chosen candidate'}<br/>
+        <strong>Bill:</strong> ${bill_id || '—'}<br/>
+        <strong>Donation:</strong> ${formatMoney(donation)}
+      `,
+        'warning'
+      )}
+
+      ${emailUtils.createParagraph(
+        'Update your payment method in your account settings and we’ll try again automatically on the next settlement run. Nothing reaches the campaign committee until the charge succeeds.'
+      )}
+
+      ${emailUtils.createButton('Update payment method', PB_URL)}
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createParagraph(
+        `Questions? Email ${emailUtils.createLink(
+          SUPPORT_EMAIL,
+          `mailto:${SUPPORT_EMAIL}`
+        )}`,
+        { textAlign: 'center', fontSize: '12px' }
+      )}
+    `;
+
+    return [
+      6, // support@powerback.us
+      'POWERBACK.us: Action needed to complete your Celebration',
+      createEmailTemplate(content),
+    ];
+  },
+};
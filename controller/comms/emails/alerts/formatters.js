@@ -31,6 +31,18 @@ function formatCelebrationTable(celebration) {
   }
 }
 
+/**
+ * Race label for alert copy: "TX-05" for a House district, "TX (Senate)" for a
+ * statewide Senate race (Senate roles have no district).
+ * @param {string} state - Two-letter state code
+ * @param {string} [district] - House district; empty for the Senate
+ * @returns {string}
+ */
+function formatRace(state, district) {
+  return district ? `${state}-${district}` : `${state} (Senate)`;
+}
+
 module.exports = {
   formatCelebrationTable,
+  formatRace,
 };
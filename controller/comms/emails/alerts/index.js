@@ -13,6 +13,9 @@ const {
   DefunctCelebrationNotification,
 } = require('./DefunctCelebrationNotification');
 const { PacLimitReached } = require('./PacLimitReached');
+const { SettlementFailed } = require('./SettlementFailed');
+const { DonationRefunded } = require('./DonationRefunded');
+const { PaymentMethodRemoved } = require('./PaymentMethodRemoved');
 
 module.exports = {
   PacLimitReached,
@@ -24,4 +27,7 @@ module.exports = {
   IncumbentDroppedOut,
   DefunctCelebrationWarning,
   DefunctCelebrationNotification,
+  SettlementFailed,
+  DonationRefunded,
+  PaymentMethodRemoved,
 };
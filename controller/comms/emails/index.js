@@ -1,5 +1,13 @@
 const { Reset, Change, Forgot } = require('./password'),
-  { New, Update, Receipt, Test, ContributingInquiry } = require('./info'),
+  {
+    New,
+    Update,
+    Receipt,
+    Statement,
+    Test,
+    ContributingInquiry,
+    BtcThankYou,
+  } = require('./info'),
   { Image } = require('./error'),
   {
     Locked,
@@ -18,6 +26,9 @@ const { Reset, Change, Forgot } = require('./password'),
     ChallengerAppeared,
     IncumbentDroppedOut,
     PacLimitReached,
+    SettlementFailed,
+    DonationRefunded,
+    PaymentMethodRemoved,
   } = require('./alerts');
 
 module.exports = {
@@ -31,10 +42,14 @@ module.exports = {
     ChallengerAppeared,
     IncumbentDroppedOut,
     PacLimitReached,
+    SettlementFailed,
+    DonationRefunded,
+    PaymentMethodRemoved,
     JoiningUp,
     JoinedUp,
     Promoted,
     Receipt,
+    Statement,
     Quitter,
     Change,
     Forgot,
@@ -45,5 +60,6 @@ module.exports = {
     New,
     Test,
     ContributingInquiry,
+    BtcThankYou,
   },
 };
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Thank-you email once a Bitcoin payment to a ledger address confirms.
+ * @module controller/comms/emails/info/BtcThankYou
+ */
+
+const { createEmailTemplate, emailUtils } = require('../template');
+
+const SUPPORT_EMAIL = process.env.REACT_APP_EMAIL_SUPPORT_USER;
+
+/**
+ * Formats satoshis as BTC for display.
+ * @param {number} sats - Amount in satoshis
+ * @returns {string} Amount in BTC, e.g. "0.00125 BTC"
+ */
+function formatBtc(sats) {
+  return `${((sats ?? 0) / 1e8).toFixed(8).replace(/\.?0+$/, '')} BTC`;
+}
+
+module.exports = {
+  /**
+   * Email thanking a user for a confirmed Bitcoin payment.
+   * Transactional: sent regardless of topic unsubscribes.
+   *
+   * @param {string} [firstName] - User first name
+   * @param {Object} payload - Payment details
+   * @param {number} payload.amountSats - Confirmed amount, in satoshis
+   * @param {string} payload.purpose - 'support' | 'tip'
+   * @param {string[]} payload.txids - Transactions paying the address
+   * @returns {[number, string, string]} [fromIndex, subject, html]
+   */
+  BtcThankYou: (firstName, payload) => {
+    const { amountSats, purpose, txids = [] } = payload || {};
+    const forWhat =
+      purpose === 'tip'
+        ? 'your tip to POWERBACK.us'
+        : 'your support of POWERBACK.us';
+
+    const content = `
+      ${emailUtils.createHeading('Thank you for your Bitcoin', 1)}
+
+      ${emailUtils.createParagraph(`Hi ${firstName || 'Powerbacker'},`)}
+
+      ${emailUtils.createParagraph(
+        `Your Bitcoin payment has confirmed on-chain. Thank you for ${forWhat}. It keeps the lights on and the platform independent.`
+      )}
+
+      ${emailUtils.createInfoBox(
+        `
+        <strong>Amount:</strong> ${formatBtc(amountSats)}<br/>
+        <strong>Transaction${txids.length === 1 ? '' : 's'}:</strong> ${txids.join('<br/>')}
+      `,
+        'success'
+      )}
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createParagraph(
+        `Questions? Email ${emailUtils.createLink(
+          SUPPORT_EMAIL,
+          `mailto:${SUPPORT_EMAIL}`
+        )}`,
+        { textAlign: 'center', fontSize: '12px' }
+      )}
+    `;
+
+    return [
+      6, // support@powerback.us
+      'POWERBACK.us: Thank you for your Bitcoin',
+      createEmailTemplate(content),
+    ];
+  },
+};
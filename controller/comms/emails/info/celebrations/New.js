@@ -77,7 +77,11 @@ module.exports = {
       ];
     }
 
-    const BTC_ADDRESS = await getBTCAddress();
+    const BTC_ADDRESS = await getBTCAddress({
+      userId: celebration.donatedBy,
+      celebrationId: celebration._id,
+      source: 'email:new',
+    });
 
     // Extract values with null coalescing for missing fields
     const donation = celebration.donation ?? celebration.amount ?? 0;
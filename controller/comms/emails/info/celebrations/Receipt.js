@@ -73,7 +73,11 @@ module.exports = {
       ];
     }
 
-    const BTC_ADDRESS = await getBTCAddress();
+    const BTC_ADDRESS = await getBTCAddress({
+      userId: celebration.donatedBy,
+      celebrationId: celebration._id,
+      source: 'email:receipt',
+    });
 
     // Extract values with null coalescing for missing fields
     const ordinal =
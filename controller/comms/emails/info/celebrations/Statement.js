@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Year-end contribution statement email, built by
+ * services/celebration/statementService.
+ * @module controller/comms/emails/info/celebrations/Statement
+ */
+
+const accounting = require('accounting');
+
+const { PROD_URL, SUPPORT_EMAIL } = require('../../utils/celebrations');
+
+const { EMAIL_TOPICS } = require('../../../../../constants'),
+  { createEmailTemplate, emailUtils } = require('../../template'),
+  { formatInET } = require('../../utils/timezone');
+
+const PB_LINK = emailUtils.createLink('POWERBACK.us', PROD_URL);
+
+const money = (n) => accounting.formatMoney(n || 0);
+const day = (d) => formatInET(d, 'MMM D, YYYY');
+
+/**
+ * Table of statement rows, or a line saying there were none
+ * @param {string[]} header - Column headings
+ * @param {Object[]} rows - Statement rows
+ * @param {Function} cells - Row to cell values
+ * @param {string} none - Text when there are no rows
+ * @returns {string} HTML
+ */
+const section = (header, rows, cells, none) =>
+  rows.length
+    ? emailUtils.createTable([
+        { isHeader: true, cells: header },
+        ...rows.map((r) => ({ cells: cells(r) })),
+      ])
+    : emailUtils.createParagraph(none);
+
+module.exports = {
+  /**
+   * Annual statement of a donor's Celebrations, PAC tips and remaining limits.
+   * Topic-based: the January send skips Celebration Updates unsubscribers.
+   *
+   * @param {Object} statement - From StatementService.build()
+   * @param {Buffer} [pdf] - PDF rendering to attach
+   * @returns {[number, string, string, string, Object[]]} [fromIndex, subject,
+   *   html, topic, attachments]
+   */
+  Statement: (statement, pdf) => {
+    const { year, donor, created, delivered, defunct, pac, limits } = statement;
+
+    const content = `
+      ${emailUtils.createHeading(`Your ${year} contribution statement`, 1)}
+
+      ${emailUtils.createParagraph(`Hi ${donor.firstName || 'Powerbacker'},`)}
+
+      ${emailUtils.createParagraph(
+        `Here's a summary of your Celebrations on ${PB_LINK} in ${year}: what you set up, what reached a campaign, what went defunct, and where you stand on contribution limits.${pdf ? ' A PDF copy is attached for your records.' : ''}`
+      )}
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createHeading('Celebrations created', 3)}
+
+      ${emailUtils.createParagraph(
+        `${created.count} Celebration${created.count === 1 ? '' : 's'} totaling ${money(created.donation)}, plus ${money(created.tip)} in tips.`
+      )}
+
+      ${section(
+        ['Date', 'Recipient', 'Bill', 'Donation', 'Status'],
+        created.rows,
+        (r) => [day(r.date), r.recipient, r.bill, money(r.donation), r.status],
+        `You didn't create any Celebrations in ${year}.`
+      )}
+
+      ${emailUtils.createHeading('Delivered to campaigns', 3)}
+
+      ${section(
+        ['Date', 'Recipient', 'Committee', 'Bill', 'Donation'],
+        delivered.rows,
+        (r) => [
+          day(r.date),
+          r.recipient,
+          r.committee,
+          r.bill,
+          money(r.donation),
+        ],
+        `None of your Celebrations were delivered in ${year}.`
+      )}
+
+      ${emailUtils.createHeading('Defunct', 3)}
+
+      ${section(
+        ['Date', 'Recipient', 'Bill', 'Donation', 'Reason'],
+        defunct.rows,
+        (r) => [
+          day(r.date),
+          r.recipient,
+          r.bill,
+          money(r.donation),
+          r.reason || '—',
+        ],
+        `None of your Celebrations went defunct in ${year}.`
+      )}
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createHeading('Tips to the PAC', 3)}
+
+      ${emailUtils.createTable([
+        { isHeader: true, cells: ['Detail', 'Amount'] },
+        { cells: ['Tips', money(pac.tips)] },
+        { cells: ['Bitcoin contributions', money(pac.btc)] },
+        { cells: [`Counted toward the ${year} limit`, money(pac.total)] },
+        { cells: ['Annual PAC limit', money(pac.limit)] },
+        { cells: [`Remaining for ${year}`, money(pac.remaining)] },
+      ])}
+
+      ${emailUtils.createHeading('Remaining limits', 3)}
+
+      ${
+        limits.annualCap
+          ? emailUtils.createParagraph(
+              `As a Guest, you had ${money(limits.annualRemaining)} of the ${money(limits.annualCap)} annual cap left at the end of ${year}. The cap resets each January 1.`
+            )
+          : section(
+              ['Recipient', `Given in ${year}`, 'Remaining'],
+              limits.recipients || [],
+              (r) => [r.recipient, money(r.total), money(r.remaining)],
+              `You can give up to ${money(limits.perElectionLimit)} per candidate per election.`
+            )
+      }
+
+      ${
+        limits.perElectionLimit
+          ? emailUtils.createInfoBox(
+              `The per-candidate limit is ${money(limits.perElectionLimit)} per election and resets with each primary and general election, so the amounts above are a guide rather than a final figure.`,
+              'info'
+            )
+          : ''
+      }
+
+      ${emailUtils.createDivider()}
+
+      ${emailUtils.createParagraph(
+        `
+        The ${PB_LINK} Team
+      `,
+        { textAlign: 'center' }
+      )}
+
+      ${emailUtils.createParagraph(
+        `Questions about this statement? Email ${emailUtils.createLink(
+          SUPPORT_EMAIL,
+          `mailto:${SUPPORT_EMAIL}`
+        )}`,
+        { textAlign: 'center', fontSize: '12px' }
+      )}
+    `;
+
+    return [
+      0, // info-noreply@powerback.us
+      `Your POWERBACK.us ${year} contribution statement`,
+      createEmailTemplate(content),
+      EMAIL_TOPICS.celebrationUpdates,
+      pdf
+        ? [
+            {
+              filename: `powerback-statement-${year}.pdf`,
+              content: pdf,
+              contentType: 'application/pdf',
+            },
+          ]
+        : [],
+    ];
+  },
+};
@@ -11,7 +11,7 @@ const PHONE_NUMBER = process.env.PHONE_NUMBER;
 
 module.exports = {
   Update: async (update, firstName) => {
-    const BTC_ADDRESS = await getBTCAddress();
+    const BTC_ADDRESS = await getBTCAddress({ source: 'email:update' });
 
     const summary =
       update?.summary || update?.message || update?.description || '';
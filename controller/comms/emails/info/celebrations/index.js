@@ -1,5 +1,6 @@
 const { New } = require('./New'),
   { Update } = require('./Update'),
-  { Receipt } = require('./Receipt');
+  { Receipt } = require('./Receipt'),
+  { Statement } = require('./Statement');
 
-module.exports = { New, Update, Receipt };
+module.exports = { New, Update, Receipt, Statement };
@@ -1,5 +1,14 @@
-const { New, Update, Receipt } = require('./celebrations');
+const { New, Update, Receipt, Statement } = require('./celebrations');
 const { Test } = require('./Test');
 const { ContributingInquiry } = require('./ContributingInquiry');
+const { BtcThankYou } = require('./BtcThankYou');
 
-module.exports = { New, Update, Receipt, Test, ContributingInquiry };
+module.exports = {
+  New,
+  Update,
+  Receipt,
+  Statement,
+  Test,
+  ContributingInquiry,
+  BtcThankYou,
+};
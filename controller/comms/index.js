@@ -13,6 +13,8 @@
  * - Supports multiple email addresses with separate authentication
  * - Automatically injects unsubscribe links for topic-based emails
  * - Handles email template execution and rendering
+ * - enqueueEmail: Same arguments as sendEmail; queues the rendered message in
+ *   the email outbox, where a worker sends it with retries
  *
  * UNSUBSCRIBE MANAGEMENT
  * - filterUnsubscribed: Batch filters users who have unsubscribed from topics
@@ -40,23 +42,27 @@
  *
  * DEPENDENCIES
  * - ./sendEmail: Email sending with nodemailer
+ * - services/comms/outboxService: Durable email outbox
  * - ./filterUnsubscribed: Unsubscribe filtering
  * - ./addresses: Email address configuration
  * - nodemailer: Email transport
  *
  * @module controller/comms
  * @requires ./sendEmail
+ * @requires ../../services/comms/outboxService
  * @requires ./filterUnsubscribed
  * @requires ./addresses
  * @requires nodemailer
  */
 
+const { enqueueEmail } = require('../../services/comms/outboxService');
 const { sendEmail } = require('./sendEmail');
 const { filterUnsubscribed, isUnsubscribed } = require('./filterUnsubscribed');
 const { submitContributing } = require('./submitContributing');
 
 module.exports = {
   sendEmail,
+  enqueueEmail,
   filterUnsubscribed,
   isUnsubscribed,
   submitContributing,
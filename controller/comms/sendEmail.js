@@ -14,6 +14,14 @@
  * - Automatically injects unsubscribe links for topic-based emails
  * - Uses address-specific transporters for authentication
  *
+ * renderEmail(to, template, ...args)
+ * - Executes the template and injects the unsubscribe link, without sending
+ * - Used by the email outbox to store a message for later delivery
+ *
+ * deliverEmail(fromIndex, mailOptions)
+ * - Sends rendered mail options through the address's transporter
+ * - Used by sendEmail and the email outbox worker
+ *
  * getTransporter(addressIndex)
  * - Gets or creates nodemailer transporter for specific email address
  * - Caches transporters per address for performance
@@ -45,8 +53,9 @@
  * - Replaces <!-- UNSUBSCRIBE_LINK_PLACEHOLDER --> in HTML
  *
  * EMAIL TEMPLATES
- * - Templates return [fromIndex, subject, html, topic?]
+ * - Templates return [fromIndex, subject, html, topic?, attachments?]
  * - Topic parameter triggers unsubscribe link injection
+ * - Attachments are nodemailer attachment objects (e.g. a PDF statement)
  * - Templates include FEC compliance disclaimers
  *
  * DEPENDENCIES
@@ -320,7 +329,8 @@ const getTransporter = (addressIndex = null) => {
           : null,
       host: process.env.EMAIL_HOST,
       port: process.env.EMAIL_PORT ?? 465,
-      secure: true,
+      // EMAIL_SECURE=false for plain SMTP, e.g. a local sink on port 1025
+      secure: process.env.EMAIL_SECURE !== 'false',
     };
 
     if (!config.host) {
@@ -362,9 +372,16 @@ const getTransporter = (addressIndex = null) => {
   return transporterCache[cacheKey];
 };
 
-const sendEmail = async (to, template, ...args) => {
+/**
+ * Executes a template and prepares its message without sending it
+ * @param {string} to - Recipient address
+ * @param {Function} template - Email template
+ * @param {...*} args - Template arguments
+ * @returns {Promise<Object>} { fromIndex, topic, mailOptions }
+ */
+const renderEmail = async (to, template, ...args) => {
   logger.debug(
-    `sendEmail called - to: ${to}, template: ${
+    `renderEmail called - to: ${to}, template: ${
       template?.name || 'unknown'
     }, args count: ${args.length}`
   );
@@ -376,10 +393,10 @@ const sendEmail = async (to, template, ...args) => {
     }, length: ${Array.isArray(result) ? result.length : 'N/A'}`
   );
 
-  let from, subject, html, topic;
+  let from, subject, html, topic, attachments;
 
-  if (Array.isArray(result) && result.length === 4) {
-    [from, subject, html, topic] = result;
+  if (Array.isArray(result) && result.length >= 4) {
+    [from, subject, html, topic, attachments] = result;
     logger.debug(
       `Parsed email data - from index: ${from}, subject: ${
         subject?.substring(0, 50) || 'N/A'
@@ -457,12 +474,25 @@ const sendEmail = async (to, template, ...args) => {
     from: fromAddress,
     subject,
     html,
+    ...(attachments?.length && { attachments }),
   };
 
+  return { fromIndex: from, topic, mailOptions };
+};
+
+/**
+ * Sends a rendered message through the sender address's transporter
+ * @param {number} fromIndex - Sender address index
+ * @param {Object} mailOptions - nodemailer message (to, from, subject, html,
+ *   attachments)
+ * @returns {Promise<Object>} nodemailer info (messageId, response)
+ */
+const deliverEmail = async (fromIndex, mailOptions) => {
+  const { to, from: fromAddress } = mailOptions;
   try {
-    logger.debug(`Getting transporter for address index: ${from}`);
+    logger.debug(`Getting transporter for address index: ${fromIndex}`);
     // Use address-specific transporter to authenticate with correct credentials
-    const transporter = getTransporter(from);
+    const transporter = getTransporter(fromIndex);
     logger.debug(`Transporter obtained, attempting to send email`);
 
     // Log the actual auth config being used (without exposing password)
@@ -489,7 +519,7 @@ const sendEmail = async (to, template, ...args) => {
 
     const info = await transporter.sendMail(mailOptions);
     logger.info(
-      `Email sent - template: ${template.name}, messageId: ${info.messageId}`
+      `Email sent - subject: ${mailOptions.subject}, messageId: ${info.messageId}`
     );
     return info;
   } catch (err) {
@@ -500,13 +530,23 @@ const sendEmail = async (to, template, ...args) => {
       command: err.command,
       to,
       from: fromAddress,
-      fromIndex: from,
+      fromIndex,
       stack: err.stack,
     });
     throw err;
   }
 };
 
+const sendEmail = async (to, template, ...args) => {
+  logger.debug(
+    `sendEmail called - to: ${to}, template: ${
+      template?.name || 'unknown'
+    }, args count: ${args.length}`
+  );
+  const { fromIndex, mailOptions } = await renderEmail(to, template, ...args);
+  return deliverEmail(fromIndex, mailOptions);
+};
+
 // Legacy CONFIG export for backwards compatibility
 const CONFIG = {
   auth: {
@@ -526,6 +566,8 @@ const CONFIG = {
 
 module.exports = {
   sendEmail,
+  renderEmail,
+  deliverEmail,
   CONFIG,
   getTransporter,
   getCredentialsForAddress,
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Candidate List Retrieval Controller
+ *
+ * This controller returns the non-incumbent (challenger and open-seat)
+ * candidates who can receive Celebrations, in the same shape as the Pol
+ * roster so the funnel can show them alongside sitting members.
+ *
+ * BUSINESS LOGIC
+ *
+ * CANDIDATE FILTERING
+ * - Only active candidates (present in the latest FEC pull)
+ * - Optional `chamber` query (house | senate) narrows to one chamber
+ * - Optional `state` query (two-letter code) narrows to one state
+ * - Optional `ocd_id` query returns the candidates running for that division:
+ *   the House race whose ocd_id matches exactly, plus the state's Senate race
+ * - Optional `q` query matches the candidate's name
+ *
+ * RESPONSE FORMAT
+ * - Array of parade members: `id` is the FEC candidate ID, `recipient_type`
+ *   is 'candidate', and `roles[0]` carries chamber, state, district and ocd_id
+ *
+ * DEPENDENCIES
+ * - services/congress/candidateService: Search and shaping
+ * - services/logger: Logging
+ *
+ * @module controller/congress/candidates
+ * @requires ../../services/logger
+ * @requires ../../services/congress/candidateService
+ */
+
+const { requireLogger } = require('../../services/logger');
+const {
+  searchCandidates,
+  toParadeMember,
+} = require('../../services/congress/candidateService');
+
+const logger = requireLogger(__filename);
+
+const CHAMBERS = ['house', 'senate'];
+const STATE_OCD_RE = /^ocd-division\/country:us\/state:[a-z]{2}(\/|$)/i;
+
+/**
+ * Validates the optional search filters.
+ *
+ * @param {Object} query - req.query
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateQuery({ chamber, state, ocd_id, q } = {}) {
+  if (
+    chamber !== undefined &&
+    !CHAMBERS.includes(String(chamber).toLowerCase())
+  )
+    return 'chamber must be "house" or "senate"';
+  if (state !== undefined && !/^[A-Za-z]{2}$/.test(String(state)))
+    return 'state must be a two-letter code';
+  if (ocd_id !== undefined && !STATE_OCD_RE.test(String(ocd_id)))
+    return 'ocd_id must be a U.S. state or district';
+  if (q !== undefined && String(q).length > 64)
+    return 'q must be at most 64 characters';
+  return null;
+}
+
+module.exports = {
+  /**
+   * Retrieves active non-incumbent candidates
+   *
+   * @param {Object} req - Express request object
+   * @param {Object} req.query - Optional chamber, state, ocd_id and q filters
+   * @param {Object} res - Express response object
+   * @param {Object} model - Candidate model for database operations
+   * @returns {Promise<void>} Sends JSON array of parade members
+   *
+   * @example
+   * ```javascript
+   * const { getCandidates } = require('./controller/congress/candidates');
+   * await getCandidates(req, res, Candidate);
+   * ```
+   */
+  getCandidates: async (req, res, model) => {
+    const error = validateQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    try {
+      const candidates = await searchCandidates(req.query, model);
+      logger.debug('getCandidates response', { count: candidates.length });
+      res.json(candidates.map(toParadeMember));
+    } catch (err) {
+      logger.error('getCandidates error', { error: err.message });
+      res.status(422).json({ message: 'Could not load candidates' });
+    }
+  },
+};
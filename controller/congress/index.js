@@ -10,8 +10,10 @@
  *
  * POLITICIAN DATA
  * - getPols: Retrieves politicians for selectable roster (has_stakes, not roster_excluded)
+ * - getCandidates: Retrieves active non-incumbent candidates (challengers, open seats)
  * - getPol: Retrieves specific politician by ID
  * - lookupPol: Looks up politician data from external APIs
+ * - lookupCandidate: Looks up a non-incumbent candidate by FEC candidate ID
  *
  * BILL DATA
  * - lookupBill: Looks up bill data from Congress.gov API
@@ -47,6 +49,7 @@
  * - ./storage: Bill and politician lookup from external APIs
  * - ./config: Congressional session configuration
  * - ./pols: Politician list retrieval
+ * - ./candidates: Candidate list retrieval
  * - ./pol: Single politician retrieval
  * - ./vest: Congressional vesting functions
  * - ./campaign: Campaign cycle calculations
@@ -55,19 +58,23 @@
  * @requires ./storage
  * @requires ./config
  * @requires ./pols
+ * @requires ./candidates
  * @requires ./pol
  * @requires ./vest
  * @requires ./campaign
  */
 
-const { lookupBill, lookupPol } = require('./storage'),
+const { lookupBill, lookupPol, lookupCandidate } = require('./storage'),
   { config } = require('./config'),
   { getPols } = require('./pols'),
+  { getCandidates } = require('./candidates'),
   { getPol } = require('./pol'),
   { vest } = require('./vest'),
   { thisCampaign, nextStart, nextEnd, cutoff, cycle } = require('./campaign');
 
 module.exports = {
+  lookupCandidate,
+  getCandidates,
   thisCampaign,
   lookupBill,
   lookupPol,
@@ -12,6 +12,10 @@
  * - Query: has_stakes true and roster_excluded not true
  * - has_stakes is watcher-derived; roster_excluded is separate policy
  * - Used for donation targeting and prioritization
+ * - Optional `chamber` query (house | senate) narrows to one chamber
+ * - Optional `ocd_id` query returns the pols representing that division: the
+ *   House member whose role ocd_id matches exactly, plus the state's senators
+ *   (Senate roles carry the state-only ocd_id)
  *
  * RESPONSE FORMAT
  * - Returns array of politician objects
@@ -30,6 +34,40 @@
 const { requireLogger } = require('../../services/logger');
 const logger = requireLogger(__filename);
 
+const CHAMBERS = { house: 'House', senate: 'Senate' };
+const STATE_OCD_RE = /^(ocd-division\/country:us\/state:[a-z]{2})(\/|$)/i;
+
+/**
+ * Builds the roster query from optional `chamber` and `ocd_id` filters.
+ *
+ * @param {Object} query - req.query
+ * @returns {{ filter: Object } | { error: string }} Mongo filter, or an error message
+ */
+function buildRosterFilter({ chamber, ocd_id } = {}) {
+  const filter = {
+    has_stakes: true,
+    roster_excluded: { $ne: true },
+  };
+
+  if (chamber !== undefined) {
+    const name = CHAMBERS[String(chamber).toLowerCase()];
+    if (!name) return { error: 'chamber must be "house" or "senate"' };
+    filter['roles.0.chamber'] = name;
+  }
+
+  if (ocd_id !== undefined) {
+    const match = STATE_OCD_RE.exec(String(ocd_id));
+    if (!match) return { error: 'ocd_id must be a U.S. state or district' };
+    const stateOcdId = match[1].toLowerCase();
+    filter.$or = [
+      { 'roles.0.ocd_id': String(ocd_id).toLowerCase() },
+      { 'roles.0.chamber': 'Senate', 'roles.0.ocd_id': stateOcdId },
+    ];
+  }
+
+  return { filter };
+}
+
 module.exports = {
   /**
    * Retrieves list of politicians with stakes (competitive races)
@@ -37,11 +75,13 @@ module.exports = {
    * This function retrieves all politicians from the database and filters
    * to only include those with has_stakes: true. This flag indicates the
    * politician is in a competitive race and is actively seeking re-election.
+   * `?chamber=` and `?ocd_id=` narrow the list (see POLITICIAN FILTERING).
    *
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Object} model - Politician model for database operations
    * @returns {Promise<void>} Resolves when politician list is returned
+   * @throws {400} Invalid chamber or ocd_id filter
    * @throws {422} Database error
    *
    * @example
@@ -56,11 +96,12 @@ module.exports = {
       path: req.path,
       hasModel: !!model,
     });
+    const { filter, error } = buildRosterFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
     model
-      .find({
-        has_stakes: true,
-        roster_excluded: { $ne: true },
-      })
+      .find(filter)
       .then((filtered) => {
         logger.debug('getPols response', {
           filtered: filtered.length,
@@ -11,6 +11,10 @@
  * - Looks up politician by bioguide ID in local database
  * - Returns full politician document with roles and social media
  *
+ * lookupCandidate(fecCandidateId, model)
+ * - Looks up a non-incumbent candidate by FEC candidate ID
+ * - Returns the candidate in the donee shape used by receipts
+ *
  * lookupBill(bill_id)
  * - Looks up bill by bill_id in local database
  * - Returns full bill document with legislative history
@@ -20,7 +24,7 @@
  * DATA SOURCES
  * - Local database (cached data)
  * - Originally sourced from OpenFEC API and Congress.gov API
- * - Updated via background jobs (houseWatcher.js, checkHJRes54.js)
+ * - Updated via background jobs (houseWatcher.js, billWatcher.js)
  *
  * LOOKUP PERFORMANCE
  * - Fast local database queries
@@ -29,18 +33,21 @@
  *
  * DEPENDENCIES
  * - ./lookupPol: Politician lookup
+ * - ./lookupCandidate: Candidate lookup
  * - ./lookupBill: Bill lookup
  * - models/Pol: Politician model
  * - models/Bill: Bill model
  *
  * @module controller/congress/storage
  * @requires ./lookupPol
+ * @requires ./lookupCandidate
  * @requires ./lookupBill
  * @requires ../../../models/Pol
  * @requires ../../../models/Bill
  */
 
 const { lookupPol } = require('./lookupPol'),
+  { lookupCandidate } = require('./lookupCandidate'),
   { lookupBill } = require('./lookupBill');
 
-module.exports = { lookupPol, lookupBill };
+module.exports = { lookupPol, lookupCandidate, lookupBill };
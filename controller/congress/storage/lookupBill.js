@@ -15,7 +15,7 @@
  * DATA SOURCE
  * - Local database (Bill model)
  * - Data originally sourced from Congress.gov API
- * - Updated via background jobs (checkHJRes54.js)
+ * - Updated via background jobs (billWatcher.js)
  *
  * DEPENDENCIES
  * - models/Bill: Bill model for database operations
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Candidate Lookup Controller
+ *
+ * This controller looks up a non-incumbent (challenger or open-seat) candidate
+ * by FEC candidate ID and returns it in the donee shape used by receipts
+ * (first_name, last_name, roles[0]), so templates written for Pols render
+ * candidates too.
+ *
+ * BUSINESS LOGIC
+ *
+ * CANDIDATE LOOKUP
+ * - Queries local Candidate model by FEC candidate ID
+ * - Withdrawn candidates are still returned (receipts for past pledges)
+ * - Returns null if candidate not found
+ *
+ * DATA SOURCE
+ * - Local database (Candidate model)
+ * - Updated via background jobs (challengersWatcher.js)
+ *
+ * DEPENDENCIES
+ * - models/Candidate: Candidate model for database operations
+ *
+ * @module controller/congress/storage/lookupCandidate
+ * @requires ../../../models/Candidate
+ */
+
+const Candidate = require('../../../models/Candidate');
+
+module.exports = {
+  /**
+   * Looks up a candidate by FEC candidate ID in the local database
+   *
+   * @param {string} fecCandidateId - FEC candidate ID (Celebration.pol_id)
+   * @param {Object} [model] - Candidate model for database operations
+   * @returns {Promise<Object|null>} Donee-shaped candidate or null if not found
+   *
+   * @example
+   * ```javascript
+   * const { lookupCandidate } = require('./controller/congress/storage/lookupCandidate');
+   * const donee = await lookupCandidate('H6TX26123');
+   * // donee.roles[0].short_title === 'Candidate'
+   * ```
+   */
+  lookupCandidate: async (fecCandidateId, model = Candidate) => {
+    const candidate = await model
+      .findOne({ fec_candidate_id: fecCandidateId })
+      .lean();
+    if (!candidate) return null;
+    return {
+      id: candidate.fec_candidate_id,
+      first_name: candidate.first_name,
+      last_name: candidate.last_name,
+      roles: [
+        {
+          short_title: 'Candidate',
+          state: candidate.state,
+          district: candidate.district,
+          fec_candidate_id: candidate.fec_candidate_id,
+        },
+      ],
+    };
+  },
+};
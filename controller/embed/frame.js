@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Embed Widget Frame Controller
+ *
+ * Server-rendered HTML card for the iframe variant of the embed widget. It
+ * shows the same data as the JSON endpoint and needs no script: the card is
+ * plain markup with one inline stylesheet whose hash is pinned in the
+ * frame's CSP (cspHeaders.createEmbedFrameCSP).
+ *
+ * BUSINESS LOGIC
+ *
+ * RENDERING
+ * - Headshot from the pfp WebP output, or initials when there is none
+ * - "$X is waiting for Rep. Y if they bring H.J.Res.54 to a vote"
+ * - Donate link opens the app in a new tab (rel=noopener)
+ * - Every interpolated value is HTML-escaped
+ *
+ * FRAMING
+ * - X-Frame-Options is removed for this response only; frame-ancestors in
+ *   the CSP allows any embedding site
+ *
+ * @module controller/embed/frame
+ * @requires crypto
+ * @requires ../../constants
+ * @requires ../../services/logger
+ * @requires ./pol
+ */
+
+const crypto = require('crypto');
+const { SERVER } = require('../../constants');
+const { requireLogger } = require('../../services/logger');
+const { BIOGUIDE_RE, buildEmbedPayload } = require('./pol');
+
+const logger = requireLogger(__filename);
+
+const FRAME_STYLE = `
+body{margin:0;font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#1b1b1b;background:#fff}
+.pb-card{display:flex;align-items:center;gap:12px;padding:12px;border:1px solid #d8d8d8;border-radius:8px;box-sizing:border-box;height:100vh}
+.pb-img{width:64px;height:64px;border-radius:50%;object-fit:cover;flex:none;background:#eceff3}
+.pb-initials{display:flex;align-items:center;justify-content:center;font-weight:700;color:#555}
+.pb-total{font-size:1.4em;font-weight:700;margin:0}
+.pb-text{font-size:.9em;margin:2px 0 6px}
+.pb-cta{display:inline-block;padding:4px 10px;border-radius:4px;background:#0a3d62;color:#fff;text-decoration:none;font-size:.85em}
+`;
+
+/** base64 sha256 of FRAME_STYLE for the frame CSP */
+const FRAME_STYLE_HASH = crypto
+  .createHash('sha256')
+  .update(FRAME_STYLE)
+  .digest('base64');
+
+/**
+ * Escapes text for HTML element and attribute content
+ * @param {unknown} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[
+        c
+      ]
+  );
+
+/**
+ * Whole-dollar USD amount (e.g. $1,250)
+ * @param {number} amount
+ * @returns {string}
+ */
+const formatUsd = (amount) =>
+  new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+/**
+ * HTML document for the widget frame
+ * @param {Object} payload - Result of buildEmbedPayload
+ * @returns {string}
+ */
+function renderFrame(payload) {
+  const { pol, escrow, bill, headshot_url, donate_url } = payload;
+  const displayName = `${pol.title} ${pol.name}`;
+  const initials = pol.name
+    .split(/\s+/)
+    .map((part) => part.charAt(0))
+    .join('')
+    .slice(0, 2);
+  const image = headshot_url
+    ? `<img class="pb-img" src="${escapeHtml(headshot_url)}" alt="${escapeHtml(displayName)}">`
+    : `<div class="pb-img pb-initials" aria-hidden="true">${escapeHtml(initials)}</div>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(displayName)} | POWERBACK</title>
+<style>${FRAME_STYLE}</style>
+</head>
+<body>
+<div class="pb-card">
+${image}
+<div>
+<p class="pb-total">${escapeHtml(formatUsd(escrow.donation))}</p>
+<p class="pb-text">is waiting for ${escapeHtml(displayName)} if they bring ${escapeHtml(bill.label)} to a vote.</p>
+<a class="pb-cta" href="${escapeHtml(donate_url)}" target="_blank" rel="noopener">Add yours on POWERBACK</a>
+</div>
+</div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  FRAME_STYLE_HASH,
+  renderFrame,
+  escapeHtml,
+  formatUsd,
+
+  /**
+   * Returns the widget frame HTML for one politician
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.bioguide - Bioguide id (e.g. A000055)
+   * @param {Object} res - Express response object
+   * @param {Object} PolModel - Pol model
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<void>}
+   * @throws {400} Malformed bioguide id
+   * @throws {404} Politician not on the selectable roster
+   */
+  getEmbedFrame: async (req, res, PolModel, CelebrationModel) => {
+    const bioguide = String(req.params.bioguide || '').toUpperCase();
+    res.removeHeader('X-Frame-Options');
+    if (!BIOGUIDE_RE.test(bioguide)) {
+      return res.status(400).type('text/plain').send('Invalid bioguide id');
+    }
+    try {
+      const payload = await buildEmbedPayload(
+        bioguide,
+        PolModel,
+        CelebrationModel
+      );
+      if (!payload) {
+        res.set('Cache-Control', SERVER.EMBED.notFoundCacheControl);
+        return res.status(404).type('text/plain').send('Politician not found');
+      }
+      res.set('Cache-Control', SERVER.EMBED.cacheControl);
+      res.type('html').send(renderFrame(payload));
+    } catch (err) {
+      logger.error('getEmbedFrame error', { bioguide, error: err.message });
+      res.status(500).type('text/plain').send('Could not load widget');
+    }
+  },
+};
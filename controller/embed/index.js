@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Embed Widget Controller Module
+ *
+ * Public endpoints behind the embeddable escrow widget. Both variants show
+ * how much is escrowed for one representative and link back to the app.
+ *
+ * KEY FUNCTIONS
+ * - getEmbedPol: Widget JSON (script-tag variant)
+ * - getEmbedFrame: Server-rendered card (iframe variant)
+ *
+ * DEPENDENCIES
+ * - ./pol: Widget JSON
+ * - ./frame: Widget frame HTML
+ *
+ * @module controller/embed
+ * @requires ./pol
+ * @requires ./frame
+ */
+
+const { getEmbedPol } = require('./pol'),
+  { getEmbedFrame, FRAME_STYLE_HASH } = require('./frame');
+
+module.exports = {
+  FRAME_STYLE_HASH,
+  getEmbedFrame,
+  getEmbedPol,
+};
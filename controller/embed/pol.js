@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Embed Widget Data Controller
+ *
+ * Public, cacheable escrow summary for one representative, used by the
+ * embeddable widget ("$X is waiting for Rep. Y if they bring H.J.Res.54 to a
+ * vote"). Built on the same escrow aggregation as GET /api/celebrations/escrow.
+ *
+ * BUSINESS LOGIC
+ *
+ * ELIGIBILITY
+ * - Only politicians on the selectable roster (has_stakes, not
+ *   roster_excluded); anyone else is a 404 so the widget never advertises a
+ *   pol who cannot receive Celebrations
+ *
+ * PRIVACY
+ * - Response carries only the pol's public profile, the escrowed sum and the
+ *   pledge count; no donor, pledge or user fields are read into it
+ *
+ * LINKS
+ * - headshot_url: `{ORIGIN}/pfp/{bioguide}.webp` when pfp-sync has written
+ *   the file, otherwise null (widget shows initials)
+ * - donate_url: `{ORIGIN}/rep/{bioguide}` with utm_source=embed
+ *
+ * DEPENDENCIES
+ * - services/celebration/dataService: getEscrowedTotalsByPol
+ * - services/utils/pfpOutDir: Headshot output directory
+ * - constants: BILLS.TRACKED, SERVER.EMBED
+ *
+ * @module controller/embed/pol
+ * @requires fs
+ * @requires path
+ * @requires url-join
+ * @requires ../../constants
+ * @requires ../../services/logger
+ * @requires ../../services/utils/pfpOutDir
+ * @requires ../../services/celebration/dataService
+ */
+
+const fs = require('fs');
+const path = require('path');
+const urlJoin = require('url-join').default;
+const { BILLS, SERVER } = require('../../constants');
+const { requireLogger } = require('../../services/logger');
+const { getResolvedPfpOutDir } = require('../../services/utils/pfpOutDir');
+const {
+  getEscrowedTotalsByPol,
+} = require('../../services/celebration/dataService');
+
+const logger = requireLogger(__filename);
+
+const BIOGUIDE_RE = /^[A-Z]\d{6}$/;
+
+/**
+ * Display label and title of the headline tracked bill (e.g. H.J.Res.54)
+ * @returns {{ label: string, short_title: string }}
+ */
+function headlineBill() {
+  const [bill = {}] = BILLS.TRACKED;
+  const prefix =
+    BILLS.TYPE_LABELS[bill.bill_type] ||
+    `${String(bill.bill_type || '').toUpperCase()}.`;
+  return {
+    label: `${prefix}${bill.number ?? ''}`,
+    short_title: bill.short_title || '',
+  };
+}
+
+/**
+ * Public escrow summary for one politician
+ * @param {string} bioguide - Bioguide id
+ * @param {Object} PolModel - Pol model
+ * @param {Object} CelebrationModel - Celebration model
+ * @returns {Promise<Object|null>} Embed payload, or null when not on the roster
+ */
+async function buildEmbedPayload(bioguide, PolModel, CelebrationModel) {
+  const pol = await PolModel.findOne({
+    id: bioguide,
+    has_stakes: true,
+    roster_excluded: { $ne: true },
+  })
+    .select('id first_name last_name roles')
+    .lean();
+  if (!pol) return null;
+
+  const [totals] = await getEscrowedTotalsByPol(
+    { pol_id: pol.id },
+    CelebrationModel
+  );
+  const role = pol.roles?.[0] || {};
+  const origin = process.env.ORIGIN || '';
+  const hasHeadshot = fs.existsSync(
+    path.join(getResolvedPfpOutDir(), `${pol.id}.webp`)
+  );
+
+  return {
+    pol: {
+      id: pol.id,
+      name: `${pol.first_name} ${pol.last_name}`,
+      title: role.chamber === 'Senate' ? 'Sen.' : 'Rep.',
+      chamber: role.chamber || 'House',
+      state: role.state || '',
+      district: role.chamber === 'Senate' ? '' : role.district || '',
+    },
+    escrow: {
+      donation: totals?.donation || 0,
+      count: totals?.count || 0,
+    },
+    bill: headlineBill(),
+    headshot_url: hasHeadshot ? urlJoin(origin, 'pfp', `${pol.id}.webp`) : null,
+    donate_url: `${urlJoin(origin, 'rep', pol.id)}?utm_source=embed&utm_medium=widget&utm_campaign=escrow`,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  BIOGUIDE_RE,
+  buildEmbedPayload,
+
+  /**
+   * Returns the widget JSON for one politician
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.bioguide - Bioguide id (e.g. A000055)
+   * @param {Object} res - Express response object
+   * @param {Object} PolModel - Pol model
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<void>}
+   * @throws {400} Malformed bioguide id
+   * @throws {404} Politician not on the selectable roster
+   *
+   * @example
+   * ```javascript
+   * const { getEmbedPol } = require('./controller/embed');
+   * await getEmbedPol(req, res, Pol, Celebration);
+   * ```
+   */
+  getEmbedPol: async (req, res, PolModel, CelebrationModel) => {
+    const bioguide = String(req.params.bioguide || '').toUpperCase();
+    if (!BIOGUIDE_RE.test(bioguide)) {
+      return res.status(400).json({ message: 'Invalid bioguide id' });
+    }
+    try {
+      const payload = await buildEmbedPayload(
+        bioguide,
+        PolModel,
+        CelebrationModel
+      );
+      if (!payload) {
+        res.set('Cache-Control', SERVER.EMBED.notFoundCacheControl);
+        return res.status(404).json({ message: 'Politician not found' });
+      }
+      res.set('Cache-Control', SERVER.EMBED.cacheControl);
+      res.json(payload);
+    } catch (err) {
+      logger.error('getEmbedPol error', { bioguide, error: err.message });
+      res.status(500).json({ message: 'Could not load widget data' });
+    }
+  },
+};
@@ -2,17 +2,24 @@
  * @fileoverview Payment Intent Creation Controller
  *
  * This controller handles creating Stripe payment intents for celebration
- * donations. Payment intents are created but not immediately charged - they
- * are held in escrow until the celebration is resolved (trigger condition met).
+ * donations. Payment intents are created with manual capture: the donor's
+ * confirmation only authorizes the card, and the charge is captured by the
+ * settlement job when the celebration is resolved (trigger condition met).
  *
  * BUSINESS LOGIC
  *
  * PAYMENT INTENT CREATION
  * - Creates Stripe payment intent with donation + tip + fee amount
  * - Uses payment method from request or customer's default
- * - Sets up_future_usage to allow reuse of payment method
+ * - Sets capture_method to 'manual' so confirming the intent only authorizes
+ *   it; services/celebration/settlementService captures at resolution and
+ *   defunct celebrations release the authorization
+ * - Sets setup_future_usage to 'off_session' so settlement can charge the
+ *   saved card after resolution, when the donor is not present (card
+ *   authorizations expire after about 7 days; settlement then charges a new
+ *   off-session payment intent)
  * - Includes idempotency key to prevent duplicate charges
- * - Payment intent created but not charged until resolution
+ * - Payment intent authorized but not charged until resolution
  *
  * AMOUNT CALCULATION
  * - Total amount = donation + tip + fee (converted to cents)
@@ -46,7 +53,8 @@ module.exports = {
    *
    * This function creates a Stripe payment intent with the total amount
    * (donation + tip + fee) and associates it with the customer. The payment
-   * intent is created but not charged until the celebration is resolved.
+   * intent is created with manual capture and is not charged until the
+   * celebration is resolved.
    *
    * @param {Object} req - Express request object
    * @param {string} req.params.customer_id - Stripe customer ID
@@ -81,7 +89,8 @@ module.exports = {
       {
         currency: 'usd',
         customer: req.params.customer_id,
-        setup_future_usage: 'on_session',
+        setup_future_usage: 'off_session',
+        capture_method: 'manual',
         payment_method: paymentMethod,
         amount: amount,
       },
@@ -24,13 +24,16 @@
  * - Once set as default, can be reused for future payments
  * - Reduces need to collect payment method each time
  * - Improves user experience for repeat donations
+ * - Clears the user's paymentFailed / paymentMethodDetached webhook flags
  *
  * DEPENDENCIES
  * - stripe: Stripe SDK for payment processing
+ * - models/User: Payment flag reset
  * - services/utils/logger: Logging
  *
  * @module controller/payments/setPaymentMethod
  * @requires stripe
+ * @requires ../../models
  * @requires ../../services/utils/logger
  */
 
@@ -40,6 +43,7 @@ const STRIPE_SK =
       : process.env.STRIPE_SK_TEST,
   stripe = require('stripe')(STRIPE_SK);
 
+const { User } = require('../../models');
 const logger = require('../../services/utils/logger')(__filename);
 
 module.exports = {
@@ -183,6 +187,15 @@ module.exports = {
         { idempotencyKey: req.body.idempotencyKey }
       );
 
+      // A new default card answers earlier failed-payment / removed-card flags
+      await User.updateOne(
+        { 'payment.customer_id': customerId },
+        {
+          'paymentFlags.paymentFailed': false,
+          'paymentFlags.paymentMethodDetached': false,
+        }
+      );
+
       logger.debug('Payment method set as default:', {
         customerId,
         paymentMethodId,
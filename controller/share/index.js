@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Share Page Controller Module
+ *
+ * Serves the SPA shell for shareable deep links into the funnel, with Open
+ * Graph / Twitter card tags naming the politician and their escrow total so
+ * link previews render on social platforms. The client router handles the
+ * same paths and preselects the politician.
+ *
+ * KEY FUNCTIONS
+ * - getRepPage: /rep/:bioguide
+ * - getDistrictPage: /state/:st/district/:nn
+ *
+ * BUSINESS LOGIC
+ *
+ * SHELL
+ * - index.html from STATIC_PUBLIC_DIR (the web root in production), else the
+ *   local client build, else client/public
+ * - Read per request so a deploy's new shell is picked up without a restart
+ *
+ * FALLBACK
+ * - Unknown, malformed or off-roster targets get the shell with its default
+ *   meta; the client redirects them home like any other unknown route
+ * - If the shell cannot be read the request is redirected to /
+ *
+ * DEPENDENCIES
+ * - controller/embed/pol: buildEmbedPayload (name and escrow total)
+ * - services/utils/normalizeHouseDistrict: District to ocd_id
+ *
+ * @module controller/share
+ * @requires fs
+ * @requires path
+ * @requires url-join
+ * @requires ../../constants
+ * @requires ../../services/logger
+ * @requires ../../services/utils/normalizeHouseDistrict
+ * @requires ../embed/pol
+ * @requires ./meta
+ */
+
+const fs = require('fs');
+const path = require('path');
+const urlJoin = require('url-join').default;
+const { SERVER } = require('../../constants');
+const { requireLogger } = require('../../services/logger');
+const {
+  resolveHouseDistrictForPolRole,
+} = require('../../services/utils/normalizeHouseDistrict');
+const { BIOGUIDE_RE, buildEmbedPayload } = require('../embed/pol');
+const { districtMeta, injectMeta, repMeta } = require('./meta');
+
+const logger = requireLogger(__filename);
+
+const STATE_RE = /^[A-Z]{2}$/;
+const DISTRICT_RE = /^\d{1,2}$/;
+
+/**
+ * Path of the SPA shell
+ * @returns {string}
+ */
+function resolveShellPath() {
+  if (process.env.STATIC_PUBLIC_DIR) {
+    return path.resolve(process.env.STATIC_PUBLIC_DIR, 'index.html');
+  }
+  const build = path.resolve(__dirname, '../../client/build/index.html');
+  return fs.existsSync(build)
+    ? build
+    : path.resolve(__dirname, '../../client/public/index.html');
+}
+
+/**
+ * Sends the SPA shell, with share meta when given
+ * @param {Object} res - Express response object
+ * @param {Object|null} meta - { title, description, url } or null for defaults
+ * @returns {Promise<void>}
+ */
+async function sendShell(res, meta) {
+  let html;
+  try {
+    html = await fs.promises.readFile(resolveShellPath(), 'utf8');
+  } catch (err) {
+    logger.error('Share page shell unavailable', { error: err.message });
+    return res.redirect(302, '/');
+  }
+  res.set('Cache-Control', SERVER.SHARE_PAGE.cacheControl);
+  res.type('html').send(meta ? injectMeta(html, meta) : html);
+}
+
+module.exports = {
+  /**
+   * Serves the SPA shell for one politician's deep link
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.bioguide - Bioguide id (e.g. A000055)
+   * @param {Object} res - Express response object
+   * @param {Object} PolModel - Pol model
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<void>}
+   *
+   * @example
+   * ```javascript
+   * const { getRepPage } = require('./controller/share');
+   * await getRepPage(req, res, Pol, Celebration);
+   * ```
+   */
+  getRepPage: async (req, res, PolModel, CelebrationModel) => {
+    const bioguide = String(req.params.bioguide || '').toUpperCase();
+    if (!BIOGUIDE_RE.test(bioguide)) return sendShell(res, null);
+
+    try {
+      const payload = await buildEmbedPayload(
+        bioguide,
+        PolModel,
+        CelebrationModel
+      );
+      const url = urlJoin(process.env.ORIGIN || '', 'rep', bioguide);
+      await sendShell(res, payload ? repMeta(payload, url) : null);
+    } catch (err) {
+      logger.error('getRepPage error', { bioguide, error: err.message });
+      await sendShell(res, null);
+    }
+  },
+
+  /**
+   * Serves the SPA shell for a congressional district's deep link, with the
+   * seat's representative in the share copy when they are on the roster
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.st - Two-letter state (e.g. ny)
+   * @param {string} req.params.nn - District number; 0 or 00 for at-large
+   * @param {Object} res - Express response object
+   * @param {Object} PolModel - Pol model
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<void>}
+   */
+  getDistrictPage: async (req, res, PolModel, CelebrationModel) => {
+    const state = String(req.params.st || '').toUpperCase();
+    const nn = String(req.params.nn || '');
+    const seat =
+      STATE_RE.test(state) && DISTRICT_RE.test(nn)
+        ? resolveHouseDistrictForPolRole(nn, state)
+        : null;
+    if (!seat) return sendShell(res, null);
+
+    try {
+      const pol = await PolModel.findOne({
+        'roles.0.chamber': 'House',
+        'roles.0.ocd_id': seat.ocd_id,
+        has_stakes: true,
+        roster_excluded: { $ne: true },
+      })
+        .select('id')
+        .lean();
+      const payload = pol
+        ? await buildEmbedPayload(pol.id, PolModel, CelebrationModel)
+        : null;
+      const url = urlJoin(
+        process.env.ORIGIN || '',
+        'state',
+        state.toLowerCase(),
+        'district',
+        nn
+      );
+      await sendShell(
+        res,
+        districtMeta(
+          { state, district: Number(seat.district) ? seat.district : 'AL' },
+          payload,
+          url
+        )
+      );
+    } catch (err) {
+      logger.error('getDistrictPage error', {
+        state,
+        district: nn,
+        error: err.message,
+      });
+      await sendShell(res, null);
+    }
+  },
+};
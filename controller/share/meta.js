@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Share Page Meta Helpers
+ *
+ * Builds the Open Graph / Twitter card copy for shareable deep links and
+ * writes it into the SPA shell (index.html). Crawlers do not run the app, so
+ * the pol's name and escrow total have to be in the HTML the server sends.
+ *
+ * KEY FUNCTIONS
+ *
+ * repMeta(payload, url)
+ * - Title, description and canonical URL for one politician's page
+ *
+ * districtMeta(district, payload, url)
+ * - Same for a district page; falls back to district-only copy when the seat
+ *   has no selectable representative
+ *
+ * injectMeta(html, meta)
+ * - Rewrites <title>, description, og:*, twitter:* and the canonical link in
+ *   the shell; tags missing from the shell are left alone
+ *
+ * @module controller/share/meta
+ * @requires ../embed/frame
+ */
+
+const { escapeHtml, formatUsd } = require('../embed/frame');
+
+const SITE_NAME = 'POWERBACK.us';
+
+/**
+ * "Rep. Jane Doe (NY-14)" style label for a pol in an embed payload
+ * @param {Object} pol - payload.pol from buildEmbedPayload
+ * @returns {string}
+ */
+function polLabel(pol) {
+  const seat =
+    pol.chamber === 'Senate' || !Number(pol.district)
+      ? pol.state
+      : `${pol.state}-${pol.district}`;
+  return `${pol.title} ${pol.name}${seat ? ` (${seat})` : ''}`;
+}
+
+/**
+ * Share copy for a politician's page
+ * @param {Object} payload - Result of buildEmbedPayload
+ * @param {string} url - Canonical page URL
+ * @returns {{ title: string, description: string, url: string }}
+ */
+function repMeta({ pol, escrow, bill }, url) {
+  const pledges = `${escrow.count} ${escrow.count === 1 ? 'pledge' : 'pledges'}`;
+  return {
+    title: `${formatUsd(escrow.donation)} is waiting for ${pol.title} ${pol.name} | ${SITE_NAME}`,
+    description: `${formatUsd(escrow.donation)} from ${pledges} is in escrow for ${polLabel(pol)}, released if they bring ${bill.label} to a vote. Add yours.`,
+    url,
+  };
+}
+
+/**
+ * Share copy for a district page
+ * @param {{ state: string, district: string }} district - Display seat
+ *   ('AL' for at-large)
+ * @param {Object|null} payload - Result of buildEmbedPayload for the seat's
+ *   representative, or null
+ * @param {string} url - Canonical page URL
+ * @returns {{ title: string, description: string, url: string }}
+ */
+function districtMeta({ state, district }, payload, url) {
+  if (payload) return repMeta(payload, url);
+  return {
+    title: `${state}-${district} | ${SITE_NAME}`,
+    description: `Make your donation to the representative for ${state}-${district} conditional on public legislative action.`,
+    url,
+  };
+}
+
+/**
+ * Replaces the content attribute of one meta tag
+ * @param {string} html
+ * @param {'name'|'property'} attr
+ * @param {string} key - e.g. og:title
+ * @param {string} value - Unescaped value
+ * @returns {string}
+ */
+function replaceMetaContent(html, attr, key, value) {
+  const re = new RegExp(
+    `(<meta\\s+${attr}="${key.replace(/[.:]/g, '\\$&')}"\\s+content=")[^"]*(")`,
+    'i'
+  );
+  return html.replace(re, (_, open, close) => open + escapeHtml(value) + close);
+}
+
+/**
+ * Writes share copy into the SPA shell
+ * @param {string} html - index.html
+ * @param {{ title: string, description: string, url: string }} meta
+ * @returns {string}
+ */
+function injectMeta(html, { title, description, url }) {
+  let out = html.replace(
+    /<title>[^<]*<\/title>/i,
+    () => `<title>${escapeHtml(title)}</title>`
+  );
+  out = replaceMetaContent(out, 'name', 'description', description);
+  out = replaceMetaContent(out, 'property', 'og:title', title);
+  out = replaceMetaContent(out, 'property', 'og:description', description);
+  out = replaceMetaContent(out, 'property', 'og:url', url);
+  out = replaceMetaContent(out, 'name', 'twitter:title', title);
+  out = replaceMetaContent(out, 'name', 'twitter:description', description);
+  return out.replace(
+    /(<link\s+rel="canonical"\s+href=")[^"]*(")/i,
+    (_, open, close) => open + escapeHtml(url) + close
+  );
+}
+
+module.exports = {
+  districtMeta,
+  injectMeta,
+  repMeta,
+};
@@ -15,6 +15,11 @@
  * - remove: Deletes user accounts
  * - contact: Retrieves user contact information
  *
+ * SESSIONS
+ * - roster: Lists signed-in devices
+ * - evict: Signs one device out
+ * - banish: Signs out everywhere
+ *
  * ACCOUNT STATUS
  * - lock: Locks user accounts
  * - open: Unlocks user accounts
@@ -44,6 +49,7 @@
  * - ./remove: Account removal
  * - ./update: Account updates
  * - ./contact: Contact information
+ * - ./sessions: Signed-in devices (token store)
  * - ./privileges: Privilege management
  *
  * @module controller/users/account
@@ -52,6 +58,7 @@
  * @requires ./remove
  * @requires ./update
  * @requires ./contact
+ * @requires ./sessions
  * @requires ./privileges
  */
 const {
@@ -72,6 +79,7 @@ const {
   { remove } = require('./remove'),
   { update } = require('./update'),
   { contact } = require('./contact'),
+  { roster, evict, banish } = require('./sessions'),
   { deem, certify, empower, promote } = require('./privileges');
 
 /**
@@ -89,6 +97,9 @@ const {
  * @property {Function} promote - Promote users to higher compliance tiers
  * @property {Function} attest - Attest to account information
  * @property {Function} create - Create new accounts
+ * @property {Function} roster - List signed-in sessions
+ * @property {Function} evict - Revoke one session
+ * @property {Function} banish - Revoke every session
  * @property {Function} rattle - Rattle account data (utility function)
  * @property {Function} remove - Remove account data
  * @property {Function} update - Update account information
@@ -110,6 +121,9 @@ module.exports = {
   promote,
   attest,
   create,
+  roster,
+  evict,
+  banish,
   rattle,
   reckon,
   remove,
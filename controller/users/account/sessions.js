@@ -0,0 +1,107 @@
+/**
+ * User session (signed-in device) controller module
+ *
+ * This module lets users see where they are signed in and sign devices out.
+ * A session is one refresh-token family in the token store: it starts at
+ * login and continues through each token refresh on that device.
+ *
+ * The session operations include:
+ * - Listing active sessions with created/last-used times, IP and user agent
+ * - Revoking a single session (that device must log in again)
+ * - Signing out everywhere: revoking every session and bumping tokenVersion
+ *   so no refresh token issued before now can be used
+ *
+ * @module controller/users/account/sessions
+ * @exports {Object} User session functions
+ */
+
+const {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require('../../../auth/tokenStore');
+const logger = require('../../../services/utils/logger')(__filename);
+
+module.exports = {
+  /**
+   * Lists a user's active sessions, marking the one making the request
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.userId - The unique identifier for the user
+   * @param {Object} res - Express response object
+   * @param {string|null} currentSessionId - Session behind the request's refresh cookie
+   * @returns {Promise<void>} - Responds with the session list
+   *
+   * @example
+   * ```javascript
+   * await roster(req, res, await tokenizer.getCurrentSessionId(req));
+   * ```
+   */
+  roster: async (req, res, currentSessionId) => {
+    const sessions = await listSessions(req.params.userId);
+    res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.sessionId === currentSessionId,
+      }))
+    );
+  },
+
+  /**
+   * Revokes one of a user's sessions
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.userId - The unique identifier for the user
+   * @param {string} req.params.sessionId - The session to revoke
+   * @param {string} req.ip - Client IP address for logging
+   * @param {Object} res - Express response object
+   * @param {string|null} currentSessionId - Session behind the request's refresh cookie
+   * @returns {Promise<void>} - Responds with { revoked, current }, or 404
+   */
+  evict: async (req, res, currentSessionId) => {
+    const { userId, sessionId } = req.params;
+    const revoked = await revokeSession(userId, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    logger.info('User revoked a session', {
+      userId,
+      action: 'revoke_session',
+      sessionId,
+      ip: req.ip,
+    });
+    res.json({ revoked: true, current: sessionId === currentSessionId });
+  },
+
+  /**
+   * Signs a user out of every session, including the requesting one
+   *
+   * Besides revoking the sessions in the token store, tokenVersion is bumped
+   * so any refresh token the store doesn't know about is rejected as well.
+   *
+   * @param {Object} req - Express request object
+   * @param {string} req.params.userId - The unique identifier for the user
+   * @param {string} req.ip - Client IP address for logging
+   * @param {Object} model - The database model for user operations
+   * @returns {Promise<{ revokedCount: number }>} Number of tokens revoked
+   */
+  banish: async (req, model) => {
+    const { userId } = req.params;
+    const revokedCount = await revokeAllSessions(userId, {
+      reason: 'signout_all',
+    });
+    await model.updateOne(
+      { _id: { $eq: userId } },
+      { $inc: { tokenVersion: 1 } }
+    );
+
+    logger.info('User signed out everywhere', {
+      userId,
+      action: 'revoke_all_sessions',
+      revokedCount,
+      ip: req.ip,
+    });
+    return { revokedCount };
+  },
+};
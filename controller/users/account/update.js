@@ -45,6 +45,7 @@ module.exports = {
   update: (req, res, model) => {
     const {
       _id,
+      roles,
       locked,
       payment,
       password,
@@ -56,6 +57,7 @@ module.exports = {
       compliance,
       understands,
       tokenVersion,
+      statementYears,
       resetPasswordHash,
       tryPasswordAttempts,
       lastTimeUpdatedPassword,
@@ -31,6 +31,7 @@ module.exports = {
   prune: (userDocument) => {
     const {
       __v,
+      roles,
       locked,
       password,
       createdAt,
@@ -38,6 +39,7 @@ module.exports = {
       updatedAt,
       accessToken,
       refreshToken,
+      statementYears,
       resetPasswordToken,
       lastUpdatedPassword,
       tryPasswordAttempts,
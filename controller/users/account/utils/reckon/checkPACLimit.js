@@ -18,6 +18,12 @@
  * - Regular donations (donation.donation field) do not count
  * - Tips are optional contributions to the PAC
  *
+ * BITCOIN CONTRIBUTIONS
+ * - Confirmed BTC payments to the committee, converted to USD at receipt,
+ *   count toward the same limit
+ * - Callers pass this year's BTC total (services/btc/paymentService
+ *   getPacContributionsUsd); it is added to currentPACTotal
+ *
  * CALENDAR YEAR RESET
  * - Resets at midnight EST on January 1st
  * - Only counts tips from current calendar year
@@ -44,7 +50,8 @@
  * - isCompliant: Boolean indicating if tip complies with limit
  * - attemptedTipAmount: The attempted tip amount
  * - remainingPACLimit: Remaining PAC limit for the year
- * - currentPACTotal: Current year's PAC tip total
+ * - currentPACTotal: Current year's PAC total (tips plus BTC)
+ * - btcPACTotal: Current year's BTC contributions in USD
  * - wouldExceed: Whether the tip would exceed the limit
  * - hasReachedLimit: Whether the user has already reached the limit
  * - pacLimit: The annual PAC limit amount ($5,000)
@@ -73,11 +80,13 @@ module.exports = {
    *
    * @param {Array<Object>} donations - Array of user donation documents
    * @param {number} attemptedTipAmount - The tip amount being attempted
+   * @param {number} [btcPACTotal=0] - This year's confirmed BTC contributions in USD
    * @returns {Object} - PAC limit compliance result
    * @returns {boolean} result.isCompliant - Whether the tip complies with PAC limit
    * @returns {number} result.attemptedTipAmount - The attempted tip amount
    * @returns {number} result.remainingPACLimit - Remaining PAC limit for the year
-   * @returns {number} result.currentPACTotal - Current year's PAC tip total
+   * @returns {number} result.currentPACTotal - Current year's PAC total (tips plus BTC)
+   * @returns {number} result.btcPACTotal - Current year's BTC contributions in USD
    * @returns {boolean} result.wouldExceed - Whether the tip would exceed the limit
    * @returns {boolean} result.hasReachedLimit - Whether the user has reached the limit
    * @returns {number} result.pacLimit - The annual PAC limit amount
@@ -89,7 +98,7 @@ module.exports = {
    * // Returns: { isCompliant: true, remainingPACLimit: 4950, ... }
    * ```
    */
-  checkPACLimit: (donations, attemptedTipAmount) => {
+  checkPACLimit: (donations, attemptedTipAmount, btcPACTotal = 0) => {
     const pacLimit = FEC.PAC_ANNUAL_LIMIT;
 
     // Calculate current year PAC contributions (tips only)
@@ -103,9 +112,10 @@ module.exports = {
       return donationDate >= startOfYear && donationDate <= endOfYear;
     });
 
-    const currentPACTotal = tipsThisYear
-      .map((d) => d.tip || 0) // Only count tips, not donations
-      .reduce((a, b) => a + b, 0);
+    const currentPACTotal =
+      tipsThisYear
+        .map((d) => d.tip || 0) // Only count tips, not donations
+        .reduce((a, b) => a + b, 0) + btcPACTotal;
 
     const wouldExceed = currentPACTotal + attemptedTipAmount > pacLimit;
     const remainingPACLimit = Math.max(0, pacLimit - currentPACTotal);
@@ -116,10 +126,10 @@ module.exports = {
       attemptedTipAmount,
       remainingPACLimit,
       currentPACTotal,
+      btcPACTotal,
       wouldExceed,
       hasReachedLimit,
       pacLimit,
     };
   },
 };
-
@@ -15,6 +15,11 @@
  * - contact: Retrieves user contact information
  * - activate: Activates user accounts via email verification
  *
+ * SESSIONS
+ * - roster: Lists signed-in devices
+ * - evict: Signs one device out
+ * - banish: Signs out everywhere
+ *
  * PASSWORD OPERATIONS
  * - change: Changes user passwords
  * - reset: Resets user passwords via email link
@@ -70,6 +75,9 @@ const {
     reckon,
     attest,
     create,
+    roster,
+    evict,
+    banish,
     rattle,
     remove,
     update,
@@ -108,6 +116,9 @@ const {
  * @property {Function} attest - Attest to user information
  * @property {Function} change - Change user passwords
  * @property {Function} create - Create new users
+ * @property {Function} roster - List a user's signed-in sessions
+ * @property {Function} evict - Revoke one of a user's sessions
+ * @property {Function} banish - Sign a user out everywhere
  * @property {Function} forgot - Handle forgotten password requests
  * @property {Function} rattle - Rattle user data (utility function)
  * @property {Function} remove - Remove user data
@@ -136,6 +147,9 @@ module.exports = {
   attest,
   change,
   create,
+  roster,
+  evict,
+  banish,
   forgot,
   rattle,
   remove,
@@ -23,7 +23,8 @@
  *
  * TOKEN INVALIDATION
  * - Increments user.tokenVersion to invalidate all existing tokens
- * - Removes old refresh token from token store
+ * - Consumes old refresh token and revokes all other sessions in the token store
+ * - New refresh token continues the current session (same family)
  * - Creates new access and refresh tokens
  * - Sets new refresh token in HTTP-only cookie
  *
@@ -60,7 +61,12 @@
 const { promisify } = require('util');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { findAndRemoveRefreshToken } = require('../../../auth/tokenStore');
+const {
+  saveRefreshToken,
+  getSessionMeta,
+  revokeAllSessions,
+  consumeRefreshToken,
+} = require('../../../auth/tokenStore');
 const logger = require('../../../services/utils/logger')(__filename);
 const { SERVER } = require('../../../constants');
 const { emails } = require('../../comms/emails');
@@ -199,10 +205,17 @@ function runPasswordUpdate(req, res, model) {
           // Get current refresh token from HTTP-only cookie
 
           const currentRefreshToken = req.cookies[cookieName];
+          let session = {};
           if (currentRefreshToken) {
-            findAndRemoveRefreshToken(currentRefreshToken);
+            session = await consumeRefreshToken(currentRefreshToken);
           }
 
+          // Sign out every other device; this one continues its session
+          await revokeAllSessions(req.params.userId, {
+            exceptSessionId: session.valid ? session.familyId : undefined,
+            reason: 'password_change',
+          });
+
           let currentJwtid;
 
           if (req.jwt && req.jwt.payload && req.jwt.payload.jti) {
@@ -238,8 +251,13 @@ function runPasswordUpdate(req, res, model) {
           const refreshToken = await promisify(jwt.sign)(...jwtSignArgs);
 
           // Store new refresh token
-          const { saveRefreshToken } = require('../../../auth/tokenStore');
-          saveRefreshToken(refreshToken);
+          await saveRefreshToken(refreshToken, SERVER.REFRESH_EXPY, {
+            ...getSessionMeta(req),
+            ...(session.valid && {
+              familyId: session.familyId,
+              familyCreatedAt: session.familyCreatedAt,
+            }),
+          });
 
           // Send confirmation email
           if (user) {
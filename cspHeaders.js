@@ -5,6 +5,12 @@
  * - Applied only on paths starting with /api
  * - Very strict: no scripts, no styles, no fonts, no frames
  * - Allows outgoing HTTP calls only to the APIs you actually use
+ *
+ * Embed widget frame (routes/api/embed):
+ * - The one HTML page under /api, meant to be iframed by other sites
+ * - Any site may frame it; no scripts, no forms, no outgoing calls
+ * - Images from the app origin only (headshots); styles only from the
+ *   card's own inline stylesheet, pinned by hash
  */
 
 const helmet = require('helmet');
@@ -45,6 +51,29 @@ const apiCSP = helmet.contentSecurityPolicy({
   },
 });
 
+/**
+ * CSP for the embed widget frame
+ * @param {string} styleHash - base64 sha256 of the frame's inline <style>
+ * @returns {Function} Express middleware
+ */
+const createEmbedFrameCSP = (styleHash) =>
+  helmet.contentSecurityPolicy({
+    useDefaults: true,
+    directives: {
+      "default-src": ["'none'"],
+      "base-uri": ["'none'"],
+      "frame-ancestors": ["*"],
+      // ORIGIN is read per request: production loads it after this module
+      "img-src": ["'self'", (req, res) => process.env.ORIGIN || "'self'"],
+      "style-src": [`'sha256-${styleHash}'`],
+      "script-src": ["'none'"],
+      "connect-src": ["'none'"],
+      "font-src": ["'none'"],
+      "object-src": ["'none'"],
+      "form-action": ["'none'"],
+    },
+  });
+
 const cspMiddleware = (req, res, next) => {
   if (req.path.startsWith('/api')) {
     return apiCSP(req, res, next);
@@ -55,4 +84,6 @@ const cspMiddleware = (req, res, next) => {
 };
 
 module.exports = cspMiddleware;
+module.exports.apiCSP = apiCSP;
+module.exports.createEmbedFrameCSP = createEmbedFrameCSP;
 
@@ -0,0 +1,573 @@
+/**
+ * @fileoverview Tracked Bill Watcher
+ *
+ * Monitors and tracks changes to every tracked bill from the Congress.gov API.
+ * For each bill this script fetches bill data, compares it to the bill's
+ * previous snapshot, and updates the database when changes are detected.
+ *
+ * TRACKED BILLS
+ * - constants/bills.js BILLS.TRACKED: bills that are always watched (H.J.Res.54)
+ * - Bill documents with `tracked: true`: bills added without a deploy
+ * - Entries are deduplicated by bill_id; config entries win so their
+ *   short_title and webhook_url are kept
+ *
+ * PER-BILL PROCESSING
+ * - Snapshot name is the bill_id (e.g. 'hjres54-119'), so each bill diffs
+ *   against its own history and a new Congress's bill of the same number
+ *   starts fresh. A bill first checked under this name takes its entry
+ *   over from the older congress-less snapshot (e.g. 'hjres54') once
+ * - Bill document upserted by bill_id (e.g. 'hjres54-119')
+ * - On change: a bill_status watcher event (services/events), which sends
+ *   BillUpdated to users subscribed to billUpdates, a bill_status social
+ *   post, and the bill's optional outgoing webhook; one event per
+ *   Congress.gov updateDate
+ * - A failure on one bill is logged and does not stop the remaining bills
+ *
+ * CELEBRATION RESOLUTION
+ * - Each pass reads the bill's Congress.gov actions list and hands it to
+ *   ResolutionService, which resolves active Celebrations for the bill once
+ *   the record shows a House floor vote
+ * - Idempotent: already-resolved Celebrations are never selected again
+ * - Set CELEBRATION_RESOLUTION_DRY_RUN=1 to log what would resolve instead
+ *
+ * @module jobs/billWatcher
+ * @requires axios
+ * @requires ../models
+ * @requires ../constants
+ * @requires ./runCheck
+ * @requires ./snapshotManager
+ * @requires ../services/utils/logger
+ * @requires ../controller/congress/config
+ * @requires ../services/celebration/resolutionService
+ * @requires ../services/events/eventService
+ */
+
+const axios = require('axios');
+const { Bill, Celebration } = require('../models');
+const { BILLS } = require('../constants');
+const {
+  getTotalActiveDonationsForBill,
+} = require('../services/celebration/dataService');
+const ResolutionService = require('../services/celebration/resolutionService');
+const { session } = require('../controller/congress/config');
+const logger = require('../services/utils/logger')(__filename);
+const { emitEvent } = require('../services/events/eventService');
+const {
+  diffSnapshot,
+  loadSnapshot,
+  saveSnapshot,
+} = require('./snapshotManager');
+const runCheck = require('./runCheck');
+
+/** @constant {string|undefined} API_URI - Base URL for Congress.gov API from environment variable */
+const API_URI = process.env.CONGRESS_API_BASE_URL;
+
+/** @constant {boolean} RESOLUTION_DRY_RUN - Report Celebration resolutions without writing */
+const RESOLUTION_DRY_RUN =
+  process.env.CELEBRATION_RESOLUTION_DRY_RUN === '1' ||
+  process.env.CELEBRATION_RESOLUTION_DRY_RUN === 'true';
+
+/**
+ * Congress.gov API base URL without a trailing slash (avoids double slashes)
+ *
+ * @returns {string} Base URL
+ */
+const getBaseUrl = () =>
+  API_URI?.replace(/\/+$/, '') || 'https://api.congress.gov/v3';
+
+/**
+ * Helper function to safely extract nested properties from objects
+ * Handles missing properties, null values, and invalid paths gracefully
+ *
+ * @param {Object|null|undefined} obj - The object to extract from
+ * @param {string} path - Dot-separated path to the property (e.g., 'sponsor.name')
+ * @param {*} [defaultValue=null] - Value to return if path doesn't exist
+ * @returns {*} The value at the path, or defaultValue if not found
+ *
+ * @example
+ * get(bill, 'sponsor.name', 'Unknown') // Returns sponsor name or 'Unknown'
+ * get(bill, 'committees.items', []) // Returns committees array or empty array
+ */
+const get = (obj, path, defaultValue = null) => {
+  if (!obj || !path) return defaultValue;
+  try {
+    return path
+      .split('.')
+      .reduce((curr, key) => curr?.[key] ?? defaultValue, obj);
+  } catch {
+    return defaultValue;
+  }
+};
+
+/**
+ * Builds the display label for a bill (e.g. 'H.J.Res.54').
+ *
+ * @param {string} billType - Congress.gov bill type (e.g. 'hjres')
+ * @param {number|string} number - Bill number
+ * @returns {string} Display label
+ */
+const billLabel = (billType, number) =>
+  `${BILLS.TYPE_LABELS[billType] || billType.toUpperCase() + '.'}${number}`;
+
+/**
+ * Normalizes a tracked bill entry, defaulting congress to the current session.
+ *
+ * @param {Object} entry - Tracked bill entry
+ * @returns {Object} Entry with bill_type lowercased, numeric number/congress and bill_id
+ */
+const toTarget = (entry) => {
+  const bill_type = String(entry.bill_type).toLowerCase();
+  const number = Number(entry.number);
+  const congress = Number(entry.congress) || session();
+  return {
+    ...entry,
+    bill_type,
+    number,
+    congress,
+    bill_id: `${bill_type}${number}-${congress}`,
+  };
+};
+
+/**
+ * Collects the bills to watch: config-tracked bills plus Bill documents
+ * flagged `tracked: true`. Bill documents are read by their bill_id
+ * (e.g. 'hr1234-119') since `number` may hold a display label.
+ *
+ * @async
+ * @function getTrackedBills
+ * @returns {Promise<Object[]>} Normalized targets, deduplicated by bill_id
+ */
+async function getTrackedBills() {
+  const targets = BILLS.TRACKED.map(toTarget);
+  const seen = new Set(targets.map((t) => t.bill_id));
+
+  const docs = await Bill.find({ tracked: true })
+    .select('bill_id short_title')
+    .lean();
+
+  for (const doc of docs) {
+    const match = /^([a-z]+)(\d+)-(\d+)$/.exec(doc.bill_id || '');
+    if (!match) {
+      logger.warn('Skipping tracked bill with unrecognized bill_id', {
+        billId: doc.bill_id,
+      });
+      continue;
+    }
+    const target = toTarget({
+      bill_type: match[1],
+      number: match[2],
+      congress: match[3],
+      short_title: doc.short_title,
+    });
+    if (seen.has(target.bill_id)) continue;
+    seen.add(target.bill_id);
+    targets.push(target);
+  }
+
+  return targets;
+}
+
+/**
+ * Fetches a bill's full actions list and resolves its active Celebrations
+ * when the list shows a House floor vote
+ *
+ * The bill endpoint only links to actions, so they are fetched separately.
+ * Errors are logged rather than thrown so the bill check still completes.
+ *
+ * @async
+ * @function resolveCelebrations
+ * @param {Object} target - Normalized tracked bill (see getTrackedBills)
+ * @param {Object} [options] - Resolution options
+ * @param {boolean} [options.dryRun] - Report without writing (defaults to CELEBRATION_RESOLUTION_DRY_RUN)
+ * @returns {Promise<Object|null>} ResolutionService summary, or null on error
+ */
+async function resolveCelebrations(target, options = {}) {
+  const { dryRun = RESOLUTION_DRY_RUN } = options;
+  const { bill_type, number, congress, bill_id } = target;
+  const url = `${getBaseUrl()}/bill/${congress}/${bill_type}/${number}/actions?limit=250&api_key=${process.env.CONGRESS_GOV_API_KEY}`;
+
+  try {
+    const { data } = await axios.get(url);
+    const summary = await ResolutionService.resolveForBill(
+      bill_id,
+      get(data, 'actions', []),
+      { dryRun },
+      Celebration
+    );
+    if (summary.qualifyingAction) {
+      logger.info('Celebration resolution pass completed', {
+        billId: bill_id,
+        dryRun: summary.dryRun,
+        resolvedCount: summary.resolvedCount,
+        failedCount: summary.failedCount,
+        wouldResolveCount: summary.wouldResolveCount,
+      });
+    }
+    return summary;
+  } catch (err) {
+    logger.error('Celebration resolution failed:', {
+      billId: bill_id,
+      error: err.message,
+      status: err.response?.status,
+    });
+    return null;
+  }
+}
+
+/**
+ * Carries a bill's entry over from the congress-less snapshot it used to
+ * share with every Congress's bill of the same number (e.g. 'hjres54') to
+ * its own ('hjres54-119'). Runs only while the bill has no snapshot of its
+ * own, so once per bill.
+ *
+ * @param {Object} target - Normalized tracked bill (see getTrackedBills)
+ */
+function migrateLegacySnapshot({ bill_type, number, congress, bill_id }) {
+  if (Object.keys(loadSnapshot(bill_id)).length) return;
+  const key = `${congress}${bill_type}${number}`;
+  const entry = loadSnapshot(`${bill_type}${number}`)[key];
+  if (!entry) return;
+  saveSnapshot(bill_id, { [key]: entry });
+  logger.info(`Moved ${bill_type}${number} snapshot entry to ${bill_id}`);
+}
+
+/**
+ * Fetches one bill from the Congress.gov API and processes changes
+ *
+ * This function:
+ * 1. Fetches current bill data from the API
+ * 2. Creates a simplified tracking object with key fields
+ * 3. Compares against the bill's previous snapshot to detect changes
+ * 4. Updates the database with latest bill information
+ * 5. Resolves the bill's active Celebrations if it has reached a House floor vote
+ * 6. Logs specific changes and notifies subscribers (email, social, webhook)
+ *
+ * Errors are logged rather than thrown so one bill cannot block the others.
+ *
+ * @async
+ * @function checkBill
+ * @param {Object} target - Normalized tracked bill (see getTrackedBills)
+ * @param {string} target.bill_type - Congress.gov bill type (e.g. 'hjres')
+ * @param {number} target.number - Bill number
+ * @param {number} target.congress - Congress number
+ * @param {string} target.bill_id - Bill id (e.g. 'hjres54-119')
+ * @param {string} [target.short_title] - Fallback title
+ * @param {string} [target.webhook_url] - Optional outgoing webhook URL
+ * @returns {Promise<void>} Resolves when the bill check completes
+ */
+async function checkBill(target) {
+  const { bill_type: BILL_TYPE, number: BILL_NUMBER, congress } = target;
+  const label = billLabel(BILL_TYPE, BILL_NUMBER);
+  const billId = target.bill_id;
+
+  const url = `${getBaseUrl()}/bill/${congress}/${BILL_TYPE}/${BILL_NUMBER}?api_key=${process.env.CONGRESS_GOV_API_KEY}`;
+
+  try {
+    const { data } = await axios.get(url);
+    // Handle potential nesting in API response (some endpoints wrap data in 'bill' property)
+    const bill = get(data, 'bill', data);
+    logger.info(`Checking ${label}`);
+    logger.info(`Title: ${get(bill, 'title')}`);
+
+    /**
+     * Create a simplified bill object with only the fields we want to track for change detection
+     * This is separate from the full database object to keep snapshot comparisons lightweight
+     */
+    const billData = {
+      id: `${congress}${BILL_TYPE}${BILL_NUMBER}`,
+      committees: get(bill, 'committees.items', []),
+      lastAction: get(bill, 'latestAction', {}),
+      actions: get(bill, 'actions.items', []),
+      updateDate: get(bill, 'updateDate'),
+      status: get(bill, 'status'),
+      title: get(bill, 'title'),
+    };
+
+    // Validate required fields before proceeding
+    if (!billData.title || !billData.updateDate) {
+      throw new Error('Missing required bill data from API response');
+    }
+
+    /**
+     * Compare current bill state against previous snapshot to detect changes
+     * Uses diffSnapshot utility to track changes in key fields
+     */
+    migrateLegacySnapshot(target);
+    const { changes } = diffSnapshot({
+      name: billId, // Per-bill snapshot (e.g. 'hjres54-119')
+      current: [billData],
+      keyFn: (bill) => bill.id, // Function to generate unique key for bill
+      /**
+       * Comparison function that determines if bill has changed
+       * Returns true if any tracked field differs between current and previous state
+       * Order matters for performance: simple comparisons first, then JSON.stringify
+       *
+       * @param {Object} curr - Current bill state
+       * @param {Object} prev - Previous bill state from snapshot
+       * @returns {boolean} True if bill has changed, false otherwise
+       */
+      compareFn: (curr, prev) => {
+        // Compare specific fields we care about
+        // Simple comparisons first for performance (short-circuit evaluation)
+        return (
+          curr.updateDate !== prev.updateDate ||
+          curr.status !== prev.status ||
+          // Deep comparisons using JSON.stringify for complex objects
+          JSON.stringify(curr.lastAction) !== JSON.stringify(prev.lastAction) ||
+          JSON.stringify(curr.actions) !== JSON.stringify(prev.actions) ||
+          JSON.stringify(curr.committees) !== JSON.stringify(prev.committees)
+        );
+      },
+    });
+
+    /**
+     * Format complete bill data for database storage
+     * This includes all fields needed for the Bill model, not just change-tracking fields
+     * Includes sponsor info, dates, passage status, committees, actions, versions, etc.
+     */
+    const dbBillData = {
+      bill_id: billId,
+      bill_slug: `${BILL_TYPE}${BILL_NUMBER}`,
+      congress: congress.toString(),
+      bill: label.toUpperCase(),
+      bill_type: BILL_TYPE,
+      number: label.toUpperCase(),
+      bill_uri: url,
+      title: get(bill, 'title'),
+      short_title: get(bill, 'shortTitle', target.short_title || null),
+      sponsor_title: get(bill, 'sponsor.title'),
+      sponsor: get(bill, 'sponsor.name'),
+      sponsor_id: get(bill, 'sponsor.bioguideId'),
+      sponsor_uri: get(bill, 'sponsor.url'),
+      sponsor_party: get(bill, 'sponsor.party'),
+      sponsor_state: get(bill, 'sponsor.state'),
+      gpo_pdf_uri: get(bill, 'textVersions[0].formats[0].url'),
+      congressdotgov_url: `https://www.congress.gov/bill/${congress}th-congress/${BILLS.TYPE_SLUGS[BILL_TYPE] || BILL_TYPE}/${BILL_NUMBER}`,
+      govtrack_url: `https://www.govtrack.us/congress/bills/${congress}/${BILL_TYPE}${BILL_NUMBER}`,
+      introduced_date: get(bill, 'introducedDate'),
+      active: get(bill, 'active', false),
+      last_vote: get(bill, 'lastVoteDate'),
+      house_passage: get(bill, 'housePassage'),
+      senate_passage: get(bill, 'senatePassage'),
+      enacted: get(bill, 'enacted'),
+      vetoed: get(bill, 'vetoed'),
+      committees: get(bill, 'committees.items', []),
+      /**
+       * Extract committee system codes as array
+       * Uses IIFE to safely handle cases where committees.items might not be an array
+       */
+      committee_codes: (() => {
+        const items = get(bill, 'committees.items', []);
+        return Array.isArray(items) ? items.map((c) => c.systemCode) : [];
+      })(),
+      /**
+       * Extract subcommittee system codes as array
+       * Uses IIFE to safely handle cases where subcommittees.items might not be an array
+       */
+      subcommittee_codes: (() => {
+        const items = get(bill, 'subcommittees.items', []);
+        return Array.isArray(items) ? items.map((c) => c.systemCode) : [];
+      })(),
+      latest_major_action_date: get(bill, 'latestAction.actionDate'),
+      latest_major_action: get(bill, 'latestAction.text'),
+      summary: get(bill, 'summary'),
+      summary_short: get(bill, 'summaryShort', ''),
+      /**
+       * Transform text versions array into simplified format
+       * Safely handles non-array values from API
+       */
+      versions: (() => {
+        const items = get(bill, 'textVersions', []);
+        return Array.isArray(items)
+          ? items.map((v) => ({
+              status: v.type,
+              title: v.type,
+              url: v.formats?.[0]?.url,
+              congressdotgov_url: v.formats?.[0]?.url,
+            }))
+          : [];
+      })(),
+      /**
+       * Transform actions array into simplified format with sequential IDs
+       * Safely handles non-array values from API
+       * Defaults chamber to 'House' if not specified
+       */
+      actions: (() => {
+        const items = get(bill, 'actions.items', []);
+        return Array.isArray(items)
+          ? items.map((a, idx) => ({
+              id: idx + 1,
+              chamber: a.chamber || 'House',
+              action_type: a.type,
+              datetime: a.actionDate,
+              description: a.text,
+            }))
+          : [];
+      })(),
+    };
+
+    /**
+     * Update database with latest bill information
+     * Uses upsert to create new record if bill doesn't exist, or update existing one
+     */
+    try {
+      await Bill.findOneAndUpdate({ bill_id: dbBillData.bill_id }, dbBillData, {
+        upsert: true,
+        new: true,
+      });
+      logger.info('Database updated successfully');
+    } catch (dbErr) {
+      logger.error('Failed to update database:', dbErr.message);
+    }
+
+    await resolveCelebrations(target);
+
+    /**
+     * Process and log detected changes
+     * Only proceeds if changes were detected in the snapshot comparison
+     */
+    if (changes.length > 0) {
+      const change = changes[0]; // One bill per snapshot
+      logger.info(`${label} updated`);
+
+      // First time tracking this bill - no previous state to compare
+      if (!change.old) {
+        logger.info('First time tracking this bill');
+        return;
+      }
+
+      /**
+       * Log specific field changes for monitoring and alerting
+       * Each change type is logged separately for clarity
+       */
+      if (change.new.updateDate !== change.old.updateDate) {
+        logger.info(
+          `Update date changed: ${change.old.updateDate} -> ${change.new.updateDate}`
+        );
+      }
+
+      if (change.new.status !== change.old.status) {
+        logger.info(
+          `Status changed: ${change.old.status} -> ${change.new.status}`
+        );
+      }
+
+      if (
+        JSON.stringify(change.new.lastAction) !==
+        JSON.stringify(change.old.lastAction)
+      ) {
+        logger.info('New action:', change.new.lastAction);
+      }
+
+      /**
+       * Compare and log committee assignment changes
+       * Extracts system codes or names, sorts for comparison, logs old vs new
+       */
+      if (
+        JSON.stringify(change.new.committees) !==
+        JSON.stringify(change.old.committees)
+      ) {
+        const oldCommittees = change.old.committees
+          .map((c) => c.systemCode || c.name)
+          .sort();
+        const newCommittees = change.new.committees
+          .map((c) => c.systemCode || c.name)
+          .sort();
+        logger.info('Committee changes:');
+        logger.info('- Old:', oldCommittees);
+        logger.info('- New:', newCommittees);
+      }
+
+      const newCommitteeCodes = (change.new.committees || [])
+        .map((c) => c.systemCode || c.name)
+        .sort();
+
+      const totalDonations = await getTotalActiveDonationsForBill(billId);
+      const oldCommitteeCodes = (change.old.committees || [])
+        .map((c) => c.systemCode || c.name)
+        .sort();
+
+      // Emails to bill-update subscribers, bill_status social post and the
+      // bill's own webhook all go out from the event (services/events)
+      try {
+        await emitEvent({
+          type: 'bill_status',
+          action: 'updated',
+          entity: { kind: 'bill', id: billId, label },
+          before: {
+            status: change.old.status,
+            updateDate: change.old.updateDate,
+            lastAction: change.old.lastAction,
+            committees: oldCommitteeCodes,
+          },
+          after: {
+            status: change.new.status,
+            updateDate: change.new.updateDate,
+            lastAction: change.new.lastAction,
+            committees: newCommitteeCodes,
+          },
+          context: {
+            billTitle:
+              target.short_title ||
+              get(bill, 'shortTitle', change.new.title) ||
+              change.new.title,
+            congress,
+            totalDonations,
+            committeesChanged:
+              JSON.stringify(change.new.committees) !==
+              JSON.stringify(change.old.committees),
+            webhookUrl: target.webhook_url,
+          },
+          dedupeKey: `bill_status:${billId}:${change.new.updateDate}`,
+        });
+      } catch (eventErr) {
+        logger.error('Failed to record bill_status event', {
+          billId,
+          error: eventErr.message,
+        });
+      }
+    } else {
+      logger.info(`No new activity on ${label}.`);
+    }
+  } catch (err) {
+    logger.error(`Failed to check ${label}:`, err.message);
+    if (err.response?.data) {
+      logger.error('API Error Details:', err.response.data);
+    }
+  }
+}
+
+/**
+ * Checks every tracked bill in sequence.
+ *
+ * @async
+ * @function checkTrackedBills
+ * @returns {Promise<Object>} { billsChecked }
+ */
+async function checkTrackedBills() {
+  const targets = await getTrackedBills();
+  logger.info(`Checking ${targets.length} tracked bill(s)`);
+
+  for (const target of targets) {
+    await checkBill(target);
+  }
+  return { billsChecked: targets.length };
+}
+
+/**
+ * Executes one monitoring pass over all tracked bills.
+ * Scheduling is handled by the job registry.
+ *
+ * @function billWatcher
+ * @returns {Promise<Object>} { billsChecked }; rejects on failure
+ */
+function billWatcher() {
+  logger.info('Bill watcher booted');
+
+  return runCheck(logger, checkTrackedBills);
+}
+
+module.exports = billWatcher;
+module.exports.checkBill = checkBill;
+module.exports.getTrackedBills = getTrackedBills;
+module.exports.resolveCelebrations = resolveCelebrations;
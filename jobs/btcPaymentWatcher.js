@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Bitcoin Payment Watcher Job
+ *
+ * This background job polls the Bitcoin address ledger for incoming funds.
+ * Each run expires pending addresses past their watch window, then checks the
+ * least recently checked pending and unconfirmed addresses against the
+ * configured chain source (BTC_CHAIN_SOURCE), recording payments and
+ * confirmations and sending thank-you emails for newly confirmed addresses.
+ *
+ * SCHEDULING
+ * - Runs on BTC.POLL_SCHEDULE (every 10 minutes by default; BTC_POLL_SCHEDULE)
+ * - Registered in jobs/registry, scheduled when START_WATCHERS is set (never
+ *   in test)
+ * - A run is skipped if the previous one has not finished
+ *
+ * DEPENDENCIES
+ * - services/btc/paymentService: Ledger polling
+ * - services/utils/logger: Logging
+ *
+ * @module jobs/btcPaymentWatcher
+ * @requires ../services/btc/paymentService
+ * @requires ../services/utils/logger
+ */
+
+const { pollPendingAddresses } = require('../services/btc/paymentService');
+const logger = require('../services/utils/logger')(__filename);
+
+let isRunning = false;
+
+/**
+ * Runs one poll of the address ledger
+ * @returns {Promise<Object|null>} Poll summary, or null if a run was in progress
+ */
+async function btcPaymentWatcher() {
+  if (isRunning) {
+    logger.warn('btcPaymentWatcher still running - skipping this tick');
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const summary = await pollPendingAddresses();
+    if (summary.checked || summary.expired || summary.failed) {
+      logger.info(
+        `btcPaymentWatcher: checked ${summary.checked}, confirmed ${summary.confirmed}, thanked ${summary.thanked}, expired ${summary.expired}, failed ${summary.failed}`
+      );
+    }
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+}
+
+module.exports = {
+  btcPaymentWatcher,
+};
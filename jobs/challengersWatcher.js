@@ -1,10 +1,11 @@
 /**
  * @fileoverview Challengers Status Watcher
  *
- * This background job monitors challenger status for House races using the
- * OpenFEC API. It tracks when challengers appear, disappear, or reappear,
- * and when incumbents drop out. The job updates has_stakes flags and sends
- * email alerts to users in affected districts.
+ * This background job monitors challenger status for House and Senate races
+ * using the OpenFEC API. It tracks when challengers appear, disappear, or
+ * reappear, and when incumbents drop out. The job updates has_stakes flags and
+ * records each change as a watcher event, which alerts users in affected
+ * districts.
  *
  * KEY FEATURES
  *
@@ -13,19 +14,28 @@
  * - Tracks challenger status changes (appeared, disappeared, reappeared)
  * - Tracks incumbent dropouts
  * - Updates has_stakes flags based on competitive race status
+ * - Keeps challenger and open-seat rows as Candidate documents so they can
+ *   receive Celebrations
  *
- * EMAIL ALERTS
- * - Sends alerts to users in affected districts
- * - Respects user unsubscribe preferences
- * - Different email templates for different event types:
- *   - ChallengerAppeared: New challenger entered race
- *   - ChallengerDisappeared: Challenger dropped out
- *   - ChallengerReappeared: Challenger re-entered race
- *   - IncumbentDroppedOut: Incumbent dropped out
+ * WATCHER EVENTS (services/events)
+ * - challengers 'added': Race gained a challenger; social post. Users with
+ *   Celebrations for the incumbent get ChallengerReappeared; otherwise users
+ *   in the district get ChallengerAppeared and staff get a text
+ * - challengers 'removed': Race lost its challenger; ChallengerDisappeared
+ *   to the users whose Celebrations were paused, staff text
+ * - incumbents 'removed': Incumbent dropped out; IncumbentDroppedOut to the
+ *   users whose Celebrations were defuncted, staff text, social post
+ * - incumbents 'added': Incumbent filed this cycle; social post
+ * - The users to alert are recorded on the event (context.userIds) before
+ *   their Celebrations change; delivery respects unsubscribe preferences
  *
  * CELEBRATION CANCELLATION
  * - Cancels or defuncts active celebrations for candidates who drop out
- * - Updates celebration status via StatusService
+ * - Incumbent dropout defuncts only pledges to the incumbent; pledges to a
+ *   challenger or open-seat candidate in the same race stay active
+ * - Cancels pledges to candidates that drop out of the FEC challenger pull
+ * - Updates celebration status via CancellationService, which also cancels
+ *   each celebration's Stripe payment intent
  *
  * BUSINESS LOGIC
  *
@@ -40,36 +50,41 @@
  * - Processes all pages before comparing
  *
  * DISTRICT MAPPING
- * - Maps candidates to congressional districts
- * - Finds users in affected districts
+ * - Maps candidates to congressional districts (Senate: the whole state)
+ * - Finds users in affected districts, or statewide for Senate races
  * - Sends targeted alerts to relevant users
  *
  * FLOW (one cron run of checkChallengers)
  *
- * 1. Fetch FEC House incumbents (I) and challengers (C, O) for ELECTION_YEAR.
- * 2. Build a Set of state-district keys where a challenger exists; keys use
- *    normalizeHouseDistrictKeyPart so DB "4" and FEC "04" match. Skip rows with
- *    no state, no district for the target election year, or malformed district
- *    (never emit undefined-state keys). election_years may be numbers or strings.
+ * 1. Fetch FEC House (office H) and Senate (office S) incumbents (I) and
+ *    challengers (C, O) for ELECTION_YEAR.
+ * 2. Build a Set of race keys where a challenger exists. House keys are
+ *    state-district and use normalizeHouseDistrictKeyPart so DB "4" and FEC
+ *    "04" match; Senate races are statewide and keyed `${state}-S`. Skip rows
+ *    with no state, no district for the target election year, or malformed
+ *    district (never emit undefined-state keys). election_years may be numbers
+ *    or strings.
  * 3. For each incumbent FEC id from FEC, find Pol with that id on any role;
- *    if that role's state-district key is in the Set, the race is competitively
+ *    if that role's race key is in the Set, the race is competitively
  *    matched. Only ids where roles[0].fec_candidate_id equals that id are
  *    committed to finalIds (roles[0] is the current role; later roles are history).
  *    District matches on historical roles only are logged and skipped for has_stakes.
  * 4. updateMany: has_stakes true for roles[0].fec_candidate_id in finalIds;
  *    has_stakes false for everyone else (full recompute each run).
  * 5. diffSnapshot compares current competitive incumbents vs file snapshot;
- *    drive emails, SMS, social posts, celebration cancel/defunct on transitions.
+ *    drive celebration cancel/defunct and watcher events on transitions.
  * 6. First run with empty snapshot is bootstrap: DB updates run, alerts skipped.
+ * 7. Alongside step 2, syncCandidates upserts the C/O rows into Candidate and
+ *    withdraws the ones missing from this pull; their pledges are cancelled.
  *
  * DEPENDENCIES
  * - fs: File system operations
  * - path: Path manipulation
  * - axios: HTTP client for OpenFEC API
- * - nodemailer: Email sending
- * - models: Pol, Celebration, User
- * - services/celebration/statusService: Status management
- * - controller/comms: Email sending and filtering
+ * - models: Pol, Celebration, User, Candidate (via candidateService)
+ * - services/celebration/cancellationService: Defunct transition and payment
+ *   intent cancellation
+ * - services/events/eventService: Watcher events and their notifications
  * - jobs/snapshotManager: Snapshot diffing
  * - jobs/runCheck: Database connection wrapper
  *
@@ -77,10 +92,9 @@
  * @requires fs
  * @requires path
  * @requires axios
- * @requires nodemailer
  * @requires ../models
- * @requires ../services/celebration/statusService
- * @requires ../controller/comms
+ * @requires ../services/celebration/cancellationService
+ * @requires ../services/events/eventService
  * @requires ./snapshotManager
  * @requires ./runCheck
  */
@@ -88,35 +102,19 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
-const nodemailer = require('nodemailer');
 
 const { Pol, Celebration } = require('../models');
 const { getSnapshotsDir } = require('../constants/paths');
-const { CONFIG: MAIL_CONFIG } = require('../controller/comms/sendEmail');
-const { StatusService } = require('../services/celebration/statusService');
-
-// const twilio = require('twilio');
-// const TWILIO_SID = process.env.TWILIO_ACCOUNT_SID;
-// const TWILIO_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-// const TO_SMS = process.env.PHONE_NUMBER;
+const CancellationService = require('../services/celebration/cancellationService');
 
 // Service layer for user/celebration logic
 const {
-  sendSMS,
   getUsersInDistrict,
   getUsersWithActiveCelebration,
   cancelCelebrationsForCandidate,
+  syncCandidates,
 } = require('../services');
-const { filterUnsubscribed } = require('../controller/comms');
-const { postToSocial } = require('../services/utils');
-const { EMAIL_TOPICS } = require('../constants');
-const {
-  ChallengerAppeared,
-  ChallengerReappeared,
-  ChallengerDisappeared,
-  IncumbentDroppedOut,
-} = require('../controller/comms/emails/alerts');
-const { getEmailAddress } = require('../controller/comms/addresses');
+const { emitEvent, eventDay } = require('../services/events/eventService');
 const logger = require('../services/utils/logger')(__filename);
 
 const SNAPSHOT = path.join(getSnapshotsDir(), 'challengers.snapshot.json');
@@ -126,11 +124,13 @@ const { fixPolName } = require('../services/utils/fixPolName');
 const {
   normalizeHouseDistrictKeyPart,
 } = require('../services/utils/normalizeHouseDistrict');
+const { formatRace } = require('../controller/comms/emails/alerts/formatters');
 const { diffSnapshot } = require('./snapshotManager');
 const runCheck = require('./runCheck');
 
-const FROM_ADDRESS = getEmailAddress(6);
 const PAGE_SIZE = 100;
+/** OpenFEC office codes tracked for challenger status (House, Senate). */
+const FEC_OFFICES = ['H', 'S'];
 
 /**
  * True when an FEC election_years entry refers to the configured House cycle.
@@ -147,7 +147,37 @@ function fecElectionYearMatches(y, year) {
 }
 
 /**
- * House role fields for operational diagnostics (no personal names).
+ * Race key for a Pol role: `${state}-${district}` for the House (district
+ * normalized as in FEC rows), `${state}-S` for the statewide Senate race.
+ * @param {Object|null|undefined} role
+ * @returns {string|null} null when state or House district is unusable
+ */
+function raceKeyForRole(role) {
+  const st = String(role?.state || '')
+    .trim()
+    .toUpperCase();
+  if (!st) return null;
+  if (role.chamber === 'Senate') return `${st}-S`;
+  const part = normalizeHouseDistrictKeyPart(role.district, st);
+  return part ? `${st}-${part}` : null;
+}
+
+/**
+ * State, district and chamber of a Pol role for alerts. Senate roles have no
+ * district; House roles need one.
+ * @param {Object|null|undefined} role
+ * @returns {{ state: string, district: string, chamber: string } | null}
+ */
+function raceOf(role) {
+  const { state, district, chamber } = role || {};
+  if (!state) return null;
+  if (chamber === 'Senate') return { state, district: '', chamber };
+  if (!district) return null;
+  return { state, district, chamber: chamber || 'House' };
+}
+
+/**
+ * Role fields for operational diagnostics (no personal names).
  * @param {Object|null|undefined} role
  * @returns {Object|null}
  */
@@ -204,16 +234,16 @@ function loadSnapshot() {
 }
 
 /**
- * Builds OpenFEC /candidates/ query URL for House, filtered by incumbent_challenge
- * types (I incumbents, C/O challengers and open-seat).
- * @param {{ page: number, challengeTypes: string[] }} opts
+ * Builds OpenFEC /candidates/ query URL for one office, filtered by
+ * incumbent_challenge types (I incumbents, C/O challengers and open-seat).
+ * @param {{ page: number, challengeTypes: string[], office: 'H'|'S' }} opts
  * @returns {string} Full URL without credentials
  */
-function getFecUrl({ page, challengeTypes }) {
+function getFecUrl({ page, challengeTypes, office }) {
   const base = process.env.FEC_API_CANDIDATES_ENDPOINT;
   const query = new URLSearchParams({
     page,
-    office: 'H',
+    office,
     sort: 'name',
     per_page: PAGE_SIZE,
     candidate_status: 'C',
@@ -227,7 +257,8 @@ function getFecUrl({ page, challengeTypes }) {
 }
 
 /**
- * All running House incumbent FEC candidate_ids for ELECTION_YEAR (paginated).
+ * All running House and Senate incumbent FEC candidate_ids for ELECTION_YEAR
+ * (paginated per office).
  * @returns {Promise<string[]>}
  */
 async function fetchIncumbents() {
@@ -238,22 +269,24 @@ async function fetchIncumbents() {
   }
 
   const ids = [];
-  let page = 1;
-  while (true) {
-    const url = getFecUrl({ page, challengeTypes: ['I'] });
-    const { data } = await axios.get(url, {
-      headers: { 'X-Api-Key': process.env.FEC_API_KEY },
-    });
-    ids.push(...data.results.map((c) => c.candidate_id));
-    if (page >= data.pagination.pages) break;
-    page++;
+  for (const office of FEC_OFFICES) {
+    let page = 1;
+    while (true) {
+      const url = getFecUrl({ page, challengeTypes: ['I'], office });
+      const { data } = await axios.get(url, {
+        headers: { 'X-Api-Key': process.env.FEC_API_KEY },
+      });
+      ids.push(...data.results.map((c) => c.candidate_id));
+      if (page >= data.pagination.pages) break;
+      page++;
+    }
   }
   return ids;
 }
 
 /**
- * House challenger (and open-seat) rows from FEC for ELECTION_YEAR; used only
- * to derive which state-districts have opposition (paginated).
+ * House and Senate challenger (and open-seat) rows from FEC for ELECTION_YEAR;
+ * used only to derive which races have opposition (paginated per office).
  * @returns {Promise<Object[]>} Raw FEC result objects
  */
 async function fetchChallengers() {
@@ -269,51 +302,65 @@ async function fetchChallengers() {
   }
 
   const challengers = [];
-  let page = 1;
-  while (true) {
-    const url = getFecUrl({ page, challengeTypes: ['C', 'O'] });
-    const { data } = await axios.get(url, {
-      headers: { 'X-Api-Key': process.env.FEC_API_KEY },
-    });
-    challengers.push(...data.results);
-    if (page >= data.pagination.pages) break;
-    page++;
+  for (const office of FEC_OFFICES) {
+    let page = 1;
+    while (true) {
+      const url = getFecUrl({ page, challengeTypes: ['C', 'O'], office });
+      const { data } = await axios.get(url, {
+        headers: { 'X-Api-Key': process.env.FEC_API_KEY },
+      });
+      challengers.push(...data.results);
+      if (page >= data.pagination.pages) break;
+      page++;
+    }
   }
   return challengers;
 }
 
 /**
- * Sends one HTML email via nodemailer (alerts noreply transport).
- * @param {string} to
- * @param {string} subject
- * @param {string} html
+ * Pol and race for an FEC candidate id; logs and returns null when either
+ * is missing.
+ * @param {string} polId - FEC candidate id
+ * @returns {Promise<{ polDoc: Object, race: Object } | null>}
  */
-async function sendEmail(to, subject, html) {
-  logger.info(`Attempting to send email: subject="${subject}" to="${to}"`);
-  const mailer = nodemailer.createTransport({
-    auth: {
-      user: process.env.EMAIL_NO_REPLY_USER,
-      pass: process.env.EMAIL_NO_REPLY_PASS,
-    },
-    ...MAIL_CONFIG,
-  });
-  try {
-    const result = await mailer.sendMail({
-      from: FROM_ADDRESS,
-      to,
-      subject,
-      html,
-    });
-    logger.info(`Email sent successfully: ${result.messageId}`);
-    return result;
-  } catch (err) {
-    logger.error(`Failed to send email: ${err.message}`, {
-      to,
-      subject,
-      ...serializeErr(err),
-    });
-    throw err;
+async function findRace(polId) {
+  const polDoc = await Pol.findOne({ 'roles.fec_candidate_id': polId });
+  if (!polDoc) {
+    logger.warn(`Pol not found for ${polId}`);
+    return null;
   }
+  const race = raceOf(polDoc.roles.find((r) => r.fec_candidate_id === polId));
+  if (!race) {
+    logger.warn(`Missing state/district for ${polId}`);
+    return null;
+  }
+  return { polDoc, race };
+}
+
+/**
+ * Pol state recorded on challengers/incumbents events: the race plus the
+ * name and handles the social post links.
+ * @param {Object} polDoc - Pol document
+ * @param {Object} race - { state, district, chamber } from raceOf
+ * @returns {Object} { state, district, chamber, polName, handles }
+ */
+function polState(polDoc, race) {
+  const fullName = [polDoc.first_name, polDoc.middle_name, polDoc.last_name]
+    .filter(Boolean)
+    .join(' ');
+  return {
+    ...race,
+    polName: fixPolName(fullName || polDoc.name),
+    handles: {
+      bluesky: polDoc.bluesky_account || '',
+      twitter: polDoc.twitter_account || '',
+      youtube: polDoc.youtube_account || '',
+      facebook: polDoc.facebook_account || '',
+      mastodon: polDoc.mastodon_account || '',
+      truth: polDoc.truth_social_account || '',
+      instagram: polDoc.instagram_account || '',
+    },
+  };
 }
 
 module.exports = async function challengersWatcher() {
@@ -338,7 +385,25 @@ module.exports = async function challengersWatcher() {
       throw err;
     }
 
-    // --- Competitive districts: any House district with a C/O FEC row this cycle
+    // --- Keep challengers and open seats as selectable Celebration recipients
+    if (process.env.NODE_ENV !== 'test') {
+      try {
+        const { withdrawn } = await syncCandidates(challengers, ELECTION_YEAR);
+        for (const fecId of withdrawn) {
+          const cancelled = await cancelCelebrationsForCandidate(fecId, {
+            reason: 'Candidate is no longer running',
+          });
+          logger.info(
+            `Cancelled celebrations for withdrawn ${fecId}`,
+            cancelled
+          );
+        }
+      } catch (err) {
+        logger.error('Candidate sync failed:', serializeErr(err));
+      }
+    }
+
+    // --- Competitive races: any House district or Senate state with a C/O FEC row this cycle
     let challengerRowsSkipped = 0;
     const challengerDistricts = new Set(
       challengers.flatMap((c) => {
@@ -361,6 +426,8 @@ module.exports = async function challengersWatcher() {
           challengerRowsSkipped += 1;
           return [];
         }
+        // Senate races are statewide; election_districts is just '00'
+        if (c.office === 'S') return [`${st}-S`];
         const part = normalizeHouseDistrictKeyPart(dist, st);
         if (!part) {
           challengerRowsSkipped += 1;
@@ -375,7 +442,7 @@ module.exports = async function challengersWatcher() {
       } skippedNoYearDistrictOrState=${challengerRowsSkipped}`
     );
 
-    // --- Incumbent FEC ids: district match vs challengers; roles[0] is current role
+    // --- Incumbent FEC ids: race match vs challengers; roles[0] is current role
     const finalIds = [];
     /** FEC ids where OpenFEC+Pol district matches a challenger district (any role). */
     const competitiveDistrictMatchIds = [];
@@ -401,18 +468,14 @@ module.exports = async function challengersWatcher() {
         continue;
       }
 
-      const st = String(matchRole.state || '')
-        .trim()
-        .toUpperCase();
-      const part = normalizeHouseDistrictKeyPart(matchRole.district, st);
-      if (!st || !part) {
+      const key = raceKeyForRole(matchRole);
+      if (!key) {
         incumbentSkippedDistrict += 1;
         logger.warn(
           `skipping ${incId}: missing or non-normalizable state/district on Pol role`
         );
         continue;
       }
-      const key = `${st}-${part}`;
       if (!challengerDistricts.has(key)) {
         incumbentSkippedNoDistrictMatch += 1;
         continue;
@@ -513,7 +576,7 @@ module.exports = async function challengersWatcher() {
       logger.info(`${addedIncumbents.length} incumbents added.`);
     }
 
-    // Challenger snapshot diff: who gained/lost competitive status → emails/SMS/social
+    // Challenger snapshot diff: who gained/lost competitive status → watcher events
     const { changes, removals } = diffSnapshot({
       name: 'challengers',
       current: polsArray,
@@ -540,7 +603,7 @@ module.exports = async function challengersWatcher() {
     const isBootstrapRun = snapshot.length === 0;
     if (isBootstrapRun && (added.length > 0 || removals.length > 0)) {
       logger.info(
-        `Bootstrap run: skipping challenger/incumbent emails and social posts (${added.length} added, ${removals.length} removals)`
+        `Bootstrap run: skipping challenger/incumbent events (${added.length} added, ${removals.length} removals)`
       );
     }
 
@@ -548,164 +611,38 @@ module.exports = async function challengersWatcher() {
     for (const change of added) {
       const polId = change.key;
       try {
-        const polDoc = await Pol.findOne({
-          'roles.fec_candidate_id': polId,
-        });
-        if (!polDoc) {
-          logger.warn(`Pol not found for ${polId}`);
-          continue;
-        }
-        const { state, district } =
-          polDoc.roles.find((r) => r.fec_candidate_id === polId) || {};
-        if (!state || !district) {
-          logger.warn(`Missing state/district for ${polId}`);
-          continue;
-        }
+        const found = await findRace(polId);
+        if (!found) continue;
+        const { polDoc, race } = found;
+        const { state, district, chamber } = race;
 
-        logger.info(`Processing added pol: ${polId} (${state}-${district})`);
-
-        if (!isBootstrapRun) {
-          // Social announcement for the new challenger event
-          try {
-            const polFullName = [
-              polDoc.first_name,
-              polDoc.middle_name,
-              polDoc.last_name,
-            ]
-              .filter(Boolean)
-              .join(' ');
-            const polName = fixPolName(polFullName);
-            await postToSocial({
-              eventType: 'challengers',
-              action: 'added',
-              polName: polName,
-              handles: {
-                bluesky: polDoc.bluesky_account || '',
-                twitter: polDoc.twitter_account || '',
-                youtube: polDoc.youtube_account || '',
-                facebook: polDoc.facebook_account || '',
-                mastodon: polDoc.mastodon_account || '',
-                truth: polDoc.truth_social_account || '',
-                instagram: polDoc.instagram_account || '',
-              },
-              dedupeKey: `challenger:${polId}`,
-              district: district,
-              state: state,
-            });
-            logger.info(
-              `Posted social challenger event for ${state}-${district}`
-            );
-          } catch (postErr) {
-            logger.error(
-              'Failed to post social challenger event:',
-              serializeErr(postErr)
-            );
-          }
-        }
+        logger.info(
+          `Processing added pol: ${polId} (${formatRace(state, district)})`
+        );
+        if (isBootstrapRun) continue;
 
-        // Check if this is a reappearance by looking for users who have previously made celebrations
+        // Donors with Celebrations for the pol hear it as a reappearance;
+        // otherwise everyone in the district hears of a new challenger
         const usersWithCelebrations =
           await getUsersWithActiveCelebration(polId);
-        const isReappearance = usersWithCelebrations.length > 0;
-
-        if (isReappearance) {
-          logger.info(
-            `Found ${usersWithCelebrations.length} users with celebrations for ${polId}`
-          );
-
-          if (!isBootstrapRun) {
-            // Filter out users unsubscribed from district updates
-            const subscribedUsers = await filterUnsubscribed(
-              usersWithCelebrations,
-              EMAIL_TOPICS.districtUpdates
-            );
-
-            // Notify users with celebrations
-            for (const user of subscribedUsers) {
-              const recipient = (user.email || user.username || '').trim();
-              if (!recipient) {
-                logger.warn(
-                  `Skipped email for user ${user._id} - no valid email or username`
-                );
-                continue;
-              }
-
-              try {
-                await sendEmail(
-                  recipient,
-                  'Your Representative Has a New Challenger!',
-                  ChallengerReappeared(
-                    user.first_name,
-                    state,
-                    district,
-                    polDoc.name
-                  )
-                );
-              } catch (err) {
-                logger.error(
-                  `Failed to send ChallengerReappeared email to ${recipient}:`,
-                  serializeErr(err)
-                );
-              }
-            }
-          }
-        } else if (!isBootstrapRun) {
-          // Handle new challenger appearance (existing code)
-          const districtUsers = await getUsersInDistrict({ state, district });
-          logger.info(
-            `Found ${districtUsers.length} users in district ${state}-${district}`
-          );
-
-          try {
-            await sendSMS(
-              `New challenger in ${state}-${district}. ${districtUsers.length} users notified.`
-            );
-            logger.info('Alert SMS sent');
-          } catch (err) {
-            logger.error('Failed to send SMS alert:', serializeErr(err));
-          }
-
-          if (!districtUsers.length) {
-            logger.info(
-              `No users found in ${state}-${district}, skipping notifications`
-            );
-            continue;
-          }
-
-          // Filter out users unsubscribed from district updates
-          const subscribedUsers = await filterUnsubscribed(
-            districtUsers,
-            EMAIL_TOPICS.districtUpdates
-          );
-
-          for (const user of subscribedUsers) {
-            const recipient = (user.email || user.username || '').trim();
-            if (!recipient) {
-              logger.warn(
-                `Skipped email for user ${user._id} - no valid email or username`
-              );
-              continue;
-            }
+        const reappearance = usersWithCelebrations.length > 0;
+        const users = reappearance
+          ? usersWithCelebrations
+          : await getUsersInDistrict({ state, district, chamber });
+        logger.info(
+          reappearance
+            ? `Found ${users.length} users with celebrations for ${polId}`
+            : `Found ${users.length} users in district ${formatRace(state, district)}`
+        );
 
-            try {
-              await sendEmail(
-                recipient,
-                'A New Challenger Has Appeared in Your District!',
-                ChallengerAppeared(
-                  user.first_name,
-                  state,
-                  district,
-                  polDoc.name
-                )
-              );
-            } catch (err) {
-              logger.error(
-                `Failed to send ChallengerAppeared email to ${recipient}:`,
-                serializeErr(err)
-              );
-            }
-          }
-        }
+        await emitEvent({
+          type: 'challengers',
+          action: 'added',
+          entity: { kind: 'pol', id: polId, label: polDoc.name },
+          after: polState(polDoc, race),
+          context: { reappearance, userIds: users.map((u) => u._id) },
+          dedupeKey: `challengers:added:${polId}:${eventDay()}`,
+        });
       } catch (err) {
         logger.error(`Failed notifications for ${polId}: ${err.message}`);
       }
@@ -715,91 +652,43 @@ module.exports = async function challengersWatcher() {
     for (const change of removed) {
       const polId = change.key;
       try {
-        const polDoc = await Pol.findOne({
-          'roles.fec_candidate_id': polId,
-        });
-        if (!polDoc) {
-          logger.warn(`Pol not found for ${polId}`);
-          continue;
-        }
-        const { state, district } =
-          polDoc.roles.find((r) => r.fec_candidate_id === polId) || {};
-        if (!state || !district) {
-          logger.warn(`Missing state/district for ${polId}`);
-          continue;
-        }
+        const found = await findRace(polId);
+        if (!found) continue;
+        const { polDoc, race } = found;
+        const { state, district } = race;
 
-        logger.info(`Processing removed pol: ${polId} (${state}-${district})`);
+        logger.info(
+          `Processing removed pol: ${polId} (${formatRace(state, district)})`
+        );
 
         const celebrationUsers = await getUsersWithActiveCelebration(polId);
         logger.info(
           `Found ${celebrationUsers.length} users with active celebrations for removed pol ${polId}`
         );
 
-        if (!isBootstrapRun) {
-          try {
-            await sendSMS(
-              `Challenger left race in ${state}-${district}. ${celebrationUsers.length} celebrations paused.`
-            );
-            logger.info('Alert SMS sent');
-          } catch (err) {
-            logger.error('Failed to send SMS alert:', serializeErr(err));
-          }
-        }
+        if (celebrationUsers.length) {
+          const cancelled = await cancelCelebrationsForCandidate(polId);
+          logger.info(`Cancelled celebrations for ${polId}`, cancelled);
 
-        if (!celebrationUsers.length) {
-          logger.info(
-            `No active celebrations found for ${polId}, skipping notifications`
+          await Celebration.updateMany(
+            {
+              FEC_id: polId,
+              idempotencyKey: { $not: /^seed:/ },
+            },
+            { $set: { paused: true } }
           );
-          continue;
+          logger.info(`Paused celebrations for ${polId}`);
         }
 
-        await cancelCelebrationsForCandidate(polId);
-        logger.info(`Cancelled celebrations for ${polId}`);
-
-        await Celebration.updateMany(
-          {
-            'donee.roles.fec_candidate_id': polId,
-            idempotencyKey: { $not: /^seed:/ },
-          },
-          { $set: { paused: true } }
-        );
-        logger.info(`Paused celebrations for ${polId}`);
-
         if (!isBootstrapRun) {
-          const subscribedUsers = await filterUnsubscribed(
-            celebrationUsers,
-            EMAIL_TOPICS.districtUpdates
-          );
-
-          for (const user of subscribedUsers) {
-            const recipient = (user.email || user.username || '').trim();
-            if (!recipient) {
-              logger.warn(
-                `Skipped email for user ${user._id} - no valid email or username`
-              );
-              continue;
-            }
-
-            try {
-              const challengerEmailData = ChallengerDisappeared(
-                user.first_name,
-                state,
-                district,
-                polDoc.name
-              );
-              await sendEmail(
-                recipient,
-                challengerEmailData[1], // subject
-                challengerEmailData[2] // html
-              );
-            } catch (err) {
-              logger.error(
-                `Failed to send ChallengerDisappeared email to ${recipient}:`,
-                serializeErr(err)
-              );
-            }
-          }
+          await emitEvent({
+            type: 'challengers',
+            action: 'removed',
+            entity: { kind: 'pol', id: polId, label: polDoc.name },
+            before: polState(polDoc, race),
+            context: { userIds: celebrationUsers.map((u) => u._id) },
+            dedupeKey: `challengers:removed:${polId}:${eventDay()}`,
+          });
         }
       } catch (err) {
         logger.error(`Failed cleanup for ${polId}: ${err.message}`);
@@ -819,93 +708,28 @@ module.exports = async function challengersWatcher() {
       }
 
       try {
-        const polDoc = await Pol.findOne({
-          'roles.fec_candidate_id': polId,
-        });
-        if (!polDoc) {
-          logger.warn(`Pol not found for ${polId}`);
-          continue;
-        }
-        const { state, district } =
-          polDoc.roles.find((r) => r.fec_candidate_id === polId) || {};
-        if (!state || !district) {
-          logger.warn(`Missing state/district for ${polId}`);
-          continue;
-        }
+        const found = await findRace(polId);
+        if (!found) continue;
+        const { polDoc, race } = found;
+        const { state, district } = race;
 
         logger.info(
-          `Processing incumbent dropout: ${polId} (${state}-${district})`
+          `Processing incumbent dropout: ${polId} (${formatRace(state, district)})`
         );
 
-        if (!isBootstrapRun) {
-          // Social announcement for incumbent dropout (incumbent removed from race)
-          try {
-            const polFullName = [
-              polDoc.first_name,
-              polDoc.middle_name,
-              polDoc.last_name,
-            ]
-              .filter(Boolean)
-              .join(' ');
-            const polName = fixPolName(polFullName || polDoc.name);
-            await postToSocial({
-              polName,
-              eventType: 'incumbents',
-              action: 'removed',
-              handles: {
-                bluesky: polDoc.bluesky_account || '',
-                twitter: polDoc.twitter_account || '',
-                youtube: polDoc.youtube_account || '',
-                facebook: polDoc.facebook_account || '',
-                mastodon: polDoc.mastodon_account || '',
-                truth: polDoc.truth_social_account || '',
-                instagram: polDoc.instagram_account || '',
-              },
-              dedupeKey: `incumbent_dropout:${polId}`,
-              district,
-              state,
-            });
-            logger.info(
-              `Posted social incumbents event (removed) for ${state}-${district}`
-            );
-          } catch (postErr) {
-            logger.error(
-              'Failed to post social incumbents event:',
-              serializeErr(postErr)
-            );
-          }
-        }
-
         // Find users with active Celebrations for this incumbent
         const celebrationUsers = await getUsersWithActiveCelebration(polId);
         logger.info(
           `Found ${celebrationUsers.length} users with active celebrations for dropped-out incumbent ${polId}`
         );
 
-        if (!isBootstrapRun) {
-          try {
-            await sendSMS(
-              `Incumbent dropped out in ${state}-${district}. ${celebrationUsers.length} celebrations defuncted.`
-            );
-            logger.info('Alert SMS sent');
-          } catch (err) {
-            logger.error('Failed to send SMS alert:', serializeErr(err));
-          }
-        }
-
-        if (!celebrationUsers.length) {
-          logger.info(
-            `No active celebrations found for ${polId}, skipping processing`
-          );
-          continue;
-        }
-
         // Process each user's Celebrations
         for (const user of celebrationUsers) {
           try {
             // Find active Celebrations for this user and incumbent
+            // Only pledges to the incumbent; candidates in the race keep theirs
             const activeCelebrations = await Celebration.find({
-              'donee.roles.fec_candidate_id': polId,
+              FEC_id: polId,
               donatedBy: user._id,
               resolved: false,
               defunct: false,
@@ -920,19 +744,15 @@ module.exports = async function challengersWatcher() {
             // Convert each Celebration to defunct
             for (const celebration of activeCelebrations) {
               try {
-                // Make Celebration defunct
-                await StatusService.makeDefunct(
+                // Make Celebration defunct and release its payment intent
+                await CancellationService.makeDefunctAndCancel(
                   celebration,
                   'Incumbent is no longer seeking re-election',
                   {},
                   {
-                    triggeredBy: 'incumbent_dropout',
+                    triggeredBy: 'system',
+                    triggeredById: polId,
                     triggeredByName: 'Incumbent Dropout',
-                    metadata: {
-                      incumbent_id: polId,
-                      state,
-                      district,
-                    },
                   },
                   Celebration
                 );
@@ -956,39 +776,14 @@ module.exports = async function challengersWatcher() {
         }
 
         if (!isBootstrapRun) {
-          const subscribedUsers = await filterUnsubscribed(
-            celebrationUsers,
-            EMAIL_TOPICS.districtUpdates
-          );
-
-          for (const user of subscribedUsers) {
-            const recipient = (user.email || user.username || '').trim();
-            if (!recipient) {
-              logger.warn(
-                `Skipped email for user ${user._id} - no valid email or username`
-              );
-              continue;
-            }
-
-            try {
-              const emailData = IncumbentDroppedOut(
-                user.first_name || user.firstName,
-                state,
-                district,
-                polDoc.name
-              );
-              await sendEmail(
-                recipient,
-                emailData[1], // subject
-                emailData[2] // html
-              );
-            } catch (err) {
-              logger.error(
-                `Failed to send IncumbentDroppedOut email to ${recipient}:`,
-                serializeErr(err)
-              );
-            }
-          }
+          await emitEvent({
+            type: 'incumbents',
+            action: 'removed',
+            entity: { kind: 'pol', id: polId, label: polDoc.name },
+            before: polState(polDoc, race),
+            context: { userIds: celebrationUsers.map((u) => u._id) },
+            dedupeKey: `incumbents:removed:${polId}:${eventDay()}`,
+          });
         }
       } catch (err) {
         logger.error(
@@ -997,66 +792,26 @@ module.exports = async function challengersWatcher() {
       }
     }
 
-    // FEC says they are filing as incumbent this cycle; optional social ping
+    // FEC says they are filing as incumbent this cycle; announced on social
     for (const change of addedIncumbents) {
       const polId = change.key;
       try {
-        const polDoc = await Pol.findOne({
-          'roles.fec_candidate_id': polId,
-        });
-        if (!polDoc) {
-          logger.warn(`Pol not found for newly added incumbent ${polId}`);
-          continue;
-        }
-        const { state, district } =
-          polDoc.roles.find((r) => r.fec_candidate_id === polId) || {};
-        if (!state || !district) {
-          logger.warn(
-            `Missing state/district for newly added incumbent ${polId}`
-          );
-          continue;
-        }
+        const found = await findRace(polId);
+        if (!found) continue;
+        const { polDoc, race } = found;
 
         logger.info(
-          `Processing newly added incumbent: ${polId} (${state}-${district})`
+          `Processing newly added incumbent: ${polId} (${formatRace(race.state, race.district)})`
         );
 
         if (!isBootstrapRun) {
-          try {
-            const polFullName = [
-              polDoc.first_name,
-              polDoc.middle_name,
-              polDoc.last_name,
-            ]
-              .filter(Boolean)
-              .join(' ');
-            const polName = fixPolName(polFullName || polDoc.name);
-            await postToSocial({
-              polName,
-              eventType: 'incumbents',
-              action: 'added',
-              handles: {
-                bluesky: polDoc.bluesky_account || '',
-                twitter: polDoc.twitter_account || '',
-                youtube: polDoc.youtube_account || '',
-                facebook: polDoc.facebook_account || '',
-                mastodon: polDoc.mastodon_account || '',
-                truth: polDoc.truth_social_account || '',
-                instagram: polDoc.instagram_account || '',
-              },
-              dedupeKey: `incumbent:${polId}`,
-              district,
-              state,
-            });
-            logger.info(
-              `Posted social incumbents event (added) for ${state}-${district}`
-            );
-          } catch (postErr) {
-            logger.error(
-              'Failed to post social incumbents added event:',
-              serializeErr(postErr)
-            );
-          }
+          await emitEvent({
+            type: 'incumbents',
+            action: 'added',
+            entity: { kind: 'pol', id: polId, label: polDoc.name },
+            after: polState(polDoc, race),
+            dedupeKey: `incumbents:added:${polId}:${eventDay()}`,
+          });
         }
       } catch (err) {
         logger.error(
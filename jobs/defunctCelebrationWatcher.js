@@ -41,10 +41,14 @@
  * - Gives users advance notice
  * - Helps users understand what's happening
  *
+ * DRY RUN
+ * - { dryRun: true } reports the pending action and the number of active
+ *   Celebrations without converting or emailing
+ *
  * ERROR HANDLING
- * - Does not throw errors (allows job to continue)
- * - Logs errors for monitoring
- * - Job continues running even if one execution fails
+ * - Logs errors for monitoring, then rethrows so the job runner records the
+ *   run as failed
+ * - Other jobs keep their own schedules, so one failed run stops nothing else
  *
  * DEPENDENCIES
  * - services/congress/CongressionalSessionService: Session status checking
@@ -59,30 +63,39 @@
  * @requires ../models/Celebration
  * @requires ../models/User
  * @requires ../services/utils/logger
- * @requires ../services/utils (postToSocial for session_end webhook)
+ * @requires ../services/events/eventService (session_end event)
  */
 
 const { CongressionalSessionService } = require('../services/congress');
 const { DefunctCelebrationService } = require('../services/celebration');
 const { Celebration, User } = require('../models');
 const logger = require('../services/utils/logger')(__filename);
-const { postToSocial } = require('../services/utils');
-module.exports = async function defunctCelebrationWatcher() {
+const { emitEvent } = require('../services/events/eventService');
+module.exports = async function defunctCelebrationWatcher({
+  dryRun = false,
+} = {}) {
   logger.info('Starting defunct celebration watcher job');
 
+  let result;
   try {
     // Log current session status for monitoring
     await CongressionalSessionService.logSessionStatus();
 
     // Check if any action is needed and execute if so
-    const result = await DefunctCelebrationService.checkAndConvertIfNeeded(
+    result = await DefunctCelebrationService.checkAndConvertIfNeeded(
       Celebration,
-      User
+      User,
+      { dryRun }
     );
 
     // Log the result
     if (result.success) {
-      if (result.action === 'none') {
+      if (result.dryRun) {
+        logger.info('Dry run:', {
+          action: result.action,
+          activeCount: result.activeCount,
+        });
+      } else if (result.action === 'none') {
         logger.info('No action needed:', result.reason);
       } else if (result.convertedCount > 0) {
         logger.info('Defunct conversion completed', {
@@ -96,16 +109,23 @@ module.exports = async function defunctCelebrationWatcher() {
             congress && session
               ? `${congress}th Congress, ${session === 1 ? '1st' : '2nd'} Session`
               : 'Congressional session';
-          await postToSocial({
-            eventType: 'session_end',
-            dedupeKey: `session_end:${congress}:${session}:${Date.now()}`,
-            sessionLabel,
-            convertedCount: result.convertedCount,
+          await emitEvent({
+            type: 'session_end',
+            action: 'ended',
+            entity: {
+              kind: 'session',
+              id: `${congress}-${session}`,
+              label: sessionLabel,
+            },
+            context: {
+              convertedCount: result.convertedCount,
+              usersNotified: result.usersNotified,
+            },
+            dedupeKey: `session_end:${congress}:${session}`,
           });
-          logger.info('Posted social session_end event');
-        } catch (postErr) {
-          logger.error('Failed to post social session_end event:', {
-            message: postErr.message,
+        } catch (eventErr) {
+          logger.error('Failed to record session_end event:', {
+            message: eventErr.message,
           });
         }
       } else if (result.emailsSent > 0) {
@@ -119,12 +139,12 @@ module.exports = async function defunctCelebrationWatcher() {
     }
   } catch (error) {
     logger.error('Error in defunct celebration watcher:', error);
-
-    // Don't throw the error to prevent job failure
-    // The job should continue running even if one execution fails
+    throw error;
   }
 
   logger.info('Defunct celebration watcher job completed');
+  const { sessionInfo, ...summary } = result;
+  return summary;
 };
 
 /**
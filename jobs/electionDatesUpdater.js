@@ -21,7 +21,8 @@
  * CHANGE DETECTION
  * - Detects changes in election dates
  * - Tracks which states had date changes
- * - Triggers notification service for affected users
+ * - Records an election_dates watcher event (services/events), which
+ *   notifies affected users per state and posts to social
  *
  * FALLBACK HANDLING
  * - Uses existing snapshot if API unavailable
@@ -49,7 +50,7 @@
  * - path: Path manipulation
  * - axios: HTTP client for OpenFEC API
  * - constants/FEC: FEC API configuration
- * - services/congress/electionDateNotificationService: Notification service
+ * - services/events/eventService: Watcher events and their notifications
  * - controller/congress: Election cycle calculations
  * - services/utils/logger: Logging
  * - constants/paths: Snapshot directory paths
@@ -59,7 +60,7 @@
  * @requires path
  * @requires axios
  * @requires ../constants
- * @requires ../services/congress
+ * @requires ../services/events/eventService
  * @requires ../controller/congress
  * @requires ../services/utils/logger
  * @requires ../constants/paths
@@ -69,10 +70,9 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { FEC } = require('../constants');
-const { ...electionDateNotificationService } = require('../services/congress');
 const { cycle: computeCycleDate } = require('../controller/congress');
 const logger = require('../services/utils/logger')(__filename);
-const { postToSocial } = require('../services/utils');
+const { emitEvent, eventDay } = require('../services/events/eventService');
 
 const { getSnapshotsDir } = require('../constants/paths');
 
@@ -573,50 +573,35 @@ async function saveElectionDatesToSnapshot(currentYear, currentDates) {
       changes.forEach((change) => logger.info(change));
     }
 
-    // Send notifications for states with changes
+    // Notify affected users and post to social via a watcher event
     if (statesWithChanges.length > 0) {
       logger.info(
-        `Sending notifications for ${statesWithChanges.length} states with changes`
+        `Recording election_dates event for ${statesWithChanges.length} states with changes`
       );
-
-      const notificationResults = [];
-      for (const change of statesWithChanges) {
-        try {
-          const result =
-            await electionDateNotificationService.handleElectionDateChange(
-              change.state,
-              change.oldDates,
-              change.newDates
-            );
-          notificationResults.push(result);
-        } catch (error) {
-          logger.error(
-            `Failed to send notifications for ${change.state}:`,
-            error
-          );
-        }
-      }
-
-      // Log notification summary
-      const totalEmailsSent = notificationResults.reduce(
-        (sum, result) => sum + result.totalEmailsSent,
-        0
-      );
-      logger.info(
-        `Election date change notifications completed: ${totalEmailsSent} emails sent across ${notificationResults.length} states`
-      );
-
       try {
-        await postToSocial({
-          eventType: 'election_dates',
-          dedupeKey: `election_dates:${currentYear}:${Date.now()}`,
-          states: statesWithChanges.map((c) => c.state),
-          changeSummary: changes,
+        await emitEvent({
+          type: 'election_dates',
+          action: 'updated',
+          entity: {
+            kind: 'cycle',
+            id: String(currentYear),
+            label: `${currentYear} election dates`,
+          },
+          before: Object.fromEntries(
+            statesWithChanges.map((c) => [c.state, c.oldDates])
+          ),
+          after: Object.fromEntries(
+            statesWithChanges.map((c) => [c.state, c.newDates])
+          ),
+          context: {
+            states: statesWithChanges.map((c) => c.state),
+            changeSummary: changes,
+          },
+          dedupeKey: `election_dates:${currentYear}:${eventDay()}`,
         });
-        logger.info('Posted social election_dates event');
-      } catch (postErr) {
-        logger.error('Failed to post social election_dates event:', {
-          message: postErr.message,
+      } catch (eventErr) {
+        logger.error('Failed to record election_dates event:', {
+          message: eventErr.message,
         });
       }
     }
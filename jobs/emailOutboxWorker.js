@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Email Outbox Worker
+ *
+ * Sends queued messages from the email outbox (services/comms/outboxService)
+ * on EMAIL.OUTBOX.POLL_SCHEDULE. Failed messages are retried with backoff on
+ * later runs and dead-lettered after EMAIL.OUTBOX.MAX_ATTEMPTS.
+ *
+ * Scheduled by lifecycle.startBackgroundJobs whenever the server runs outside
+ * tests, not only with START_WATCHERS, since request handlers (receipts)
+ * enqueue mail too.
+ *
+ * @module jobs/emailOutboxWorker
+ * @requires node-cron
+ * @requires ../constants
+ * @requires ../services/comms/outboxService
+ * @requires ../services/utils/logger
+ */
+
+const cron = require('node-cron');
+const { EMAIL } = require('../constants');
+const { processOutbox } = require('../services/comms/outboxService');
+const logger = require('../services/utils/logger')(__filename);
+
+let isRunning = false;
+
+/**
+ * Runs one pass over the outbox
+ * @returns {Promise<Object|null>} Run summary, or null if a run was in progress
+ */
+async function emailOutboxWorker() {
+  if (isRunning) {
+    logger.warn('emailOutboxWorker still running - skipping this tick');
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const summary = await processOutbox();
+    if (summary.claimed) {
+      logger.info(
+        `emailOutboxWorker: sent ${summary.sent}, retrying ${summary.retried}, dead-lettered ${summary.dead}`
+      );
+    }
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Schedule the worker on EMAIL.OUTBOX.POLL_SCHEDULE (Eastern Time)
+ */
+function scheduleEmailOutboxWorker() {
+  logger.info(`Scheduling emailOutboxWorker (${EMAIL.OUTBOX.POLL_SCHEDULE})`);
+
+  cron.schedule(
+    EMAIL.OUTBOX.POLL_SCHEDULE,
+    async () => {
+      try {
+        await emailOutboxWorker();
+      } catch (error) {
+        logger.error('emailOutboxWorker failed:', error.message);
+      }
+    },
+    {
+      timezone: 'America/New_York',
+      scheduled: true,
+    }
+  );
+}
+
+module.exports = {
+  emailOutboxWorker,
+  scheduleEmailOutboxWorker,
+};
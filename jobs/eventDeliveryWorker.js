@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Watcher Event Delivery Worker
+ *
+ * Retries watcher event deliveries (services/events/eventService) on
+ * JOBS.EVENTS.RETRY_SCHEDULE: subscribers that failed, with backoff, and
+ * those left pending by a process that died while fanning an event out.
+ * Deliveries are dead-lettered after JOBS.EVENTS.MAX_ATTEMPTS.
+ *
+ * Scheduled by lifecycle alongside the email outbox and partner webhook
+ * workers, not only with START_WATCHERS, since a manual job run from the
+ * admin API emits events too.
+ *
+ * @module jobs/eventDeliveryWorker
+ * @requires node-cron
+ * @requires ../constants
+ * @requires ../services/events/eventService
+ * @requires ../services/utils/logger
+ */
+
+const cron = require('node-cron');
+const { JOBS } = require('../constants');
+const { retryDeliveries } = require('../services/events/eventService');
+const logger = require('../services/utils/logger')(__filename);
+
+let isRunning = false;
+
+/**
+ * Runs one pass over the events with deliveries to retry
+ * @returns {Promise<Object|null>} Run summary, or null if a run was in progress
+ */
+async function eventDeliveryWorker() {
+  if (isRunning) {
+    logger.warn('eventDeliveryWorker still running - skipping this tick');
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const summary = await retryDeliveries();
+    if (summary.claimed) {
+      logger.info(
+        `eventDeliveryWorker: ${summary.claimed} events, sent ${summary.sent}, retrying ${summary.retried}, dead-lettered ${summary.dead}`
+      );
+    }
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Schedule the worker on JOBS.EVENTS.RETRY_SCHEDULE (Eastern Time)
+ */
+function scheduleEventDeliveryWorker() {
+  logger.info(`Scheduling eventDeliveryWorker (${JOBS.EVENTS.RETRY_SCHEDULE})`);
+
+  cron.schedule(
+    JOBS.EVENTS.RETRY_SCHEDULE,
+    async () => {
+      try {
+        await eventDeliveryWorker();
+      } catch (error) {
+        logger.error('eventDeliveryWorker failed:', error.message);
+      }
+    },
+    {
+      timezone: 'America/New_York',
+      scheduled: true,
+    }
+  );
+}
+
+module.exports = {
+  eventDeliveryWorker,
+  scheduleEventDeliveryWorker,
+};
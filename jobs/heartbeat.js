@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Worker Heartbeat
+ *
+ * The standalone worker (worker.js) records a heartbeat in WorkerHeartbeat
+ * every JOBS.WORKER.HEARTBEAT_MS; the web tier's /api/health reads them back
+ * so a stopped or wedged worker shows up in monitoring.
+ *
+ * KEY FUNCTIONS
+ *
+ * startHeartbeat()
+ * - Writes one heartbeat now and on an interval; returns { stop }, which
+ *   clears the interval and removes this worker's document
+ *
+ * getWorkerStatus()
+ * - 'ok' if any worker beat within JOBS.WORKER.STALE_MS, 'stale' if the
+ *   freshest beat is older, 'missing' if there is none; with each worker's
+ *   last beat and running jobs
+ *
+ * @module jobs/heartbeat
+ * @requires ../constants
+ * @requires ../models
+ * @requires ../services/utils/logger
+ * @requires ./jobRunner
+ */
+
+const { JOBS } = require('../constants');
+const { WorkerHeartbeat } = require('../models');
+const logger = require('../services/utils/logger')(__filename);
+const { HOST, runningJobs } = require('./jobRunner');
+
+/**
+ * Starts recording this process's heartbeat
+ * @returns {{ stop: Function }} Stops the heartbeat and removes the document
+ */
+function startHeartbeat() {
+  const startedAt = new Date();
+  const [host, pid] = HOST.split(':');
+
+  const beat = () =>
+    WorkerHeartbeat.updateOne(
+      { _id: HOST },
+      {
+        $set: {
+          host,
+          pid: Number(pid),
+          started_at: startedAt,
+          beat_at: new Date(),
+          running: runningJobs(),
+          version: process.env.npm_package_version || '1.0.0',
+        },
+      },
+      { upsert: true }
+    ).catch((err) => logger.error('Heartbeat failed:', err.message));
+
+  beat();
+  const timer = setInterval(beat, JOBS.WORKER.HEARTBEAT_MS);
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      await WorkerHeartbeat.deleteOne({ _id: HOST }).catch((err) =>
+        logger.error('Heartbeat removal failed:', err.message)
+      );
+    },
+  };
+}
+
+/**
+ * Reports on the worker processes' heartbeats
+ * @returns {Promise<Object>} { status, workers: [{ id, beatAt, ageSeconds, running }] }
+ */
+async function getWorkerStatus() {
+  const now = Date.now();
+  const beats = await WorkerHeartbeat.find().sort({ beat_at: -1 }).lean();
+  const workers = beats.map((b) => ({
+    id: b._id,
+    startedAt: b.started_at,
+    beatAt: b.beat_at,
+    ageSeconds: Math.round((now - b.beat_at.getTime()) / 1000),
+    running: b.running,
+    version: b.version,
+  }));
+
+  const status = !workers.length
+    ? 'missing'
+    : now - beats[0].beat_at.getTime() <= JOBS.WORKER.STALE_MS
+      ? 'ok'
+      : 'stale';
+
+  return { status, workers };
+}
+
+module.exports = {
+  startHeartbeat,
+  getWorkerStatus,
+};
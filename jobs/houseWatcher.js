@@ -1,16 +1,16 @@
 /**
- * @fileoverview House Membership Watcher
+ * @fileoverview Congressional Membership Watcher (House and Senate)
  *
- * This background job monitors changes in House of Representatives membership
- * from the Congress.gov API and OpenFEC API. It automatically adds new
- * politicians to the database, updates has_stakes flags based on competitive
- * race status, and sends email/SMS alerts about membership changes.
+ * This background job monitors changes in House of Representatives and Senate
+ * membership from the Congress.gov API and OpenFEC API. It automatically adds
+ * new politicians to the database, updates has_stakes flags based on
+ * competitive race status, and records membership changes as watcher events.
  *
  * KEY FEATURES
  *
  * MEMBERSHIP MONITORING
- * - Fetches current House members from Congress.gov API
- * - Compares with previous snapshot to detect changes
+ * - Fetches current members of both chambers from Congress.gov API
+ * - Compares each chamber with its previous snapshot to detect changes
  * - Adds new members to database automatically
  * - Updates existing member records
  *
@@ -28,20 +28,34 @@
  * - Rate limiting to prevent API abuse
  * - Handles API errors gracefully
  *
- * ALERT SYSTEM
- * - Sends email alerts for membership, candidate and election changes
- * - Optional SMS alerts (commented out, not yet implemented)
- * - Notifies administrators of changes
+ * WATCHER EVENTS (services/events)
+ * - roster_change: One per chamber and run with changes; staff email and
+ *   text. A bootstrap run records one short 'bootstrap' event instead
+ * - house_membership / senate_membership: One per member added or removed;
+ *   social webhook post. Not recorded on bootstrap runs
+ * - roster_integrity: Integrity check problems in the pols collection; staff
+ *   email
  *
  * BUSINESS LOGIC
  *
  * SNAPSHOT SYSTEM
- * - Stores previous House membership in snapshot file
+ * - Stores previous membership per chamber (house.snapshot.json,
+ *   senate.snapshot.json)
  * - Compares current vs previous to detect changes
  * - Saves new snapshot after processing
+ * - A member who moves between chambers is announced as joining the new
+ *   chamber only, not as leaving the old one
+ *
+ * SENATE ROLES
+ * - Senators are statewide: `district` is empty and `ocd_id` is the
+ *   state-only division (`ocd-division/country:us/state:xx`)
+ * - FEC ids come from office `S` candidates for the state; a senator is not
+ *   necessarily up this cycle, so the Senate search is not limited to
+ *   ELECTION_YEAR
  *
  * FEC CACHE SYSTEM
- * - In-memory Map cache: `${state}-${ELECTION_YEAR}` → [candidates]
+ * - In-memory Map cache: `${state}-${ELECTION_YEAR}` → [House candidates],
+ *   `${state}-S` → [Senate candidates]
  * - Persisted to disk for durability
  * - Loaded on startup, saved after updates
  * - Reduces redundant API calls
@@ -55,12 +69,10 @@
  * - fs: File system operations
  * - path: Path manipulation
  * - axios: HTTP client for API calls
- * - nodemailer: Email sending
  * - models/Pol: Politician model
- * - services/utils: sendSMS, fixPolName, DockingManager
- * - services/utils/socialPoster: Social media webhook automation
+ * - services/utils: fixPolName, DockingManager
+ * - services/events/eventService: Watcher events and their notifications
  * - controller/congress/config: Session configuration
- * - controller/comms/sendEmail: Email configuration
  * - jobs/runCheck: Database connection wrapper
  * - jobs/snapshotManager: Snapshot diffing utilities
  *
@@ -68,60 +80,54 @@
  * @requires fs
  * @requires path
  * @requires axios
- * @requires nodemailer
  * @requires ../models
  * @requires mongoose
  * @requires ../services
- * @requires ../services/utils/sendSMS
  * @requires ../services/utils/fixPolName
+ * @requires ../services/events/eventService
  * @requires ../controller/congress/config
- * @requires ../controller/comms/sendEmail
- * @requires ../services/utils/socialPoster
  * @requires ./runCheck
  * @requires ./snapshotManager
  */
 
-// Twilio for phone pushes
-// const TWILIO_SID = process.env.TWILIO_SID;
-// const TWILIO_TOKEN =  process.env.TWILIO_TOKEN;
-// const TO_SMS = process.env.TO_SMS; // "+15551234567"
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
-// const twilio = require('twilio');
 
-const nodemailer = require('nodemailer');
 require('../services/utils/db');
 const mongoose = require('mongoose');
 const { Pol } = require('../models');
 const { getSnapshotsDir } = require('../constants/paths');
 const { session } = require('../controller/congress/config');
 const {
-  // sendSMS,
   fixPolName,
   normalizeHouseDistrictKeyPart,
   resolveHouseDistrictForPolRole,
+  resolveSenateRoleForState,
   isNonVotingHouseJurisdiction,
 } = require('../services/utils');
 
 const { requireLogger } = require('../services/logger');
 
 const logger = requireLogger(__filename);
-const { CONFIG: MAIL_CONFIG } = require('../controller/comms/sendEmail');
-const { DockingManager, postToSocial } = require('../services/utils');
+const { DockingManager } = require('../services/utils');
+const { emitEvent, eventDay } = require('../services/events/eventService');
 
-const CHAMBER = 'House';
+const CHAMBERS = ['House', 'Senate'];
 const LIMIT = 250; // max allowed by API
 const CONGRESS = session(); // bump each new Congress
-const SMTP_USER = process.env.EMAIL_JONATHAN_USER;
-const SNAPSHOT = path.join(getSnapshotsDir(), 'house.snapshot.json');
+const SNAPSHOTS = {
+  House: path.join(getSnapshotsDir(), 'house.snapshot.json'),
+  Senate: path.join(getSnapshotsDir(), 'senate.snapshot.json'),
+};
 const FEC_CACHE_PATH = path.join(getSnapshotsDir(), 'house.fec-cache.json');
 const NEXT_START = require('../controller/congress').nextStart();
 const runCheck = require('./runCheck');
 const CONGRESS_API_BASE_URL = process.env.CONGRESS_API_BASE_URL;
 const ELECTION_YEAR = Number(NEXT_START.slice(-4)) - 1;
 
-// In-memory FEC cache: key = `${state}-${ELECTION_YEAR}` → [candidates]
+// In-memory FEC cache: key = `${state}-${ELECTION_YEAR}` (House) or
+// `${state}-S` (Senate) → [candidates]
 let fecCache = new Map();
 
 /**
@@ -132,20 +138,20 @@ let fecCache = new Map();
 let lastFecCallAt = 0;
 
 /**
- * Runs integrity checks on the pols collection and emails results when issues are found.
+ * Runs integrity checks on the pols collection and reports results when issues are found.
  *
- * Checks for: missing FEC candidate ID, missing district/state (House), missing OCD ID.
- * Logs counts and, when any count > 0, sends an email with per-check counts and
+ * Checks for: missing FEC candidate ID, missing district (House), missing state, missing OCD ID.
+ * Logs counts and, when any count > 0, reports per-check counts and
  * affected pol names/ids. Subject is escalated to CRITICAL when missing FEC count > 10.
  *
  * @async
  * @function runIntegrityChecks
  * @param {Object} db - Native MongoDB Db instance (e.g. mongoose.connection.db)
- * @param {Function} sendEmail - Async function receiving { subject, body }
+ * @param {Function} report - Async function receiving { subject, body, counts }
  * @param {Object} logger - Logger instance
  * @returns {Promise<void>}
  */
-async function runIntegrityChecks(db, sendEmail, logger) {
+async function runIntegrityChecks(db, report, logger) {
   try {
     const checks = {
       missingFec: {
@@ -161,7 +167,7 @@ async function runIntegrityChecks(db, sendEmail, logger) {
       },
       missingState: {
         query: {
-          'roles.0.chamber': 'House',
+          'roles.0.chamber': { $in: CHAMBERS },
           'roles.0.state': '',
         },
         label: 'Missing state',
@@ -220,9 +226,10 @@ async function runIntegrityChecks(db, sendEmail, logger) {
       subject = 'CRITICAL: FEC resolver likely broken';
     }
 
-    await sendEmail({
+    await report({
       subject,
       body: `POWERBACK integrity check detected issues:\n\n${bodyLines.join('\n')}`,
+      counts: results,
     });
   } catch (err) {
     logger.error('[integrity-check] failed', err);
@@ -257,7 +264,8 @@ async function rateLimitFec() {
  * Loads the persisted FEC cache from disk into memory.
  *
  * The cache is stored as a plain object whose keys are `${state}-${year}`
- * and values are arrays of FEC candidate records. This function converts
+ * (House) or `${state}-S` (Senate) and values are arrays of FEC candidate
+ * records. This function converts
  * that object into a Map for faster lookups.
  *
  * @function loadFecCache
@@ -304,10 +312,11 @@ function saveFecCache() {
 }
 
 /**
- * House Membership Watcher
+ * Congressional Membership Watcher
  *
- * Sets up a cron job to monitor House membership changes and automatically
- * adds new politicians to the database. Sends alerts when membership changes.
+ * Sets up a cron job to monitor House and Senate membership changes and
+ * automatically adds new politicians to the database. Records watcher
+ * events (and so alerts) when membership changes.
  *
  * Also supports a single-member test mode when invoked with:
  *   node jobs/houseWatcher.js --single BIOGUIDE_ID
@@ -340,11 +349,29 @@ module.exports = async function houseWatcher() {
   fecCache = loadFecCache();
 
   /**
-   * Fetches all current House members from Congress.gov API
+   * Current chamber of a Congress.gov member list entry, from its most recent
+   * term. List entries nest terms as `terms.item[]` with chamber names like
+   * "House of Representatives" and "Senate".
+   *
+   * @function currentChamberOf
+   * @param {Object} m - Member list entry
+   * @returns {'House'|'Senate'}
+   */
+  function currentChamberOf(m) {
+    const terms = Array.isArray(m.terms) ? m.terms : m.terms?.item || [];
+    const latest = terms.reduce(
+      (a, t) => (!a || (t.startYear ?? 0) >= (a.startYear ?? 0) ? t : a),
+      null
+    );
+    return /senate/i.test(latest?.chamber || '') ? 'Senate' : 'House';
+  }
+
+  /**
+   * Fetches all current members of Congress from Congress.gov API
    *
    * @async
    * @function fetchAllMembers
-   * @returns {Promise<string[]>} Array of bioguideId strings for all current House members
+   * @returns {Promise<{ id: string, chamber: 'House'|'Senate' }[]>} bioguideId and current chamber for every current member
    */
   async function fetchAllMembers() {
     let offset = 0;
@@ -359,11 +386,14 @@ module.exports = async function houseWatcher() {
       all.push(...batch);
       offset += LIMIT;
     }
-    return all.map((m) => m.bioguideId || m.memberId); // keep it simple
+    return all.map((m) => ({
+      id: m.bioguideId || m.memberId,
+      chamber: currentChamberOf(m),
+    }));
   }
 
   /**
-   * Fetches detailed information for a specific House member
+   * Fetches detailed information for a specific member of Congress
    *
    * @async
    * @function fetchMemberDetails
@@ -534,16 +564,92 @@ module.exports = async function houseWatcher() {
     }
   }
 
+  /**
+   * Fetches the FEC candidate ID for a sitting senator.
+   *
+   * Senate terms are six years, so a senator is usually not on the
+   * ELECTION_YEAR ballot. The state-wide office `S` search therefore omits
+   * election_year, is cached per state (`${state}-S`), and the matching row
+   * with the latest active_through wins.
+   *
+   * @async
+   * @function fetchSenateFecCandidateId
+   * @param {string} state - Two-letter state code
+   * @param {string} lastName - Politician's last name
+   * @param {string} firstName - Politician's first name
+   * @returns {Promise<string>} FEC candidate ID, or empty string if not found
+   */
+  async function fetchSenateFecCandidateId(state, lastName, firstName) {
+    try {
+      const stateKey = `${state}-S`;
+      let results = fecCache.get(stateKey);
+
+      if (!results) {
+        const base = process.env.FEC_API_CANDIDATES_ENDPOINT;
+        const params = new URLSearchParams({
+          page: 1,
+          sort: 'name',
+          office: 'S',
+          state,
+          per_page: 100,
+          candidate_status: 'C',
+        });
+
+        const url = `${base}search/?${params.toString()}`;
+        logger.info(`FEC API request for state-wide Senate candidates: ${url}`);
+
+        await rateLimitFec();
+        const { data } = await axios.get(url, {
+          headers: { 'X-Api-Key': process.env.FEC_API_KEY },
+        });
+        results = data.results || [];
+
+        // Cache state-wide results (even if empty) to avoid repeat requests
+        fecCache.set(stateKey, results);
+      }
+
+      const candidate = results
+        .filter(
+          (c) =>
+            c.state === state &&
+            matchByName((c.name || '').toUpperCase(), firstName, lastName)
+        )
+        .sort(
+          (a, b) =>
+            Number(b.active_through || 0) - Number(a.active_through || 0)
+        )[0];
+
+      if (candidate) {
+        logger.info(
+          `Found Senate FEC candidate ID ${candidate.candidate_id} for ${firstName} ${lastName} (${state})`
+        );
+        return candidate.candidate_id;
+      }
+
+      logger.warn(
+        `Name mismatch: no Senate FEC candidate matched for ${firstName} ${lastName} (${state})`
+      );
+      return '';
+    } catch (err) {
+      logger.error(
+        `Failed to fetch Senate FEC candidate ID for ${firstName} ${lastName}:`,
+        err.message
+      );
+      return '';
+    }
+  }
+
   /**
    * Shapes Congress.gov member data to match Pol model schema
    *
-   * @function shapeToHouseMember
+   * @function shapeToMember
    * @param {Object} m - Raw member data from Congress.gov API
    * @param {string} [fecCandidateId=''] - FEC candidate ID (optional)
-   * @param {{ district: string, ocd_id: string }} resolved - From resolveHouseDistrictForPolRole
+   * @param {{ district: string, ocd_id: string }} resolved - From resolveHouseDistrictForPolRole or resolveSenateRoleForState
+   * @param {'House'|'Senate'} [chamber='House'] - Chamber of the current term
    * @returns {Object} Shaped data object ready for database insertion
    */
-  function shapeToHouseMember(m, fecCandidateId = '', resolved) {
+  function shapeToMember(m, fecCandidateId = '', resolved, chamber = 'House') {
     const lastName = fixPolName(m.lastName ?? '');
     const fixedLastName = fixPolName(lastName);
 
@@ -576,7 +682,7 @@ module.exports = async function houseWatcher() {
       has_stakes: false, // Will be updated by challengersWatcher
       roles: [
         {
-          chamber: CHAMBER,
+          chamber,
           congress: CONGRESS,
           short_title: term?.shortTitle || '',
           committees:
@@ -617,40 +723,56 @@ module.exports = async function houseWatcher() {
 
       const memberData = await fetchMemberDetails(bioguideId);
 
-      // Skip if it's a Senator (we only want House members)
-      if (memberData.terms[memberData.terms.length - 1].chamber === 'Senate') {
-        logger.info(`Skipping Senator: ${bioguideId}`);
-        return null;
-      }
-
       const term = memberData.terms[memberData.terms.length - 1];
+      const chamber = term.chamber === 'Senate' ? 'Senate' : 'House';
       const state = term.stateCode.toUpperCase();
       const firstName = fixPolName(memberData.firstName ?? '');
       const lastName = fixPolName(memberData.lastName ?? '');
 
-      const resolved = resolveHouseDistrictForPolRole(term.district, state);
-      if (!resolved) {
-        logger.warn(
-          `Skipping new pol ${bioguideId}: could not resolve House district (state=${state}, rawDistrict=${term?.district})`
+      let resolved, fecCandidateId;
+      if (chamber === 'Senate') {
+        resolved = resolveSenateRoleForState(state);
+        if (!resolved) {
+          logger.warn(
+            `Skipping new senator ${bioguideId}: no Senate seat for state=${state}`
+          );
+          return null;
+        }
+
+        logger.info(
+          `Fetching Senate FEC candidate ID for ${firstName} ${lastName} in ${state}`
         );
-        return null;
-      }
+        fecCandidateId = await fetchSenateFecCandidateId(
+          state,
+          lastName,
+          firstName
+        );
+      } else {
+        resolved = resolveHouseDistrictForPolRole(term.district, state);
+        if (!resolved) {
+          logger.warn(
+            `Skipping new pol ${bioguideId}: could not resolve House district (state=${state}, rawDistrict=${term?.district})`
+          );
+          return null;
+        }
 
-      // Fetch FEC candidate ID (uses normalized district; at-large is 00)
-      logger.info(
-        `Fetching FEC candidate ID for ${firstName} ${lastName} in ${state}-${resolved.district}`
-      );
-      const fecCandidateId = await fetchFecCandidateId(
-        state,
-        resolved.district,
-        lastName,
-        firstName
-      );
+        // Fetch FEC candidate ID (uses normalized district; at-large is 00)
+        logger.info(
+          `Fetching FEC candidate ID for ${firstName} ${lastName} in ${state}-${resolved.district}`
+        );
+        fecCandidateId = await fetchFecCandidateId(
+          state,
+          resolved.district,
+          lastName,
+          firstName
+        );
+      }
 
-      const shapedData = shapeToHouseMember(
+      const shapedData = shapeToMember(
         memberData,
         fecCandidateId,
-        resolved
+        resolved,
+        chamber
       );
 
       // Upsert to DOCKING database
@@ -695,64 +817,15 @@ module.exports = async function houseWatcher() {
   }
 
   /**
-   * Sends email alert about House membership changes
-   *
-   * @async
-   * @function sendEmail
-   * @param {string} subject - Email subject line
-   * @param {string} html - HTML content of the email
-   * @returns {Promise<void>}
-   */
-  async function sendEmail(subject, html) {
-    const mailer = nodemailer.createTransport({
-      auth: {
-        user: process.env.EMAIL_NO_REPLY_USER,
-        pass: process.env.EMAIL_NO_REPLY_PASS,
-      },
-      ...MAIL_CONFIG,
-    });
-    await mailer.sendMail({
-      from: process.env.EMAIL_NO_REPLY_USER,
-      to: SMTP_USER,
-      subject,
-      html,
-    });
-  }
-
-  /**
-   * Sends SMS-like alert via email (for testing)
-   *
-   * @async
-   * @function mimicSMS
-   * @param {string} subject - Email subject line
-   * @param {string} html - HTML content of the email
-   * @returns {Promise<void>}
-   */
-  async function mimicSMS(subject, html) {
-    const mailer = nodemailer.createTransport({
-      auth: {
-        user: process.env.EMAIL_NO_REPLY_USER,
-        pass: process.env.EMAIL_NO_REPLY_PASS,
-      },
-      ...MAIL_CONFIG,
-    });
-    await mailer.sendMail({
-      from: process.env.EMAIL_NO_REPLY_USER,
-      to: `${process.env.PHONE_NUMBER.replace('.', '')}@txt.att.net`,
-      subject,
-      html,
-    });
-  }
-
-  /**
-   * Loads the previous snapshot of House member IDs from file
+   * Loads the previous snapshot of a chamber's member IDs from file
    *
    * @function loadSnapshot
+   * @param {'House'|'Senate'} chamber - Chamber whose snapshot to load
    * @returns {string[]} Array of bioguideId strings from previous snapshot
    */
-  function loadSnapshot() {
+  function loadSnapshot(chamber) {
     try {
-      const data = JSON.parse(fs.readFileSync(SNAPSHOT));
+      const data = JSON.parse(fs.readFileSync(SNAPSHOTS[chamber]));
       return Array.isArray(data) ? data : [];
     } catch {
       return [];
@@ -760,21 +833,23 @@ module.exports = async function houseWatcher() {
   }
 
   /**
-   * Saves current House member IDs to snapshot file
+   * Saves a chamber's current member IDs to its snapshot file
    *
    * @function saveSnapshot
+   * @param {'House'|'Senate'} chamber - Chamber whose snapshot to save
    * @param {string[]} ids - Array of bioguideId strings to save
    * @returns {void}
    */
-  function saveSnapshot(ids) {
+  function saveSnapshot(chamber, ids) {
     const { writeJsonAtomic } = require('../services/utils/writeJsonAtomic');
-    writeJsonAtomic(SNAPSHOT, ids);
+    writeJsonAtomic(SNAPSHOTS[chamber], ids);
   }
   /* --------------------------------------------------------------------------- */
 
   logger.info('houseWatcher booted'); // start-up heartbeat
 
-  let snapshot = loadSnapshot();
+  const snapshots = {};
+  for (const chamber of CHAMBERS) snapshots[chamber] = loadSnapshot(chamber);
 
   // If invoked in single-member test mode, add just that one pol and exit
   if (singleBioguideId) {
@@ -828,66 +903,102 @@ module.exports = async function houseWatcher() {
   }
 
   /**
-   * Posts house_membership to social webhook; no-op and logs if pol missing state/district.
+   * Builds payload for senate_membership social post from a pol document.
+   * Senators are statewide, so the payload carries no district.
+   * @param {Object} pol - Pol document with roles, name fields, and social handles
+   * @returns {{ state: string, polName: string, handles: Object } | null}
+   */
+  function buildSenateMemberSocialPayload(pol) {
+    const stateRaw = pol.roles?.[0]?.state;
+    const state =
+      typeof stateRaw === 'string' && stateRaw.trim() && stateRaw !== 'NaN'
+        ? stateRaw.trim()
+        : null;
+    if (!state) return null;
+    const fullName = [pol.first_name, pol.middle_name, pol.last_name]
+      .filter(Boolean)
+      .join(' ');
+    return {
+      state,
+      polName: fixPolName(fullName),
+      handles: {
+        bluesky: pol.bluesky_account || '',
+        twitter: pol.twitter_account || '',
+        youtube: pol.youtube_account || '',
+        facebook: pol.facebook_account || '',
+        mastodon: pol.mastodon_account || '',
+        truth: pol.truth_social_account || '',
+        instagram: pol.instagram_account || '',
+      },
+    };
+  }
+
+  /**
+   * Records a house_membership or senate_membership event (announced on the
+   * social webhook); no-op and logs if pol is missing state (or district,
+   * for the House).
    * @param {Object} pol - Pol document
-   * @param {string} dedupeKey - Dedupe key for the post
-   * @param {'added'|'removed'} action - Whether the member was added to or removed from the House; sent to webhook for branching.
+   * @param {'added'|'removed'} action - Whether the member was added to or removed from the chamber; sent to webhook for branching.
+   * @param {'House'|'Senate'} [chamber='House'] - Chamber the member joined or left
    */
-  async function postHouseMemberChange(pol, dedupeKey, action) {
-    const payload = buildHouseMemberSocialPayload(pol);
+  async function emitMemberChange(pol, action, chamber = 'House') {
+    const isSenate = chamber === 'Senate';
+    const eventType = isSenate ? 'senate_membership' : 'house_membership';
+    const payload = isSenate
+      ? buildSenateMemberSocialPayload(pol)
+      : buildHouseMemberSocialPayload(pol);
     if (!payload) {
       logger.warn(
-        `Skipping social post for ${pol?.id ?? dedupeKey}: missing state or district`
+        `Skipping ${eventType} event for ${pol.id}: missing state or district`
       );
       return;
     }
+    const state = { ...payload, chamber };
     try {
-      await postToSocial({
-        eventType: 'house_membership',
-        ...payload,
-        dedupeKey,
+      await emitEvent({
+        type: eventType,
         action,
+        entity: { kind: 'pol', id: pol.id, label: payload.polName },
+        ...(action === 'added' ? { after: state } : { before: state }),
+        dedupeKey: `${eventType}:${action}:${pol.id}:${eventDay()}`,
       });
-    } catch (postErr) {
-      logger.error('Failed to post social house_membership event:', {
-        polId: pol?.id ?? dedupeKey,
-        message: postErr.message,
+    } catch (err) {
+      logger.error(`Failed to record ${eventType} event:`, {
+        polId: pol.id,
+        message: err.message,
       });
     }
   }
 
   /**
-   * Main function that checks for House membership changes
-   *
-   * Fetches current House members, compares with previous snapshot,
-   * adds new politicians to database, and sends alerts for changes.
+   * Diffs one chamber against its snapshot, stages new members, records
+   * watcher events and saves the snapshot.
    *
    * @async
-   * @function checkMembership
+   * @function checkChamber
+   * @param {'House'|'Senate'} chamber - Chamber to check
+   * @param {string[]} newIds - Current bioguide IDs in this chamber
+   * @param {Set<string>} allIds - Current bioguide IDs in either chamber
    * @returns {Promise<void>}
    */
-  async function checkMembership() {
-    let newIds;
-    try {
-      newIds = await fetchAllMembers();
-      logger.info(`fetched ${newIds.length} records`);
-    } catch (err) {
-      logger.error('fetchAllMembers failed: ', {
-        message: err.message,
-        stack: err.stack,
-      });
-      return;
-    }
-    const oldIds = snapshot;
+  async function checkChamber(chamber, newIds, allIds) {
+    const oldIds = snapshots[chamber];
     const isBootstrapRun = oldIds.length === 0;
 
-    const { added, removed } = await diff(oldIds, newIds);
+    const diffed = await diff(oldIds, newIds);
+    const { added } = diffed;
+    // Still serving in the other chamber: a chamber move, or a legacy House
+    // snapshot that stored both chambers. Not a departure from Congress.
+    const removed = diffed.removed.filter((id) => !allIds.has(id));
     if (!added.length && !removed.length) {
-      logger.info('no changes - all quiet');
+      logger.info(`${chamber}: no changes - all quiet`);
+      if (diffed.removed.length) saveChamberSnapshot(chamber, newIds);
       return;
     }
 
-    logger.info(`changes detected  ➜  +${added.length}  -${removed.length}`);
+    logger.info(
+      `${chamber} changes detected  ➜  +${added.length}  -${removed.length}`
+    );
 
     // ADD NEW POLITICIANS TO DATABASE
     const addedPoliticians = [];
@@ -914,48 +1025,43 @@ module.exports = async function houseWatcher() {
     logger.info('3. When ready, promote to live:');
     logger.info('   node services/utils/dockingManager.js promote pols');
 
-    // SEND ALERTS (bootstrap run: one short email, no per-member social posts)
-    const politicianNames = addedPoliticians
-      .map((p) => `${p.first_name} ${p.last_name}`)
-      .join(', ');
-    const html = isBootstrapRun
-      ? `<h3>House watcher bootstrap</h3><p>Roster synced (${added.length} members). No per-member alerts or social posts this run.</p><small>${new Date().toISOString()}</small>`
-      : `
-      <h3>House roster changed</h3>
-      ${
-        added.length
-          ? `<p>✅ Joined: ${politicianNames || added.join(', ')}</p>`
-          : ''
-      }
-      ${removed.length ? `<p>❌ Left : ${removed.join(', ')}</p>` : ''}
-      <small>${new Date().toISOString()}</small>`;
-
+    // RECORD EVENTS (bootstrap run: one short roster event, no per-member events)
+    const politicianNames = addedPoliticians.map(
+      (p) => `${p.first_name} ${p.last_name}`
+    );
     try {
-      await sendEmail(
-        isBootstrapRun ? 'House watcher bootstrap' : 'House membership change',
-        html
-      );
-      logger.info('alert email sent');
+      await emitEvent({
+        type: 'roster_change',
+        action: isBootstrapRun ? 'bootstrap' : 'updated',
+        entity: { kind: 'chamber', id: chamber, label: chamber },
+        after: {
+          chamber,
+          joined: politicianNames.length ? politicianNames : added,
+          left: removed,
+        },
+        context: { memberCount: newIds.length },
+        dedupeKey: `roster_change:${chamber}:${eventDay()}:+${added.length}-${removed.length}`,
+      });
     } catch (err) {
-      logger.error('sendEmail failed', {
+      logger.error('Failed to record roster_change event', {
         message: err.message,
         stack: err.stack,
       });
     }
 
     if (!isBootstrapRun) {
-      // Social announcement per new House member
+      // Event per new member
       for (const p of addedPoliticians) {
-        await postHouseMemberChange(p, `house_membership:${p.id}`, 'added');
+        await emitMemberChange(p, 'added', chamber);
       }
 
-      // Social announcement per departed House member
+      // Event per departed member
       for (const bioguideId of removed) {
         let p;
         try {
           p = await Pol.findOne({ id: bioguideId }).lean();
         } catch (err) {
-          logger.error('Failed to look up removed pol for social post:', {
+          logger.error('Failed to look up removed pol for event:', {
             bioguideId,
             message: err.message,
           });
@@ -963,65 +1069,86 @@ module.exports = async function houseWatcher() {
         }
         if (!p) {
           logger.warn(
-            `Skipping social post for departed ${bioguideId}: not found in Pol collection`
+            `Skipping event for departed ${bioguideId}: not found in Pol collection`
           );
           continue;
         }
-        await postHouseMemberChange(
-          p,
-          `house_membership:${bioguideId}`,
-          'removed'
-        );
+        await emitMemberChange(p, 'removed', chamber);
       }
     }
 
-    // *** TOGGLE TEST SMS
+    saveChamberSnapshot(chamber, newIds);
+  }
+
+  /**
+   * Saves a chamber snapshot and keeps the in-memory copy in step; logs
+   * instead of throwing so one chamber's failure does not stop the other.
+   *
+   * @function saveChamberSnapshot
+   * @param {'House'|'Senate'} chamber - Chamber whose snapshot to save
+   * @param {string[]} ids - Current bioguide IDs in this chamber
+   * @returns {void}
+   */
+  function saveChamberSnapshot(chamber, ids) {
     try {
-      await mimicSMS(
-        isBootstrapRun ? 'House watcher bootstrap' : 'House membership change',
-        html
-      );
-      logger.info('alert mimic SMS sent');
+      saveSnapshot(chamber, ids);
+      snapshots[chamber] = ids;
+      logger.info(`${chamber} snapshot updated`);
     } catch (err) {
-      logger.error('mimicSMS failed', {
+      logger.error(`failed to save ${chamber} snapshot: `, {
         message: err.message,
         stack: err.stack,
       });
     }
+  }
 
-    // try {
-    //   await sendSMS(
-    //     `House changed. +${added.length} / -${removed.length}.`
-    //   );
-    //   logger.info('alert SMS sent'); // success
-    // } catch (err) {
-    //   logger.error('sendSMS failed: ', err);
-    // }
-
-    // save new snapshot
+  /**
+   * Main function that checks for House and Senate membership changes
+   *
+   * Fetches current members of Congress, compares each chamber with its
+   * previous snapshot, adds new politicians to database, and records
+   * watcher events for changes.
+   *
+   * @async
+   * @function checkMembership
+   * @returns {Promise<void>}
+   */
+  async function checkMembership() {
+    let members;
     try {
-      saveSnapshot(newIds);
-      snapshot = newIds;
-      logger.info('snapshot updated');
+      members = await fetchAllMembers();
+      logger.info(`fetched ${members.length} records`);
     } catch (err) {
-      logger.error('failed to save snapshot: ', {
+      logger.error('fetchAllMembers failed: ', {
         message: err.message,
         stack: err.stack,
       });
+      return;
+    }
+
+    const allIds = new Set(members.map((m) => m.id));
+    for (const chamber of CHAMBERS) {
+      const newIds = members
+        .filter((m) => m.chamber === chamber)
+        .map((m) => m.id);
+      await checkChamber(chamber, newIds, allIds);
     }
 
     // persist FEC cache after each membership check
     saveFecCache();
 
-    // integrity checks on pols collection; email alert when issues found
+    // integrity checks on pols collection; staff alert when issues found
     const db = mongoose.connection.db;
-    const sendEmailForIntegrity = async ({ subject, body }) => {
-      const html = body
-        ? `<pre>${String(body).replace(/</g, '&lt;').replace(/>/g, '&gt;')}</pre>`
-        : '';
-      await sendEmail(subject, html);
-    };
-    await runIntegrityChecks(db, sendEmailForIntegrity, logger);
+    const reportIntegrity = ({ subject, body, counts }) =>
+      emitEvent({
+        type: 'roster_integrity',
+        action: 'detected',
+        entity: { kind: 'collection', id: 'pols', label: 'Pol roster' },
+        after: counts,
+        context: { subject, body },
+        dedupeKey: `roster_integrity:${eventDay()}`,
+      });
+    await runIntegrityChecks(db, reportIntegrity, logger);
   }
 
   return runCheck(logger, checkMembership);
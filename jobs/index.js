@@ -12,10 +12,12 @@
  * - houseWatcher: Monitors House membership changes
  * - challengersWatcher: Monitors challenger status for competitive races
  * - pfpSync: Syncs House headshot WebP files for the selectable roster
- * - checkHJRes54: Monitors H.J.Res.54 bill status
+ * - billWatcher: Monitors tracked bill status (H.J.Res.54 and others)
+ * - settlementWatcher: Charges resolved celebrations' payment intents
  * - electionDatesUpdater: Updates election dates from OpenFEC API
  * - defunctCelebrationWatcher: Converts celebrations to defunct when sessions end
  * - tipLimitReachedReset: Resets PAC tip limits annually
+ * - yearEndStatements: Emails donors their annual contribution statement
  *
  * DEPENDENCIES
  * - ./runWatchers: Main watcher orchestration function
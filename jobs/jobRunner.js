@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Background Job Runner
+ *
+ * Runs registered jobs (jobs/registry) with run history and a lease lock.
+ * Every instance may schedule every job; whichever instance takes the lease
+ * first runs it and the others skip that tick.
+ *
+ * KEY FUNCTIONS
+ *
+ * startJob(name, options)
+ * - Takes the job's lease and records a 'running' JobRun
+ * - Returns { run, finished } once the job has started, where finished
+ *   resolves with the completed JobRun; or { skipped: true, holder } when
+ *   another instance holds the lease
+ *
+ * runJob(name, options)
+ * - startJob, then waits for the run to finish
+ *
+ * runChain(name, options)
+ * - runJob, then the jobs chained after it (registry `after`), in order
+ *
+ * scheduleJobs()
+ * - Schedules every registry entry that has a cron expression; chained
+ *   entries run after their predecessor's scheduled run
+ *
+ * runStartupJobs()
+ * - Runs the weekday watchers once, in registry order, at boot
+ *
+ * listJobs()
+ * - Registry entries with their last run and current lease holder
+ *
+ * runningJobs() / drainJobs(timeoutMs)
+ * - Jobs running in this process, and waiting for them on shutdown
+ *
+ * currentRun()
+ * - { job, runId } of the run the calling code belongs to, or null outside
+ *   a job run; watcher events (services/events) record it
+ *
+ * BUSINESS LOGIC
+ *
+ * LEASE LOCK
+ * - One JobLock document per job, taken atomically only when absent or
+ *   lapsed (duplicate key = held elsewhere)
+ * - Renewed every JOBS.RENEW_MS while the job runs and released when it ends
+ * - A lease that lapses without being released (instance crashed or was
+ *   restarted) can be taken over; its JobRun is marked 'abandoned'
+ *
+ * RUN HISTORY
+ * - JobRun records trigger, dry run, host, timing, summary and error
+ * - A job that throws is recorded 'failed'; it stops nothing else
+ *
+ * CHAINS
+ * - The weekday watchers after houseWatcher read what the job before them
+ *   wrote, so they have no schedule of their own and run when that job's
+ *   scheduled run ends, however long it took
+ * - A failed run still hands on to the next job, as the old sequence did;
+ *   a run skipped because another instance holds the lease does not, since
+ *   that instance runs the rest of the chain
+ * - Manual runs run only the job asked for
+ *
+ * ERRORS
+ * - 'unknown-job': No registry entry with that name
+ * - 'dry-run-unsupported': Dry run requested for a job without one
+ *
+ * DEPENDENCIES
+ * - node-cron: Cron scheduling
+ * - models/JobRun, models/JobLock: Run history and leases
+ * - services/utils: Per-run social post caps
+ * - ./registry: Job definitions
+ *
+ * @module jobs/jobRunner
+ * @requires os
+ * @requires async_hooks
+ * @requires node-cron
+ * @requires mongoose
+ * @requires ../constants
+ * @requires ../models
+ * @requires ../services/utils
+ * @requires ../services/utils/db
+ * @requires ../services/utils/logger
+ * @requires ./registry
+ */
+
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const { JOBS } = require('../constants');
+const { JobRun, JobLock } = require('../models');
+const { resetSocialPostRunCount } = require('../services/utils');
+const { connect } = require('../services/utils/db');
+const logger = require('../services/utils/logger')(__filename);
+const { jobs, getJob } = require('./registry');
+
+const HOST = `${os.hostname()}:${process.pid}`;
+
+// Runs started by this process, by job name, until they finish
+const inFlight = new Map();
+
+// { job, runId } of the run each async call chain belongs to
+const runContext = new AsyncLocalStorage();
+
+/**
+ * Takes a job's lease if nobody holds it or the last holder's has lapsed
+ * @param {string} name - Registry name
+ * @param {Object} runId - ObjectId of the run taking the lease
+ * @returns {Promise<boolean>} True if the lease was taken
+ */
+async function acquireLease(name, runId) {
+  const now = new Date();
+  try {
+    const previous = await JobLock.findOneAndUpdate(
+      { _id: name, expires_at: { $lte: now } },
+      {
+        $set: {
+          run_id: runId,
+          holder: HOST,
+          acquired_at: now,
+          expires_at: new Date(now.getTime() + JOBS.LEASE_MS),
+        },
+      },
+      { upsert: true, new: false }
+    );
+    if (previous) {
+      logger.warn(`${name}: lease held by ${previous.holder} lapsed`);
+      await JobRun.updateOne(
+        { _id: previous.run_id, status: 'running' },
+        {
+          $set: {
+            status: 'abandoned',
+            finished_at: now,
+            error: `Lease held by ${previous.holder} lapsed`,
+          },
+        }
+      );
+    }
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Keeps a running job's lease from lapsing
+ * @param {string} name - Registry name
+ * @param {Object} runId - ObjectId of the run holding the lease
+ * @returns {Object} Interval handle
+ */
+function renewLease(name, runId) {
+  const timer = setInterval(() => {
+    JobLock.updateOne(
+      { _id: name, run_id: runId },
+      { $set: { expires_at: new Date(Date.now() + JOBS.LEASE_MS) } }
+    )
+      .then(({ matchedCount }) => {
+        if (!matchedCount) logger.warn(`${name}: lease lost while running`);
+      })
+      .catch((err) =>
+        logger.error(`${name}: lease renewal failed:`, err.message)
+      );
+  }, JOBS.RENEW_MS);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Runs the job body and records the outcome
+ * @param {string} name - Registry name
+ * @param {Object} job - Registry entry
+ * @param {Object} run - JobRun document
+ * @returns {Promise<Object>} Completed JobRun
+ */
+async function execute(name, job, run) {
+  const renewal = renewLease(name, run._id);
+  resetSocialPostRunCount();
+
+  let status = 'completed',
+    summary,
+    error;
+  try {
+    summary = await runContext.run({ job: name, runId: run._id }, () =>
+      job.run({ dryRun: run.dry_run })
+    );
+  } catch (err) {
+    status = 'failed';
+    error = err.message;
+    logger.error(`${name} failed:`, err.message);
+  } finally {
+    clearInterval(renewal);
+  }
+
+  const finishedAt = new Date();
+  try {
+    const finished = await JobRun.findByIdAndUpdate(
+      run._id,
+      {
+        $set: {
+          status,
+          summary: summary ?? undefined,
+          error,
+          finished_at: finishedAt,
+          duration_ms: finishedAt - run.started_at,
+        },
+      },
+      { new: true }
+    ).lean();
+    if (status === 'completed') {
+      logger.info(`${name} completed in ${finished.duration_ms}ms`);
+    }
+    return finished;
+  } finally {
+    await JobLock.deleteOne({ _id: name, run_id: run._id });
+  }
+}
+
+/**
+ * Starts a registered job if its lease is free
+ * @param {string} name - Registry name
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report without writing (if supported)
+ * @param {string} [options.trigger] - 'schedule' | 'manual' | 'startup'
+ * @param {string} [options.requestedBy] - Who asked for a manual run
+ * @returns {Promise<Object>} { run, finished } or { skipped, holder }
+ * @throws {Error} 'unknown-job' | 'dry-run-unsupported'
+ */
+async function startJob(
+  name,
+  { dryRun = false, trigger = 'manual', requestedBy } = {}
+) {
+  const job = getJob(name);
+  if (!job) throw new Error('unknown-job');
+  if (dryRun && !job.supportsDryRun) throw new Error('dry-run-unsupported');
+
+  if (mongoose.connection.readyState !== 1) {
+    await connect(logger);
+  }
+
+  const runId = new mongoose.Types.ObjectId();
+  if (!(await acquireLease(name, runId))) {
+    const lock = await JobLock.findById(name).lean();
+    logger.info(`${name} already running on ${lock?.holder} - skipping`);
+    return { skipped: true, holder: lock?.holder, runId: lock?.run_id };
+  }
+
+  let run;
+  try {
+    run = await JobRun.create({
+      _id: runId,
+      job: name,
+      trigger,
+      dry_run: dryRun,
+      requested_by: requestedBy,
+      host: HOST,
+    });
+  } catch (err) {
+    await JobLock.deleteOne({ _id: name, run_id: runId });
+    throw err;
+  }
+  logger.info(`${name} started (${trigger}${dryRun ? ', dry run' : ''})`);
+
+  const finished = execute(name, job, run).finally(() => inFlight.delete(name));
+  inFlight.set(name, finished);
+
+  return { run: run.toObject(), finished };
+}
+
+/**
+ * Runs a registered job to completion
+ * @param {string} name - Registry name
+ * @param {Object} [options] - See startJob
+ * @returns {Promise<Object>} Completed JobRun, or { skipped, holder }
+ */
+async function runJob(name, options) {
+  const started = await startJob(name, options);
+  return started.skipped ? started : started.finished;
+}
+
+/**
+ * Runs a registered job, then each job chained after it, one after another
+ * @param {string} name - Registry name
+ * @param {Object} [options] - See startJob
+ * @returns {Promise<Object[]>} Completed (or skipped) runs, in order
+ */
+async function runChain(name, options) {
+  const first = await runJob(name, options);
+  if (first.skipped) return [first];
+
+  const results = [first];
+  for (const [next, job] of Object.entries(jobs)) {
+    if (job.after !== name) continue;
+    try {
+      results.push(...(await runChain(next, options)));
+    } catch (err) {
+      logger.error(`${next} run after ${name} failed:`, err.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Schedules every registered job that has a cron expression (Eastern Time);
+ * the jobs chained after one run when its scheduled run ends
+ */
+function scheduleJobs() {
+  const scheduled = Object.entries(jobs).filter(([, job]) => job.schedule);
+  for (const [name, job] of scheduled) {
+    cron.schedule(
+      job.schedule,
+      () => {
+        runChain(name, { trigger: 'schedule' }).catch((err) =>
+          logger.error(`scheduled ${name} run failed:`, err.message)
+        );
+      },
+      { timezone: 'America/New_York' }
+    );
+    logger.debug(`Scheduled ${name} (${job.schedule})`);
+  }
+  logger.info(
+    `Scheduled ${scheduled.length} jobs, ${
+      Object.keys(jobs).length - scheduled.length
+    } chained`
+  );
+}
+
+/**
+ * Runs the startup jobs once, one after another
+ * @returns {Promise<Object[]>} Completed (or skipped) runs
+ */
+async function runStartupJobs() {
+  const results = [];
+  for (const [name, job] of Object.entries(jobs)) {
+    if (!job.startup) continue;
+    try {
+      results.push(await runJob(name, { trigger: 'startup' }));
+    } catch (err) {
+      logger.error(`startup ${name} run failed:`, err.message);
+    }
+  }
+  const failed = results.filter((r) => r.status === 'failed');
+  if (failed.length) {
+    logger.warn(
+      `startup jobs: ${failed.length} failed (${failed
+        .map((r) => r.job)
+        .join(', ')})`
+    );
+  }
+  return results;
+}
+
+/**
+ * Registered jobs with their last run and current lease
+ * @returns {Promise<Object[]>} { name, description, schedule, after, supportsDryRun, lastRun, runningOn }
+ */
+async function listJobs() {
+  const locks = await JobLock.find({ expires_at: { $gt: new Date() } }).lean();
+  return Promise.all(
+    Object.entries(jobs).map(async ([name, job]) => ({
+      name,
+      description: job.description,
+      schedule: job.schedule || null,
+      after: job.after || null,
+      supportsDryRun: Boolean(job.supportsDryRun),
+      lastRun: await JobRun.findOne({ job: name })
+        .sort({ started_at: -1 })
+        .lean(),
+      runningOn: locks.find((l) => l._id === name)?.holder || null,
+    }))
+  );
+}
+
+/**
+ * Names of the jobs this process is running
+ * @returns {string[]} Registry names
+ */
+const runningJobs = () => [...inFlight.keys()];
+
+/**
+ * Waits for the jobs this process is running, up to a timeout
+ * @param {number} timeoutMs - Longest wait
+ * @returns {Promise<string[]>} Jobs still running when the wait ended
+ */
+async function drainJobs(timeoutMs) {
+  if (!inFlight.size) return [];
+  logger.info(`Waiting for ${runningJobs().join(', ')} to finish`);
+  let timer;
+  await Promise.race([
+    Promise.allSettled([...inFlight.values()]),
+    new Promise((resolve) => {
+      timer = setTimeout(resolve, timeoutMs);
+    }),
+  ]);
+  clearTimeout(timer);
+  return runningJobs();
+}
+
+/**
+ * The job run the calling code is part of
+ * @returns {Object|null} { job, runId }, or null outside a job run
+ */
+const currentRun = () => runContext.getStore() || null;
+
+module.exports = {
+  HOST,
+  startJob,
+  runJob,
+  runChain,
+  scheduleJobs,
+  runStartupJobs,
+  listJobs,
+  runningJobs,
+  drainJobs,
+  currentRun,
+};
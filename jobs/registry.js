@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Background Job Registry
+ *
+ * Every scheduled background job, by name. The job runner (jobs/jobRunner)
+ * schedules each entry on its cron expression or after the job it is
+ * chained to, records each run in
+ * JobRun and holds a lease in JobLock so only one instance runs a job at a
+ * time. The admin API and scripts/run-job.js trigger entries by name.
+ *
+ * ENTRY FIELDS
+ * - description: One line for the admin API and CLI
+ * - schedule: Cron expression (America/New_York)
+ * - after: Instead of a schedule, the registry name of the job whose
+ *   scheduled run this one follows (it reads what that job wrote)
+ * - startup: Also runs once at boot when START_WATCHERS is set (the weekday
+ *   watchers, in registry order)
+ * - supportsDryRun: run({ dryRun: true }) reports what it would do without
+ *   writing, charging or emailing
+ * - run(options): One execution; resolves with summary counts, if any
+ *
+ * Job modules are required on first run so loading the registry (admin
+ * routes, CLI help) does not load every watcher and its snapshots.
+ *
+ * NOT REGISTERED
+ * - emailOutboxWorker, webhookDeliveryWorker, eventDeliveryWorker: Run
+ *   every few minutes on every instance; messages and events are claimed
+ *   atomically, so they need neither a lease nor run history
+ *
+ * @module jobs/registry
+ * @requires ../constants
+ */
+
+const { BTC, JOBS } = require('../constants');
+
+const jobs = {
+  houseWatcher: {
+    description: 'House membership changes from Congress.gov',
+    schedule: JOBS.SCHEDULES.houseWatcher,
+    startup: true,
+    run: () => require('./houseWatcher')(),
+  },
+  challengersWatcher: {
+    description: 'Challenger status in House races from OpenFEC',
+    after: 'houseWatcher',
+    startup: true,
+    run: () => require('./challengersWatcher')(),
+  },
+  pfpSync: {
+    description: 'House and Senate headshot WebPs for the selectable roster',
+    after: 'challengersWatcher',
+    startup: true,
+    supportsDryRun: true,
+    run: async ({ dryRun }) => {
+      const { runPfpSync } = require('../scripts/pfp-sync');
+      const { counts, total } = await runPfpSync({
+        manageConnection: false,
+        argv: dryRun ? ['--dry-run'] : [],
+      });
+      return { total, ...counts };
+    },
+  },
+  billWatcher: {
+    description: 'Tracked bill status; resolves Celebrations on floor votes',
+    after: 'pfpSync',
+    startup: true,
+    run: () => require('./billWatcher')(),
+  },
+  settlementWatcher: {
+    description: "Charges resolved Celebrations' payment intents",
+    after: 'billWatcher',
+    startup: true,
+    supportsDryRun: true,
+    run: ({ dryRun }) => require('./settlementWatcher')({ dryRun }),
+  },
+  electionDatesUpdater: {
+    description: 'Election dates from OpenFEC',
+    after: 'settlementWatcher',
+    startup: true,
+    run: () => require('./electionDatesUpdater').electionDatesUpdater(),
+  },
+  defunctCelebrationWatcher: {
+    description: 'Session-end defunct conversion and warning emails',
+    after: 'electionDatesUpdater',
+    startup: true,
+    supportsDryRun: true,
+    run: ({ dryRun }) => require('./defunctCelebrationWatcher')({ dryRun }),
+  },
+  btcPaymentWatcher: {
+    description: 'Polls the Bitcoin address ledger for payments',
+    schedule: BTC.POLL_SCHEDULE,
+    run: () => require('./btcPaymentWatcher').btcPaymentWatcher(),
+  },
+  tipLimitReachedReset: {
+    description: 'Clears tipLimitReached for the new calendar year',
+    schedule: JOBS.SCHEDULES.tipLimitReachedReset,
+    supportsDryRun: true,
+    run: ({ dryRun }) =>
+      require('./tipLimitReachedReset').resetTipLimitReached({ dryRun }),
+  },
+  yearEndStatements: {
+    description: "Emails donors last year's contribution statement",
+    schedule: JOBS.SCHEDULES.yearEndStatements,
+    supportsDryRun: true,
+    run: ({ dryRun }) =>
+      require('./yearEndStatements').sendYearEndStatements({ dryRun }),
+  },
+};
+
+/**
+ * Looks up a registered job
+ * @param {string} name - Registry name
+ * @returns {Object|undefined} Registry entry
+ */
+const getJob = (name) =>
+  Object.prototype.hasOwnProperty.call(jobs, name) ? jobs[name] : undefined;
+
+module.exports = { jobs, getJob };
@@ -14,7 +14,7 @@
  *
  * ERROR HANDLING
  * - Catches and logs errors from check function
- * - Re-throws errors so callers can report watcher failure
+ * - Re-throws errors so callers can report watcher failure
  * - Logs errors for monitoring and debugging
  *
  * USAGE
@@ -38,7 +38,7 @@ const { connect } = require('../services/utils/db');
  *
  * @param {Object} logger - Logger instance for error logging
  * @param {Function} check - Check function to execute after connecting
- * @returns {Promise<void>} Resolves when check completes; rejects on failure
+ * @returns {Promise<*>} Resolves with the check's result; rejects on failure
  *
  * @example
  * ```javascript
@@ -51,7 +51,7 @@ const { connect } = require('../services/utils/db');
 module.exports = async function runCheck(logger, check) {
   await connect(logger);
   try {
-    await check();
+    return await check();
   } catch (err) {
     const e = err && typeof err === 'object' ? err : {};
     logger.error('runCheck error:', {
@@ -65,6 +65,6 @@ module.exports = async function runCheck(logger, check) {
       reqUrl:
         e.config && typeof e.config === 'object' ? e.config.url : undefined,
     });
-    throw err;
+    throw err;
   }
 };
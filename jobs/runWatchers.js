@@ -1,10 +1,11 @@
 /**
  * @fileoverview Background Watchers Orchestration Module
  *
- * This module orchestrates all background watcher jobs that monitor external
- * APIs and update the database accordingly. It schedules watchers to run on
- * a daily schedule (3 PM Eastern Time on weekdays) and manages their execution
- * with error handling and logging.
+ * This module starts all background watcher jobs that monitor external
+ * APIs and update the database accordingly. Each job is registered in
+ * jobs/registry and scheduled by jobs/jobRunner on its own cron expression,
+ * with run history (JobRun) and a lease lock (JobLock) so only one instance
+ * runs a job at a time.
  *
  * WATCHER JOBS
  *
@@ -22,12 +23,17 @@
  *
  * pfpSync
  * - Writes House headshot WebPs for selectable roster (`has_stakes`, not roster_excluded)
- * - Runs after challengersWatcher so stakes flags are fresh; failures do not block later jobs
+ * - Scheduled after challengersWatcher so stakes flags are fresh
  *
- * checkHJRes54
- * - Monitors H.J.Res.54 (We The People Amendment) bill status
+ * billWatcher
+ * - Monitors every tracked bill (constants/bills.js and Bill.tracked)
  * - Tracks bill changes and updates database
- * - Uses snapshot diffing to detect changes
+ * - Uses per-bill snapshot diffing to detect changes
+ * - Resolves Celebrations once a bill reaches a House floor vote
+ *
+ * settlementWatcher
+ * - Charges resolved Celebrations' payment intents off-session
+ * - Records settlement sub-states and emails donors on card failures
  *
  * electionDatesUpdater
  * - Updates election dates from OpenFEC API
@@ -39,81 +45,59 @@
  * - Converts active celebrations to defunct when sessions end
  * - Sends warning emails during warning period
  *
+ * btcPaymentWatcher (every few minutes, not part of the weekday sequence)
+ * - Polls the Bitcoin address ledger every few minutes for incoming funds
+ * - Records confirmations and sends thank-you emails
+ *
+ * tipLimitReachedReset (January 1st)
+ * - Clears tipLimitReached so donors can tip again in the new year
+ *
+ * yearEndStatements (January 2nd)
+ * - Emails donors last year's contribution statement with the PDF attached
+ *
  * BUSINESS LOGIC
  *
  * SCHEDULING
- * - Runs daily at 3 PM Eastern Time on weekdays
- * - Uses cron schedule from SERVER.CRON_SCHEDULES.WEEKDAY_3PM
- * - Timezone: America/New_York (Eastern Time)
- *
- * EXECUTION ORDER
- * 1. houseWatcher (House membership)
- * 2. challengersWatcher (Challenger status)
- * 3. pfpSync (House WebP headshots for roster)
- * 4. checkHJRes54 (Bill status)
- * 5. electionDatesUpdater (Election dates)
- * 6. defunctCelebrationWatcher (Defunct celebrations)
+ * - Each job runs on JOBS.SCHEDULES.<name> (America/New_York), except the
+ *   ones chained after houseWatcher, which start when the job before them
+ *   ends (jobs/registry `after`)
+ * - Override a schedule with JOB_SCHEDULE_<NAME> (e.g. JOB_SCHEDULE_HOUSE_WATCHER)
+ *
+ * WEEKDAY ORDER
+ * 1. houseWatcher (House membership) - 3:00 PM
+ * 2. challengersWatcher (Challenger status) - after houseWatcher
+ * 3. pfpSync (House WebP headshots for roster) - after challengersWatcher
+ * 4. billWatcher (Tracked bill status) - after pfpSync
+ * 5. settlementWatcher (Resolved celebration payments) - after billWatcher
+ * 6. electionDatesUpdater (Election dates) - after settlementWatcher
+ * 7. defunctCelebrationWatcher (Defunct celebrations) - after electionDatesUpdater
  *
  * ERROR HANDLING
- * - Each watcher runs independently
- * - Failures in one watcher don't stop others
- * - Results logged for monitoring
- * - Summary logged at end (completed/failed counts)
+ * - A failed run is recorded in JobRun and stops nothing else; the jobs
+ *   chained after it still run
+ * - Run one job by hand with POST /api/admin/jobs/:name/run or
+ *   `npm run job -- <name> [--dry-run]`
  *
  * RUN CONTROL
  * - Set START_WATCHERS=1 to run; leave unset or blank to disable
- * - When disabled, skips initial run (and server does not load this module)
- * - Useful for maintenance or testing
+ * - With START_WATCHERS set, the weekday watchers also run once at boot
+ * - When disabled, the server does not load this module
+ * - Never scheduled in test mode
  *
  * DEPENDENCIES
- * - node-cron: Cron scheduling
- * - constants: SERVER cron schedules
  * - services/utils/logger: Logging
- * - services/utils/resetSocialPostRunCount: Reset social post run count
- * - services/utils/scheduleTipLimitReachedReset: Schedule tip limit reached reset
- * - ./tipLimitReachedReset: PAC tip limit reset scheduler
- * - ./defunctCelebrationWatcher: Defunct celebration watcher
- * - ./electionDatesUpdater: Election dates updater
- * - ./challengersWatcher: Challenger status watcher
- * - ./checkHJRes54: Bill watcher
- * - ./houseWatcher: House membership watcher
- * - ../scripts/pfp-sync: House WebP sync (lazy-required in pfpSync step only)
+ * - ./jobRunner: Job scheduling, run history and leases
  *
  * @module jobs/runWatchers
- * @requires node-cron
- * @requires ../constants
- * @requires ../services/utils
- * @requires ./challengersWatcher
- * @requires ./resetSocialPostRunCount
- * @requires ./scheduleTipLimitReachedReset
- * @requires ./defunctCelebrationWatcher
- * @requires ./electionDatesUpdater
- * @requires ./challengersWatcher
- * @requires ./checkHJRes54
- * @requires ./houseWatcher
+ * @requires ../services/utils/logger
+ * @requires ./jobRunner
  */
 
-const cron = require('node-cron');
-
-const { SERVER } = require('../constants');
 const logger = require('../services/utils/logger')(__filename);
-
-const { resetSocialPostRunCount } = require('../services/utils');
-const { scheduleTipLimitReachedReset } = require('./tipLimitReachedReset');
-const defunctCelebrationWatcher = require('./defunctCelebrationWatcher');
-const { electionDatesUpdater } = require('./electionDatesUpdater');
-const challengersWatcher = require('./challengersWatcher');
-const checkHJRes54 = require('./checkHJRes54');
-const houseWatcher = require('./houseWatcher');
-
-const POLL_SCHEDULE = SERVER.CRON_SCHEDULES.WEEKDAY_3PM;
+const { scheduleJobs, runStartupJobs } = require('./jobRunner');
 
 /**
- * Main function that orchestrates all background watcher jobs
- *
- * This function sets up cron scheduling for all watchers and runs them
- * in sequence. It handles errors gracefully, allowing one watcher to fail
- * without stopping others.
+ * Schedules every registered job and runs the weekday watchers once
  *
  * @function runWatchers
  * @returns {void}
@@ -127,94 +111,24 @@ function runWatchers() {
   const runWatchers = Boolean(process.env.START_WATCHERS);
   const isTestMode = process.env.NODE_ENV === 'test';
 
-  if (!isTestMode && runWatchers) {
-    logger.info('runWatchers booted');
+  if (isTestMode) {
+    logger.info('Watchers disabled (NODE_ENV=test)');
+    return;
   }
 
-  // Schedule the tipLimitReached reset job
-  scheduleTipLimitReachedReset();
-
-  async function runAll() {
-    resetSocialPostRunCount();
-
-    logger.info(
-      'running houseWatcher -> challengersWatcher -> pfpSync -> checkHJRes54 -> electionDatesUpdater -> defunctCelebrationWatcher'
-    );
-
-    const watchers = [
-      { name: 'houseWatcher', fn: () => houseWatcher() },
-      {
-        name: 'challengersWatcher',
-        fn: () => challengersWatcher(),
-      },
-      {
-        name: 'pfpSync',
-        fn: async () => {
-          const { runPfpSync } = require('../scripts/pfp-sync');
-          await runPfpSync({ manageConnection: false, argv: [] });
-        },
-      },
-      { name: 'checkHJRes54', fn: () => checkHJRes54() },
-      { name: 'electionDatesUpdater', fn: () => electionDatesUpdater() },
-      {
-        name: 'defunctCelebrationWatcher',
-        fn: () => defunctCelebrationWatcher(),
-      },
-    ];
-
-    const results = [];
-
-    for (const watcher of watchers) {
-      try {
-        await watcher.fn();
-        results.push({ name: watcher.name, status: 'completed' });
-        logger.info(`${watcher.name} completed successfully`);
-      } catch (err) {
-        results.push({
-          name: watcher.name,
-          status: 'failed',
-          error: err.message,
-        });
-        logger.error(`${watcher.name} failed:`, err.message);
-      }
-    }
-
-    const completed = results.filter((r) => r.status === 'completed').length;
-    const failed = results.filter((r) => r.status === 'failed').length;
-
-    if (failed === 0) {
-      logger.info('all watchers completed successfully');
-    } else {
-      logger.warn(
-        `watchers completed: ${completed}/${watchers.length} (${failed} failed)`
-      );
-      results
-        .filter((r) => r.status === 'failed')
-        .forEach((r) => {
-          logger.error(`  ${r.name}: ${r.error}`);
-        });
-    }
+  if (runWatchers) {
+    logger.info('runWatchers booted');
   }
 
-  // once a day at 3pm Eastern Time (Washington DC timezone)
-  cron.schedule(
-    POLL_SCHEDULE,
-    () => {
-      logger.info('cron tick - runWatchers');
-      runAll().catch((err) =>
-        logger.error('scheduled runWatchers run failed', err.message)
-      );
-    },
-    { timezone: 'America/New_York' }
-  );
+  scheduleJobs();
 
-  // initial run - skip in test mode or if watchers are paused
-  if (runWatchers && !isTestMode) {
+  // initial run - skip if watchers are paused
+  if (runWatchers) {
     logger.info('Running initial watcher execution...');
-    runAll().catch((err) =>
+    runStartupJobs().catch((err) =>
       logger.error('initial runWatchers run failed', err.message)
     );
-  } else if (!runWatchers && !isTestMode) {
+  } else {
     logger.info(
       'Watchers disabled (START_WATCHERS not set) - skipping initial execution'
     );
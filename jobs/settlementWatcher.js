@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Celebration Settlement Watcher Job
+ *
+ * This background job charges the stored Stripe payment intent of every
+ * resolved Celebration that has not been charged yet. It runs after
+ * billWatcher so Celebrations resolved on the same pass are settled right
+ * away, and retries earlier settlement failures (for example after the donor
+ * updated their card).
+ *
+ * BUSINESS LOGIC
+ * - Delegates to SettlementService.settleResolvedCelebrations
+ * - Outcomes are recorded as settlement sub-states in the status ledger
+ * - Donors are emailed once when a charge first fails
+ *
+ * DEPENDENCIES
+ * - services/celebration/SettlementService: Settlement logic
+ * - models/Celebration, models/User
+ * - jobs/runCheck: Database connection wrapper
+ *
+ * @module jobs/settlementWatcher
+ * @requires ../services/celebration
+ * @requires ../models
+ * @requires ../services/utils/logger
+ * @requires ./runCheck
+ */
+
+const { SettlementService } = require('../services/celebration');
+const { Celebration, User } = require('../models');
+const logger = require('../services/utils/logger')(__filename);
+const runCheck = require('./runCheck');
+
+/**
+ * Executes one settlement pass over resolved, uncharged Celebrations.
+ * Scheduling is handled by the job registry.
+ *
+ * @function settlementWatcher
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count unsettled Celebrations, charge nothing
+ * @returns {Promise<Object>} Settlement summary; rejects on failure
+ */
+module.exports = function settlementWatcher({ dryRun = false } = {}) {
+  logger.info('Settlement watcher booted');
+
+  return runCheck(logger, async () => {
+    const summary = await SettlementService.settleResolvedCelebrations(
+      { dryRun },
+      Celebration,
+      User
+    );
+    if (summary.errorCount > 0) {
+      logger.warn('Some settlements will be retried next run', {
+        errorCount: summary.errorCount,
+      });
+    }
+    return summary;
+  });
+};
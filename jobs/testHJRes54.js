@@ -1,8 +1,8 @@
 /**
  * @fileoverview H.J.Res.54 Bill Watcher Test Script
  *
- * This is a test/utility script for manually testing the H.J.Res.54 bill watcher.
- * It runs the watcher once, waits for completion, and then queries the database
+ * This is a test/utility script for manually testing the bill watcher against
+ * H.J.Res.54. It runs the watcher once, waits for completion, and then queries the database
  * to display the current bill state. Useful for debugging and verification.
  *
  * USAGE
@@ -12,7 +12,7 @@
  * ```
  *
  * DEPENDENCIES
- * - jobs/checkHJRes54: Bill watcher
+ * - jobs/billWatcher: Tracked bill watcher
  * - mongoose: MongoDB connection
  * - services/utils/db: Database connection
  * - models/Bill: Bill model
@@ -23,22 +23,22 @@
  * @requires ../services/utils/db
  * @requires ../models/Bill
  * @requires ../services/utils/logger
- * @requires ./checkHJRes54
+ * @requires ./billWatcher
  */
 
 const mongoose = require('mongoose');
 const { connect } = require('../services/utils/db');
 const { Bill } = require('../models');
+const { session } = require('../controller/congress/config');
 
 const logger = require('../services/utils/logger')(__filename);
 
 // Constants for the bill we're tracking
-const HJRES54_CONGRESS_ID = 118;
+const HJRES54_CONGRESS_ID = session();
 const BILL_TYPE = 'hjres';
 const BILL_NUMBER = 54;
 
-// Import the checkBill function directly
-const hjres54Watcher = require('./checkHJRes54');
+const billWatcher = require('./billWatcher');
 
 async function testBillUpdate() {
   try {
@@ -51,7 +51,7 @@ async function testBillUpdate() {
 
     // Run the bill check once
     logger.info('Running bill check...');
-    await hjres54Watcher();
+    await billWatcher();
 
     // Wait a moment for the update to complete
     await new Promise((resolve) => setTimeout(resolve, 2000));
@@ -14,9 +14,9 @@
  * - Allows users to give tips again after annual limit reset
  *
  * SCHEDULING
- * - Uses cron schedule: '0 0 1 1 *' (midnight on January 1st)
- * - Timezone: America/New_York (Eastern Time)
- * - Runs automatically each year
+ * - Registered in jobs/registry on JOBS.SCHEDULES.tipLimitReachedReset
+ *   ('0 0 1 1 *', midnight Eastern Time on January 1st)
+ * - { dryRun: true } counts the users that would be reset
  *
  * DATABASE CONNECTION
  * - Checks MongoDB connection before running
@@ -36,26 +36,30 @@
  * - Logs number of users reset
  *
  * DEPENDENCIES
- * - node-cron: Cron scheduling
  * - mongoose: MongoDB connection checking
  * - models/User: User model
  * - services/utils/db: Database connection
  * - services/utils/logger: Logging
  *
  * @module jobs/tipLimitReachedReset
- * @requires node-cron
  * @requires mongoose
  * @requires ../services/utils/db
  * @requires ../models/User
  * @requires ../services/utils/logger
  */
 
-const cron = require('node-cron');
 const mongoose = require('mongoose');
 const { connect } = require('../services/utils/db');
 const { User } = require('../models');
 const logger = require('../services/utils/logger')(__filename);
-async function resetTipLimitReached() {
+
+/**
+ * Clears tipLimitReached for every user who hit the annual PAC limit
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count the users, reset nothing
+ * @returns {Promise<Object>} { modifiedCount } or, in a dry run, { dryRun, userCount }
+ */
+async function resetTipLimitReached({ dryRun = false } = {}) {
   try {
     logger.info('Starting tipLimitReached reset job');
 
@@ -66,6 +70,12 @@ async function resetTipLimitReached() {
       logger.info('MongoDB connected for canGiveTip reset job');
     }
 
+    if (dryRun) {
+      const userCount = await User.countDocuments({ tipLimitReached: true });
+      logger.info(`Dry run: ${userCount} users would be reset`);
+      return { dryRun: true, userCount };
+    }
+
     // Reset tipLimitReached to false for all users (allowing them to give tips again)
     const result = await User.updateMany(
       { tipLimitReached: true },
@@ -74,39 +84,13 @@ async function resetTipLimitReached() {
 
     logger.info(`Reset tipLimitReached for ${result.modifiedCount} users`);
 
-    return result;
+    return { modifiedCount: result.modifiedCount };
   } catch (error) {
     logger.error('Error in canGiveTip reset job:', error.message);
     throw error;
   }
 }
 
-/**
- * Schedule the job to run annually at midnight Eastern Time on January 1st
- * Cron format: '0 0 1 1 *' = At 00:00 on January 1st
- */
-function scheduleTipLimitReachedReset() {
-  logger.info('Scheduling tipLimitReached reset job');
-
-  cron.schedule(
-    '0 0 1 1 *', // Midnight Eastern Time on January 1st
-    async () => {
-      logger.info('cron tick - tipLimitReached reset');
-      try {
-        await resetTipLimitReached();
-        logger.info('tipLimitReached reset completed successfully');
-      } catch (error) {
-        logger.error('tipLimitReached reset failed:', error.message);
-      }
-    },
-    {
-      timezone: 'America/New_York', // Eastern Time
-      scheduled: true,
-    }
-  );
-}
-
 module.exports = {
   resetTipLimitReached,
-  scheduleTipLimitReachedReset,
 };
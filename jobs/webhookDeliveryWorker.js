@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Partner Webhook Delivery Worker
+ *
+ * POSTs queued partner webhook deliveries (services/events/webhookService)
+ * on WEBHOOKS.POLL_SCHEDULE. Failed deliveries are retried with backoff on
+ * later runs and dead-lettered after WEBHOOKS.MAX_ATTEMPTS.
+ *
+ * Scheduled by lifecycle alongside the email outbox worker, not only with
+ * START_WATCHERS, since a manual job run from the admin API queues
+ * deliveries too.
+ *
+ * @module jobs/webhookDeliveryWorker
+ * @requires node-cron
+ * @requires ../constants
+ * @requires ../services/events/webhookService
+ * @requires ../services/utils/logger
+ */
+
+const cron = require('node-cron');
+const { WEBHOOKS } = require('../constants');
+const { processDeliveries } = require('../services/events/webhookService');
+const logger = require('../services/utils/logger')(__filename);
+
+let isRunning = false;
+
+/**
+ * Runs one pass over the queued deliveries
+ * @returns {Promise<Object|null>} Run summary, or null if a run was in progress
+ */
+async function webhookDeliveryWorker() {
+  if (isRunning) {
+    logger.warn('webhookDeliveryWorker still running - skipping this tick');
+    return null;
+  }
+
+  isRunning = true;
+  try {
+    const summary = await processDeliveries();
+    if (summary.claimed) {
+      logger.info(
+        `webhookDeliveryWorker: sent ${summary.sent}, retrying ${summary.retried}, dead-lettered ${summary.dead}`
+      );
+    }
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Schedule the worker on WEBHOOKS.POLL_SCHEDULE (Eastern Time)
+ */
+function scheduleWebhookDeliveryWorker() {
+  logger.info(`Scheduling webhookDeliveryWorker (${WEBHOOKS.POLL_SCHEDULE})`);
+
+  cron.schedule(
+    WEBHOOKS.POLL_SCHEDULE,
+    async () => {
+      try {
+        await webhookDeliveryWorker();
+      } catch (error) {
+        logger.error('webhookDeliveryWorker failed:', error.message);
+      }
+    },
+    {
+      timezone: 'America/New_York',
+      scheduled: true,
+    }
+  );
+}
+
+module.exports = {
+  webhookDeliveryWorker,
+  scheduleWebhookDeliveryWorker,
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Year-End Contribution Statements Job
+ *
+ * This background job emails each donor their contribution statement for the
+ * previous calendar year, with the PDF attached. It runs once in early
+ * January, after the PAC tip limit reset, so the statement closes out the
+ * year the donor's limits just reset from.
+ *
+ * KEY FEATURES
+ *
+ * ANNUAL SEND
+ * - Statement for the previous calendar year (Eastern Time)
+ * - Only donors with Celebration activity in that year
+ * - Skips donors unsubscribed from Celebration Updates
+ * - Skips donors already sent that year's statement, so a manual run or a
+ *   retry does not email anyone twice
+ *
+ * SCHEDULING
+ * - Registered in jobs/registry on JOBS.SCHEDULES.yearEndStatements
+ *   (10 AM on January 2nd, Eastern Time)
+ *
+ * DATABASE CONNECTION
+ * - Checks MongoDB connection before running
+ * - Connects if not already connected
+ *
+ * DEPENDENCIES
+ * - mongoose: MongoDB connection checking
+ * - models: Celebration, Pol, User
+ * - services/celebration/statementService: Statement building and sending
+ * - services/utils/db: Database connection
+ * - services/utils/logger: Logging
+ *
+ * @module jobs/yearEndStatements
+ * @requires mongoose
+ * @requires ../models
+ * @requires ../services/celebration/statementService
+ * @requires ../services/utils/db
+ * @requires ../services/utils/logger
+ */
+
+const mongoose = require('mongoose');
+const { Celebration, Pol, User } = require('../models');
+const StatementService = require('../services/celebration/statementService');
+const { connect } = require('../services/utils/db');
+const logger = require('../services/utils/logger')(__filename);
+
+/**
+ * Emails every subscribed donor their statement for a year
+ * @param {Object} [options]
+ * @param {number} [options.year] - Calendar year (defaults to last year)
+ * @param {boolean} [options.dryRun] - Build statements without sending
+ * @returns {Promise<Object>} { year, donors, sent, alreadySent, skipped,
+ *   failed }
+ */
+async function sendYearEndStatements({
+  year = new Date().getFullYear() - 1,
+  dryRun = false,
+} = {}) {
+  try {
+    logger.info(`Starting year-end statements job for ${year}`);
+
+    if (mongoose.connection.readyState !== 1) {
+      logger.info('Connecting to MongoDB...');
+      await connect(logger);
+    }
+
+    return await StatementService.sendAll(
+      year,
+      { Celebration, Pol, User },
+      { dryRun }
+    );
+  } catch (error) {
+    logger.error('Error in year-end statements job:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  sendYearEndStatements,
+};
@@ -3,12 +3,15 @@
  *
  * Functions for managing server startup, lifecycle events, and initialization.
  * Handles database connections, background jobs, API testing, and startup logging.
+ * Also starts the standalone worker (worker.js): background jobs, heartbeat,
+ * an optional health endpoint and graceful shutdown.
  * In non-production, logStartupConfig logs a summary of email-related env vars once at boot;
  * set START_EMAIL_VAR_LOGGING=1 to enable that output; leave unset to skip.
  */
 
+const http = require('http');
 const { execSync } = require('child_process');
-const { SERVER } = require('./constants');
+const { SERVER, JOBS } = require('./constants');
 
 /**
  * Run API route tests (internal and external)
@@ -68,6 +71,18 @@ function startBackgroundJobs(logger) {
     return;
   }
 
+  if (JOBS.WORKER.PROCESS === 'worker') {
+    logger.info('Background jobs run in worker.js (JOBS_PROCESS=worker)');
+    return;
+  }
+
+  // Request handlers enqueue mail too (and manual job runs emit watcher
+  // events and partner webhook deliveries), so the queues drain regardless
+  // of START_WATCHERS
+  require('./jobs/emailOutboxWorker').scheduleEmailOutboxWorker();
+  require('./jobs/webhookDeliveryWorker').scheduleWebhookDeliveryWorker();
+  require('./jobs/eventDeliveryWorker').scheduleEventDeliveryWorker();
+
   const runWatchers = Boolean(process.env.START_WATCHERS);
   if (!runWatchers) {
     logger.info('Background jobs disabled (START_WATCHERS not set)');
@@ -77,6 +92,105 @@ function startBackgroundJobs(logger) {
   require('./jobs');
 }
 
+/**
+ * Serve the worker's own health check (GET /health) for process supervisors
+ * @param {number} port - Port to listen on
+ * @param {Object} state - { shuttingDown }
+ * @param {Object} logger - Logger instance
+ * @returns {Object} HTTP server instance
+ */
+function startWorkerHealthServer(port, state, logger) {
+  const mongoose = require('mongoose');
+  const { runningJobs } = require('./jobs/jobRunner');
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url !== '/health') {
+      res.writeHead(404).end();
+      return;
+    }
+    const connected = mongoose.connection.readyState === 1;
+    const healthy = connected && !state.shuttingDown;
+    res.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        status: state.shuttingDown
+          ? 'stopping'
+          : connected
+            ? 'healthy'
+            : 'degraded',
+        uptime: process.uptime(),
+        database: { connected },
+        running: runningJobs(),
+      })
+    );
+  });
+
+  server.listen(port, () =>
+    logger.info(`Worker health check listening on PORT ${port}`)
+  );
+  server.on('error', (err) =>
+    logger.error('Worker health check failed to start:', err.message)
+  );
+  return server;
+}
+
+/**
+ * Start the standalone worker (worker.js) once the database is connected:
+ * schedules every background job, the email outbox and partner webhook
+ * deliveries, records a heartbeat for /api/health, optionally serves its own
+ * health check on WORKER_HEALTH_PORT, and shuts down gracefully on
+ * SIGINT/SIGTERM
+ *
+ * Shutdown stops the schedules, waits up to WORKER_SHUTDOWN_TIMEOUT_MS for
+ * running jobs, removes the heartbeat and disconnects. A job still running
+ * after that keeps its lease until it lapses; the next run marks it
+ * abandoned.
+ *
+ * @param {Object} logger - Logger instance
+ */
+function startWorker(logger) {
+  const cron = require('node-cron');
+  const mongoose = require('mongoose');
+  const { HOST, drainJobs } = require('./jobs/jobRunner');
+  const state = { shuttingDown: false };
+
+  logger.info(`Worker ${HOST} starting background jobs...`);
+  require('./jobs/emailOutboxWorker').scheduleEmailOutboxWorker();
+  require('./jobs/webhookDeliveryWorker').scheduleWebhookDeliveryWorker();
+  require('./jobs/eventDeliveryWorker').scheduleEventDeliveryWorker();
+  require('./jobs/runWatchers')();
+
+  const heartbeat = require('./jobs/heartbeat').startHeartbeat();
+  const healthServer = JOBS.WORKER.HEALTH_PORT
+    ? startWorkerHealthServer(JOBS.WORKER.HEALTH_PORT, state, logger)
+    : null;
+
+  async function shutdown(signal) {
+    if (state.shuttingDown) return;
+    state.shuttingDown = true;
+    logger.info(`${signal} received, stopping worker...`);
+
+    cron.getTasks().forEach((task) => task.stop());
+    const unfinished = await drainJobs(JOBS.WORKER.SHUTDOWN_TIMEOUT_MS);
+    if (unfinished.length) {
+      logger.warn(
+        `Stopping with ${unfinished.join(', ')} still running; leases lapse in ${
+          JOBS.LEASE_MS / 60000
+        } minutes`
+      );
+    }
+
+    await heartbeat.stop();
+    if (healthServer) healthServer.close();
+    await mongoose.disconnect();
+    logger.info('Worker stopped');
+    process.exit(0);
+  }
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
 /**
  * Start Express server with error handling
  * @param {Object} app - Express application
@@ -166,6 +280,7 @@ function emailVarLogging(runEmailLogging, isProductionEnv, logger) {
 
 module.exports = {
   startServer,
+  startWorker,
   emailVarLogging,
   runApiRouteTests,
   startBackgroundJobs,
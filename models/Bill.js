@@ -47,6 +47,10 @@
  * - enacted: Whether bill was enacted into law
  * - vetoed: Whether bill was vetoed
  *
+ * WATCHER TRACKING
+ * - tracked: When true, jobs/billWatcher monitors this bill in addition to
+ *   the bills listed in constants/bills.js
+ *
  * VOTE INFORMATION
  * - house_passage_vote: House vote record
  * - senate_passage_vote: Senate vote record
@@ -81,7 +85,7 @@
  *
  * DATA SOURCES
  * - Congress.gov API: Primary data source
- * - Updated via background jobs (checkHJRes54.js, houseWatcher.js)
+ * - Updated via background jobs (billWatcher.js, houseWatcher.js)
  *
  * @module models/Bill
  * @requires mongoose
@@ -120,6 +124,7 @@ const billSchema = new Schema(
     senate_passage: { type: 'boolean' },
     enacted: { type: 'boolean' },
     vetoed: { type: 'boolean' },
+    tracked: { type: 'boolean', default: false, index: true },
     houseMembers: { type: [Schema.Types.Mixed] },
     houseMembers_by_party: { type: [Schema.Types.Mixed] },
     withdrawn_houseMembers: { type: [Schema.Types.Mixed] },
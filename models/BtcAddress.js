@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Bitcoin address ledger
+ *
+ * One document per derived address (one per BIP84 index). Records who asked
+ * for the address and why, and what the chain has shown for it since. The
+ * payment watcher polls pending and unconfirmed addresses through the
+ * configured chain source and updates the payment fields below.
+ *
+ * KEY FIELDS
+ *
+ * DERIVATION
+ * - index: BIP84 address index (0/index under BTC_XPUB), unique
+ * - address: bech32 address, unique
+ * - network: 'mainnet' | 'testnet'
+ *
+ * ATTRIBUTION
+ * - purpose: 'support' (POWERBACK support) | 'tip' (PAC tip)
+ * - source: Where the address was shown ('confirmation', 'email:new',
+ *   'email:receipt', 'email:update', 'api')
+ * - requested_by: User the address was shown to, if known
+ * - celebration_id: Celebration the address was shown alongside, if any
+ *
+ * PAYMENTS
+ * - status: 'pending' (nothing seen) → 'unconfirmed' (seen in mempool or
+ *   below the confirmation threshold) → 'confirmed'; 'expired' when the
+ *   watch window closes with nothing received
+ * - payments: One entry per transaction paying the address
+ * - received_sats / confirmed_sats: Totals across payments
+ * - watch_until: Pending addresses stop being polled after this date
+ * - thanked_at: When the thank-you email was sent (sent once)
+ *
+ * PAC LIMIT
+ * - payments[].usd_value: USD value at confirmation, with usd_rate,
+ *   rate_source and rate_at recording the conversion
+ * - confirmed_usd: Total USD value of confirmed payments
+ * - pac_review: Set when a contribution pushes the requester past the annual
+ *   PAC limit; excess_usd is the amount over the limit awaiting refund review
+ *   ('flagged'), and reviewers mark it 'refunded' or 'cleared'
+ *
+ * @module models/BtcAddress
+ * @requires mongoose
+ * @see {@link ../services/btc/paymentService.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const paymentSchema = new Schema(
+  {
+    txid: { type: String, required: true },
+    amount_sats: { type: Number, required: true }, // paid to this address
+    confirmations: { type: Number, default: 0 },
+    block_height: { type: Number },
+    first_seen_at: { type: Date, default: Date.now },
+    confirmed_at: { type: Date },
+    // USD conversion at confirmation (counted toward the PAC limit)
+    usd_value: { type: Number },
+    usd_rate: { type: Number }, // USD per BTC
+    rate_source: { type: String },
+    rate_at: { type: Date },
+  },
+  { _id: false }
+);
+
+const btcAddressSchema = new Schema(
+  {
+    index: { type: Number, required: true },
+    address: { type: String, required: true },
+    network: { type: String, enum: ['mainnet', 'testnet'], required: true },
+    purpose: { type: String, enum: ['support', 'tip'], default: 'support' },
+    source: { type: String, default: 'api' },
+    requested_by: { type: Schema.Types.ObjectId, ref: 'User', index: true },
+    celebration_id: { type: Schema.Types.ObjectId, ref: 'Celebration' },
+    status: {
+      type: String,
+      enum: ['pending', 'unconfirmed', 'confirmed', 'expired'],
+      default: 'pending',
+    },
+    payments: { type: [paymentSchema], default: [] },
+    received_sats: { type: Number, default: 0 },
+    confirmed_sats: { type: Number, default: 0 },
+    confirmed_usd: { type: Number, default: 0 },
+    watch_until: { type: Date, required: true },
+    last_checked_at: { type: Date },
+    thanked_at: { type: Date },
+    pac_review: {
+      status: { type: String, enum: ['flagged', 'refunded', 'cleared'] },
+      reason: { type: String }, // 'pac-annual-limit'
+      excess_usd: { type: Number },
+      refunded_usd: { type: Number }, // excluded from the PAC aggregate
+      flagged_at: { type: Date },
+      resolved_at: { type: Date },
+      resolved_by: { type: String },
+      notes: { type: String, maxlength: 2000 },
+    },
+  },
+  { timestamps: true }
+);
+
+btcAddressSchema.index({ index: 1 }, { unique: true });
+btcAddressSchema.index({ address: 1 }, { unique: true });
+btcAddressSchema.index({ status: 1, last_checked_at: 1 });
+btcAddressSchema.index({ 'pac_review.status': 1 }, { sparse: true });
+
+module.exports = mongoose.model(
+  'BtcAddress',
+  btcAddressSchema,
+  'btc_addresses'
+);
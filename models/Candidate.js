@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Candidate model for non-incumbent Celebration recipients
+ *
+ * One document per FEC candidate who is running against (or for the open seat
+ * of) a sitting member of Congress. Incumbents live in the Pol collection,
+ * keyed by bioguide id; challengers and open-seat candidates have no bioguide
+ * id, so they are keyed by FEC candidate id here. challengersWatcher upserts
+ * these from the same OpenFEC C/O pull it uses for has_stakes.
+ *
+ * KEY FIELDS
+ *
+ * IDENTITY
+ * - fec_candidate_id: FEC candidate id, unique (Celebration.pol_id and
+ *   Celebration.FEC_id for pledges to this candidate)
+ * - name: FEC display name ("LAST, FIRST MIDDLE")
+ * - first_name / last_name: Parsed from name for the funnel
+ * - party: FEC party code (e.g. 'DEM', 'REP', 'IND')
+ *
+ * RACE
+ * - office: 'H' | 'S'
+ * - chamber: 'House' | 'Senate'
+ * - state: Two-letter state
+ * - district: Normalized House district ('00' at-large); '' for the Senate
+ * - ocd_id: Division id shaped like Pol roles (state-only for the Senate and
+ *   at-large seats)
+ * - incumbent_challenge: 'C' (challenger) | 'O' (open seat)
+ * - election_year: Cycle the candidate was last seen running in
+ *
+ * COMMITTEE
+ * - committee: Principal campaign committee (id, name, designation); filled
+ *   from the FEC row when present, otherwise on first selection
+ *
+ * STATUS
+ * - active: Present in the latest FEC pull (selectable in the funnel)
+ * - last_seen_at: When the latest FEC pull included the candidate
+ * - withdrawn_at: When the candidate dropped out of the FEC pull
+ *
+ * @module models/Candidate
+ * @requires mongoose
+ * @see {@link ../services/congress/candidateService.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const candidateSchema = new Schema(
+  {
+    fec_candidate_id: { type: String, required: true },
+    name: { type: String, required: true },
+    first_name: { type: String, default: '' },
+    last_name: { type: String, default: '' },
+    party: { type: String, default: '' },
+    office: { type: String, enum: ['H', 'S'], required: true },
+    chamber: { type: String, enum: ['House', 'Senate'], required: true },
+    state: { type: String, required: true },
+    district: { type: String, default: '' },
+    ocd_id: { type: String, default: '' },
+    incumbent_challenge: { type: String, enum: ['C', 'O'], required: true },
+    election_year: { type: Number },
+    committee: {
+      id: { type: String },
+      name: { type: String },
+      designation: { type: String }, // 'P' for principal campaign committee
+    },
+    active: { type: Boolean, default: true },
+    last_seen_at: { type: Date },
+    withdrawn_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+candidateSchema.index({ fec_candidate_id: 1 }, { unique: true });
+candidateSchema.index({ active: 1, state: 1, district: 1 });
+
+module.exports = mongoose.model('Candidate', candidateSchema, 'candidates');
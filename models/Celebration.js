@@ -26,6 +26,14 @@
  * - fee: Stripe processing fee calculated at creation
  * - payment_intent: Stripe payment intent ID (created but not charged)
  * - charge_id: Stripe charge ID (set only after payment succeeds on resolve)
+ * - settlement_status: Settlement sub-state once resolved ('pending', 'settled',
+ *   'settlement_failed'); see services/celebration/settlementService
+ * - settlement_attempts: Number of off-session charge attempts
+ * - settled_at: When the payment intent succeeded
+ * - failure_notified_at: When the donor was emailed about a failed
+ *   settlement; claimed atomically so the email goes out once
+ * - payment_flags: Stripe webhook state (failed payment, cancelled intent,
+ *   refund, dispute); see services/celebration/paymentEventService
  *
  * STATUS MANAGEMENT
  * - resolved, paused, defunct: Legacy boolean flags for status
@@ -35,9 +43,13 @@
  * DONATION DETAILS
  * - donation: Donation amount in dollars
  * - tip: PAC tip amount (separate from donation, has $5,000 annual limit)
- * - pol_id: Politician receiving the donation
+ * - pol_id: Politician receiving the donation (bioguide ID for incumbents,
+ *   FEC candidate ID for challenger and open-seat candidates)
  * - pol_name: Politician name (cached for receipts)
  * - FEC_id: FEC candidate ID for compliance
+ * - recipient_type: 'pol' (sitting member, Pol collection) or 'candidate'
+ *   (non-incumbent, Candidate collection)
+ * - committee_id: Recipient's principal campaign committee, when known
  * - bill_id: Bill ID that triggers resolution (e.g., 'hjres54-119')
  *
  * DONOR INFORMATION
@@ -60,8 +72,15 @@
  *   - Trigger information (triggered_by, triggered_by_id, triggered_by_name)
  *   - Metadata for specific status types:
  *     * congressional_session: Session info for defunct celebrations
- *     * resolution_details: Bill action details for resolved celebrations
+ *     * resolution_details: Bill action details for resolved celebrations,
+ *       plus the recipient the pledge was routed to
  *     * pause_details: Pause reason and expected resume date
+ *     * settlement_details: Payment outcome for resolved celebrations
+ *       (sub_state, payment_intent_status, failure/decline codes)
+ *     * stripe_cancellation: Payment intent release for defunct celebrations
+ *       (outcome, payment_intent_status, stripe_request_id)
+ *     * payment_event: Stripe webhook event recorded without a status change
+ *       (event type, failure codes, refund amount, dispute details)
  *   - Compliance tracking (compliance_tier_at_time, fec_compliant)
  *   - Audit trail (ip_address, user_agent, session_id)
  *
@@ -88,7 +107,10 @@
 
 const mongoose = require('mongoose'),
   Schema = mongoose.Schema,
-  { CELEBRATION_STATUSES } = require('../shared/celebrationStatus');
+  {
+    CELEBRATION_STATUSES,
+    CELEBRATION_SETTLEMENT_STATES,
+  } = require('../shared/celebrationStatus');
 
 const celebrationSchema = new Schema(
   {
@@ -104,6 +126,31 @@ const celebrationSchema = new Schema(
       required: false, // set only after payment succeeds
       default: null,
     },
+    // Settlement sub-state once resolved (unset until the first attempt)
+    settlement_status: {
+      type: String,
+      enum: CELEBRATION_SETTLEMENT_STATES,
+    },
+    settlement_attempts: {
+      type: Number,
+      default: 0,
+    },
+    settled_at: {
+      type: Date,
+    },
+    failure_notified_at: {
+      type: Date,
+      default: null,
+    },
+    // Set by Stripe webhooks (services/celebration/paymentEventService)
+    payment_flags: {
+      payment_failed: { type: Boolean, default: false },
+      payment_intent_canceled: { type: Boolean, default: false },
+      refunded: { type: Boolean, default: false }, // Fully refunded
+      amount_refunded: { type: Number, default: 0 }, // Dollars
+      disputed: { type: Boolean, default: false },
+      dispute_status: { type: String }, // Stripe dispute status, e.g. "won"
+    },
     resolved: {
       type: Boolean,
       default: false,
@@ -168,6 +215,9 @@ const celebrationSchema = new Schema(
               bill_action_result: { type: String }, // "passed", "failed", etc.
               house_vote_date: { type: Date },
               senate_vote_date: { type: Date },
+              recipient_type: { type: String }, // "pol" or "candidate"
+              recipient_fec_id: { type: String },
+              recipient_committee_id: { type: String },
             },
             // For paused status
             pause_details: {
@@ -175,6 +225,39 @@ const celebrationSchema = new Schema(
               expected_resume_date: { type: Date }, // If known
               related_bill_status: { type: String }, // Current bill status
             },
+            // For settlement of resolved status (status unchanged)
+            settlement_details: {
+              sub_state: { type: String }, // "settled", "settlement_failed", etc.
+              payment_intent_status: { type: String }, // Stripe status after attempt
+              failure_code: { type: String }, // e.g., "card_declined"
+              decline_code: { type: String }, // Issuer decline code
+              attempt: { type: Number }, // settlement_attempts at the time
+              replaced_payment_intent: { type: String }, // Expired authorization replaced by this attempt
+            },
+            // For defunct status: release of the Stripe payment intent
+            stripe_cancellation: {
+              payment_intent_id: { type: String },
+              outcome: { type: String }, // "canceled", "not_cancelable", "error", etc.
+              payment_intent_status: { type: String }, // Stripe status after the attempt
+              cancellation_reason: { type: String }, // Reason sent to/reported by Stripe
+              stripe_request_id: { type: String }, // Stripe request ID of the cancel call
+              error_code: { type: String }, // Stripe error code when outcome is "error"
+              checked_at: { type: Date },
+            },
+            // For Stripe webhook events (status unchanged)
+            payment_event: {
+              stripe_event_id: { type: String },
+              event_type: { type: String }, // e.g. "charge.refunded"
+              payment_intent_status: { type: String },
+              charge_id: { type: String },
+              failure_code: { type: String },
+              decline_code: { type: String },
+              amount_refunded: { type: Number }, // Dollars
+              dispute_id: { type: String },
+              dispute_status: { type: String },
+              dispute_reason: { type: String },
+              payment_method_id: { type: String },
+            },
             // For admin actions
             admin_notes: { type: String }, // Administrative notes
             admin_reason: { type: String }, // Administrative reason
@@ -199,6 +282,12 @@ const celebrationSchema = new Schema(
     bill_id: { type: String, required: true },
     donation: { type: Number, required: true },
     pol_name: { type: String, required: true },
+    recipient_type: {
+      type: String,
+      enum: ['pol', 'candidate'],
+      default: 'pol',
+    },
+    committee_id: { type: String },
     idempotencyKey: { type: String, required: true },
     donatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
     // Capture donor information at time of donation for FEC compliance and audit trail
@@ -257,6 +346,9 @@ const celebrationSchema = new Schema(
   { timestamps: true }
 );
 
+// Donor history: list, filter and sort one user's Celebrations
+celebrationSchema.index({ donatedBy: 1, createdAt: -1 });
+
 const Celebration = mongoose.model('Celebration', celebrationSchema);
 
 module.exports = Celebration;
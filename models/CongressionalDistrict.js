@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Congressional district boundaries
+ *
+ * One document per House seat, loaded from the Census TIGER/Line
+ * congressional district shapefile by scripts/load-district-boundaries.js.
+ * The local district resolver finds the seat containing a point with a
+ * 2dsphere `$geoIntersects` query, without calling Google Civics.
+ *
+ * KEY FIELDS
+ * - state: Two-letter state
+ * - district: Internal district ('01'–'53', '00' at-large, '0' delegate)
+ * - ocd_id: Same shape as Pol roles (state-only for at-large), unique
+ * - congress: Congress the boundaries were drawn for (e.g. 119)
+ * - geometry: GeoJSON Polygon or MultiPolygon, WGS84 longitude/latitude
+ *
+ * @module models/CongressionalDistrict
+ * @requires mongoose
+ * @see {@link ../services/civics/districtResolvers/localResolver.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const congressionalDistrictSchema = new Schema(
+  {
+    state: { type: String, required: true },
+    district: { type: String, required: true },
+    ocd_id: { type: String, required: true },
+    congress: { type: Number },
+    geometry: {
+      type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon'],
+        required: true,
+      },
+      coordinates: { type: Array, required: true },
+    },
+  },
+  { timestamps: true }
+);
+
+congressionalDistrictSchema.index({ ocd_id: 1 }, { unique: true });
+congressionalDistrictSchema.index({ geometry: '2dsphere' });
+
+module.exports = mongoose.model(
+  'CongressionalDistrict',
+  congressionalDistrictSchema,
+  'congressional_districts'
+);
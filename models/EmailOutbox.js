@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Email outbox
+ *
+ * One document per queued email. Callers enqueue a rendered message
+ * (template executed, unsubscribe link injected) and the outbox worker sends
+ * it, retrying with exponential backoff until it is sent or dead-lettered.
+ *
+ * KEY FIELDS
+ *
+ * MESSAGE
+ * - to, from_index (sender address index, see controller/comms/addresses),
+ *   subject, html, attachments
+ * - template: Template name, for logs and troubleshooting
+ * - topic: Email topic, if the message carries an unsubscribe link
+ *
+ * DELIVERY
+ * - status: 'queued' → 'sending' (claimed by a worker) → 'sent'; back to
+ *   'queued' after a failed attempt, 'dead' after EMAIL.OUTBOX.MAX_ATTEMPTS
+ * - attempts: Delivery attempts so far
+ * - next_attempt_at: Queued messages are sent once this passes
+ * - locked_until: A 'sending' message past this is treated as abandoned
+ * - attempt_log: One entry per attempt (time, outcome, SMTP error or
+ *   message id)
+ * - message_id / response: Provider message id and SMTP response on success
+ * - sent_at / dead_at: When the message was sent or dead-lettered
+ * - last_error: Most recent failure
+ *
+ * @module models/EmailOutbox
+ * @requires mongoose
+ * @see {@link ../services/comms/outboxService.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const attachmentSchema = new Schema(
+  {
+    filename: { type: String, required: true },
+    content: { type: Buffer, required: true },
+    contentType: { type: String },
+  },
+  { _id: false }
+);
+
+const attemptSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, required: true },
+    message_id: { type: String },
+    error: { type: String },
+    code: { type: String }, // nodemailer error code, e.g. 'ECONNECTION'
+    response_code: { type: Number }, // SMTP reply code
+  },
+  { _id: false }
+);
+
+const emailOutboxSchema = new Schema(
+  {
+    to: { type: String, required: true },
+    from_index: { type: Number, required: true },
+    subject: { type: String, required: true },
+    html: { type: String, required: true },
+    attachments: { type: [attachmentSchema], default: [] },
+    template: { type: String },
+    topic: { type: String },
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'dead'],
+      default: 'queued',
+    },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    locked_until: { type: Date },
+    attempt_log: { type: [attemptSchema], default: [] },
+    message_id: { type: String },
+    response: { type: String },
+    last_error: { type: String },
+    sent_at: { type: Date },
+    dead_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+emailOutboxSchema.index({ status: 1, next_attempt_at: 1 });
+emailOutboxSchema.index({ status: 1, locked_until: 1 });
+
+module.exports = mongoose.model(
+  'EmailOutbox',
+  emailOutboxSchema,
+  'email_outbox'
+);
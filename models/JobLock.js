@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Job lease locks
+ *
+ * One document per registered job that is running (or whose runner died
+ * while holding it). A job only runs on the instance that holds its lease,
+ * so several server or worker processes can schedule the same jobs without
+ * running them twice.
+ *
+ * KEY FIELDS
+ *
+ * - _id: Registry name of the job
+ * - run_id: JobRun holding the lease
+ * - holder: hostname:pid of the instance holding the lease
+ * - acquired_at: When the lease was taken
+ * - expires_at: The lease lapses here unless renewed; a lapsed lease can be
+ *   taken over by any instance
+ *
+ * @module models/JobLock
+ * @requires mongoose
+ * @see {@link ../jobs/jobRunner.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const jobLockSchema = new Schema({
+  _id: { type: String },
+  run_id: { type: Schema.Types.ObjectId, ref: 'JobRun', required: true },
+  holder: { type: String, required: true },
+  acquired_at: { type: Date, required: true },
+  expires_at: { type: Date, required: true },
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema, 'job_locks');
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Job run history
+ *
+ * One document per execution of a registered background job (see
+ * jobs/registry), whether started by its schedule or by hand. Runs are kept
+ * for JOBS.HISTORY_DAYS.
+ *
+ * KEY FIELDS
+ *
+ * - job: Registry name, e.g. 'billWatcher'
+ * - status: 'running' → 'completed' | 'failed'; 'abandoned' when the
+ *   instance running it stopped renewing its lease (crash, restart)
+ * - trigger: 'schedule' | 'manual' | 'startup'
+ * - dry_run: The job reported what it would do without doing it
+ * - requested_by: Who triggered a manual run ('cli' or an admin username)
+ * - host: hostname:pid of the instance that ran the job
+ * - started_at / finished_at / duration_ms
+ * - summary: Counts the job returned (e.g. settledCount, billsChecked)
+ * - error: Message of the error that failed the run
+ *
+ * @module models/JobRun
+ * @requires mongoose
+ * @requires ../constants
+ * @see {@link ../jobs/jobRunner.js}
+ */
+
+const mongoose = require('mongoose');
+const { JOBS } = require('../constants');
+
+const { Schema } = mongoose;
+
+const jobRunSchema = new Schema({
+  job: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'abandoned'],
+    default: 'running',
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'startup'],
+    default: 'schedule',
+  },
+  dry_run: { type: Boolean, default: false },
+  requested_by: { type: String },
+  host: { type: String },
+  started_at: { type: Date, default: Date.now },
+  finished_at: { type: Date },
+  duration_ms: { type: Number },
+  summary: { type: Schema.Types.Mixed },
+  error: { type: String },
+});
+
+jobRunSchema.index({ job: 1, started_at: -1 });
+jobRunSchema.index(
+  { started_at: 1 },
+  { expireAfterSeconds: JOBS.HISTORY_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('JobRun', jobRunSchema, 'job_runs');
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Persistent refresh tokens (Mongo token-store backend).
+ *
+ * Only a SHA-256 hash of each refresh token is stored. Tokens rotated from the
+ * same login share a family_id, which identifies one session (device). A used
+ * token is kept (used_at set) until it expires so a second use can be detected
+ * as reuse, which revokes the whole family. Documents are removed by the TTL
+ * index once expires_at passes.
+ *
+ * @module models/RefreshToken
+ * @requires mongoose
+ * @see {@link ../auth/tokenStores/mongoStore.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const refreshTokenSchema = new Schema(
+  {
+    token_hash: { type: String, required: true }, // sha256 hex of the JWT
+    user_id: { type: String, required: true, index: true },
+    family_id: { type: String, required: true, index: true }, // session ID
+    family_created_at: { type: Date, required: true }, // login time
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date }, // set when rotated (single-use)
+    revoked_at: { type: Date },
+    revoked_reason: { type: String }, // "reuse", "signout", etc.
+    // Device details from the request that issued the token
+    user_agent: { type: String, maxlength: 512 },
+    ip: { type: String },
+    device_id: { type: String, maxlength: 128 },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ token_hash: 1 }, { unique: true });
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model(
+  'RefreshToken',
+  refreshTokenSchema,
+  'refresh_tokens'
+);
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Processed Stripe webhook events, keyed by Stripe event ID.
+ *
+ * Stripe retries webhooks and may deliver an event more than once. The webhook
+ * route claims each event ID here before processing; a duplicate delivery
+ * finds the existing record and is acknowledged without side effects. Failed
+ * events can be claimed again (e.g. a manual resend from the Stripe dashboard),
+ * and so can a 'processing' claim past locked_until, left by a process that
+ * died mid-handler (Stripe got no response and redelivers).
+ * Records expire after 90 days, well past Stripe's 3-day retry window.
+ *
+ * @module models/StripeEvent
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const stripeEventSchema = new Schema(
+  {
+    event_id: { type: String, required: true }, // evt_...
+    type: { type: String, required: true }, // e.g. "charge.refunded"
+    status: {
+      type: String,
+      enum: ['processing', 'processed', 'failed'],
+      default: 'processing',
+    },
+    attempts: { type: Number, default: 1 },
+    locked_until: { type: Date }, // A 'processing' claim is stale after this
+    processed_at: { type: Date },
+    error: { type: String }, // Last processing error message
+  },
+  { timestamps: true }
+);
+
+stripeEventSchema.index({ event_id: 1 }, { unique: true });
+stripeEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model(
+  'StripeEvent',
+  stripeEventSchema,
+  'stripe_events'
+);
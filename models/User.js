@@ -10,6 +10,7 @@
  *
  * ACCOUNT MANAGEMENT
  * - Authentication fields (username, password, tokenVersion)
+ * - Staff roles (roles) - admin, compliance-reviewer, support, auditor
  * - Account security (locked, tryPasswordAttempts)
  * - Password reset flow (resetPasswordHash, resetPasswordHashExpires)
  * - Email unsubscribe management (unsubscribeHash, unsubscribeHashExpires)
@@ -24,9 +25,11 @@
  * - Compliance tier (bronze, silver, gold) - determines donation limits
  * - Eligibility understanding flag (understands)
  * - PAC tip limit tracking (tipLimitReached)
+ * - Year-end statements already emailed (statementYears)
  *
  * PAYMENT INTEGRATION
  * - Stripe customer and payment method storage (payment)
+ * - Stripe webhook flags (paymentFlags) - failed payment, dispute, removed card
  *
  * USER PREFERENCES
  * - Application settings (settings) - email receipts, auto-tweet, tooltips,
@@ -39,6 +42,7 @@
  * @module models/User
  * @requires mongoose
  * @requires ../constants
+ * @requires ../constants/admin
  * @requires bcryptjs
  * @requires ../shared
  */
@@ -46,6 +50,7 @@
 const mongoose = require('mongoose'),
   bcrypt = require('bcryptjs'),
   { FEC } = require('../constants'),
+  { ROLE_LIST } = require('../constants/admin'),
   Schema = mongoose.Schema;
 
 const { countries, states } = require('../shared');
@@ -91,6 +96,11 @@ const UserSchema = new Schema(
       default: 0,
       required: true,
     },
+    // Staff roles; managed only through scripts/manage-roles.js
+    roles: {
+      type: [{ type: String, enum: ROLE_LIST }],
+      default: undefined,
+    },
     // ** UNSUBSCRIBE
     unsubscribeHash: {
       type: String,
@@ -172,6 +182,11 @@ const UserSchema = new Schema(
       type: Boolean,
       default: false,
     },
+    statementYears: {
+      // Years whose year-end statement email was queued; a rerun skips them.
+      type: [Number],
+      default: [],
+    },
     ocd_id: {
       // Google Civics response code that links a user to a Representative by the former's provided address
       type: String,
@@ -187,6 +202,12 @@ const UserSchema = new Schema(
       },
       type: Object,
     },
+    paymentFlags: {
+      // Set by Stripe webhooks; paymentFailed and paymentMethodDetached clear when a new card is saved.
+      paymentFailed: { type: Boolean, default: false },
+      disputed: { type: Boolean, default: false },
+      paymentMethodDetached: { type: Boolean, default: false },
+    },
     // user preferences
     settings: {
       emailReceipts: {
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Watcher event stream
+ *
+ * One document per change a background watcher detected: a member joining
+ * or leaving a chamber, a race gaining a challenger, a tracked bill moving,
+ * election dates shifting, a session ending. Watchers record events through
+ * services/events, which fans each new one out to its email, social webhook,
+ * SMS and partner webhook subscribers and records how each delivery went.
+ * Events are kept for JOBS.EVENTS.HISTORY_DAYS.
+ *
+ * KEY FIELDS
+ *
+ * - type: One of JOBS.EVENTS.TYPES, e.g. 'challengers', 'bill_status'
+ * - action: What happened to the entity ('added', 'removed', 'updated', ...)
+ * - entity: { kind, id, label } the event is about (pol, bill, chamber, ...)
+ * - before / after: The entity's relevant state either side of the change
+ *   (before is empty for additions, after for removals)
+ * - context: Facts subscribers need that are not part of the entity's state
+ *   (affected users, totals, links)
+ * - dedupe_key: Unique per occurrence; a watcher re-run that detects the
+ *   same change records (and announces) nothing new
+ * - job / run_id: Registry name and JobRun of the run that emitted it
+ * - deliveries: One entry per subscriber with a handler for the type:
+ *   channel, status, attempts, result or error. 'pending' until the handler
+ *   has run, 'failed' (retried at next_attempt_at) or 'dead' after
+ *   JOBS.EVENTS.MAX_ATTEMPTS failures
+ * - locked_until: Set while a run is delivering the event, so the retry
+ *   worker leaves it alone; a lock that outlives the run (a crash) expires
+ *
+ * @module models/WatcherEvent
+ * @requires mongoose
+ * @requires ../constants
+ * @see {@link ../services/events/eventService.js}
+ */
+
+const mongoose = require('mongoose');
+const { JOBS } = require('../constants');
+
+const { Schema } = mongoose;
+
+const deliverySchema = new Schema(
+  {
+    channel: { type: String, enum: ['email', 'social', 'sms', 'webhook'] },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed', 'dead'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date },
+    result: { type: Schema.Types.Mixed },
+    error: { type: String },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const watcherEventSchema = new Schema({
+  type: { type: String, enum: JOBS.EVENTS.TYPES, required: true },
+  action: { type: String, required: true },
+  entity: {
+    kind: { type: String, required: true },
+    id: { type: String, required: true },
+    label: { type: String },
+  },
+  before: { type: Schema.Types.Mixed },
+  after: { type: Schema.Types.Mixed },
+  context: { type: Schema.Types.Mixed },
+  dedupe_key: { type: String, required: true, unique: true },
+  job: { type: String },
+  run_id: { type: Schema.Types.ObjectId, ref: 'JobRun' },
+  occurred_at: { type: Date, default: Date.now },
+  deliveries: { type: [deliverySchema], default: [] },
+  locked_until: { type: Date },
+});
+
+watcherEventSchema.index({ type: 1, occurred_at: -1 });
+watcherEventSchema.index({ 'entity.id': 1, occurred_at: -1 });
+watcherEventSchema.index({ run_id: 1 });
+watcherEventSchema.index({
+  'deliveries.status': 1,
+  'deliveries.next_attempt_at': 1,
+});
+watcherEventSchema.index(
+  { occurred_at: 1 },
+  { expireAfterSeconds: JOBS.EVENTS.HISTORY_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model(
+  'WatcherEvent',
+  watcherEventSchema,
+  'watcher_events'
+);
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Partner webhook delivery log
+ *
+ * One document per watcher event queued for a partner endpoint. The
+ * delivery worker POSTs the payload, retrying with exponential backoff until
+ * the endpoint answers 2xx or the delivery is dead-lettered. Deliveries are
+ * kept for WEBHOOKS.HISTORY_DAYS and make up each endpoint's delivery log.
+ *
+ * KEY FIELDS
+ *
+ * MESSAGE
+ * - endpoint: WebhookEndpoint it is for
+ * - event: WatcherEvent it carries; event_type and dedupe_key copied from it
+ * - payload: JSON body, in the social webhook (postToSocial) shape
+ *
+ * DELIVERY
+ * - status: 'queued' → 'sending' (claimed by a worker) → 'sent'; back to
+ *   'queued' after a failed attempt, 'dead' after WEBHOOKS.MAX_ATTEMPTS
+ * - attempts: Delivery attempts so far
+ * - next_attempt_at: Queued deliveries are sent once this passes
+ * - locked_until: A 'sending' delivery past this is treated as abandoned
+ * - attempt_log: One entry per attempt (time, HTTP status or error,
+ *   duration)
+ * - sent_at / dead_at: When the endpoint accepted it or it was dead-lettered
+ * - last_error: Most recent failure
+ *
+ * @module models/WebhookDelivery
+ * @requires mongoose
+ * @requires ../constants
+ * @see {@link ../services/events/webhookService.js}
+ */
+
+const mongoose = require('mongoose');
+const { WEBHOOKS } = require('../constants');
+
+const { Schema } = mongoose;
+
+const attemptSchema = new Schema(
+  {
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, required: true },
+    status_code: { type: Number },
+    error: { type: String },
+    duration_ms: { type: Number },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new Schema(
+  {
+    endpoint: {
+      type: Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true,
+    },
+    event: { type: Schema.Types.ObjectId, ref: 'WatcherEvent', required: true },
+    event_type: { type: String, required: true },
+    dedupe_key: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ['queued', 'sending', 'sent', 'dead'],
+      default: 'queued',
+    },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    locked_until: { type: Date },
+    attempt_log: { type: [attemptSchema], default: [] },
+    last_error: { type: String },
+    sent_at: { type: Date },
+    dead_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ endpoint: 1, event: 1 }, { unique: true });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ status: 1, locked_until: 1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WEBHOOKS.HISTORY_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model(
+  'WebhookDelivery',
+  webhookDeliverySchema,
+  'webhook_deliveries'
+);
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Partner webhook endpoints
+ *
+ * One document per partner system that receives watcher events. Each new
+ * watcher event of a type the endpoint subscribes to is queued for it as a
+ * WebhookDelivery, signed with the endpoint's secret and retried until the
+ * endpoint accepts it.
+ *
+ * KEY FIELDS
+ *
+ * - name: Who the endpoint belongs to, for the admin API and logs
+ * - url: Where deliveries are POSTed (HTTPS)
+ * - secret: HMAC-SHA256 signing key; not selected by default and only shown
+ *   when the endpoint is created or the secret rotated
+ * - event_types: Watcher event types delivered (WEBHOOKS.EVENT_TYPES)
+ * - active: Inactive endpoints get no new deliveries; queued ones still go
+ * - created_by: Admin who registered it
+ *
+ * @module models/WebhookEndpoint
+ * @requires mongoose
+ * @requires ../constants
+ * @see {@link ../services/events/webhookService.js}
+ */
+
+const mongoose = require('mongoose');
+const { WEBHOOKS } = require('../constants');
+
+const { Schema } = mongoose;
+
+const webhookEndpointSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    url: { type: String, required: true },
+    secret: { type: String, required: true, select: false },
+    event_types: {
+      type: [{ type: String, enum: WEBHOOKS.EVENT_TYPES }],
+      default: [],
+    },
+    active: { type: Boolean, default: true },
+    created_by: { type: String },
+  },
+  { timestamps: true }
+);
+
+webhookEndpointSchema.index({ active: 1, event_types: 1 });
+
+module.exports = mongoose.model(
+  'WebhookEndpoint',
+  webhookEndpointSchema,
+  'webhook_endpoints'
+);
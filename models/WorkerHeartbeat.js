@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Worker heartbeats
+ *
+ * One document per running worker process (worker.js), refreshed every
+ * JOBS.WORKER.HEARTBEAT_MS. The web tier's /api/health reads these to report
+ * whether background jobs are being run. A worker removes its document on a
+ * clean shutdown; documents of workers that died expire after a day.
+ *
+ * KEY FIELDS
+ *
+ * - _id: hostname:pid of the worker
+ * - host / pid
+ * - started_at: When the worker booted
+ * - beat_at: Last heartbeat
+ * - running: Jobs this worker holds a lease on right now
+ * - version: Package version the worker runs
+ *
+ * @module models/WorkerHeartbeat
+ * @requires mongoose
+ * @see {@link ../jobs/heartbeat.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const workerHeartbeatSchema = new Schema({
+  _id: { type: String },
+  host: { type: String, required: true },
+  pid: { type: Number, required: true },
+  started_at: { type: Date, required: true },
+  beat_at: { type: Date, required: true },
+  running: { type: [String], default: [] },
+  version: { type: String },
+});
+
+workerHeartbeatSchema.index(
+  { beat_at: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model(
+  'WorkerHeartbeat',
+  workerHeartbeatSchema,
+  'worker_heartbeats'
+);
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview ZIP internal points
+ *
+ * One document per ZIP (ZCTA) with the Census internal point, loaded from the
+ * Census ZCTA Gazetteer file by scripts/load-district-boundaries.js. The
+ * local district resolver places a ZIP that lies in a single district by
+ * this point in the TIGER boundaries (services/civics/geocoder).
+ *
+ * KEY FIELDS
+ * - zip: Five-digit ZIP (ZCTA), unique
+ * - lat / lng: Internal point, WGS84 (INTPTLAT / INTPTLONG)
+ *
+ * @module models/ZipCentroid
+ * @requires mongoose
+ * @see {@link ../services/civics/geocoder.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const zipCentroidSchema = new Schema(
+  {
+    zip: { type: String, required: true },
+    lat: { type: Number, required: true, min: -90, max: 90 },
+    lng: { type: Number, required: true, min: -180, max: 180 },
+  },
+  { timestamps: true }
+);
+
+zipCentroidSchema.index({ zip: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+  'ZipCentroid',
+  zipCentroidSchema,
+  'zip_centroids'
+);
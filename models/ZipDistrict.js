@@ -0,0 +1,42 @@
+/**
+ * @fileoverview ZIP-to-district crosswalk
+ *
+ * One document per (ZIP, House seat) pair, loaded from the Census ZCTA
+ * relationship file or the HUD USPS ZIP crosswalk by
+ * scripts/load-district-boundaries.js. Most ZIPs fall in one district; a ZIP
+ * split across districts has one row per district, each with its share.
+ *
+ * KEY FIELDS
+ * - zip: Five-digit ZIP (or ZCTA)
+ * - state: Two-letter state of the district (a ZIP can cross a state line)
+ * - district / ocd_id: Seat, same shapes as Pol roles
+ * - share: Fraction of the ZIP in this district (0–1; residential ratio for
+ *   HUD, land area for Census)
+ *
+ * @module models/ZipDistrict
+ * @requires mongoose
+ * @see {@link ../services/civics/districtResolvers/localResolver.js}
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const zipDistrictSchema = new Schema(
+  {
+    zip: { type: String, required: true },
+    state: { type: String, required: true },
+    district: { type: String, required: true },
+    ocd_id: { type: String, required: true },
+    share: { type: Number, min: 0, max: 1, default: 1 },
+  },
+  { timestamps: true }
+);
+
+zipDistrictSchema.index({ zip: 1, ocd_id: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+  'ZipDistrict',
+  zipDistrictSchema,
+  'zip_districts'
+);
@@ -5,5 +5,19 @@ module.exports = {
   ExUser: require('./ExUser'),
   Applicant: require('./Applicant'),
   Celebration: require('./Celebration'),
+  RefreshToken: require('./RefreshToken'),
+  BtcAddress: require('./BtcAddress'),
+  EmailOutbox: require('./EmailOutbox'),
+  JobRun: require('./JobRun'),
+  JobLock: require('./JobLock'),
+  WorkerHeartbeat: require('./WorkerHeartbeat'),
+  WatcherEvent: require('./WatcherEvent'),
+  WebhookEndpoint: require('./WebhookEndpoint'),
+  WebhookDelivery: require('./WebhookDelivery'),
+  Candidate: require('./Candidate'),
+  StripeEvent: require('./StripeEvent'),
+  CongressionalDistrict: require('./CongressionalDistrict'),
+  ZipDistrict: require('./ZipDistrict'),
+  ZipCentroid: require('./ZipCentroid'),
   PfpImageErrorAlert: require('./PfpImageErrorAlert'),
 };
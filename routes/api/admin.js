@@ -0,0 +1,1001 @@
+/**
+ * @fileoverview Admin API routes for Celebration oversight
+ *
+ * Staff-only endpoints for finding Celebrations, reading their status ledgers
+ * and applying manual status actions, plus compliance exports and reviews.
+ * All routes require authentication and a staff role (see constants/admin);
+ * mutations also require a CSRF token.
+ *
+ * TABLE OF CONTENTS - API ENDPOINTS
+ *
+ * CELEBRATION OVERSIGHT
+ * ├── GET    /api/admin/celebrations                  - Search Celebrations
+ * ├── GET    /api/admin/celebrations/:id/ledger       - Full status ledger
+ * ├── POST   /api/admin/celebrations/:id/actions      - Pause, resume or defunct one
+ * └── POST   /api/admin/celebrations/bulk             - Bulk action with dry-run preview
+ *
+ * FEC EXPORT
+ * └── GET    /api/admin/fec/schedule-a                - Itemized contributions (JSON, CSV, .fec)
+ *
+ * BITCOIN PAC REVIEW
+ * ├── GET    /api/admin/btc/pac-reviews               - BTC contributions over the PAC limit
+ * └── POST   /api/admin/btc/pac-reviews/:id           - Mark one refunded or cleared
+ *
+ * BACKGROUND JOBS
+ * ├── GET    /api/admin/jobs                          - Registered jobs and their last run
+ * ├── GET    /api/admin/jobs/:name/runs               - Run history, newest first
+ * └── POST   /api/admin/jobs/:name/run                - Run a job now (optionally dry run)
+ *
+ * WATCHER EVENTS
+ * └── GET    /api/admin/events                        - Watcher activity feed, newest first
+ *
+ * PARTNER WEBHOOKS
+ * ├── GET    /api/admin/webhooks                      - Endpoints with delivery counts
+ * ├── POST   /api/admin/webhooks                      - Register an endpoint (returns its secret)
+ * ├── PUT    /api/admin/webhooks/:id                  - Change name, URL, event types or active flag
+ * ├── POST   /api/admin/webhooks/:id/secret           - Rotate the signing secret
+ * └── GET    /api/admin/webhooks/:id/deliveries       - Delivery log, newest first
+ *
+ * ROLES
+ * - Search and ledger: any staff role
+ * - Single actions: admin, compliance-reviewer
+ * - Bulk actions: admin
+ * - FEC export: admin, compliance-reviewer, auditor
+ * - BTC PAC review: admin, compliance-reviewer (list also auditor)
+ * - Jobs: admin (list and history also auditor)
+ * - Events: admin, auditor
+ * - Webhooks: admin (list and delivery log also auditor)
+ *
+ * AUDIT
+ * - Each action writes a ledger entry with triggered_by 'admin', the admin's
+ *   user ID and username, the required reason (metadata.admin_reason), optional
+ *   notes (metadata.admin_notes) and the request's IP, user agent and session
+ *
+ * @module routes/api/admin
+ * @requires joi
+ * @requires express
+ * @requires mongoose
+ * @requires ../../services/utils
+ * @requires ../../services/celebration/adminService
+ * @requires ../../services/celebration/fecExportService
+ * @requires ../../services/btc/paymentService
+ * @requires ../../jobs/jobRunner
+ * @requires ../../jobs/registry
+ * @requires ../../services/events/eventService
+ * @requires ../../services/events/webhookService
+ * @requires ../../constants
+ * @requires ../../constants/admin
+ * @requires ../../auth/tokenizer
+ * @requires ../../validation
+ * @requires ../../models
+ * @requires ./middleware/requireRole
+ */
+
+const Joi = require('joi'),
+  router = require('express').Router(),
+  mongoose = require('mongoose'),
+  AdminCelebrationService = require('../../services/celebration/adminService'),
+  FecExportService = require('../../services/celebration/fecExportService'),
+  {
+    listPacReviews,
+    resolvePacReview,
+  } = require('../../services/btc/paymentService'),
+  { startJob, listJobs } = require('../../jobs/jobRunner'),
+  { getJob } = require('../../jobs/registry'),
+  { listEvents, MAX_PAGE_SIZE } = require('../../services/events/eventService'),
+  WebhookService = require('../../services/events/webhookService'),
+  { JOBS, WEBHOOKS } = require('../../constants'),
+  logger = require('../../services/utils/logger')(__filename),
+  { csrfTokenValidator } = require('../../services/utils'),
+  { ROLES } = require('../../constants/admin'),
+  tokenizer = require('../../auth/tokenizer'),
+  { Celebration, User, JobRun } = require('../../models'),
+  { validate } = require('../../validation'),
+  schemas = require('../../validation'),
+  requireRole = require('./middleware/requireRole');
+
+const STAFF = [
+  ROLES.ADMIN,
+  ROLES.COMPLIANCE_REVIEWER,
+  ROLES.SUPPORT,
+  ROLES.AUDITOR,
+];
+
+const searchQuerySchema = schemas.adminCelebrationFilter.keys({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(AdminCelebrationService.MAX_PAGE_SIZE)
+    .default(25),
+});
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+
+const scheduleAQuerySchema = Joi.object({
+  from: Joi.string().pattern(DAY).required(),
+  to: Joi.string().pattern(DAY).required(),
+  candidate: Joi.string()
+    .trim()
+    .max(32)
+    .when('format', {
+      is: Joi.valid('csv', 'fec'),
+      then: Joi.required(),
+      otherwise: Joi.optional(),
+    }),
+  format: Joi.string().valid('json', 'csv', 'fec').default('json'),
+  committeeId: Joi.string()
+    .pattern(/^C\d{8}$/)
+    .optional(),
+});
+
+const pacReviewQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('flagged', 'refunded', 'cleared')
+    .default('flagged'),
+});
+
+const pacReviewResolutionSchema = Joi.object({
+  resolution: Joi.string().valid('refunded', 'cleared').required(),
+  notes: Joi.string().trim().max(2000).allow('').optional(),
+});
+
+const jobRunsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  status: Joi.string()
+    .valid('running', 'completed', 'failed', 'abandoned')
+    .optional(),
+});
+
+const jobRunSchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+const eventsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(25),
+  type: Joi.string()
+    .valid(...JOBS.EVENTS.TYPES)
+    .optional(),
+  action: Joi.string().trim().max(32).optional(),
+  entity: Joi.string().trim().max(64).optional(), // bioguide ID, FEC ID, bill ID, ...
+  job: Joi.string().trim().max(64).optional(),
+  runId: Joi.string().hex().length(24).optional(),
+  failed: Joi.boolean().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+});
+
+const webhookFields = {
+  name: Joi.string().trim().max(100),
+  url: Joi.string()
+    .uri({ scheme: ['https'] })
+    .max(2048),
+  eventTypes: Joi.array()
+    .items(Joi.string().valid(...WEBHOOKS.EVENT_TYPES))
+    .min(1)
+    .unique(),
+  active: Joi.boolean(),
+};
+
+const webhookCreateSchema = Joi.object({
+  ...webhookFields,
+  name: webhookFields.name.required(),
+  url: webhookFields.url.required(),
+  eventTypes: webhookFields.eventTypes.required(),
+});
+
+const webhookUpdateSchema = Joi.object(webhookFields).min(1);
+
+const webhookDeliveriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+  status: Joi.string().valid('queued', 'sending', 'sent', 'dead').optional(),
+  type: Joi.string()
+    .valid(...WEBHOOKS.EVENT_TYPES)
+    .optional(),
+});
+
+/**
+ * Builds the acting admin (ID, username, audit trail) from the request
+ * @param {Object} req - Express request (after tokenizer.guard)
+ * @returns {Promise<Object>} { id, name, auditTrail }
+ */
+async function getAdmin(req) {
+  const id = req.jwt.payload.sub;
+  const [user, sessionId] = await Promise.all([
+    User.findById(id).select('username').lean(),
+    tokenizer.getCurrentSessionId(req),
+  ]);
+  return {
+    id,
+    name: user?.username,
+    auditTrail: {
+      ip_address: req.ip,
+      user_agent: req.get('user-agent'),
+      session_id: sessionId || undefined,
+    },
+  };
+}
+
+/**
+ * Maps service errors to HTTP responses
+ * @param {Object} res - Express response
+ * @param {Error} err - Error thrown by AdminCelebrationService
+ * @returns {Object} Express response
+ */
+function sendActionError(res, err) {
+  if (err.message === 'reason-required') {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+  if (err.message === 'bulk-limit-exceeded') {
+    return res.status(400).json({
+      error: `More than ${AdminCelebrationService.MAX_BULK} Celebrations match; narrow the filter`,
+    });
+  }
+  if (err.message.startsWith('Invalid status transition')) {
+    return res.status(409).json({ error: err.message });
+  }
+  logger.error('Admin Celebration action failed', { error: err.message });
+  return res.status(500).json({ error: 'Action failed' });
+}
+
+/**
+ * GET /api/admin/celebrations
+ * Searches Celebrations, newest first (status ledgers omitted)
+ *
+ * @route GET /api/admin/celebrations
+ * @param {string} [status] - current_status
+ * @param {string} [pol] - pol_id or FEC_id
+ * @param {string} [bill] - bill_id
+ * @param {string} [donor] - Donor user ID, email or username
+ * @param {string} [from] - ISO date; created on or after
+ * @param {string} [to] - ISO date; created on or before
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=25] - Page size (max 100)
+ * @returns {Object} { items, total, page, pages, limit }
+ * @throws {400} Invalid query
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ *
+ * @example
+ * ```javascript
+ * GET /api/admin/celebrations?status=active&bill=hr1976-119&from=2025-01-01
+ * ```
+ */
+router.get(
+  '/celebrations',
+  tokenizer.guard(),
+  requireRole(...STAFF),
+  async (req, res) => {
+    const { error, value } = searchQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { page, limit, ...criteria } = value;
+    try {
+      res.json(
+        await AdminCelebrationService.search(
+          criteria,
+          { page, limit },
+          Celebration
+        )
+      );
+    } catch (err) {
+      logger.error('Admin Celebration search failed', { error: err.message });
+      res.status(500).json({ error: 'Search failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/celebrations/bulk
+ * Applies one action to every eligible Celebration matching a filter
+ *
+ * Defaults to a dry run that lists the eligible and ineligible Celebrations
+ * without changing anything; send `dryRun: false` to apply. At most 500
+ * Celebrations may match per request, previewed or applied.
+ *
+ * @route POST /api/admin/celebrations/bulk
+ * @param {Object} body.filter - Non-empty search criteria (as for search)
+ * @param {string} body.action - 'pause' | 'resume' | 'defunct'
+ * @param {string} body.reason - Reason recorded on every ledger entry
+ * @param {string} [body.notes] - Admin notes
+ * @param {boolean} [body.dryRun=true] - Preview only
+ * @returns {Object} Preview, or { succeeded, failed } when applied
+ * @throws {400} Too many matches
+ * @throws {401} Unauthorized
+ * @throws {403} Validation error or insufficient role
+ *
+ * @example
+ * ```javascript
+ * POST /api/admin/celebrations/bulk
+ * {
+ *   "filter": { "bill": "hr1976-119", "status": "active" },
+ *   "action": "pause",
+ *   "reason": "Bill text under review",
+ *   "dryRun": true
+ * }
+ * ```
+ */
+router.post(
+  '/celebrations/bulk',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN),
+  validate(schemas.adminCelebrationBulk),
+  async (req, res) => {
+    const { filter, action, reason, notes, dryRun } = req.body;
+    try {
+      res.json(
+        await AdminCelebrationService.bulkAction(
+          filter,
+          action,
+          reason,
+          await getAdmin(req),
+          { dryRun, notes },
+          Celebration
+        )
+      );
+    } catch (err) {
+      sendActionError(res, err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/celebrations/:id/ledger
+ * Returns a Celebration's full status ledger, oldest entry first
+ *
+ * @route GET /api/admin/celebrations/:id/ledger
+ * @param {string} id - Celebration ID
+ * @returns {Object} { celebrationId, current_status, total_changes, status_duration, status_ledger }
+ * @throws {400} Invalid ID
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ * @throws {404} Celebration not found
+ */
+router.get(
+  '/celebrations/:id/ledger',
+  tokenizer.guard(),
+  requireRole(...STAFF),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid Celebration ID' });
+    }
+    try {
+      const ledger = await AdminCelebrationService.getLedger(
+        req.params.id,
+        Celebration
+      );
+      if (!ledger) {
+        return res.status(404).json({ error: 'Celebration not found' });
+      }
+      res.json(ledger);
+    } catch (err) {
+      logger.error('Admin ledger lookup failed', { error: err.message });
+      res.status(500).json({ error: 'Ledger lookup failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/celebrations/:id/actions
+ * Pauses, resumes or makes defunct one Celebration
+ *
+ * Defunct also cancels the Celebration's payment intent.
+ *
+ * @route POST /api/admin/celebrations/:id/actions
+ * @param {string} id - Celebration ID
+ * @param {string} body.action - 'pause' | 'resume' | 'defunct'
+ * @param {string} body.reason - Reason recorded on the ledger entry
+ * @param {string} [body.notes] - Admin notes
+ * @returns {Object} Status change result
+ * @throws {400} Invalid ID
+ * @throws {401} Unauthorized
+ * @throws {403} Validation error or insufficient role
+ * @throws {404} Celebration not found
+ * @throws {409} Action not allowed from the current status
+ */
+router.post(
+  '/celebrations/:id/actions',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.COMPLIANCE_REVIEWER),
+  validate(schemas.adminCelebrationAction),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid Celebration ID' });
+    }
+    const { action, reason, notes } = req.body;
+    try {
+      const celebration = await Celebration.findById(req.params.id);
+      if (!celebration) {
+        return res.status(404).json({ error: 'Celebration not found' });
+      }
+      res.json(
+        await AdminCelebrationService.applyAction(
+          celebration,
+          action,
+          reason,
+          await getAdmin(req),
+          { notes },
+          Celebration
+        )
+      );
+    } catch (err) {
+      sendActionError(res, err);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/fec/schedule-a
+ * Schedule A-style itemization of resolved, settled Celebrations
+ *
+ * Aggregates each contributor's year-to-date total per recipient and itemizes
+ * contributions once it exceeds $200. JSON covers every recipient (or one);
+ * CSV and .fec are per recipient, so `candidate` is required for them.
+ *
+ * @route GET /api/admin/fec/schedule-a
+ * @param {string} from - First day, YYYY-MM-DD (Eastern Time)
+ * @param {string} to - Last day, YYYY-MM-DD (Eastern Time)
+ * @param {string} [candidate] - Recipient FEC_id
+ * @param {string} [format=json] - 'json' | 'csv' | 'fec'
+ * @param {string} [committeeId] - Filer committee ID for .fec records
+ *   (defaults to the recipient's committee)
+ * @returns {Object|string} Report JSON, or a CSV/.fec attachment
+ * @throws {400} Invalid query, or .fec for a recipient with no committee ID
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ *
+ * @example
+ * ```javascript
+ * GET /api/admin/fec/schedule-a?candidate=H8CA12345&from=2025-01-01&to=2025-03-31&format=csv
+ * ```
+ */
+router.get(
+  '/fec/schedule-a',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.COMPLIANCE_REVIEWER, ROLES.AUDITOR),
+  async (req, res) => {
+    const { error, value } = scheduleAQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { from, to, candidate, format, committeeId } = value;
+    try {
+      const report = await FecExportService.buildReport(
+        { from, to, candidate },
+        Celebration
+      );
+      logger.info(
+        `FEC Schedule A ${format} export by ${req.jwt.payload.sub} (${candidate || 'all recipients'}, ${from}..${to})`
+      );
+
+      if (format === 'json') return res.json(report);
+
+      const recipient = report.recipients[0] || {
+        fec_id: candidate,
+        itemized: [],
+      };
+      const filename = `schedule-a_${candidate}_${from}_${to}.${format}`;
+      res
+        .set('Content-Disposition', `attachment; filename="${filename}"`)
+        .type(format === 'csv' ? 'text/csv' : 'text/plain')
+        .send(
+          format === 'csv'
+            ? FecExportService.toCsv(recipient)
+            : FecExportService.toFec(recipient, { committeeId })
+        );
+    } catch (err) {
+      if (err.message === 'invalid-date-range') {
+        return res.status(400).json({ error: '"to" must not precede "from"' });
+      }
+      if (err.message === 'missing-committee-id') {
+        return res.status(400).json({
+          error: 'Recipient has no committee ID; pass "committeeId"',
+        });
+      }
+      logger.error('FEC Schedule A export failed', { error: err.message });
+      res.status(500).json({ error: 'Export failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/btc/pac-reviews
+ * Bitcoin contributions that pushed a user past the annual PAC limit
+ *
+ * Each entry is a BtcAddress ledger document; pac_review.excess_usd is the
+ * amount over the limit, and each payment records its USD rate and source.
+ *
+ * @route GET /api/admin/btc/pac-reviews
+ * @param {string} [status=flagged] - 'flagged' | 'refunded' | 'cleared'
+ * @returns {Object} { items }
+ * @throws {400} Invalid query
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ */
+router.get(
+  '/btc/pac-reviews',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.COMPLIANCE_REVIEWER, ROLES.AUDITOR),
+  async (req, res) => {
+    const { error, value } = pacReviewQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    try {
+      res.json({ items: await listPacReviews(value.status) });
+    } catch (err) {
+      logger.error('BTC PAC review list failed', { error: err.message });
+      res.status(500).json({ error: 'Lookup failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/btc/pac-reviews/:id
+ * Resolves a flagged over-limit Bitcoin contribution
+ *
+ * 'refunded' records that the excess was returned and removes it from the
+ * user's PAC aggregate; 'cleared' keeps the full amount counted.
+ *
+ * @route POST /api/admin/btc/pac-reviews/:id
+ * @param {string} id - BtcAddress ID
+ * @param {string} body.resolution - 'refunded' | 'cleared'
+ * @param {string} [body.notes] - Reviewer notes (e.g. refund txid)
+ * @returns {Object} Updated ledger entry
+ * @throws {400} Invalid ID or body
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ * @throws {404} Entry not found
+ * @throws {409} Entry is not awaiting review
+ */
+router.post(
+  '/btc/pac-reviews/:id',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.COMPLIANCE_REVIEWER),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+    const { error, value } = pacReviewResolutionSchema.validate(req.body, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    try {
+      const record = await resolvePacReview(req.params.id, value.resolution, {
+        id: req.jwt.payload.sub,
+        notes: value.notes,
+      });
+      if (!record) return res.status(404).json({ error: 'Entry not found' });
+      res.json(record);
+    } catch (err) {
+      if (err.message === 'not-flagged') {
+        return res.status(409).json({ error: 'Entry is not awaiting review' });
+      }
+      logger.error('BTC PAC review failed', { error: err.message });
+      res.status(500).json({ error: 'Review failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/jobs
+ * Lists registered background jobs with their last run
+ *
+ * @route GET /api/admin/jobs
+ * @returns {Object} { items: [{ name, description, schedule, after, supportsDryRun, lastRun, runningOn }] }
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ */
+router.get(
+  '/jobs',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.AUDITOR),
+  async (req, res) => {
+    try {
+      res.json({ items: await listJobs() });
+    } catch (err) {
+      logger.error('Job list failed', { error: err.message });
+      res.status(500).json({ error: 'Lookup failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history of one job, newest first
+ *
+ * @route GET /api/admin/jobs/:name/runs
+ * @param {string} name - Registry name, e.g. 'billWatcher'
+ * @param {string} [status] - 'running' | 'completed' | 'failed' | 'abandoned'
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=25] - Page size (max 100)
+ * @returns {Object} { items, total, page, pages, limit }
+ * @throws {400} Invalid query
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ * @throws {404} Unknown job
+ */
+router.get(
+  '/jobs/:name/runs',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.AUDITOR),
+  async (req, res) => {
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({ error: 'Unknown job' });
+    }
+    const { error, value } = jobRunsQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { page, limit, status } = value;
+    const query = { job: req.params.name, ...(status && { status }) };
+    try {
+      const [items, total] = await Promise.all([
+        JobRun.find(query)
+          .sort({ started_at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        JobRun.countDocuments(query),
+      ]);
+      res.json({
+        items,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit,
+      });
+    } catch (err) {
+      logger.error('Job run history failed', { error: err.message });
+      res.status(500).json({ error: 'Lookup failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Starts a registered job now, with the same lease and run history as a
+ * scheduled run. Responds once the run has started; poll the run history
+ * for its outcome.
+ *
+ * @route POST /api/admin/jobs/:name/run
+ * @param {string} name - Registry name, e.g. 'settlementWatcher'
+ * @param {boolean} [body.dryRun=false] - Report without writing (where supported)
+ * @returns {Object} 202 with the 'running' JobRun
+ * @throws {400} Invalid body or dry run not supported
+ * @throws {401} Unauthorized
+ * @throws {403} Validation error or insufficient role
+ * @throws {404} Unknown job
+ * @throws {409} Job is already running
+ *
+ * @example
+ * ```javascript
+ * POST /api/admin/jobs/settlementWatcher/run
+ * { "dryRun": true }
+ * ```
+ */
+router.post(
+  '/jobs/:name/run',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN),
+  async (req, res) => {
+    const { name } = req.params;
+    if (!getJob(name)) {
+      return res.status(404).json({ error: 'Unknown job' });
+    }
+    const { error, value } = jobRunSchema.validate(req.body || {}, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const admin = await getAdmin(req);
+      const started = await startJob(name, {
+        dryRun: value.dryRun,
+        trigger: 'manual',
+        requestedBy: admin.name || admin.id,
+      });
+      if (started.skipped) {
+        return res.status(409).json({
+          error: `${name} is already running on ${started.holder}`,
+          runId: started.runId,
+        });
+      }
+      started.finished.catch((err) =>
+        logger.error(`Manual ${name} run failed`, { error: err.message })
+      );
+      logger.info(`Admin ${admin.id} started ${name}`, {
+        runId: started.run._id,
+        dryRun: value.dryRun,
+      });
+      res.status(202).json(started.run);
+    } catch (err) {
+      if (err.message === 'dry-run-unsupported') {
+        return res
+          .status(400)
+          .json({ error: `${name} does not support dry runs` });
+      }
+      logger.error('Manual job run failed', { error: err.message });
+      res.status(500).json({ error: 'Run failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/events
+ * Watcher activity feed: what each watcher noticed, the run that noticed
+ * it and how each subscriber (email, social, SMS) delivered it
+ *
+ * @route GET /api/admin/events
+ * @param {string} [type] - Event type, e.g. 'bill_status' (JOBS.EVENTS.TYPES)
+ * @param {string} [action] - e.g. 'added', 'removed', 'updated'
+ * @param {string} [entity] - Entity ID (bioguide ID, FEC ID, bill ID, ...)
+ * @param {string} [job] - Registry name of the emitting job
+ * @param {string} [runId] - JobRun ID
+ * @param {boolean} [failed] - Only events with a failed delivery
+ * @param {string} [from] - ISO date, occurred on or after
+ * @param {string} [to] - ISO date, occurred on or before
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=25] - Page size (max 100)
+ * @returns {Object} { items, total, page, pages, limit }
+ * @throws {400} Invalid query
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ *
+ * @example
+ * ```javascript
+ * GET /api/admin/events?type=challengers&failed=true
+ * ```
+ */
+router.get(
+  '/events',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.AUDITOR),
+  async (req, res) => {
+    const { error, value } = eventsQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { page, limit, ...filters } = value;
+    try {
+      res.json(await listEvents(filters, { page, limit }));
+    } catch (err) {
+      logger.error('Event feed failed', { error: err.message });
+      res.status(500).json({ error: 'Lookup failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/webhooks
+ * Lists partner webhook endpoints (without secrets) with delivery counts
+ *
+ * @route GET /api/admin/webhooks
+ * @returns {Object} { items: [{ _id, name, url, event_types, active, deliveries: { queued, sent, dead, ... } }] }
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ */
+router.get(
+  '/webhooks',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.AUDITOR),
+  async (req, res) => {
+    try {
+      res.json({ items: await WebhookService.listEndpoints() });
+    } catch (err) {
+      logger.error('Webhook endpoint list failed', { error: err.message });
+      res.status(500).json({ error: 'Lookup failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/webhooks
+ * Registers a partner webhook endpoint. The signing secret is in this
+ * response only; share it with the partner.
+ *
+ * @route POST /api/admin/webhooks
+ * @param {string} body.name - Partner name
+ * @param {string} body.url - HTTPS URL deliveries are POSTed to
+ * @param {string[]} body.eventTypes - Event types to deliver (WEBHOOKS.EVENT_TYPES)
+ * @param {boolean} [body.active=true]
+ * @returns {Object} 201 with the endpoint and its secret
+ * @throws {400} Invalid body
+ * @throws {401} Unauthorized
+ * @throws {403} Validation error or insufficient role
+ *
+ * @example
+ * ```javascript
+ * POST /api/admin/webhooks
+ * { "name": "Civic Alerts", "url": "https://hooks.example.org/powerback", "eventTypes": ["bill_status", "session_end"] }
+ * ```
+ */
+router.post(
+  '/webhooks',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN),
+  async (req, res) => {
+    const { error, value } = webhookCreateSchema.validate(req.body || {}, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const admin = await getAdmin(req);
+      const endpoint = await WebhookService.createEndpoint(
+        value,
+        admin.name || admin.id
+      );
+      logger.info(`Admin ${admin.id} registered webhook ${endpoint._id}`);
+      res.status(201).json(endpoint);
+    } catch (err) {
+      logger.error('Webhook registration failed', { error: err.message });
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/webhooks/:id
+ * Changes an endpoint's name, URL, event types or active flag. Deactivating
+ * stops new deliveries; queued ones are still sent.
+ *
+ * @route PUT /api/admin/webhooks/:id
+ * @param {string} id - WebhookEndpoint ID
+ * @param {string} [body.name]
+ * @param {string} [body.url]
+ * @param {string[]} [body.eventTypes]
+ * @param {boolean} [body.active]
+ * @returns {Object} Updated endpoint
+ * @throws {400} Invalid ID or body
+ * @throws {401} Unauthorized
+ * @throws {403} Validation error or insufficient role
+ * @throws {404} Endpoint not found
+ */
+router.put(
+  '/webhooks/:id',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    const { error, value } = webhookUpdateSchema.validate(req.body || {}, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const endpoint = await WebhookService.updateEndpoint(
+        req.params.id,
+        value
+      );
+      if (!endpoint) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      logger.info(`Webhook ${req.params.id} updated`, {
+        fields: Object.keys(value),
+      });
+      res.json(endpoint);
+    } catch (err) {
+      logger.error('Webhook update failed', { error: err.message });
+      res.status(500).json({ error: 'Update failed' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/webhooks/:id/secret
+ * Replaces an endpoint's signing secret. Deliveries sent from now on,
+ * including retries, are signed with the new one.
+ *
+ * @route POST /api/admin/webhooks/:id/secret
+ * @param {string} id - WebhookEndpoint ID
+ * @returns {Object} Endpoint with its new secret
+ * @throws {400} Invalid ID
+ * @throws {401} Unauthorized
+ * @throws {403} Validation error or insufficient role
+ * @throws {404} Endpoint not found
+ */
+router.post(
+  '/webhooks/:id/secret',
+  csrfTokenValidator(),
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    try {
+      const endpoint = await WebhookService.rotateSecret(req.params.id);
+      if (!endpoint) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json(endpoint);
+    } catch (err) {
+      logger.error('Webhook secret rotation failed', { error: err.message });
+      res.status(500).json({ error: 'Rotation failed' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/webhooks/:id/deliveries
+ * One endpoint's delivery log, newest first, with every attempt's HTTP
+ * status or error
+ *
+ * @route GET /api/admin/webhooks/:id/deliveries
+ * @param {string} id - WebhookEndpoint ID
+ * @param {string} [status] - 'queued' | 'sending' | 'sent' | 'dead'
+ * @param {string} [type] - Event type
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit=25] - Page size (max 100)
+ * @returns {Object} { items, total, page, pages, limit }
+ * @throws {400} Invalid ID or query
+ * @throws {401} Unauthorized
+ * @throws {403} Insufficient role
+ */
+router.get(
+  '/webhooks/:id/deliveries',
+  tokenizer.guard(),
+  requireRole(ROLES.ADMIN, ROLES.AUDITOR),
+  async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+    const { error, value } = webhookDeliveriesQuerySchema.validate(req.query, {
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { page, limit, ...filters } = value;
+    try {
+      res.json(
+        await WebhookService.listDeliveries(req.params.id, filters, {
+          page,
+          limit,
+        })
+      );
+    } catch (err) {
+      logger.error('Webhook delivery log failed', { error: err.message });
+      res.status(500).json({ error: 'Lookup failed' });
+    }
+  }
+);
+
+module.exports = router;
@@ -8,15 +8,23 @@
  *
  * Security: No authentication required - BTC addresses are public donation addresses
  * meant to be shared. Rate limiting prevents abuse of address generation.
+ * Signed-in requests are attributed to the user in the address ledger.
  *
  * @module routes/api/btc
  * @requires express
  * @requires express-rate-limit
+ * @requires ../../auth/tokenizer
+ * @requires ../../models
+ * @requires ../../validation
  * @requires ../../services/btc/addressService
  */
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
+const tokenizer = require('../../auth/tokenizer');
+const { Celebration } = require('../../models');
+const { validate } = require('../../validation'),
+  schemas = require('../../validation');
 const { getBTCAddress } = require('../../services/btc/addressService');
 
 const router = express.Router();
@@ -39,7 +47,14 @@ const limiter = rateLimit({
  * Security: No authentication required - Bitcoin addresses are public donation
  * addresses meant to be shared. Rate limiting prevents abuse of address generation.
  *
+ * Each address is recorded in the address ledger with its purpose. When the
+ * request carries a valid token the ledger entry is attributed to the user
+ * (who is thanked by email once a payment confirms), and celebrationId is kept
+ * only if that Celebration belongs to the user.
+ *
  * @route POST /api/btc/address
+ * @param {string} [req.body.purpose='support'] - 'support' | 'tip'
+ * @param {string} [req.body.celebrationId] - Celebration the address is shown with
  * @returns {Object} Bitcoin address response
  * @returns {string} response.address - Generated Bitcoin address
  * @throws {500} Error generating Bitcoin address
@@ -47,6 +62,7 @@ const limiter = rateLimit({
  * @example
  * ```javascript
  * POST /api/btc/address
+ * { "purpose": "support" }
  *
  * // Success response
  * {
@@ -54,13 +70,32 @@ const limiter = rateLimit({
  * }
  * ```
  */
-router.post('/address', limiter, async (req, res, next) => {
-  try {
-    const address = await getBTCAddress();
-    res.status(200).json({ address });
-  } catch (err) {
-    next(err);
+router.post(
+  '/address',
+  limiter,
+  tokenizer.identify(),
+  validate(schemas.btcAddress),
+  async (req, res, next) => {
+    try {
+      const userId = req.jwt?.payload?.sub ?? null;
+      const { purpose, celebrationId } = req.body;
+
+      const ownsCelebration =
+        userId && celebrationId
+          ? await Celebration.exists({ _id: celebrationId, donatedBy: userId })
+          : null;
+
+      const address = await getBTCAddress({
+        userId,
+        celebrationId: ownsCelebration ? celebrationId : null,
+        purpose,
+        source: 'api',
+      });
+      res.status(200).json({ address });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 module.exports = router;
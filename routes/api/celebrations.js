@@ -10,11 +10,15 @@
  * CELEBRATION CREATION & MANAGEMENT
  * ├── POST   /api/celebrations/                    - Create new celebration with FEC validation
  * ├── GET    /api/celebrations/user/:userId        - Get all celebrations for a user
+ * ├── GET    /api/celebrations/user/:userId/history - Filtered, sorted, paginated history
+ * ├── GET    /api/celebrations/user/:userId/export - History as CSV, JSON or PDF download
+ * ├── GET    /api/celebrations/user/:userId/statement/:year - Year-end statement (PDF or HTML)
  * ├── PATCH  /api/celebrations/:celebrationId      - Resolve celebration (release funds)
  * └── POST   /api/celebrations/receipt             - Generate celebration receipt
  *
  * ESCROW & AGGREGATION
- * └── GET    /api/celebrations/escrow              - Get aggregated escrow data by politician
+ * ├── GET    /api/celebrations/escrow              - Get aggregated escrow data by politician
+ * └── GET    /api/celebrations/stats/:view         - Get cached pledge totals, weekly series or leaderboard
  *
  * KEY FEATURES
  * - Modularized celebration creation using orchestration service
@@ -49,6 +53,7 @@
  * @requires ../../auth/tokenizer
  * @requires ../../validation
  * @requires ../../models
+ * @requires ./middleware/guardOwnership
  */
 
 const router = require('express').Router();
@@ -61,7 +66,8 @@ const {
   { rateLimiters } = require('../../services/utils'),
   tokenizer = require('../../auth/tokenizer'),
   { validate } = require('../../validation'),
-  schemas = require('../../validation');
+  schemas = require('../../validation'),
+  guardOwnership = require('./middleware/guardOwnership');
 
 const celebrationLimiter = rateLimiters.celebrations;
 
@@ -182,6 +188,102 @@ router
     Controller.byUserId(req, res, Celebration)
   );
 
+/**
+ * GET /api/celebrations/user/:userId/history
+ * Retrieves one page of the signed-in user's celebrations
+ *
+ * Filters and sorting run in the database, and the response carries the
+ * count and donation total of the whole filtered set, so the Account
+ * Celebrations pane loads a page at a time.
+ *
+ * @route GET /api/celebrations/user/:userId/history
+ * @param {string} userId - User ID (must be the signed-in user)
+ * @query {string} [status] - active | paused | resolved | defunct
+ * @query {string} [pol] - pol_id or FEC_id
+ * @query {string} [bill] - bill_id
+ * @query {string} [q] - Pol name contains
+ * @query {string} [from] - ISO date, created on or after
+ * @query {string} [to] - ISO date, created on or before
+ * @query {string} [sort=newest] - newest | oldest | largest | smallest
+ * @query {number} [page=1] - Page number
+ * @query {number} [limit=25] - Page size (max 100)
+ * @returns {Object} { items, total, page, pages, limit, sort, donation_total }
+ * @throws {401} Unauthorized
+ * @throws {403} Another user's history, or invalid query parameter
+ *
+ * @example
+ * ```javascript
+ * GET /api/celebrations/user/507f1f77bcf86cd799439011/history?status=active&sort=largest
+ *
+ * // Response
+ * {
+ *   "items": [{ "_id": "celebration123", "donation": 100, ... }],
+ *   "total": 1,
+ *   "page": 1,
+ *   "pages": 1,
+ *   "limit": 25,
+ *   "sort": "largest",
+ *   "donation_total": 100
+ * }
+ * ```
+ */
+router
+  .route('/user/:userId/history')
+  .get(
+    tokenizer.guard(),
+    guardOwnership(),
+    validate(schemas.celebrationHistoryPage, 'query'),
+    (req, res) => Controller.history(req, res, Celebration)
+  );
+
+/**
+ * GET /api/celebrations/user/:userId/export
+ * Downloads the signed-in user's celebrations
+ *
+ * Takes the same filters and sort as /history. Each record includes the
+ * donor information captured when the donation was made and the status
+ * timeline (date, from, to, reason).
+ *
+ * @route GET /api/celebrations/user/:userId/export
+ * @param {string} userId - User ID (must be the signed-in user)
+ * @query {string} [format=csv] - csv | json | pdf
+ * @returns {File} Attachment (text/csv, application/json or application/pdf)
+ * @throws {401} Unauthorized
+ * @throws {403} Another user's history, or invalid query parameter
+ * @throws {413} Too many celebrations match; narrow the filters
+ */
+router
+  .route('/user/:userId/export')
+  .get(
+    tokenizer.guard(),
+    guardOwnership(),
+    validate(schemas.celebrationHistoryExport, 'query'),
+    (req, res) => Controller.exportHistory(req, res, Celebration)
+  );
+
+/**
+ * GET /api/celebrations/user/:userId/statement/:year
+ * Downloads the signed-in user's year-end contribution statement
+ *
+ * The same statement is emailed each January: Celebrations created,
+ * delivered (with the recipient committee) and gone defunct in the year,
+ * tips counted toward the PAC annual limit, and remaining limits.
+ *
+ * @route GET /api/celebrations/user/:userId/statement/:year
+ * @param {string} userId - User ID (must be the signed-in user)
+ * @param {number} year - Calendar year (2020 through the current year)
+ * @query {string} [format=pdf] - pdf | html
+ * @returns {File|string} PDF attachment, or the statement email's HTML
+ * @throws {400} Invalid year or format
+ * @throws {401} Unauthorized
+ * @throws {403} Another user's statement
+ */
+router
+  .route('/user/:userId/statement/:year')
+  .get(tokenizer.guard(), guardOwnership(), (req, res) =>
+    Controller.statement(req, res, Celebration, User, Pol)
+  );
+
 /**
  * GET /api/celebrations/escrow
  * Retrieves aggregated escrow data for all celebrations
@@ -206,6 +308,47 @@ router
   .route('/escrow')
   .get((req, res) => Controller.escrowed(req, res, Celebration));
 
+/**
+ * GET /api/celebrations/stats/:view
+ * Retrieves aggregated pledge stats
+ *
+ * Totals are computed with Mongo aggregations and cached briefly in memory;
+ * the cache is cleared whenever a Celebration is created or changes status.
+ * Responses carry a matching public Cache-Control header.
+ *
+ * Views:
+ * - pols: { pol_id, pol_name, recipient_type, donation, count } per recipient
+ * - states: { state, donation, count } per recipient state
+ * - parties: { party, donation, count } per recipient party
+ * - bills: { bill_id, donation, count } per bill
+ * - weekly: { week_start, donation, count } per ISO week (Monday, UTC)
+ * - leaderboard: top rows of another view with a 1-based `rank`
+ *
+ * The endpoint is publicly accessible and does not require authentication.
+ *
+ * @route GET /api/celebrations/stats/:view
+ * @param {string} req.params.view - pols | states | parties | bills | weekly | leaderboard
+ * @param {string} [req.query.status] - Celebration status or 'all' (default 'active')
+ * @param {number} [req.query.weeks] - Weekly view: 1-104 (default 12)
+ * @param {string} [req.query.by] - Leaderboard: pols | states | parties | bills (default pols)
+ * @param {number} [req.query.limit] - Leaderboard: 1-100 (default 10)
+ * @returns {Array} Array of stats rows, largest donation total first
+ * @throws {400} Unknown view or invalid query parameter
+ * @example
+ * ```javascript
+ * GET /api/celebrations/stats/leaderboard?by=states&limit=3
+ *
+ * [
+ *   { rank: 1, state: "NY", donation: 1500, count: 15 },
+ *   { rank: 2, state: "CA", donation: 900, count: 12 },
+ *   { rank: 3, state: "TX", donation: 400, count: 4 }
+ * ]
+ * ```
+ */
+router
+  .route('/stats/:view')
+  .get((req, res) => Controller.stats(req, res, Celebration));
+
 /**
  * PATCH /api/celebrations/:celebrationId
  * Resolves a celebration (releases escrowed funds)
@@ -9,7 +9,8 @@
  * TABLE OF CONTENTS - API ENDPOINTS
  *
  * CONGRESSIONAL DATA
- * ├── GET    /api/congress/                         - Get all politicians/congressional members
+ * ├── GET    /api/congress/                         - Get selectable politicians (House and Senate)
+ * ├── GET    /api/congress/candidates               - Get active challenger and open-seat candidates
  * ├── GET    /api/congress/members/:pol             - Get specific politician information
  * └── GET    /api/congress/election-dates           - Get election dates with fallback support
  *
@@ -44,7 +45,7 @@ const fs = require('fs'),
   { getSnapshotsDir } = require('../../constants/paths'),
   Controller = require('../../controller/congress'),
   tokenizer = require('../../auth/tokenizer'),
-  { Pol } = require('../../models'),
+  { Pol, Candidate } = require('../../models'),
   logger = require('../../services/utils/logger')(__filename);
 
 /**
@@ -91,12 +92,23 @@ function loadStatutoryGeneralElectionDate() {
  *
  * The endpoint is publicly accessible and does not require authentication.
  *
+ * Query Parameters:
+ * - chamber: Optional 'house' or 'senate' to list one chamber only
+ * - ocd_id: Optional OCD division id (e.g. from an address lookup). Returns
+ *   the House member for that district plus the state's senators, whose
+ *   roles carry the state-only id `ocd-division/country:us/state:xx`
+ *
  * @route GET /api/congress
+ * @param {string} [req.query.chamber] - 'house' | 'senate'
+ * @param {string} [req.query.ocd_id] - District or state OCD division id
  * @returns {Array<Object>} Array of politician objects
+ * @throws {400} Invalid chamber or ocd_id
  *
  * @example
  * ```javascript
  * GET /api/congress
+ * GET /api/congress?chamber=senate
+ * GET /api/congress?ocd_id=ocd-division/country:us/state:ny/cd:14
  *
  * // Response
  * [
@@ -122,6 +134,64 @@ function loadStatutoryGeneralElectionDate() {
  */
 router.route('/').get((req, res) => Controller.getPols(req, res, Pol));
 
+/**
+ * GET /api/congress/candidates
+ * Retrieves active non-incumbent candidates (challengers and open seats)
+ *
+ * Candidates are synced from OpenFEC by challengersWatcher and can receive
+ * Celebrations like sitting members. They have no bioguide id, so `id` is the
+ * FEC candidate id; pass it as `pol_id` when creating a Celebration. Each
+ * entry has `recipient_type: 'candidate'` and the same `roles[0]` shape as
+ * GET /api/congress.
+ *
+ * The endpoint is publicly accessible and does not require authentication.
+ *
+ * Query Parameters:
+ * - chamber: Optional 'house' or 'senate'
+ * - state: Optional two-letter state code
+ * - ocd_id: Optional OCD division id; returns that district's House race plus
+ *   the state's Senate race
+ * - q: Optional name fragment
+ *
+ * @route GET /api/congress/candidates
+ * @param {string} [req.query.chamber] - 'house' | 'senate'
+ * @param {string} [req.query.state] - Two-letter state code
+ * @param {string} [req.query.ocd_id] - District or state OCD division id
+ * @param {string} [req.query.q] - Name fragment
+ * @returns {Array<Object>} Array of candidate parade members
+ * @throws {400} Invalid chamber, state, ocd_id or q
+ *
+ * @example
+ * ```javascript
+ * GET /api/congress/candidates?ocd_id=ocd-division/country:us/state:ny/cd:14
+ *
+ * // Response
+ * [
+ *   {
+ *     "id": "H4NY14123",
+ *     "recipient_type": "candidate",
+ *     "first_name": "Jane",
+ *     "last_name": "Doe",
+ *     "party": "REP",
+ *     "in_office": false,
+ *     "has_stakes": true,
+ *     "roles": [
+ *       {
+ *         "chamber": "House",
+ *         "state": "NY",
+ *         "district": "14",
+ *         "ocd_id": "ocd-division/country:us/state:ny/cd:14",
+ *         "fec_candidate_id": "H4NY14123"
+ *       }
+ *     ]
+ *   }
+ * ]
+ * ```
+ */
+router
+  .route('/candidates')
+  .get((req, res) => Controller.getCandidates(req, res, Candidate));
+
 /**
  * GET /api/congress/members/:pol
  * Retrieves detailed information for a specific politician
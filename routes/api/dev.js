@@ -7,10 +7,10 @@
 const { nanoid } = require('nanoid');
 const router = require('express').Router();
 const { User, Pol, Celebration } = require('../../models');
-const { isAdmin } = require('../../constants/admin');
+const { ROLES } = require('../../constants/admin');
 const tokenizer = require('../../auth/tokenizer');
-
 const logger = require('../../services/utils/logger')(__filename);
+const requireRole = require('./middleware/requireRole');
 
 function ensureNonProduction(req, res) {
   if (process.env.NODE_ENV === 'production') {
@@ -33,13 +33,6 @@ function assertSelf(userIdFromBody, authUserId) {
   return String(userIdFromBody) === String(authUserId);
 }
 
-function requireAdmin(req, res, next) {
-  if (!isAdmin(req.jwt?.payload?.sub)) {
-    return res.status(403).json({ error: 'Admin privileges required' });
-  }
-  next();
-}
-
 function generateIdempotencyKey() {
   return nanoid();
 }
@@ -78,7 +71,7 @@ router.post(
   '/celebrations/seed',
   requireLocalhost,
   tokenizer.guard(),
-  requireAdmin,
+  requireRole(ROLES.ADMIN),
   async (req, res) => {
     try {
       if (ensureNonProduction(req, res)) return;
@@ -220,7 +213,7 @@ router.post(
   '/celebrations/clear',
   requireLocalhost,
   tokenizer.guard(),
-  requireAdmin,
+  requireRole(ROLES.ADMIN),
   async (req, res) => {
     try {
       if (ensureNonProduction(req, res)) return;
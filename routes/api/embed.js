@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Embed API routes for the public escrow widget
+ *
+ * Campaigns and advocacy partners embed a small card showing how much is
+ * escrowed for a representative ("$X is waiting for Rep. Y if they bring
+ * H.J.Res.54 to a vote"). The script-tag variant (client/public/embed/widget.js)
+ * reads the JSON endpoint; the iframe variant loads the frame endpoint.
+ *
+ * TABLE OF CONTENTS - API ENDPOINTS
+ *
+ * EMBED WIDGET
+ * ├── GET    /api/embed/pol/:bioguide               - Widget JSON for one politician
+ * └── GET    /api/embed/pol/:bioguide/frame         - Widget card HTML for iframes
+ *
+ * SECURITY
+ * - Mounted in server.js before the app CORS, cookie parsing and CSRF, so
+ *   these routes never read or set cookies
+ * - CORS allows any origin for GET, without credentials
+ * - JSON responses keep the strict API CSP; the frame gets its own CSP that
+ *   allows framing by any site but no scripts, forms or outgoing calls
+ * - Responses contain only public pol data and escrow aggregates
+ * - Rate limited per IP; responses are publicly cacheable for five minutes
+ *
+ * @module routes/api/embed
+ * @requires express
+ * @requires ../../controller/embed
+ * @requires ../../services/utils
+ * @requires ../../cspHeaders
+ * @requires ../../models
+ */
+
+const router = require('express').Router();
+const Controller = require('../../controller/embed'),
+  { apiCSP, createEmbedFrameCSP } = require('../../cspHeaders'),
+  { rateLimiters } = require('../../services/utils'),
+  { Pol, Celebration } = require('../../models');
+
+const embedFrameCSP = createEmbedFrameCSP(Controller.FRAME_STYLE_HASH);
+
+router.use(rateLimiters.embed);
+
+/**
+ * GET /api/embed/pol/:bioguide
+ * Retrieves the public escrow summary for one politician
+ *
+ * Only politicians on the selectable roster are served; others return 404.
+ * The endpoint is publicly accessible, readable from any origin and
+ * cacheable (Cache-Control: public, max-age=300).
+ *
+ * @route GET /api/embed/pol/:bioguide
+ * @param {string} req.params.bioguide - Bioguide id (e.g. A000055)
+ * @returns {Object} Widget payload
+ * @throws {400} Malformed bioguide id
+ * @throws {404} Politician not on the selectable roster
+ *
+ * @example
+ * ```javascript
+ * GET /api/embed/pol/A000055
+ *
+ * {
+ *   "pol": { "id": "A000055", "name": "Robert Aderholt", "title": "Rep.",
+ *            "chamber": "House", "state": "AL", "district": "4" },
+ *   "escrow": { "donation": 1250, "count": 31 },
+ *   "bill": { "label": "H.J.Res.54", "short_title": "We The People Amendment" },
+ *   "headshot_url": "https://powerback.us/pfp/A000055.webp",
+ *   "donate_url": "https://powerback.us/rep/A000055?utm_source=embed&utm_medium=widget&utm_campaign=escrow",
+ *   "updated_at": "2026-10-19T15:00:00.000Z"
+ * }
+ * ```
+ */
+router
+  .route('/pol/:bioguide')
+  .get(apiCSP, (req, res) =>
+    Controller.getEmbedPol(req, res, Pol, Celebration)
+  );
+
+/**
+ * GET /api/embed/pol/:bioguide/frame
+ * Renders the widget card as a standalone HTML page for iframes
+ *
+ * @route GET /api/embed/pol/:bioguide/frame
+ * @param {string} req.params.bioguide - Bioguide id (e.g. A000055)
+ * @returns {string} HTML document
+ * @throws {400} Malformed bioguide id
+ * @throws {404} Politician not on the selectable roster
+ *
+ * @example
+ * ```html
+ * <iframe src="https://powerback.us/api/embed/pol/A000055/frame"
+ *   width="360" height="120" style="border:0" loading="lazy"
+ *   title="POWERBACK escrow for Rep. Aderholt"></iframe>
+ * ```
+ */
+router
+  .route('/pol/:bioguide/frame')
+  .get(embedFrameCSP, (req, res) =>
+    Controller.getEmbedFrame(req, res, Pol, Celebration)
+  );
+
+// Unknown embed paths end here instead of falling through to the app CORS
+router.use((req, res) => {
+  res.status(404).json({ message: 'Not found' });
+});
+
+module.exports = router;
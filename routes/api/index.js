@@ -6,6 +6,7 @@
  * providing a clean separation of concerns while maintaining a unified API structure.
  *
  * Route Structure:
+ * - /api/admin - Staff-only Celebration oversight
  * - /api/btc - address generation
  * - /api/dev - Dev-only routes
  * - /api/sys - System utilities and constants
@@ -15,10 +16,14 @@
  * - /api/payments - Payment processing and Stripe integration
  * - /api/webhooks - External service webhooks (Stripe, etc.)
  * - /api/celebrations - Donation celebration management
+ * - /api/health - Liveness, database and background worker status
+ * - /api/embed - Public escrow widget (mounted in server.js, ahead of the app
+ *   CORS and cookies; see ./embed)
  *
  * @module routes/api/index
  * @requires express
  * @requires ./celebrations
+ * @requires ./admin
  * @requires ./webhooks
  * @requires ./payments
  * @requires ./congress
@@ -36,6 +41,7 @@ const router = require('express').Router();
 const celebrationRoutes = require('./celebrations'),
   congressRoutes = require('./congress'),
   securityRoutes = require('./security'),
+  adminRoutes = require('./admin'),
   webhooksRoutes = require('./webhooks'),
   paymentRoutes = require('./payments'),
   contactRoutes = require('./contact'),
@@ -76,6 +82,20 @@ router.get('/health', async (req, res) => {
     environment: process.env.NODE_ENV || 'development',
   };
 
+  // Background job worker heartbeat; informational, does not affect the status code
+  if (dbStatus === 1) {
+    try {
+      const { JOBS } = require('../../constants');
+      const { getWorkerStatus } = require('../../jobs/heartbeat');
+      health.jobs = {
+        process: JOBS.WORKER.PROCESS,
+        ...(await getWorkerStatus()),
+      };
+    } catch (err) {
+      health.jobs = { status: 'unknown' };
+    }
+  }
+
   const statusCode = health.status === 'healthy' ? 200 : 503;
   res.status(statusCode).json(health);
 });
@@ -85,6 +105,7 @@ router
   .use('/celebrations', celebrationRoutes)
   .use('/congress', congressRoutes)
   .use('/security', securityRoutes)
+  .use('/admin', adminRoutes)
   .use('/webhooks', webhooksRoutes)
   .use('/payments', paymentRoutes)
   .use('/contact', contactRoutes)
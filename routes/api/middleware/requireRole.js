@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Staff role guard middleware for API route protection
+ *
+ * This middleware restricts a route to users holding one of the given staff
+ * roles (see constants/admin). Roles are read from the User document on each
+ * request, so grants and revocations take effect immediately. Admins pass
+ * every role check.
+ *
+ * Features:
+ * - Any-of semantics: requireRole('support', 'auditor') admits either
+ * - Standardized 403 Forbidden responses
+ * - ROLE_DENIED security audit event for every refusal
+ * - Exposes the user's roles to handlers as req.roles
+ *
+ * Must run after tokenizer.guard(), which sets req.jwt.
+ *
+ * @module routes/api/middleware/requireRole
+ */
+
+const { User } = require('../../../models');
+const { isRole, roleSatisfies } = require('../../../constants/admin');
+const { getRoles } = require('../../../services/user/roleService');
+const { logRoleDenied } = require('../../../services/utils/auditLogger');
+
+const logger = require('../../../services/utils/logger')(__filename);
+
+/**
+ * Creates a role guard middleware function
+ *
+ * @param {...string} allowedRoles - Roles any one of which grants access
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * ```javascript
+ * const requireRole = require('./middleware/requireRole');
+ * const { ROLES } = require('../../constants/admin');
+ *
+ * router.get('/admin/celebrations',
+ *   tokenizer.guard(),
+ *   requireRole(ROLES.SUPPORT, ROLES.AUDITOR),
+ *   (req, res) => { /* handle request *\/ }
+ * );
+ * ```
+ */
+module.exports = (...allowedRoles) => {
+  const unknown = allowedRoles.filter((role) => !isRole(role));
+  if (unknown.length) {
+    throw new Error(`requireRole: unknown role(s) ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    const userId = req.jwt?.payload?.sub;
+
+    let roles;
+    try {
+      roles = await getRoles(userId, User);
+    } catch (err) {
+      logger.error('Role lookup failed', { userId, error: err.message });
+      return res.status(500).json({ error: 'Role check failed' });
+    }
+
+    if (!userId || !roleSatisfies(roles, allowedRoles)) {
+      logRoleDenied(userId ?? null, allowedRoles, req.originalUrl, req.method, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+      return res.status(403).json({ error: 'Insufficient role' });
+    }
+
+    req.roles = roles;
+    next();
+  };
+};
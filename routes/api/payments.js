@@ -45,10 +45,15 @@ const rateLimit = require('express-rate-limit'),
   Controller = require('../../controller');
 
 const { requireLogger } = require('../../services/logger');
+const { getPacContributionsUsd } = require('../../services/btc/paymentService');
 const {
   isPolRosterExcludedByBioguide,
   POL_ROSTER_EXCLUDED_USER_MESSAGE,
 } = require('../../services/congress/polRosterEligibility');
+const {
+  resolveRecipient,
+  CANDIDATE_NOT_SELECTABLE_USER_MESSAGE,
+} = require('../../services/congress/candidateService');
 
 const logger = requireLogger(__filename);
 
@@ -68,7 +73,8 @@ const donationLimiter = rateLimit({
  *
  * This endpoint validates if a tip amount would exceed the $5,000 annual PAC limit
  * before the user attempts to make a payment. This provides real-time validation
- * to prevent over-limit PAC contributions.
+ * to prevent over-limit PAC contributions. Confirmed Bitcoin contributions
+ * (converted to USD at receipt) count toward the same limit.
  *
  * @param {Object} req.body - PAC limit check data
  * @param {string} req.body.userId - User ID to check PAC limits for
@@ -115,11 +121,16 @@ router
       const {
         checkPACLimit,
       } = require('../../controller/users/account/utils/reckon');
-      const pacLimitInfo = checkPACLimit(celebrations, tipAmount);
+      const pacLimitInfo = checkPACLimit(
+        celebrations,
+        tipAmount,
+        await getPacContributionsUsd(userId)
+      );
 
       logger.debug('PAC limit check:', {
         remainingPACLimit: pacLimitInfo.remainingPACLimit,
         currentPACTotal: pacLimitInfo.currentPACTotal,
+        btcPACTotal: pacLimitInfo.btcPACTotal,
         isCompliant: pacLimitInfo.isCompliant,
         pacLimit: pacLimitInfo.pacLimit,
         tipAmount,
@@ -294,7 +305,23 @@ router
           donationAmount * parseInt(process.env.STRIPE_PROCESSING_PERCENTAGE) +
           parseInt(process.env.STRIPE_PROCESSING_ADDEND);
 
-        if (await isPolRosterExcludedByBioguide(Pol, req.body.pol_id)) {
+        // pol_id is a bioguide ID, or an FEC candidate ID for non-incumbents
+        const candidate = await resolveRecipient(req.body.pol_id);
+        if (candidate && !candidate.selectable) {
+          logger.warn('Payment intent blocked: withdrawn candidate', {
+            pol_id: req.body.pol_id,
+            userId: req.body.donatedBy,
+          });
+          return res.status(400).json({
+            code: 'CANDIDATE_NOT_SELECTABLE',
+            message: CANDIDATE_NOT_SELECTABLE_USER_MESSAGE,
+          });
+        }
+
+        if (
+          !candidate &&
+          (await isPolRosterExcludedByBioguide(Pol, req.body.pol_id))
+        ) {
           logger.warn('Payment intent blocked: roster_excluded Pol', {
             pol_id: req.body.pol_id,
             userId: req.body.donatedBy,
@@ -316,12 +343,14 @@ router
           );
 
         // Get politician state for enhanced compliance validation (Compliant tier election cycles)
-        let politicianState = null;
+        let politicianState = candidate?.state || null;
         try {
           // Look up politician by FEC candidate ID to get their state
-          const politician = await Pol.findOne({
-            'roles.fec_candidate_id': req.body.pol_id,
-          }).exec();
+          const politician = candidate
+            ? null
+            : await Pol.findOne({
+                'roles.fec_candidate_id': req.body.pol_id,
+              }).exec();
           if (politician && politician.roles && politician.roles.length > 0) {
             politicianState = politician.roles[0].state;
           }
@@ -367,7 +396,11 @@ router
           const {
             checkPACLimit,
           } = require('../../controller/users/account/utils/reckon');
-          pacLimitInfo = checkPACLimit(celebrations, req.body.tip);
+          pacLimitInfo = checkPACLimit(
+            celebrations,
+            req.body.tip,
+            await getPacContributionsUsd(req.body.donatedBy)
+          );
           tipIsCompliant = pacLimitInfo.isCompliant;
           logger.debug('PAC limit check during payment validation:', {
             tipAmount: req.body.tip,
@@ -11,7 +11,10 @@
  * AUTHENTICATION & SESSION MANAGEMENT
  * ├── POST   /api/users/login              - User login with JWT tokens
  * ├── GET    /api/users/logout             - User logout and session cleanup
- * └── POST   /api/users/refresh            - Refresh JWT access tokens
+ * ├── POST   /api/users/refresh            - Refresh JWT access tokens
+ * ├── GET    /api/users/sessions/:userId   - List signed-in devices
+ * ├── DELETE /api/users/sessions/:userId/:sessionId - Sign one device out
+ * └── DELETE /api/users/sessions/:userId   - Sign out everywhere
  *
  * ACCOUNT CREATION & ACTIVATION
  * ├── POST   /api/users/                   - Create new user account
@@ -60,9 +63,11 @@
  * @requires ../../validation
  * @requires ../../services
  * @requires ../../auth/tokenizer
+ * @requires ../../auth/tokenStore
  * @requires ../../controller/users
  * @requires ../../models
  * @requires ./middleware/guardOwnership
+ * @requires ../../services/utils/logger
  */
 
 const router = require('express').Router(),
@@ -77,8 +82,10 @@ const router = require('express').Router(),
   { validate } = require('../../validation'),
   { promoteUser } = require('../../services'),
   tokenizer = require('../../auth/tokenizer'),
+  { getSessionMeta } = require('../../auth/tokenStore'),
   Controller = require('../../controller/users'),
   { User, ExUser, Applicant } = require('../../models'),
+  logger = require('../../services/utils/logger')(__filename),
   guardOwnership = require('./middleware/guardOwnership');
 
 /**
@@ -555,7 +562,6 @@ router
     createAccountLimiter,
     validate(schemas.userEntryForm),
     async (req, res) => {
-      const logger = require('../../services/utils/logger')(__filename);
       logger.debug(
         `POST /api/users/ - Account creation request for: ${req.body.username}`
       );
@@ -1000,6 +1006,130 @@ router
     }
   );
 
+/**
+ * GET /api/users/sessions/:userId
+ * Lists the user's signed-in devices
+ *
+ * Each session is one login on one device, kept alive by refresh-token
+ * rotation. The session making the request is marked `current`.
+ *
+ * @route GET /api/users/sessions/:userId
+ * @param {string} userId - User ID
+ * @returns {Object[]} Active sessions, most recently used first
+ * @throws {401} Unauthorized
+ * @throws {403} Not authorized to view this user's sessions
+ *
+ * @example
+ * ```javascript
+ * GET /api/users/sessions/507f1f77bcf86cd799439011
+ *
+ * // Response
+ * [
+ *   {
+ *     "sessionId": "V1StGXR8_Z5jdHi6B-myT",
+ *     "createdAt": "2025-01-02T15:04:05.000Z",
+ *     "lastUsedAt": "2025-01-09T08:00:00.000Z",
+ *     "expiresAt": "2025-01-27T08:00:00.000Z",
+ *     "userAgent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) ...",
+ *     "ip": "203.0.113.7",
+ *     "current": true
+ *   }
+ * ]
+ * ```
+ */
+router
+  .route('/sessions/:userId')
+  .get(tokenizer.guard(), guardOwnership(), async (req, res) => {
+    try {
+      await Controller.roster(
+        req,
+        res,
+        await tokenizer.getCurrentSessionId(req)
+      );
+    } catch (error) {
+      logger.error('Failed to list sessions', {
+        userId: req.params.userId,
+        error: error.message,
+      });
+      res.status(500).json({ error: 'Failed to list sessions' });
+    }
+  });
+
+/**
+ * DELETE /api/users/sessions/:userId/:sessionId
+ * Signs one device out
+ *
+ * Revokes the session's refresh token; the device stays signed in only until
+ * its access token expires. Revoking the current session also clears its
+ * cookies.
+ *
+ * @route DELETE /api/users/sessions/:userId/:sessionId
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to revoke
+ * @returns {Object} { revoked: true, current: boolean }
+ * @throws {401} Unauthorized
+ * @throws {403} Not authorized to revoke this user's sessions
+ * @throws {404} Session not found (or already signed out)
+ */
+router
+  .route('/sessions/:userId/:sessionId')
+  .delete(
+    csrfTokenValidator(),
+    tokenizer.guard(),
+    guardOwnership(),
+    async (req, res) => {
+      try {
+        const currentSessionId = await tokenizer.getCurrentSessionId(req);
+        if (req.params.sessionId === currentSessionId) {
+          clearRefreshCookie(res);
+        }
+        await Controller.evict(req, res, currentSessionId);
+      } catch (error) {
+        logger.error('Failed to revoke session', {
+          userId: req.params.userId,
+          sessionId: req.params.sessionId,
+          error: error.message,
+        });
+        res.status(500).json({ error: 'Failed to revoke session' });
+      }
+    }
+  );
+
+/**
+ * DELETE /api/users/sessions/:userId
+ * Signs the user out everywhere, including this device
+ *
+ * Revokes every session and increments the user's tokenVersion, so no
+ * refresh token issued before now can be used. Clears this device's cookies.
+ *
+ * @route DELETE /api/users/sessions/:userId
+ * @param {string} userId - User ID
+ * @returns {Object} { revokedCount: number }
+ * @throws {401} Unauthorized
+ * @throws {403} Not authorized to revoke this user's sessions
+ */
+router
+  .route('/sessions/:userId')
+  .delete(
+    csrfTokenValidator(),
+    tokenizer.guard(),
+    guardOwnership(),
+    async (req, res) => {
+      try {
+        const result = await Controller.banish(req, User);
+        clearRefreshCookie(res);
+        clearCSRFCookie(res);
+        res.json(result);
+      } catch (error) {
+        logger.error('Failed to revoke all sessions', {
+          userId: req.params.userId,
+          error: error.message,
+        });
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+      }
+    }
+  );
+
 /**
  * POST /api/users/login
  * Authenticates user and creates session
@@ -1065,8 +1195,7 @@ router.route('/login').post(loginLimiter, async (req, res) => {
     const refreshToken = await tokenizer.createRefreshToken({
       user: { _id: user._id, tokenVersion: user.tokenVersion },
     });
-    // await
-    tokenizer.saveRefreshToken(refreshToken);
+    await tokenizer.saveRefreshToken(refreshToken, getSessionMeta(req));
 
     // Determine if cookies should be secure based on environment
 
@@ -1120,8 +1249,6 @@ router.route('/login').post(loginLimiter, async (req, res) => {
       tipLimitReached: userDoc.tipLimitReached ?? false,
     });
   } catch (error) {
-    const logger = require('../../services/utils/logger')(__filename);
-
     logger.error('Failed to login with test credentials', {
       status: error.response?.status,
       data: error.response?.data,
@@ -1136,8 +1263,8 @@ router.route('/login').post(loginLimiter, async (req, res) => {
  * GET /api/users/logout
  * Logs out user and clears session
  *
- * This endpoint terminates the user's session by clearing the
- * refresh token cookie and destroying the server-side session.
+ * This endpoint terminates the user's session by revoking its refresh
+ * token in the token store and clearing the refresh token cookie.
  * All authentication tokens are invalidated, requiring re-authentication
  * for subsequent requests.
  *
@@ -1156,7 +1283,15 @@ router.route('/login').post(loginLimiter, async (req, res) => {
 
 router
   .route('/logout')
-  .get(csrfTokenValidator(), tokenizer.guard(), (req, res, next) => {
+  .get(csrfTokenValidator(), tokenizer.guard(), async (req, res, next) => {
+    // Revoke the refresh token server-side so a copied cookie cannot be used
+    try {
+      await tokenizer.revokeCurrentSession(req);
+    } catch (err) {
+      logger.error('Failed to revoke session on logout', {
+        error: err.message,
+      });
+    }
     // Clear refresh token cookie
     clearRefreshCookie(res);
     // Clear CSRF token cookie
@@ -12,7 +12,11 @@
  *
  * KEY FEATURES
  * - Stripe webhook signature verification
- * - Charge.succeeded event processing for celebration updates
+ * - Event-ID dedupe (StripeEvent collection): Stripe retries are no-ops
+ * - Charge.succeeded event processing for celebration updates (pledge
+ *   authorizations are skipped; settlement captures them at resolution)
+ * - Payment failure, cancellation, refund, dispute and detached payment method
+ *   events applied via PaymentEventService (ledger entries, flags, donor email)
  * - PAC limit optimization (skips processing for users at limit)
  * - Minimal logging for production performance
  * - Secure webhook processing with error handling
@@ -25,6 +29,8 @@
  * @module routes/api/webhooks
  * @requires express
  * @requires stripe
+ * @requires ../../models
+ * @requires ../../services/celebration
  */
 
 const express = require('express'),
@@ -37,6 +43,11 @@ const STRIPE_SK =
   Stripe = require('stripe'),
   stripe = new Stripe(STRIPE_SK);
 
+const { Celebration, User, StripeEvent } = require('../../models');
+const {
+  PaymentEventService,
+  SettlementService,
+} = require('../../services/celebration');
 const logger = require('../../services/utils/logger')(__filename);
 
 /**
@@ -49,11 +60,22 @@ const logger = require('../../services/utils/logger')(__filename);
  * ensure the webhook is authentic and from Stripe.
  *
  * The endpoint processes various Stripe events:
- * - charge.succeeded: Charge processed successfully (primary processing)
- * - payment_intent.created: Logged but not processed
- * - payment_intent.succeeded: Logged but not processed
+ * - charge.succeeded: Charge processed successfully (primary processing);
+ *   uncaptured pledge authorizations are ignored, and a Celebration left
+ *   pending by settlement is recorded as settled
+ * - payment_intent.payment_failed: Payment failed flags; settlement_failed
+ *   and donor email for resolved Celebrations
+ * - payment_intent.canceled: Payment intent cancelled flag
+ * - charge.refunded: Refund flags and donor email
+ * - charge.dispute.created / charge.dispute.closed: Dispute flags
+ * - payment_method.detached: Clears the stored card; flags and emails donors
+ *   whose open Celebrations are left without a card
  * - Other events: Logged as unhandled in development mode only
  *
+ * Each event ID is claimed in the StripeEvent collection before processing,
+ * so a retried delivery is acknowledged without side effects. If the claim
+ * cannot be written, the endpoint returns 500 so Stripe retries later.
+ *
  * Security Features:
  * - Webhook signature verification using Stripe signing secret
  * - Raw body parsing to preserve signature for validation
@@ -98,7 +120,7 @@ router.post(
   async (req, res) => {
     // Suppress logs for API route tester requests
     const isRouteTester = req.get('x-route-tester') === 'true';
-    
+
     // Log incoming webhook request
     if (!isRouteTester) {
       logger.info('[Webhook] Received Stripe webhook request', {
@@ -142,6 +164,31 @@ router.post(
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
+    // Stripe retries deliveries; process each event ID only once
+    try {
+      const claimed = await PaymentEventService.claimEvent(event, StripeEvent);
+      if (!claimed) {
+        if (!isRouteTester) {
+          logger.info('[Webhook] Duplicate event ignored', {
+            eventId: event.id,
+            eventType: event.type,
+          });
+        }
+        return res.status(200).send('Webhook received - duplicate');
+      }
+    } catch (err) {
+      if (!isRouteTester) {
+        logger.error('[Webhook] Failed to record event', {
+          error: err.message,
+          eventId: event.id,
+        });
+      }
+      return res.status(500).send('Webhook Error: event not recorded');
+    }
+
+    let processingError = null;
+    let skipped = false;
+
     // Process webhook events
     try {
       if (event.type === 'charge.succeeded') {
@@ -170,8 +217,6 @@ router.post(
         // Check if user has reached PAC limit to optimize processing
         // We need to look up the celebration record using the charge ID
         try {
-          const { Celebration, User } = require('../../models');
-
           // Find the celebration record associated with this charge
           // Use payment_intent since that's what we store in celebrations
           const celebration = await Celebration.findOne({
@@ -203,11 +248,34 @@ router.post(
                   }
                 );
               }
-              return res
-                .status(200)
-                .send('Webhook received - skipped processing');
+              skipped = true;
             }
+          }
 
+          if (celebration && charge.captured === false) {
+            // Pledge authorization (manual capture); settlement captures it
+            // at resolution and records the charge then
+            if (!isRouteTester) {
+              logger.info('[Webhook] Skipping uncaptured authorization', {
+                celebrationId: celebration._id,
+                chargeId: charge.id,
+              });
+            }
+          } else if (
+            celebration &&
+            (await SettlementService.completePendingSettlement(
+              celebration,
+              charge.id,
+              Celebration
+            ))
+          ) {
+            if (!isRouteTester) {
+              logger.info('[Webhook] Settled pending celebration', {
+                celebrationId: celebration._id,
+                chargeId: charge.id,
+              });
+            }
+          } else if (celebration && !skipped) {
             // Update the celebration record with the charge_id for future webhook lookups
             await Celebration.findByIdAndUpdate(
               celebration._id,
@@ -233,6 +301,22 @@ router.post(
             );
           }
         }
+      } else if (PaymentEventService.HANDLERS[event.type]) {
+        const result = await PaymentEventService.handleEvent(
+          event,
+          { stripe },
+          Celebration,
+          User
+        );
+
+        if (!isRouteTester) {
+          logger.info(`[Webhook] Processed ${event.type} event`, {
+            eventId: event.id,
+            handled: result.handled,
+            celebrationIds: result.celebrationIds,
+            emailSent: result.emailSent,
+          });
+        }
       } else {
         // Log unhandled event types (only in debug mode)
         if (process.env.NODE_ENV === 'development' && !isRouteTester) {
@@ -243,6 +327,7 @@ router.post(
       }
     } catch (err) {
       // Log processing errors but don't fail the webhook
+      processingError = err;
       if (!isRouteTester) {
         logger.error('[Webhook] Error processing event', {
           error: err.message,
@@ -251,8 +336,27 @@ router.post(
       }
     }
 
+    try {
+      await PaymentEventService.completeEvent(
+        event.id,
+        processingError,
+        StripeEvent
+      );
+    } catch (err) {
+      if (!isRouteTester) {
+        logger.error('[Webhook] Failed to mark event complete', {
+          error: err.message,
+          eventId: event.id,
+        });
+      }
+    }
+
     // Always return success response to Stripe to prevent retries
-    res.status(200).send('Webhook received');
+    res
+      .status(200)
+      .send(
+        skipped ? 'Webhook received - skipped processing' : 'Webhook received'
+      );
   }
 );
 
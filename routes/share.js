@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Shareable deep-link page routes
+ *
+ * Links like /rep/A000055 and /state/ny/district/14 open the funnel with the
+ * politician preselected. The client router owns the page; these routes only
+ * serve the SPA shell with Open Graph / Twitter card tags for the
+ * politician and their escrow total, so previews render on social platforms.
+ * In production nginx proxies these paths here instead of serving the static
+ * shell.
+ *
+ * TABLE OF CONTENTS - PAGES
+ *
+ * SHARE PAGES
+ * ├── GET    /rep/:bioguide                 - Shell with share meta for one politician
+ * └── GET    /state/:st/district/:nn        - Shell with share meta for a House seat
+ *
+ * SECURITY
+ * - Public, read-only; only public pol data and escrow aggregates reach the
+ *   HTML, escaped
+ * - Rate limited per IP
+ *
+ * @module routes/share
+ * @requires express
+ * @requires ../controller/share
+ * @requires ../services/utils
+ * @requires ../models
+ */
+
+const router = require('express').Router();
+const Controller = require('../controller/share'),
+  { rateLimiters } = require('../services/utils'),
+  { Pol, Celebration } = require('../models');
+
+/**
+ * GET /rep/:bioguide
+ * Serves the SPA shell with share meta for one politician
+ *
+ * @param {string} bioguide - Bioguide id (e.g. A000055)
+ * @returns {string} index.html
+ */
+router
+  .route('/rep/:bioguide')
+  .get(rateLimiters.share, (req, res) =>
+    Controller.getRepPage(req, res, Pol, Celebration)
+  );
+
+/**
+ * GET /state/:st/district/:nn
+ * Serves the SPA shell with share meta for a House seat
+ *
+ * @param {string} st - Two-letter state (e.g. ny)
+ * @param {string} nn - District number; 0 or 00 for at-large
+ * @returns {string} index.html
+ */
+router
+  .route('/state/:st/district/:nn')
+  .get(rateLimiters.share, (req, res) =>
+    Controller.getDistrictPage(req, res, Pol, Celebration)
+  );
+
+module.exports = router;
@@ -1,8 +1,9 @@
 /**
- * @fileoverview Add specific House members to the docking_pols staging collection.
+ * @fileoverview Add specific House or Senate members to the docking_pols staging collection.
  *
  * Given one or more bioguide IDs, this script fetches member details from the
- * Congress.gov API, shapes them to the Pol schema (reusing houseWatcher logic),
+ * Congress.gov API, shapes them to the Pol schema (reusing houseWatcher logic;
+ * senators get an empty district and the state-only ocd_id),
  * fetches FEC candidate IDs where possible, and upserts into docking_pols.
  *
  * After running, inspect and promote via DockingManager:
@@ -38,6 +39,7 @@ const { Pol } = require('../models');
 const {
   fixPolName,
   resolveHouseDistrictForPolRole,
+  resolveSenateRoleForState,
 } = require('../services/utils');
 const { requireLogger } = require('../services/logger');
 
@@ -45,7 +47,6 @@ const logger = requireLogger(__filename);
 
 const CONGRESS_API_BASE_URL = process.env.CONGRESS_API_BASE_URL;
 const CONGRESS = Number(process.env.CONGRESS_SESSION || 119);
-const CHAMBER = 'House';
 
 /** Social media fields that the Congress.gov API provides: 
   twitterId
@@ -83,13 +84,17 @@ async function fetchMemberDetails(bioguideId) {
  * @param {Object} m - Raw member data from Congress.gov
  * @returns {Object} Shaped data matching the Pol schema
  */
-function shapeToHouseMember(m) {
+function shapeToMember(m) {
   const term = m.terms[m.terms.length - 1];
+  const chamber = term.chamber === 'Senate' ? 'Senate' : 'House';
   const state = term.stateCode.toUpperCase();
-  const resolved = resolveHouseDistrictForPolRole(term.district, state);
+  const resolved =
+    chamber === 'Senate'
+      ? resolveSenateRoleForState(state)
+      : resolveHouseDistrictForPolRole(term.district, state);
   if (!resolved) {
     throw new Error(
-      `Cannot resolve House district for ${m.bioguideId} (state=${state}, district=${term.district})`
+      `Cannot resolve ${chamber} role for ${m.bioguideId} (state=${state}, district=${term.district})`
     );
   }
 
@@ -104,7 +109,7 @@ function shapeToHouseMember(m) {
     has_stakes: false, // Will be updated by challengersWatcher
     roles: [
       {
-        chamber: CHAMBER,
+        chamber,
         congress: CONGRESS,
         short_title: term?.shortTitle || '',
         district: resolved.district,
@@ -161,14 +166,7 @@ async function main() {
     try {
       logger.info(`Fetching details for ${id}...`);
       const memberData = await fetchMemberDetails(id);
-
-      // Skip senators
-      if (memberData.terms[memberData.terms.length - 1].chamber === 'Senate') {
-        logger.info(`Skipping Senator: ${id}`);
-        continue;
-      }
-
-      const shaped = shapeToHouseMember(memberData);
+      const shaped = shapeToMember(memberData);
 
       // Check if existing docking doc has social media we should preserve
       const existing = await DockingPol.findOne({ id: shaped.id });
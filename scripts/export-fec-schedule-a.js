@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Export Schedule A-style itemized contributions for resolved,
+ * settled Celebrations, one file per recipient committee.
+ *
+ * Year-to-date aggregates and the $200 itemization threshold are applied by
+ * services/celebration/fecExportService. Without --candidate, every recipient
+ * with contributions in the range gets its own file.
+ *
+ * @module scripts/export-fec-schedule-a
+ * @see {@link ./README.md} Scripts index
+ *
+ * @example
+ * ```bash
+ * node scripts/export-fec-schedule-a.js --from 2025-01-01 --to 2025-03-31
+ * node scripts/export-fec-schedule-a.js --from 2025-01-01 --to 2025-03-31 \
+ *   --candidate H8CA12345 --format fec --committee-id C00123456 --out-dir ./exports
+ * ```
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envCliPath = path.resolve(__dirname, '../.env.cli');
+const envLocalPath = path.resolve(__dirname, '../.env.local');
+if (fs.existsSync(envCliPath)) require('dotenv').config({ path: envCliPath });
+else if (fs.existsSync(envLocalPath))
+  require('dotenv').config({ path: envLocalPath });
+else require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connect, disconnect } = require('../services/utils/db');
+const { requireLogger } = require('../services/logger');
+const { Celebration } = require('../models');
+const FecExportService = require('../services/celebration/fecExportService');
+
+const logger = requireLogger(__filename);
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const FORMATS = ['csv', 'fec'];
+
+/**
+ * @param {string[]} argv
+ * @returns {{ from: string|null, to: string|null, candidate: string|null, format: string, committeeId: string|undefined, outDir: string, help: boolean }}
+ */
+function parseArgs(argv) {
+  const opts = {
+    from: null,
+    to: null,
+    candidate: null,
+    format: 'csv',
+    committeeId: undefined,
+    outDir: process.cwd(),
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--help' || a === '-h') opts.help = true;
+    else if (a === '--from') opts.from = argv[++i] ?? null;
+    else if (a === '--to') opts.to = argv[++i] ?? null;
+    else if (a === '--candidate') opts.candidate = argv[++i] ?? null;
+    else if (a === '--format') opts.format = argv[++i] ?? '';
+    else if (a === '--committee-id') opts.committeeId = argv[++i];
+    else if (a === '--out-dir') opts.outDir = path.resolve(argv[++i] ?? '.');
+    else {
+      process.stderr.write(`Unknown argument: ${a}\n`);
+      process.exit(2);
+    }
+  }
+  return opts;
+}
+
+/**
+ * Prints CLI usage to stdout.
+ * @returns {void}
+ */
+function printHelp() {
+  process.stdout.write(`FEC Schedule A export
+
+  node scripts/export-fec-schedule-a.js --from YYYY-MM-DD --to YYYY-MM-DD [options]
+
+  --candidate <FEC_id>    One recipient (default: every recipient in range)
+  --format csv|fec        Output format (default: csv)
+  --committee-id <C...>   Filer committee ID for .fec records (default: each
+                          recipient's committee)
+  --out-dir <dir>         Output directory (default: current directory)
+`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    printHelp();
+    process.exit(0);
+  }
+  if (!DAY.test(opts.from || '') || !DAY.test(opts.to || '')) {
+    process.stderr.write('--from and --to are required (YYYY-MM-DD)\n');
+    process.exit(2);
+  }
+  if (!FORMATS.includes(opts.format)) {
+    process.stderr.write(`--format must be one of ${FORMATS.join(', ')}\n`);
+    process.exit(2);
+  }
+
+  await connect(logger);
+
+  const report = await FecExportService.buildReport(
+    { from: opts.from, to: opts.to, candidate: opts.candidate },
+    Celebration
+  );
+
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  process.stdout.write(
+    `\n=== Schedule A ${opts.from}..${opts.to} (threshold $${report.threshold}) ===\n`
+  );
+  let skipped = 0;
+  for (const recipient of report.recipients) {
+    const file = path.join(
+      opts.outDir,
+      `schedule-a_${recipient.fec_id}_${opts.from}_${opts.to}.${opts.format}`
+    );
+    if (opts.format === 'fec' && !opts.committeeId && !recipient.committee_id) {
+      process.stdout.write(
+        `  ${recipient.fec_id}  ${recipient.pol_name}: no committee ID, skipped (use --candidate with --committee-id)\n`
+      );
+      skipped++;
+      continue;
+    }
+    fs.writeFileSync(
+      file,
+      opts.format === 'csv'
+        ? FecExportService.toCsv(recipient)
+        : FecExportService.toFec(recipient, { committeeId: opts.committeeId })
+    );
+    process.stdout.write(
+      `  ${recipient.fec_id}  ${recipient.pol_name}: ${recipient.itemized.length} itemized ($${recipient.itemizedTotal.toFixed(2)}, ${recipient.flaggedCount} flagged), ${recipient.unitemizedCount} unitemized ($${recipient.unitemizedTotal.toFixed(2)}) -> ${file}\n`
+    );
+  }
+  if (!report.recipients.length) {
+    process.stdout.write('  No contributions in range\n');
+  }
+  process.stdout.write('\n');
+
+  await disconnect();
+  process.exit(skipped ? 1 : 0);
+}
+
+main().catch((err) => {
+  logger.error('export-fec-schedule-a fatal', { error: err.message });
+  console.error(err);
+  mongoose.disconnect().finally(() => process.exit(1));
+});
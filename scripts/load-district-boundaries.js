@@ -0,0 +1,404 @@
+/**
+ * @fileoverview Load congressional district boundaries, ZIP internal points
+ * and the ZIP crosswalk used by the local district resolver.
+ *
+ * Both inputs are Census (or HUD) downloads, converted once and loaded here;
+ * nothing is fetched. Rows are upserted, and rows for the same states that a
+ * run did not touch are removed, so reloading a national file after
+ * redistricting leaves no stale seats while a single-state file leaves other
+ * states alone.
+ *
+ * INPUTS
+ * - --districts: GeoJSON FeatureCollection of the TIGER/Line congressional
+ *   district shapefile (tl_YYYY_us_cdNNN), reprojected to WGS84:
+ *   `ogr2ogr -f GeoJSON -t_srs EPSG:4326 cd119.geojson tl_2024_us_cd119.shp`
+ *   Properties used: STATEFP and CDnnnFP.
+ * - --centroids: Census ZCTA Gazetteer file (2020_Gaz_zcta_national.txt,
+ *   tab-delimited; GEOID, INTPTLAT, INTPTLONG). Gives each ZIP a point to
+ *   place in the district boundaries; it has no state, so a load replaces
+ *   every row
+ * - --crosswalk: Census ZCTA-to-district relationship file (pipe-delimited;
+ *   GEOID_ZCTA5_20, GEOID_CDnnn_20, AREALAND_PART) or the HUD USPS ZIP_CD
+ *   crosswalk saved as CSV (ZIP, CD, RES_RATIO)
+ *
+ * @module scripts/load-district-boundaries
+ * @see {@link ./README.md} Scripts index
+ *
+ * @example
+ * ```bash
+ * node scripts/load-district-boundaries.js --districts ./cd119.geojson \
+ *   --centroids ./2020_Gaz_zcta_national.txt \
+ *   --crosswalk ./tab20_cd11920_zcta520_natl.txt
+ * node scripts/load-district-boundaries.js --crosswalk ./ZIP_CD_122024.csv --dry-run
+ * ```
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envCliPath = path.resolve(__dirname, '../.env.cli');
+const envLocalPath = path.resolve(__dirname, '../.env.local');
+if (fs.existsSync(envCliPath)) require('dotenv').config({ path: envCliPath });
+else if (fs.existsSync(envLocalPath))
+  require('dotenv').config({ path: envLocalPath });
+else require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connect, disconnect } = require('../services/utils/db');
+const { requireLogger } = require('../services/logger');
+const {
+  CongressionalDistrict,
+  ZipDistrict,
+  ZipCentroid,
+} = require('../models');
+const {
+  tigerDistrict,
+  tigerDistrictFromGeoid,
+} = require('../services/civics/tiger');
+
+const logger = requireLogger(__filename);
+
+const BATCH_SIZE = 500;
+const ZIP_COLUMNS = ['ZIP', 'ZIP_CODE', 'GEOID_ZCTA5_20', 'ZCTA5CE20', 'ZCTA5'];
+const WEIGHT_COLUMNS = ['RES_RATIO', 'TOT_RATIO', 'AREALAND_PART'];
+const CD_COLUMN_RE = /^(GEOID_)?CD(\d{3})?(_\d{2})?$/i;
+const CENTROID_COLUMNS = { zip: 'GEOID', lat: 'INTPTLAT', lng: 'INTPTLONG' };
+
+/**
+ * @param {string[]} argv
+ * @returns {{ districts: string|null, centroids: string|null, crosswalk: string|null, congress: number|undefined, dryRun: boolean, help: boolean }}
+ */
+function parseArgs(argv) {
+  const opts = {
+    districts: null,
+    centroids: null,
+    crosswalk: null,
+    congress: undefined,
+    dryRun: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--help' || a === '-h') opts.help = true;
+    else if (a === '--districts') opts.districts = argv[++i] ?? null;
+    else if (a === '--centroids') opts.centroids = argv[++i] ?? null;
+    else if (a === '--crosswalk') opts.crosswalk = argv[++i] ?? null;
+    else if (a === '--congress') opts.congress = Number(argv[++i]);
+    else if (a === '--dry-run') opts.dryRun = true;
+    else {
+      process.stderr.write(`Unknown argument: ${a}\n`);
+      process.exit(2);
+    }
+  }
+  return opts;
+}
+
+/**
+ * Prints CLI usage to stdout.
+ * @returns {void}
+ */
+function printHelp() {
+  process.stdout
+    .write(`Load district boundaries, ZIP internal points and ZIP crosswalk
+
+  node scripts/load-district-boundaries.js [--districts <file>] [--centroids <file>] [--crosswalk <file>] [options]
+
+  --districts <file>   TIGER congressional districts as GeoJSON (WGS84)
+  --centroids <file>   Census ZCTA Gazetteer file (internal points)
+  --crosswalk <file>   Census ZCTA relationship file or HUD ZIP_CD CSV
+  --congress <n>       Congress the boundaries are for (default: from CDnnnFP)
+  --dry-run            Parse and report; write nothing
+`);
+}
+
+/**
+ * Splits delimited text into rows of fields. Handles quoted fields with
+ * doubled quotes; the delimiter is '|' or a tab when the header line has
+ * one, otherwise ','.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseDelimited(text) {
+  const firstLine = text.slice(0, text.indexOf('\n'));
+  const delimiter = ['|', '\t'].find((d) => firstLine.includes(d)) || ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some((f) => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * District documents from a TIGER GeoJSON FeatureCollection
+ * @param {Object} collection - Parsed GeoJSON
+ * @param {number} [congress] - Overrides the congress read from CDnnnFP
+ * @returns {{ docs: Object[], skipped: number }}
+ */
+function districtsFromGeoJson(collection, congress) {
+  const docs = [];
+  let skipped = 0;
+
+  for (const feature of collection.features || []) {
+    const props = feature.properties || {};
+    const cdKey = Object.keys(props).find((k) => /^CD\d{3}FP$/i.test(k));
+    const seat = cdKey && tigerDistrict(props.STATEFP, props[cdKey]);
+    const type = feature.geometry?.type;
+    if (!seat || (type !== 'Polygon' && type !== 'MultiPolygon')) {
+      skipped++;
+      continue;
+    }
+    docs.push({
+      ...seat,
+      congress: congress || Number(cdKey.match(/\d{3}/)[0]),
+      geometry: { type, coordinates: feature.geometry.coordinates },
+    });
+  }
+  return { docs, skipped };
+}
+
+/**
+ * Crosswalk documents from a relationship file, one per (ZIP, seat) with the
+ * seat's share of the ZIP
+ * @param {string[][]} rows - Header row first
+ * @returns {{ docs: Object[], skipped: number }}
+ */
+function crosswalkFromRows([header, ...rows]) {
+  const cols = header.map((h) => h.trim().toUpperCase());
+  const zipIdx = cols.findIndex((c) => ZIP_COLUMNS.includes(c));
+  const cdIdx = cols.findIndex((c) => CD_COLUMN_RE.test(c));
+  const weightIdx = cols.findIndex((c) => WEIGHT_COLUMNS.includes(c));
+  if (zipIdx < 0 || cdIdx < 0) {
+    throw new Error(
+      `Crosswalk needs a ZIP column (${ZIP_COLUMNS.join(', ')}) and a district column (CD, GEOID_CDnnn_20)`
+    );
+  }
+
+  const byZip = new Map(); // zip → Map(ocd_id → { seat, weight })
+  let skipped = 0;
+  for (const row of rows) {
+    const zip = String(row[zipIdx] || '').trim();
+    const seat = tigerDistrictFromGeoid(row[cdIdx]);
+    if (!/^\d{5}$/.test(zip) || !seat) {
+      skipped++;
+      continue;
+    }
+    const weight = weightIdx < 0 ? 1 : Number(row[weightIdx]) || 0;
+    const seats = byZip.get(zip) || new Map();
+    const entry = seats.get(seat.ocd_id) || { seat, weight: 0 };
+    entry.weight += weight;
+    seats.set(seat.ocd_id, entry);
+    byZip.set(zip, seats);
+  }
+
+  const docs = [];
+  for (const [zip, seats] of byZip) {
+    const entries = [...seats.values()];
+    const total = entries.reduce((sum, e) => sum + e.weight, 0);
+    for (const { seat, weight } of entries) {
+      docs.push({
+        zip,
+        ...seat,
+        share: total > 0 ? weight / total : 1 / entries.length,
+      });
+    }
+  }
+  return { docs, skipped };
+}
+
+/**
+ * ZIP internal point documents from the Census ZCTA Gazetteer file
+ * @param {string[][]} rows - Header row first
+ * @returns {{ docs: Object[], skipped: number }}
+ */
+function centroidsFromRows([header, ...rows]) {
+  const cols = header.map((h) => h.trim().toUpperCase());
+  const idx = Object.fromEntries(
+    Object.entries(CENTROID_COLUMNS).map(([key, col]) => [
+      key,
+      cols.indexOf(col),
+    ])
+  );
+  if (Object.values(idx).some((i) => i < 0)) {
+    throw new Error(
+      `Centroids need ${Object.values(CENTROID_COLUMNS).join(', ')} columns`
+    );
+  }
+
+  const docs = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const zip = String(row[idx.zip] || '').trim();
+    const lat = Number(row[idx.lat]);
+    const lng = Number(row[idx.lng]);
+    if (
+      !/^\d{5}$/.test(zip) ||
+      !(Math.abs(lat) <= 90) ||
+      !(Math.abs(lng) <= 180)
+    ) {
+      skipped++;
+      continue;
+    }
+    docs.push({ zip, lat, lng });
+  }
+  return { docs, skipped };
+}
+
+/**
+ * Upserts documents by key in batches, then removes rows for the same states
+ * that this run did not touch (every untouched row when the documents have
+ * no state). Pruning is skipped if any row failed to write (e.g. geometry the
+ * 2dsphere index rejects), so a failed seat keeps its previous row.
+ * @param {import('mongoose').Model} Model
+ * @param {Object[]} docs
+ * @param {string[]} keyFields - Fields identifying a document
+ * @returns {Promise<{ upserted: number, failed: number, removed: number }>}
+ */
+async function replaceByState(Model, docs, keyFields) {
+  const startedAt = new Date();
+  let failed = 0;
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    try {
+      await Model.bulkWrite(
+        docs.slice(i, i + BATCH_SIZE).map((doc) => ({
+          updateOne: {
+            filter: Object.fromEntries(keyFields.map((k) => [k, doc[k]])),
+            update: { $set: doc },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+    } catch (err) {
+      if (!err.writeErrors?.length) throw err;
+      failed += err.writeErrors.length;
+      for (const writeError of err.writeErrors) {
+        logger.warn('Row rejected', { error: writeError.errmsg });
+      }
+    }
+  }
+  if (failed) return { upserted: docs.length - failed, failed, removed: 0 };
+
+  const states = [...new Set(docs.map((d) => d.state).filter(Boolean))];
+  const { deletedCount } = await Model.deleteMany({
+    ...(states.length && { state: { $in: states } }),
+    updatedAt: { $lt: startedAt },
+  });
+  return { upserted: docs.length, failed, removed: deletedCount };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    printHelp();
+    process.exit(0);
+  }
+  if (!opts.districts && !opts.centroids && !opts.crosswalk) {
+    process.stderr.write('Pass --districts, --centroids and/or --crosswalk\n');
+    process.exit(2);
+  }
+
+  const districts =
+    opts.districts &&
+    districtsFromGeoJson(
+      JSON.parse(fs.readFileSync(opts.districts, 'utf8')),
+      opts.congress
+    );
+  const centroids =
+    opts.centroids &&
+    centroidsFromRows(parseDelimited(fs.readFileSync(opts.centroids, 'utf8')));
+  const crosswalk =
+    opts.crosswalk &&
+    crosswalkFromRows(parseDelimited(fs.readFileSync(opts.crosswalk, 'utf8')));
+
+  process.stdout.write('\n=== District boundaries ===\n');
+  if (districts) {
+    process.stdout.write(
+      `  ${districts.docs.length} districts (${districts.skipped} features skipped)\n`
+    );
+  }
+  if (centroids) {
+    process.stdout.write(
+      `  ${centroids.docs.length} ZIP internal points (${centroids.skipped} rows skipped)\n`
+    );
+  }
+  if (crosswalk) {
+    const zips = new Set(crosswalk.docs.map((d) => d.zip)).size;
+    process.stdout.write(
+      `  ${crosswalk.docs.length} ZIP-district rows for ${zips} ZIPs (${crosswalk.skipped} rows skipped)\n`
+    );
+  }
+  if (opts.dryRun) {
+    process.stdout.write('  Dry run; nothing written\n\n');
+    process.exit(0);
+  }
+
+  await connect(logger);
+
+  if (districts) {
+    await CongressionalDistrict.init(); // 2dsphere index rejects bad geometry
+    const { upserted, failed, removed } = await replaceByState(
+      CongressionalDistrict,
+      districts.docs,
+      ['ocd_id']
+    );
+    process.stdout.write(
+      `  Districts: ${upserted} loaded, ${failed} rejected, ${removed} stale removed\n`
+    );
+  }
+  if (centroids) {
+    await ZipCentroid.init();
+    const { upserted, failed, removed } = await replaceByState(
+      ZipCentroid,
+      centroids.docs,
+      ['zip']
+    );
+    process.stdout.write(
+      `  Internal points: ${upserted} loaded, ${failed} rejected, ${removed} stale removed\n`
+    );
+  }
+  if (crosswalk) {
+    await ZipDistrict.init();
+    const { upserted, failed, removed } = await replaceByState(
+      ZipDistrict,
+      crosswalk.docs,
+      ['zip', 'ocd_id']
+    );
+    process.stdout.write(
+      `  Crosswalk: ${upserted} loaded, ${failed} rejected, ${removed} stale removed\n`
+    );
+  }
+  process.stdout.write('\n');
+
+  await disconnect();
+  process.exit(0);
+}
+
+main().catch((err) => {
+  logger.error('load-district-boundaries fatal', { error: err.message });
+  console.error(err);
+  mongoose.disconnect().finally(() => process.exit(1));
+});
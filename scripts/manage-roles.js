@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Grant, revoke and list staff roles (User.roles).
+ * Every grant and revocation is written to the security audit log with the
+ * operator's OS username as the actor.
+ *
+ * @module scripts/manage-roles
+ * @see {@link ./README.md} Scripts index
+ *
+ * @example
+ * ```bash
+ * node scripts/manage-roles.js grant dev@powerback.us admin --reason "on-call"
+ * node scripts/manage-roles.js revoke 507f1f77bcf86cd799439011 support
+ * node scripts/manage-roles.js list
+ * node scripts/manage-roles.js list compliance-reviewer
+ * ```
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const envCliPath = path.resolve(__dirname, '../.env.cli');
+const envLocalPath = path.resolve(__dirname, '../.env.local');
+if (fs.existsSync(envCliPath)) require('dotenv').config({ path: envCliPath });
+else if (fs.existsSync(envLocalPath))
+  require('dotenv').config({ path: envLocalPath });
+else require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connect, disconnect } = require('../services/utils/db');
+const { requireLogger } = require('../services/logger');
+const { User } = require('../models');
+const { ROLE_LIST, isRole } = require('../constants/admin');
+const {
+  grantRole,
+  revokeRole,
+  listRoleHolders,
+} = require('../services/user/roleService');
+
+const logger = requireLogger(__filename);
+
+/**
+ * @param {string[]} argv
+ * @returns {{ command: string|null, target: string|null, role: string|null, reason: string|null, help: boolean }}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  let reason = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--help' || a === '-h') help = true;
+    else if (a === '--reason') reason = argv[++i] ?? null;
+    else if (a.startsWith('--')) {
+      process.stderr.write(`Unknown argument: ${a}\n`);
+      process.exit(2);
+    } else positional.push(a);
+  }
+
+  const [command = null, ...rest] = positional;
+  if (command === 'list') {
+    return { command, target: null, role: rest[0] ?? null, reason, help };
+  }
+  const [target = null, role = null] = rest;
+  return { command, target, role, reason, help };
+}
+
+/**
+ * Prints CLI usage to stdout.
+ * @returns {void}
+ */
+function printHelp() {
+  process.stdout.write(`Staff roles
+
+  node scripts/manage-roles.js grant <userId|username> <role> [--reason "..."]
+  node scripts/manage-roles.js revoke <userId|username> <role> [--reason "..."]
+  node scripts/manage-roles.js list [role]
+
+  Roles: ${ROLE_LIST.join(', ')}
+`);
+}
+
+/**
+ * Finds a user by ObjectId or username (email)
+ * @param {string} target
+ * @returns {Promise<Object|null>}
+ */
+async function findUser(target) {
+  const query = mongoose.isValidObjectId(target)
+    ? { _id: target }
+    : { username: String(target).toLowerCase() };
+  return User.findOne(query).select('username roles').lean();
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.command) {
+    printHelp();
+    process.exit(opts.help ? 0 : 2);
+  }
+  if (!['grant', 'revoke', 'list'].includes(opts.command)) {
+    process.stderr.write(`Unknown command: ${opts.command}\n`);
+    process.exit(2);
+  }
+  if (opts.role && !isRole(opts.role)) {
+    process.stderr.write(
+      `Unknown role: ${opts.role} (expected one of ${ROLE_LIST.join(', ')})\n`
+    );
+    process.exit(2);
+  }
+  if (opts.command !== 'list' && !(opts.target && opts.role)) {
+    printHelp();
+    process.exit(2);
+  }
+
+  await connect(logger);
+
+  let exitCode = 0;
+  if (opts.command === 'list') {
+    const holders = await listRoleHolders(opts.role, User);
+    process.stdout.write(`\n=== ${holders.length} role holder(s) ===\n`);
+    holders.forEach((u) =>
+      process.stdout.write(`  ${u._id}  ${u.username}  ${u.roles.join(', ')}\n`)
+    );
+    process.stdout.write('\n');
+  } else {
+    const user = await findUser(opts.target);
+    if (!user) {
+      process.stderr.write(`User not found: ${opts.target}\n`);
+      exitCode = 1;
+    } else {
+      const change = opts.command === 'grant' ? grantRole : revokeRole;
+      const { changed, roles } = await change(
+        user._id,
+        opts.role,
+        { actor: `cli:${os.userInfo().username}`, reason: opts.reason },
+        User
+      );
+      process.stdout.write(
+        `${changed ? 'Updated' : 'No change'}: ${user.username} (${user._id}) roles = [${roles.join(', ')}]\n`
+      );
+    }
+  }
+
+  await disconnect();
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  logger.error('manage-roles fatal', { error: err.message });
+  console.error(err);
+  mongoose.disconnect().finally(() => process.exit(1));
+});
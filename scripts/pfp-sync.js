@@ -1,11 +1,12 @@
 /**
- * @fileoverview Sync House member headshots to local WebP files under pfp/.
+ * @fileoverview Sync House and Senate member headshots to local WebP files under pfp/.
  *
- * Queries live `pols` for House carousel roster (`has_stakes`, not
- * `roster_excluded`), downloads the official House Clerk JPG per bioguide ID,
- * resizes/covers to carousel dimensions, encodes WebP (target size cap with
+ * Queries live `pols` for the carousel roster (`has_stakes`, not
+ * `roster_excluded`), downloads the official House Clerk JPG per bioguide ID
+ * for representatives and the public-domain congressional image set
+ * (POL_IMG_SENATE_URL) for senators, resizes/covers to carousel dimensions, encodes WebP (target size cap with
  * quality sweep), and writes `{id}.webp` atomically. Invoked via
- * `npm run pfp-sync`, and from the server watcher chain (`jobs/runWatchers.js`)
+ * `npm run pfp-sync`, and as the `pfpSync` job (`jobs/registry.js`), scheduled
  * after `challengersWatcher` so `has_stakes` is fresh.
  *
  * @module scripts/pfp-sync
@@ -27,13 +28,16 @@ const logger = requireLogger(__filename);
 
 const BIOGUIDE_RE = /^[A-Z]\d{6}$/;
 
-/** Matches selectable House pols used for donation targeting (see GET /api/congress roster). */
+/** Matches selectable pols used for donation targeting (see GET /api/congress roster). */
 const ROSTER_PFP_QUERY = {
-  'roles.0.chamber': 'House',
+  'roles.0.chamber': { $in: ['House', 'Senate'] },
   roster_excluded: { $ne: true },
   has_stakes: true,
 };
 const DEFAULT_CLERK_BASE = 'https://clerk.house.gov/images/members/';
+/** The House Clerk only hosts representatives; senators come from here. */
+const DEFAULT_SENATE_BASE =
+  'https://unitedstates.github.io/images/congress/original/';
 const WIDTH = 227;
 const HEIGHT = 277;
 const MAX_WEBP_BYTES = 10 * 1024;
@@ -122,7 +126,7 @@ async function downloadJpg(url) {
 /**
  * @param {object} opts
  * @param {string} opts.outDir
- * @param {string} opts.clerkBase
+ * @param {string} opts.clerkBase - Image base for this member's chamber
  * @param {boolean} opts.dryRun
  * @param {boolean} opts.force
  * @param {string} id
@@ -194,7 +198,7 @@ function parseArgs(argv) {
 }
 
 /**
- * Sync WebP headshots for eligible House pols (and optional CLI bioguide subset).
+ * Sync WebP headshots for eligible House and Senate pols (and optional CLI bioguide subset).
  *
  * @param {object} [options]
  * @param {string[]} [options.argv] - Args after script name (flags + optional bioguides)
@@ -214,6 +218,7 @@ async function runPfpSync(options = {}) {
     process.env.POL_IMG_FALLBACK_URL ||
     process.env.REACT_APP_POL_IMG_FALLBACK_URL ||
     DEFAULT_CLERK_BASE;
+  const senateBase = process.env.POL_IMG_SENATE_URL || DEFAULT_SENATE_BASE;
   const outDir = getResolvedPfpOutDir();
 
   await fsp.mkdir(outDir, { recursive: true });
@@ -221,6 +226,7 @@ async function runPfpSync(options = {}) {
   const loggerMeta = {
     outDir,
     clerkBase,
+    senateBase,
     dryRun: flags.dryRun,
     force: flags.force,
   };
@@ -236,7 +242,10 @@ async function runPfpSync(options = {}) {
         ? { id: { $in: cliIds }, ...ROSTER_PFP_QUERY }
         : { ...ROSTER_PFP_QUERY };
 
-    const docs = await Pol.find(query).select('id').lean().exec();
+    const docs = await Pol.find(query).select('id roles.chamber').lean().exec();
+    const senatorIds = new Set(
+      docs.filter((d) => d.roles?.[0]?.chamber === 'Senate').map((d) => d.id)
+    );
     const idList = [
       ...new Set(docs.map((d) => d.id).filter((id) => BIOGUIDE_RE.test(id))),
     ].sort();
@@ -245,7 +254,7 @@ async function runPfpSync(options = {}) {
       const missing = cliIds.filter((id) => !idList.includes(id));
       for (const m of missing) {
         logger.warn(
-          `Bioguide ${m} not found as House has_stakes pol with roster_excluded clear (skipped)`
+          `Bioguide ${m} not found as has_stakes pol with roster_excluded clear (skipped)`
         );
       }
     }
@@ -267,7 +276,7 @@ async function runPfpSync(options = {}) {
       const result = await syncOneBioguide(
         {
           outDir,
-          clerkBase,
+          clerkBase: senatorIds.has(id) ? senateBase : clerkBase,
           dryRun: flags.dryRun,
           force: flags.force,
         },
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Reconciliation report: defunct Celebrations whose Stripe
+ * payment intents are still open (not cancelled, or charged and never
+ * refunded). Read-only; nothing is changed in Stripe or MongoDB.
+ *
+ * @module scripts/reconcile-defunct-stripe
+ * @see {@link ./README.md} Scripts index
+ *
+ * @example
+ * ```bash
+ * node scripts/reconcile-defunct-stripe.js
+ * node scripts/reconcile-defunct-stripe.js --json > defunct-open.json
+ * ```
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envCliPath = path.resolve(__dirname, '../.env.cli');
+const envLocalPath = path.resolve(__dirname, '../.env.local');
+if (fs.existsSync(envCliPath)) require('dotenv').config({ path: envCliPath });
+else if (fs.existsSync(envLocalPath))
+  require('dotenv').config({ path: envLocalPath });
+else require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connect, disconnect } = require('../services/utils/db');
+const { requireLogger } = require('../services/logger');
+const { Celebration } = require('../models');
+const CancellationService = require('../services/celebration/cancellationService');
+
+const logger = requireLogger(__filename);
+
+/**
+ * @param {string[]} argv
+ * @returns {{ json: boolean, help: boolean }}
+ */
+function parseArgs(argv) {
+  let json = false;
+  let help = false;
+
+  for (const a of argv) {
+    if (a === '--json') json = true;
+    else if (a === '--help' || a === '-h') help = true;
+    else {
+      process.stderr.write(`Unknown argument: ${a}\n`);
+      process.exit(2);
+    }
+  }
+
+  return { json, help };
+}
+
+/**
+ * Prints CLI usage to stdout.
+ * @returns {void}
+ */
+function printHelp() {
+  process.stdout.write(`Defunct Celebrations with open Stripe objects
+
+  node scripts/reconcile-defunct-stripe.js [--json]
+
+  --json  Print the full report as JSON instead of a table
+`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  await connect(logger);
+
+  const report = await CancellationService.getOpenDefunctReport(
+    {},
+    Celebration
+  );
+
+  if (opts.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    process.stdout.write(
+      `\n=== Checked ${report.checkedCount}, open ${report.openCount}, errors ${report.errorCount} ===\n`
+    );
+    report.items.forEach((item) =>
+      process.stdout.write(
+        `  ${item.celebration_id}  ${item.payment_intent}  ${item.payment_intent_status}  ${item.issue}  (last: ${item.last_cancellation_outcome || 'none'})\n`
+      )
+    );
+    process.stdout.write('\n');
+  }
+
+  await disconnect();
+  process.exit(report.openCount > 0 || report.errorCount > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  logger.error('reconcile-defunct-stripe fatal', { error: err.message });
+  console.error(err);
+  mongoose.disconnect().finally(() => process.exit(1));
+});
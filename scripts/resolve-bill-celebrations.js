@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Dry-run / apply automatic Celebration resolution for tracked
+ * bills, using the same Congress.gov actions check as jobs/billWatcher.
+ *
+ * Default is dry-run only: reports the qualifying House floor action (if any)
+ * and the Celebrations that would resolve. Apply requires `--apply`.
+ *
+ * @module scripts/resolve-bill-celebrations
+ * @see {@link ./README.md} Scripts index
+ *
+ * @example
+ * ```bash
+ * node scripts/resolve-bill-celebrations.js
+ * node scripts/resolve-bill-celebrations.js --bill hjres54-119
+ * node scripts/resolve-bill-celebrations.js --bill hjres54-119 --apply
+ * ```
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envCliPath = path.resolve(__dirname, '../.env.cli');
+const envLocalPath = path.resolve(__dirname, '../.env.local');
+if (fs.existsSync(envCliPath)) require('dotenv').config({ path: envCliPath });
+else if (fs.existsSync(envLocalPath))
+  require('dotenv').config({ path: envLocalPath });
+else require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connect, disconnect } = require('../services/utils/db');
+const { requireLogger } = require('../services/logger');
+const { getTrackedBills, resolveCelebrations } = require('../jobs/billWatcher');
+
+const logger = requireLogger(__filename);
+
+/**
+ * @param {string[]} argv
+ * @returns {{ apply: boolean, billId: string|null, help: boolean }}
+ */
+function parseArgs(argv) {
+  let apply = false;
+  let billId = null;
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--apply') apply = true;
+    else if (a === '--help' || a === '-h') help = true;
+    else if (a === '--bill' && argv[i + 1]) billId = argv[++i].toLowerCase();
+    else {
+      process.stderr.write(`Unknown argument: ${a}\n`);
+      process.exit(2);
+    }
+  }
+
+  return { apply, billId, help };
+}
+
+/**
+ * Prints CLI usage to stdout.
+ * @returns {void}
+ */
+function printHelp() {
+  process.stdout.write(`Resolve Celebrations for tracked bills
+
+  node scripts/resolve-bill-celebrations.js [--bill <bill_id>] [--apply]
+
+  --bill   Only check this tracked bill (e.g. hjres54-119); default all tracked bills
+  --apply  Resolve Celebrations; without it nothing is written (dry-run)
+`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  await connect(logger);
+
+  const targets = (await getTrackedBills()).filter(
+    (t) => !opts.billId || t.bill_id === opts.billId
+  );
+  if (targets.length === 0) {
+    process.stdout.write(
+      `No tracked bill matches ${opts.billId || '(any)'}. Track it in constants/bills.js or set Bill.tracked.\n`
+    );
+    await disconnect();
+    process.exit(1);
+  }
+
+  process.stdout.write(
+    `\n=== ${opts.apply ? 'Apply' : 'Dry run'}: ${targets.length} bill(s) ===\n`
+  );
+
+  for (const target of targets) {
+    const summary = await resolveCelebrations(target, {
+      dryRun: !opts.apply,
+    });
+
+    if (!summary) {
+      process.stdout.write(`${target.bill_id}: check failed (see logs)\n`);
+      continue;
+    }
+    if (!summary.qualifyingAction) {
+      process.stdout.write(`${target.bill_id}: no qualifying floor action\n`);
+      continue;
+    }
+
+    const { actionDate, result, text } = summary.qualifyingAction;
+    process.stdout.write(
+      `${target.bill_id}: ${actionDate} (${result}) ${text}\n`
+    );
+    if (opts.apply) {
+      process.stdout.write(
+        `  resolved: ${summary.resolvedCount}, failed: ${summary.failedCount}\n`
+      );
+    } else {
+      process.stdout.write(`  would resolve: ${summary.wouldResolveCount}\n`);
+      summary.celebrationIds.forEach((id) =>
+        process.stdout.write(`  - ${id}\n`)
+      );
+    }
+  }
+
+  process.stdout.write('\n');
+  await disconnect();
+}
+
+main().catch((err) => {
+  logger.error('resolve-bill-celebrations fatal', { error: err.message });
+  console.error(err);
+  mongoose.disconnect().finally(() => process.exit(1));
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Runs one registered background job now (see jobs/registry),
+ * with the same lease lock and JobRun history as a scheduled run. Exits 1 if
+ * the run failed and 3 if another instance is running the job.
+ *
+ * @module scripts/run-job
+ * @see {@link ./README.md} Scripts index
+ *
+ * @example
+ * ```bash
+ * node scripts/run-job.js --list
+ * node scripts/run-job.js settlementWatcher --dry-run
+ * npm run job -- billWatcher --json
+ * ```
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envCliPath = path.resolve(__dirname, '../.env.cli');
+const envLocalPath = path.resolve(__dirname, '../.env.local');
+if (fs.existsSync(envCliPath)) require('dotenv').config({ path: envCliPath });
+else if (fs.existsSync(envLocalPath))
+  require('dotenv').config({ path: envLocalPath });
+else require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { disconnect } = require('../services/utils/db');
+const { requireLogger } = require('../services/logger');
+const { runJob } = require('../jobs/jobRunner');
+const { jobs } = require('../jobs/registry');
+
+const logger = requireLogger(__filename);
+
+/**
+ * @param {string[]} argv
+ * @returns {{ name: string|null, dryRun: boolean, json: boolean, list: boolean, help: boolean }}
+ */
+function parseArgs(argv) {
+  let name = null;
+  let dryRun = false;
+  let json = false;
+  let list = false;
+  let help = false;
+
+  for (const a of argv) {
+    if (a === '--dry-run') dryRun = true;
+    else if (a === '--json') json = true;
+    else if (a === '--list') list = true;
+    else if (a === '--help' || a === '-h') help = true;
+    else if (!a.startsWith('-') && !name) name = a;
+    else {
+      process.stderr.write(`Unknown argument: ${a}\n`);
+      process.exit(2);
+    }
+  }
+
+  return { name, dryRun, json, list, help };
+}
+
+function printJobs() {
+  Object.entries(jobs).forEach(([name, job]) =>
+    process.stdout.write(
+      `  ${name.padEnd(28)}${(job.schedule || `after ${job.after}`).padEnd(
+        26
+      )}${job.supportsDryRun ? 'dry-run  ' : '         '}${job.description}\n`
+    )
+  );
+}
+
+function printHelp() {
+  process.stdout.write(`Run a background job now
+
+  node scripts/run-job.js <name> [--dry-run] [--json]
+  node scripts/run-job.js --list
+
+  --dry-run  Report what the job would do without doing it (where supported)
+  --json     Print the JobRun as JSON
+  --list     List registered jobs
+
+Jobs:
+`);
+  printJobs();
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || (!opts.name && !opts.list)) {
+    printHelp();
+    process.exit(opts.help ? 0 : 2);
+  }
+  if (opts.list) {
+    printJobs();
+    process.exit(0);
+  }
+
+  let run;
+  try {
+    run = await runJob(opts.name, {
+      dryRun: opts.dryRun,
+      trigger: 'manual',
+      requestedBy: 'cli',
+    });
+  } catch (err) {
+    if (err.message === 'unknown-job') {
+      process.stderr.write(`Unknown job: ${opts.name} (see --list)\n`);
+      process.exit(2);
+    }
+    if (err.message === 'dry-run-unsupported') {
+      process.stderr.write(`${opts.name} does not support --dry-run\n`);
+      process.exit(2);
+    }
+    throw err;
+  }
+
+  if (opts.json) {
+    process.stdout.write(`${JSON.stringify(run, null, 2)}\n`);
+  } else if (run.skipped) {
+    process.stdout.write(`\n${opts.name} is running on ${run.holder}\n\n`);
+  } else {
+    process.stdout.write(
+      `\n=== ${run.job} ${run.status}${run.dry_run ? ' (dry run)' : ''} in ${
+        run.duration_ms
+      }ms ===\n`
+    );
+    if (run.error) process.stdout.write(`  error: ${run.error}\n`);
+    Object.entries(run.summary || {}).forEach(([key, value]) =>
+      process.stdout.write(`  ${key}: ${JSON.stringify(value)}\n`)
+    );
+    process.stdout.write('\n');
+  }
+
+  await disconnect();
+  process.exit(run.skipped ? 3 : run.status === 'failed' ? 1 : 0);
+}
+
+main().catch((err) => {
+  logger.error('run-job fatal', { error: err.message });
+  console.error(err);
+  mongoose.disconnect().finally(() => process.exit(1));
+});
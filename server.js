@@ -12,6 +12,8 @@
  * - Database connection with startup validation
  * - Background job management
  * - Static file serving with CORS support
+ * - Public embed widget endpoints with their own CORS and CSP
+ * - Shareable deep-link pages with server-rendered share meta
  * - Rate limiting and API protection
  *
  * @version 1.0.0
@@ -47,6 +49,7 @@ const {
   setPdfHeaders,
   createCorsOptions,
   createHelmetConfig,
+  createEmbedCorsOptions,
   createStaticCorsOptions,
 } = require('./config/server.config');
 const cspHeaders = require('./cspHeaders');
@@ -61,32 +64,7 @@ const logger = requireLogger(__filename);
 // Production: Load from SECRETS_PATH environment variable
 if (process.env.NODE_ENV === 'production') {
   // Production environment - load from SECRETS_PATH
-  const secretsPath = process.env.SECRETS_PATH;
-
-  if (!secretsPath) {
-    logger.error(
-      'SECRETS_PATH environment variable is not set. Configure SECRETS_PATH in your systemd service file.'
-    );
-  } else if (!fs.existsSync(secretsPath)) {
-    logger.error(`SECRETS_PATH file not found: ${secretsPath}`);
-  } else {
-    try {
-      const envContent = fs.readFileSync(secretsPath, 'utf8');
-      envContent.split('\n').forEach((line) => {
-        if (line.trim() && !line.startsWith('#')) {
-          const [key, ...valueParts] = line.split('=');
-          if (key && valueParts.length > 0) {
-            process.env[key] = valueParts.join('=');
-          }
-        }
-      });
-      logger.debug(
-        `Environment variables loaded from SECRETS_PATH (${secretsPath}) at ${new Date().toISOString()}`
-      );
-    } catch (err) {
-      logger.error(`Failed to load environment from SECRETS_PATH:`, err);
-    }
-  }
+  require('./config/secrets.config').loadSecrets(logger);
 }
 
 const isProductionEnv = process.env.NODE_ENV === 'production';
@@ -96,6 +74,7 @@ const STATIC_PUBLIC_DIR = process.env.STATIC_PUBLIC_DIR;
 
 const corsOptions = createCorsOptions(isProductionEnv);
 const staticCorsOptions = createStaticCorsOptions();
+const embedCorsOptions = createEmbedCorsOptions();
 
 const app = express();
 
@@ -107,6 +86,15 @@ app.set('trust proxy', getTrustProxy(isProductionEnv));
 // Apply permissive CORS to static files FIRST (before main CORS)
 app.use('/static', cors(staticCorsOptions));
 
+// Public embed widget: open, credential-free CORS and its own CSP. Mounted
+// before the app CORS, cookie parsing and CSRF so it never reads or sets cookies
+app.use(
+  '/api/embed',
+  cors(embedCorsOptions),
+  helmet(createHelmetConfig()),
+  require('./routes/api/embed')
+);
+
 // Apply restrictive CORS to API routes
 app.use(cors(corsOptions));
 
@@ -174,6 +162,10 @@ app.get(`/${POSITION_PAPER_PATH}`, cors(staticCorsOptions), (req, res) => {
   );
 });
 
+// Shareable deep links (/rep/:bioguide, /state/:st/district/:nn): SPA shell
+// with share meta for link previews
+app.use(require('./routes/share'));
+
 // Webhook routes come before any body parsing middleware
 app.use('/api/webhooks', require('./routes/api/webhooks'));
 
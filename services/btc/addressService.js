@@ -17,12 +17,21 @@
  * - Atomic increment prevents duplicate addresses
  * - Zero-based indexing for derivation
  *
+ * ADDRESS LEDGER
+ * - Every derived address is recorded in the BtcAddress collection with
+ *   who requested it (user, Celebration) and why (support or tip)
+ * - The payment watcher polls ledger entries for incoming funds
+ *
  * BUSINESS LOGIC
  *
  * DERIVATION PROCESS
  * 1. Get next index from counter (atomic increment)
  * 2. Derive address using xpub and index
- * 3. Return bech32 address to user
+ * 3. Record the address in the ledger with the request context
+ * 4. Return bech32 address to user
+ *
+ * A ledger write failure is logged but does not fail the request, so emails
+ * that embed an address still go out.
  *
  * COUNTER STORAGE
  * - Counter ID: 'btc_address_index'
@@ -33,11 +42,14 @@
  * DEPENDENCIES
  * - ./deriveAddress: Address derivation function
  * - models/counter: Counter model for index tracking
+ * - models/BtcAddress: Address ledger
  * - process.env.BTC_XPUB: Extended public key for derivation
  *
  * @module services/btc/addressService
  * @requires ./deriveAddress
  * @requires ../../models/counter
+ * @requires ../../models/BtcAddress
+ * @requires ../../constants
  */
 
 /**
@@ -50,7 +62,10 @@
  */
 
 const Counter = require('../../models/counter.js');
-const { deriveBech32Address } = require('./deriveAddress');
+const BtcAddress = require('../../models/BtcAddress');
+const { BTC } = require('../../constants');
+const logger = require('../utils/logger')(__filename);
+const { deriveBech32Address, getNetworkName } = require('./deriveAddress');
 
 const COUNTER_ID = 'btc_address_index';
 
@@ -65,7 +80,41 @@ const getNextIndex = async () => {
   return doc.value - 1;
 };
 
-const getBTCAddress = async (_context = {}) => {
+/**
+ * Records a derived address in the ledger
+ * @param {number} index - Derivation index
+ * @param {string} address - Derived address
+ * @param {Object} context - Request context (see getBTCAddress)
+ * @returns {Promise<void>}
+ */
+const recordAddress = async (index, address, context) => {
+  const { userId, celebrationId, purpose, source } = context;
+  try {
+    await BtcAddress.create({
+      index,
+      address,
+      network: getNetworkName(process.env.BTC_XPUB),
+      purpose: BTC.PURPOSES.includes(purpose) ? purpose : 'support',
+      source: source || 'api',
+      requested_by: userId || undefined,
+      celebration_id: celebrationId || undefined,
+      watch_until: new Date(Date.now() + BTC.WATCH_DAYS * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    logger.error(`Failed to record BTC address index ${index}:`, error);
+  }
+};
+
+/**
+ * Derives a fresh donation address and records it in the ledger
+ * @param {Object} context - Who the address is for
+ * @param {string} context.userId - Requesting user, if known
+ * @param {string} context.celebrationId - Related Celebration, if any
+ * @param {string} context.purpose - 'support' (default) | 'tip'
+ * @param {string} context.source - Where the address is shown (e.g. 'email:new')
+ * @returns {Promise<string>} bech32 address
+ */
+const getBTCAddress = async (context = {}) => {
   const index = await getNextIndex();
 
   const address = deriveBech32Address({
@@ -73,6 +122,8 @@ const getBTCAddress = async (_context = {}) => {
     index,
   });
 
+  await recordAddress(index, address, context);
+
   return address;
 };
 
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Bitcoin chain source with pluggable backends
+ *
+ * The payment watcher only needs two reads from the chain: the transactions
+ * paying an address and the current tip height (to count confirmations).
+ * Both go through this module so the backend can be swapped without touching
+ * the watcher.
+ *
+ * BACKENDS
+ * - esplora: Esplora-compatible HTTP API (BTC_ESPLORA_URL)
+ * - stub: in-process transactions seeded by tests
+ * Selected by BTC_CHAIN_SOURCE=esplora|stub. When unset, test uses stub and
+ * other environments use esplora.
+ *
+ * BACKEND INTERFACE
+ * - name: Backend name
+ * - getAddressTransactions(address): [{ txid, amount_sats, confirmed,
+ *   block_height }], amount_sats counting only outputs to the address
+ * - getTipHeight(): Current chain height
+ *
+ * @module services/btc/chainSource
+ * @requires ./chainSources/esploraSource
+ * @requires ./chainSources/stubSource
+ */
+
+/**
+ * Selects the backend from BTC_CHAIN_SOURCE or NODE_ENV
+ * @returns {Object} Backend module
+ */
+function selectBackend() {
+  const name =
+    process.env.BTC_CHAIN_SOURCE ||
+    (process.env.NODE_ENV === 'test' ? 'stub' : 'esplora');
+
+  switch (name) {
+    case 'esplora':
+      return require('./chainSources/esploraSource');
+    case 'stub':
+      return require('./chainSources/stubSource');
+    default:
+      throw new Error(`Unknown BTC_CHAIN_SOURCE "${name}"`);
+  }
+}
+
+const backend = selectBackend();
+
+/**
+ * Transactions paying an address
+ * @param {string} address - bech32 address
+ * @returns {Promise<Array<Object>>} { txid, amount_sats, confirmed, block_height }
+ */
+function getAddressTransactions(address) {
+  return backend.getAddressTransactions(address);
+}
+
+/**
+ * Current chain height
+ * @returns {Promise<number>} Height of the chain tip
+ */
+function getTipHeight() {
+  return backend.getTipHeight();
+}
+
+/**
+ * Name of the active backend ('esplora' or 'stub')
+ * @returns {string} Backend name
+ */
+function getSourceName() {
+  return backend.name;
+}
+
+module.exports = { getAddressTransactions, getTipHeight, getSourceName };
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Esplora chain source
+ *
+ * Reads address activity from an Esplora-compatible HTTP API (Blockstream,
+ * mempool.space or a self-hosted instance). Base URL comes from
+ * BTC_ESPLORA_URL, or the public Blockstream API for the configured network.
+ *
+ * ENDPOINTS USED
+ * - GET /address/:address/txs - Mempool transactions plus the newest 25
+ *   confirmed ones; enough for donation addresses, which are single-use
+ * - GET /blocks/tip/height - Current chain height
+ *
+ * @module services/btc/chainSources/esploraSource
+ * @requires axios
+ * @requires ../../../constants
+ * @requires ../deriveAddress
+ */
+
+const axios = require('axios');
+const { BTC } = require('../../../constants');
+const { getNetworkName } = require('../deriveAddress');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Esplora base URL for the configured network
+ * @returns {string} Base URL without trailing slash
+ */
+function getBaseUrl() {
+  const configured = process.env.BTC_ESPLORA_URL;
+  if (configured) return configured.replace(/\/+$/, '');
+  return BTC.ESPLORA_URLS[getNetworkName(process.env.BTC_XPUB)];
+}
+
+/**
+ * Transactions paying an address
+ * @param {string} address - bech32 address
+ * @returns {Promise<Array<Object>>} { txid, amount_sats, confirmed, block_height }
+ */
+async function getAddressTransactions(address) {
+  const { data } = await axios.get(
+    `${getBaseUrl()}/address/${encodeURIComponent(address)}/txs`,
+    { timeout: REQUEST_TIMEOUT_MS }
+  );
+
+  return data
+    .map((tx) => ({
+      txid: tx.txid,
+      amount_sats: tx.vout
+        .filter((out) => out.scriptpubkey_address === address)
+        .reduce((sum, out) => sum + out.value, 0),
+      confirmed: Boolean(tx.status?.confirmed),
+      block_height: tx.status?.block_height ?? null,
+    }))
+    .filter((tx) => tx.amount_sats > 0);
+}
+
+/**
+ * Current chain height
+ * @returns {Promise<number>} Height of the chain tip
+ */
+async function getTipHeight() {
+  const { data } = await axios.get(`${getBaseUrl()}/blocks/tip/height`, {
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  return Number(data);
+}
+
+module.exports = {
+  name: 'esplora',
+  getAddressTransactions,
+  getTipHeight,
+};
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Local chain source (tests and offline development)
+ *
+ * Same interface as esploraSource, backed by an in-process Map. Nothing is
+ * fetched; tests seed transactions with addTransaction() and move the chain
+ * forward with setTipHeight().
+ *
+ * @module services/btc/chainSources/stubSource
+ */
+
+/**
+ * Seeded transactions by address
+ * @type {Map<string, Array<Object>>}
+ */
+const transactions = new Map(); // address → [{ txid, amount_sats, block_height }]
+
+let tipHeight = 0;
+
+/**
+ * Seeds a transaction paying an address
+ * @param {string} address - bech32 address
+ * @param {Object} tx - { txid, amount_sats, block_height } (omit block_height for mempool)
+ */
+function addTransaction(address, tx) {
+  const list = transactions.get(address) || [];
+  transactions.set(address, [
+    ...list.filter((t) => t.txid !== tx.txid),
+    { block_height: null, ...tx },
+  ]);
+}
+
+/**
+ * Sets the chain tip height
+ * @param {number} height - New tip height
+ */
+function setTipHeight(height) {
+  tipHeight = height;
+}
+
+/**
+ * Clears all seeded transactions and resets the tip
+ */
+function reset() {
+  transactions.clear();
+  tipHeight = 0;
+}
+
+/**
+ * Transactions paying an address
+ * @param {string} address - bech32 address
+ * @returns {Promise<Array<Object>>} { txid, amount_sats, confirmed, block_height }
+ */
+async function getAddressTransactions(address) {
+  return (transactions.get(address) || []).map((tx) => ({
+    ...tx,
+    confirmed: tx.block_height != null,
+  }));
+}
+
+/**
+ * Current chain height
+ * @returns {Promise<number>} Height of the chain tip
+ */
+async function getTipHeight() {
+  return tipHeight;
+}
+
+module.exports = {
+  name: 'stub',
+  getAddressTransactions,
+  getTipHeight,
+  addTransaction,
+  setTipHeight,
+  reset,
+};
@@ -124,4 +124,8 @@ const deriveBech32Address = ({ xpub, index }) => {
   return address;
 };
 
-module.exports = { deriveBech32Address };
+// Network name ('mainnet' | 'testnet') an extended key derives addresses for
+const getNetworkName = (extendedKey) =>
+  getNetwork(extendedKey) === bitcoin.networks.testnet ? 'testnet' : 'mainnet';
+
+module.exports = { deriveBech32Address, getNetworkName };
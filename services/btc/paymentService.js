@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Bitcoin Payment Service
+ *
+ * Watches ledger addresses (BtcAddress) for incoming funds through the
+ * configured chain source, records payments and confirmations, and thanks
+ * the requester once a payment confirms.
+ *
+ * KEY FUNCTIONS
+ *
+ * checkAddress(record, tipHeight, now)
+ * - Syncs one ledger entry with the chain: payments, totals and status
+ * - Converts newly confirmed payments to USD and applies the PAC limit
+ * - Sends the thank-you email the first time the address is confirmed
+ *
+ * pollPendingAddresses(options)
+ * - Expires pending addresses past their watch window
+ * - Checks the least recently checked pending/unconfirmed addresses, plus
+ *   confirmed ones whose thank-you email has not been sent
+ *
+ * getPacContributionsUsd(userId, now)
+ * - A user's confirmed BTC contributions this calendar year, in USD, net of
+ *   refunds; added to Celebration tips by checkPACLimit callers
+ *
+ * listPacReviews(status) / resolvePacReview(id, resolution, admin)
+ * - Over-limit contributions awaiting refund review, and their resolution
+ *
+ * BUSINESS LOGIC
+ *
+ * CONFIRMATIONS
+ * - A payment's confirmations are tipHeight - block_height + 1 (0 in mempool)
+ * - A payment is confirmed at BTC.MIN_CONFIRMATIONS (BTC_MIN_CONFIRMATIONS)
+ * - Payments that disappear from the mempool (replaced or dropped) are
+ *   removed from the entry on the next check
+ *
+ * STATUS
+ * - pending: nothing received yet
+ * - unconfirmed: at least one payment below the confirmation threshold
+ * - confirmed: every payment confirmed; no longer polled once thanked
+ * - expired: still pending when watch_until passes; no longer polled
+ *
+ * PAC LIMIT
+ * - Every address derives from the committee's xpub, so every confirmed
+ *   payment is a contribution to the committee, whatever its purpose
+ * - Payments are converted to USD when first seen confirmed, using the rate
+ *   source (services/btc/rateSource); rate and source are stored per payment
+ * - The requester's tips plus BTC this year are checked with checkPACLimit:
+ *   reaching the limit sets tipLimitReached and sends PacLimitReached, and
+ *   the amount over the limit is flagged on pac_review for refund review
+ * - Anonymous addresses cannot be aggregated and are not checked
+ *
+ * THANK-YOU EMAIL
+ * - Sent once (thanked_at) to the requesting user when the address confirms
+ * - The confirmed state is saved first; thanked_at is then claimed
+ *   atomically and the email queued only by the run whose claim matched
+ * - A failed send releases the claim and is retried on later runs until
+ *   watch_until passes
+ * - Addresses requested anonymously are recorded but cannot be thanked
+ *
+ * DEPENDENCIES
+ * - ./chainSource: Address transactions and tip height
+ * - models/BtcAddress: Address ledger
+ * - ./rateSource: BTC/USD conversion
+ * - models/User: Thank-you recipient, tipLimitReached
+ * - models/Celebration: Tips counted toward the PAC limit
+ * - controller/users/account/utils/reckon: checkPACLimit
+ * - services/celebration/emailService: PAC limit email
+ * - controller/comms: Email queueing (email outbox)
+ *
+ * @module services/btc/paymentService
+ * @requires ../../models
+ * @requires ../../constants
+ * @requires ../../controller/comms
+ * @requires ../../controller/comms/emails
+ * @requires ../../controller/users/account/utils/reckon
+ * @requires ../celebration/emailService
+ * @requires ../utils/logger
+ * @requires ./chainSource
+ * @requires ./rateSource
+ */
+
+const mongoose = require('mongoose');
+const { BtcAddress, Celebration, User } = require('../../models');
+const { BTC } = require('../../constants');
+const { enqueueEmail } = require('../../controller/comms'),
+  { emails } = require('../../controller/comms/emails'),
+  { checkPACLimit } = require('../../controller/users/account/utils/reckon'),
+  { sendPACLimitEmail } = require('../celebration/emailService'),
+  logger = require('../utils/logger')(__filename),
+  chainSource = require('./chainSource'),
+  rateSource = require('./rateSource');
+
+/**
+ * Rounds a USD amount to cents
+ * @param {number} amount - Amount in USD
+ * @returns {number} Rounded amount
+ */
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * A user's confirmed BTC contributions this calendar year, in USD
+ * Refunded over-limit amounts (pac_review.refunded_usd) are excluded.
+ * @param {string} userId - User ID
+ * @param {Date} now - Reference time (year of the aggregate)
+ * @returns {Promise<number>} Total in USD
+ */
+async function getPacContributionsUsd(userId, now = new Date()) {
+  if (!userId || !mongoose.isValidObjectId(userId)) return 0;
+
+  // Same calendar-year window as checkPACLimit
+  const startOfYear = new Date(now.getFullYear(), 0, 1);
+  const endOfYear = new Date(now.getFullYear(), 11, 31, 23, 59, 59);
+
+  const [result] = await BtcAddress.aggregate([
+    {
+      $match: {
+        requested_by: new mongoose.Types.ObjectId(String(userId)),
+        'payments.confirmed_at': { $gte: startOfYear, $lte: endOfYear },
+      },
+    },
+    { $unwind: '$payments' },
+    {
+      $match: {
+        'payments.confirmed_at': { $gte: startOfYear, $lte: endOfYear },
+      },
+    },
+    {
+      $group: {
+        _id: '$_id',
+        usd: { $sum: { $ifNull: ['$payments.usd_value', 0] } },
+        refunded: { $first: { $ifNull: ['$pac_review.refunded_usd', 0] } },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $subtract: ['$usd', '$refunded'] } },
+      },
+    },
+  ]);
+
+  return toCents(Math.max(result?.total ?? 0, 0));
+}
+
+/**
+ * Applies the annual PAC limit to newly confirmed BTC on a ledger entry
+ * Must run before the entry is saved, so the aggregate excludes the new USD.
+ * @param {Object} record - BtcAddress document (with requested_by)
+ * @param {number} newUsd - USD value of the newly confirmed payments
+ * @param {Date} now - Check time
+ * @returns {Promise<Object>} { limitReached, excessUsd }
+ */
+async function applyPacLimit(record, newUsd, now) {
+  const userId = record.requested_by;
+  const [celebrations, btcPACTotal] = await Promise.all([
+    Celebration.find({ donatedBy: userId }).lean(),
+    getPacContributionsUsd(userId, now),
+  ]);
+
+  const pacLimitInfo = checkPACLimit(celebrations, newUsd, btcPACTotal);
+  const pacLimit = Number(pacLimitInfo.pacLimit);
+  const newTotal = toCents(pacLimitInfo.currentPACTotal + newUsd);
+  const limitReached = newTotal >= pacLimit;
+  const excessUsd = pacLimitInfo.wouldExceed
+    ? toCents(Math.min(newUsd, newTotal - pacLimit))
+    : 0;
+
+  if (excessUsd > 0) {
+    record.pac_review = {
+      status: 'flagged',
+      reason: 'pac-annual-limit',
+      excess_usd: toCents((record.pac_review?.excess_usd || 0) + excessUsd),
+      flagged_at: now,
+    };
+    logger.warn(
+      `BTC address index ${record.index} exceeds the PAC limit by $${excessUsd} - flagged for refund review`
+    );
+  }
+
+  if (limitReached) {
+    await User.findByIdAndUpdate(userId, { tipLimitReached: true });
+    if (!pacLimitInfo.hasReachedLimit) {
+      try {
+        await sendPACLimitEmail(userId, newTotal, pacLimit);
+      } catch (emailError) {
+        logger.error('Failed to send PAC limit email:', emailError);
+      }
+    }
+  }
+
+  return { limitReached, excessUsd };
+}
+
+/**
+ * Emails the requesting user about a confirmed address
+ * @param {Object} record - BtcAddress document
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+async function sendThankYou(record) {
+  if (!record.requested_by) return false;
+
+  const user = await User.findById(record.requested_by)
+    .select('email firstName')
+    .lean();
+  if (!user?.email) return false;
+
+  await enqueueEmail(user.email, emails.BtcThankYou, user.firstName, {
+    amountSats: record.confirmed_sats,
+    purpose: record.purpose,
+    txids: record.payments.map((p) => p.txid),
+  });
+  return true;
+}
+
+/**
+ * Syncs one ledger entry with the chain
+ * @param {Object} record - BtcAddress document
+ * @param {number} tipHeight - Current chain height
+ * @param {Date} now - Check time
+ * @returns {Promise<Object>} { status, newlyConfirmed, thanked, newUsd,
+ * pacLimitReached, flaggedUsd }
+ */
+async function checkAddress(record, tipHeight, now = new Date()) {
+  const txs = await chainSource.getAddressTransactions(record.address);
+  const previous = new Map(record.payments.map((p) => [p.txid, p]));
+  const wasConfirmed = record.status === 'confirmed';
+
+  let rate = null;
+  let newUsd = 0;
+  const payments = [];
+  for (const tx of txs) {
+    const known = previous.get(tx.txid);
+    const confirmations =
+      tx.confirmed && tx.block_height != null
+        ? Math.max(tipHeight - tx.block_height + 1, 0)
+        : 0;
+    const payment = {
+      txid: tx.txid,
+      amount_sats: tx.amount_sats,
+      confirmations,
+      block_height: tx.block_height ?? undefined,
+      first_seen_at: known?.first_seen_at || now,
+    };
+
+    if (confirmations >= BTC.MIN_CONFIRMATIONS) {
+      if (known?.confirmed_at) {
+        payment.confirmed_at = known.confirmed_at;
+        payment.usd_value = known.usd_value;
+        payment.usd_rate = known.usd_rate;
+        payment.rate_source = known.rate_source;
+        payment.rate_at = known.rate_at;
+      } else {
+        // Receipt: convert at the current rate (a rate failure fails the check)
+        rate = rate || (await rateSource.getBtcUsdRate());
+        payment.confirmed_at = now;
+        payment.usd_value = rateSource.satsToUsd(tx.amount_sats, rate.rate);
+        payment.usd_rate = rate.rate;
+        payment.rate_source = rate.source;
+        payment.rate_at = rate.at;
+        newUsd += payment.usd_value;
+      }
+    }
+    payments.push(payment);
+  }
+  record.payments = payments;
+
+  record.received_sats = record.payments.reduce(
+    (sum, p) => sum + p.amount_sats,
+    0
+  );
+  record.confirmed_sats = record.payments
+    .filter((p) => p.confirmed_at)
+    .reduce((sum, p) => sum + p.amount_sats, 0);
+  record.confirmed_usd = toCents(
+    record.payments
+      .filter((p) => p.confirmed_at)
+      .reduce((sum, p) => sum + (p.usd_value || 0), 0)
+  );
+
+  if (!record.payments.length) record.status = 'pending';
+  else if (record.payments.every((p) => p.confirmed_at)) {
+    record.status = 'confirmed';
+  } else record.status = 'unconfirmed';
+
+  record.last_checked_at = now;
+
+  let pac = { limitReached: false, excessUsd: 0 };
+  if (newUsd > 0 && record.requested_by) {
+    pac = await applyPacLimit(record, toCents(newUsd), now);
+  }
+
+  const newlyConfirmed = !wasConfirmed && record.status === 'confirmed';
+  await record.save();
+
+  let thanked = false;
+  if (record.status === 'confirmed' && !record.thanked_at) {
+    // Claim the thank-you so overlapping polls cannot both queue it
+    const { modifiedCount } = await BtcAddress.updateOne(
+      { _id: record._id, thanked_at: null },
+      { $set: { thanked_at: now } }
+    );
+    if (modifiedCount) {
+      try {
+        thanked = await sendThankYou(record);
+      } catch (error) {
+        logger.error(`BTC thank-you failed for ${record.address}:`, error);
+      }
+      if (thanked) record.thanked_at = now;
+      else {
+        await BtcAddress.updateOne(
+          { _id: record._id },
+          { $set: { thanked_at: null } }
+        );
+      }
+    }
+  }
+
+  if (newlyConfirmed) {
+    logger.info(
+      `BTC address index ${record.index} confirmed: ${record.confirmed_sats} sats (${record.purpose})`
+    );
+  }
+
+  return {
+    status: record.status,
+    newlyConfirmed,
+    thanked,
+    newUsd: toCents(newUsd),
+    pacLimitReached: pac.limitReached,
+    flaggedUsd: pac.excessUsd,
+  };
+}
+
+/**
+ * Expires stale pending addresses and checks the rest against the chain
+ * @param {Object} options - Poll options
+ * @param {number} options.limit - Maximum addresses to check (BTC.POLL_BATCH)
+ * @param {Date} options.now - Poll time
+ * @returns {Promise<Object>} { checked, confirmed, thanked, flagged, expired,
+ * failed }
+ */
+async function pollPendingAddresses(options = {}) {
+  const { limit = BTC.POLL_BATCH, now = new Date() } = options;
+
+  const { modifiedCount: expired } = await BtcAddress.updateMany(
+    { status: 'pending', watch_until: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  const records = await BtcAddress.find({
+    $or: [
+      { status: { $in: ['pending', 'unconfirmed'] } },
+      // confirmed but the thank-you has not gone out yet
+      {
+        status: 'confirmed',
+        thanked_at: null,
+        requested_by: { $ne: null },
+        watch_until: { $gt: now },
+      },
+    ],
+  })
+    .sort({ last_checked_at: 1 })
+    .limit(limit);
+
+  const summary = {
+    checked: 0,
+    confirmed: 0,
+    thanked: 0,
+    flagged: 0,
+    expired,
+    failed: 0,
+  };
+  if (!records.length) return summary;
+
+  const tipHeight = await chainSource.getTipHeight();
+
+  for (const record of records) {
+    try {
+      const result = await checkAddress(record, tipHeight, now);
+      summary.checked++;
+      if (result.newlyConfirmed) summary.confirmed++;
+      if (result.thanked) summary.thanked++;
+      if (result.flaggedUsd) summary.flagged++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`BTC check failed for ${record.address}:`, error);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Ledger entries under PAC refund review
+ * @param {string} status - 'flagged' (default), 'refunded' or 'cleared'
+ * @returns {Promise<Array<Object>>} Entries, oldest flag first
+ */
+async function listPacReviews(status = 'flagged') {
+  return BtcAddress.find({ 'pac_review.status': status })
+    .populate('requested_by', 'username email firstName lastName')
+    .sort({ 'pac_review.flagged_at': 1 })
+    .lean();
+}
+
+/**
+ * Resolves a PAC refund review
+ * 'refunded' removes the excess from the user's PAC aggregate; 'cleared'
+ * keeps the full amount counted (e.g. the excess was found not to apply).
+ * @param {string} id - BtcAddress ID
+ * @param {string} resolution - 'refunded' | 'cleared'
+ * @param {Object} admin - { id, notes }
+ * @returns {Promise<Object|null>} Updated entry, or null if not found
+ * @throws {Error} 'not-flagged' if the entry is not awaiting review
+ */
+async function resolvePacReview(id, resolution, admin = {}) {
+  const record = await BtcAddress.findById(id);
+  if (!record) return null;
+  if (record.pac_review?.status !== 'flagged') throw new Error('not-flagged');
+
+  record.pac_review.status = resolution;
+  record.pac_review.resolved_at = new Date();
+  record.pac_review.resolved_by = String(admin.id);
+  if (admin.notes) record.pac_review.notes = admin.notes;
+  if (resolution === 'refunded') {
+    record.pac_review.refunded_usd = record.pac_review.excess_usd;
+  }
+  await record.save();
+
+  logger.info(
+    `PAC review for BTC address index ${record.index} resolved as '${resolution}' by ${admin.id}`
+  );
+  return record.toObject();
+}
+
+module.exports = {
+  checkAddress,
+  pollPendingAddresses,
+  getPacContributionsUsd,
+  listPacReviews,
+  resolvePacReview,
+};
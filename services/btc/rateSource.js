@@ -0,0 +1,69 @@
+/**
+ * @fileoverview BTC/USD rate source with pluggable backends
+ *
+ * Confirmed Bitcoin contributions are converted to USD at receipt so they can
+ * count toward the annual PAC limit. The rate and the backend that supplied it
+ * are stored with each payment, so the conversion can be audited later.
+ *
+ * BACKENDS
+ * - coinbase: Coinbase spot price API (public, no key)
+ * - fixed: BTC_USD_FIXED_RATE (tests and offline development)
+ * Selected by BTC_RATE_SOURCE=coinbase|fixed. When unset, test uses fixed and
+ * other environments use coinbase.
+ *
+ * @module services/btc/rateSource
+ * @requires axios
+ */
+
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const COINBASE_SPOT_URL = 'https://api.coinbase.com/v2/prices/BTC-USD/spot';
+
+const backends = {
+  coinbase: async () => {
+    const { data } = await axios.get(COINBASE_SPOT_URL, {
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return Number(data?.data?.amount);
+  },
+  fixed: async () => Number(process.env.BTC_USD_FIXED_RATE) || 50000,
+};
+
+/**
+ * Name of the configured backend
+ * @returns {string} 'coinbase' | 'fixed'
+ */
+function getSourceName() {
+  const name =
+    process.env.BTC_RATE_SOURCE ||
+    (process.env.NODE_ENV === 'test' ? 'fixed' : 'coinbase');
+  if (!backends[name]) throw new Error(`Unknown BTC_RATE_SOURCE "${name}"`);
+  return name;
+}
+
+/**
+ * Current BTC/USD rate
+ * @returns {Promise<Object>} { rate, source, at } (rate in USD per BTC)
+ * @throws {Error} If the backend returns no usable rate
+ */
+async function getBtcUsdRate() {
+  const source = getSourceName();
+  const rate = await backends[source]();
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`Invalid BTC/USD rate from ${source}`);
+  }
+  return { rate, source, at: new Date() };
+}
+
+/**
+ * Converts satoshis to USD, rounded to cents
+ * @param {number} sats - Amount in satoshis
+ * @param {number} rate - USD per BTC
+ * @returns {number} Amount in USD
+ */
+function satsToUsd(sats, rate) {
+  return Math.round((sats / 1e8) * rate * 100) / 100;
+}
+
+module.exports = { getBtcUsdRate, getSourceName, satsToUsd };
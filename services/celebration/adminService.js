@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Admin Celebration Oversight Service
+ *
+ * This service backs the admin API for Celebration oversight: searching
+ * Celebrations, reading their status ledgers, and applying manual status
+ * actions one at a time or in bulk. Every action goes through StatusService
+ * with triggered_by 'admin', so the ledger entry records the admin's user ID,
+ * name, reason and the request's audit trail.
+ *
+ * KEY FUNCTIONS
+ *
+ * buildFilter(criteria)
+ * - Translates search criteria (status, pol, bill, donor, date range) into a
+ *   Celebration query
+ *
+ * search(criteria, pagination, CelebrationModel)
+ * - Paginated search, newest first, without status ledgers
+ *
+ * getLedger(celebrationId, CelebrationModel)
+ * - Full status_ledger in chronological order with a status summary
+ *
+ * applyAction(celebration, action, reason, admin, options, CelebrationModel)
+ * - Applies 'pause', 'resume' or 'defunct' to one Celebration
+ *
+ * bulkAction(criteria, action, reason, admin, options, CelebrationModel)
+ * - Applies an action to every eligible Celebration matching the criteria,
+ *   or previews the affected set when options.dryRun is set
+ *
+ * BUSINESS LOGIC
+ *
+ * ACTIONS
+ * - pause: active → paused (pause_details.pause_reason = reason)
+ * - resume: paused → active
+ * - defunct: active/paused → defunct, cancelling the payment intent via
+ *   CancellationService
+ * - Resolved and defunct Celebrations are terminal and never eligible
+ *
+ * LEDGER ENTRIES
+ * - triggered_by: 'admin'; triggered_by_id: admin user ID
+ * - metadata.admin_reason (required) and metadata.admin_notes (optional)
+ * - audit_trail: ip_address, user_agent, session_id of the admin request
+ *
+ * BULK SAFETY
+ * - Criteria must be non-empty (enforced by the route's Joi schema)
+ * - At most MAX_BULK Celebrations may match a request, dry run or not; the
+ *   match is counted before any Celebration is loaded, and larger sets must
+ *   be narrowed
+ * - Celebrations are processed one at a time; a failure is reported and does
+ *   not stop the rest
+ *
+ * TESTING
+ * - Pass options.stripe to use a Stripe stub for defunct cancellations
+ *
+ * DEPENDENCIES
+ * - mongoose: ObjectId validation for donor search
+ * - services/celebration/statusService: Status transitions and ledger entries
+ * - services/celebration/cancellationService: Defunct with payment intent release
+ *
+ * @module services/celebration/adminService
+ * @requires mongoose
+ * @requires ../utils/logger
+ * @requires ./statusService
+ * @requires ./cancellationService
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger')(__filename),
+  CancellationService = require('./cancellationService'),
+  StatusService = require('./statusService');
+
+class AdminCelebrationService {
+  /**
+   * Target status of each admin action
+   */
+  static ACTIONS = {
+    pause: 'paused',
+    resume: 'active',
+    defunct: 'defunct',
+  };
+
+  /**
+   * Maximum Celebrations a single bulk request may change
+   */
+  static MAX_BULK = 500;
+
+  /**
+   * Maximum page size for search
+   */
+  static MAX_PAGE_SIZE = 100;
+
+  /**
+   * Build a Celebration query from search criteria
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.status - current_status
+   * @param {string} criteria.pol - pol_id or FEC_id
+   * @param {string} criteria.bill - bill_id
+   * @param {string} criteria.donor - Donor user ID, email or username
+   * @param {Date|string} criteria.from - Created on or after
+   * @param {Date|string} criteria.to - Created on or before
+   * @returns {Object} MongoDB query
+   */
+  static buildFilter(criteria = {}) {
+    const { status, pol, bill, donor, from, to } = criteria;
+    const filter = {};
+    const alternatives = [];
+
+    if (status) filter.current_status = status;
+    if (bill) filter.bill_id = bill;
+    if (pol) alternatives.push([{ pol_id: pol }, { FEC_id: pol }]);
+    if (donor) {
+      const value = String(donor).toLowerCase();
+      alternatives.push(
+        mongoose.isValidObjectId(donor)
+          ? [{ donatedBy: donor }]
+          : [{ 'donorInfo.email': value }, { 'donorInfo.username': value }]
+      );
+    }
+    if (alternatives.length) {
+      filter.$and = alternatives.map(($or) => ({ $or }));
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    return filter;
+  }
+
+  /**
+   * Search Celebrations
+   * @param {Object} criteria - Search criteria (see buildFilter)
+   * @param {Object} pagination - { page, limit }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} { items, total, page, pages, limit }
+   */
+  static async search(criteria = {}, pagination = {}, CelebrationModel) {
+    const filter = this.buildFilter(criteria);
+    const limit = Math.min(pagination.limit || 25, this.MAX_PAGE_SIZE);
+    const page = Math.max(pagination.page || 1, 1);
+
+    const [items, total] = await Promise.all([
+      CelebrationModel.find(filter)
+        .select('-status_ledger')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CelebrationModel.countDocuments(filter),
+    ]);
+
+    return { items, total, page, pages: Math.ceil(total / limit), limit };
+  }
+
+  /**
+   * Get a Celebration's full status ledger
+   * @param {string} celebrationId - Celebration ID
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object|null>} Ledger with status summary, or null if not found
+   */
+  static async getLedger(celebrationId, CelebrationModel) {
+    const celebration = await CelebrationModel.findById(celebrationId)
+      .select('current_status status_ledger createdAt donatedBy pol_id bill_id')
+      .lean();
+    if (!celebration) return null;
+
+    const ledger = [...(celebration.status_ledger || [])].sort(
+      (a, b) => new Date(a.change_datetime) - new Date(b.change_datetime)
+    );
+
+    return {
+      celebrationId: celebration._id,
+      current_status: celebration.current_status,
+      donatedBy: celebration.donatedBy,
+      pol_id: celebration.pol_id,
+      bill_id: celebration.bill_id,
+      total_changes: ledger.length,
+      status_duration: StatusService.calculateStatusDuration(celebration),
+      status_ledger: ledger,
+    };
+  }
+
+  /**
+   * Check whether an action can be applied to a Celebration's current status
+   * @param {string} currentStatus - Celebration current_status
+   * @param {string} action - 'pause' | 'resume' | 'defunct'
+   * @returns {Object} Validation result from StatusService
+   */
+  static checkEligibility(currentStatus, action) {
+    const target = this.ACTIONS[action];
+    if (!target) return { isValid: false, error: `Unknown action '${action}'` };
+    return StatusService.validateStatusTransition(currentStatus, target);
+  }
+
+  /**
+   * Apply an admin action to one Celebration
+   * @param {Object} celebration - Celebration document
+   * @param {string} action - 'pause' | 'resume' | 'defunct'
+   * @param {string} reason - Required reason, stored as reason and admin_reason
+   * @param {Object} admin - Acting admin
+   * @param {string} admin.id - Admin user ID
+   * @param {string} admin.name - Admin display name (username)
+   * @param {Object} admin.auditTrail - { ip_address, user_agent, session_id }
+   * @param {Object} options - Additional options
+   * @param {string} options.notes - Optional admin_notes
+   * @param {Object} options.stripe - Stripe client for defunct cancellations
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Status change result
+   * @throws {Error} 'reason-required', or an invalid status transition
+   */
+  static async applyAction(
+    celebration,
+    action,
+    reason,
+    admin,
+    options = {},
+    CelebrationModel
+  ) {
+    if (!reason || !String(reason).trim()) throw new Error('reason-required');
+
+    const eligibility = this.checkEligibility(
+      celebration.current_status,
+      action
+    );
+    if (!eligibility.isValid) {
+      throw new Error(`Invalid status transition: ${eligibility.error}`);
+    }
+
+    const { notes, stripe } = options;
+    const adminMetadata = { admin_reason: reason };
+    if (notes) adminMetadata.admin_notes = notes;
+
+    const statusOptions = {
+      triggeredBy: 'admin',
+      triggeredById: String(admin.id),
+      triggeredByName: `Admin - ${admin.name || admin.id}`,
+      auditTrail: admin.auditTrail || {},
+    };
+
+    let result;
+    if (action === 'pause') {
+      result = await StatusService.pauseCelebration(
+        celebration,
+        reason,
+        {},
+        {
+          ...statusOptions,
+          metadata: {
+            pause_details: { pause_reason: reason },
+            ...adminMetadata,
+          },
+        },
+        CelebrationModel
+      );
+    } else if (action === 'resume') {
+      result = await StatusService.activateCelebration(
+        celebration,
+        reason,
+        { ...statusOptions, metadata: adminMetadata },
+        CelebrationModel
+      );
+    } else {
+      const cancellationOptions = { ...statusOptions, metadata: adminMetadata };
+      if (stripe) cancellationOptions.stripe = stripe;
+      result = await CancellationService.makeDefunctAndCancel(
+        celebration,
+        reason,
+        {},
+        cancellationOptions,
+        CelebrationModel
+      );
+    }
+
+    logger.info(
+      `Admin ${admin.id} applied '${action}' to celebration ${celebration._id}`
+    );
+
+    return { celebrationId: celebration._id, action, ...result };
+  }
+
+  /**
+   * Apply an admin action to every eligible Celebration matching the criteria
+   * @param {Object} criteria - Search criteria (see buildFilter)
+   * @param {string} action - 'pause' | 'resume' | 'defunct'
+   * @param {string} reason - Required reason
+   * @param {Object} admin - Acting admin (see applyAction)
+   * @param {Object} options - Additional options
+   * @param {boolean} options.dryRun - Preview only; nothing is changed
+   * @param {string} options.notes - Optional admin_notes
+   * @param {Object} options.stripe - Stripe client for defunct cancellations
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Preview or outcome of the bulk action
+   * @throws {Error} 'bulk-limit-exceeded' when more than MAX_BULK match
+   */
+  static async bulkAction(
+    criteria,
+    action,
+    reason,
+    admin,
+    options = {},
+    CelebrationModel
+  ) {
+    const { dryRun = false, ...actionOptions } = options;
+    const filter = this.buildFilter(criteria);
+
+    if ((await CelebrationModel.countDocuments(filter)) > this.MAX_BULK) {
+      throw new Error('bulk-limit-exceeded');
+    }
+
+    const matched = await CelebrationModel.find(filter)
+      .select('-status_ledger')
+      .sort({ createdAt: 1 });
+
+    const eligible = [];
+    const ineligible = [];
+    for (const celebration of matched) {
+      const check = this.checkEligibility(celebration.current_status, action);
+      if (check.isValid) eligible.push(celebration);
+      else {
+        ineligible.push({
+          celebrationId: celebration._id,
+          current_status: celebration.current_status,
+        });
+      }
+    }
+
+    const summary = {
+      action,
+      dryRun,
+      matchedCount: matched.length,
+      eligibleCount: eligible.length,
+      ineligible,
+    };
+
+    if (dryRun) {
+      return {
+        ...summary,
+        eligible: eligible.map((c) => ({
+          celebrationId: c._id,
+          current_status: c.current_status,
+          donatedBy: c.donatedBy,
+          pol_id: c.pol_id,
+          bill_id: c.bill_id,
+          donation: c.donation,
+          createdAt: c.createdAt,
+        })),
+      };
+    }
+
+    const succeeded = [];
+    const failed = [];
+    for (const celebration of eligible) {
+      try {
+        const result = await this.applyAction(
+          celebration,
+          action,
+          reason,
+          admin,
+          actionOptions,
+          CelebrationModel
+        );
+        succeeded.push({
+          celebrationId: celebration._id,
+          statusChangeId: result.statusChangeId,
+        });
+      } catch (error) {
+        logger.error(
+          `Bulk '${action}' failed for celebration ${celebration._id}:`,
+          error
+        );
+        failed.push({ celebrationId: celebration._id, error: error.message });
+      }
+    }
+
+    logger.info(
+      `Admin ${admin.id} bulk '${action}': ${succeeded.length} succeeded, ${failed.length} failed`
+    );
+
+    return { ...summary, succeeded, failed };
+  }
+}
+
+module.exports = AdminCelebrationService;
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Celebration Cancellation Service
+ *
+ * This service releases the Stripe side of a Celebration when it goes defunct.
+ * Pledges are authorized with manual capture (controller/payments/createPayment)
+ * and only captured at settlement, so an open pledge's payment intent is in
+ * requires_capture and cancelling it releases the hold on the donor's card.
+ * The cancellation outcome is recorded on the defunct transition's status
+ * ledger entry.
+ *
+ * KEY FUNCTIONS
+ *
+ * makeDefunctAndCancel(celebration, reason, congressionalSession, options, CelebrationModel)
+ * - Transitions the Celebration to defunct via StatusService
+ * - Cancels its payment intent and records the outcome in ledger metadata
+ *
+ * cancelPaymentIntent(paymentIntentId, stripe)
+ * - Cancels a payment intent if its status still allows it
+ * - Returns the stripe_cancellation ledger metadata (never throws)
+ *
+ * getOpenDefunctReport(options, CelebrationModel)
+ * - Reconciliation report of defunct Celebrations whose Stripe objects are
+ *   still open (uncancelled intents, or charges that were never refunded)
+ *
+ * BUSINESS LOGIC
+ *
+ * ORDERING
+ * - The status transition happens first; the Celebration is defunct even if
+ *   Stripe is unreachable. A failed cancellation is recorded with outcome
+ *   'error' and surfaces in the reconciliation report
+ *
+ * OUTCOMES (stripe_cancellation.outcome)
+ * - canceled: payment intent cancelled now, authorization released
+ *   (stripe_request_id recorded)
+ * - already_canceled: nothing left to release; includes authorizations Stripe
+ *   let expire (cancellation_reason 'automatic')
+ * - not_cancelable: intent is processing, or succeeded because it was charged
+ *   at pledge time (Celebrations created before manual capture); these are
+ *   not refunded automatically and stay in the reconciliation report
+ * - no_payment_intent: Celebration never had a payment intent
+ * - error: Stripe API error (error_code recorded)
+ *
+ * TESTING
+ * - Pass options.stripe to use a Stripe stub instead of the live client
+ *
+ * DEPENDENCIES
+ * - stripe: Stripe SDK for payment processing
+ * - services/celebration/statusService: Defunct transitions and ledger metadata
+ *
+ * @module services/celebration/cancellationService
+ * @requires stripe
+ * @requires ../utils/logger
+ * @requires ./statusService
+ */
+
+const STRIPE_SK =
+    process.env.NODE_ENV === 'production'
+      ? process.env.STRIPE_SK_LIVE
+      : process.env.STRIPE_SK_TEST,
+  stripeClient = require('stripe')(STRIPE_SK);
+const logger = require('../utils/logger')(__filename),
+  StatusService = require('./statusService');
+
+class CancellationService {
+  /**
+   * Payment intent statuses Stripe allows to be cancelled
+   */
+  static CANCELABLE_STATUSES = [
+    'requires_payment_method',
+    'requires_confirmation',
+    'requires_action',
+    'requires_capture',
+  ];
+
+  /**
+   * Reason sent to Stripe with every cancellation
+   */
+  static CANCELLATION_REASON = 'abandoned';
+
+  /**
+   * Default number of Celebrations checked per batch by the report
+   */
+  static BATCH_SIZE = 50;
+
+  /**
+   * Cancel a payment intent if it is still open
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @param {Object} stripe - Stripe client
+   * @returns {Promise<Object>} stripe_cancellation ledger metadata
+   */
+  static async cancelPaymentIntent(paymentIntentId, stripe = stripeClient) {
+    const record = {
+      payment_intent_id: paymentIntentId || undefined,
+      checked_at: new Date(),
+    };
+
+    if (!paymentIntentId) {
+      return { ...record, outcome: 'no_payment_intent' };
+    }
+
+    try {
+      const paymentIntent =
+        await stripe.paymentIntents.retrieve(paymentIntentId);
+
+      if (paymentIntent.status === 'canceled') {
+        return {
+          ...record,
+          outcome: 'already_canceled',
+          payment_intent_status: paymentIntent.status,
+          cancellation_reason: paymentIntent.cancellation_reason || undefined,
+        };
+      }
+
+      if (!this.CANCELABLE_STATUSES.includes(paymentIntent.status)) {
+        return {
+          ...record,
+          outcome: 'not_cancelable',
+          payment_intent_status: paymentIntent.status,
+        };
+      }
+
+      const canceled = await stripe.paymentIntents.cancel(paymentIntentId, {
+        cancellation_reason: this.CANCELLATION_REASON,
+      });
+
+      return {
+        ...record,
+        outcome: 'canceled',
+        payment_intent_status: canceled.status,
+        cancellation_reason: canceled.cancellation_reason,
+        stripe_request_id: canceled.lastResponse?.requestId,
+      };
+    } catch (error) {
+      logger.error(`Error cancelling payment intent ${paymentIntentId}:`, {
+        error: error.message,
+        type: error.type,
+        code: error.code,
+      });
+      return {
+        ...record,
+        outcome: 'error',
+        error_code: error.code || error.type || 'unknown',
+      };
+    }
+  }
+
+  /**
+   * Make a Celebration defunct and cancel its payment intent
+   * @param {Object} celebration - Celebration document
+   * @param {string} reason - Reason for defunct status
+   * @param {Object} congressionalSession - Congressional session details
+   * @param {Object} options - StatusService options, plus:
+   * @param {Object} options.stripe - Stripe client (defaults to live/test client)
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Defunct result with stripeCancellation
+   */
+  static async makeDefunctAndCancel(
+    celebration,
+    reason,
+    congressionalSession = {},
+    options = {},
+    CelebrationModel
+  ) {
+    const { stripe = stripeClient, ...statusOptions } = options;
+
+    const result = await StatusService.makeDefunct(
+      celebration,
+      reason,
+      congressionalSession,
+      statusOptions,
+      CelebrationModel
+    );
+
+    const stripeCancellation = await this.cancelPaymentIntent(
+      celebration.payment_intent,
+      stripe
+    );
+
+    await StatusService.annotateLedgerEntry(
+      celebration._id,
+      result.statusChangeId,
+      { stripe_cancellation: stripeCancellation },
+      CelebrationModel
+    );
+
+    if (stripeCancellation.outcome !== 'canceled') {
+      logger.info(
+        `Payment intent for defunct celebration ${celebration._id}: ${stripeCancellation.outcome}`
+      );
+    }
+
+    return { ...result, stripeCancellation };
+  }
+
+  /**
+   * Classify a defunct Celebration's payment intent for reconciliation
+   * @param {Object} paymentIntent - Stripe payment intent (latest_charge expanded)
+   * @returns {string|null} Open issue, or null when nothing is left open
+   */
+  static getOpenIssue(paymentIntent) {
+    const { status, latest_charge } = paymentIntent;
+    if (this.CANCELABLE_STATUSES.includes(status)) return 'open_payment_intent';
+    if (status === 'processing') return 'processing_payment_intent';
+    if (status === 'succeeded' && !latest_charge?.refunded) {
+      return 'charged_not_refunded';
+    }
+    return null;
+  }
+
+  /**
+   * Reconciliation report of defunct Celebrations with open Stripe objects
+   * @param {Object} options - Additional options
+   * @param {Object} options.stripe - Stripe client (defaults to live/test client)
+   * @param {number} options.batchSize - Celebrations per batch
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Report with checkedCount, openCount, errorCount and items
+   */
+  static async getOpenDefunctReport(options = {}, CelebrationModel) {
+    const { stripe = stripeClient, batchSize = this.BATCH_SIZE } = options;
+    const report = { checkedCount: 0, openCount: 0, errorCount: 0, items: [] };
+
+    let lastId = null;
+    for (;;) {
+      const query = {
+        current_status: 'defunct',
+        payment_intent: { $exists: true, $ne: null },
+        idempotencyKey: { $not: /^seed:/ },
+      };
+      if (lastId) query._id = { $gt: lastId };
+
+      const batch = await CelebrationModel.find(query)
+        .select('_id payment_intent charge_id defunct_date status_ledger')
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .lean();
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      for (const celebration of batch) {
+        report.checkedCount++;
+        const lastCancellation = [...(celebration.status_ledger || [])]
+          .reverse()
+          .find((e) => e.metadata?.stripe_cancellation?.outcome)
+          ?.metadata.stripe_cancellation;
+
+        try {
+          const paymentIntent = await stripe.paymentIntents.retrieve(
+            celebration.payment_intent,
+            { expand: ['latest_charge'] }
+          );
+          const issue = this.getOpenIssue(paymentIntent);
+          if (!issue) continue;
+
+          report.openCount++;
+          report.items.push({
+            celebration_id: celebration._id.toString(),
+            payment_intent: celebration.payment_intent,
+            payment_intent_status: paymentIntent.status,
+            charge_id: celebration.charge_id || undefined,
+            defunct_date: celebration.defunct_date,
+            last_cancellation_outcome: lastCancellation?.outcome,
+            issue,
+          });
+        } catch (error) {
+          report.errorCount++;
+          logger.error(
+            `Error checking payment intent for celebration ${celebration._id}:`,
+            { error: error.message, type: error.type }
+          );
+        }
+      }
+    }
+
+    logger.info('Defunct Stripe reconciliation completed', {
+      checkedCount: report.checkedCount,
+      openCount: report.openCount,
+      errorCount: report.errorCount,
+    });
+    return report;
+  }
+}
+
+module.exports = CancellationService;
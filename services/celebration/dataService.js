@@ -18,10 +18,11 @@
  * - Sets has_stakes: true when `roles[0].fec_candidate_id` is in finalIds
  * - Sets has_stakes: false for all other Pols (second updateMany)
  *
- * getUsersInDistrict({ state, district })
+ * getUsersInDistrict({ state, district, chamber })
  * - Finds all users in a specific congressional district
  * - Uses ocd_id: numbered districts match `state:xx/cd:NN`; at-large (`00`) matches
  *   state-only ids `ocd-division/country:us/state:xx` or legacy `cd:0` / `cd:00`
+ * - Senate races are statewide: chamber 'Senate' matches every user in the state
  * - Returns array of User documents
  *
  * getUsersWithActiveCelebration(fec_candidate_id)
@@ -34,12 +35,14 @@
  * - Only includes Celebrations with current_status 'active'
  * - Returns total in dollars (0 if none)
  *
- * cancelCelebrationsForCandidate(candidateId)
- * - Marks all active celebrations for a candidate as inactive
+ * cancelCelebrationsForCandidate(candidateId, options)
+ * - Makes all active and paused celebrations for a candidate defunct
+ * - Cancels each celebration's Stripe payment intent (CancellationService)
  * - Used when candidate drops out or becomes ineligible
  *
  * getEscrowedTotalsByPol(baseMatch, model)
  * - Aggregates escrowed donation totals per politician (active, current cycle, has_stakes)
+ *   and per active challenger or open-seat candidate
  * - Used by GET escrowed API and by celebration social post (total_donations)
  * - Returns array of { pol_id, donation, count }
  *
@@ -65,15 +68,19 @@
  * - models/User: User data access
  * - models/Pol: Politician data access
  * - models/Celebration: Celebration data access
+ * - services/celebration/cancellationService: Defunct transition and payment
+ *   intent cancellation
  *
  * @module services/celebration/dataService
  * @requires ../../models
  * @requires ../utils/logger
+ * @requires ./cancellationService
  */
 
 const { User, Pol, Celebration } = require('../../models');
 const { HOUSE_AT_LARGE_STORAGE } = require('../utils/normalizeHouseDistrict');
 const logger = require('../utils/logger')(__filename);
+const CancellationService = require('./cancellationService');
 
 /**
  * Lookup the district and state for a given FEC candidate ID
@@ -144,10 +151,20 @@ async function updateHasStakes(finalIds) {
 }
 
 /**
- * Returns all users in a given congressional district.
- * @param {Object} districtInfo - { state: 'TX', district: '5' }
+ * Returns all users in a given congressional district, or in the whole state
+ * for a Senate race.
+ * @param {Object} districtInfo - { state: 'TX', district: '5' } or { state: 'TX', chamber: 'Senate' }
  */
-async function getUsersInDistrict({ state, district }) {
+async function getUsersInDistrict({ state, district, chamber }) {
+  if (state && chamber === 'Senate') {
+    const st = state.toLowerCase();
+    return User.find({
+      ocd_id: {
+        $regex: new RegExp(`^ocd-division/country:us/state:${st}(/|$)`, 'i'),
+      },
+    }).exec();
+  }
+
   if (!state || !district) return [];
 
   const paddedDistrict = Number(district).toString().padStart(2, '0');
@@ -189,13 +206,55 @@ async function getUsersWithActiveCelebration(fec_candidate_id) {
 }
 
 /**
- * Mark all active Celebrations for the candidate as defunct (cancelled).
+ * Mark all active Celebrations for the candidate as defunct (cancelled) and
+ * cancel their Stripe payment intents. Each transition goes through the status
+ * ledger with the cancellation outcome in `metadata.stripe_cancellation`.
+ *
+ * @param {string} fecCandidateId - FEC candidate ID
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Ledger reason for the defunct transition
+ * @param {Object} [options.stripe] - Stripe client (defaults to live/test client)
+ * @returns {Promise<{ convertedCount: number, failedCount: number }>}
  */
-async function cancelCelebrationsForCandidate(fecCandidateId) {
-  await Celebration.updateMany(
-    { FEC_id: fecCandidateId, resolved: false, defunct: false },
-    { $set: { defunct: true, current_status: 'defunct' } }
-  );
+async function cancelCelebrationsForCandidate(fecCandidateId, options = {}) {
+  const {
+    reason = 'Candidate removed from the competitive roster',
+    ...cancelOptions
+  } = options;
+  const celebrations = await Celebration.find({
+    FEC_id: fecCandidateId,
+    resolved: false,
+    defunct: false,
+    idempotencyKey: { $not: /^seed:/ },
+  });
+
+  let convertedCount = 0;
+  let failedCount = 0;
+  for (const celebration of celebrations) {
+    try {
+      await CancellationService.makeDefunctAndCancel(
+        celebration,
+        reason,
+        {},
+        {
+          triggeredBy: 'system',
+          triggeredByName: 'Challengers Watcher',
+          triggeredById: fecCandidateId,
+          ...cancelOptions,
+        },
+        Celebration
+      );
+      convertedCount++;
+    } catch (error) {
+      failedCount++;
+      logger.error(
+        `Error cancelling celebration ${celebration._id} for ${fecCandidateId}:`,
+        error
+      );
+    }
+  }
+
+  return { convertedCount, failedCount };
 }
 
 /**
@@ -204,7 +263,8 @@ async function cancelCelebrationsForCandidate(fecCandidateId) {
  * Rules:
  * - Only includes Celebrations with current_status 'active' (escrowed)
  * - Excludes defunct and paused celebrations for safety
- * - Restricts to politicians with has_stakes: true
+ * - Restricts to politicians with has_stakes: true, or to active candidates
+ *   (pol_id is an FEC candidate id for challenger and open-seat pledges)
  * - Supports optional baseMatch filters (e.g. { pol_id }) merged into the match stage
  *
  * @param {Object} baseMatch - Base $match conditions (e.g. { pol_id })
@@ -229,8 +289,21 @@ async function getEscrowedTotalsByPol(baseMatch = {}, model = Celebration) {
         as: 'pol',
       },
     },
-    { $unwind: '$pol' },
-    { $match: { 'pol.has_stakes': true } },
+    {
+      $lookup: {
+        from: 'candidates',
+        localField: 'pol_id',
+        foreignField: 'fec_candidate_id',
+        as: 'candidate',
+      },
+    },
+    { $unwind: { path: '$pol', preserveNullAndEmptyArrays: true } },
+    { $unwind: { path: '$candidate', preserveNullAndEmptyArrays: true } },
+    {
+      $match: {
+        $or: [{ 'pol.has_stakes': true }, { 'candidate.active': true }],
+      },
+    },
     {
       $group: {
         _id: '$pol_id',
@@ -16,7 +16,8 @@
  *
  * convertUserCelebrationsToDefunct(user, celebrations, Celebration, sessionInfo, shouldSendEmail)
  * - Converts specific user's Celebrations to defunct
- * - Uses StatusService for proper status transitions
+ * - Uses CancellationService for the status transition and to cancel each
+ *   Celebration's Stripe payment intent
  * - Sends notification email if user is subscribed
  *
  * sendWarningEmails(Celebration, User)
@@ -25,11 +26,13 @@
  * - Respects unsubscribe preferences
  * - Uses DefunctCelebrationWarning email template
  *
- * checkAndConvertIfNeeded(Celebration, User)
+ * checkAndConvertIfNeeded(Celebration, User, options)
  * - Main entry point for checking session status
  * - Converts to defunct if session has ended
  * - Sends warnings if in warning period
  * - Returns action taken and results
+ * - options.dryRun reports the pending action ('convert' | 'warn' | 'none')
+ *   and how many Celebrations it would touch, without converting or emailing
  *
  * groupCelebrationsByUser(celebrations)
  * - Groups celebrations by user ID
@@ -52,26 +55,30 @@
  * STATUS TRANSITIONS
  * - Uses StatusService for proper status transitions
  * - Records congressional session information in status ledger
+ * - Cancels the payment intent; outcome recorded as stripe_cancellation
  * - Maintains FEC compliance and audit trails
  *
  * DEPENDENCIES
  * - services/congress/CongressionalSessionService: Session detection
- * - services/celebration/statusService: Status transitions
- * - controller/comms: Email sending and unsubscribe filtering
+ * - services/celebration/cancellationService: Defunct transition and payment
+ *   intent cancellation
+ * - controller/comms: Email queueing and unsubscribe filtering
  *
  * @module services/celebration/defunctService
  * @requires ../congress/CongressionalSessionService
  * @requires ../../controller/comms
+ * @requires ../../controller/comms/emails
  * @requires ../../constants
  * @requires ../utils/logger
- * @requires ./statusService
+ * @requires ./cancellationService
  */
 
 const { CongressionalSessionService } = require('../congress'),
-  { sendEmail, emails, filterUnsubscribed } = require('../../controller/comms'),
+  { enqueueEmail, filterUnsubscribed } = require('../../controller/comms'),
+  { emails } = require('../../controller/comms/emails'),
   { EMAIL_TOPICS } = require('../../constants'),
   logger = require('../utils/logger')(__filename),
-  { StatusService } = require('./statusService');
+  CancellationService = require('./cancellationService');
 class DefunctCelebrationService {
   /**
    * Convert all active Celebrations to defunct status
@@ -199,8 +206,8 @@ class DefunctCelebrationService {
       // Convert each celebration to defunct
       for (const celebration of celebrations) {
         try {
-          // Use StatusService to properly transition to defunct status
-          await StatusService.makeDefunct(
+          // Transition to defunct and release the Stripe payment intent
+          await CancellationService.makeDefunctAndCancel(
             celebration,
             'Congressional session ended without action on target bill',
             {
@@ -450,7 +457,7 @@ class DefunctCelebrationService {
    * @param {Object} user - User document
    * @param {Array} celebrations - Array of Celebration documents
    * @param {Object} sessionInfo - Congressional session information
-   * @returns {Promise<boolean>} True if email was sent successfully
+   * @returns {Promise<boolean>} True if email was queued successfully
    */
   static async sendWarningEmail(user, celebrations, sessionInfo) {
     try {
@@ -461,7 +468,7 @@ class DefunctCelebrationService {
         nextElectionDate: sessionInfo.nextElectionDate,
       };
 
-      await sendEmail(
+      await enqueueEmail(
         user.email,
         emails.DefunctCelebrationWarning,
         payload,
@@ -480,7 +487,7 @@ class DefunctCelebrationService {
    * @param {Object} user - User document
    * @param {Array} defunctCelebrations - Array of defunct celebration details
    * @param {Object} sessionInfo - Congressional session information
-   * @returns {Promise<boolean>} True if email was sent successfully
+   * @returns {Promise<boolean>} True if email was queued successfully
    */
   static async sendDefunctNotificationEmail(
     user,
@@ -495,7 +502,7 @@ class DefunctCelebrationService {
         defunctCelebrations,
       };
 
-      await sendEmail(
+      await enqueueEmail(
         user.email,
         emails.DefunctCelebrationNotification,
         payload,
@@ -516,12 +523,35 @@ class DefunctCelebrationService {
    * Check if defunct conversion is needed and execute if so
    * @param {Object} Celebration - Celebration model
    * @param {Object} User - User model
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Report the action and active count, change nothing
    * @returns {Promise<Object>} Result of the check and any conversion
    */
-  static async checkAndConvertIfNeeded(Celebration, User) {
+  static async checkAndConvertIfNeeded(Celebration, User, { dryRun } = {}) {
     try {
       const sessionInfo = await CongressionalSessionService.getSessionInfo();
 
+      if (dryRun) {
+        const action = sessionInfo.hasEnded
+          ? 'convert'
+          : sessionInfo.inWarningPeriod
+            ? 'warn'
+            : 'none';
+        const activeCount = await Celebration.countDocuments({
+          defunct: false,
+          resolved: false,
+          paused: false,
+          idempotencyKey: { $not: /^seed:/ },
+        });
+        return {
+          success: true,
+          dryRun: true,
+          action,
+          activeCount,
+          sessionInfo,
+        };
+      }
+
       if (sessionInfo.hasEnded) {
         logger.info(
           'Congressional session has ended, converting active Celebrations to defunct'
@@ -0,0 +1,401 @@
+/**
+ * @fileoverview FEC Schedule A Export Service
+ *
+ * This service turns resolved, settled Celebrations into Schedule A-style
+ * itemized receipt rows for each recipient committee, using the donorInfo
+ * snapshot captured at donation time. Rows can be serialized as CSV or as
+ * SA11AI records in the FEC electronic filing (.fec) text format.
+ *
+ * KEY FUNCTIONS
+ *
+ * buildReport(criteria, CelebrationModel)
+ * - Collects contributions for the date range (optionally one recipient),
+ *   computes each contributor's year-to-date aggregate and splits them into
+ *   itemized rows and unitemized totals per recipient
+ *
+ * toCsv(recipientReport)
+ * - CSV of one recipient's itemized rows, with validationFlags as a memo column
+ *
+ * toFec(recipientReport, options)
+ * - HDR record plus one SA11AI record per itemized row, fields separated by
+ *   the ASCII file separator (0x1C)
+ *
+ * BUSINESS LOGIC
+ *
+ * WHAT COUNTS AS A CONTRIBUTION
+ * - current_status 'resolved' with settlement_status 'settled' (or a legacy
+ *   resolved Celebration with a charge_id and no settlement_status)
+ * - Fully refunded and seed Celebrations are excluded
+ * - Amount is the donation only; tips and fees are not forwarded
+ * - Date is settled_at, else the resolution ledger entry, else updatedAt
+ *
+ * RECIPIENT
+ * - Celebrations are grouped by FEC_id (the recipient candidate's FEC ID)
+ *
+ * ITEMIZATION
+ * - Aggregates are per contributor (donatedBy) per recipient per calendar
+ *   year (Eastern Time), and include contributions before the export range
+ * - A contribution is itemized once the aggregate including it exceeds
+ *   FEC.ITEMIZATION_THRESHOLD ($200); earlier contributions in the year are
+ *   itemized too when they fall inside the export range
+ * - Everything else is reported as an unitemized count and total
+ *
+ * MEMO
+ * - validationFlags from the donorInfo snapshot become memo text, e.g.
+ *   "VALIDATION FLAGS: occupation (generic): Generic occupation"
+ *
+ * .FEC NOTES
+ * - Only HDR and SA11AI records are written; the filer's software supplies
+ *   the form and summary records
+ * - The filer is the recipient committee (committee_id), not the PAC
+ * - Contributions are earmarked, so the conduit fields carry FEC.CONDUIT;
+ *   the donor committee and donor candidate fields stay blank
+ * - Election code is left blank for the filer to assign
+ *
+ * DEPENDENCIES
+ * - dayjs: Eastern Time date handling
+ * - constants/fec: Itemization threshold, filing format version, conduit
+ * - services/utils/csv: CSV serialization
+ *
+ * @module services/celebration/fecExportService
+ * @requires dayjs
+ * @requires ../../constants
+ * @requires ../utils/csv
+ * @requires ../utils/logger
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const logger = require('../utils/logger')(__filename),
+  { FEC } = require('../../constants'),
+  { toCsv } = require('../utils/csv'),
+  { version } = require('../../package.json');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const ET_TIMEZONE = 'America/New_York';
+const FEC_FIELD_SEPARATOR = '\x1c';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+class FecExportService {
+  /**
+   * CSV columns for itemized rows
+   */
+  static CSV_COLUMNS = [
+    { key: 'transaction_id', header: 'Transaction ID' },
+    { key: 'contribution_date', header: 'Contribution Date' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'aggregate_ytd', header: 'Aggregate YTD' },
+    { key: 'last_name', header: 'Contributor Last Name' },
+    { key: 'first_name', header: 'Contributor First Name' },
+    { key: 'street', header: 'Street' },
+    { key: 'city', header: 'City' },
+    { key: 'state', header: 'State' },
+    { key: 'zip', header: 'ZIP' },
+    { key: 'employer', header: 'Employer' },
+    { key: 'occupation', header: 'Occupation' },
+    { key: 'recipient_fec_id', header: 'Recipient FEC ID' },
+    { key: 'recipient_name', header: 'Recipient Name' },
+    { key: 'bill_id', header: 'Bill' },
+    { key: 'celebration_id', header: 'Celebration ID' },
+    { key: 'memo', header: 'Memo' },
+  ];
+
+  /**
+   * Parse a YYYY-MM-DD (or Date) as the start or end of that day in Eastern Time
+   * @param {string|Date} value - Date
+   * @param {boolean} endOfDay - Use 23:59:59.999 instead of midnight
+   * @returns {Date} Date
+   */
+  static parseDay(value, endOfDay = false) {
+    const day = dayjs.tz(dayjs(value).format('YYYY-MM-DD'), ET_TIMEZONE);
+    return (endOfDay ? day.endOf('day') : day.startOf('day')).toDate();
+  }
+
+  /**
+   * Date the contribution was received
+   * @param {Object} celebration - Celebration (lean)
+   * @returns {Date} Contribution date
+   */
+  static getContributionDate(celebration) {
+    if (celebration.settled_at) return new Date(celebration.settled_at);
+    const resolution = (celebration.status_ledger || [])
+      .filter(
+        (e) => e.new_status === 'resolved' && e.previous_status !== 'resolved'
+      )
+      .pop();
+    return new Date(resolution?.change_datetime || celebration.updatedAt);
+  }
+
+  /**
+   * Transaction ID for a Celebration (FEC allows at most 20 characters)
+   * @param {Object} celebration - Celebration (lean)
+   * @returns {string} Base-36 form of the Celebration's ObjectId (20 characters)
+   */
+  static getTransactionId(celebration) {
+    const hex = String(celebration._id);
+    // Two 48-bit halves stay within Number's safe integer range
+    return [hex.slice(0, 12), hex.slice(12)]
+      .map((half) => parseInt(half, 16).toString(36).padStart(10, '0'))
+      .join('')
+      .toUpperCase();
+  }
+
+  /**
+   * Memo text for a donorInfo validationFlags snapshot
+   * @param {Object} validationFlags - donorInfo.validationFlags
+   * @returns {string} Memo text, or '' when not flagged
+   */
+  static formatMemo(validationFlags) {
+    if (!validationFlags?.isFlagged) return '';
+    const flags = (validationFlags.flags || []).map(
+      (f) => `${f.field} (${f.match}): ${f.reason}`
+    );
+    return `VALIDATION FLAGS: ${flags.join('; ') || 'flagged'}`;
+  }
+
+  /**
+   * Build itemization reports per recipient
+   * @param {Object} criteria - Export criteria
+   * @param {string|Date} criteria.from - First day (inclusive, Eastern Time)
+   * @param {string|Date} criteria.to - Last day (inclusive, Eastern Time)
+   * @param {string} criteria.candidate - Recipient FEC_id (all recipients if omitted)
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} { from, to, threshold, recipients: [...] }
+   */
+  static async buildReport(criteria, CelebrationModel) {
+    const { candidate } = criteria;
+    const from = this.parseDay(criteria.from);
+    const to = this.parseDay(criteria.to, true);
+    if (from > to) throw new Error('invalid-date-range');
+
+    // Aggregates run from January 1 of the range's first year
+    const yearStart = dayjs(from).tz(ET_TIMEZONE).startOf('year').toDate();
+    const threshold = FEC.ITEMIZATION_THRESHOLD;
+
+    const query = {
+      current_status: 'resolved',
+      'payment_flags.refunded': { $ne: true },
+      idempotencyKey: { $not: /^seed:/ },
+      createdAt: { $lte: to },
+      // Every contribution date (settled_at, resolution, updatedAt) is on or
+      // before updatedAt, so this keeps earlier years out of the query
+      updatedAt: { $gte: yearStart },
+      $or: [
+        { settlement_status: 'settled' },
+        { settlement_status: { $exists: false }, charge_id: { $ne: null } },
+      ],
+    };
+    if (candidate) query.FEC_id = candidate;
+
+    const celebrations = await CelebrationModel.find(query)
+      .select(
+        'FEC_id pol_id pol_name committee_id bill_id donation donatedBy donorInfo settled_at updatedAt status_ledger.new_status status_ledger.previous_status status_ledger.change_datetime'
+      )
+      .lean();
+
+    const contributions = celebrations
+      .map((c) => ({ celebration: c, date: this.getContributionDate(c) }))
+      .filter(({ date }) => date >= yearStart && date <= to)
+      .sort((a, b) => a.date - b.date);
+
+    // Running year-to-date aggregate per contributor, recipient and year
+    const aggregates = new Map();
+    const byContributor = new Map();
+    for (const contribution of contributions) {
+      const { celebration: c, date } = contribution;
+      const donor = c.donorInfo || {};
+      const contributor =
+        c.donatedBy?.toString() ||
+        `${donor.lastName}|${donor.firstName}|${donor.zip}`.toLowerCase();
+      const year = dayjs(date).tz(ET_TIMEZONE).year();
+      const key = `${c.FEC_id}|${contributor}|${year}`;
+
+      contribution.aggregate = round2((aggregates.get(key) || 0) + c.donation);
+      aggregates.set(key, contribution.aggregate);
+      if (!byContributor.has(key)) byContributor.set(key, []);
+      byContributor.get(key).push(contribution);
+    }
+
+    // Once over the threshold, every contribution of that contributor-year is itemized
+    for (const group of byContributor.values()) {
+      const itemize = group[group.length - 1].aggregate > threshold;
+      group.forEach((contribution) => (contribution.itemize = itemize));
+    }
+
+    const recipients = new Map();
+    for (const contribution of contributions) {
+      const { celebration: c, date } = contribution;
+      if (date < from) continue;
+
+      if (!recipients.has(c.FEC_id)) {
+        recipients.set(c.FEC_id, {
+          fec_id: c.FEC_id,
+          pol_id: c.pol_id,
+          pol_name: c.pol_name,
+          committee_id: c.committee_id || '',
+          from,
+          to,
+          threshold,
+          itemized: [],
+          itemizedTotal: 0,
+          unitemizedCount: 0,
+          unitemizedTotal: 0,
+          flaggedCount: 0,
+        });
+      }
+      const report = recipients.get(c.FEC_id);
+
+      if (!contribution.itemize) {
+        report.unitemizedCount += 1;
+        report.unitemizedTotal = round2(report.unitemizedTotal + c.donation);
+        continue;
+      }
+
+      const row = this.toRow(contribution);
+      if (row.memo) report.flaggedCount += 1;
+      report.itemized.push(row);
+      report.itemizedTotal = round2(report.itemizedTotal + c.donation);
+    }
+
+    logger.info(
+      `FEC Schedule A export ${criteria.from}..${criteria.to}${
+        candidate ? ` for ${candidate}` : ''
+      }: ${contributions.length} contributions, ${recipients.size} recipients`
+    );
+
+    return { from, to, threshold, recipients: [...recipients.values()] };
+  }
+
+  /**
+   * Itemized row for one contribution
+   * @param {Object} contribution - { celebration, date, aggregate }
+   * @returns {Object} Row keyed by CSV_COLUMNS keys
+   */
+  static toRow({ celebration: c, date, aggregate }) {
+    const donor = c.donorInfo || {};
+    const employed = donor.isEmployed !== false;
+    return {
+      transaction_id: this.getTransactionId(c),
+      contribution_date: dayjs(date).tz(ET_TIMEZONE).format('YYYY-MM-DD'),
+      amount: round2(c.donation).toFixed(2),
+      aggregate_ytd: aggregate.toFixed(2),
+      last_name: donor.lastName,
+      first_name: donor.firstName,
+      street: donor.address,
+      city: donor.city,
+      state: donor.state,
+      zip: donor.zip,
+      employer: employed ? donor.employer : 'NOT EMPLOYED',
+      occupation: employed
+        ? donor.occupation
+        : donor.occupation || 'NOT EMPLOYED',
+      recipient_fec_id: c.FEC_id,
+      recipient_name: c.pol_name,
+      bill_id: c.bill_id,
+      celebration_id: String(c._id),
+      memo: this.formatMemo(donor.validationFlags),
+    };
+  }
+
+  /**
+   * Serialize one recipient's itemized rows as CSV
+   * @param {Object} recipientReport - One entry of buildReport().recipients
+   * @returns {string} CSV text
+   */
+  static toCsv(recipientReport) {
+    return toCsv(this.CSV_COLUMNS, recipientReport.itemized);
+  }
+
+  /**
+   * Serialize one recipient's itemized rows as .fec records
+   * @param {Object} recipientReport - One entry of buildReport().recipients
+   * @param {Object} options - Additional options
+   * @param {string} options.committeeId - Filer committee ID (defaults to the
+   *   recipient's committee_id)
+   * @returns {string} .fec text (HDR + SA11AI records)
+   * @throws {Error} 'missing-committee-id' when there is no filer committee
+   */
+  static toFec(recipientReport, options = {}) {
+    const { committeeId = recipientReport.committee_id } = options;
+    if (!committeeId) throw new Error('missing-committee-id');
+    const { CONDUIT } = FEC;
+    const clean = (value) =>
+      value === null || value === undefined
+        ? ''
+        : String(value)
+            .split(FEC_FIELD_SEPARATOR)
+            .join(' ')
+            .replace(/[\r\n]+/g, ' ')
+            .trim();
+    const record = (fields) => fields.map(clean).join(FEC_FIELD_SEPARATOR);
+
+    const header = record([
+      'HDR',
+      'FEC',
+      FEC.FILING_FORMAT_VERSION,
+      'POWERBACK',
+      version,
+      '',
+      '',
+      `Schedule A itemization for ${recipientReport.fec_id}`,
+    ]);
+
+    const lines = recipientReport.itemized.map((row) =>
+      record([
+        'SA11AI', // Form type: itemized individual contribution
+        committeeId, // Filer committee ID
+        row.transaction_id,
+        '', // Back reference transaction ID
+        '', // Back reference schedule name
+        'IND', // Entity type
+        '', // Organization name
+        row.last_name,
+        row.first_name,
+        '', // Middle name
+        '', // Prefix
+        '', // Suffix
+        row.street,
+        '', // Street 2
+        row.city,
+        row.state,
+        row.zip,
+        '', // Election code (assigned by the filer)
+        '', // Election other description
+        row.contribution_date.replace(/-/g, ''), // YYYYMMDD
+        row.amount,
+        row.aggregate_ytd,
+        '', // Purpose description
+        row.employer,
+        row.occupation,
+        '', // Donor committee FEC ID
+        '', // Donor committee name
+        '', // Donor candidate FEC ID
+        '', // Candidate last name
+        '', // Candidate first name
+        '', // Candidate middle name
+        '', // Candidate prefix
+        '', // Candidate suffix
+        '', // Candidate office
+        '', // Candidate state
+        '', // Candidate district
+        CONDUIT.NAME, // Conduit name
+        CONDUIT.STREET, // Conduit street 1
+        CONDUIT.STREET_2, // Conduit street 2
+        CONDUIT.CITY, // Conduit city
+        CONDUIT.STATE, // Conduit state
+        CONDUIT.ZIP, // Conduit ZIP
+        '', // Memo code
+        row.memo, // Memo text
+        '', // Reference to SI or SL system code
+      ])
+    );
+
+    return [header, ...lines].join('\n') + '\n';
+  }
+}
+
+module.exports = FecExportService;
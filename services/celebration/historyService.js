@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Donor Celebration History Service
+ *
+ * This service backs a donor's own Celebration history: paginated, filtered
+ * and sorted listing for the Account Celebrations pane, and server-generated
+ * exports (CSV, JSON, PDF) that carry the donorInfo snapshot captured at
+ * donation time and each Celebration's status timeline.
+ *
+ * KEY FUNCTIONS
+ *
+ * buildFilter(userId, criteria)
+ * - The donor's Celebrations matching status, pol, bill, pol name and date
+ *   range (same criteria as the admin search, scoped to donatedBy)
+ *
+ * page(userId, criteria, pagination, CelebrationModel)
+ * - One page of Celebrations plus the total count and donation total of the
+ *   whole filtered set
+ *
+ * exportRecords(userId, criteria, sort, CelebrationModel)
+ * - Every matching Celebration as an export record, up to MAX_EXPORT
+ *
+ * toCsv(records) / toPdf(records, options)
+ * - Serialize export records; JSON exports send the records as they are
+ *
+ * BUSINESS LOGIC
+ *
+ * SORTS
+ * - newest (default), oldest: createdAt
+ * - largest, smallest: donation, then createdAt
+ *
+ * EXPORT RECORDS
+ * - donor: donorInfo snapshot (identity, address, employment, compliance
+ *   tier, contact, district); validation flags and account-state fields
+ *   are internal and left out
+ * - timeline: status_ledger in chronological order (date, from, to, reason);
+ *   trigger IDs and request audit trails are left out
+ *
+ * DEPENDENCIES
+ * - dayjs: Eastern Time dates in CSV and PDF
+ * - lodash: Regex escaping for the pol name filter
+ * - services/celebration/adminService: Shared search criteria filter
+ * - services/utils/csv, services/utils/pdf: Serialization
+ *
+ * @module services/celebration/historyService
+ * @requires dayjs
+ * @requires lodash
+ * @requires mongoose
+ * @requires ./adminService
+ * @requires ../utils/csv
+ * @requires ../utils/pdf
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const { toCsv } = require('../utils/csv'),
+  { toPdf } = require('../utils/pdf'),
+  AdminCelebrationService = require('./adminService');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const ET_TIMEZONE = 'America/New_York';
+
+const DONOR_FIELDS = [
+  'firstName',
+  'lastName',
+  'address',
+  'city',
+  'state',
+  'zip',
+  'country',
+  'passport',
+  'isEmployed',
+  'occupation',
+  'employer',
+  'compliance',
+  'email',
+  'phoneNumber',
+  'ocd_id',
+];
+
+const usd = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+const etDate = (d, format = 'YYYY-MM-DD') =>
+  d ? dayjs(d).tz(ET_TIMEZONE).format(format) : '';
+
+class CelebrationHistoryService {
+  /**
+   * Sort orders by name
+   */
+  static SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    largest: { donation: -1, createdAt: -1 },
+    smallest: { donation: 1, createdAt: 1 },
+  };
+
+  /**
+   * Maximum page size for listing
+   */
+  static MAX_PAGE_SIZE = 100;
+
+  /**
+   * Maximum Celebrations in one export; larger sets must be narrowed
+   */
+  static MAX_EXPORT = 5000;
+
+  /**
+   * Build a Celebration query for one donor
+   * @param {string} userId - Donor user ID
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.status - current_status
+   * @param {string} criteria.pol - pol_id or FEC_id
+   * @param {string} criteria.bill - bill_id
+   * @param {string} criteria.q - Pol name contains (case-insensitive)
+   * @param {Date|string} criteria.from - Created on or after
+   * @param {Date|string} criteria.to - Created on or before
+   * @returns {Object} MongoDB query
+   */
+  static buildFilter(userId, criteria = {}) {
+    const { status, pol, bill, q, from, to } = criteria;
+    const filter = {
+      ...AdminCelebrationService.buildFilter({ status, pol, bill, from, to }),
+      donatedBy: new mongoose.Types.ObjectId(String(userId)),
+    };
+    if (q) {
+      filter.pol_name = { $regex: _.escapeRegExp(q.trim()), $options: 'i' };
+    }
+    return filter;
+  }
+
+  /**
+   * One page of a donor's Celebrations
+   * @param {string} userId - Donor user ID
+   * @param {Object} criteria - Search criteria (see buildFilter)
+   * @param {Object} pagination - { page, limit, sort }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} { items, total, page, pages, limit, sort,
+   *   donation_total }
+   */
+  static async page(userId, criteria = {}, pagination = {}, CelebrationModel) {
+    const filter = this.buildFilter(userId, criteria);
+    const limit = Math.min(pagination.limit || 25, this.MAX_PAGE_SIZE);
+    const page = Math.max(pagination.page || 1, 1);
+    const sort = this.SORTS[pagination.sort] ? pagination.sort : 'newest';
+
+    const [items, total, [sums]] = await Promise.all([
+      CelebrationModel.find(filter)
+        .sort(this.SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CelebrationModel.countDocuments(filter),
+      CelebrationModel.aggregate([
+        { $match: filter },
+        { $group: { _id: null, donation: { $sum: '$donation' } } },
+      ]),
+    ]);
+
+    return {
+      items,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit,
+      sort,
+      donation_total: sums?.donation || 0,
+    };
+  }
+
+  /**
+   * Every matching Celebration as an export record
+   * @param {string} userId - Donor user ID
+   * @param {Object} criteria - Search criteria (see buildFilter)
+   * @param {string} sort - Sort name (see SORTS)
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object[]>} Export records (see toRecord)
+   * @throws {Error} 'export-too-large' - More than MAX_EXPORT Celebrations match
+   */
+  static async exportRecords(userId, criteria, sort, CelebrationModel) {
+    const filter = this.buildFilter(userId, criteria);
+    const total = await CelebrationModel.countDocuments(filter);
+    if (total > this.MAX_EXPORT) throw new Error('export-too-large');
+
+    const celebrations = await CelebrationModel.find(filter)
+      .sort(this.SORTS[sort] || this.SORTS.newest)
+      .lean();
+    return celebrations.map((c) => this.toRecord(c));
+  }
+
+  /**
+   * Export record for one Celebration
+   * @param {Object} celebration - Celebration document (lean)
+   * @returns {Object} Record with donor snapshot and status timeline
+   */
+  static toRecord(celebration) {
+    const c = celebration;
+    return {
+      id: c.idempotencyKey,
+      created_at: c.createdAt,
+      status: c.current_status,
+      donation: c.donation,
+      tip: c.tip,
+      fee: c.fee,
+      total: (c.donation || 0) + (c.tip || 0),
+      pol_id: c.pol_id,
+      pol_name: c.pol_name,
+      FEC_id: c.FEC_id,
+      recipient_type: c.recipient_type || 'pol',
+      committee_id: c.committee_id || null,
+      bill_id: c.bill_id,
+      donor: _.pick(c.donorInfo || {}, DONOR_FIELDS),
+      timeline: _.sortBy(c.status_ledger || [], 'change_datetime').map(
+        (entry) => ({
+          at: entry.change_datetime,
+          from: entry.previous_status,
+          to: entry.new_status,
+          reason: entry.reason,
+        })
+      ),
+    };
+  }
+
+  /**
+   * One-line status timeline, e.g. "2025-03-01 active → paused (Bill stalled)"
+   * @param {Object[]} timeline - Record timeline
+   * @returns {string}
+   */
+  static timelineText(timeline) {
+    return timeline
+      .map(
+        (t) =>
+          `${etDate(t.at)} ${t.from} → ${t.to}${t.reason ? ` (${t.reason})` : ''}`
+      )
+      .join('; ');
+  }
+
+  /**
+   * CSV of export records, one row per Celebration
+   * @param {Object[]} records - Export records
+   * @returns {string} CSV text
+   */
+  static toCsv(records) {
+    const columns = [
+      { key: 'id', header: 'Celebration ID' },
+      { key: 'created', header: 'Created (ET)' },
+      { key: 'status', header: 'Status' },
+      { key: 'donation', header: 'Donation' },
+      { key: 'tip', header: 'Tip' },
+      { key: 'fee', header: 'Fee' },
+      { key: 'total', header: 'Total' },
+      { key: 'pol_name', header: 'Recipient' },
+      { key: 'pol_id', header: 'Recipient ID' },
+      { key: 'FEC_id', header: 'Recipient FEC ID' },
+      { key: 'bill_id', header: 'Bill' },
+      { key: 'donor_name', header: 'Donor Name' },
+      { key: 'donor_address', header: 'Donor Address' },
+      { key: 'donor_city', header: 'Donor City' },
+      { key: 'donor_state', header: 'Donor State' },
+      { key: 'donor_zip', header: 'Donor ZIP' },
+      { key: 'donor_occupation', header: 'Donor Occupation' },
+      { key: 'donor_employer', header: 'Donor Employer' },
+      { key: 'donor_compliance', header: 'Compliance Tier' },
+      { key: 'timeline', header: 'Status Timeline' },
+    ];
+    const rows = records.map((r) => ({
+      ...r,
+      created: etDate(r.created_at, 'YYYY-MM-DD HH:mm:ss'),
+      donation: (r.donation || 0).toFixed(2),
+      tip: (r.tip || 0).toFixed(2),
+      fee: (r.fee || 0).toFixed(2),
+      total: r.total.toFixed(2),
+      donor_name: [r.donor.firstName, r.donor.lastName]
+        .filter(Boolean)
+        .join(' '),
+      donor_address: r.donor.address,
+      donor_city: r.donor.city,
+      donor_state: r.donor.state,
+      donor_zip: r.donor.zip,
+      donor_occupation: r.donor.occupation,
+      donor_employer: r.donor.employer,
+      donor_compliance: r.donor.compliance,
+      timeline: this.timelineText(r.timeline),
+    }));
+    return toCsv(columns, rows);
+  }
+
+  /**
+   * PDF of export records
+   * @param {Object[]} records - Export records
+   * @param {Object} [options]
+   * @param {Date} [options.generatedAt] - Shown in the header
+   * @returns {Buffer} PDF file
+   */
+  static toPdf(records, { generatedAt = new Date() } = {}) {
+    const total = records.reduce((sum, r) => sum + (r.donation || 0), 0);
+    const blocks = [
+      { text: 'POWERBACK.us Celebration History', size: 16, bold: true },
+      {
+        text: `Generated ${etDate(generatedAt, 'MMMM D, YYYY h:mm A')} ET. ${records.length} ${records.length === 1 ? 'Celebration' : 'Celebrations'}, ${usd(total)} in donations.`,
+        size: 9,
+      },
+      { rule: true },
+    ];
+
+    for (const r of records) {
+      const donor = r.donor;
+      const address = [donor.address, donor.city, donor.state, donor.zip]
+        .filter(Boolean)
+        .join(', ');
+      blocks.push(
+        { gap: 4 },
+        {
+          text: `${etDate(r.created_at, 'MMM D, YYYY')}: ${usd(r.donation)} to ${r.pol_name} (${r.bill_id}), ${r.status}`,
+          bold: true,
+        },
+        {
+          text: `Celebration ${r.id}. Tip ${usd(r.tip)}, fee ${usd(r.fee)}. Recipient FEC ID ${r.FEC_id}.`,
+          size: 9,
+          indent: 12,
+        },
+        {
+          text: `Donor at the time: ${[donor.firstName, donor.lastName].filter(Boolean).join(' ') || 'n/a'}${address ? `, ${address}` : ''}. ${donor.isEmployed === false ? 'Not employed' : `${donor.occupation || 'n/a'}, ${donor.employer || 'n/a'}`}. Tier: ${donor.compliance || 'n/a'}.`,
+          size: 9,
+          indent: 12,
+        }
+      );
+      for (const t of r.timeline) {
+        blocks.push({
+          text: `${etDate(t.at)}  ${t.from} → ${t.to}${t.reason ? `: ${t.reason}` : ''}`,
+          size: 9,
+          indent: 24,
+        });
+      }
+    }
+
+    return toPdf(blocks, {
+      title: 'POWERBACK.us Celebration History',
+      footer: 'POWERBACK.us Celebration History',
+      createdAt: generatedAt,
+    });
+  }
+}
+
+module.exports = CelebrationHistoryService;
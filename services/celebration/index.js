@@ -27,11 +27,37 @@
  * - defunctService: Defunct celebration lifecycle including conversion,
  *   warning emails, notifications, and automatic conversion checks
  *
+ * RESOLUTION
+ * - resolutionService: Automatic resolution when a bill's official record
+ *   shows a House floor vote
+ * - settlementService: Off-session charge of resolved Celebrations' payment
+ *   intents with settlement sub-states in the ledger
+ * - cancellationService: Cancels payment intents of defunct Celebrations and
+ *   reports defunct Celebrations with open Stripe objects
+ * - paymentEventService: Applies Stripe webhook events (failures, refunds,
+ *   disputes, removed cards) with event-ID dedupe
+ *
+ * ADMIN OVERSIGHT
+ * - adminService: Staff search, ledger view and manual pause/resume/defunct
+ *   actions (single and bulk with dry-run)
+ * - fecExportService: Schedule A itemization of settled Celebrations (CSV, .fec)
+ *
+ * STATS
+ * - statsService: Cached pledge totals per pol, state, party and bill, weekly
+ *   series and leaderboards
+ *
  * DEPENDENCIES
  * - ./dataService: Data operations
  * - ./emailService: Email operations
  * - ./statusService: Status management
  * - ./defunctService: Defunct lifecycle
+ * - ./resolutionService: Automatic resolution
+ * - ./settlementService: Payment settlement
+ * - ./cancellationService: Payment intent cancellation
+ * - ./paymentEventService: Stripe webhook events
+ * - ./adminService: Admin oversight actions
+ * - ./fecExportService: FEC Schedule A export
+ * - ./statsService: Pledge stats aggregation
  * - ./orchestrationService: Orchestration operations *
  *
  * @module services/celebration
@@ -39,6 +65,13 @@
  * @requires ./emailService
  * @requires ./statusService
  * @requires ./defunctService
+ * @requires ./resolutionService
+ * @requires ./settlementService
+ * @requires ./cancellationService
+ * @requires ./paymentEventService
+ * @requires ./adminService
+ * @requires ./fecExportService
+ * @requires ./statsService
  * @requires ./orchestrationService *
  */
 
@@ -47,6 +80,20 @@ const { getTotalActiveDonationsForBill } = require('./dataService');
 // coordinates the main celebration flow
 const { createCelebration } = require('./orchestrationService');
 const DefunctCelebrationService = require('./defunctService');
+// resolves celebrations when their bill reaches the House floor
+const ResolutionService = require('./resolutionService');
+// charges resolved celebrations' payment intents
+const SettlementService = require('./settlementService');
+// cancels defunct celebrations' payment intents
+const CancellationService = require('./cancellationService');
+// applies Stripe webhook events to celebrations and users
+const PaymentEventService = require('./paymentEventService');
+// admin search and manual status actions
+const AdminCelebrationService = require('./adminService');
+// FEC Schedule A itemization export
+const FecExportService = require('./fecExportService');
+// cached pledge totals and leaderboards
+const StatsService = require('./statsService');
 // handles celebration-related emails
 const { ...emailServices } = require('./emailService');
 // handles celebration data operations
@@ -55,7 +102,14 @@ const { ...dataServices } = require('./dataService');
 const StatusService = require('./statusService');
 
 module.exports = {
+  AdminCelebrationService,
+  CancellationService,
   DefunctCelebrationService,
+  FecExportService,
+  PaymentEventService,
+  ResolutionService,
+  SettlementService,
+  StatsService,
   StatusService,
   ...dataServices,
   ...emailServices,
@@ -15,7 +15,8 @@
  *
  * PROCESSING FLOW
  *
- * 1. Calculate Stripe processing fee
+ * 1. Calculate Stripe processing fee and resolve the recipient (sitting
+ *    member or non-incumbent candidate)
  * 2. Get user data and compliance tier
  * 3. Validate FEC compliance (with fallback to legacy validation)
  * 4. Handle PAC limits for tips (check, set flag, send email if needed)
@@ -26,6 +27,12 @@
  *
  * BUSINESS LOGIC
  *
+ * RECIPIENTS
+ * - pol_id is a bioguide ID (Pol) or an FEC candidate ID (Candidate)
+ * - Candidate recipients must be active; recipient_type, FEC_id, pol_name and
+ *   committee_id are taken from the Candidate, never from the request
+ * - Pol recipients must not be roster_excluded
+ *
  * FEC COMPLIANCE VALIDATION
  * - Uses enhanced compliance check with election cycle resets (Compliant tier)
  * - Falls back to legacy validation if enhanced check fails
@@ -48,6 +55,8 @@
  * - services/celebration/emailService: Email notifications
  * - services/user/donorValidation: Donor information validation
  * - controller/users/account/utils/reckon: PAC limit checking
+ * - services/btc/paymentService: BTC contributions counted toward the PAC limit
+ * - services/congress/candidateService: Non-incumbent recipients
  *
  * @module services/celebration/orchestrationService
  * @requires ../../controller/celebrations
@@ -57,10 +66,12 @@
  * @requires ../../controller/users/account/utils/reckon
  * @requires ../user/donorValidation
  * @requires ./emailService
+ * @requires ../btc/paymentService
+ * @requires ../congress/candidateService
  */
 
 const Controller = require('../../controller/celebrations');
-const { User, Pol, Celebration, Bill } = require('../../models');
+const { User, Pol, Celebration, Bill, Candidate } = require('../../models');
 const UserController = require('../../controller/users');
 
 const { requireLogger } = require('../logger');
@@ -79,6 +90,11 @@ const {
   isPolRosterExcludedByBioguide,
   POL_ROSTER_EXCLUDED_USER_MESSAGE,
 } = require('../congress/polRosterEligibility');
+const {
+  resolveRecipient,
+  CANDIDATE_NOT_SELECTABLE_USER_MESSAGE,
+} = require('../congress/candidateService');
+const { getPacContributionsUsd } = require('../btc/paymentService');
 const { sendPACLimitEmail, handleCelebrationEmail } = require('./emailService');
 const { getEscrowedTotalsByPol } = require('./dataService');
 
@@ -103,7 +119,34 @@ async function createCelebration(req, res) {
       full_body: req.body,
     });
 
-    if (await isPolRosterExcludedByBioguide(Pol, req.body.pol_id)) {
+    const candidate = await resolveRecipient(req.body.pol_id);
+    if (candidate && !candidate.selectable) {
+      logger.warn('Celebration creation blocked: withdrawn candidate', {
+        pol_id: req.body.pol_id,
+        userId: req.body.donatedBy,
+      });
+      return {
+        status: 400,
+        response: {
+          code: 'CANDIDATE_NOT_SELECTABLE',
+          message: CANDIDATE_NOT_SELECTABLE_USER_MESSAGE,
+        },
+      };
+    }
+    if (candidate) {
+      req.body.recipient_type = 'candidate';
+      req.body.FEC_id = candidate.FEC_id;
+      req.body.pol_name = candidate.pol_name;
+      req.body.committee_id = candidate.committee_id || undefined;
+    } else {
+      req.body.recipient_type = 'pol';
+      delete req.body.committee_id;
+    }
+
+    if (
+      !candidate &&
+      (await isPolRosterExcludedByBioguide(Pol, req.body.pol_id))
+    ) {
       logger.warn('Celebration creation blocked: roster_excluded Pol', {
         pol_id: req.body.pol_id,
         userId: req.body.donatedBy,
@@ -190,7 +233,11 @@ async function createCelebration(req, res) {
           celebrationsCount: safeCelebrations.length,
         });
 
-        pacLimitInfo = checkPACLimit(safeCelebrations, req.body.tip);
+        pacLimitInfo = checkPACLimit(
+          safeCelebrations,
+          req.body.tip,
+          await getPacContributionsUsd(req.body.donatedBy)
+        );
 
         logger.debug('PAC limit check result:', {
           pacLimitInfo,
@@ -336,11 +383,18 @@ async function createCelebration(req, res) {
     // 9. Post celebration to social webhook (amount, district, pol, bill only; no donor info)
     if (newCelebration) {
       try {
-        const pol = await Pol.findOne({ id: newCelebration.pol_id }).lean();
+        const pol =
+          newCelebration.recipient_type === 'candidate'
+            ? null
+            : await Pol.findOne({ id: newCelebration.pol_id }).lean();
         const bill = await Bill.findOne({
           bill_id: newCelebration.bill_id,
         }).lean();
-        const role = pol?.roles?.[0];
+        const role = pol
+          ? pol.roles?.[0]
+          : await Candidate.findOne({
+              fec_candidate_id: newCelebration.pol_id,
+            }).lean();
         const state =
           typeof role?.state === 'string' && role.state.trim()
             ? role.state.trim()
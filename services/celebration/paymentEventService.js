@@ -0,0 +1,570 @@
+/**
+ * @fileoverview Celebration Payment Event Service
+ *
+ * This service applies Stripe webhook events to the Celebrations and Users
+ * they concern. Each event adds a payment_event entry to the Celebration's
+ * status ledger (the status itself is unchanged), sets payment flags on the
+ * Celebration and User, and emails the donor where they need to act or know.
+ *
+ * KEY FUNCTIONS
+ *
+ * claimEvent(event, StripeEventModel) / completeEvent(eventId, error, StripeEventModel)
+ * - Event-ID dedupe: a Stripe retry of an already claimed event is a no-op
+ * - Failed events can be claimed again (manual resend from Stripe), and so
+ *   can a 'processing' claim older than CLAIM_LOCK_MS: the process handling
+ *   it died, Stripe got no response and redelivered
+ *
+ * handleEvent(event, options, CelebrationModel, UserModel)
+ * - Dispatches to the handler for event.type (see HANDLERS)
+ * - Returns { handled, celebrationIds, emailSent }
+ *
+ * BUSINESS LOGIC
+ *
+ * EVENTS
+ * - payment_intent.payment_failed: payment_failed flag on Celebration and
+ *   User; a resolved Celebration moves to settlement_failed and the donor gets
+ *   SettlementFailed unless the settlement run already sent it (the same
+ *   failure_notified_at claim, see settlementService.claimFailureNotice)
+ * - payment_intent.canceled: payment_intent_canceled flag
+ * - charge.refunded: refunded/amount_refunded flags; donor gets DonationRefunded
+ * - charge.dispute.created / charge.dispute.closed: disputed flag and
+ *   dispute_status; User disputed flag on creation; logged for operators
+ * - payment_method.detached: clears the User's stored card; if the customer is
+ *   left without a default card and has Celebrations awaiting a charge, flags
+ *   the User, records the event on those Celebrations and emails the donor
+ *   (PaymentMethodRemoved)
+ *
+ * MATCHING
+ * - Celebrations are matched by payment_intent, falling back to charge_id
+ * - Users are matched by donatedBy or by payment.customer_id
+ * - Seeded Celebrations (idempotencyKey "seed:") are ignored
+ *
+ * TESTING
+ * - Pass options.stripe to use a Stripe stub instead of the live client
+ *
+ * DEPENDENCIES
+ * - stripe: Stripe SDK (customer lookup for payment_method.detached)
+ * - services/celebration/statusService: payment_event ledger entries
+ * - services/celebration/settlementService: SettlementFailed email claim
+ * - controller/comms: Email queueing (email outbox)
+ *
+ * @module services/celebration/paymentEventService
+ * @requires stripe
+ * @requires ../../controller/comms
+ * @requires ../../controller/comms/emails
+ * @requires ../utils/logger
+ * @requires ./statusService
+ * @requires ./settlementService
+ */
+
+const STRIPE_SK =
+    process.env.NODE_ENV === 'production'
+      ? process.env.STRIPE_SK_LIVE
+      : process.env.STRIPE_SK_TEST,
+  stripeClient = require('stripe')(STRIPE_SK);
+const { enqueueEmail } = require('../../controller/comms'),
+  { emails } = require('../../controller/comms/emails'),
+  logger = require('../utils/logger')(__filename),
+  StatusService = require('./statusService'),
+  SettlementService = require('./settlementService');
+
+/**
+ * ID of an expandable Stripe field (string or expanded object)
+ * @param {string|Object|null} field
+ * @returns {string|undefined}
+ */
+const idOf = (field) => (typeof field === 'string' ? field : field?.id);
+
+class PaymentEventService {
+  /**
+   * Handler method for each Stripe event type this service processes
+   */
+  static HANDLERS = {
+    'payment_intent.payment_failed': 'handlePaymentFailed',
+    'payment_intent.canceled': 'handlePaymentIntentCanceled',
+    'charge.refunded': 'handleChargeRefunded',
+    'charge.dispute.created': 'handleDispute',
+    'charge.dispute.closed': 'handleDispute',
+    'payment_method.detached': 'handlePaymentMethodDetached',
+  };
+
+  /**
+   * How long a 'processing' claim holds before another delivery may take it over
+   */
+  static CLAIM_LOCK_MS = 5 * 60 * 1000;
+
+  /**
+   * Claim a Stripe event for processing
+   * @param {Object} event - Verified Stripe event
+   * @param {Object} StripeEventModel - StripeEvent model
+   * @returns {Promise<boolean>} False when the event was already claimed
+   */
+  static async claimEvent(event, StripeEventModel) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + this.CLAIM_LOCK_MS);
+    try {
+      await StripeEventModel.create({
+        event_id: event.id,
+        type: event.type,
+        locked_until: lockedUntil,
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    // Already seen: only a failed or abandoned event may be processed again
+    const retried = await StripeEventModel.findOneAndUpdate(
+      {
+        event_id: event.id,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', locked_until: { $not: { $gte: now } } },
+        ],
+      },
+      {
+        status: 'processing',
+        locked_until: lockedUntil,
+        $inc: { attempts: 1 },
+      }
+    );
+    return Boolean(retried);
+  }
+
+  /**
+   * Mark a claimed Stripe event as processed or failed
+   * @param {string} eventId - Stripe event ID
+   * @param {Error|null} error - Processing error, if any
+   * @param {Object} StripeEventModel - StripeEvent model
+   * @returns {Promise<void>}
+   */
+  static async completeEvent(eventId, error, StripeEventModel) {
+    await StripeEventModel.updateOne(
+      { event_id: eventId },
+      error
+        ? {
+            status: 'failed',
+            error: error.message,
+            $unset: { locked_until: 1 },
+          }
+        : {
+            status: 'processed',
+            processed_at: new Date(),
+            $unset: { error: 1, locked_until: 1 },
+          }
+    );
+  }
+
+  /**
+   * Apply a Stripe event to the matching Celebration and User
+   * @param {Object} event - Verified Stripe event
+   * @param {Object} options - Additional options
+   * @param {Object} options.stripe - Stripe client (defaults to live/test client)
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} { handled, celebrationIds, emailSent }
+   */
+  static async handleEvent(event, options = {}, CelebrationModel, UserModel) {
+    const handler = this.HANDLERS[event.type];
+    if (!handler) return { handled: false, celebrationIds: [] };
+
+    return this[handler](event, options, CelebrationModel, UserModel);
+  }
+
+  /**
+   * Find the non-seed Celebration for a payment intent or charge
+   * @param {Object} ids
+   * @param {string} [ids.paymentIntentId] - Stripe payment intent ID
+   * @param {string} [ids.chargeId] - Stripe charge ID
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object|null>} Celebration document
+   */
+  static async findCelebration(
+    { paymentIntentId, chargeId },
+    CelebrationModel
+  ) {
+    const or = [];
+    if (paymentIntentId) or.push({ payment_intent: paymentIntentId });
+    if (chargeId) or.push({ charge_id: chargeId });
+    if (or.length === 0) return null;
+
+    return CelebrationModel.findOne({
+      $or: or,
+      idempotencyKey: { $not: /^seed:/ },
+    });
+  }
+
+  /**
+   * Email a donor; falls back to the Celebration's donorInfo email
+   * @param {Object|null} user - User document (email, username, firstName)
+   * @param {Object|null} celebration - Celebration document
+   * @param {Function} template - Email template from controller/comms/emails
+   * @param {Object} payload - Template payload
+   * @returns {Promise<boolean>} True if the email was queued
+   */
+  static async sendDonorEmail(user, celebration, template, payload) {
+    const to = (
+      user?.email ||
+      user?.username ||
+      celebration?.donorInfo?.email ||
+      ''
+    ).trim();
+    if (!to) return false;
+
+    try {
+      await enqueueEmail(
+        to,
+        template,
+        user?.firstName || celebration?.donorInfo?.firstName || '',
+        payload
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Error sending payment event email to user ${user?._id}:`, {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * payment_intent.payment_failed
+   * @param {Object} event - Stripe event
+   * @param {Object} options - Additional options
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} Handler result
+   */
+  static async handlePaymentFailed(
+    event,
+    options,
+    CelebrationModel,
+    UserModel
+  ) {
+    const paymentIntent = event.data.object;
+    const celebration = await this.findCelebration(
+      { paymentIntentId: paymentIntent.id },
+      CelebrationModel
+    );
+    if (!celebration) return { handled: false, celebrationIds: [] };
+
+    const error = paymentIntent.last_payment_error || {};
+    const isResolved = celebration.current_status === 'resolved';
+
+    const update = { 'payment_flags.payment_failed': true };
+    if (isResolved) update.settlement_status = 'settlement_failed';
+
+    await StatusService.recordPaymentEvent(
+      celebration,
+      `Stripe payment failed: ${error.code || paymentIntent.status}`,
+      {
+        stripe_event_id: event.id,
+        event_type: event.type,
+        payment_intent_status: paymentIntent.status,
+        failure_code: error.code,
+        decline_code: error.decline_code,
+      },
+      { update },
+      CelebrationModel
+    );
+
+    const user = await UserModel.findByIdAndUpdate(
+      celebration.donatedBy,
+      { 'paymentFlags.paymentFailed': true },
+      { new: true }
+    );
+
+    let emailSent = false;
+    if (
+      isResolved &&
+      (await SettlementService.claimFailureNotice(
+        celebration,
+        CelebrationModel
+      ))
+    ) {
+      emailSent = await this.sendDonorEmail(
+        user,
+        celebration,
+        emails.SettlementFailed,
+        {
+          pol_name: celebration.pol_name,
+          donation: celebration.donation,
+          bill_id: celebration.bill_id,
+          sub_state_reason:
+            paymentIntent.status === 'requires_action' ||
+            error.code === 'authentication_required'
+              ? 'requires_action'
+              : 'card_declined',
+        }
+      );
+      if (!emailSent) {
+        await SettlementService.releaseFailureNotice(
+          celebration,
+          CelebrationModel
+        );
+      }
+    }
+
+    return {
+      handled: true,
+      celebrationIds: [celebration._id.toString()],
+      emailSent,
+    };
+  }
+
+  /**
+   * payment_intent.canceled
+   * @param {Object} event - Stripe event
+   * @param {Object} options - Additional options
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Handler result
+   */
+  static async handlePaymentIntentCanceled(event, options, CelebrationModel) {
+    const paymentIntent = event.data.object;
+    const celebration = await this.findCelebration(
+      { paymentIntentId: paymentIntent.id },
+      CelebrationModel
+    );
+    if (!celebration) return { handled: false, celebrationIds: [] };
+
+    if (celebration.current_status !== 'defunct') {
+      // Cancelled outside the defunct flow: nothing left to charge
+      logger.warn('[Webhook] Payment intent cancelled for open celebration', {
+        celebrationId: celebration._id,
+        status: celebration.current_status,
+        cancellationReason: paymentIntent.cancellation_reason,
+      });
+    }
+
+    await StatusService.recordPaymentEvent(
+      celebration,
+      `Stripe payment intent cancelled${
+        paymentIntent.cancellation_reason
+          ? `: ${paymentIntent.cancellation_reason}`
+          : ''
+      }`,
+      {
+        stripe_event_id: event.id,
+        event_type: event.type,
+        payment_intent_status: paymentIntent.status,
+      },
+      { update: { 'payment_flags.payment_intent_canceled': true } },
+      CelebrationModel
+    );
+
+    return {
+      handled: true,
+      celebrationIds: [celebration._id.toString()],
+      emailSent: false,
+    };
+  }
+
+  /**
+   * charge.refunded
+   * @param {Object} event - Stripe event
+   * @param {Object} options - Additional options
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} Handler result
+   */
+  static async handleChargeRefunded(
+    event,
+    options,
+    CelebrationModel,
+    UserModel
+  ) {
+    const charge = event.data.object;
+    const celebration = await this.findCelebration(
+      { paymentIntentId: idOf(charge.payment_intent), chargeId: charge.id },
+      CelebrationModel
+    );
+    if (!celebration) return { handled: false, celebrationIds: [] };
+
+    const amountRefunded = (charge.amount_refunded || 0) / 100;
+
+    await StatusService.recordPaymentEvent(
+      celebration,
+      charge.refunded ? 'Charge fully refunded' : 'Charge partially refunded',
+      {
+        stripe_event_id: event.id,
+        event_type: event.type,
+        charge_id: charge.id,
+        amount_refunded: amountRefunded,
+      },
+      {
+        update: {
+          'payment_flags.refunded': Boolean(charge.refunded),
+          'payment_flags.amount_refunded': amountRefunded,
+        },
+      },
+      CelebrationModel
+    );
+
+    const user = await UserModel.findById(celebration.donatedBy).select(
+      'email username firstName'
+    );
+    const emailSent = await this.sendDonorEmail(
+      user,
+      celebration,
+      emails.DonationRefunded,
+      {
+        pol_name: celebration.pol_name,
+        amount_refunded: amountRefunded,
+        refunded: Boolean(charge.refunded),
+      }
+    );
+
+    return {
+      handled: true,
+      celebrationIds: [celebration._id.toString()],
+      emailSent,
+    };
+  }
+
+  /**
+   * charge.dispute.created / charge.dispute.closed
+   * @param {Object} event - Stripe event
+   * @param {Object} options - Additional options
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} Handler result
+   */
+  static async handleDispute(event, options, CelebrationModel, UserModel) {
+    const dispute = event.data.object;
+    const created = event.type === 'charge.dispute.created';
+    const celebration = await this.findCelebration(
+      {
+        paymentIntentId: idOf(dispute.payment_intent),
+        chargeId: idOf(dispute.charge),
+      },
+      CelebrationModel
+    );
+    if (!celebration) return { handled: false, celebrationIds: [] };
+
+    logger.warn(`[Webhook] Dispute ${created ? 'opened' : 'closed'}`, {
+      celebrationId: celebration._id,
+      disputeId: dispute.id,
+      status: dispute.status,
+      reason: dispute.reason,
+    });
+
+    await StatusService.recordPaymentEvent(
+      celebration,
+      created
+        ? `Charge disputed: ${dispute.reason}`
+        : `Dispute closed: ${dispute.status}`,
+      {
+        stripe_event_id: event.id,
+        event_type: event.type,
+        charge_id: idOf(dispute.charge),
+        dispute_id: dispute.id,
+        dispute_status: dispute.status,
+        dispute_reason: dispute.reason,
+      },
+      {
+        update: {
+          'payment_flags.disputed': true,
+          'payment_flags.dispute_status': dispute.status,
+        },
+      },
+      CelebrationModel
+    );
+
+    if (created) {
+      await UserModel.updateOne(
+        { _id: celebration.donatedBy },
+        { 'paymentFlags.disputed': true }
+      );
+    }
+
+    return {
+      handled: true,
+      celebrationIds: [celebration._id.toString()],
+      emailSent: false,
+    };
+  }
+
+  /**
+   * payment_method.detached
+   * @param {Object} event - Stripe event
+   * @param {Object} options - Additional options
+   * @param {Object} options.stripe - Stripe client (defaults to live/test client)
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} Handler result
+   */
+  static async handlePaymentMethodDetached(
+    event,
+    options,
+    CelebrationModel,
+    UserModel
+  ) {
+    const { stripe = stripeClient } = options;
+    const paymentMethod = event.data.object;
+    // The detached object no longer has a customer; Stripe reports the old one
+    const customerId = idOf(event.data.previous_attributes?.customer);
+    if (!customerId) return { handled: false, celebrationIds: [] };
+
+    const user = await UserModel.findOne({ 'payment.customer_id': customerId });
+    if (!user) return { handled: false, celebrationIds: [] };
+
+    if (user.payment?.payment_method === paymentMethod.id) {
+      await UserModel.updateOne(
+        { _id: user._id },
+        { 'payment.payment_method': '' }
+      );
+    }
+
+    const customer = await stripe.customers.retrieve(customerId);
+    if (customer?.invoice_settings?.default_payment_method) {
+      return { handled: true, celebrationIds: [], emailSent: false };
+    }
+
+    const openCelebrations = await CelebrationModel.find({
+      donatedBy: user._id,
+      charge_id: null,
+      idempotencyKey: { $not: /^seed:/ },
+      $or: [
+        { current_status: { $in: ['active', 'paused'] } },
+        { current_status: 'resolved', settlement_status: { $ne: 'settled' } },
+      ],
+    });
+
+    await UserModel.updateOne(
+      { _id: user._id },
+      { 'paymentFlags.paymentMethodDetached': true }
+    );
+
+    for (const celebration of openCelebrations) {
+      await StatusService.recordPaymentEvent(
+        celebration,
+        'Donor payment method removed',
+        {
+          stripe_event_id: event.id,
+          event_type: event.type,
+          payment_method_id: paymentMethod.id,
+        },
+        {},
+        CelebrationModel
+      );
+    }
+
+    let emailSent = false;
+    if (openCelebrations.length > 0) {
+      emailSent = await this.sendDonorEmail(
+        user,
+        null,
+        emails.PaymentMethodRemoved,
+        { openCelebrationsCount: openCelebrations.length }
+      );
+    }
+
+    return {
+      handled: true,
+      celebrationIds: openCelebrations.map((c) => c._id.toString()),
+      emailSent,
+    };
+  }
+}
+
+module.exports = PaymentEventService;
@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Celebration Resolution Service
+ *
+ * This service resolves Celebrations automatically when the official public
+ * record shows the required public event for their bill: a vote on the bill
+ * on the House floor. It reads the Congress.gov actions list for a bill,
+ * recognizes a qualifying floor action, and resolves every active Celebration
+ * with that bill_id through StatusService.
+ *
+ * KEY FUNCTIONS
+ *
+ * findQualifyingAction(actions)
+ * - Scans a bill's actions for the earliest House floor vote
+ * - Accepts Congress.gov API actions and stored Bill.actions entries
+ * - Returns normalized action details, or null when none qualifies
+ *
+ * buildResolutionDetails(action, celebration)
+ * - Maps a qualifying action to status ledger resolution_details
+ * - Records the recipient the pledge is routed to
+ *
+ * resolveForBill(billId, actions, options, CelebrationModel)
+ * - Resolves all active Celebrations for the bill in batches
+ * - Dry-run mode reports what would resolve without writing
+ * - Returns summary of resolution results
+ *
+ * BUSINESS LOGIC
+ *
+ * QUALIFYING ACTIONS
+ * - A House recorded vote (roll call) on the bill
+ * - A House floor action recording a vote on passage (including motions to
+ *   suspend the rules and pass, voice votes, and failed passage)
+ * - The vote taking place is the trigger; its result is recorded, not judged
+ * - Committee, referral, and Senate actions never qualify
+ *
+ * RECIPIENT ROUTING
+ * - A pledge resolves to the recipient the donor chose: a sitting member
+ *   (recipient_type 'pol') or a challenger/open-seat candidate
+ *   (recipient_type 'candidate'), identified by FEC_id
+ * - The recipient type, FEC id and principal committee are written to the
+ *   ledger with the bill action, so settlement and FEC reports follow the
+ *   donor's choice even if the race changed (e.g. the incumbent dropped out)
+ *
+ * IDEMPOTENCY
+ * - Only Celebrations with current_status 'active' are selected, so
+ *   re-running after resolution finds nothing to do
+ * - Paused Celebrations are left alone (paused → resolved is not a valid
+ *   transition)
+ * - Seeded celebrations (idempotencyKey starting with "seed:") are excluded
+ *
+ * BATCHING
+ * - Celebrations are paged by _id in batches (default 100) so large bills
+ *   never load every Celebration at once
+ * - A failure on one Celebration is logged and counted; the rest continue
+ *
+ * DEPENDENCIES
+ * - services/celebration/statusService: Status transitions
+ *
+ * @module services/celebration/resolutionService
+ * @requires ../utils/logger
+ * @requires ./statusService
+ */
+
+const logger = require('../utils/logger')(__filename),
+  StatusService = require('./statusService');
+
+class ResolutionService {
+  /**
+   * Default number of Celebrations resolved per batch
+   */
+  static BATCH_SIZE = 100;
+
+  /**
+   * Ledger reason recorded on automatically resolved Celebrations
+   */
+  static RESOLUTION_REASON = 'Bill brought to House floor for vote';
+
+  /**
+   * Congress.gov action codes for House passage outcomes
+   * (8000: Passed/agreed to in House, 9000: Failed of passage/not agreed to in House)
+   */
+  static HOUSE_VOTE_ACTION_CODES = ['8000', '9000'];
+
+  /**
+   * Floor action text that records a vote on the bill itself
+   */
+  static FLOOR_VOTE_PATTERN =
+    /\b(on passage|on motion to suspend the rules and (pass|agree)|on agreeing to the resolution|passed\/agreed to in house|failed of passage)\b/i;
+
+  /**
+   * Normalize a Congress.gov or stored Bill action into one shape
+   * @param {Object} action - Congress.gov action or Bill.actions entry
+   * @returns {Object} Normalized action
+   */
+  static normalizeAction(action = {}) {
+    const recordedVotes = Array.isArray(action.recordedVotes)
+      ? action.recordedVotes
+      : [];
+    const sourceName = action.sourceSystem?.name || '';
+    const chamber =
+      action.chamber ||
+      (/house/i.test(sourceName) ? 'House' : null) ||
+      (/senate/i.test(sourceName) ? 'Senate' : null);
+
+    return {
+      actionCode: action.actionCode != null ? String(action.actionCode) : null,
+      actionDate: action.actionDate || action.datetime || null,
+      text: action.text || action.description || '',
+      type: action.type || action.action_type || '',
+      chamber,
+      houseVote: recordedVotes.find((v) => v.chamber === 'House') || null,
+    };
+  }
+
+  /**
+   * Whether a normalized action is a House floor vote on the bill
+   * @param {Object} action - Normalized action
+   * @returns {boolean} True if the action qualifies
+   */
+  static isQualifyingAction(action) {
+    if (action.houseVote) return true;
+    if (this.HOUSE_VOTE_ACTION_CODES.includes(action.actionCode)) return true;
+    return (
+      action.chamber === 'House' &&
+      /^floor$/i.test(action.type) &&
+      this.FLOOR_VOTE_PATTERN.test(action.text)
+    );
+  }
+
+  /**
+   * Classify the recorded outcome of a floor vote
+   * @param {string} text - Action text
+   * @returns {string} 'failed', 'passed', or 'vote_held'
+   */
+  static getActionResult(text = '') {
+    if (/failed|not agreed to|not passed/i.test(text)) return 'failed';
+    if (/passed|agreed to/i.test(text)) return 'passed';
+    return 'vote_held';
+  }
+
+  /**
+   * Find the earliest House floor vote in a bill's actions
+   * @param {Array} actions - Congress.gov actions or Bill.actions entries
+   * @returns {Object|null} Qualifying action details, or null if none
+   */
+  static findQualifyingAction(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) return null;
+
+    const qualifying = actions
+      .map((a) => this.normalizeAction(a))
+      .filter((a) => a.actionDate && this.isQualifyingAction(a))
+      .sort((a, b) => new Date(a.actionDate) - new Date(b.actionDate));
+
+    if (qualifying.length === 0) return null;
+
+    const action = qualifying[0];
+    return {
+      ...action,
+      recorded: Boolean(action.houseVote),
+      result: this.getActionResult(action.text),
+      voteDate: action.houseVote?.date || action.actionDate,
+      rollNumber: action.houseVote?.rollNumber ?? null,
+    };
+  }
+
+  /**
+   * Build status ledger resolution_details from a qualifying action
+   * @param {Object} action - Result of findQualifyingAction
+   * @param {Object} [celebration] - Celebration being resolved (recipient)
+   * @returns {Object} resolution_details for the status ledger
+   */
+  static buildResolutionDetails(action, celebration) {
+    return {
+      bill_action_date: new Date(action.actionDate),
+      bill_action_type: action.recorded
+        ? 'house_recorded_vote'
+        : 'house_floor_vote',
+      bill_action_result: action.result,
+      house_vote_date: new Date(action.voteDate),
+      ...(celebration && {
+        recipient_type: celebration.recipient_type || 'pol',
+        recipient_fec_id: celebration.FEC_id,
+        recipient_committee_id: celebration.committee_id || undefined,
+      }),
+    };
+  }
+
+  /**
+   * Resolve every active Celebration for a bill whose actions include a
+   * House floor vote
+   * @param {string} billId - Bill ID (e.g. 'hjres54-119')
+   * @param {Array} actions - Congress.gov actions or Bill.actions entries
+   * @param {Object} options - Additional options
+   * @param {boolean} options.dryRun - Report what would resolve without writing
+   * @param {number} options.batchSize - Celebrations per batch
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Summary of resolution results
+   */
+  static async resolveForBill(billId, actions, options = {}, CelebrationModel) {
+    const { dryRun = false, batchSize = this.BATCH_SIZE } = options;
+
+    const action = this.findQualifyingAction(actions);
+    if (!action) {
+      logger.debug(`No qualifying House floor action for ${billId}`);
+      return {
+        success: true,
+        billId,
+        action: 'none',
+        reason: 'No qualifying House floor action',
+      };
+    }
+
+    const summary = {
+      success: true,
+      billId,
+      dryRun,
+      qualifyingAction: {
+        actionDate: action.actionDate,
+        text: action.text,
+        result: action.result,
+        rollNumber: action.rollNumber,
+      },
+      resolvedCount: 0,
+      failedCount: 0,
+      celebrationIds: [],
+    };
+
+    logger.info(`Qualifying House floor action found for ${billId}`, {
+      actionDate: action.actionDate,
+      result: action.result,
+      dryRun,
+    });
+
+    let lastId = null;
+    for (;;) {
+      const query = {
+        bill_id: billId,
+        current_status: 'active',
+        idempotencyKey: { $not: /^seed:/ },
+      };
+      if (lastId) query._id = { $gt: lastId };
+
+      const batch = await CelebrationModel.find(query)
+        .sort({ _id: 1 })
+        .limit(batchSize);
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      for (const celebration of batch) {
+        if (dryRun) {
+          summary.celebrationIds.push(celebration._id.toString());
+          continue;
+        }
+        try {
+          await StatusService.resolveCelebration(
+            celebration,
+            this.RESOLUTION_REASON,
+            this.buildResolutionDetails(action, celebration),
+            {
+              triggeredBy: 'api',
+              triggeredByName: 'Congress.gov API',
+              triggeredById: billId,
+            },
+            CelebrationModel
+          );
+          summary.celebrationIds.push(celebration._id.toString());
+          summary.resolvedCount++;
+        } catch (error) {
+          summary.failedCount++;
+          logger.error(
+            `Error resolving celebration ${celebration._id}:`,
+            error
+          );
+        }
+      }
+    }
+
+    if (dryRun) {
+      summary.wouldResolveCount = summary.celebrationIds.length;
+      logger.info(`Dry run: ${summary.wouldResolveCount} would resolve`, {
+        billId,
+      });
+    } else {
+      logger.info('Celebration resolution completed', {
+        billId,
+        resolvedCount: summary.resolvedCount,
+        failedCount: summary.failedCount,
+      });
+    }
+
+    return summary;
+  }
+}
+
+module.exports = ResolutionService;
@@ -0,0 +1,559 @@
+/**
+ * @fileoverview Celebration Settlement Service
+ *
+ * This service charges the stored Stripe payment intent for Celebrations that
+ * have resolved. Pledges are only authorized when the donor confirms
+ * (capture_method 'manual', see controller/payments/createPayment), so the
+ * charge happens here, at resolution. The donor is not present by then, so an
+ * intent that needs a payment method is confirmed off-session with the saved
+ * card. Each outcome is recorded as a settlement sub-state in the status
+ * ledger (the Celebration stays resolved).
+ *
+ * KEY FUNCTIONS
+ *
+ * settleResolvedCelebrations(options, CelebrationModel, UserModel)
+ * - Finds resolved Celebrations without a charge and settles them in batches
+ * - Retries earlier failures until MAX_ATTEMPTS is reached
+ * - Skips pending Celebrations; the charge.succeeded webhook completes them
+ * - Returns summary of settlement results
+ * - options.dryRun only counts the Celebrations awaiting settlement
+ *
+ * settleCelebration(celebration, options, CelebrationModel, UserModel)
+ * - Charges one Celebration's payment intent and records the outcome
+ * - Emails the donor to update their card on the first failure
+ *
+ * claimFailureNotice(celebration, CelebrationModel)
+ * - Claims the SettlementFailed email for a Celebration; shared with the
+ *   payment_intent.payment_failed webhook
+ *
+ * chargePaymentIntent(paymentIntentId, stripe)
+ * - Confirms (off-session) or captures the payment intent as its status requires
+ * - Replaces an expired authorization with a new off-session payment intent
+ * - Maps the Stripe result to a settlement sub-state
+ *
+ * completePendingSettlement(celebration, chargeId, CelebrationModel)
+ * - Records a pending Celebration as settled once its charge succeeds
+ *
+ * BUSINESS LOGIC
+ *
+ * PAYMENT INTENT STATUSES
+ * - requires_payment_method / requires_confirmation: confirmed off-session with
+ *   the customer's current default card (so an updated card is used on retry)
+ * - requires_capture: the pledge authorization; captured
+ * - canceled by Stripe (cancellation_reason 'automatic'): card authorizations
+ *   expire after about 7 days, so a pledge that resolves later is charged
+ *   with a new off-session payment intent for the same amount and card; the
+ *   Celebration's payment_intent is switched to the new intent
+ * - succeeded: settled; charge_id and settled_at recorded (pledges made
+ *   before manual capture were charged at pledge time and settle here)
+ * - processing: left pending and not picked up again; the charge.succeeded
+ *   webhook records charge_id and settles it
+ * - requires_action, card errors, other cancellations: settlement_failed
+ *
+ * FAILURES
+ * - settlement_failed is recorded with the Stripe failure and decline codes
+ * - The donor is emailed (SettlementFailed, transactional) once per
+ *   Celebration: the settlement run and the payment_failed webhook both
+ *   claim failure_notified_at atomically first, so neither a concurrent run
+ *   nor the webhook sends it again. A claim whose email could not be queued
+ *   is released for the next failure to retry
+ * - Network/API errors are logged and retried next run without counting as
+ *   a donor-facing failure
+ *
+ * TESTING
+ * - Pass options.stripe to use a Stripe stub instead of the live client
+ *
+ * DEPENDENCIES
+ * - stripe: Stripe SDK for payment processing
+ * - services/celebration/statusService: Settlement ledger entries
+ * - controller/comms: Email queueing (email outbox)
+ *
+ * @module services/celebration/settlementService
+ * @requires stripe
+ * @requires ../../controller/comms
+ * @requires ../../controller/comms/emails
+ * @requires ../utils/logger
+ * @requires ./statusService
+ */
+
+const STRIPE_SK =
+    process.env.NODE_ENV === 'production'
+      ? process.env.STRIPE_SK_LIVE
+      : process.env.STRIPE_SK_TEST,
+  stripeClient = require('stripe')(STRIPE_SK);
+const { enqueueEmail } = require('../../controller/comms'),
+  { emails } = require('../../controller/comms/emails'),
+  logger = require('../utils/logger')(__filename),
+  StatusService = require('./statusService');
+
+class SettlementService {
+  /**
+   * Off-session charge attempts before a Celebration is left for manual review
+   */
+  static MAX_ATTEMPTS = 5;
+
+  /**
+   * Default number of Celebrations settled per batch
+   */
+  static BATCH_SIZE = 50;
+
+  /**
+   * Payment intent statuses that need an off-session confirmation
+   */
+  static CONFIRMABLE_STATUSES = [
+    'requires_payment_method',
+    'requires_confirmation',
+  ];
+
+  /**
+   * Resolved Celebrations still awaiting a successful charge
+   * @returns {Object} Mongo query
+   */
+  static getUnsettledQuery() {
+    return {
+      current_status: 'resolved',
+      charge_id: null,
+      payment_intent: { $exists: true, $ne: null },
+      settlement_status: { $nin: ['settled', 'pending'] },
+      settlement_attempts: { $not: { $gte: this.MAX_ATTEMPTS } },
+      idempotencyKey: { $not: /^seed:/ },
+    };
+  }
+
+  /**
+   * Customer's current default card, falling back to the intent's card
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @param {Object} stripe - Stripe client
+   * @returns {Promise<string|null>} Payment method ID
+   */
+  static async getPaymentMethod(paymentIntent, stripe) {
+    if (paymentIntent.customer) {
+      const customerId =
+        typeof paymentIntent.customer === 'string'
+          ? paymentIntent.customer
+          : paymentIntent.customer.id;
+      const customer = await stripe.customers.retrieve(customerId);
+      const defaultMethod = customer?.invoice_settings?.default_payment_method;
+      if (defaultMethod) {
+        return typeof defaultMethod === 'string'
+          ? defaultMethod
+          : defaultMethod.id;
+      }
+    }
+    const { payment_method } = paymentIntent;
+    if (!payment_method) return null;
+    return typeof payment_method === 'string'
+      ? payment_method
+      : payment_method.id;
+  }
+
+  /**
+   * Whether Stripe canceled the payment intent because its authorization
+   * expired uncaptured
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {boolean}
+   */
+  static isExpiredAuthorization(paymentIntent) {
+    return (
+      paymentIntent.status === 'canceled' &&
+      paymentIntent.cancellation_reason === 'automatic'
+    );
+  }
+
+  /**
+   * Settlement failure for a Stripe card error
+   * @param {Object} err - StripeCardError
+   * @returns {Object} Outcome with subState settlement_failed
+   */
+  static toCardFailure(err) {
+    return {
+      subState: 'settlement_failed',
+      paymentIntentStatus: err.payment_intent?.status,
+      failureCode:
+        err.code === 'authentication_required'
+          ? 'requires_action'
+          : err.code || 'card_declined',
+      declineCode: err.decline_code,
+    };
+  }
+
+  /**
+   * Map a payment intent to a settlement outcome
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {Object} Outcome with subState and Stripe details
+   */
+  static toOutcome(paymentIntent) {
+    const { status, latest_charge, last_payment_error } = paymentIntent;
+    const outcome = { paymentIntentStatus: status };
+
+    if (status === 'succeeded') {
+      return {
+        ...outcome,
+        subState: 'settled',
+        chargeId:
+          typeof latest_charge === 'string' ? latest_charge : latest_charge?.id,
+      };
+    }
+    if (status === 'processing') {
+      return { ...outcome, subState: 'pending' };
+    }
+    return {
+      ...outcome,
+      subState: 'settlement_failed',
+      failureCode:
+        status === 'requires_action'
+          ? 'requires_action'
+          : last_payment_error?.code || status,
+      declineCode: last_payment_error?.decline_code,
+    };
+  }
+
+  /**
+   * Confirm off-session or capture a payment intent as its status requires
+   * @param {string} paymentIntentId - Stripe payment intent ID
+   * @param {Object} stripe - Stripe client
+   * @returns {Promise<Object>} Outcome with subState and Stripe details
+   * @throws {Error} Non-card Stripe errors (network, API) for retry next run
+   */
+  static async chargePaymentIntent(paymentIntentId, stripe) {
+    let paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (this.CONFIRMABLE_STATUSES.includes(paymentIntent.status)) {
+      const paymentMethod = await this.getPaymentMethod(paymentIntent, stripe);
+      if (!paymentMethod) {
+        return {
+          subState: 'settlement_failed',
+          paymentIntentStatus: paymentIntent.status,
+          failureCode: 'no_payment_method',
+        };
+      }
+      try {
+        paymentIntent = await stripe.paymentIntents.confirm(paymentIntentId, {
+          payment_method: paymentMethod,
+          off_session: true,
+        });
+      } catch (err) {
+        if (err.type !== 'StripeCardError') throw err;
+        return this.toCardFailure(err);
+      }
+    }
+
+    if (this.isExpiredAuthorization(paymentIntent)) {
+      return this.replaceExpiredAuthorization(paymentIntent, stripe);
+    }
+
+    if (paymentIntent.status === 'requires_capture') {
+      paymentIntent = await stripe.paymentIntents.capture(paymentIntentId);
+    }
+
+    return this.toOutcome(paymentIntent);
+  }
+
+  /**
+   * Charge an expired pledge authorization with a new off-session payment
+   * intent for the same amount and customer
+   * A declined replacement is kept too (err.payment_intent), so the next run
+   * confirms it again instead of creating another
+   * @param {Object} paymentIntent - Expired Stripe payment intent
+   * @param {Object} stripe - Stripe client
+   * @returns {Promise<Object>} Outcome with subState, Stripe details and
+   *   replacementIntentId
+   * @throws {Error} Non-card Stripe errors (network, API) for retry next run
+   */
+  static async replaceExpiredAuthorization(paymentIntent, stripe) {
+    const paymentMethod = await this.getPaymentMethod(paymentIntent, stripe);
+    if (!paymentMethod) {
+      return {
+        subState: 'settlement_failed',
+        paymentIntentStatus: paymentIntent.status,
+        failureCode: 'no_payment_method',
+      };
+    }
+
+    try {
+      const replacement = await stripe.paymentIntents.create(
+        {
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          customer:
+            typeof paymentIntent.customer === 'string'
+              ? paymentIntent.customer
+              : paymentIntent.customer?.id,
+          payment_method: paymentMethod,
+          off_session: true,
+          confirm: true,
+          metadata: { replaces_payment_intent: paymentIntent.id },
+        },
+        { idempotencyKey: `settle:${paymentIntent.id}` }
+      );
+      return {
+        ...this.toOutcome(replacement),
+        replacementIntentId: replacement.id,
+      };
+    } catch (err) {
+      if (err.type !== 'StripeCardError') throw err;
+      return {
+        ...this.toCardFailure(err),
+        replacementIntentId: err.payment_intent?.id,
+      };
+    }
+  }
+
+  /**
+   * Claim the one SettlementFailed email of a Celebration
+   * @param {Object} celebration - Celebration document
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<boolean>} True if this caller should send it
+   */
+  static async claimFailureNotice(celebration, CelebrationModel) {
+    const claimed = await CelebrationModel.findOneAndUpdate(
+      { _id: celebration._id, failure_notified_at: null },
+      { $set: { failure_notified_at: new Date() } }
+    );
+    return Boolean(claimed);
+  }
+
+  /**
+   * Release a failure notice claim whose email was not queued
+   * @param {Object} celebration - Celebration document
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<void>}
+   */
+  static async releaseFailureNotice(celebration, CelebrationModel) {
+    await CelebrationModel.updateOne(
+      { _id: celebration._id },
+      { $set: { failure_notified_at: null } }
+    );
+  }
+
+  /**
+   * Email the donor to update their card after a settlement failure
+   * @param {Object} celebration - Celebration document
+   * @param {string} failureCode - Settlement failure code
+   * @param {Object} UserModel - User model
+   * @returns {Promise<boolean>} True if the email was queued
+   */
+  static async sendFailureEmail(celebration, failureCode, UserModel) {
+    try {
+      const user = celebration.donatedBy
+        ? await UserModel.findById(celebration.donatedBy)
+            .select('email username firstName')
+            .lean()
+        : null;
+      const to = (
+        user?.email ||
+        user?.username ||
+        celebration.donorInfo?.email ||
+        ''
+      ).trim();
+      if (!to) return false;
+
+      await enqueueEmail(
+        to,
+        emails.SettlementFailed,
+        user?.firstName || celebration.donorInfo?.firstName || '',
+        {
+          pol_name: celebration.pol_name,
+          donation: celebration.donation,
+          bill_id: celebration.bill_id,
+          sub_state_reason:
+            failureCode === 'requires_action'
+              ? 'requires_action'
+              : 'card_declined',
+        }
+      );
+      return true;
+    } catch (error) {
+      logger.error(
+        `Error sending settlement failure email for celebration ${celebration._id}:`,
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Charge one resolved Celebration and record the outcome
+   * @param {Object} celebration - Resolved Celebration document
+   * @param {Object} options - Additional options
+   * @param {Object} options.stripe - Stripe client (defaults to live/test client)
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} Outcome with subState and emailSent
+   */
+  static async settleCelebration(
+    celebration,
+    options = {},
+    CelebrationModel,
+    UserModel
+  ) {
+    const { stripe = stripeClient } = options;
+    const attempt = (celebration.settlement_attempts || 0) + 1;
+
+    const outcome = await this.chargePaymentIntent(
+      celebration.payment_intent,
+      stripe
+    );
+
+    const settlementDetails = {
+      payment_intent_status: outcome.paymentIntentStatus,
+      failure_code: outcome.failureCode,
+      decline_code: outcome.declineCode,
+      attempt,
+    };
+    const update = { $inc: { settlement_attempts: 1 } };
+
+    if (outcome.replacementIntentId) {
+      settlementDetails.replaced_payment_intent = celebration.payment_intent;
+      update.payment_intent = outcome.replacementIntentId;
+      update['payment_flags.payment_intent_canceled'] = false;
+    }
+    if (outcome.subState === 'settled') {
+      update.charge_id = outcome.chargeId || null;
+      update.settled_at = new Date();
+    }
+
+    const reasons = {
+      settled: 'Payment intent charged after resolution',
+      pending: 'Payment intent processing after resolution',
+      settlement_failed: `Settlement failed: ${outcome.failureCode}`,
+    };
+
+    await StatusService.recordSettlement(
+      celebration,
+      outcome.subState,
+      reasons[outcome.subState],
+      settlementDetails,
+      { update, triggeredById: celebration.payment_intent },
+      CelebrationModel
+    );
+
+    let emailSent = false;
+    if (
+      outcome.subState === 'settlement_failed' &&
+      (await this.claimFailureNotice(celebration, CelebrationModel))
+    ) {
+      emailSent = await this.sendFailureEmail(
+        celebration,
+        outcome.failureCode,
+        UserModel
+      );
+      if (!emailSent) {
+        await this.releaseFailureNotice(celebration, CelebrationModel);
+      }
+    }
+
+    return { ...outcome, attempt, emailSent };
+  }
+
+  /**
+   * Record a pending Celebration as settled once its charge succeeds
+   * Called from the charge.succeeded webhook; a Celebration in any other
+   * settlement state is left alone
+   * @param {Object} celebration - Celebration document
+   * @param {string} chargeId - Stripe charge ID
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<boolean>} True if the settlement was recorded
+   */
+  static async completePendingSettlement(
+    celebration,
+    chargeId,
+    CelebrationModel
+  ) {
+    if (
+      celebration.current_status !== 'resolved' ||
+      celebration.settlement_status !== 'pending'
+    ) {
+      return false;
+    }
+
+    await StatusService.recordSettlement(
+      celebration,
+      'settled',
+      'Processing charge succeeded',
+      {
+        payment_intent_status: 'succeeded',
+        attempt: celebration.settlement_attempts,
+      },
+      {
+        update: { charge_id: chargeId, settled_at: new Date() },
+        triggeredById: chargeId,
+      },
+      CelebrationModel
+    );
+    return true;
+  }
+
+  /**
+   * Settle every resolved Celebration that has not been charged yet
+   * @param {Object} options - Additional options
+   * @param {Object} options.stripe - Stripe client (defaults to live/test client)
+   * @param {number} options.batchSize - Celebrations per batch
+   * @param {boolean} options.dryRun - Count what would be charged, charge nothing
+   * @param {Object} CelebrationModel - Celebration model
+   * @param {Object} UserModel - User model
+   * @returns {Promise<Object>} Summary of settlement results
+   */
+  static async settleResolvedCelebrations(
+    options = {},
+    CelebrationModel,
+    UserModel
+  ) {
+    const { batchSize = this.BATCH_SIZE, dryRun = false } = options;
+
+    if (dryRun) {
+      const unsettledCount = await CelebrationModel.countDocuments(
+        this.getUnsettledQuery()
+      );
+      logger.info('Settlement dry run', { unsettledCount });
+      return { success: true, dryRun: true, unsettledCount };
+    }
+
+    const summary = {
+      success: true,
+      settledCount: 0,
+      pendingCount: 0,
+      failedCount: 0,
+      errorCount: 0,
+      emailsSent: 0,
+    };
+
+    let lastId = null;
+    for (;;) {
+      const query = this.getUnsettledQuery();
+      if (lastId) query._id = { $gt: lastId };
+
+      const batch = await CelebrationModel.find(query)
+        .sort({ _id: 1 })
+        .limit(batchSize);
+      if (batch.length === 0) break;
+      lastId = batch[batch.length - 1]._id;
+
+      for (const celebration of batch) {
+        try {
+          const result = await this.settleCelebration(
+            celebration,
+            options,
+            CelebrationModel,
+            UserModel
+          );
+          if (result.subState === 'settled') summary.settledCount++;
+          else if (result.subState === 'pending') summary.pendingCount++;
+          else summary.failedCount++;
+          if (result.emailSent) summary.emailsSent++;
+        } catch (error) {
+          summary.errorCount++;
+          logger.error(`Error settling celebration ${celebration._id}:`, {
+            error: error.message,
+            type: error.type,
+          });
+        }
+      }
+    }
+
+    logger.info('Celebration settlement completed', summary);
+    return summary;
+  }
+}
+
+module.exports = SettlementService;
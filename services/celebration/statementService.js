@@ -0,0 +1,461 @@
+/**
+ * @fileoverview Year-End Contribution Statement Service
+ *
+ * This service builds a donor's annual statement: the Celebrations they
+ * created, the ones delivered to a campaign and the ones that went defunct
+ * during a calendar year, their tips to the PAC counted toward
+ * PAC_ANNUAL_LIMIT, and the limits they had left. The statement is rendered
+ * as an HTML email (emails.Statement) and as a PDF, and emailed each January
+ * by jobs/yearEndStatements.
+ *
+ * KEY FUNCTIONS
+ *
+ * build(user, year, models)
+ * - Statement object for one user and calendar year (Eastern Time)
+ *
+ * toPdf(statement)
+ * - PDF rendering of a statement
+ *
+ * sendAll(year, options)
+ * - Emails every subscribed donor with activity in the year their statement,
+ *   with the PDF attached, once per donor and year
+ *
+ * BUSINESS LOGIC
+ *
+ * SECTIONS
+ * - Created: Celebrations created in the year, any status
+ * - Delivered: Resolved, not refunded, contribution date in the year (the
+ *   settlement date, as in the FEC export), with the recipient committee
+ *   (committee_id for candidates, otherwise the recipient's FEC ID)
+ * - Defunct: Celebrations that went defunct in the year, with the reason
+ *
+ * PAC TIPS
+ * - Tips on Celebrations created in the year, less refunded ones, plus
+ *   confirmed Bitcoin contributions, against FEC.PAC_ANNUAL_LIMIT
+ *
+ * REMAINING LIMITS
+ * - Guest tier: annual cap less the year's Celebrations
+ * - Compliant tier: per-election limit less each recipient's Celebrations in
+ *   the year (a guide; the limit resets with each election)
+ * - Defunct Celebrations never reach a campaign, so they don't count
+ *
+ * SUBSCRIPTIONS
+ * - The January email goes to donors not unsubscribed from Celebration
+ *   Updates; the statement is always available on request
+ *
+ * ONCE PER YEAR
+ * - The year is added to User.statementYears before the email is queued and
+ *   removed again if queueing fails, so a manual run or a retry after a
+ *   failed run only emails donors who have not had that year's statement
+ *
+ * DEPENDENCIES
+ * - dayjs: Eastern Time year boundaries and dates
+ * - accounting: Money formatting
+ * - controller/comms: enqueueEmail, filterUnsubscribed
+ * - controller/comms/emails: Statement email and Receipt formatters
+ * - controller/congress: Recipient and bill lookups
+ * - services/btc/paymentService: Bitcoin PAC contributions
+ * - services/celebration/fecExportService: Contribution dates
+ * - services/utils/pdf: PDF rendering
+ *
+ * @module services/celebration/statementService
+ * @requires dayjs
+ * @requires accounting
+ * @requires ../../constants
+ * @requires ../../controller/comms
+ * @requires ../../controller/comms/emails
+ * @requires ../../controller/congress
+ * @requires ../btc/paymentService
+ * @requires ./fecExportService
+ * @requires ../utils/pdf
+ * @requires ../utils/logger
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const accounting = require('accounting');
+const logger = require('../utils/logger')(__filename),
+  { FEC, EMAIL_TOPICS } = require('../../constants'),
+  { toPdf } = require('../utils/pdf');
+const { enqueueEmail, filterUnsubscribed } = require('../../controller/comms'),
+  {
+    deliminate,
+    denominate,
+  } = require('../../controller/comms/emails/info/celebrations/fn'),
+  { emails } = require('../../controller/comms/emails'),
+  {
+    lookupBill,
+    lookupPol,
+    lookupCandidate,
+  } = require('../../controller/congress'),
+  { getPacContributionsUsd } = require('../btc/paymentService'),
+  FecExportService = require('./fecExportService');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const ET_TIMEZONE = 'America/New_York';
+
+const money = (n) => accounting.formatMoney(n || 0);
+const round2 = (n) => Math.round(n * 100) / 100;
+const sum = (rows, key) => round2(rows.reduce((a, r) => a + (r[key] || 0), 0));
+const stripTags = (html) => String(html).replace(/<[^>]*>/g, '');
+
+class StatementService {
+  /**
+   * Topic whose unsubscribers are skipped by the January email
+   */
+  static TOPIC = EMAIL_TOPICS.celebrationUpdates;
+
+  /**
+   * Calendar year boundaries in Eastern Time
+   * @param {number} year - Calendar year
+   * @returns {{ start: Date, end: Date }} start inclusive, end exclusive
+   */
+  static yearRange(year) {
+    const start = dayjs.tz(`${year}-01-01`, ET_TIMEZONE);
+    return { start: start.toDate(), end: start.add(1, 'year').toDate() };
+  }
+
+  /**
+   * Most recent date a Celebration moved to a status
+   * @param {Object} celebration - Celebration (lean)
+   * @param {string} status - Status moved to
+   * @returns {Date|null}
+   */
+  static statusDate(celebration, status) {
+    const entry = (celebration.status_ledger || [])
+      .filter((e) => e.new_status === status && e.previous_status !== status)
+      .pop();
+    return entry?.change_datetime ? new Date(entry.change_datetime) : null;
+  }
+
+  /**
+   * Recipient and bill labels for Celebrations, using the Receipt formatters
+   * @param {Object[]} celebrations - Celebrations (lean)
+   * @param {Object} PolModel - Pol model
+   * @returns {Promise<{ recipient: Function, bill: Function }>} Label lookups
+   *   by Celebration
+   */
+  static async labels(celebrations, PolModel) {
+    const donees = new Map();
+    const bills = new Map();
+    await Promise.all([
+      ...[...new Set(celebrations.map((c) => c.pol_id))].map(async (id) => {
+        const c = celebrations.find((x) => x.pol_id === id);
+        const donee =
+          c.recipient_type === 'candidate'
+            ? await lookupCandidate(id)
+            : await lookupPol(id, PolModel);
+        donees.set(id, donee);
+      }),
+      ...[...new Set(celebrations.map((c) => c.bill_id))].map(async (id) =>
+        bills.set(id, await lookupBill(id))
+      ),
+    ]);
+
+    return {
+      recipient: (c) =>
+        donees.get(c.pol_id) ? deliminate(donees.get(c.pol_id)) : c.pol_name,
+      bill: (c) =>
+        bills.get(c.bill_id) ? denominate(bills.get(c.bill_id)) : c.bill_id,
+    };
+  }
+
+  /**
+   * Statement for one user and calendar year
+   * @param {Object} user - User document (lean)
+   * @param {number} year - Calendar year
+   * @param {Object} models - { Celebration, Pol }
+   * @returns {Promise<Object>} Statement (see module docs for sections)
+   */
+  static async build(user, year, { Celebration, Pol }) {
+    const { start, end } = this.yearRange(year);
+    const inYear = (date) => date && date >= start && date < end;
+
+    // Anything created before the year ends may have resolved or gone
+    // defunct during it
+    const celebrations = await Celebration.find({
+      donatedBy: user._id,
+      createdAt: { $lt: end },
+      $or: [{ createdAt: { $gte: start } }, { updatedAt: { $gte: start } }],
+    })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const created = celebrations.filter((c) => inYear(c.createdAt));
+    const delivered = celebrations
+      .filter(
+        (c) => c.current_status === 'resolved' && !c.payment_flags?.refunded
+      )
+      .map((c) => ({ c, date: FecExportService.getContributionDate(c) }))
+      .filter(({ date }) => inYear(date));
+    const defunct = celebrations
+      .filter((c) => c.current_status === 'defunct')
+      .map((c) => ({
+        c,
+        date: this.statusDate(c, 'defunct') || c.defunct_date,
+      }))
+      .filter(({ date }) => inYear(date && new Date(date)));
+
+    const { recipient, bill } = await this.labels(
+      [...created, ...delivered.map((d) => d.c), ...defunct.map((d) => d.c)],
+      Pol
+    );
+    const row = (c, date) => ({
+      date,
+      recipient: recipient(c),
+      bill: bill(c),
+      donation: c.donation || 0,
+      tip: c.tip || 0,
+      status: c.current_status,
+      reference: c.idempotencyKey,
+    });
+
+    // Tips count toward the PAC limit when made, whatever happens next
+    const counted = created.filter((c) => !c.payment_flags?.refunded);
+    const tips = sum(counted, 'tip');
+    const btc = await getPacContributionsUsd(
+      user._id,
+      dayjs(start).tz(ET_TIMEZONE).add(6, 'month').toDate()
+    );
+    const pacLimit = Number(FEC.PAC_ANNUAL_LIMIT);
+    const pacTotal = round2(tips + btc);
+
+    // Defunct donations never reach a campaign
+    const given = counted.filter((c) => c.current_status !== 'defunct');
+    const tier = user.compliance || 'guest';
+    const tierInfo = FEC.COMPLIANCE_TIERS[tier] || {};
+    const limits = { tier };
+    if (tierInfo.annualCap) {
+      limits.annualCap = Number(tierInfo.annualCap);
+      limits.annualRemaining = Math.max(
+        0,
+        round2(limits.annualCap - sum(given, 'donation'))
+      );
+    }
+    if (tierInfo.perElectionLimit) {
+      const perElection = Number(tierInfo.perElectionLimit);
+      const byRecipient = new Map();
+      for (const c of given) {
+        const entry = byRecipient.get(c.pol_id) || {
+          recipient: recipient(c),
+          total: 0,
+        };
+        entry.total = round2(entry.total + (c.donation || 0));
+        byRecipient.set(c.pol_id, entry);
+      }
+      limits.perElectionLimit = perElection;
+      limits.recipients = [...byRecipient.values()].map((r) => ({
+        ...r,
+        remaining: Math.max(0, round2(perElection - r.total)),
+      }));
+    }
+
+    return {
+      year,
+      generatedAt: new Date(),
+      donor: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email || user.username,
+      },
+      created: {
+        count: created.length,
+        donation: sum(created, 'donation'),
+        tip: sum(created, 'tip'),
+        rows: created.map((c) => row(c, c.createdAt)),
+      },
+      delivered: {
+        count: delivered.length,
+        donation: round2(delivered.reduce((a, d) => a + d.c.donation, 0)),
+        rows: delivered.map(({ c, date }) => ({
+          ...row(c, date),
+          committee: c.committee_id || c.FEC_id,
+        })),
+      },
+      defunct: {
+        count: defunct.length,
+        donation: round2(defunct.reduce((a, d) => a + d.c.donation, 0)),
+        rows: defunct.map(({ c, date }) => ({
+          ...row(c, date),
+          reason: c.defunct_reason,
+        })),
+      },
+      pac: {
+        tips,
+        btc,
+        total: pacTotal,
+        limit: pacLimit,
+        remaining: Math.max(0, round2(pacLimit - pacTotal)),
+      },
+      limits,
+    };
+  }
+
+  /**
+   * PDF rendering of a statement
+   * @param {Object} statement - From build()
+   * @returns {Buffer} PDF file
+   */
+  static toPdf(statement) {
+    const s = statement;
+    const day = (d) => dayjs(d).tz(ET_TIMEZONE).format('MMM D, YYYY');
+    const name = [s.donor.firstName, s.donor.lastName]
+      .filter(Boolean)
+      .join(' ');
+    const title = `POWERBACK.us ${s.year} Contribution Statement`;
+    const section = (heading, summary, rows, line) => [
+      { gap: 10 },
+      { text: heading, size: 12, bold: true },
+      { text: summary, size: 9 },
+      ...(rows.length ? [{ gap: 4 }] : []),
+      ...rows.map((r) => ({ text: line(r), size: 9, indent: 12 })),
+    ];
+
+    const blocks = [
+      { text: title, size: 16, bold: true },
+      {
+        text: `${name ? `${name}, ` : ''}${s.donor.email}. Generated ${day(s.generatedAt)}. Dates are Eastern Time.`,
+        size: 9,
+      },
+      { rule: true },
+      ...section(
+        'Celebrations created',
+        `${s.created.count} created: ${money(s.created.donation)} in Celebrations, ${money(s.created.tip)} in tips.`,
+        s.created.rows,
+        (r) =>
+          `${day(r.date)}  ${money(r.donation)} to ${stripTags(r.recipient)}, ${stripTags(r.bill)} (${r.status}). Tip ${money(r.tip)}. Ref ${r.reference}`
+      ),
+      ...section(
+        'Delivered to campaigns',
+        `${s.delivered.count} delivered: ${money(s.delivered.donation)}.`,
+        s.delivered.rows,
+        (r) =>
+          `${day(r.date)}  ${money(r.donation)} to ${stripTags(r.recipient)}, committee ${r.committee}, ${stripTags(r.bill)}. Ref ${r.reference}`
+      ),
+      ...section(
+        'Defunct',
+        `${s.defunct.count} went defunct: ${money(s.defunct.donation)} never went to a campaign.`,
+        s.defunct.rows,
+        (r) =>
+          `${day(r.date)}  ${money(r.donation)} to ${stripTags(r.recipient)}, ${stripTags(r.bill)}${r.reason ? `: ${r.reason}` : ''}. Ref ${r.reference}`
+      ),
+      ...section(
+        'Tips to the PAC',
+        `${money(s.pac.total)} counted toward the ${money(s.pac.limit)} annual PAC limit (${money(s.pac.tips)} in tips, ${money(s.pac.btc)} in Bitcoin). ${money(s.pac.remaining)} remaining for ${s.year}.`,
+        [],
+        () => ''
+      ),
+      ...section(
+        'Remaining limits',
+        s.limits.annualCap
+          ? `Guest tier: ${money(s.limits.annualRemaining)} of the ${money(s.limits.annualCap)} annual cap remaining for ${s.year}.`
+          : `Compliant tier: ${money(s.limits.perElectionLimit || 0)} per candidate per election. Remaining with each ${s.year} recipient, before election resets:`,
+        s.limits.recipients || [],
+        (r) =>
+          `${stripTags(r.recipient)}: ${money(r.total)} given, ${money(r.remaining)} remaining`
+      ),
+    ];
+
+    return toPdf(blocks, {
+      title,
+      footer: title,
+      createdAt: s.generatedAt,
+    });
+  }
+
+  /**
+   * Emails each subscribed donor with activity in a year their statement
+   * @param {number} year - Calendar year
+   * @param {Object} models - { Celebration, Pol, User }
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Build statements without sending
+   * @returns {Promise<Object>} { year, donors, sent, alreadySent, skipped,
+   *   failed }
+   */
+  static async sendAll(year, models, { dryRun = false } = {}) {
+    const { Celebration, User } = models;
+    const { start, end } = this.yearRange(year);
+
+    const donorIds = await Celebration.distinct('donatedBy', {
+      createdAt: { $lt: end },
+      $or: [{ createdAt: { $gte: start } }, { updatedAt: { $gte: start } }],
+    });
+    const subscribed = await filterUnsubscribed(donorIds, this.TOPIC);
+    const alreadySent = await User.countDocuments({
+      _id: { $in: subscribed },
+      statementYears: year,
+    });
+    const users = await User.find({
+      _id: { $in: subscribed },
+      statementYears: { $ne: year },
+    })
+      .select('firstName lastName email username compliance')
+      .lean();
+
+    const summary = {
+      year,
+      donors: donorIds.length,
+      sent: 0,
+      alreadySent,
+      skipped: donorIds.length - alreadySent - users.length,
+      failed: 0,
+    };
+    for (const user of users) {
+      const to = user.email || user.username;
+      if (!to) {
+        summary.skipped++;
+        continue;
+      }
+      let claimed = false;
+      try {
+        const statement = await this.build(user, year, models);
+        if (!dryRun) {
+          // Claim the year first so a concurrent run cannot send it too
+          const { modifiedCount } = await User.updateOne(
+            { _id: user._id, statementYears: { $ne: year } },
+            { $addToSet: { statementYears: year } }
+          );
+          if (!modifiedCount) {
+            summary.alreadySent++;
+            continue;
+          }
+          claimed = true;
+          await enqueueEmail(
+            to,
+            emails.Statement,
+            statement,
+            this.toPdf(statement)
+          );
+        }
+        summary.sent++;
+      } catch (err) {
+        if (claimed) {
+          await User.updateOne(
+            { _id: user._id },
+            { $pull: { statementYears: year } }
+          ).catch((pullErr) =>
+            logger.error('Could not release year-end statement claim', {
+              userId: String(user._id),
+              error: pullErr.message,
+            })
+          );
+        }
+        summary.failed++;
+        logger.error('Year-end statement failed', {
+          userId: String(user._id),
+          error: err.message,
+        });
+      }
+    }
+
+    logger.info(
+      `Year-end statements for ${year}${dryRun ? ' (dry run)' : ''}: ${summary.sent} sent, ${summary.alreadySent} already sent, ${summary.skipped} skipped, ${summary.failed} failed`
+    );
+    return summary;
+  }
+}
+
+module.exports = StatementService;
@@ -0,0 +1,387 @@
+/**
+ * @fileoverview Celebration Stats Service
+ *
+ * Aggregated pledge totals for the carousel, share pages and leaderboards.
+ * Every view is a single Mongo aggregation over Celebrations, so clients get
+ * sums and counts without pulling raw pledges.
+ *
+ * KEY FUNCTIONS
+ *
+ * getStats(view, options, CelebrationModel)
+ * - Cached entry point used by GET /api/celebrations/stats/:view
+ * - view: 'pols' | 'states' | 'parties' | 'bills' | 'weekly' | 'leaderboard'
+ *
+ * totalsByPol(options, CelebrationModel)
+ * - { pol_id, pol_name, recipient_type, donation, count } per recipient
+ *
+ * totalsByState(options, CelebrationModel)
+ * - { state, donation, count } per recipient state
+ *
+ * totalsByParty(options, CelebrationModel)
+ * - { party, donation, count } per recipient party
+ *
+ * totalsByBill(options, CelebrationModel)
+ * - { bill_id, donation, count } per bill
+ *
+ * weeklySeries(options, CelebrationModel)
+ * - { week_start, donation, count } per ISO week (Monday, UTC) for the last
+ *   `weeks` weeks of pledges by creation date
+ *
+ * leaderboard(options, CelebrationModel)
+ * - Top `limit` rows of the pols, states, parties or bills view by donation
+ *
+ * invalidate()
+ * - Clears the cache; called on Celebration create and on every status change
+ *
+ * BUSINESS LOGIC
+ *
+ * STATUS FILTER
+ * - `status` defaults to 'active' (escrowed pledges); any Celebration status
+ *   or 'all' can be requested
+ *
+ * RECIPIENT JOIN
+ * - pol_id is joined to Pols (bioguide id) and Candidates (FEC candidate id)
+ *   for state and party; FEC party codes (DEM, REP, IND) are folded into the
+ *   Pol codes (D, R, I)
+ *
+ * CACHING
+ * - Results are cached in memory per view and options for STATS_CACHE_TTL_MS
+ *   (default 60 seconds)
+ * - Bulk updates that bypass StatusService (e.g. watcher pauses) are picked up
+ *   when the entry expires
+ *
+ * DEPENDENCIES
+ * - services/utils/logger: Logging
+ * - shared/celebrationStatus: Valid status values
+ *
+ * @module services/celebration/statsService
+ * @requires ../utils/logger
+ * @requires ../../shared/celebrationStatus
+ */
+
+const logger = require('../utils/logger')(__filename);
+const { CELEBRATION_STATUSES } = require('../../shared/celebrationStatus');
+
+const DEFAULT_TTL_MS = 60 * 1000;
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 104;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+/** FEC party codes on Candidates, folded into the Pol current_party codes */
+const FEC_PARTY_CODES = { DEM: 'D', REP: 'R', IND: 'I' };
+
+class StatsService {
+  static VIEWS = [
+    'pols',
+    'states',
+    'parties',
+    'bills',
+    'weekly',
+    'leaderboard',
+  ];
+
+  static LEADERBOARD_VIEWS = ['pols', 'states', 'parties', 'bills'];
+
+  // view + options key => { expires, data }
+  static _cache = new Map();
+
+  /**
+   * Cache lifetime in milliseconds
+   * @returns {number}
+   */
+  static ttl() {
+    const ms = Number(process.env.STATS_CACHE_TTL_MS);
+    return Number.isFinite(ms) && ms >= 0 ? ms : DEFAULT_TTL_MS;
+  }
+
+  /**
+   * Clears every cached view
+   * @returns {void}
+   */
+  static invalidate() {
+    this._cache.clear();
+  }
+
+  /**
+   * Validates and normalizes request options
+   * @param {string} view - Stats view
+   * @param {Object} query - Raw query (status, weeks, by, limit)
+   * @returns {{ options?: Object, error?: string }}
+   */
+  static parseOptions(view, query = {}) {
+    if (!this.VIEWS.includes(view)) {
+      return { error: `view must be one of ${this.VIEWS.join(', ')}` };
+    }
+
+    const status = query.status ? String(query.status) : 'active';
+    if (status !== 'all' && !CELEBRATION_STATUSES.includes(status)) {
+      return {
+        error: `status must be 'all' or one of ${CELEBRATION_STATUSES.join(', ')}`,
+      };
+    }
+    const options = { status };
+
+    if (view === 'weekly') {
+      const weeks = query.weeks ? Number(query.weeks) : DEFAULT_WEEKS;
+      if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+        return { error: `weeks must be an integer from 1 to ${MAX_WEEKS}` };
+      }
+      options.weeks = weeks;
+    }
+
+    if (view === 'leaderboard') {
+      const by = query.by ? String(query.by) : 'pols';
+      if (!this.LEADERBOARD_VIEWS.includes(by)) {
+        return {
+          error: `by must be one of ${this.LEADERBOARD_VIEWS.join(', ')}`,
+        };
+      }
+      const limit = query.limit ? Number(query.limit) : DEFAULT_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+      }
+      options.by = by;
+      options.limit = limit;
+    }
+
+    return { options };
+  }
+
+  /**
+   * Cached stats for one view
+   * @param {string} view - Stats view (see VIEWS)
+   * @param {Object} options - Normalized options from parseOptions
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getStats(view, options, CelebrationModel) {
+    const key = `${view}:${JSON.stringify(options)}`;
+    const hit = this._cache.get(key);
+    if (hit && hit.expires > Date.now()) return hit.data;
+
+    const handlers = {
+      pols: () => this.totalsByPol(options, CelebrationModel),
+      states: () => this.totalsByState(options, CelebrationModel),
+      parties: () => this.totalsByParty(options, CelebrationModel),
+      bills: () => this.totalsByBill(options, CelebrationModel),
+      weekly: () => this.weeklySeries(options, CelebrationModel),
+      leaderboard: () => this.leaderboard(options, CelebrationModel),
+    };
+    const data = await handlers[view]();
+
+    this._cache.set(key, { expires: Date.now() + this.ttl(), data });
+    logger.debug(`Stats cache miss for ${key} (${data.length} rows)`);
+    return data;
+  }
+
+  /**
+   * $match stage for the status filter
+   * @param {Object} options
+   * @param {string} options.status - Celebration status or 'all'
+   * @returns {Object}
+   */
+  static matchStage({ status = 'active' } = {}) {
+    return { $match: status === 'all' ? {} : { current_status: status } };
+  }
+
+  /**
+   * Stages that add `recipient_state` and `recipient_party` from the Pol or
+   * Candidate behind each pol_id
+   * @returns {Array<Object>}
+   */
+  static recipientStages() {
+    return [
+      {
+        $lookup: {
+          from: 'pols',
+          localField: 'pol_id',
+          foreignField: 'id',
+          as: 'pol',
+        },
+      },
+      {
+        $lookup: {
+          from: 'candidates',
+          localField: 'pol_id',
+          foreignField: 'fec_candidate_id',
+          as: 'candidate',
+        },
+      },
+      { $unwind: { path: '$pol', preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: '$candidate', preserveNullAndEmptyArrays: true } },
+      {
+        $addFields: {
+          recipient_state: {
+            $ifNull: [
+              { $arrayElemAt: ['$pol.roles.state', 0] },
+              { $ifNull: ['$candidate.state', ''] },
+            ],
+          },
+          recipient_party: {
+            $ifNull: [
+              '$pol.current_party',
+              { $ifNull: ['$candidate.party', ''] },
+            ],
+          },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Group and shape stages for totals keyed by one field
+   * @param {string} field - Field path to group on (without '$')
+   * @param {string} as - Output key name
+   * @returns {Array<Object>}
+   */
+  static totalsStages(field, as) {
+    return [
+      {
+        $group: {
+          _id: `$${field}`,
+          donation: { $sum: '$donation' },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { donation: -1, _id: 1 } },
+      { $project: { _id: 0, [as]: '$_id', donation: 1, count: 1 } },
+    ];
+  }
+
+  /**
+   * Totals per recipient
+   * @param {Object} options - { status }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>}
+   */
+  static async totalsByPol(options, CelebrationModel) {
+    return CelebrationModel.aggregate([
+      this.matchStage(options),
+      {
+        $group: {
+          _id: '$pol_id',
+          pol_name: { $last: '$pol_name' },
+          recipient_type: { $last: '$recipient_type' },
+          donation: { $sum: '$donation' },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { donation: -1, _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          pol_id: '$_id',
+          pol_name: 1,
+          recipient_type: { $ifNull: ['$recipient_type', 'pol'] },
+          donation: 1,
+          count: 1,
+        },
+      },
+    ]).exec();
+  }
+
+  /**
+   * Totals per recipient state
+   * @param {Object} options - { status }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>}
+   */
+  static async totalsByState(options, CelebrationModel) {
+    return CelebrationModel.aggregate([
+      this.matchStage(options),
+      ...this.recipientStages(),
+      ...this.totalsStages('recipient_state', 'state'),
+    ]).exec();
+  }
+
+  /**
+   * Totals per recipient party. Grouping runs in Mongo on the raw code; the
+   * handful of rows are then folded so 'DEM' and 'D' count as one party.
+   * @param {Object} options - { status }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>}
+   */
+  static async totalsByParty(options, CelebrationModel) {
+    const rows = await CelebrationModel.aggregate([
+      this.matchStage(options),
+      ...this.recipientStages(),
+      ...this.totalsStages('recipient_party', 'party'),
+    ]).exec();
+
+    const byParty = new Map();
+    for (const row of rows) {
+      const party = FEC_PARTY_CODES[row.party] || row.party;
+      const entry = byParty.get(party) || { party, donation: 0, count: 0 };
+      entry.donation += row.donation;
+      entry.count += row.count;
+      byParty.set(party, entry);
+    }
+    return [...byParty.values()].sort((a, b) => b.donation - a.donation);
+  }
+
+  /**
+   * Totals per bill, most pledges first
+   * @param {Object} options - { status }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>}
+   */
+  static async totalsByBill(options, CelebrationModel) {
+    return CelebrationModel.aggregate([
+      this.matchStage(options),
+      ...this.totalsStages('bill_id', 'bill_id'),
+    ]).exec();
+  }
+
+  /**
+   * Pledges per ISO week by creation date, oldest first. Weeks without
+   * pledges are omitted.
+   * @param {Object} options - { status, weeks }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>}
+   */
+  static async weeklySeries(options, CelebrationModel) {
+    const weeks = options.weeks || DEFAULT_WEEKS;
+    const since = new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000);
+    const { $match } = this.matchStage(options);
+
+    return CelebrationModel.aggregate([
+      { $match: { ...$match, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: {
+            $dateFromParts: {
+              isoWeekYear: { $isoWeekYear: '$createdAt' },
+              isoWeek: { $isoWeek: '$createdAt' },
+              isoDayOfWeek: 1,
+            },
+          },
+          donation: { $sum: '$donation' },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, week_start: '$_id', donation: 1, count: 1 } },
+    ]).exec();
+  }
+
+  /**
+   * Top rows of one totals view by donation
+   * @param {Object} options - { status, by, limit }
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Array<Object>>} Rows with a 1-based `rank`
+   */
+  static async leaderboard(options, CelebrationModel) {
+    const { by = 'pols', limit = DEFAULT_LIMIT } = options;
+    const views = {
+      pols: () => this.totalsByPol(options, CelebrationModel),
+      states: () => this.totalsByState(options, CelebrationModel),
+      parties: () => this.totalsByParty(options, CelebrationModel),
+      bills: () => this.totalsByBill(options, CelebrationModel),
+    };
+    const rows = await views[by]();
+    return rows.slice(0, limit).map((row, i) => ({ rank: i + 1, ...row }));
+  }
+}
+
+module.exports = StatsService;
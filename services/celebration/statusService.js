@@ -23,6 +23,7 @@
  * - Validates status transition is allowed
  * - Updates legacy boolean flags for backward compatibility
  * - Creates detailed ledger entry with metadata
+ * - Invalidates cached pledge stats (statsService)
  *
  * validateStatusTransition(fromStatus, toStatus)
  * - Validates if status transition is allowed
@@ -39,11 +40,23 @@
  * createInitialStatusEntry(celebration, CelebrationModel)
  * - Creates initial status entry for new celebrations
  * - Sets status to 'active' with creation metadata
+ * - Invalidates cached pledge stats (statsService)
  *
  * activateCelebration, pauseCelebration, resolveCelebration, makeDefunct
  * - Convenience methods for specific status transitions
  * - Include appropriate metadata for each status type
  *
+ * recordSettlement(celebration, subState, reason, settlementDetails, options, CelebrationModel)
+ * - Records a settlement sub-state for a resolved celebration
+ * - Adds a ledger entry without changing current_status
+ *
+ * recordPaymentEvent(celebration, reason, paymentEvent, options, CelebrationModel)
+ * - Records a Stripe webhook event (failure, refund, dispute) in the ledger
+ * - Adds a ledger entry without changing current_status
+ *
+ * annotateLedgerEntry(celebrationId, statusChangeId, metadata, CelebrationModel)
+ * - Adds metadata to an existing ledger entry (e.g. Stripe cancellation outcome)
+ *
  * getCelebrationsByStatus(status, CelebrationModel)
  * - Gets all celebrations with specified status
  *
@@ -70,14 +83,19 @@
  * - defunct: congressional_session information
  * - resolved: resolution_details (bill action info)
  * - paused: pause_details (reason, expected resume date)
+ * - resolved (settlement): settlement_details (sub_state, Stripe outcome)
+ * - defunct (Stripe): stripe_cancellation (payment intent cancellation outcome)
+ * - any (Stripe webhook): payment_event (event type, failure/refund/dispute details)
  *
  * DEPENDENCIES
  * - nanoid: Unique ID generation for status change entries
+ * - ./statsService: Cache invalidation on status changes
  * - models/Celebration: Celebration model for database operations
  *
  * @module services/celebration/statusService
  * @requires nanoid
  * @requires ../utils/logger
+ * @requires ./statsService
  * @requires ../../models/Celebration
  */
 
@@ -86,6 +104,7 @@ const logger = require('../utils/logger')(__filename);
 const {
   CELEBRATION_NON_ACTIVE_STATUSES,
 } = require('../../shared/celebrationStatus');
+const StatsService = require('./statsService');
 
 class StatusService {
   /**
@@ -174,6 +193,7 @@ class StatusService {
       }
 
       await CelebrationModel.findByIdAndUpdate(celebration._id, updateData);
+      StatsService.invalidate();
 
       logger.info(
         `Status changed for celebration ${celebration._id}: ${previousStatus} → ${newStatus} (${reason})`,
@@ -301,6 +321,7 @@ class StatusService {
         current_status: 'active',
         $push: { status_ledger: initialEntry },
       });
+      StatsService.invalidate();
 
       logger.info(
         `Created initial status entry for celebration ${celebration._id}`,
@@ -434,6 +455,164 @@ class StatusService {
     );
   }
 
+  /**
+   * Record a settlement sub-state for a resolved celebration
+   * The ledger entry keeps new_status 'resolved'; settlement_status holds the sub-state
+   * @param {Object} celebration - Celebration document (must be resolved)
+   * @param {string} subState - Settlement sub-state (shared/celebrationStatus)
+   * @param {string} reason - Reason for the ledger entry
+   * @param {Object} settlementDetails - Settlement-specific details
+   * @param {Object} options - Additional options
+   * @param {Object} options.update - Extra update operators/fields for the celebration
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Settlement record result
+   */
+  static async recordSettlement(
+    celebration,
+    subState,
+    reason,
+    settlementDetails = {},
+    options = {},
+    CelebrationModel,
+  ) {
+    const {
+      triggeredByName = 'System - Settlement',
+      triggeredBy = 'system',
+      triggeredById = null,
+      auditTrail = {},
+      update = {},
+    } = options;
+
+    if (celebration.current_status !== 'resolved') {
+      throw new Error(
+        `Cannot record settlement for ${celebration.current_status} celebration`,
+      );
+    }
+
+    const statusChangeId = nanoid();
+    const statusChangeEntry = {
+      compliance_tier_at_time: celebration.donorInfo?.compliance || 'guest',
+      metadata: {
+        settlement_details: { sub_state: subState, ...settlementDetails },
+      },
+      triggered_by_name: triggeredByName,
+      status_change_id: statusChangeId,
+      triggered_by_id: triggeredById,
+      change_datetime: new Date(),
+      previous_status: 'resolved',
+      triggered_by: triggeredBy,
+      audit_trail: auditTrail,
+      new_status: 'resolved',
+      fec_compliant: true,
+      reason,
+    };
+
+    await CelebrationModel.findByIdAndUpdate(celebration._id, {
+      ...update,
+      settlement_status: subState,
+      $push: { status_ledger: statusChangeEntry },
+    });
+
+    logger.info(
+      `Settlement recorded for celebration ${celebration._id}: ${subState} (${reason})`,
+    );
+
+    return {
+      success: true,
+      statusChangeId,
+      subState,
+      reason,
+      changeDatetime: statusChangeEntry.change_datetime,
+    };
+  }
+
+  /**
+   * Record a Stripe webhook event for a celebration of any status
+   * The ledger entry keeps previous_status and new_status equal to current_status
+   * @param {Object} celebration - Celebration document
+   * @param {string} reason - Reason for the ledger entry
+   * @param {Object} paymentEvent - payment_event metadata (stripe_event_id, event_type, ...)
+   * @param {Object} options - Additional options
+   * @param {Object} options.update - Extra update operators/fields for the celebration
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<Object>} Payment event record result
+   */
+  static async recordPaymentEvent(
+    celebration,
+    reason,
+    paymentEvent = {},
+    options = {},
+    CelebrationModel,
+  ) {
+    const {
+      triggeredByName = 'Stripe Webhook',
+      triggeredBy = 'api',
+      triggeredById = paymentEvent.stripe_event_id || null,
+      auditTrail = {},
+      update = {},
+    } = options;
+
+    const statusChangeId = nanoid();
+    const statusChangeEntry = {
+      compliance_tier_at_time: celebration.donorInfo?.compliance || 'guest',
+      metadata: { payment_event: paymentEvent },
+      previous_status: celebration.current_status,
+      new_status: celebration.current_status,
+      triggered_by_name: triggeredByName,
+      status_change_id: statusChangeId,
+      triggered_by_id: triggeredById,
+      change_datetime: new Date(),
+      triggered_by: triggeredBy,
+      audit_trail: auditTrail,
+      fec_compliant: true,
+      reason,
+    };
+
+    await CelebrationModel.findByIdAndUpdate(celebration._id, {
+      ...update,
+      $push: { status_ledger: statusChangeEntry },
+    });
+
+    logger.info(
+      `Payment event recorded for celebration ${celebration._id}: ${paymentEvent.event_type} (${reason})`,
+    );
+
+    return {
+      success: true,
+      statusChangeId,
+      reason,
+      changeDatetime: statusChangeEntry.change_datetime,
+    };
+  }
+
+  /**
+   * Add metadata to an existing status ledger entry
+   * Used when a side effect (e.g. Stripe cancellation) completes after the transition
+   * @param {string} celebrationId - Celebration ID
+   * @param {string} statusChangeId - status_change_id of the ledger entry
+   * @param {Object} metadata - Metadata keys to set on the entry
+   * @param {Object} CelebrationModel - Celebration model
+   * @returns {Promise<boolean>} True if the entry was found
+   */
+  static async annotateLedgerEntry(
+    celebrationId,
+    statusChangeId,
+    metadata,
+    CelebrationModel,
+  ) {
+    const $set = {};
+    for (const [key, value] of Object.entries(metadata)) {
+      $set[`status_ledger.$.metadata.${key}`] = value;
+    }
+
+    const result = await CelebrationModel.updateOne(
+      { _id: celebrationId, 'status_ledger.status_change_id': statusChangeId },
+      { $set },
+    );
+
+    return result.matchedCount > 0;
+  }
+
   /**
    * Get celebrations by status
    * @param {string} status - Status to filter by
@@ -52,12 +52,14 @@
  * - controller/users: Compliance checking functions
  * - services/user/donorValidation: Donor information validation
  * - controller/users/account/utils/reckon: PAC limit checking
+ * - services/btc/paymentService: BTC contributions counted toward the PAC limit
  *
  * @module services/celebration/validationService
  * @requires ../../controller/users
  * @requires ../logger
  * @requires ../../services/user/donorValidation
  * @requires ../../controller/users/account/utils/reckon
+ * @requires ../btc/paymentService
  */
 
 const UserController = require('../../controller/users');
@@ -130,6 +132,7 @@ async function validatePACLimits(celebrations, tipAmount, userId) {
     const {
       checkPACLimit,
     } = require('../../controller/users/account/utils/reckon');
+    const { getPacContributionsUsd } = require('../btc/paymentService');
 
     // Ensure celebrations is an array
     const safeCelebrations = celebrations || [];
@@ -144,7 +147,11 @@ async function validatePACLimits(celebrations, tipAmount, userId) {
       })),
     });
 
-    const pacLimitInfo = checkPACLimit(safeCelebrations, tipAmount);
+    const pacLimitInfo = checkPACLimit(
+      safeCelebrations,
+      tipAmount,
+      await getPacContributionsUsd(userId)
+    );
     logger.debug('PAC limit check result:', {
       pacLimitInfo,
       tipAmount: tipAmount,
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Address-to-district resolver with pluggable backends
+ *
+ * Everything that needs a congressional district for an address (the civics
+ * search route and user promotion) goes through this module, so the lookup
+ * does not depend on one provider.
+ *
+ * BACKENDS
+ * - google: Google Civics divisionsByAddress API (network)
+ * - local: TIGER district boundaries (2dsphere) and the ZIP crosswalk in
+ *   Mongo, loaded by scripts/load-district-boundaries.js (no network)
+ * Selected by DISTRICT_RESOLVER, a comma-separated list tried in order
+ * (e.g. `google,local`). When unset, test uses `local` and other
+ * environments use `google,local`, so production fails over to local data
+ * when Google is down or cannot place the address.
+ *
+ * FAILOVER
+ * - The first backend to return an ocd_id wins
+ * - A backend that throws or returns nothing passes to the next
+ * - 'prompt-requery' (address needs more detail) is returned only when no
+ *   later backend resolves the address
+ *
+ * BACKEND INTERFACE
+ * - name: Backend name
+ * - resolve({ address, zip, state, location }): ocd_id in Pol role shape
+ *   (state-only for at-large), 'prompt-requery', or undefined
+ *
+ * @module services/civics/districtResolver
+ * @requires ./districtResolvers/googleCivicsResolver
+ * @requires ./districtResolvers/localResolver
+ * @requires ../utils/logger
+ */
+
+const logger = require('../utils/logger')(__filename);
+
+const BACKENDS = {
+  google: () => require('./districtResolvers/googleCivicsResolver'),
+  local: () => require('./districtResolvers/localResolver'),
+};
+
+/**
+ * Backend names from DISTRICT_RESOLVER or NODE_ENV
+ * @returns {string[]} Names in the order they are tried
+ */
+function getResolverNames() {
+  const names = (
+    process.env.DISTRICT_RESOLVER ||
+    (process.env.NODE_ENV === 'test' ? 'local' : 'google,local')
+  )
+    .split(',')
+    .map((n) => n.trim())
+    .filter(Boolean);
+
+  for (const n of names) {
+    if (!BACKENDS[n]) throw new Error(`Unknown DISTRICT_RESOLVER "${n}"`);
+  }
+  return names;
+}
+
+/**
+ * Congressional district for an address, trying each backend in turn
+ *
+ * @param {Object} query
+ * @param {string} query.address - Full one-line address
+ * @param {string} [query.zip] - ZIP, when the caller has it separately
+ * @param {string} [query.state] - Two-letter state, when the caller has it separately
+ * @param {{ lat: number, lng: number }} [query.location] - Coordinates, if known
+ * @returns {Promise<string|undefined>} ocd_id, 'prompt-requery', or undefined
+ *
+ * @example
+ * ```javascript
+ * await resolveDistrict({ address: '123 Main St New York NY 10001' });
+ * // 'ocd-division/country:us/state:ny/cd:12'
+ * ```
+ */
+async function resolveDistrict(query) {
+  let requery = false;
+
+  for (const name of getResolverNames()) {
+    try {
+      const result = await BACKENDS[name]().resolve(query);
+      if (result === 'prompt-requery') requery = true;
+      else if (result) return result;
+    } catch (err) {
+      logger.warn('District resolver failed, trying next', {
+        resolver: name,
+        error: err.message,
+      });
+    }
+  }
+
+  return requery ? 'prompt-requery' : undefined;
+}
+
+module.exports = { resolveDistrict, getResolverNames };
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Google Civics district resolver
+ *
+ * Looks up the congressional district for an address with the Google Civics
+ * `divisionsByAddress` API and picks the House division from the response.
+ * Skipped (returns undefined without a request) when the endpoint or key is
+ * not configured.
+ *
+ * RETRY LOGIC
+ * - If the full address fails but has normalized components, retries with
+ *   city/state
+ * - Returns 'prompt-requery' if the address needs more information
+ * - API errors are logged and return undefined so the next resolver can run
+ *
+ * ENVIRONMENT
+ * - GOOGLE_CIVICS_API_ENDPOINT: API endpoint URL
+ * - GOOGLE_CIVICS_API_KEY: API key
+ * - GOOGLE_CIVICS_DISTRICT_PATTERN: Optional legacy regex; used only if
+ *   automatic picking finds no division. State-only matches require an at-large state
+ *   (same set as internal district `00`). Tight example: `^ocd-division/country:us/state:[a-z]{2}(/cd:[0-9]{1,2})?$`
+ *
+ * @module services/civics/districtResolvers/googleCivicsResolver
+ * @requires superagent
+ * @requires ../../utils/logger
+ * @requires ../../utils/normalizeHouseDistrict
+ */
+
+const superagent = require('superagent');
+const logger = require('../../utils/logger')(__filename);
+const {
+  SINGLE_HOUSE_AT_LARGE_STATES,
+} = require('../../utils/normalizeHouseDistrict');
+
+const name = 'google';
+
+/**
+ * @param {string} key - Civics division id
+ * @returns {string|null} Two-letter state if `.../state:xx` with no further path
+ */
+function stateCodeFromStateOnlyOcd(key) {
+  const m = String(key).match(/^ocd-division\/country:us\/state:([a-z]{2})$/i);
+  return m ? m[1].toUpperCase() : null;
+}
+
+/**
+ * True for state-only ids (no `/cd:`), i.e. at-large shape.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isStateOnlyHouseOcd(key) {
+  return /^ocd-division\/country:us\/state:[a-z]{2}$/i.test(String(key));
+}
+
+/**
+ * Picks the U.S. House congressional division OCD id from Google Civics `divisions` keys.
+ * Numbered districts use `.../state:xx/cd:NN`. At-large states use `.../state:xx` only
+ * (no `cd`); if Civics only returns `.../cd:0` or `cd:00`, normalizes to state-only
+ * to match POWERBACK Pol `ocd_id` storage.
+ *
+ * @param {string[]} divisionKeys - `Object.keys(response.divisions)`
+ * @returns {string|undefined} Lowercased division id, or undefined
+ */
+function pickHouseCongressionalDivisionId(divisionKeys) {
+  if (!divisionKeys?.length) return undefined;
+  const keys = [...divisionKeys];
+
+  const cdKeys = keys.filter((k) =>
+    /^ocd-division\/country:us\/state:[a-z]{2}\/cd:\d+$/i.test(k)
+  );
+  const substantiveCd = cdKeys.filter(
+    (k) => !/\/cd:0$/i.test(k) && !/\/cd:00$/i.test(k)
+  );
+
+  let chosen;
+  if (substantiveCd.length > 0) {
+    chosen = substantiveCd[0];
+  } else if (cdKeys.length > 0) {
+    const m = cdKeys[0].match(
+      /^(ocd-division\/country:us\/state:[a-z]{2})\/cd:/i
+    );
+    chosen = m ? m[1] : cdKeys[0];
+  } else {
+    const stateOnly = keys.filter((k) =>
+      /^ocd-division\/country:us\/state:[a-z]{2}$/i.test(k)
+    );
+    if (stateOnly.length === 1) {
+      const st = stateCodeFromStateOnlyOcd(stateOnly[0]);
+      // State-only House divisions match internal at-large (`00`); reject for multi-CD states.
+      if (st && SINGLE_HOUSE_AT_LARGE_STATES.has(st)) {
+        chosen = stateOnly[0];
+      }
+    }
+  }
+
+  if (chosen) {
+    return chosen.toLowerCase();
+  }
+
+  if (process.env.GOOGLE_CIVICS_DISTRICT_PATTERN) {
+    try {
+      const re = new RegExp(process.env.GOOGLE_CIVICS_DISTRICT_PATTERN, 'i');
+      const fromEnv = keys.find((k) => re.test(k));
+      if (!fromEnv) return undefined;
+      if (isStateOnlyHouseOcd(fromEnv)) {
+        const st = stateCodeFromStateOnlyOcd(fromEnv);
+        if (!st || !SINGLE_HOUSE_AT_LARGE_STATES.has(st)) {
+          return undefined;
+        }
+      }
+      return fromEnv.toLowerCase();
+    } catch (err) {
+      logger.warn('Invalid GOOGLE_CIVICS_DISTRICT_PATTERN', {
+        message: err.message,
+      });
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Congressional district for an address, via Google Civics
+ *
+ * @param {Object} query
+ * @param {string} query.address - Full address
+ * @returns {Promise<string|undefined>} ocd_id, 'prompt-requery', or undefined
+ *   when not found, not configured or the API failed
+ */
+async function resolve({ address }) {
+  const baseURI = process.env.GOOGLE_CIVICS_API_ENDPOINT;
+  if (!baseURI || !process.env.GOOGLE_CIVICS_API_KEY) return undefined;
+
+  const encodedAddress = encodeURIComponent(address),
+    CIVICS_API_KEY = process.env.GOOGLE_CIVICS_API_KEY,
+    queryURI = `${baseURI}?address=${encodedAddress}&levels=country&key=${CIVICS_API_KEY}`;
+
+  try {
+    const response = await superagent
+      .get(queryURI)
+      .set({ Accept: 'application/json' });
+    const json = JSON.parse(response.text);
+
+    if (json.divisions) {
+      return pickHouseCongressionalDivisionId(Object.keys(json.divisions));
+    }
+
+    const { normalizedInput } = json;
+    if (
+      normalizedInput.line1?.length &&
+      (!normalizedInput.city?.length ||
+        !normalizedInput.state?.length ||
+        !normalizedInput.zip?.length)
+    ) {
+      return 'prompt-requery';
+    }
+
+    const retryAddress = `${normalizedInput.city} ${normalizedInput.state}`;
+    const retryURI = `${baseURI}?address=${encodeURIComponent(
+      retryAddress
+    )}&levels=country&roles=legislatorLowerBody&key=${CIVICS_API_KEY}`;
+
+    const retryResponse = await superagent
+      .get(retryURI)
+      .set({ Accept: 'application/json' });
+    const retryJson = JSON.parse(retryResponse.text);
+    return retryJson.divisions
+      ? pickHouseCongressionalDivisionId(Object.keys(retryJson.divisions))
+      : undefined;
+  } catch (err) {
+    logger.error('Google Civics district lookup failed:', err);
+    return undefined;
+  }
+}
+
+module.exports = { name, resolve };
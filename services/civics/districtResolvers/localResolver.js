@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Local district resolver (no network)
+ *
+ * Resolves a congressional district from data loaded into Mongo by
+ * scripts/load-district-boundaries.js, so tests, development and a Google
+ * Civics outage do not depend on an outside API.
+ *
+ * LOOKUP ORDER
+ * 1. Point: the TIGER district polygon containing the caller's coordinates
+ *    (2dsphere `$geoIntersects`)
+ * 2. Whole-state seat: at-large states and delegate jurisdictions need no
+ *    lookup beyond the state
+ * 3. ZIP: for a ZIP the crosswalk puts in one district, the TIGER district
+ *    holding the ZIP's internal point (services/civics/geocoder), else that
+ *    crosswalk district. For a ZIP split across districts, the one holding at
+ *    least SERVER.DISTRICT_LOOKUP.minZipShare of it. Closer splits are left
+ *    unresolved rather than guessed; the internal point is not used for
+ *    them, since it says nothing about where in the ZIP the address is.
+ *
+ * The state and ZIP are parsed from the end of the address ("... NY 10001")
+ * when not passed separately.
+ *
+ * @module services/civics/districtResolvers/localResolver
+ * @requires ../../../models
+ * @requires ../../../constants
+ * @requires ../../utils/normalizeHouseDistrict
+ * @requires ../geocoder
+ */
+
+const { CongressionalDistrict, ZipDistrict } = require('../../../models');
+const { SERVER } = require('../../../constants');
+const {
+  buildHouseRoleOcdId,
+  isNonVotingHouseJurisdiction,
+  SINGLE_HOUSE_AT_LARGE_STATES,
+  HOUSE_AT_LARGE_STORAGE,
+} = require('../../utils/normalizeHouseDistrict');
+const { locate, parseAddressTail } = require('../geocoder');
+
+const name = 'local';
+
+/**
+ * TIGER district containing a point
+ * @param {{ lat: number, lng: number }} location - WGS84 coordinates
+ * @returns {Promise<string|undefined>} ocd_id
+ */
+async function districtAtPoint({ lat, lng }) {
+  const district = await CongressionalDistrict.findOne(
+    {
+      geometry: {
+        $geoIntersects: {
+          $geometry: { type: 'Point', coordinates: [lng, lat] },
+        },
+      },
+    },
+    { ocd_id: 1 }
+  ).lean();
+  return district?.ocd_id;
+}
+
+/**
+ * District for a ZIP from the crosswalk, checked against the TIGER
+ * boundaries when the ZIP lies in one district
+ * @param {string} zip - Five-digit ZIP
+ * @param {string} [state] - Limits rows to this state (ZIPs crossing a state line)
+ * @returns {Promise<string|undefined>} ocd_id, or undefined when the ZIP is
+ *   unknown or split too evenly to pick
+ */
+async function districtForZip(zip, state) {
+  const rows = await ZipDistrict.find(state ? { zip, state } : { zip })
+    .sort({ share: -1 })
+    .lean();
+  if (!rows.length) return undefined;
+  if (new Set(rows.map((row) => row.ocd_id)).size === 1) {
+    const point = await locate({ zip });
+    return (point && (await districtAtPoint(point))) || rows[0].ocd_id;
+  }
+
+  const total = rows.reduce((sum, row) => sum + (row.share ?? 0), 0);
+  const [main] = rows;
+  return total > 0 &&
+    (main.share ?? 0) / total >= SERVER.DISTRICT_LOOKUP.minZipShare
+    ? main.ocd_id
+    : undefined;
+}
+
+/**
+ * Congressional district from local boundary and crosswalk data
+ *
+ * @param {Object} query
+ * @param {string} [query.address] - Full one-line address
+ * @param {string} [query.zip] - ZIP (ZIP+4 accepted); parsed from address if omitted
+ * @param {string} [query.state] - Two-letter state; parsed from address if omitted
+ * @param {{ lat: number, lng: number }} [query.location] - Coordinates, if known
+ * @returns {Promise<string|undefined>} ocd_id, or undefined when not found
+ */
+async function resolve({ address, zip, state, location } = {}) {
+  if (Number.isFinite(location?.lat) && Number.isFinite(location?.lng)) {
+    const ocd_id = await districtAtPoint(location);
+    if (ocd_id) return ocd_id;
+  }
+
+  const parsed = parseAddressTail(address);
+  const st = String(state || parsed.state || '').toUpperCase();
+  const zip5 = String(zip || '').match(/^\d{5}/)?.[0] || parsed.zip;
+
+  if (SINGLE_HOUSE_AT_LARGE_STATES.has(st)) {
+    return buildHouseRoleOcdId(st, HOUSE_AT_LARGE_STORAGE);
+  }
+  if (isNonVotingHouseJurisdiction(st)) {
+    return buildHouseRoleOcdId(st, '0');
+  }
+
+  return zip5 ? districtForZip(zip5, st || undefined) : undefined;
+}
+
+module.exports = { name, resolve };
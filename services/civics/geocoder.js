@@ -0,0 +1,63 @@
+/**
+ * @fileoverview ZIP coordinates for district lookup
+ *
+ * Gives the local district resolver a point to place in the TIGER
+ * boundaries (services/civics/districtResolvers/localResolver). The point is
+ * the Census internal point of the ZIP (ZCTA), loaded into Mongo by
+ * scripts/load-district-boundaries.js, so no network is needed.
+ *
+ * A ZIP internal point is not street-level, so the resolver uses it only for
+ * ZIPs the crosswalk puts in a single district.
+ *
+ * @module services/civics/geocoder
+ * @requires ../../models
+ * @requires ./tiger
+ */
+
+const { ZipCentroid } = require('../../models');
+const { STATE_FIPS } = require('./tiger');
+
+const ADDRESS_TAIL_RE = /(?:\b([A-Za-z]{2})\s*,?\s+)?(\d{5})(?:-\d{4})?\s*$/;
+const STATE_CODES = new Set(Object.values(STATE_FIPS));
+
+/**
+ * State and five-digit ZIP from the end of a one-line address
+ * @param {string} address - e.g. "123 Main St New York NY 10001"
+ * @returns {{ state: string|undefined, zip: string|undefined }} state only
+ *   when the two letters before the ZIP are a real state code
+ */
+function parseAddressTail(address) {
+  const m = String(address || '').match(ADDRESS_TAIL_RE);
+  if (!m) return {};
+  const state = m[1]?.toUpperCase();
+  return { state: STATE_CODES.has(state) ? state : undefined, zip: m[2] };
+}
+
+/**
+ * Coordinates for an address, from its ZIP's internal point
+ *
+ * @param {Object} query
+ * @param {string} [query.address] - Full one-line address
+ * @param {string} [query.zip] - ZIP (ZIP+4 accepted); parsed from address if omitted
+ * @returns {Promise<{ lat: number, lng: number }|undefined>} undefined when
+ *   there is no ZIP or no internal point loaded for it
+ *
+ * @example
+ * ```javascript
+ * await locate({ address: '1 Columbus Cir New York NY 10019' });
+ * // { lat: 40.7654, lng: -73.9858 }
+ * ```
+ */
+async function locate({ address, zip } = {}) {
+  const zip5 =
+    String(zip || '').match(/^\d{5}/)?.[0] || parseAddressTail(address).zip;
+  if (!zip5) return undefined;
+
+  const centroid = await ZipCentroid.findOne(
+    { zip: zip5 },
+    { lat: 1, lng: 1 }
+  ).lean();
+  return centroid ? { lat: centroid.lat, lng: centroid.lng } : undefined;
+}
+
+module.exports = { locate, parseAddressTail };
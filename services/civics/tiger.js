@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Census TIGER congressional district codes
+ *
+ * TIGER/Line congressional district shapefiles and the Census and HUD
+ * ZIP-to-district relationship files identify a seat by state FIPS code and
+ * a two-character district code (`CD119FP`, or the last two characters of a
+ * four-character `GEOID` such as `3614`). This module maps those codes to the
+ * state, internal district and `ocd_id` that Pol roles use.
+ *
+ * DISTRICT CODES
+ * - `01`–`53`: Numbered district
+ * - `00`: At-large voting seat (state-only `ocd_id`)
+ * - `98`: Non-voting delegate (DC, PR and territories; stored as `0`,
+ *   state-only `ocd_id`)
+ * - `ZZ`: Water or unassigned area; not a district
+ *
+ * @module services/civics/tiger
+ * @requires ../utils/normalizeHouseDistrict
+ */
+
+const {
+  resolveHouseDistrictForPolRole,
+  isNonVotingHouseJurisdiction,
+} = require('../utils/normalizeHouseDistrict');
+
+/** State FIPS code (as a number) → USPS state code */
+const STATE_FIPS = {
+  1: 'AL',
+  2: 'AK',
+  4: 'AZ',
+  5: 'AR',
+  6: 'CA',
+  8: 'CO',
+  9: 'CT',
+  10: 'DE',
+  11: 'DC',
+  12: 'FL',
+  13: 'GA',
+  15: 'HI',
+  16: 'ID',
+  17: 'IL',
+  18: 'IN',
+  19: 'IA',
+  20: 'KS',
+  21: 'KY',
+  22: 'LA',
+  23: 'ME',
+  24: 'MD',
+  25: 'MA',
+  26: 'MI',
+  27: 'MN',
+  28: 'MS',
+  29: 'MO',
+  30: 'MT',
+  31: 'NE',
+  32: 'NV',
+  33: 'NH',
+  34: 'NJ',
+  35: 'NM',
+  36: 'NY',
+  37: 'NC',
+  38: 'ND',
+  39: 'OH',
+  40: 'OK',
+  41: 'OR',
+  42: 'PA',
+  44: 'RI',
+  45: 'SC',
+  46: 'SD',
+  47: 'TN',
+  48: 'TX',
+  49: 'UT',
+  50: 'VT',
+  51: 'VA',
+  53: 'WA',
+  54: 'WV',
+  55: 'WI',
+  56: 'WY',
+  60: 'AS',
+  66: 'GU',
+  69: 'MP',
+  72: 'PR',
+  78: 'VI',
+};
+
+/**
+ * Resolves a TIGER state FIPS + district code to a Pol-style House seat
+ *
+ * @param {string|number} stateFips - State FIPS code (e.g. '36')
+ * @param {string} cdCode - TIGER district code (e.g. '14', '00', '98')
+ * @returns {{ state: string, district: string, ocd_id: string } | null} null
+ *   for unknown states and non-district (`ZZ`) areas
+ *
+ * @example
+ * ```javascript
+ * tigerDistrict('36', '14'); // { state: 'NY', district: '14', ocd_id: 'ocd-division/country:us/state:ny/cd:14' }
+ * tigerDistrict('02', '00'); // { state: 'AK', district: '00', ocd_id: 'ocd-division/country:us/state:ak' }
+ * ```
+ */
+function tigerDistrict(stateFips, cdCode) {
+  const state = STATE_FIPS[Number(stateFips)];
+  const code = String(cdCode || '').trim();
+  if (!state || !/^\d{1,2}$/.test(code)) return null;
+
+  const raw = code === '98' && isNonVotingHouseJurisdiction(state) ? '0' : code;
+  const seat = resolveHouseDistrictForPolRole(raw, state);
+  return seat ? { state, ...seat } : null;
+}
+
+/**
+ * Resolves a four-character TIGER district GEOID (state FIPS + district)
+ * @param {string} geoid - e.g. '3614'
+ * @returns {{ state: string, district: string, ocd_id: string } | null}
+ */
+function tigerDistrictFromGeoid(geoid) {
+  const m = String(geoid || '')
+    .trim()
+    .match(/^(\d{2})(\w{2})$/);
+  return m ? tigerDistrict(m[1], m[2]) : null;
+}
+
+module.exports = { STATE_FIPS, tigerDistrict, tigerDistrictFromGeoid };
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Email Outbox Service
+ *
+ * Durable email delivery. Callers enqueue a message instead of sending it
+ * inline; the outbox worker (jobs/emailOutboxWorker) sends queued messages,
+ * retrying failed ones with exponential backoff and dead-lettering them
+ * after EMAIL.OUTBOX.MAX_ATTEMPTS. An SMTP hiccup during a watcher fan-out
+ * delays those emails instead of losing them.
+ *
+ * KEY FUNCTIONS
+ *
+ * enqueueEmail(to, template, ...args)
+ * - Same arguments as sendEmail; renders the template now (unsubscribe link
+ *   included) and stores the message in EmailOutbox
+ * - Without a database connection (scripts, some tests) the message is sent
+ *   inline instead
+ *
+ * processOutbox(options)
+ * - Claims due messages one at a time and sends them
+ * - Records each attempt, the provider message id and the final status
+ *
+ * backoffMs(attempts)
+ * - Wait before the next attempt after a given number of failures
+ *
+ * BUSINESS LOGIC
+ *
+ * CLAIMING
+ * - A message is claimed atomically (status 'sending', locked_until set), so
+ *   several workers or server instances never send the same message twice
+ * - A 'sending' message whose lock has expired (worker crashed mid-send) is
+ *   claimed again
+ *
+ * RETRIES
+ * - Wait BASE_DELAY_MS after the first failure, doubling each time, capped
+ *   at MAX_DELAY_MS
+ * - After MAX_ATTEMPTS failures the message is 'dead' and left for review
+ *
+ * LOCAL TESTING
+ * - Point EMAIL_HOST / EMAIL_PORT at a local SMTP sink (e.g. Mailpit on
+ *   1025) with EMAIL_SECURE=false to watch messages arrive
+ *
+ * DEPENDENCIES
+ * - models/EmailOutbox: Queued messages and attempt log
+ * - controller/comms/sendEmail: Rendering and delivery
+ * - controller/comms/addresses: Sender address at delivery time
+ *
+ * @module services/comms/outboxService
+ * @requires mongoose
+ * @requires ../../models
+ * @requires ../../constants
+ * @requires ../../controller/comms/sendEmail
+ * @requires ../../controller/comms/addresses
+ * @requires ../utils/logger
+ */
+
+const mongoose = require('mongoose');
+const { EmailOutbox } = require('../../models');
+const { EMAIL } = require('../../constants');
+const {
+    renderEmail,
+    deliverEmail,
+  } = require('../../controller/comms/sendEmail'),
+  { getEmailAddress } = require('../../controller/comms/addresses'),
+  logger = require('../utils/logger')(__filename);
+
+/**
+ * Wait before the next attempt
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Delay in milliseconds
+ */
+const backoffMs = (attempts) =>
+  Math.min(
+    EMAIL.OUTBOX.BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+    EMAIL.OUTBOX.MAX_DELAY_MS
+  );
+
+/**
+ * Renders an email and queues it for delivery
+ * @param {string} to - Recipient address
+ * @param {Function} template - Email template (see controller/comms/emails)
+ * @param {...*} args - Template arguments
+ * @returns {Promise<Object>} Outbox entry, or nodemailer info when sent inline
+ */
+async function enqueueEmail(to, template, ...args) {
+  const { fromIndex, topic, mailOptions } = await renderEmail(
+    to,
+    template,
+    ...args
+  );
+
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn(
+      `MongoDB not connected, sending "${mailOptions.subject}" inline instead of queueing`
+    );
+    return deliverEmail(fromIndex, mailOptions);
+  }
+
+  const entry = await EmailOutbox.create({
+    to,
+    from_index: fromIndex,
+    subject: mailOptions.subject,
+    html: mailOptions.html,
+    attachments: mailOptions.attachments || [],
+    template: template?.name || undefined,
+    topic,
+  });
+  logger.debug(`Queued email ${entry._id} - subject: ${mailOptions.subject}`);
+  return entry;
+}
+
+/**
+ * Claims the next due message, if any
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed entry
+ */
+function claimNext(now) {
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', next_attempt_at: { $lte: now } },
+        { status: 'sending', locked_until: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'sending',
+        locked_until: new Date(now.getTime() + EMAIL.OUTBOX.LOCK_MS),
+      },
+    },
+    { sort: { next_attempt_at: 1 }, new: true }
+  );
+}
+
+/**
+ * Sends one claimed message and records the outcome
+ * @param {Object} entry - Claimed EmailOutbox document
+ * @param {Date} at - Time of the attempt
+ * @returns {Promise<string>} 'sent' | 'retry' | 'dead'
+ */
+async function attempt(entry, at) {
+  const attempts = entry.attempts + 1;
+
+  try {
+    const info = await deliverEmail(entry.from_index, {
+      to: entry.to,
+      from: getEmailAddress(entry.from_index),
+      subject: entry.subject,
+      html: entry.html,
+      ...(entry.attachments.length && {
+        attachments: entry.attachments.map((a) => ({
+          filename: a.filename,
+          content: a.content,
+          contentType: a.contentType,
+        })),
+      }),
+    });
+    await EmailOutbox.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: 'sent',
+          attempts,
+          sent_at: at,
+          message_id: info?.messageId,
+          response: info?.response,
+        },
+        $unset: { locked_until: 1 },
+        $push: { attempt_log: { at, ok: true, message_id: info?.messageId } },
+      }
+    );
+    return 'sent';
+  } catch (err) {
+    const dead = attempts >= EMAIL.OUTBOX.MAX_ATTEMPTS;
+    await EmailOutbox.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'queued',
+          attempts,
+          last_error: err.message,
+          ...(dead
+            ? { dead_at: at }
+            : { next_attempt_at: new Date(at.getTime() + backoffMs(attempts)) }),
+        },
+        $unset: { locked_until: 1 },
+        $push: {
+          attempt_log: {
+            at,
+            ok: false,
+            error: err.message,
+            code: err.code,
+            response_code: err.responseCode,
+          },
+        },
+      }
+    );
+    if (dead) {
+      logger.error(
+        `Email ${entry._id} dead-lettered after ${attempts} attempts: ${err.message}`
+      );
+    } else {
+      logger.warn(
+        `Email ${entry._id} attempt ${attempts} failed, retrying in ${Math.round(
+          backoffMs(attempts) / 1000
+        )}s: ${err.message}`
+      );
+    }
+    return dead ? 'dead' : 'retry';
+  }
+}
+
+/**
+ * Sends due messages from the outbox
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum messages to send
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { claimed, sent, retried, dead }
+ */
+async function processOutbox({
+  limit = EMAIL.OUTBOX.BATCH,
+  now = new Date(),
+} = {}) {
+  const summary = { claimed: 0, sent: 0, retried: 0, dead: 0 };
+  while (summary.claimed < limit) {
+    const entry = await claimNext(now);
+    if (!entry) break;
+    summary.claimed++;
+    const outcome = await attempt(entry, now);
+    if (outcome === 'sent') summary.sent++;
+    else if (outcome === 'retry') summary.retried++;
+    else summary.dead++;
+  }
+  return summary;
+}
+
+module.exports = {
+  enqueueEmail,
+  processOutbox,
+  backoffMs,
+};
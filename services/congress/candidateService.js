@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Candidate service for non-incumbent Celebration recipients
+ *
+ * Keeps the Candidate collection in step with OpenFEC and exposes it to the
+ * funnel and to Celebration creation. Challengers (C) and open-seat (O)
+ * candidates have no bioguide id, so they are keyed by FEC candidate id; a
+ * pledge to one stores that id in both Celebration.pol_id and
+ * Celebration.FEC_id, with recipient_type 'candidate'.
+ *
+ * KEY FUNCTIONS
+ *
+ * shapeCandidate(row, electionYear)
+ * - Maps one OpenFEC /candidates/ row to Candidate fields
+ * - Resolves the race (state, district, ocd_id) the same way Pol roles are
+ * - Returns null for rows without a usable race this cycle
+ *
+ * syncCandidates(rows, electionYear, CandidateModel)
+ * - Upserts every shaped row as active
+ * - Marks active candidates missing from the pull as withdrawn
+ * - Returns the withdrawn ids so callers can cancel their pledges
+ *
+ * searchCandidates(query, CandidateModel)
+ * - Active candidates filtered by chamber, state, ocd_id and name
+ *
+ * toParadeMember(candidate)
+ * - Candidate in the HouseMember shape the funnel carousel renders
+ *
+ * resolveRecipient(polId, CandidateModel)
+ * - Recipient fields for a Celebration whose pol_id is a candidate id
+ * - Fetches the principal committee on first selection if it is missing
+ *
+ * BUSINESS LOGIC
+ *
+ * SELECTABILITY
+ * - Only active candidates (present in the latest FEC pull) are searchable
+ *   or selectable; withdrawn candidates keep their document for receipts
+ * - An empty FEC pull never withdraws anyone (treated as an outage)
+ *
+ * @module services/congress/candidateService
+ * @requires axios
+ * @requires ../../models
+ * @requires ../logger
+ * @requires ../utils/fixPolName
+ * @requires ../utils/normalizeHouseDistrict
+ */
+
+const axios = require('axios');
+const { Candidate } = require('../../models');
+const { requireLogger } = require('../logger');
+const { fixPolName } = require('../utils/fixPolName');
+const {
+  resolveSenateRoleForState,
+  resolveHouseDistrictForPolRole,
+} = require('../utils/normalizeHouseDistrict');
+
+const logger = requireLogger(__filename);
+
+/** User-facing copy when a withdrawn candidate is chosen */
+const CANDIDATE_NOT_SELECTABLE_USER_MESSAGE =
+  'That candidate is no longer running. Please choose another candidate from the list.';
+
+const CHAMBERS = { H: 'House', S: 'Senate' };
+const STATE_OCD_RE = /^ocd-division\/country:us\/state:([a-z]{2})/i;
+const SEARCH_LIMIT = 200;
+
+/**
+ * Escapes a string for use inside a RegExp
+ * @param {string} s
+ * @returns {string}
+ */
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits an FEC display name ("SMITH, JOHN A. MR.") into first and last name
+ * @param {string} name - FEC candidate name
+ * @returns {{ first_name: string, last_name: string }}
+ */
+function parseFecName(name = '') {
+  const [last = '', rest = ''] = String(name).split(',');
+  const first = rest.trim().split(/\s+/)[0] || '';
+  return {
+    first_name: first ? fixPolName(first.toLowerCase()) : '',
+    last_name: last.trim() ? fixPolName(last.trim().toLowerCase()) : '',
+  };
+}
+
+/**
+ * Race for an FEC row in the given cycle, shaped like a Pol role
+ * @param {Object} row - OpenFEC candidate row
+ * @param {number} electionYear - Cycle to read election_districts for
+ * @returns {{ office: string, chamber: string, state: string, district: string, ocd_id: string } | null}
+ */
+function raceForRow(row, electionYear) {
+  const office = row.office;
+  const state = String(row.state || '')
+    .trim()
+    .toUpperCase();
+  if (!CHAMBERS[office] || !state) return null;
+
+  const years = Array.isArray(row.election_years) ? row.election_years : [];
+  const idx = years.findIndex((y) => Number(y) === Number(electionYear));
+  if (idx === -1) return null;
+
+  const resolved =
+    office === 'S'
+      ? resolveSenateRoleForState(state)
+      : resolveHouseDistrictForPolRole(
+          (row.election_districts || [])[idx] ?? row.district,
+          state
+        );
+  if (!resolved) return null;
+
+  return { office, chamber: CHAMBERS[office], state, ...resolved };
+}
+
+/**
+ * Principal committee from an FEC row, when the endpoint includes it
+ * @param {Object} row - OpenFEC candidate row
+ * @returns {{ id: string, name: string, designation: string } | null}
+ */
+function committeeFromRow(row) {
+  const committee = (row.principal_committees || [])[0];
+  if (!committee?.committee_id) return null;
+  return {
+    id: committee.committee_id,
+    name: committee.name || '',
+    designation: committee.designation || 'P',
+  };
+}
+
+/**
+ * Maps one OpenFEC row to Candidate fields
+ * @param {Object} row - OpenFEC candidate row (incumbent_challenge C or O)
+ * @param {number} electionYear - Current cycle
+ * @returns {Object|null} Candidate fields, or null if the row has no usable race
+ */
+function shapeCandidate(row, electionYear) {
+  if (!row?.candidate_id || !['C', 'O'].includes(row.incumbent_challenge)) {
+    return null;
+  }
+  const race = raceForRow(row, electionYear);
+  if (!race) return null;
+
+  return {
+    fec_candidate_id: row.candidate_id,
+    name: row.name || '',
+    ...parseFecName(row.name),
+    party: row.party || '',
+    ...race,
+    incumbent_challenge: row.incumbent_challenge,
+    election_year: Number(electionYear),
+  };
+}
+
+/**
+ * Upserts the latest FEC challenger pull and withdraws candidates missing
+ * from it
+ * @param {Object[]} rows - OpenFEC C/O candidate rows
+ * @param {number} electionYear - Current cycle
+ * @param {Object} CandidateModel - Candidate model
+ * @returns {Promise<Object>} { upserted, updated, skipped, withdrawn: string[] }
+ */
+async function syncCandidates(rows, electionYear, CandidateModel = Candidate) {
+  const now = new Date();
+  const seen = new Set();
+  const ops = [];
+  let skipped = 0;
+
+  for (const row of rows || []) {
+    const fields = shapeCandidate(row, electionYear);
+    if (!fields || seen.has(fields.fec_candidate_id)) {
+      skipped += 1;
+      continue;
+    }
+    seen.add(fields.fec_candidate_id);
+
+    const committee = committeeFromRow(row);
+    ops.push({
+      updateOne: {
+        filter: { fec_candidate_id: fields.fec_candidate_id },
+        update: {
+          $set: {
+            ...fields,
+            ...(committee && { committee }),
+            active: true,
+            last_seen_at: now,
+          },
+          $unset: { withdrawn_at: '' },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  if (!ops.length) {
+    logger.warn('syncCandidates: no usable FEC rows, skipping withdrawals');
+    return { upserted: 0, updated: 0, skipped, withdrawn: [] };
+  }
+
+  const result = await CandidateModel.bulkWrite(ops, { ordered: false });
+
+  const missing = await CandidateModel.find({
+    active: true,
+    fec_candidate_id: { $nin: [...seen] },
+  })
+    .select('fec_candidate_id')
+    .lean();
+  const withdrawn = missing.map((c) => c.fec_candidate_id);
+  if (withdrawn.length) {
+    await CandidateModel.updateMany(
+      { fec_candidate_id: { $in: withdrawn } },
+      { $set: { active: false, withdrawn_at: now } }
+    );
+  }
+
+  const summary = {
+    upserted: result.upsertedCount || 0,
+    updated: result.modifiedCount || 0,
+    skipped,
+    withdrawn,
+  };
+  logger.info(
+    `syncCandidates: ${seen.size} active, ${summary.upserted} new, ${withdrawn.length} withdrawn, ${skipped} skipped`
+  );
+  return summary;
+}
+
+/**
+ * Active candidates for the funnel
+ * @param {Object} query - Search filters (all optional)
+ * @param {string} [query.chamber] - 'house' | 'senate'
+ * @param {string} [query.state] - Two-letter state
+ * @param {string} [query.ocd_id] - Division id; matches the House race plus
+ *   the state's Senate race
+ * @param {string} [query.q] - Name fragment
+ * @param {Object} CandidateModel - Candidate model
+ * @returns {Promise<Object[]>} Lean Candidate documents
+ */
+async function searchCandidates(query = {}, CandidateModel = Candidate) {
+  const filter = { active: true };
+
+  if (query.chamber) {
+    filter.chamber =
+      CHAMBERS[String(query.chamber).charAt(0).toUpperCase()] || query.chamber;
+  }
+  if (query.state) filter.state = String(query.state).toUpperCase();
+  if (query.ocd_id) {
+    const ocd = String(query.ocd_id).toLowerCase();
+    const st = ocd.match(STATE_OCD_RE)?.[1];
+    filter.$or = [
+      { ocd_id: ocd },
+      ...(st
+        ? [{ chamber: 'Senate', ocd_id: `ocd-division/country:us/state:${st}` }]
+        : []),
+    ];
+  }
+  if (query.q) {
+    filter.name = {
+      $regex: escapeRegExp(String(query.q).trim()),
+      $options: 'i',
+    };
+  }
+
+  return CandidateModel.find(filter)
+    .sort({ state: 1, district: 1, last_name: 1 })
+    .limit(SEARCH_LIMIT)
+    .lean();
+}
+
+/**
+ * Candidate in the HouseMember shape rendered by the funnel carousel
+ * @param {Object} candidate - Lean Candidate document
+ * @returns {Object} Parade member (id is the FEC candidate id)
+ */
+function toParadeMember(candidate) {
+  return {
+    _id: String(candidate._id),
+    id: candidate.fec_candidate_id,
+    recipient_type: 'candidate',
+    first_name: candidate.first_name,
+    last_name: candidate.last_name,
+    party: candidate.party,
+    in_office: false,
+    has_stakes: true,
+    ocd_id: candidate.ocd_id,
+    roles: [
+      {
+        chamber: candidate.chamber,
+        state: candidate.state,
+        district: candidate.district,
+        ocd_id: candidate.ocd_id,
+        fec_candidate_id: candidate.fec_candidate_id,
+      },
+    ],
+  };
+}
+
+/**
+ * Principal campaign committee from OpenFEC
+ * @param {string} fecCandidateId - FEC candidate id
+ * @returns {Promise<Object|null>} { id, name, designation } or null
+ */
+async function fetchPrincipalCommittee(fecCandidateId) {
+  const base = (process.env.FEC_API_CANDIDATES_ENDPOINT || '').split(
+    '/candidates/'
+  )[0];
+  if (!base || process.env.NODE_ENV === 'test') return null;
+
+  try {
+    const { data } = await axios.get(
+      `${base}/candidate/${encodeURIComponent(fecCandidateId)}/committees/`,
+      {
+        params: { designation: 'P' },
+        headers: { 'X-Api-Key': process.env.FEC_API_KEY },
+        timeout: 10000,
+      }
+    );
+    const committee = (data?.results || [])[0];
+    if (!committee?.committee_id) return null;
+    return {
+      id: committee.committee_id,
+      name: committee.name || '',
+      designation: committee.designation || 'P',
+    };
+  } catch (err) {
+    logger.warn(`Principal committee lookup failed for ${fecCandidateId}`, {
+      error: err.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Recipient fields for a Celebration whose pol_id is a candidate id.
+ * Returns null when the id is not a known candidate (i.e. it is a bioguide
+ * id handled by the Pol roster checks).
+ *
+ * @param {string} polId - Celebration pol_id from the funnel
+ * @param {Object} CandidateModel - Candidate model
+ * @returns {Promise<Object|null>} { selectable, recipient_type, FEC_id,
+ *   pol_name, committee_id, state } or null
+ */
+async function resolveRecipient(polId, CandidateModel = Candidate) {
+  if (!polId || typeof polId !== 'string') return null;
+
+  const candidate = await CandidateModel.findOne({ fec_candidate_id: polId });
+  if (!candidate) return null;
+  if (!candidate.active) return { selectable: false };
+
+  if (!candidate.committee?.id) {
+    const committee = await fetchPrincipalCommittee(polId);
+    if (committee) {
+      candidate.committee = committee;
+      await candidate.save();
+    }
+  }
+
+  return {
+    selectable: true,
+    recipient_type: 'candidate',
+    FEC_id: candidate.fec_candidate_id,
+    pol_name: [candidate.first_name, candidate.last_name]
+      .filter(Boolean)
+      .join(' '),
+    committee_id: candidate.committee?.id || '',
+    state: candidate.state,
+  };
+}
+
+module.exports = {
+  CANDIDATE_NOT_SELECTABLE_USER_MESSAGE,
+  parseFecName,
+  shapeCandidate,
+  syncCandidates,
+  toParadeMember,
+  searchCandidates,
+  resolveRecipient,
+};
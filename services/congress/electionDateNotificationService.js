@@ -67,20 +67,23 @@
  *
  * DEPENDENCIES
  * - models/User, Celebration, Pol: Data access
- * - controller/comms: Email sending and unsubscribe filtering
+ * - controller/comms: Email queueing and unsubscribe filtering
+ * - controller/comms/emails: Election date email templates
  * - constants: Email topic constants
  * - services/congress/electionCycleService: Limit calculations
  *
  * @module services/congress/electionDateNotificationService
  * @requires ../../models
  * @requires ../../controller/comms
+ * @requires ../../controller/comms/emails
  * @requires ../../constants
  * @requires ./electionCycleService
  * @requires ../utils/logger
  */
 
 const { User, Celebration, Pol } = require('../../models');
-const { sendEmail, filterUnsubscribed } = require('../../controller/comms');
+const { enqueueEmail, filterUnsubscribed } = require('../../controller/comms');
+const { emails } = require('../../controller/comms/emails');
 const { EMAIL_TOPICS } = require('../../constants');
 const logger = require('../utils/logger')(__filename);
 const electionCycleService = require('./electionCycleService');
@@ -318,15 +321,15 @@ async function notifyUsersWithActiveCelebrations(
         impactDescription: impact.impactDescription,
       };
 
-      await sendEmail(
+      await enqueueEmail(
         user.email,
+        emails.ElectionDateChanged,
         emailPayload,
-        'ElectionDateChanged',
         user.firstName
       );
 
       emailsSent++;
-      logger.info(`Sent election date change notification to ${user.email}`);
+      logger.info(`Queued election date change notification to ${user.email}`);
     } catch (error) {
       logger.error(`Failed to send notification to user ${user._id}:`, error);
     }
@@ -364,15 +367,15 @@ async function notifyUsersWithOcdId(users, state, oldDates, newDates) {
         newGeneralDate: newDates.general,
       };
 
-      await sendEmail(
+      await enqueueEmail(
         user.email,
+        emails.ElectionDateNotification,
         emailPayload,
-        'ElectionDateNotification',
         user.firstName
       );
 
       emailsSent++;
-      logger.info(`Sent election date notification to ${user.email}`);
+      logger.info(`Queued election date notification to ${user.email}`);
     } catch (error) {
       logger.error(`Failed to send notification to user ${user._id}:`, error);
     }
@@ -20,15 +20,21 @@
  * - electionDateNotificationService: Election date change notifications including
  *   user notifications, impact calculations, and active celebration handling
  *
+ * CANDIDATE OPERATIONS
+ * - candidateService: Non-incumbent (challenger and open-seat) candidates from
+ *   OpenFEC, searchable and selectable as Celebration recipients
+ *
  * DEPENDENCIES
  * - ./sessionService: Congressional session management
  * - ./electionCycleService: Election cycle calculations
  * - ./electionDateNotificationService: Election date notifications
+ * - ./candidateService: Non-incumbent candidates
  *
  * @module services/congress
  * @requires ./sessionService
  * @requires ./electionCycleService
  * @requires ./electionDateNotificationService
+ * @requires ./candidateService
  */
 
 // Congressional session management
@@ -39,11 +45,13 @@ const CongressionalSessionService = require('./sessionService'),
   {
     ...electionDateNotificationService
   } = require('./electionDateNotificationService'),
-  polRosterEligibility = require('./polRosterEligibility');
+  polRosterEligibility = require('./polRosterEligibility'),
+  candidateService = require('./candidateService');
 
 module.exports = {
   CongressionalSessionService,
   ...electionDateNotificationService,
   ...electionCycleService,
   ...polRosterEligibility,
+  ...candidateService,
 };
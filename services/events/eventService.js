@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Watcher Event Service
+ *
+ * The one path from a watcher's detected change to its notifications. A
+ * watcher records a typed event (type, entity, before/after, dedupe key);
+ * this service stores it as a WatcherEvent, tagged with the job run it came
+ * from, and fans it out to the email, social webhook, SMS and partner
+ * webhook subscribers (./subscribers). Each subscriber decides per event
+ * type whether and how to deliver; the state of each delivery is kept on
+ * the event, and undelivered or failed ones are retried.
+ *
+ * KEY FUNCTIONS
+ *
+ * emitEvent(event)
+ * - Records the event and runs every subscriber with a handler for its type
+ * - Returns the stored event with its deliveries, or null when an event with
+ *   the same dedupe key was already recorded (nothing is sent again)
+ *
+ * retryDeliveries(options)
+ * - Re-runs the pending and due failed deliveries of up to
+ *   JOBS.EVENTS.BATCH events (jobs/eventDeliveryWorker)
+ *
+ * listEvents(filters, options)
+ * - Paginated events, newest first, for the admin activity feed
+ *
+ * eventDay(date)
+ * - YYYY-MM-DD (UTC) for dedupe keys of changes that may legitimately recur
+ *   on another day (a member rejoining, a challenger reappearing)
+ *
+ * BUSINESS LOGIC
+ *
+ * DEDUPE
+ * - dedupe_key is unique; a watcher re-run, or a second instance, that
+ *   detects the same change inserts nothing. Finishing the deliveries of the
+ *   recorded event is left to the retry worker, not to the re-run
+ *
+ * FAN-OUT
+ * - The event is stored with a 'pending' delivery per subscriber that has a
+ *   handler for its type, and locked for JOBS.EVENTS.LOCK_MS while it fans
+ *   out
+ * - Subscribers run one after another, in email, social, SMS, partner
+ *   webhook order
+ * - A handler that throws is recorded as a 'failed' delivery and does not
+ *   stop the others; a handler that returns null had nothing to deliver and
+ *   its delivery is dropped
+ *
+ * RETRIES
+ * - The retry worker claims events atomically, as the email outbox does, and
+ *   re-runs their pending deliveries once the lock has expired (the emitting
+ *   process died mid fan-out) and their failed ones once due
+ * - Wait BASE_DELAY_MS after the first failure, doubling each time, capped
+ *   at MAX_DELAY_MS; after MAX_ATTEMPTS failures the delivery is 'dead'
+ * - A retry re-runs the channel's whole handler. Partner webhook deliveries
+ *   are queued once per endpoint however often it runs; an email handler
+ *   that failed partway may queue some of its messages again
+ *
+ * DEPENDENCIES
+ * - models/WatcherEvent: Event stream
+ * - jobs/jobRunner: The run an event was emitted from
+ * - ./subscribers: Email, social webhook, SMS and partner webhook delivery
+ *
+ * @module services/events/eventService
+ * @requires ../../models
+ * @requires ../../constants
+ * @requires ../../jobs/jobRunner
+ * @requires ./subscribers/email
+ * @requires ./subscribers/social
+ * @requires ./subscribers/sms
+ * @requires ./subscribers/webhooks
+ * @requires ../utils/logger
+ */
+
+const { WatcherEvent } = require('../../models');
+const { JOBS } = require('../../constants');
+const { currentRun } = require('../../jobs/jobRunner');
+const logger = require('../utils/logger')(__filename);
+
+const SUBSCRIBERS = [
+  require('./subscribers/email'),
+  require('./subscribers/social'),
+  require('./subscribers/sms'),
+  require('./subscribers/webhooks'),
+];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * UTC calendar day for dedupe keys
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} YYYY-MM-DD
+ */
+const eventDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Wait before retrying a delivery that has failed `attempts` times
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+const backoffMs = (attempts) =>
+  Math.min(
+    JOBS.EVENTS.BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+    JOBS.EVENTS.MAX_DELAY_MS
+  );
+
+/**
+ * Whether a delivery is to be attempted in this pass
+ * @param {Object} delivery - Entry of WatcherEvent.deliveries
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isDue = ({ status, next_attempt_at }, now) =>
+  status === 'pending' || (status === 'failed' && next_attempt_at <= now);
+
+/**
+ * Runs the subscriber of every due delivery; the others are kept as they are
+ * @param {Object} event - WatcherEvent (plain object)
+ * @param {Date} now - Time due deliveries are measured against
+ * @returns {Promise<Object[]>} The event's deliveries after this pass
+ */
+async function fanOut(event, now) {
+  const deliveries = [];
+  for (const delivery of event.deliveries) {
+    if (!isDue(delivery, now)) {
+      deliveries.push(delivery);
+      continue;
+    }
+
+    const { channel } = delivery;
+    const subscriber = SUBSCRIBERS.find((s) => s.channel === channel);
+    const handler = subscriber?.handlers[event.type];
+    if (!handler) continue;
+    const attempts = (delivery.attempts || 0) + 1;
+    try {
+      const result = await handler(event);
+      if (result === null) continue;
+      deliveries.push({
+        channel,
+        status: 'sent',
+        attempts,
+        result,
+        at: new Date(),
+      });
+    } catch (err) {
+      logger.error(`${event.type} ${channel} delivery failed:`, {
+        dedupeKey: event.dedupe_key,
+        attempts,
+        message: err.message,
+      });
+      const at = new Date();
+      const dead = attempts >= JOBS.EVENTS.MAX_ATTEMPTS;
+      deliveries.push({
+        channel,
+        status: dead ? 'dead' : 'failed',
+        attempts,
+        error: err.message,
+        at,
+        ...(!dead && {
+          next_attempt_at: new Date(at.getTime() + backoffMs(attempts)),
+        }),
+      });
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * Fans a locked event out, then stores its deliveries and releases the lock
+ * @param {Object} event - WatcherEvent (plain object)
+ * @param {Date} now - Time due deliveries are measured against
+ * @returns {Promise<Object[]>} The event's deliveries after this pass
+ */
+async function deliver(event, now) {
+  const deliveries = await fanOut(event, now);
+  await WatcherEvent.updateOne(
+    { _id: event._id },
+    { $set: { deliveries }, $unset: { locked_until: 1 } }
+  );
+  return deliveries;
+}
+
+/**
+ * Records a watcher event and fans it out to its subscribers
+ * @param {Object} event
+ * @param {string} event.type - One of JOBS.EVENTS.TYPES
+ * @param {string} event.action - 'added' | 'removed' | 'updated' | ...
+ * @param {Object} event.entity - { kind, id, label }
+ * @param {Object} [event.before] - State before the change
+ * @param {Object} [event.after] - State after the change
+ * @param {Object} [event.context] - Extra facts subscribers need
+ * @param {string} event.dedupeKey - Unique key for this occurrence
+ * @returns {Promise<Object|null>} Stored event with deliveries, or null if
+ *   already recorded
+ */
+async function emitEvent({
+  type,
+  action,
+  entity,
+  before,
+  after,
+  context,
+  dedupeKey,
+}) {
+  const run = currentRun();
+  const now = new Date();
+  let event;
+  try {
+    event = await WatcherEvent.create({
+      type,
+      action,
+      entity,
+      before,
+      after,
+      context,
+      dedupe_key: dedupeKey,
+      job: run?.job,
+      run_id: run?.runId,
+      deliveries: SUBSCRIBERS.filter(({ handlers }) => handlers[type]).map(
+        ({ channel }) => ({ channel, status: 'pending' })
+      ),
+      locked_until: new Date(now.getTime() + JOBS.EVENTS.LOCK_MS),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      logger.info(`${type} event ${dedupeKey} already recorded - skipping`);
+      return null;
+    }
+    throw err;
+  }
+
+  const { locked_until, ...stored } = event.toObject();
+  const deliveries = await deliver(stored, now);
+  logger.info(
+    `${type} ${action} ${entity.id}: ${
+      deliveries.map((d) => `${d.channel} ${d.status}`).join(', ') ||
+      'no deliveries'
+    }`
+  );
+  return { ...stored, deliveries };
+}
+
+/**
+ * Claims the oldest event with a pending or due failed delivery that no run
+ * is delivering
+ * @param {Date} now
+ * @returns {Promise<Object|null>} Claimed event (plain object)
+ */
+function claimNext(now) {
+  return WatcherEvent.findOneAndUpdate(
+    {
+      deliveries: {
+        $elemMatch: {
+          $or: [
+            { status: 'pending' },
+            { status: 'failed', next_attempt_at: { $lte: now } },
+          ],
+        },
+      },
+      $or: [
+        { locked_until: { $exists: false } },
+        { locked_until: { $lt: now } },
+      ],
+    },
+    {
+      $set: { locked_until: new Date(now.getTime() + JOBS.EVENTS.LOCK_MS) },
+    },
+    { sort: { occurred_at: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Re-runs the undelivered and due failed deliveries of up to
+ * JOBS.EVENTS.BATCH events
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Defaults to now
+ * @returns {Promise<Object>} { claimed, sent, retried, dead }
+ */
+async function retryDeliveries({ now = new Date() } = {}) {
+  const summary = { claimed: 0, sent: 0, retried: 0, dead: 0 };
+  const counter = { sent: 'sent', failed: 'retried', dead: 'dead' };
+
+  for (let i = 0; i < JOBS.EVENTS.BATCH; i++) {
+    const event = await claimNext(now);
+    if (!event) break;
+    summary.claimed++;
+
+    const due = new Set(
+      event.deliveries.filter((d) => isDue(d, now)).map((d) => d.channel)
+    );
+    const deliveries = await deliver(event, now);
+    for (const { channel, status } of deliveries) {
+      if (due.has(channel)) summary[counter[status]]++;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Watcher events, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.type] - Event type
+ * @param {string} [filters.action] - Event action
+ * @param {string} [filters.entity] - Entity id (bioguide ID, FEC ID, bill ID, ...)
+ * @param {string} [filters.job] - Registry name of the emitting job
+ * @param {string} [filters.runId] - JobRun id
+ * @param {boolean} [filters.failed] - Only events with a failed or dead-lettered delivery
+ * @param {Date} [filters.from] - Occurred on or after
+ * @param {Date} [filters.to] - Occurred on or before
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=25] - At most MAX_PAGE_SIZE
+ * @returns {Promise<Object>} { items, total, page, pages, limit }
+ */
+async function listEvents(filters = {}, { page = 1, limit = 25 } = {}) {
+  const { type, action, entity, job, runId, failed, from, to } = filters;
+  const query = {
+    ...(type && { type }),
+    ...(action && { action }),
+    ...(entity && { 'entity.id': entity }),
+    ...(job && { job }),
+    ...(runId && { run_id: runId }),
+    ...(failed && { 'deliveries.status': { $in: ['failed', 'dead'] } }),
+    ...((from || to) && {
+      occurred_at: { ...(from && { $gte: from }), ...(to && { $lte: to }) },
+    }),
+  };
+  const size = Math.min(limit, MAX_PAGE_SIZE);
+
+  const [items, total] = await Promise.all([
+    WatcherEvent.find(query)
+      .sort({ occurred_at: -1 })
+      .skip((page - 1) * size)
+      .limit(size)
+      .lean(),
+    WatcherEvent.countDocuments(query),
+  ]);
+  return { items, total, page, pages: Math.ceil(total / size), limit: size };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  emitEvent,
+  retryDeliveries,
+  listEvents,
+  eventDay,
+};
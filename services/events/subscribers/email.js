@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Watcher event email subscriber
+ *
+ * Queues the emails a watcher event calls for in the email outbox: staff
+ * alerts for roster changes and integrity problems, and donor alerts for
+ * challenger, incumbent, bill and election date changes. Donor alerts
+ * respect each user's unsubscribe topics.
+ *
+ * RECIPIENTS
+ * - roster_change, roster_integrity: EMAIL_JONATHAN_USER
+ * - challengers, incumbents: context.userIds, the users the watcher found in
+ *   the district or with Celebrations for the candidate (captured before any
+ *   Celebration was cancelled)
+ * - bill_status: every user subscribed to bill updates
+ * - election_dates: electionDateNotificationService, per changed state
+ *
+ * FAILURES
+ * - A handler that could queue none of its emails throws, so the event
+ *   service records the delivery as failed and retries it. One that queued
+ *   some reports the rest as failed and is not retried, which would queue
+ *   the others twice
+ *
+ * @module services/events/subscribers/email
+ * @requires ../../../models
+ * @requires ../../../constants
+ * @requires ../../../controller/comms
+ * @requires ../../../controller/comms/emails/alerts
+ * @requires ../../congress/electionDateNotificationService
+ */
+
+const { User } = require('../../../models');
+const { EMAIL_TOPICS } = require('../../../constants');
+const {
+  enqueueEmail,
+  filterUnsubscribed,
+} = require('../../../controller/comms');
+const {
+  ChallengerAppeared,
+  ChallengerReappeared,
+  ChallengerDisappeared,
+  IncumbentDroppedOut,
+} = require('../../../controller/comms/emails/alerts');
+const {
+  BillUpdated,
+} = require('../../../controller/comms/emails/alerts/BillUpdated');
+const {
+  handleElectionDateChange,
+} = require('../../congress/electionDateNotificationService');
+const logger = require('../../utils/logger')(__filename);
+
+/** Sender address index (alerts-noreply; see controller/comms/addresses). */
+const FROM_INDEX = 3;
+
+/**
+ * Template for a prebuilt staff alert
+ * @param {string} subject
+ * @param {string} html
+ * @returns {[number, string, string]} [fromIndex, subject, html]
+ */
+const StaffAlert = (subject, html) => [FROM_INDEX, subject, html];
+
+/**
+ * Address a user's email goes to
+ * @param {Object} user - User with email or username
+ * @returns {string} Address, or '' when the user has none
+ */
+const recipientOf = (user) => (user.email || user.username || '').trim();
+
+/**
+ * Queues a staff alert
+ * @param {string} subject
+ * @param {string} html
+ * @returns {Promise<Object>} { queued }
+ */
+async function alertStaff(subject, html) {
+  await enqueueEmail(
+    process.env.EMAIL_JONATHAN_USER,
+    StaffAlert,
+    subject,
+    html
+  );
+  return { queued: 1 };
+}
+
+/**
+ * Queues one template per subscribed user
+ * @param {Object[]} users - Users to notify
+ * @param {string} topic - EMAIL_TOPICS entry they may have unsubscribed from
+ * @param {Function} template - Email template
+ * @param {Function} argsFor - user => template arguments
+ * @returns {Promise<Object>} { queued, failed }
+ * @throws {Error} When no email could be queued
+ */
+async function alertUsers(users, topic, template, argsFor) {
+  const subscribed = await filterUnsubscribed(users, topic);
+  let queued = 0,
+    failed = 0;
+  for (const user of subscribed) {
+    const recipient = recipientOf(user);
+    if (!recipient) {
+      logger.warn(`Skipped ${template.name} for user ${user._id}: no address`);
+      continue;
+    }
+    try {
+      await enqueueEmail(recipient, template, ...argsFor(user));
+      queued += 1;
+    } catch (err) {
+      failed += 1;
+      logger.error(`Failed to queue ${template.name} to ${recipient}:`, {
+        message: err.message,
+      });
+    }
+  }
+  if (failed && !queued) {
+    throw new Error(`Failed to queue ${failed} ${template.name} emails`);
+  }
+  return { queued, failed };
+}
+
+/**
+ * Loads the users a watcher recorded in context.userIds
+ * @param {Object} event - WatcherEvent
+ * @returns {Promise<Object[]>} Users
+ */
+const usersOf = (event) =>
+  User.find({ _id: { $in: event.context?.userIds || [] } })
+    .select('email username firstName')
+    .lean();
+
+/**
+ * Donor alert for a race: the race comes from the pol's state either side
+ * @param {Function} template - Challenger/incumbent template
+ * @returns {Function} Event handler
+ */
+const raceAlert = (template) => async (event) => {
+  const { state, district } = event.after || event.before;
+  return alertUsers(
+    await usersOf(event),
+    EMAIL_TOPICS.districtUpdates,
+    template,
+    (user) => [user.firstName || '', state, district, event.entity.label]
+  );
+};
+
+const handlers = {
+  roster_change: (event) => {
+    const { chamber, joined = [], left = [] } = event.after;
+    if (event.action === 'bootstrap') {
+      return alertStaff(
+        `${chamber} watcher bootstrap`,
+        `<h3>${chamber} watcher bootstrap</h3><p>Roster synced (${event.context.memberCount} members). No per-member alerts or social posts this run.</p><small>${event.occurred_at.toISOString()}</small>`
+      );
+    }
+    return alertStaff(
+      `${chamber} membership change`,
+      `
+      <h3>${chamber} roster changed</h3>
+      ${joined.length ? `<p>✅ Joined: ${joined.join(', ')}</p>` : ''}
+      ${left.length ? `<p>❌ Left : ${left.join(', ')}</p>` : ''}
+      <small>${event.occurred_at.toISOString()}</small>`
+    );
+  },
+
+  roster_integrity: (event) => {
+    const { subject, body } = event.context;
+    return alertStaff(
+      subject,
+      `<pre>${String(body).replace(/</g, '&lt;').replace(/>/g, '&gt;')}</pre>`
+    );
+  },
+
+  challengers: (event) => {
+    if (event.action === 'removed') {
+      return raceAlert(ChallengerDisappeared)(event);
+    }
+    return raceAlert(
+      event.context?.reappearance ? ChallengerReappeared : ChallengerAppeared
+    )(event);
+  },
+
+  incumbents: (event) =>
+    event.action === 'removed' ? raceAlert(IncumbentDroppedOut)(event) : null,
+
+  bill_status: async (event) => {
+    const users = await User.find()
+      .select('email username firstName settings.unsubscribedFrom')
+      .lean();
+    const { before, after, context } = event;
+    return alertUsers(users, EMAIL_TOPICS.billUpdates, BillUpdated, (user) => [
+      user.firstName || '',
+      {
+        statusOld: before.status,
+        statusNew: after.status,
+        lastAction: after.lastAction,
+        committeesNew: after.committees,
+        totalDonations: context.totalDonations,
+        billLabel: event.entity.label,
+        billTitle: context.billTitle,
+      },
+    ]);
+  },
+
+  election_dates: async (event) => {
+    let emailsSent = 0,
+      failedStates = 0;
+    for (const state of event.context.states) {
+      try {
+        const result = await handleElectionDateChange(
+          state,
+          event.before[state],
+          event.after[state]
+        );
+        emailsSent += result.totalEmailsSent;
+      } catch (err) {
+        failedStates += 1;
+        logger.error(`Failed to send notifications for ${state}:`, {
+          message: err.message,
+        });
+      }
+    }
+    if (failedStates === event.context.states.length) {
+      throw new Error('Election date notifications failed for every state');
+    }
+    return { emailsSent, failedStates };
+  },
+};
+
+module.exports = { channel: 'email', handlers };
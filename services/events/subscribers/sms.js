@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Watcher event SMS subscriber
+ *
+ * One-line staff texts for the events worth a phone alert.
+ *
+ * CHANNELS
+ * - roster_change: Emailed to PHONE_NUMBER's carrier text gateway (the
+ *   working path today; skipped when PHONE_NUMBER is unset)
+ * - challengers, incumbents: sendSMS (Twilio; logs only while disabled)
+ *
+ * @module services/events/subscribers/sms
+ * @requires ../../utils/sendSMS
+ * @requires ../../../controller/comms
+ * @requires ../../../controller/comms/emails/alerts/formatters
+ */
+
+const { sendSMS } = require('../../utils/sendSMS');
+const { enqueueEmail } = require('../../../controller/comms');
+const {
+  formatRace,
+} = require('../../../controller/comms/emails/alerts/formatters');
+
+/** Sender address index (alerts-noreply; see controller/comms/addresses). */
+const FROM_INDEX = 3;
+
+/**
+ * Template for a text sent through the carrier's email gateway
+ * @param {string} subject
+ * @param {string} text
+ * @returns {[number, string, string]} [fromIndex, subject, html]
+ */
+const GatewayText = (subject, text) => [FROM_INDEX, subject, text];
+
+/**
+ * Race label of a pol event ('TX-05', 'TX (Senate)', ...)
+ * @param {Object} event - WatcherEvent
+ * @returns {string}
+ */
+const raceOf = (event) => {
+  const { state, district } = event.after || event.before;
+  return formatRace(state, district);
+};
+
+/**
+ * Number of users the watcher recorded for the event
+ * @param {Object} event - WatcherEvent
+ * @returns {number}
+ */
+const userCount = (event) => event.context?.userIds?.length || 0;
+
+/**
+ * Sends a text and reports it
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} { text }
+ */
+async function text(body) {
+  await sendSMS(body);
+  return { text: body };
+}
+
+const handlers = {
+  roster_change: async (event) => {
+    const phone = process.env.PHONE_NUMBER;
+    if (!phone) return null;
+    const { chamber, joined = [], left = [] } = event.after;
+    const bootstrap = event.action === 'bootstrap';
+    const body = bootstrap
+      ? `${chamber} roster synced (${event.context.memberCount} members).`
+      : `${chamber} changed. +${joined.length} / -${left.length}.`;
+    await enqueueEmail(
+      `${phone.replace('.', '')}@txt.att.net`,
+      GatewayText,
+      bootstrap
+        ? `${chamber} watcher bootstrap`
+        : `${chamber} membership change`,
+      body
+    );
+    return { text: body };
+  },
+
+  challengers: (event) => {
+    if (event.action === 'removed') {
+      return text(
+        `Challenger left race in ${raceOf(event)}. ${userCount(event)} celebrations paused.`
+      );
+    }
+    // Donors with Celebrations get the reappearance email; no text
+    if (event.context?.reappearance) return null;
+    return text(
+      `New challenger in ${raceOf(event)}. ${userCount(event)} users notified.`
+    );
+  },
+
+  incumbents: (event) =>
+    event.action === 'removed'
+      ? text(
+          `Incumbent dropped out in ${raceOf(event)}. ${userCount(event)} celebrations defuncted.`
+        )
+      : null,
+};
+
+module.exports = { channel: 'sms', handlers };
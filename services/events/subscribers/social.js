@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Watcher event social webhook subscriber
+ *
+ * Posts watcher events to the social automation webhook (postToSocial, with
+ * its rate limits and per-run caps) and, for tracked bills that configure
+ * one, the bill's own webhook. The event's dedupe key is sent as the post's
+ * dedupe_key.
+ *
+ * POSTED
+ * - house_membership, senate_membership: every member added or removed
+ * - challengers: a race gaining a challenger (not losing one)
+ * - incumbents: an incumbent filing or dropping out
+ * - bill_status, election_dates, session_end: every event
+ *
+ * socialFields(event) maps any event to postToSocial's fields; partner
+ * webhooks (./webhooks) send the same body.
+ *
+ * @module services/events/subscribers/social
+ * @requires axios
+ * @requires ../../utils/socialPoster
+ */
+
+const axios = require('axios');
+const { postToSocial } = require('../../utils/socialPoster');
+const logger = require('../../utils/logger')(__filename);
+
+/**
+ * Member or race fields from the pol's state either side of the change
+ * @param {Object} event - WatcherEvent
+ * @returns {Object} postToSocial fields
+ */
+function polFields(event) {
+  const { state, district, chamber, polName, handles } =
+    event.after || event.before;
+  return {
+    eventType: event.type,
+    dedupeKey: event.dedupe_key,
+    action: event.action,
+    polName,
+    handles,
+    district,
+    state,
+    chamber,
+  };
+}
+
+/**
+ * Flat bill payload for per-bill webhooks (Make.com scenario mapping)
+ * @param {Object} event - bill_status WatcherEvent
+ * @returns {Object} Payload
+ */
+function billPayload(event) {
+  const { before, after, context } = event;
+  const changeSummary = [];
+  if (before.status != null && after.status != null) {
+    changeSummary.push(`Status: ${before.status} → ${after.status}`);
+  }
+  if (after.lastAction && typeof after.lastAction === 'object') {
+    changeSummary.push(
+      `Latest action: ${after.lastAction.text || JSON.stringify(after.lastAction)}`
+    );
+  }
+  if (after.committees.length) {
+    changeSummary.push(`Committees: ${after.committees.join(', ')}`);
+  }
+  return {
+    event_type: 'bill_updated',
+    change_summary: changeSummary,
+    session_label: `${context.congress}th Congress`,
+    bill_id: event.entity.label,
+    bill_title: context.billTitle,
+    previous_status: before.status || '',
+    new_status: after.status || '',
+    last_action_text: after.lastAction?.text || '',
+    update_date: after.updateDate,
+    total_donations: context.totalDonations,
+    dedupe_key: event.dedupe_key,
+    committees_changed: context.committeesChanged,
+    committees: after.committees,
+  };
+}
+
+const FIELDS = {
+  house_membership: polFields,
+  senate_membership: polFields,
+  incumbents: polFields,
+  challengers: polFields,
+
+  bill_status: (event) => {
+    const payload = billPayload(event);
+    return {
+      eventType: 'bill_status',
+      dedupeKey: payload.dedupe_key,
+      billId: payload.bill_id,
+      billTitle: payload.bill_title,
+      previousStatus: payload.previous_status,
+      newStatus: payload.new_status,
+      lastActionText: payload.last_action_text,
+      updateDate: payload.update_date,
+      committeesChanged: payload.committees_changed,
+      committees: payload.committees,
+    };
+  },
+
+  election_dates: (event) => ({
+    eventType: 'election_dates',
+    dedupeKey: event.dedupe_key,
+    states: event.context.states,
+    changeSummary: event.context.changeSummary,
+  }),
+
+  session_end: (event) => ({
+    eventType: 'session_end',
+    dedupeKey: event.dedupe_key,
+    sessionLabel: event.entity.label,
+    convertedCount: event.context.convertedCount,
+  }),
+};
+
+/**
+ * postToSocial fields for an event
+ * @param {Object} event - WatcherEvent
+ * @returns {Object|null} Fields, or null for types with no social shape
+ *   (roster_change, roster_integrity)
+ */
+const socialFields = (event) => FIELDS[event.type]?.(event) || null;
+
+const post = (event) => postToSocial(socialFields(event));
+
+const handlers = {
+  house_membership: post,
+  senate_membership: post,
+  incumbents: post,
+  challengers: (event) => (event.action === 'added' ? post(event) : null),
+
+  bill_status: async (event) => {
+    const payload = billPayload(event);
+
+    // Per-bill webhook first, so a social webhook failure does not skip it
+    let billWebhook = null;
+    if (event.context.webhookUrl) {
+      try {
+        await axios.post(event.context.webhookUrl, payload, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 10000,
+        });
+        billWebhook = 'sent';
+      } catch (err) {
+        logger.error('Bill webhook POST failed', {
+          billId: event.entity.id,
+          error: err.message,
+          status: err.response?.status,
+        });
+        billWebhook = 'failed';
+      }
+    }
+
+    await post(event);
+    return billWebhook && { billWebhook };
+  },
+
+  election_dates: post,
+  session_end: post,
+};
+
+module.exports = { channel: 'social', handlers, socialFields };
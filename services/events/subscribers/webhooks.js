@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Watcher event partner webhook subscriber
+ *
+ * Queues each event for the partner endpoints subscribed to its type
+ * (services/events/webhookService). The body is the social webhook's, built
+ * from the same fields the social subscriber posts (socialFields); the
+ * delivery worker signs and sends it.
+ *
+ * QUEUED
+ * - Every WEBHOOKS.EVENT_TYPES event, including the ones the social
+ *   subscriber leaves out (a race losing its challenger)
+ *
+ * @module services/events/subscribers/webhooks
+ * @requires ../../../constants
+ * @requires ../../utils/socialPoster
+ * @requires ../webhookService
+ * @requires ./social
+ */
+
+const { WEBHOOKS } = require('../../../constants');
+const { buildSocialBody } = require('../../utils/socialPoster');
+const { enqueueDeliveries } = require('../webhookService');
+const { socialFields } = require('./social');
+
+/**
+ * Queues an event for its subscribed endpoints
+ * @param {Object} event - WatcherEvent
+ * @returns {Promise<Object|null>} { queued }, or null when no endpoint
+ *   subscribes to the type
+ */
+async function queue(event) {
+  const queued = await enqueueDeliveries(
+    event,
+    buildSocialBody(socialFields(event))
+  );
+  return queued ? { queued } : null;
+}
+
+const handlers = Object.fromEntries(
+  WEBHOOKS.EVENT_TYPES.map((type) => [type, queue])
+);
+
+module.exports = { channel: 'webhook', handlers };
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Partner Webhook Service
+ *
+ * Delivers watcher events to partner organizations' own systems. Staff
+ * register an endpoint (URL, event types, active flag) and share its secret
+ * with the partner; every new watcher event of a subscribed type is queued
+ * for the endpoint and POSTed by the delivery worker
+ * (jobs/webhookDeliveryWorker), signed with the secret and retried with
+ * exponential backoff. The body is the social webhook's (buildSocialBody in
+ * services/utils/socialPoster), so a partner can reuse a social automation.
+ *
+ * KEY FUNCTIONS
+ *
+ * enqueueDeliveries(event, payload)
+ * - Queues the payload for every active endpoint subscribed to the event's
+ *   type; returns how many were queued
+ *
+ * processDeliveries(options)
+ * - Claims due deliveries one at a time and POSTs them
+ * - Records each attempt (HTTP status or error, duration) and the final
+ *   status
+ *
+ * signPayload(secret, timestamp, body) / backoffMs(attempts)
+ * - Signature of a delivery; wait before the next attempt
+ *
+ * createEndpoint / updateEndpoint / rotateSecret / listEndpoints
+ * - Endpoint management for the admin API; the secret is returned only by
+ *   createEndpoint and rotateSecret
+ *
+ * listDeliveries(endpointId, filters, options)
+ * - An endpoint's delivery log, newest first
+ *
+ * BUSINESS LOGIC
+ *
+ * SIGNING
+ * - X-Powerback-Signature is 'sha256=' + hex HMAC-SHA256 of
+ *   '<X-Powerback-Timestamp>.<raw body>' with the endpoint's secret
+ * - The timestamp (Unix seconds) is set per attempt, so receivers can
+ *   reject stale or replayed deliveries
+ * - X-Powerback-Delivery (delivery ID) is stable across retries and
+ *   X-Powerback-Event carries the event type
+ *
+ * CLAIMING AND RETRIES
+ * - A delivery is claimed atomically (status 'sending', locked_until set),
+ *   so several workers never POST the same delivery at once
+ * - Any 2xx response is success; anything else, a timeout or a network
+ *   error is a failed attempt. Redirects are not followed
+ * - Wait BASE_DELAY_MS after the first failure, doubling each time, capped
+ *   at MAX_DELAY_MS; after MAX_ATTEMPTS failures the delivery is 'dead'
+ * - Deactivating an endpoint stops new deliveries; queued ones still go
+ *
+ * DEPENDENCIES
+ * - models/WebhookEndpoint, models/WebhookDelivery: Endpoints and log
+ * - axios: HTTP delivery
+ *
+ * @module services/events/webhookService
+ * @requires crypto
+ * @requires axios
+ * @requires ../../models
+ * @requires ../../constants
+ * @requires ../utils/logger
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { WebhookEndpoint, WebhookDelivery } = require('../../models');
+const { WEBHOOKS } = require('../../constants');
+const logger = require('../utils/logger')(__filename);
+
+/**
+ * Wait before the next attempt
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Delay in milliseconds
+ */
+const backoffMs = (attempts) =>
+  Math.min(
+    WEBHOOKS.BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+    WEBHOOKS.MAX_DELAY_MS
+  );
+
+/**
+ * New endpoint signing secret
+ * @returns {string} 64 hex characters
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Signs a delivery body
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds, as sent in X-Powerback-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Endpoint as returned by the admin API (no secret)
+ * @param {Object} endpoint - WebhookEndpoint document or plain object
+ * @returns {Object} Endpoint
+ */
+function publicEndpoint(endpoint) {
+  const { secret, __v, ...rest } = endpoint.toObject
+    ? endpoint.toObject()
+    : endpoint;
+  return rest;
+}
+
+/**
+ * Queues a watcher event for every active endpoint subscribed to its type
+ * @param {Object} event - WatcherEvent
+ * @param {Object} payload - JSON body (buildSocialBody)
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function enqueueDeliveries(event, payload) {
+  const endpoints = await WebhookEndpoint.find(
+    { active: true, event_types: event.type },
+    { _id: 1 }
+  ).lean();
+  if (!endpoints.length) return 0;
+
+  try {
+    const queued = await WebhookDelivery.insertMany(
+      endpoints.map((e) => ({
+        endpoint: e._id,
+        event: event._id,
+        event_type: event.type,
+        dedupe_key: event.dedupe_key,
+        payload,
+      })),
+      { ordered: false }
+    );
+    return queued.length;
+  } catch (err) {
+    // Already queued for some endpoints; count the rest
+    if (err.code === 11000 && err.insertedDocs) {
+      return err.insertedDocs.length;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Claims the next due delivery, if any
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed delivery
+ */
+function claimNext(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', next_attempt_at: { $lte: now } },
+        { status: 'sending', locked_until: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'sending',
+        locked_until: new Date(now.getTime() + WEBHOOKS.LOCK_MS),
+      },
+    },
+    { sort: { next_attempt_at: 1 }, new: true }
+  );
+}
+
+/**
+ * POSTs one claimed delivery and records the outcome
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ * @param {Date} at - Time of the attempt
+ * @returns {Promise<string>} 'sent' | 'retry' | 'dead'
+ */
+async function attempt(delivery, at) {
+  const attempts = delivery.attempts + 1;
+  const started = Date.now();
+
+  try {
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint)
+      .select('+secret')
+      .lean();
+    if (!endpoint) throw new Error('Endpoint no longer exists');
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(at.getTime() / 1000);
+    const res = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Powerback-Event': delivery.event_type,
+        'X-Powerback-Delivery': String(delivery._id),
+        'X-Powerback-Timestamp': String(timestamp),
+        'X-Powerback-Signature': signPayload(endpoint.secret, timestamp, body),
+      },
+      timeout: WEBHOOKS.TIMEOUT_MS,
+      maxRedirects: 0,
+    });
+
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: { status: 'sent', attempts, sent_at: at },
+        $unset: { locked_until: 1 },
+        $push: {
+          attempt_log: {
+            at,
+            ok: true,
+            status_code: res.status,
+            duration_ms: Date.now() - started,
+          },
+        },
+      }
+    );
+    return 'sent';
+  } catch (err) {
+    const dead = attempts >= WEBHOOKS.MAX_ATTEMPTS;
+    const error = err.response
+      ? `HTTP ${err.response.status}`
+      : err.code || err.message;
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'queued',
+          attempts,
+          last_error: error,
+          ...(dead
+            ? { dead_at: at }
+            : {
+                next_attempt_at: new Date(at.getTime() + backoffMs(attempts)),
+              }),
+        },
+        $unset: { locked_until: 1 },
+        $push: {
+          attempt_log: {
+            at,
+            ok: false,
+            status_code: err.response?.status,
+            error,
+            duration_ms: Date.now() - started,
+          },
+        },
+      }
+    );
+    if (dead) {
+      logger.error(
+        `Webhook delivery ${delivery._id} dead-lettered after ${attempts} attempts: ${error}`
+      );
+    } else {
+      logger.warn(
+        `Webhook delivery ${delivery._id} attempt ${attempts} failed, retrying in ${Math.round(
+          backoffMs(attempts) / 1000
+        )}s: ${error}`
+      );
+    }
+    return dead ? 'dead' : 'retry';
+  }
+}
+
+/**
+ * POSTs due deliveries
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum deliveries to attempt
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { claimed, sent, retried, dead }
+ */
+async function processDeliveries({
+  limit = WEBHOOKS.BATCH,
+  now = new Date(),
+} = {}) {
+  const summary = { claimed: 0, sent: 0, retried: 0, dead: 0 };
+  while (summary.claimed < limit) {
+    const delivery = await claimNext(now);
+    if (!delivery) break;
+    summary.claimed++;
+    const outcome = await attempt(delivery, now);
+    if (outcome === 'sent') summary.sent++;
+    else if (outcome === 'retry') summary.retried++;
+    else summary.dead++;
+  }
+  return summary;
+}
+
+/**
+ * Registers a partner endpoint
+ * @param {Object} fields
+ * @param {string} fields.name - Partner name
+ * @param {string} fields.url - HTTPS URL
+ * @param {string[]} fields.eventTypes - WEBHOOKS.EVENT_TYPES to deliver
+ * @param {boolean} [fields.active=true]
+ * @param {string} [createdBy] - Admin username
+ * @returns {Promise<Object>} Endpoint, with its secret
+ */
+async function createEndpoint(
+  { name, url, eventTypes, active = true },
+  createdBy
+) {
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    name,
+    url,
+    secret,
+    event_types: eventTypes,
+    active,
+    created_by: createdBy,
+  });
+  logger.info(`Webhook endpoint ${endpoint._id} (${name}) registered`);
+  return { ...publicEndpoint(endpoint), secret };
+}
+
+/**
+ * Changes an endpoint's name, URL, event types or active flag
+ * @param {string} id - Endpoint ID
+ * @param {Object} fields - { name?, url?, eventTypes?, active? }
+ * @returns {Promise<Object|null>} Updated endpoint, or null if not found
+ */
+async function updateEndpoint(id, { name, url, eventTypes, active }) {
+  const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+    id,
+    {
+      $set: {
+        ...(name !== undefined && { name }),
+        ...(url !== undefined && { url }),
+        ...(eventTypes !== undefined && { event_types: eventTypes }),
+        ...(active !== undefined && { active }),
+      },
+    },
+    { new: true, runValidators: true }
+  ).lean();
+  return endpoint && publicEndpoint(endpoint);
+}
+
+/**
+ * Replaces an endpoint's secret; deliveries signed from now on use it
+ * @param {string} id - Endpoint ID
+ * @returns {Promise<Object|null>} Endpoint with its new secret, or null
+ */
+async function rotateSecret(id) {
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.findByIdAndUpdate(
+    id,
+    { $set: { secret } },
+    { new: true }
+  ).lean();
+  if (!endpoint) return null;
+  logger.info(`Webhook endpoint ${id} secret rotated`);
+  return { ...publicEndpoint(endpoint), secret };
+}
+
+/**
+ * Every registered endpoint, with delivery counts by status
+ * @returns {Promise<Object[]>} Endpoints (no secrets)
+ */
+async function listEndpoints() {
+  const [endpoints, counts] = await Promise.all([
+    WebhookEndpoint.find().sort({ createdAt: 1 }).lean(),
+    WebhookDelivery.aggregate([
+      {
+        $group: {
+          _id: { endpoint: '$endpoint', status: '$status' },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+  return endpoints.map((e) => ({
+    ...publicEndpoint(e),
+    deliveries: Object.fromEntries(
+      counts
+        .filter((c) => String(c._id.endpoint) === String(e._id))
+        .map((c) => [c._id.status, c.count])
+    ),
+  }));
+}
+
+/**
+ * An endpoint's delivery log, newest first
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - 'queued' | 'sending' | 'sent' | 'dead'
+ * @param {string} [filters.type] - Event type
+ * @param {Object} [options]
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=25]
+ * @returns {Promise<Object>} { items, total, page, pages, limit }
+ */
+async function listDeliveries(
+  endpointId,
+  { status, type } = {},
+  { page = 1, limit = 25 } = {}
+) {
+  const query = {
+    endpoint: endpointId,
+    ...(status && { status }),
+    ...(type && { event_type: type }),
+  };
+  const [items, total] = await Promise.all([
+    WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookDelivery.countDocuments(query),
+  ]);
+  return { items, total, page, pages: Math.ceil(total / limit), limit };
+}
+
+module.exports = {
+  backoffMs,
+  signPayload,
+  enqueueDeliveries,
+  processDeliveries,
+  createEndpoint,
+  updateEndpoint,
+  rotateSecret,
+  listEndpoints,
+  listDeliveries,
+};
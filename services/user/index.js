@@ -19,23 +19,32 @@
  * DISTRICT MANAGEMENT
  * - updateUserDistrict: Update user's congressional district via Google Civics API
  *
+ * STAFF ROLES
+ * - getRoles, hasRole: Read a user's staff roles
+ * - grantRole, revokeRole: Change roles (audited)
+ * - listRoleHolders: Review who holds a role
+ *
  * DEPENDENCIES
  * - ./promoteUser: User promotion service
  * - ./userDistrict: District update service
  * - ./donorValidation: Donor validation service
+ * - ./roleService: Staff role service
  *
  * @module services/user
  * @requires ./promoteUser
  * @requires ./userDistrict
  * @requires ./donorValidation
+ * @requires ./roleService
  */
 
 const { promoteUser } = require('./promoteUser');
 const { updateUserDistrict } = require('./userDistrict');
 const { ...donorValidation } = require('./donorValidation');
+const { ...roleService } = require('./roleService');
 
 module.exports = {
   promoteUser,
   updateUserDistrict,
   ...donorValidation,
+  ...roleService,
 };
@@ -14,8 +14,9 @@
  * - Required for Compliant tier promotion
  *
  * CONGRESSIONAL DISTRICT LOOKUP
- * - Looks up user's congressional district using Google Civics API
- * - Handles API failures gracefully
+ * - Looks up user's congressional district through the district resolver
+ *   (Google Civics, failing over to local TIGER / ZIP crosswalk data)
+ * - Handles lookup failures gracefully
  * - Sets addressValidationFlag if lookup fails
  * - Throws 'prompt-requery' if address ambiguous
  *
@@ -85,10 +86,10 @@ async function promoteUser(userDoc, UserModel, promoteFn) {
   const fullAddress = `${address} ${city} ${state} ${zip}`;
 
   /**
-   * Looks up the user's congressional district using Google Civics API
+   * Looks up the user's congressional district through the district resolver
    * This is required for FEC compliance and donation tracking
    *
-   * If the API call fails, we log the error and continue with promotion
+   * If every resolver fails, we log the error and continue with promotion
    * but flag the user for having an invalid address
    *
    * @throws {Error} 'prompt-requery' - If address is ambiguous and needs more detail
@@ -97,10 +98,10 @@ async function promoteUser(userDoc, UserModel, promoteFn) {
   let addressValidationFlag = null;
 
   try {
-    districtInfo = await getLocalPols(fullAddress);
+    districtInfo = await getLocalPols(fullAddress, { zip, state });
     if (districtInfo === 'prompt-requery') throw new Error('prompt-requery');
     if (!districtInfo) {
-      // API returned null/undefined - address may be invalid
+      // No resolver placed the address - it may be invalid
       districtInfo = ''; // Set empty string to continue promotion
       addressValidationFlag = {
         field: 'address',
@@ -111,11 +112,11 @@ async function promoteUser(userDoc, UserModel, promoteFn) {
       logger.warn('Congressional district lookup failed for user', {
         userId: userDoc._id || userDoc.id,
         address: fullAddress,
-        reason: 'API returned null/undefined',
+        reason: 'No district resolver returned a district',
       });
     }
   } catch (error) {
-    // API call failed - log error and continue with promotion
+    // Lookup failed - log error and continue with promotion
     districtInfo = ''; // Set empty string to continue promotion
     addressValidationFlag = {
       field: 'address',
@@ -123,7 +124,7 @@ async function promoteUser(userDoc, UserModel, promoteFn) {
       match: 'district_lookup_failed',
       originalValue: fullAddress,
     };
-    logger.error('Google Civics API call failed during user promotion', {
+    logger.error('District lookup failed during user promotion', {
       userId: userDoc._id || userDoc.id,
       address: fullAddress,
       error: error.message,
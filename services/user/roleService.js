@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Staff Role Service
+ *
+ * This service reads and changes the staff roles stored on User documents
+ * (User.roles). Roles replace the hardcoded admin ID list: a staff member is
+ * added or removed with scripts/manage-roles.js instead of a code deploy.
+ *
+ * KEY FUNCTIONS
+ *
+ * getRoles(userId, UserModel)
+ * - Returns the roles a user holds ([] for unknown users)
+ *
+ * hasRole(userId, allowedRoles, UserModel)
+ * - True if the user holds any allowed role (admins hold every role)
+ *
+ * grantRole(userId, role, options, UserModel)
+ * revokeRole(userId, role, options, UserModel)
+ * - Atomically add/remove a role and write a ROLE_GRANTED/ROLE_REVOKED
+ *   security audit event naming the actor and reason
+ *
+ * listRoleHolders(role, UserModel)
+ * - Users holding a role (or any role), for periodic review
+ *
+ * BUSINESS LOGIC
+ * - Roles are read from the database on each check, so a revocation takes
+ *   effect on the next request without waiting for tokens to expire
+ * - Granting a role the user already holds (or revoking one they lack) is a
+ *   no-op and is not audited
+ *
+ * ERROR HANDLING
+ * - 'invalid-role': Role is not defined in constants/admin
+ * - 'user-not-found': No user with that ID
+ *
+ * DEPENDENCIES
+ * - constants/admin: Role definitions
+ * - services/utils/auditLogger: Security audit events
+ * - services/utils/logger: Logging
+ *
+ * @module services/user/roleService
+ * @requires ../../constants/admin
+ * @requires ../utils/auditLogger
+ * @requires ../utils/logger
+ */
+
+const { ROLE_LIST, isRole, roleSatisfies } = require('../../constants/admin');
+const { SECURITY_EVENTS, logRoleChange } = require('../utils/auditLogger');
+
+/**
+ * Returns the roles a user holds
+ * @param {string} userId - User ID
+ * @param {Object} UserModel - User model
+ * @returns {Promise<string[]>} Roles ([] if none or user not found)
+ */
+async function getRoles(userId, UserModel) {
+  if (!userId) return [];
+  const user = await UserModel.findById(userId).select('roles').lean();
+  return user?.roles ?? [];
+}
+
+/**
+ * Checks if a user holds any of the allowed roles
+ * @param {string} userId - User ID
+ * @param {string[]} allowedRoles - Roles any one of which is sufficient
+ * @param {Object} UserModel - User model
+ * @returns {Promise<boolean>} True if permitted
+ */
+async function hasRole(userId, allowedRoles, UserModel) {
+  return roleSatisfies(await getRoles(userId, UserModel), allowedRoles);
+}
+
+/**
+ * Adds or removes a role and audits the change
+ * @param {'grant'|'revoke'} action - Change to make
+ * @param {string} userId - Target user ID
+ * @param {string} role - Role name
+ * @param {Object} options - { actor, reason, ip, userAgent }
+ * @param {Object} UserModel - User model
+ * @returns {Promise<{ changed: boolean, roles: string[] }>} Result
+ * @throws {Error} 'invalid-role' | 'user-not-found'
+ */
+async function changeRole(action, userId, role, options, UserModel) {
+  if (!isRole(role)) throw new Error('invalid-role');
+
+  const { actor = 'unknown', reason, ip, userAgent } = options;
+  const granting = action === 'grant';
+
+  // Match only users whose roles would change so the update doubles as the check
+  const updated = await UserModel.findOneAndUpdate(
+    { _id: userId, roles: granting ? { $ne: role } : role },
+    granting ? { $addToSet: { roles: role } } : { $pull: { roles: role } },
+    { new: true, projection: { roles: 1 } }
+  ).lean();
+
+  if (!updated) {
+    const user = await UserModel.findById(userId).select('roles').lean();
+    if (!user) throw new Error('user-not-found');
+    return { changed: false, roles: user.roles ?? [] };
+  }
+
+  logRoleChange(
+    granting ? SECURITY_EVENTS.ROLE_GRANTED : SECURITY_EVENTS.ROLE_REVOKED,
+    String(userId),
+    role,
+    actor,
+    { reason, ip, userAgent }
+  );
+
+  return { changed: true, roles: updated.roles };
+}
+
+/**
+ * Grants a role to a user
+ * @param {string} userId - Target user ID
+ * @param {string} role - Role name
+ * @param {Object} [options={}] - { actor, reason, ip, userAgent }
+ * @param {Object} UserModel - User model
+ * @returns {Promise<{ changed: boolean, roles: string[] }>} Result
+ */
+async function grantRole(userId, role, options = {}, UserModel) {
+  return changeRole('grant', userId, role, options, UserModel);
+}
+
+/**
+ * Revokes a role from a user
+ * @param {string} userId - Target user ID
+ * @param {string} role - Role name
+ * @param {Object} [options={}] - { actor, reason, ip, userAgent }
+ * @param {Object} UserModel - User model
+ * @returns {Promise<{ changed: boolean, roles: string[] }>} Result
+ */
+async function revokeRole(userId, role, options = {}, UserModel) {
+  return changeRole('revoke', userId, role, options, UserModel);
+}
+
+/**
+ * Lists users holding a role
+ * @param {string|null} role - Role name, or null for any role
+ * @param {Object} UserModel - User model
+ * @returns {Promise<Object[]>} Users ({ _id, username, roles })
+ */
+async function listRoleHolders(role, UserModel) {
+  return UserModel.find({ roles: role ?? { $in: ROLE_LIST } })
+    .select('username roles')
+    .sort({ username: 1 })
+    .lean();
+}
+
+module.exports = {
+  getRoles,
+  hasRole,
+  grantRole,
+  revokeRole,
+  listRoleHolders,
+};
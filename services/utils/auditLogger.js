@@ -14,6 +14,7 @@
  * - Security Violations: RATE_LIMIT_EXCEEDED, CSRF_TOKEN_INVALID, CSP_VIOLATION
  * - Payment & Compliance: DONATION_ATTEMPT, COMPLIANCE_VIOLATION, PAC_LIMIT_REACHED
  * - System Events: UNAUTHORIZED_ACCESS, PRIVILEGE_ESCALATION, DATA_BREACH_ATTEMPT
+ * - Staff Roles: ROLE_GRANTED, ROLE_REVOKED, ROLE_DENIED
  *
  * SEVERITY LEVELS
  * - LOW: Informational events (successful operations)
@@ -94,6 +95,11 @@ const SECURITY_EVENTS = {
   UNAUTHORIZED_ACCESS: 'UNAUTHORIZED_ACCESS',
   PRIVILEGE_ESCALATION: 'PRIVILEGE_ESCALATION',
   DATA_BREACH_ATTEMPT: 'DATA_BREACH_ATTEMPT',
+
+  // Staff role events
+  ROLE_GRANTED: 'ROLE_GRANTED',
+  ROLE_REVOKED: 'ROLE_REVOKED',
+  ROLE_DENIED: 'ROLE_DENIED',
 };
 
 /**
@@ -371,6 +377,44 @@ function logDataBreachAttempt(attemptedAccess, ip, userAgent, context = {}) {
   );
 }
 
+/**
+ * Log staff role grants and revocations
+ * Every change is HIGH severity so it stands out in the logs.
+ */
+function logRoleChange(eventType, targetUserId, role, actor, context = {}) {
+  const eventData = {
+    targetUserId,
+    role,
+    actor,
+    reason: context.reason || null,
+    message: `Role ${role} ${
+      eventType === SECURITY_EVENTS.ROLE_GRANTED ? 'granted to' : 'revoked from'
+    } user ${targetUserId} by ${actor}`,
+  };
+
+  return logSecurityEvent(eventType, eventData, context, SEVERITY_LEVELS.HIGH);
+}
+
+/**
+ * Log requests refused for lack of a staff role
+ */
+function logRoleDenied(userId, requiredRoles, endpoint, method, context = {}) {
+  const eventData = {
+    userId,
+    requiredRoles,
+    endpoint,
+    method,
+    message: `User ${userId} lacks role (${requiredRoles.join(', ')}) for ${method} ${endpoint}`,
+  };
+
+  return logSecurityEvent(
+    SECURITY_EVENTS.ROLE_DENIED,
+    eventData,
+    { ...context, userId },
+    SEVERITY_LEVELS.MEDIUM
+  );
+}
+
 /**
  * Get security event statistics
  */
@@ -398,5 +442,7 @@ module.exports = {
   logUnauthorizedAccess,
   logPrivilegeEscalation,
   logDataBreachAttempt,
+  logRoleChange,
+  logRoleDenied,
   getSecurityStats,
 };
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview CSV serialization helpers
+ *
+ * Minimal RFC 4180 writer for server-side exports. Fields containing commas,
+ * quotes or line breaks are quoted, with embedded quotes doubled. Lines end
+ * in CRLF as the RFC specifies.
+ *
+ * KEY FUNCTIONS
+ *
+ * escapeCsvField(value)
+ * - Serializes one field; null and undefined become empty
+ *
+ * toCsv(columns, rows)
+ * - Serializes a header row and one line per row object
+ *
+ * @module services/utils/csv
+ */
+
+/**
+ * Serializes one CSV field
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const stringValue =
+    value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(stringValue)
+    ? `"${stringValue.replace(/"/g, '""')}"`
+    : stringValue;
+}
+
+/**
+ * Serializes rows to CSV
+ * @param {Array<{ key: string, header: string }>} columns - Column keys and header labels
+ * @param {Object[]} rows - Row objects keyed by column key
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => escapeCsvField(c.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCsvField(row[c.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeCsvField, toCsv };
@@ -47,6 +47,13 @@
  * - logUnauthorizedAccess: Log unauthorized access
  * - logPrivilegeEscalation: Log privilege escalation
  * - logDataBreachAttempt: Log data breach attempts
+ * - logRoleChange: Log staff role grants and revocations
+ * - logRoleDenied: Log requests refused for lack of a role
+ *
+ * EXPORTS
+ * - toCsv: Serialize rows to CSV
+ * - escapeCsvField: Escape one CSV field
+ * - toPdf: Render text blocks to a PDF
  *
  * ERROR RESPONSES
  * - createErrorResponse: Create standardized error response
@@ -64,6 +71,7 @@
  * - ./cookies: Cookie operations
  * - ./auditLogger: Security audit logging
  * - ./errorResponse: Error response utilities
+ * - ./csv: CSV serialization
  *
  * @module services/utils
  * @requires ./rateLimitHelpers
@@ -76,6 +84,8 @@
  * @requires ./auditLogger
  * @requires ./errorResponse
  * @requires ./socialPoster
+ * @requires ./csv
+ * @requires ./pdf
  */
 
 const {
@@ -90,6 +100,7 @@ const { fixPolName } = require('./fixPolName');
 const {
   normalizeHouseDistrictKeyPart,
   resolveHouseDistrictForPolRole,
+  resolveSenateRoleForState,
   buildHouseRoleOcdId,
   HOUSE_AT_LARGE_STORAGE,
   isNonVotingHouseJurisdiction,
@@ -99,6 +110,8 @@ const { ...cookieServices } = require('./cookies');
 const { postToSocial, resetSocialPostRunCount } = require('./socialPoster');
 const { ...auditServices } = require('./auditLogger');
 const { ...errorResponseServices } = require('./errorResponse');
+const { toCsv, escapeCsvField } = require('./csv');
+const { toPdf } = require('./pdf');
 
 module.exports = {
   DockingManager,
@@ -109,11 +122,15 @@ module.exports = {
   fixPolName,
   normalizeHouseDistrictKeyPart,
   resolveHouseDistrictForPolRole,
+  resolveSenateRoleForState,
   buildHouseRoleOcdId,
   HOUSE_AT_LARGE_STORAGE,
   isNonVotingHouseJurisdiction,
   sendSMS,
   rateLimiters,
+  toCsv,
+  escapeCsvField,
+  toPdf,
   ...dbServices,
   ...csrfServices,
   ...auditServices,
@@ -204,8 +204,31 @@ function resolveHouseDistrictForPolRole(rawDistrict, stateCode) {
   };
 }
 
+/**
+ * Resolves a Senate role's `district` and `ocd_id`. Senators represent the
+ * whole state, so `district` is empty and `ocd_id` is the state-only division
+ * (`ocd-division/country:us/state:xx`), the same shape as an at-large House
+ * seat. Territories and DC have no Senate seats.
+ *
+ * @param {string} stateCode - term.stateCode from Congress.gov
+ * @returns {{ district: string, ocd_id: string } | null} null for non-states
+ */
+function resolveSenateRoleForState(stateCode) {
+  const state = String(stateCode || '')
+    .trim()
+    .toUpperCase();
+  if (!/^[A-Z]{2}$/.test(state) || isNonVotingHouseJurisdiction(state)) {
+    return null;
+  }
+  return {
+    district: '',
+    ocd_id: `ocd-division/country:us/state:${state.toLowerCase()}`,
+  };
+}
+
 module.exports = {
   HOUSE_AT_LARGE_STORAGE,
+  resolveSenateRoleForState,
   normalizeHouseDistrictKeyPart,
   resolveHouseDistrictForPolRole,
   buildHouseRoleOcdId,
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Minimal PDF writer for server-side text documents
+ *
+ * Renders a list of text blocks to a US Letter PDF using the standard
+ * Helvetica fonts, so exports and statements need no rendering dependency.
+ * Text wraps to the page width and flows onto new pages; an optional footer
+ * carries "Page n of N".
+ *
+ * KEY FUNCTIONS
+ *
+ * toPdf(blocks, options)
+ * - Serializes blocks to a PDF Buffer
+ *
+ * BLOCKS
+ * - { text, size?, bold?, indent? } - Wrapped paragraph (size in points,
+ *   default 10; indent in points)
+ * - { gap } - Vertical space in points
+ * - { rule: true } - Thin horizontal line across the text column
+ *
+ * LIMITS
+ * - Text is encoded as WinAnsi (Latin-1); other characters print as '?'
+ * - No images, tables or embedded fonts
+ *
+ * @module services/utils/pdf
+ */
+
+const PAGE_WIDTH = 612; // US Letter, points
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FOOTER_SIZE = 8;
+const LINE_SPACING = 1.35;
+
+/**
+ * Helvetica advance widths (1/1000 em) for ASCII 32–126, from the font's AFM
+ */
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const BOLD_WIDTH_FACTOR = 1.06; // Helvetica-Bold runs about 6% wider
+
+/**
+ * Width of a string in points
+ * @param {string} text
+ * @param {number} size - Font size
+ * @param {boolean} bold
+ * @returns {number}
+ */
+function textWidth(text, size, bold) {
+  let units = 0;
+  for (const ch of text) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return ((units * size) / 1000) * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Breaks a paragraph into lines that fit a width. Words longer than the
+ * width are split.
+ * @param {string} text
+ * @param {number} width - Available width in points
+ * @param {number} size - Font size
+ * @param {boolean} bold
+ * @returns {string[]}
+ */
+function wrap(text, width, size, bold) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, size, bold) > width && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * WinAnsi codes (octal) for common punctuation outside Latin-1
+ */
+const WIN_ANSI_EXTRAS = {
+  '\u2018': '\\221', // ‘
+  '\u2019': '\\222', // ’
+  '\u201C': '\\223', // “
+  '\u201D': '\\224', // ”
+  '\u2022': '\\225', // •
+  '\u2013': '\\226', // –
+  '\u2014': '\\227', // —
+  '\u2192': '->', // →
+};
+
+/**
+ * PDF string literal in WinAnsi, escaping delimiters and writing non-ASCII
+ * as octal
+ * @param {string} text
+ * @returns {string}
+ */
+function pdfString(text) {
+  let out = '';
+  for (const ch of text) {
+    const code = ch.charCodeAt(0);
+    if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+    else if (code >= 32 && code <= 126) out += ch;
+    else if (code >= 160 && code <= 255) out += `\\${code.toString(8)}`;
+    else out += WIN_ANSI_EXTRAS[ch] || '?';
+  }
+  return `(${out})`;
+}
+
+/**
+ * Lays blocks out into per-page content streams
+ * @param {Object[]} blocks
+ * @param {string} [footer] - Footer text; page numbers are appended
+ * @returns {string[]} One content stream per page
+ */
+function layout(blocks, footer) {
+  const bottom = MARGIN + (footer ? FOOTER_SIZE * 2 : 0);
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const newPage = () => {
+    pages.push(ops);
+    ops = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  for (const block of blocks) {
+    if (block.gap) {
+      y -= block.gap;
+      continue;
+    }
+    if (block.rule) {
+      if (y - 6 < bottom) newPage();
+      y -= 6;
+      ops.push(
+        `0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`
+      );
+      y -= 6;
+      continue;
+    }
+    const size = block.size || 10;
+    const indent = block.indent || 0;
+    const font = block.bold ? 'F2' : 'F1';
+    const leading = size * LINE_SPACING;
+    for (const line of wrap(
+      block.text ?? '',
+      PAGE_WIDTH - MARGIN * 2 - indent,
+      size,
+      block.bold
+    )) {
+      if (y - leading < bottom) newPage();
+      y -= leading;
+      if (line) {
+        ops.push(
+          `BT /${font} ${size} Tf ${MARGIN + indent} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`
+        );
+      }
+    }
+  }
+  pages.push(ops);
+
+  return pages.map((pageOps, i) =>
+    footer
+      ? [
+          ...pageOps,
+          `BT /F1 ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN} Td ${pdfString(
+            `${footer} — Page ${i + 1} of ${pages.length}`
+          )} Tj ET`,
+        ].join('\n')
+      : pageOps.join('\n')
+  );
+}
+
+/**
+ * PDF date string (D:YYYYMMDDHHmmSSZ)
+ * @param {Date} date
+ * @returns {string}
+ */
+function pdfDate(date) {
+  return `D:${date
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .replace(/\.\d{3}Z$/, 'Z')}`;
+}
+
+/**
+ * Renders text blocks to a PDF
+ *
+ * @param {Object[]} blocks - Text, gap and rule blocks (see module docs)
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (metadata)
+ * @param {string} [options.footer] - Footer text on every page
+ * @param {Date} [options.createdAt] - Creation date (metadata)
+ * @returns {Buffer} PDF file
+ *
+ * @example
+ * ```javascript
+ * const pdf = toPdf(
+ *   [{ text: 'Donation history', size: 16, bold: true }, { gap: 8 }, { text: '...' }],
+ *   { title: 'Donation history', footer: 'POWERBACK.us' }
+ * );
+ * ```
+ */
+function toPdf(blocks, { title = '', footer, createdAt = new Date() } = {}) {
+  const streams = layout(blocks, footer);
+  const objects = [];
+  const add = (body) => objects.push(body) && objects.length;
+
+  const catalogId = add(''); // filled in once the pages tree exists
+  const pagesId = add('');
+  const fontId = add(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  );
+  const boldId = add(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  );
+  const infoId = add(
+    `<< /Title ${pdfString(title)} /Producer (POWERBACK.us) /CreationDate (${pdfDate(createdAt)}) >>`
+  );
+
+  const pageIds = streams.map((stream) => {
+    const contentId = add(
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    );
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets
+    .map((o) => `${String(o).padStart(10, '0')} 00000 n \n`)
+    .join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { toPdf };
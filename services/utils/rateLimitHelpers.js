@@ -166,6 +166,24 @@ const rateLimiters = {
     legacyHeaders: false,
   }),
 
+  // Public embed widget - loaded by visitors of partner sites
+  embed: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300, // 300 requests per 15 minutes
+    message: 'Too many widget requests. Please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+  }),
+
+  // Shareable deep-link pages (server-rendered share meta)
+  share: createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300, // 300 requests per 15 minutes
+    message: 'Too many requests. Please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false,
+  }),
+
   // General API protection
   general: createRateLimiter({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -39,11 +39,12 @@ function resetSocialPostRunCount() {
 }
 
 /**
- * Sends an event payload to the configured webhook. Caller is responsible for
- * dedupeKey so the automation can avoid duplicate posts (e.g. same run, retries).
+ * Builds the webhook body for an event and checks that member events carry
+ * what the automation needs. Partner webhooks (services/events/webhookService)
+ * send the same body.
  *
  * @param {Object} opts
- * @param {string} opts.eventType - Event kind (e.g. challengers, house_membership).
+ * @param {string} opts.eventType - Event kind (e.g. challengers, house_membership, senate_membership).
  * @param {string} opts.dedupeKey - Unique key for this occurrence; used to dedupe on automation side.
  * @param {boolean} [opts.committeesChanged] - Whether committee assignments changed for bill_status.
  * @param {number} [opts.convertedCount] - Number of Celebrations converted to defunct for session_end.
@@ -57,6 +58,7 @@ function resetSocialPostRunCount() {
  * @param {string[]} [opts.committees] - Committee codes (e.g. HJUD) for bill_status.
  * @param {string} [opts.newStatus] - New bill status for bill_status.
  * @param {string} [opts.district] - Congressional district when applicable.
+ * @param {string} [opts.chamber] - 'House' or 'Senate' for member events (omitted when unset).
  * @param {number} [opts.donation] - Donation amount in dollars for celebration (no donor info sent).
  * @param {Object} [opts.handles] - Social handles (bluesky, mastodon, twitter, etc.) for linking.
  * @param {string} [opts.polName] - Display name of the politician.
@@ -64,9 +66,10 @@ function resetSocialPostRunCount() {
  * @param {string} [opts.billId] - Bill identifier (e.g. H.J.Res.54) for bill_status.
  * @param {string[]} [opts.states] - State codes with changes for election_dates.
  * @param {string} [opts.state] - State code when applicable.
- * @throws {Error} When SOCIAL_WEBHOOK_URL or SOCIAL_WEBHOOK_API_KEY is missing.
+ * @returns {Object} Webhook body (snake_case; unset optional fields omitted)
+ * @throws {Error} When a house_membership or senate_membership event lacks state, district or polName.
  */
-async function postToSocial({
+function buildSocialBody({
   committeesChanged,
   convertedCount,
   lastActionText,
@@ -81,6 +84,7 @@ async function postToSocial({
   eventType,
   newStatus,
   district,
+  chamber,
   donation,
   handles,
   polName,
@@ -89,43 +93,6 @@ async function postToSocial({
   states,
   state,
 }) {
-  if (DISABLED) {
-    return;
-  }
-
-  const key = process.env.SOCIAL_WEBHOOK_API_KEY;
-  const url = process.env.SOCIAL_WEBHOOK_URL;
-
-  if (!url || !key) {
-    throw new Error('Missing SOCIAL_WEBHOOK_URL or SOCIAL_WEBHOOK_API_KEY');
-  }
-
-  if (MAX_PER_RUN > 0 && runPostCount >= MAX_PER_RUN) {
-    logger.warn('Social post skipped: per-run cap reached', {
-      cap: MAX_PER_RUN,
-      eventType,
-      dedupeKey,
-    });
-    return;
-  }
-
-  const typeCount = runPostCountByType[eventType] || 0;
-  if (MAX_PER_EVENT_TYPE > 0 && typeCount >= MAX_PER_EVENT_TYPE) {
-    logger.warn('Social post skipped: per-event-type cap reached', {
-      eventType,
-      cap: MAX_PER_EVENT_TYPE,
-      dedupeKey,
-    });
-    return;
-  }
-
-  if (MIN_DELAY_MS > 0 && lastPostTime > 0) {
-    const elapsed = Date.now() - lastPostTime;
-    if (elapsed < MIN_DELAY_MS) {
-      await sleep(MIN_DELAY_MS - elapsed);
-    }
-  }
-
   const body = {
     dedupe_key: dedupeKey,
     event_type: eventType,
@@ -136,6 +103,7 @@ async function postToSocial({
     state,
   };
 
+  if (chamber != null) body.chamber = chamber;
   if (billId != null) body.bill_id = billId;
   if (billTitle != null) body.bill_title = billTitle;
   if (previousStatus != null) body.previous_status = previousStatus;
@@ -169,6 +137,71 @@ async function postToSocial({
     }
   }
 
+  // Senators have no district; state and polName are still required
+  if (eventType === 'senate_membership') {
+    const ok =
+      typeof state === 'string' &&
+      state.trim() &&
+      state !== 'NaN' &&
+      typeof polName === 'string' &&
+      polName.trim();
+    if (!ok) {
+      throw new Error('senate_membership requires non-empty state and polName');
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Sends an event payload to the configured webhook. Caller is responsible for
+ * dedupeKey so the automation can avoid duplicate posts (e.g. same run, retries).
+ *
+ * @param {Object} opts - Event fields; see buildSocialBody.
+ * @throws {Error} When SOCIAL_WEBHOOK_URL or SOCIAL_WEBHOOK_API_KEY is missing, or the body is invalid.
+ */
+async function postToSocial(opts) {
+  const { eventType, dedupeKey } = opts;
+
+  if (DISABLED) {
+    return;
+  }
+
+  const key = process.env.SOCIAL_WEBHOOK_API_KEY;
+  const url = process.env.SOCIAL_WEBHOOK_URL;
+
+  if (!url || !key) {
+    throw new Error('Missing SOCIAL_WEBHOOK_URL or SOCIAL_WEBHOOK_API_KEY');
+  }
+
+  if (MAX_PER_RUN > 0 && runPostCount >= MAX_PER_RUN) {
+    logger.warn('Social post skipped: per-run cap reached', {
+      cap: MAX_PER_RUN,
+      eventType,
+      dedupeKey,
+    });
+    return;
+  }
+
+  const typeCount = runPostCountByType[eventType] || 0;
+  if (MAX_PER_EVENT_TYPE > 0 && typeCount >= MAX_PER_EVENT_TYPE) {
+    logger.warn('Social post skipped: per-event-type cap reached', {
+      eventType,
+      cap: MAX_PER_EVENT_TYPE,
+      dedupeKey,
+    });
+    return;
+  }
+
+  if (MIN_DELAY_MS > 0 && lastPostTime > 0) {
+    const elapsed = Date.now() - lastPostTime;
+    if (elapsed < MIN_DELAY_MS) {
+      await sleep(MIN_DELAY_MS - elapsed);
+    }
+  }
+
+  const body = buildSocialBody(opts);
+
   await fetch(url, {
     headers: {
       'Content-Type': 'application/json',
@@ -183,4 +216,4 @@ async function postToSocial({
   runPostCountByType[eventType] = typeCount + 1;
 }
 
-module.exports = { postToSocial, resetSocialPostRunCount };
+module.exports = { postToSocial, buildSocialBody, resetSocialPostRunCount };
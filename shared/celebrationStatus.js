@@ -21,7 +21,18 @@ const CELEBRATION_NON_ACTIVE_STATUSES = Object.freeze(
   CELEBRATION_STATUSES.filter((s) => s !== 'active')
 );
 
+/**
+ * Settlement sub-states of a resolved celebration (charging the stored payment intent).
+ * Recorded on Celebration.settlement_status and in status_ledger settlement_details.
+ */
+const CELEBRATION_SETTLEMENT_STATES = Object.freeze([
+  'pending',
+  'settled',
+  'settlement_failed',
+]);
+
 module.exports = {
   CELEBRATION_STATUSES,
   CELEBRATION_NON_ACTIVE_STATUSES,
+  CELEBRATION_SETTLEMENT_STATES,
 };
@@ -0,0 +1,69 @@
+const { Celebration } = require('../models');
+
+/**
+ * Creates a Celebration for the given donor: $10 active pledge to a test
+ * politician on hjres54-119, payment intent pi_<idempotencyKey>. Overrides
+ * replace the defaults; donorInfo overrides are merged into the default.
+ */
+const createCelebration = (donatedBy, idempotencyKey, overrides = {}) =>
+  Celebration.create({
+    donatedBy,
+    FEC_id: 'T123456',
+    current_status: 'active',
+    fee: 1.0,
+    tip: 0,
+    pol_id: 'T123456',
+    bill_id: 'hjres54-119',
+    donation: 10.0,
+    pol_name: 'Test Politician',
+    payment_intent: `pi_${idempotencyKey}`,
+    idempotencyKey,
+    ...overrides,
+    donorInfo: {
+      firstName: 'Dana',
+      lastName: 'Donor',
+      zip: '10001',
+      compliance: 'compliant',
+      email: 'donor@test.com',
+      ...overrides.donorInfo,
+    },
+  });
+
+/**
+ * Minimal Stripe stub: paymentIntents.retrieve() returns pi_test with the
+ * given status; confirm() and create() resolve or reject per test; capture()
+ * succeeds and cancel() returns a cancelled intent with a request ID.
+ */
+const createStripeStub = ({ status, confirm, create, extra = {} }) => ({
+  customers: {
+    retrieve: jest.fn().mockResolvedValue({
+      invoice_settings: { default_payment_method: 'pm_default' },
+    }),
+  },
+  paymentIntents: {
+    retrieve: jest.fn().mockResolvedValue({
+      id: 'pi_test',
+      status,
+      customer: 'cus_test',
+      payment_method: 'pm_original',
+      amount: 1150,
+      currency: 'usd',
+      ...extra,
+    }),
+    confirm: jest.fn(confirm),
+    create: jest.fn(create),
+    capture: jest.fn().mockResolvedValue({
+      id: 'pi_test',
+      status: 'succeeded',
+      latest_charge: 'ch_captured',
+    }),
+    cancel: jest.fn().mockResolvedValue({
+      id: 'pi_test',
+      status: 'canceled',
+      cancellation_reason: 'abandoned',
+      lastResponse: { requestId: 'req_cancel' },
+    }),
+  },
+});
+
+module.exports = { createCelebration, createStripeStub };
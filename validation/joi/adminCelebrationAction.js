@@ -0,0 +1,25 @@
+const Joi = require('joi');
+const adminCelebrationFilter = require('./adminCelebrationFilter');
+
+const ADMIN_ACTIONS = ['pause', 'resume', 'defunct'];
+
+// Manual status action on one Celebration
+const adminCelebrationActionSchema = Joi.object({
+  action: Joi.string()
+    .valid(...ADMIN_ACTIONS)
+    .required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+  notes: Joi.string().trim().max(2000).allow('').optional(),
+}).unknown(false);
+
+// Same action applied to every eligible Celebration matching a non-empty filter;
+// previews by default so a real run has to opt in with dryRun: false
+const adminCelebrationBulkSchema = adminCelebrationActionSchema.keys({
+  filter: adminCelebrationFilter.min(1).required(),
+  dryRun: Joi.boolean().default(true),
+});
+
+module.exports = {
+  adminCelebrationAction: adminCelebrationActionSchema,
+  adminCelebrationBulk: adminCelebrationBulkSchema,
+};
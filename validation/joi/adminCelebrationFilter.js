@@ -0,0 +1,16 @@
+const Joi = require('joi');
+const { CELEBRATION_STATUSES } = require('../../shared/celebrationStatus');
+
+// Admin Celebration search criteria (query string for search, body.filter for bulk)
+const adminCelebrationFilterSchema = Joi.object({
+  status: Joi.string()
+    .valid(...CELEBRATION_STATUSES)
+    .optional(),
+  pol: Joi.string().trim().max(32).optional(), // pol_id or FEC_id
+  bill: Joi.string().trim().max(64).optional(), // bill_id, e.g. "hr1976-119"
+  donor: Joi.string().trim().max(254).optional(), // user ID, email or username
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+});
+
+module.exports = adminCelebrationFilterSchema;
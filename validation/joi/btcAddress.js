@@ -0,0 +1,11 @@
+const Joi = require('joi');
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/; // MongoDB ObjectID
+
+// What a donation address is for; both fields optional so bare requests still work
+const btcAddressSchema = Joi.object({
+  purpose: Joi.string().valid('support', 'tip').default('support'),
+  celebrationId: Joi.string().pattern(objectIdPattern).optional(),
+}).unknown(false);
+
+module.exports = btcAddressSchema;
@@ -0,0 +1,34 @@
+const Joi = require('joi');
+const { CELEBRATION_STATUSES } = require('../../shared/celebrationStatus');
+
+// Donor's own Celebration history filters (query string for list and export)
+const celebrationHistorySchema = Joi.object({
+  status: Joi.string()
+    .valid(...CELEBRATION_STATUSES)
+    .optional(),
+  pol: Joi.string().trim().max(32).optional(), // pol_id or FEC_id
+  bill: Joi.string().trim().max(64).optional(), // bill_id, e.g. "hr1976-119"
+  q: Joi.string().trim().max(64).optional(), // pol name contains
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  sort: Joi.string()
+    .valid('newest', 'oldest', 'largest', 'smallest')
+    .default('newest'),
+});
+
+// One page of the history listing
+const celebrationHistoryPageSchema = celebrationHistorySchema.keys({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(25),
+});
+
+// History download
+const celebrationHistoryExportSchema = celebrationHistorySchema.keys({
+  format: Joi.string().valid('csv', 'json', 'pdf').default('csv'),
+});
+
+module.exports = {
+  celebrationHistory: celebrationHistorySchema,
+  celebrationHistoryPage: celebrationHistoryPageSchema,
+  celebrationHistoryExport: celebrationHistoryExportSchema,
+};
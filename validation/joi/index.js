@@ -16,4 +16,8 @@ module.exports = {
   paymentMethod: require('./paymentMethod'),
   pol: require('./pol'),
   contributing: require('./contributing'),
+  btcAddress: require('./btcAddress'),
+  adminCelebrationFilter: require('./adminCelebrationFilter'),
+  ...require('./celebrationHistory'),
+  ...require('./adminCelebrationAction'),
 };
@@ -1,7 +1,8 @@
 const logger = require('../services/utils/logger')(__filename);
 
-const validate = (schema) => (req, res, next) => {
-  const { error, value } = schema.validate(req.body, {
+// Validates req.body, or another part of the request (e.g. 'query') given as source
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[source], {
     abortEarly: false,
     allowUnknown: false,
     stripUnknown: true,
@@ -24,7 +25,7 @@ const validate = (schema) => (req, res, next) => {
     });
   }
 
-  req.body = value;
+  req[source] = value;
   next();
 };
 
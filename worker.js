@@ -0,0 +1,51 @@
+/**
+ * POWERBACK Background Worker
+ *
+ * Standalone process for the background jobs, so the web tier can scale out
+ * without each instance scheduling its own copy. Run the web server with
+ * JOBS_PROCESS=worker and one or more of these alongside it; every job still
+ * takes its lease (jobs/jobRunner), so two workers never run the same job at
+ * once.
+ *
+ * Key Features:
+ * - Schedules every registered job, the email outbox and partner webhook
+ *   deliveries
+ * - Runs the weekday watchers once at boot when START_WATCHERS is set
+ * - Heartbeat in WorkerHeartbeat, reported by the web tier's /api/health
+ * - Optional GET /health on WORKER_HEALTH_PORT for process supervisors
+ * - Graceful shutdown on SIGINT/SIGTERM: stops the schedules and waits up to
+ *   WORKER_SHUTDOWN_TIMEOUT_MS for running jobs
+ *
+ * @version 1.0.0
+ * @author fc
+ */
+
+const path = require('path');
+
+// Environment variable loading
+// Development: Load from .env.local file using dotenv
+// Production: Load from SECRETS_PATH environment variable
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config({ path: path.join(__dirname, '.env.local') });
+}
+
+const { requireLogger } = require('./services/logger');
+
+const logger = requireLogger(__filename);
+
+// Secrets go into process.env before constants and models read it
+if (process.env.NODE_ENV === 'production') {
+  require('./config/secrets.config').loadSecrets(logger);
+}
+
+if (require.main === module) {
+  const { connect } = require('./services/utils/db');
+  const { startWorker } = require('./lifecycle.js');
+
+  connect(logger)
+    .then(() => startWorker(logger))
+    .catch((err) => {
+      logger.error('Failed to connect to database:', err.message);
+      process.exit(1);
+    });
+}